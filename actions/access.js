@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Access Control Actions
+ * Roles (viewer, operator, admin) per Cliq user or team
+ * myRole is open to everyone; list, assign and revoke need admin
+ * (see utils/access.js)
+ */
+
+const { ROLES, isValidRole, isValidSubjectId, getEffectiveRole, getPolicy, assignRole, revokeRole, listAssignments } = require('../utils/access');
+const { params } = require('./schemas');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('access');
+
+const targetUserId = { type: 'string', pattern: '^[\\w.@-]{1,100}$', description: 'Cliq user ID' };
+const teamId = { type: 'string', pattern: '^[\\w.@-]{1,100}$', description: 'Cliq team ID' };
+
+module.exports = {
+    service: 'access',
+    description: 'Roles per Cliq user or team',
+    credentials: false,
+    actions: {
+        myRole: {
+            description: "The caller's effective role",
+            handler: async ({ caller, catalystInstance }) => ({
+                success: true,
+                userId: caller.userId,
+                ...(await getEffectiveRole(catalystInstance, caller.userId)),
+                roles: ROLES
+            })
+        },
+        list: {
+            description: 'All role assignments and the action policy',
+            role: 'admin',
+            catalyst: true,
+            handler: async ({ catalystInstance }) => ({
+                success: true,
+                assignments: await listAssignments(catalystInstance),
+                policy: getPolicy()
+            })
+        },
+        assign: {
+            description: 'Give a user or team a role, or put a user in a team',
+            // { targetUserId, role } / { targetUserId, teamId } / { teamId, role }
+            params: params({ targetUserId, teamId, role: { type: 'string', enum: ROLES, description: 'Role to assign' } }),
+            role: 'admin',
+            mutating: true,
+            catalyst: true,
+            handler: async ({ params, caller, catalystInstance }) => {
+                if (!params.targetUserId && !params.teamId) {
+                    return { success: false, error: 'targetUserId or teamId is required', code: 'MISSING_TARGET' };
+                }
+                if ([params.targetUserId, params.teamId].some(id => id && !isValidSubjectId(id))) {
+                    return { success: false, error: 'IDs may only contain letters, numbers, ".", "@", "-" and "_"', code: 'INVALID_TARGET' };
+                }
+                if (params.role && !isValidRole(params.role)) {
+                    return { success: false, error: `Unknown role: ${params.role}. Use: ${ROLES.join(', ')}`, code: 'INVALID_ROLE' };
+                }
+                if (!params.role && !(params.targetUserId && params.teamId)) {
+                    return { success: false, error: 'role is required', code: 'INVALID_ROLE' };
+                }
+                
+                log.info('Role assignment', { assignedBy: caller.userId, targetUserId: params.targetUserId || null, teamId: params.teamId || null, role: params.role || null });
+                return {
+                    success: true,
+                    assignment: await assignRole(catalystInstance, params, caller.userId)
+                };
+            }
+        },
+        revoke: {
+            description: "Remove a user's or team's role",
+            params: params({ targetUserId, teamId }),
+            role: 'admin',
+            mutating: true,
+            catalyst: true,
+            handler: async ({ params, catalystInstance }) => {
+                if (!params.targetUserId && !params.teamId) {
+                    return { success: false, error: 'targetUserId or teamId is required', code: 'MISSING_TARGET' };
+                }
+                
+                return {
+                    success: true,
+                    revoked: await revokeRole(catalystInstance, params)
+                };
+            }
+        }
+    }
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Approval Actions
+ * Pending, decided and executed two-person approvals (see utils/approvals.js)
+ * Approving runs the action as its requester; only another user with the
+ * action's role may approve, the requester may also withdraw
+ */
+
+const { STATUSES, getApproval, listApprovals, rejectApproval, executeApproval } = require('../utils/approvals');
+const { hasRole } = require('../utils/access');
+const { params } = require('./schemas');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('approvals');
+
+const approvalId = { type: 'string', pattern: '^\\d{1,20}$', patternMessage: 'must be an approval ID', description: 'Approval ID' };
+
+/*
+ * A pending approval the caller may decide, or a failure result
+ */
+async function findPending(catalystInstance, caller, id, { allowRequester = false } = {}) {
+    const approval = await getApproval(catalystInstance, id);
+    if (!approval) {
+        return { error: { success: false, error: `Approval ${id} not found`, code: 'NOT_FOUND' } };
+    }
+    if (approval.status === 'expired') {
+        return { error: { success: false, error: `Approval ${id} expired at ${approval.expiresAt}. Ask for the action again.`, code: 'APPROVAL_EXPIRED' } };
+    }
+    if (approval.status !== 'pending') {
+        return { error: { success: false, error: `Approval ${id} is already ${approval.status}`, code: 'APPROVAL_NOT_PENDING' } };
+    }
+
+    const isRequester = approval.requestedBy === String(caller.userId);
+    if (isRequester && allowRequester) return { approval };
+    if (isRequester) {
+        return { error: { success: false, error: 'Another user has to approve your own request', code: 'SELF_APPROVAL' } };
+    }
+    if (!hasRole(caller.role, approval.requiredRole)) {
+        return { error: { success: false, error: `Approving ${approval.service}:${approval.action} needs the ${approval.requiredRole} role. Your role is ${caller.role}.`, code: 'NOT_AN_APPROVER' } };
+    }
+    return { approval };
+}
+
+module.exports = {
+    service: 'approvals',
+    description: 'Two-person approval of destructive actions',
+    credentials: false,
+    catalyst: true,
+    actions: {
+        list: {
+            description: 'Approvals, newest first',
+            params: params({
+                status: { type: 'string', enum: STATUSES, description: 'Only approvals with this status' },
+                requestedBy: { type: 'string', pattern: '^[\\w.@-]{1,100}$', description: 'Only approvals requested by this Cliq user' },
+                limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Most approvals to return (default: 50)' }
+            }),
+            role: 'operator',
+            handler: async ({ params, catalystInstance }) => {
+                const approvals = await listApprovals(catalystInstance, params);
+                return { success: true, count: approvals.length, approvals };
+            }
+        },
+        get: {
+            description: 'One approval, with its decision and result',
+            params: params({ approvalId }, ['approvalId']),
+            role: 'operator',
+            handler: async ({ params, catalystInstance }) => {
+                const approval = await getApproval(catalystInstance, params.approvalId);
+                if (!approval) {
+                    return { success: false, error: `Approval ${params.approvalId} not found`, code: 'NOT_FOUND' };
+                }
+                return { success: true, approval };
+            }
+        },
+        approve: {
+            description: "Approve another user's request and run it as them",
+            params: params({ approvalId }, ['approvalId']),
+            role: 'operator',
+            mutating: true,
+            handler: async ({ params, caller, catalystInstance }) => {
+                const { approval, error } = await findPending(catalystInstance, caller, params.approvalId);
+                if (error) return error;
+
+                const decided = await executeApproval(catalystInstance, approval, caller.userId);
+                if (!decided) {
+                    return { success: false, error: `Approval ${approval.id} was decided by someone else meanwhile`, code: 'APPROVAL_NOT_PENDING' };
+                }
+                if (decided.approval.status === 'failed') {
+                    return { success: false, error: decided.approval.error, code: decided.approval.errorCode, approval: decided.approval };
+                }
+                return { success: true, approval: decided.approval, result: decided.result };
+            }
+        },
+        reject: {
+            description: 'Reject a request, or withdraw your own',
+            params: params({
+                approvalId,
+                reason: { type: 'string', maxLength: 500, description: 'Why, for the requester' }
+            }, ['approvalId']),
+            role: 'operator',
+            mutating: true,
+            handler: async ({ params, caller, catalystInstance }) => {
+                const { approval, error } = await findPending(catalystInstance, caller, params.approvalId, { allowRequester: true });
+                if (error) return error;
+
+                const rejected = await rejectApproval(catalystInstance, approval, caller.userId, params.reason);
+                if (!rejected) {
+                    return { success: false, error: `Approval ${approval.id} was decided by someone else meanwhile`, code: 'APPROVAL_NOT_PENDING' };
+                }
+                log.info('Approval rejected', { approvalId: approval.id, withdrawn: approval.requestedBy === String(caller.userId) });
+                return { success: true, approval: rejected };
+            }
+        }
+    }
+};
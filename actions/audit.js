@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Audit Log Actions
+ * Who changed what, newest first (see utils/audit.js)
+ * All actions take optional serviceName, outcome and limit filters
+ */
+
+const { queryEntries, isValidFilter } = require('../utils/audit');
+const { params } = require('./schemas');
+
+// The router's own "service" field names the audit service, so filter with serviceName
+const filters = {
+    serviceName: { type: 'string', maxLength: 100, description: 'Only entries for this service' },
+    outcome: { type: 'string', enum: ['success', 'failure', 'denied'], description: 'Only entries with this outcome' },
+    limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Most entries to return (default: 50)' }
+};
+
+/*
+ * Runs the query once the action-specific filter is known
+ */
+async function query(catalystInstance, params, extra = {}) {
+    const auditFilters = {
+        service: params.serviceName,
+        outcome: params.outcome,
+        limit: params.limit,
+        ...extra
+    };
+    
+    if (['userId', 'target', 'service', 'outcome'].some(name => auditFilters[name] && !isValidFilter(auditFilters[name]))) {
+        return { success: false, error: 'Filters may not contain quotes, backslashes or "*"', code: 'INVALID_FILTER' };
+    }
+    
+    const entries = await queryEntries(catalystInstance, auditFilters);
+    return {
+        success: true,
+        count: entries.length,
+        entries
+    };
+}
+
+module.exports = {
+    service: 'audit',
+    description: 'Audit log of mutating actions',
+    credentials: false,
+    catalyst: true,
+    actions: {
+        list: {
+            description: 'Recent entries',
+            params: params({ ...filters }),
+            role: 'admin',
+            handler: ({ params, catalystInstance }) => query(catalystInstance, params)
+        },
+        byUser: {
+            description: "One user's entries",
+            params: params({ targetUserId: { type: 'string', maxLength: 100, description: 'Cliq user ID' }, ...filters }),
+            role: 'admin',
+            handler: ({ params, catalystInstance }) => {
+                if (!params.targetUserId) {
+                    return { success: false, error: 'targetUserId is required', code: 'MISSING_TARGET' };
+                }
+                return query(catalystInstance, params, { userId: params.targetUserId });
+            }
+        },
+        byResource: {
+            description: 'Entries for one resource',
+            params: params({
+                // Instance ID, function name, ARN or s3://bucket/key - a prefix also matches
+                resource: { type: 'string', maxLength: 500, description: 'Resource ID, name, ARN or s3:// path (prefixes match)' },
+                ...filters
+            }),
+            role: 'admin',
+            handler: ({ params, catalystInstance }) => {
+                if (!params.resource) {
+                    return { success: false, error: 'resource is required', code: 'MISSING_TARGET' };
+                }
+                return query(catalystInstance, params, { target: params.resource });
+            }
+        }
+    }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Bedrock Actions
+ * AI assistant powered by Claude
+ * Every action is billed by Bedrock per token, so all of them need consent
+ */
+
+const bedrockService = require('../services/bedrock');
+const { params, prompt } = require('./schemas');
+
+// Options every action passes through to chat()
+const chatOptions = {
+    mode: { type: 'string', description: 'Predefined assistant mode (general, troubleshoot, ...)' },
+    systemPrompt: { type: 'string', description: 'Custom system prompt' },
+    conversationHistory: { type: 'array', description: 'Previous messages for context' },
+    maxTokens: { type: 'integer', minimum: 1, maximum: 8192, description: 'Max response length (default: 2048)' },
+    temperature: { type: 'number', minimum: 0, maximum: 1, description: 'Creativity level 0-1 (default: 0.7)' }
+};
+const description = { type: 'string', description: 'What to generate' };
+
+module.exports = {
+    service: 'bedrock',
+    description: 'AI assistant powered by Claude',
+    credentials: true,
+    actions: {
+        chat: {
+            description: 'Ask the assistant anything',
+            params: params({ prompt, ...chatOptions }, ['prompt']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.chat(params.prompt, params, credentials)
+        },
+        chatWithContext: {
+            description: 'Ask about your AWS resources',
+            params: params({ prompt, awsContext: { description: 'Resource data to include' }, ...chatOptions }, ['prompt']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.chatWithContext(params.prompt, params.awsContext, params, credentials)
+        },
+        generateCfn: {
+            description: 'Generate a CloudFormation template',
+            params: params({ description, ...chatOptions }, ['description']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.generateCloudFormation(params.description, params, credentials)
+        },
+        generateIam: {
+            description: 'Generate an IAM policy',
+            params: params({ requirements: { type: 'string', description: 'What the policy must allow' }, ...chatOptions }, ['requirements']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.generateIAMPolicy(params.requirements, params, credentials)
+        },
+        generateLambda: {
+            description: 'Generate Lambda function code',
+            params: params({ description, runtime: { type: 'string', description: 'Lambda runtime (default: python3.9)' }, ...chatOptions }, ['description']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) =>
+                bedrockService.generateLambdaCode(params.description, params.runtime, params, credentials)
+        },
+        troubleshoot: {
+            description: 'Diagnose an AWS problem',
+            params: params({
+                issue: { type: 'string', description: 'What is going wrong' },
+                context: { type: 'string', description: 'Error messages, logs or setup details' },
+                ...chatOptions
+            }, ['issue']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.troubleshoot(params.issue, params.context, params, credentials)
+        },
+        optimize: {
+            description: 'Cost optimization suggestions',
+            params: params({ costData: { description: 'Cost report to analyse' }, ...chatOptions }, ['costData']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.optimizeCosts(params.costData, params, credentials)
+        },
+        reviewArchitecture: {
+            description: 'Review an architecture',
+            params: params({ architecture: { type: 'string', description: 'Architecture description' }, ...chatOptions }, ['architecture']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.reviewArchitecture(params.architecture, params, credentials)
+        },
+        explain: {
+            description: 'Explain an AWS concept',
+            params: params({ concept: { type: 'string', description: 'Concept to explain' }, ...chatOptions }, ['concept']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.explain(params.concept, params, credentials)
+        },
+        generateCli: {
+            description: 'Generate an AWS CLI command',
+            params: params({ description, ...chatOptions }, ['description']),
+            paid: true,
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => bedrockService.generateCLICommand(params.description, params, credentials)
+        }
+    }
+};
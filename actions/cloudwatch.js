@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * CloudWatch Actions
+ * Monitoring and alarms
+ */
+
+const cloudwatchService = require('../services/cloudwatch');
+const { params, paging, alarmName } = require('./schemas');
+
+const namespace = { type: 'string', pattern: '^[^:][^:]{0,254}$', description: 'Metric namespace, e.g. AWS/EC2' };
+const metricName = { type: 'string', minLength: 1, maxLength: 255, description: 'Metric name, e.g. CPUUtilization' };
+const dimensions = {
+    type: 'array',
+    description: 'Metric dimensions',
+    maxItems: 30,
+    items: {
+        type: 'object',
+        properties: { Name: { type: 'string', minLength: 1, maxLength: 255 }, Value: { type: 'string', minLength: 1, maxLength: 1024 } },
+        required: ['Name', 'Value']
+    }
+};
+const statistic = { type: 'string', enum: ['Average', 'Sum', 'Minimum', 'Maximum', 'SampleCount'], description: 'Statistic (default: Average)' };
+
+module.exports = {
+    service: 'cloudwatch',
+    description: 'Monitoring and alarms',
+    credentials: true,
+    actions: {
+        listAlarms: {
+            description: 'List alarms',
+            params: params({
+                stateValue: { type: 'string', enum: ['OK', 'ALARM', 'INSUFFICIENT_DATA'], description: 'Only alarms in this state' },
+                ...paging
+            }),
+            permission: 'cloudwatch_read',
+            cacheTtl: 30,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? cloudwatchService.listAlarms(region, params.stateValue, params.page, params.limit || 5, credentials)
+                    : cloudwatchService.listAlarmsPage(region, params.stateValue, params.nextToken, params.limit || 5, credentials)
+        },
+        getActiveAlarms: {
+            description: 'Alarms currently firing',
+            params: params({ ...paging }),
+            permission: 'cloudwatch_read',
+            cacheTtl: 30,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? cloudwatchService.getActiveAlarms(region, params.page, params.limit || 5, credentials)
+                    : cloudwatchService.getActiveAlarmsPage(region, params.nextToken, params.limit || 5, credentials)
+        },
+        getAlarm: {
+            description: 'Alarm details',
+            params: params({ alarmName }, ['alarmName']),
+            permission: 'cloudwatch_read',
+            handler: ({ params, region, credentials }) => cloudwatchService.getAlarm(params.alarmName, region, credentials)
+        },
+        getAlarmHistory: {
+            description: 'Alarm state changes',
+            params: params({
+                alarmName,
+                historyType: { type: 'string', enum: ['ConfigurationUpdate', 'StateUpdate', 'Action'], description: 'Only this kind of history item' }
+            }, ['alarmName']),
+            permission: 'cloudwatch_read',
+            handler: ({ params, region, credentials }) =>
+                cloudwatchService.getAlarmHistory(params.alarmName, region, params.historyType, credentials)
+        },
+        getMetrics: {
+            description: 'Metric statistics',
+            params: params({
+                namespace,
+                metricName,
+                dimensions,
+                hours: { type: 'integer', minimum: 1, maximum: 336, description: 'Hours of data (default: 1)' },
+                statistic
+            }, ['namespace', 'metricName']),
+            permission: 'cloudwatch_read',
+            handler: ({ params, region, credentials }) => cloudwatchService.getMetrics(
+                params.namespace,
+                params.metricName,
+                params.dimensions,
+                region,
+                params.hours,
+                params.statistic,
+                credentials
+            )
+        },
+        createAlarm: {
+            description: 'Create or update a metric alarm',
+            params: params({
+                alarmName,
+                description: { type: 'string', maxLength: 1024, description: 'Alarm description' },
+                metricName,
+                namespace,
+                statistic,
+                period: { type: 'integer', minimum: 10, description: 'Seconds per datapoint (default: 300)' },
+                evaluationPeriods: { type: 'integer', minimum: 1, description: 'Datapoints to evaluate (default: 1)' },
+                threshold: { type: 'number', description: 'Threshold value' },
+                comparisonOperator: {
+                    type: 'string',
+                    enum: ['GreaterThanOrEqualToThreshold', 'GreaterThanThreshold', 'LessThanThreshold', 'LessThanOrEqualToThreshold'],
+                    description: 'How the statistic is compared with the threshold'
+                },
+                dimensions,
+                actionsEnabled: { type: 'boolean', description: 'Run alarm actions (default: true)' },
+                alarmActions: { type: 'array', items: { type: 'string', format: 'arn' }, maxItems: 5, description: 'ARNs notified in ALARM state' },
+                okActions: { type: 'array', items: { type: 'string', format: 'arn' }, maxItems: 5, description: 'ARNs notified in OK state' }
+            }, ['alarmName', 'metricName', 'namespace', 'threshold', 'comparisonOperator']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'cloudwatch_write',
+            handler: ({ params, region, credentials, dryRun }) => cloudwatchService.createAlarm(params, region, credentials, dryRun)
+        },
+        deleteAlarm: {
+            description: 'Delete an alarm',
+            params: params({ alarmName }, ['alarmName']),
+            role: 'admin',
+            mutating: true,
+            destructive: true,
+            warning: 'Deleting an alarm stops all of its notifications',
+            dryRun: true,
+            permission: 'cloudwatch_write',
+            handler: ({ params, region, credentials, dryRun }) => cloudwatchService.deleteAlarm(params.alarmName, region, credentials, dryRun)
+        },
+        setAlarmState: {
+            description: 'Set an alarm state (for testing notifications)',
+            params: params({
+                alarmName,
+                state: { type: 'string', enum: ['OK', 'ALARM', 'INSUFFICIENT_DATA'], description: 'New state' },
+                reason: { type: 'string', minLength: 1, maxLength: 1023, description: 'Why the state was set' }
+            }, ['alarmName', 'state', 'reason']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'cloudwatch_write',
+            handler: ({ params, region, credentials, dryRun }) =>
+                cloudwatchService.setAlarmState(params.alarmName, params.state, params.reason, region, credentials, dryRun)
+        },
+        listMetrics: {
+            description: 'Available metrics',
+            params: params({ namespace }),
+            permission: 'cloudwatch_read',
+            cacheTtl: 300,
+            handler: ({ params, region, credentials }) => cloudwatchService.listMetrics(params.namespace, region, credentials)
+        },
+        summary: {
+            description: 'Alarm counts by state',
+            permission: 'cloudwatch_read',
+            cacheTtl: 30,
+            handler: ({ region, credentials }) => cloudwatchService.getAlarmsSummary(region, credentials)
+        }
+    }
+};
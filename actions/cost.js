@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Cost Actions
+ * Cost Explorer - Spending and usage reports
+ * Every action calls Cost Explorer, which charges $0.01 per API request
+ * Results are cached for an hour - Cost Explorer only refreshes its data a
+ * few times a day
+ */
+
+const costService = require('../services/cost');
+const { params, period, date } = require('./schemas');
+
+const granularity = { type: 'string', enum: ['DAILY', 'MONTHLY'], description: 'Time bucket size' };
+const groupBy = { type: 'string', enum: ['SERVICE', 'REGION', 'USAGE_TYPE', 'LINKED_ACCOUNT'], description: 'Dimension to group by (default: SERVICE)' };
+
+module.exports = {
+    service: 'cost',
+    description: 'Cost Explorer - Spending and usage reports',
+    credentials: true,
+    actions: {
+        getUsage: {
+            description: 'Cost and usage for a date range',
+            params: params({ startDate: date, endDate: date, granularity, groupBy }, ['startDate', 'endDate']),
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ params, credentials }) =>
+                costService.getCostAndUsage(params.startDate, params.endDate, params.granularity, params.groupBy, credentials)
+        },
+        byPeriod: {
+            description: 'Costs for a period, by service',
+            params: params({ period, groupBy }),
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ params, credentials }) => costService.getCostsByPeriod(params.period, params.groupBy, credentials)
+        },
+        forecast: {
+            description: 'Forecast spend',
+            params: params({ startDate: date, endDate: date, granularity }, ['startDate', 'endDate']),
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ params, credentials }) =>
+                costService.getCostForecast(params.startDate, params.endDate, params.granularity, credentials)
+        },
+        monthToDate: {
+            description: 'Spend so far this month',
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ credentials }) => costService.getMonthToDateCosts(credentials)
+        },
+        comparison: {
+            description: 'This month compared with last month',
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ credentials }) => costService.getCostComparison(credentials)
+        },
+        topServices: {
+            description: 'Most expensive services',
+            params: params({ period, limit: { type: 'integer', minimum: 1, maximum: 50, description: 'How many services (default: 10)' } }),
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ params, credentials }) => costService.getTopServices(params.period, params.limit, credentials)
+        },
+        trend: {
+            description: 'Daily cost trend',
+            params: params({ days: { type: 'integer', minimum: 1, maximum: 365, description: 'Days of history (default: 30)' } }),
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ params, credentials }) => costService.getDailyCostTrend(params.days, credentials)
+        },
+        byTag: {
+            description: 'Costs grouped by a cost allocation tag',
+            params: params({ tagKey: { type: 'string', minLength: 1, maxLength: 128, description: 'Tag key' }, period }, ['tagKey']),
+            paid: true,
+            permission: 'cost_explorer',
+            cacheTtl: 3600,
+            handler: ({ params, credentials }) => costService.getCostByTag(params.tagKey, params.period, credentials)
+        }
+    }
+};
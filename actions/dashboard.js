@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Dashboard Actions
+ * Aggregated view of multiple services for the dashboard widget
+ */
+
+const ec2Service = require('../services/ec2');
+const s3Service = require('../services/s3');
+const lambdaService = require('../services/lambda');
+const cloudwatchService = require('../services/cloudwatch');
+const costService = require('../services/cost');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('dashboard');
+
+module.exports = {
+    service: 'dashboard',
+    description: 'Aggregated view of multiple services',
+    credentials: true,
+    actions: {
+        overview: {
+            description: 'EC2, S3, Lambda and alarm summaries (plus costs with consent)',
+            handler: async ({ region, credentials, consent }) => {
+                // Fetch summaries from multiple services in parallel for speed
+                const [ec2Summary, s3Summary, lambdaSummary, alarmsSummary] = await Promise.all([
+                    ec2Service.getInstancesSummary(region, credentials),
+                    s3Service.getBucketsSummary(region, credentials),
+                    lambdaService.getFunctionsSummary(region, credentials),
+                    cloudwatchService.getAlarmsSummary(region, credentials)
+                ]);
+
+                const result = {
+                    ec2: ec2Summary,
+                    s3: s3Summary,
+                    lambda: lambdaSummary,
+                    alarms: alarmsSummary,
+                    timestamp: new Date().toISOString()
+                };
+
+                // Only fetch costs if user has explicitly consented
+                // Cost Explorer API charges $0.01 per request!
+                // The client sends consent: true once the user agreed (awsprefs.consentcost)
+                if (consent === true) {
+                    try {
+                        const costSummary = await costService.getCostsByPeriod('week', 'SERVICE', credentials);
+                        result.costs = {
+                            lastWeek: costSummary.totalCostFormatted,
+                            dailyAverage: costSummary.dailyAverageFormatted,
+                            topService: costSummary.byService[0]
+                        };
+                    } catch (costError) {
+                        log.info('Cost fetch skipped', { error: costError });
+                        result.costs = { requiresConsent: true };
+                    }
+                } else {
+                    // No consent - don't call Cost Explorer
+                    result.costs = { requiresConsent: true };
+                }
+
+                return result;
+            }
+        }
+    }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * EC2 Actions
+ * Elastic Compute Cloud - Virtual server management
+ */
+
+const ec2Service = require('../services/ec2');
+const { params, paging, instanceId, vpcId } = require('./schemas');
+
+const INSTANCE_STATES = ['pending', 'running', 'shutting-down', 'terminated', 'stopping', 'stopped'];
+
+// Filters understood by listInstances()
+const filters = {
+    type: 'object',
+    description: 'Only instances in these states and/or with these IDs',
+    properties: {
+        state: {
+            anyOf: [
+                { type: 'string', enum: INSTANCE_STATES },
+                { type: 'array', items: { type: 'string', enum: INSTANCE_STATES } }
+            ],
+            description: 'Instance state, or a list of states'
+        },
+        instanceIds: { type: 'array', items: instanceId, maxItems: 1000, description: 'Instance IDs' }
+    },
+    additionalProperties: false
+};
+
+module.exports = {
+    service: 'ec2',
+    description: 'Elastic Compute Cloud - Virtual server management',
+    credentials: true,
+    actions: {
+        list: {
+            description: 'List instances',
+            params: params({ filters, ...paging }),
+            permission: 'ec2_read',
+            cacheTtl: 30,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? ec2Service.listInstances(region, params.filters || {}, params.page, params.limit || 5, credentials)
+                    : ec2Service.listInstancesPage(region, params.filters || {}, params.nextToken, params.limit || 5, credentials)
+        },
+        get: {
+            description: 'Instance details',
+            params: params({ instanceId }, ['instanceId']),
+            permission: 'ec2_read',
+            handler: ({ params, region, credentials }) => ec2Service.getInstance(params.instanceId, region, credentials)
+        },
+        start: {
+            description: 'Start a stopped instance',
+            params: params({ instanceId }, ['instanceId']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'ec2_write',
+            handler: ({ params, region, credentials, dryRun }) => ec2Service.startInstance(params.instanceId, region, credentials, dryRun)
+        },
+        stop: {
+            description: 'Stop a running instance',
+            params: params({ instanceId, force: { type: 'boolean', description: 'Force stop' } }, ['instanceId']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'ec2_write',
+            handler: ({ params, region, credentials, dryRun }) => ec2Service.stopInstance(params.instanceId, region, params.force, credentials, dryRun)
+        },
+        reboot: {
+            description: 'Reboot an instance',
+            params: params({ instanceId }, ['instanceId']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'ec2_write',
+            handler: ({ params, region, credentials, dryRun }) => ec2Service.rebootInstance(params.instanceId, region, credentials, dryRun)
+        },
+        status: {
+            description: 'Instance and system status checks',
+            params: params({ instanceId }, ['instanceId']),
+            permission: 'ec2_read',
+            handler: ({ params, region, credentials }) => ec2Service.getInstanceStatus(params.instanceId, region, credentials)
+        },
+        metrics: {
+            description: 'CloudWatch metrics for an instance',
+            params: params({
+                instanceId,
+                metricName: { type: 'string', pattern: '^[\\w./-]{1,255}$', description: 'Metric name (default: CPUUtilization)' },
+                hours: { type: 'integer', minimum: 1, maximum: 336, description: 'Hours of data (default: 1)' }
+            }, ['instanceId']),
+            permission: 'cloudwatch_read',
+            handler: ({ params, region, credentials }) =>
+                ec2Service.getInstanceMetrics(params.instanceId, params.metricName || 'CPUUtilization', region, params.hours || 1, credentials)
+        },
+        summary: {
+            description: 'Instance counts by state',
+            permission: 'ec2_read',
+            cacheTtl: 30,
+            handler: ({ region, credentials }) => ec2Service.getInstancesSummary(region, credentials)
+        },
+        securityGroups: {
+            description: 'List security groups',
+            params: params({ vpcId, ...paging }),
+            permission: 'ec2_read',
+            cacheTtl: 60,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? ec2Service.listSecurityGroups(region, params.vpcId, params.page, params.limit || 5, credentials)
+                    : ec2Service.listSecurityGroupsPage(region, params.vpcId, params.nextToken, params.limit || 5, credentials)
+        },
+        vpcs: {
+            description: 'List VPCs',
+            params: params({ ...paging }),
+            permission: 'ec2_read',
+            cacheTtl: 300,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? ec2Service.listVpcs(region, params.page, params.limit || 5, credentials)
+                    : ec2Service.listVpcsPage(region, params.nextToken, params.limit || 5, credentials)
+        },
+        subnets: {
+            description: 'List subnets',
+            params: params({ vpcId }),
+            permission: 'ec2_read',
+            cacheTtl: 300,
+            handler: ({ params, region, credentials }) => ec2Service.listSubnets(region, params.vpcId, credentials)
+        }
+    }
+};
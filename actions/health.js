@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Health Action
+ * Server health status and configuration
+ */
+
+const { config } = require('../utils/aws-clients');
+
+module.exports = {
+    service: 'health',
+    description: 'Server health status and configuration',
+    credentials: false,
+    // { "service": "health" } with no action still answers
+    defaultAction: 'status',
+    actions: {
+        status: {
+            description: 'Server health and configured regions',
+            handler: () => ({
+                status: 'healthy',
+                service: 'AWS CloudOps Handler',
+                version: '1.0.0',
+                region: config.awsRegion,
+                bedrockRegion: config.bedrockRegion,
+                timestamp: new Date().toISOString()
+            })
+        }
+    }
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * IAM Actions
+ * Identity and Access Management - Users, roles, policies
+ * IAM is a global service, so handlers ignore the region
+ */
+
+const iamService = require('../services/iam');
+const { params } = require('./schemas');
+
+module.exports = {
+    service: 'iam',
+    description: 'Identity and Access Management - Users, roles, policies',
+    credentials: true,
+    actions: {
+        listUsers: {
+            description: 'List IAM users',
+            permission: 'iam_read',
+            cacheTtl: 300,
+            handler: ({ credentials }) => iamService.listUsers(credentials)
+        },
+        getUser: {
+            description: 'IAM user details',
+            params: params({ userName: { type: 'string', pattern: '^[\\w+=,.@-]{1,64}$', description: 'IAM user name' } }, ['userName']),
+            permission: 'iam_read',
+            handler: ({ params, credentials }) => iamService.getUser(params.userName, credentials)
+        },
+        listRoles: {
+            description: 'List IAM roles',
+            permission: 'iam_read',
+            cacheTtl: 300,
+            handler: ({ credentials }) => iamService.listRoles(credentials)
+        },
+        getRole: {
+            description: 'IAM role details',
+            params: params({ roleName: { type: 'string', pattern: '^[\\w+=,.@-]{1,64}$', description: 'IAM role name' } }, ['roleName']),
+            permission: 'iam_read',
+            handler: ({ params, credentials }) => iamService.getRole(params.roleName, credentials)
+        },
+        listPolicies: {
+            description: 'List IAM policies',
+            params: params({ scope: { type: 'string', enum: ['All', 'AWS', 'Local'], description: 'Which policies (default: Local)' } }),
+            permission: 'iam_read',
+            cacheTtl: 300,
+            handler: ({ params, credentials }) => iamService.listPolicies(params.scope, credentials)
+        },
+        accountSummary: {
+            description: 'IAM entity counts and quotas',
+            permission: 'iam_read',
+            cacheTtl: 300,
+            handler: ({ credentials }) => iamService.getAccountSummary(credentials)
+        },
+        securityStatus: {
+            description: 'Root MFA and password policy checks',
+            permission: 'iam_read',
+            cacheTtl: 300,
+            handler: ({ credentials }) => iamService.getSecurityStatus(credentials)
+        },
+        summary: {
+            description: 'User, role and policy counts',
+            permission: 'iam_read',
+            cacheTtl: 300,
+            handler: ({ credentials }) => iamService.getIAMSummary(credentials)
+        }
+    }
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Action Registry
+ * Every service:action the router can run, declared in one place
+ *
+ * Each file in this directory declares one service:
+ *
+ *   {
+ *     service: 'rds',
+ *     description: '...',
+ *     credentials: true,       // load the caller's AWS credentials first
+ *     catalyst: false,         // needs the Catalyst SDK (Data Store)
+ *     defaultAction: 'info',   // optional - used when action is missing or unknown
+ *     actions: {
+ *       stop: {
+ *         description: '...',
+ *         params: params({ ... }, ['dbInstanceId']),  // JSON Schema (see schemas.js,
+ *                                                     // checked by utils/validation.js)
+ *         role: 'operator',     // minimum role (default: viewer, see utils/access.js)
+ *         paid: false,          // needs consent (utils/safeguards.js)
+ *         mutating: true,       // audited (utils/audit.js)
+ *         destructive: false,   // needs a confirmation token, with warning
+ *         approval: false,      // runs once another user approves (utils/approvals.js)
+ *         dryRun: true,         // previews with dryRun: true (utils/dry-run.js)
+ *         permission: 'rds_write', // PERMISSION_CHECKS key (utils/permissions.js)
+ *         cacheTtl: 0,          // seconds to cache results (utils/response-cache.js)
+ *         resources: ['rds'],   // resource types it reads or changes (default: service) -
+ *                               // mutating actions drop cached results of the same type
+ *         handler: async ctx => result
+ *       }
+ *     }
+ *   }
+ *
+ * Handlers get { params, region, credentials, userCreds, userId, profile,
+ * requestedRegion, consent, dryRun, caller, catalystInstance, registry } and return
+ * the result object (or throw). Adding an action means adding an entry here -
+ * the router, role policy, audit log, consent and confirmation checks,
+ * pricing and permission listings all read it.
+ */
+
+const SERVICES = [
+    require('./ec2'),
+    require('./s3'),
+    require('./lambda'),
+    require('./cloudwatch'),
+    require('./logs'),
+    require('./cost'),
+    require('./rds'),
+    require('./sns'),
+    require('./iam'),
+    require('./bedrock'),
+    require('./health'),
+    require('./user-credentials'),
+    require('./access'),
+    require('./audit'),
+    require('./pricing'),
+    require('./permissions'),
+    require('./dashboard'),
+    require('./schedules'),
+    require('./approvals'),
+    require('./rule-changes'),
+    require('./search')
+];
+
+const registry = new Map(SERVICES.map(definition => [definition.service, definition]));
+
+/**
+ * Names of all services
+ */
+function listServices() {
+    return [...registry.keys()];
+}
+
+/**
+ * Names of a service's actions (empty for unknown services)
+ */
+function listServiceActions(service) {
+    const definition = registry.get(service);
+    return definition ? Object.keys(definition.actions) : [];
+}
+
+/**
+ * Action declaration with defaults filled in, or null if unknown
+ */
+function getAction(service, action) {
+    const definition = registry.get(service);
+    if (!definition) return null;
+
+    const name = definition.actions.hasOwnProperty(action) ? action : definition.defaultAction;
+    if (!name) return null;
+
+    const entry = definition.actions[name];
+    return {
+        key: `${service}:${name}`,
+        service,
+        action: name,
+        description: entry.description,
+        params: entry.params || { type: 'object', properties: {}, required: [] },
+        role: entry.role || 'viewer',
+        paid: entry.paid === true,
+        mutating: entry.mutating === true,
+        destructive: entry.destructive === true,
+        warning: entry.warning || null,
+        approval: entry.approval === true,
+        dryRun: entry.dryRun === true,
+        permission: entry.permission || null,
+        cacheTtl: entry.cacheTtl || 0,
+        resources: entry.resources || [service],
+        credentials: definition.credentials === true,
+        catalyst: (entry.catalyst !== undefined ? entry.catalyst : definition.catalyst) === true,
+        handler: entry.handler
+    };
+}
+
+/**
+ * Metadata for every action (no handlers), in declaration order
+ */
+function listActions() {
+    return SERVICES.flatMap(definition =>
+        Object.keys(definition.actions).map(action => {
+            const { handler, ...metadata } = getAction(definition.service, action);
+            return metadata;
+        })
+    );
+}
+
+module.exports = {
+    listServices,
+    listServiceActions,
+    getAction,
+    listActions
+};
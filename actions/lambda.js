@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Lambda Actions
+ * Serverless function management
+ */
+
+const lambdaService = require('../services/lambda');
+const { params, paging, functionName } = require('./schemas');
+
+module.exports = {
+    service: 'lambda',
+    description: 'Serverless function management',
+    credentials: true,
+    actions: {
+        list: {
+            description: 'List functions',
+            params: params({ ...paging }),
+            permission: 'lambda_read',
+            cacheTtl: 60,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? lambdaService.listFunctions(region, params.page, params.limit || 5, credentials)
+                    : lambdaService.listFunctionsPage(region, params.nextToken, params.limit || 5, credentials)
+        },
+        get: {
+            description: 'Function configuration',
+            params: params({ functionName }, ['functionName']),
+            permission: 'lambda_read',
+            handler: ({ params, region, credentials }) => lambdaService.getFunction(params.functionName, region, credentials)
+        },
+        invoke: {
+            description: 'Run a function',
+            params: params({
+                functionName,
+                payload: { description: 'Event passed to the function' },
+                invocationType: { type: 'string', enum: ['RequestResponse', 'Event', 'DryRun'], description: 'Invocation type (default: RequestResponse)' }
+            }, ['functionName']),
+            role: 'operator',
+            paid: true,
+            mutating: true,
+            dryRun: true,
+            permission: 'lambda_invoke',
+            handler: ({ params, region, credentials, dryRun }) =>
+                lambdaService.invokeFunction(params.functionName, params.payload, region, params.invocationType, credentials, dryRun)
+        },
+        summary: {
+            description: 'Function count and runtimes',
+            permission: 'lambda_read',
+            cacheTtl: 60,
+            handler: ({ region, credentials }) => lambdaService.getFunctionsSummary(region, credentials)
+        },
+        eventSources: {
+            description: 'Event source mappings',
+            params: params({ functionName }),
+            permission: 'lambda_read',
+            cacheTtl: 120,
+            handler: ({ params, region, credentials }) => lambdaService.listEventSourceMappings(params.functionName, region, credentials)
+        }
+    }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Logs Actions
+ * CloudWatch Logs - Log group and stream management
+ */
+
+const logsService = require('../services/logs');
+const { params, paging, logGroupName, functionName, instanceId, minutes } = require('./schemas');
+
+const filterPattern = { type: 'string', maxLength: 1024, description: 'CloudWatch Logs filter pattern' };
+const startTime = { type: 'integer', minimum: 0, description: 'Start time (ms since epoch)' };
+const endTime = { type: 'integer', minimum: 0, description: 'End time (ms since epoch)' };
+const eventLimit = { type: 'integer', minimum: 1, maximum: 10000, description: 'Most events to return (default: 100)' };
+
+module.exports = {
+    service: 'logs',
+    description: 'CloudWatch Logs - Log group and stream management',
+    credentials: true,
+    actions: {
+        listGroups: {
+            description: 'List log groups',
+            params: params({ prefix: { type: 'string', maxLength: 512, description: 'Log group name prefix' }, ...paging }),
+            permission: 'logs_read',
+            cacheTtl: 60,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? logsService.listLogGroups(region, params.prefix, params.page, params.limit || 5, credentials)
+                    : logsService.listLogGroupsPage(region, params.prefix, params.nextToken, params.limit || 5, credentials)
+        },
+        listStreams: {
+            description: 'List streams in a log group',
+            params: params({
+                logGroupName,
+                orderBy: { type: 'string', enum: ['LogStreamName', 'LastEventTime'], description: 'Sort order (default: LastEventTime)' },
+                ...paging
+            }, ['logGroupName']),
+            permission: 'logs_read',
+            cacheTtl: 30,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? logsService.listLogStreams(params.logGroupName, region, params.orderBy, params.page, params.limit || 5, credentials)
+                    : logsService.listLogStreamsPage(params.logGroupName, region, params.orderBy, params.nextToken, params.limit || 5, credentials)
+        },
+        getEvents: {
+            description: 'Events from one log stream',
+            params: params({
+                logGroupName,
+                logStreamName: { type: 'string', pattern: '^[^:*]{1,512}$', patternMessage: 'must be 1-512 characters without ":" or "*"', description: 'Log stream name' },
+                limit: eventLimit,
+                startFromHead: { type: 'boolean', description: 'Read oldest events first' },
+                startTime,
+                endTime,
+                nextToken: { type: 'string', maxLength: 4096, description: 'Token from the previous page' }
+            }, ['logGroupName', 'logStreamName']),
+            permission: 'logs_read',
+            handler: ({ params, region, credentials }) =>
+                logsService.getLogEvents(params.logGroupName, params.logStreamName, region, params, credentials)
+        },
+        filter: {
+            description: 'Search a log group with a filter pattern',
+            params: params({ logGroupName, filterPattern, limit: eventLimit, startTime, endTime }, ['logGroupName']),
+            permission: 'logs_read',
+            handler: ({ params, region, credentials }) => logsService.filterLogEvents(params.logGroupName, region, params, credentials)
+        },
+        recent: {
+            description: 'Recent events from a log group',
+            params: params({ logGroupName, minutes, filterPattern }, ['logGroupName']),
+            permission: 'logs_read',
+            handler: ({ params, region, credentials }) =>
+                logsService.getRecentLogs(params.logGroupName, region, params.minutes, params.filterPattern, credentials)
+        },
+        errors: {
+            description: 'Recent errors in a log group',
+            params: params({ logGroupName, minutes }, ['logGroupName']),
+            permission: 'logs_read',
+            handler: ({ params, region, credentials }) => logsService.searchErrors(params.logGroupName, region, params.minutes, credentials)
+        },
+        lambdaLogs: {
+            description: "A Lambda function's recent logs",
+            params: params({ functionName, minutes }, ['functionName']),
+            permission: 'logs_read',
+            handler: ({ params, region, credentials }) => logsService.getLambdaLogs(params.functionName, region, params.minutes, credentials)
+        },
+        ec2Logs: {
+            description: "An EC2 instance's recent logs",
+            params: params({ instanceId, minutes }, ['instanceId']),
+            permission: 'logs_read',
+            handler: ({ params, region, credentials }) => logsService.getEC2Logs(params.instanceId, region, params.minutes, credentials)
+        },
+        summary: {
+            description: 'Log group count and storage',
+            permission: 'logs_read',
+            cacheTtl: 60,
+            handler: ({ region, credentials }) => logsService.getLogsSummary(region, credentials)
+        }
+    }
+};
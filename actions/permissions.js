@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Permissions Actions
+ * Validates IAM permissions for the configured credentials
+ * Useful for troubleshooting "Access Denied" errors
+ */
+
+const { checkAllPermissions, checkPermission, validateBedrock, getRequiredPolicy, getAvailableChecks, PERMISSION_CHECKS } = require('../utils/permissions');
+const { params } = require('./schemas');
+
+module.exports = {
+    service: 'permissions',
+    description: 'IAM permission checks for the configured credentials',
+    credentials: true,
+    defaultAction: 'checkAll',
+    actions: {
+        checkAll: {
+            description: 'Run every permission check',
+            handler: ({ region, credentials }) => checkAllPermissions(region, credentials)
+        },
+        check: {
+            description: 'Run one permission check',
+            params: params({
+                permission: { type: 'string', enum: Object.keys(PERMISSION_CHECKS), description: 'Check to run (see list)' }
+            }, ['permission']),
+            handler: ({ params, region, credentials }) => checkPermission(params.permission, region, credentials)
+        },
+        validateBedrock: {
+            description: 'Check Bedrock model access',
+            params: params({ skipInvoke: { type: 'boolean', description: 'Skip the paid test invocation (default: true)' } }),
+            permission: 'bedrock',
+            handler: ({ params, credentials }) => validateBedrock(params.skipInvoke !== false, credentials)
+        },
+        getRequiredPolicy: {
+            description: 'IAM policy document covering the selected features',
+            params: params({ options: { type: 'object', description: 'Features to include' } }),
+            handler: ({ params }) => getRequiredPolicy(params.options || {})
+        },
+        list: {
+            description: 'Available checks and the actions that need them',
+            handler: ({ registry }) => getAvailableChecks(registry.listActions())
+        }
+    }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Pricing Actions
+ * Which operations cost money
+ */
+
+const { getAllPricing } = require('../utils/pricing');
+
+module.exports = {
+    service: 'pricing',
+    description: 'Which operations cost money',
+    credentials: false,
+    defaultAction: 'info',
+    actions: {
+        info: {
+            description: 'Paid actions with estimated costs, and the free ones',
+            handler: ({ registry }) => getAllPricing(registry.listActions())
+        }
+    }
+};
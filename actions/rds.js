@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * RDS Actions
+ * Relational Database Service - Database management
+ */
+
+const rdsService = require('../services/rds');
+const { params, paging, dbInstanceId, dbClusterId } = require('./schemas');
+
+module.exports = {
+    service: 'rds',
+    description: 'Relational Database Service - Database management',
+    credentials: true,
+    actions: {
+        list: {
+            description: 'List DB instances',
+            params: params({ ...paging }),
+            permission: 'rds_read',
+            cacheTtl: 30,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? rdsService.listDBInstances(region, params.page, params.limit || 5, credentials)
+                    : rdsService.listDBInstancesPage(region, params.nextToken, params.limit || 5, credentials)
+        },
+        get: {
+            description: 'DB instance details',
+            params: params({ dbInstanceId }, ['dbInstanceId']),
+            permission: 'rds_read',
+            handler: ({ params, region, credentials }) => rdsService.getDBInstance(params.dbInstanceId, region, credentials)
+        },
+        start: {
+            description: 'Start a stopped DB instance',
+            params: params({ dbInstanceId }, ['dbInstanceId']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'rds_write',
+            handler: ({ params, region, credentials, dryRun }) => rdsService.startDBInstance(params.dbInstanceId, region, credentials, dryRun)
+        },
+        stop: {
+            description: 'Stop a DB instance (AWS restarts it after 7 days)',
+            params: params({ dbInstanceId, snapshotId: { type: 'string', format: 'dbInstanceId', description: 'Take a snapshot with this name first' } }, ['dbInstanceId']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'rds_write',
+            handler: ({ params, region, credentials, dryRun }) =>
+                rdsService.stopDBInstance(params.dbInstanceId, region, params.snapshotId, credentials, dryRun)
+        },
+        reboot: {
+            description: 'Reboot a DB instance',
+            params: params({ dbInstanceId, forceFailover: { type: 'boolean', description: 'Fail over to the standby (Multi-AZ)' } }, ['dbInstanceId']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'rds_write',
+            handler: ({ params, region, credentials, dryRun }) =>
+                rdsService.rebootDBInstance(params.dbInstanceId, region, params.forceFailover, credentials, dryRun)
+        },
+        clusters: {
+            description: 'List Aurora clusters',
+            params: params({ ...paging }),
+            permission: 'rds_read',
+            cacheTtl: 60,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? rdsService.listDBClusters(region, params.page, params.limit || 5, credentials)
+                    : rdsService.listDBClustersPage(region, params.nextToken, params.limit || 5, credentials)
+        },
+        getCluster: {
+            description: 'Aurora cluster details',
+            params: params({ dbClusterId }, ['dbClusterId']),
+            permission: 'rds_read',
+            handler: ({ params, region, credentials }) => rdsService.getDBCluster(params.dbClusterId, region, credentials)
+        },
+        snapshots: {
+            description: 'List DB snapshots',
+            params: params({ dbInstanceId, ...paging }),
+            permission: 'rds_read',
+            cacheTtl: 60,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? rdsService.listDBSnapshots(region, params.dbInstanceId, params.page, params.limit || 5, credentials)
+                    : rdsService.listDBSnapshotsPage(region, params.dbInstanceId, params.nextToken, params.limit || 5, credentials)
+        },
+        summary: {
+            description: 'DB instance counts by engine and state',
+            permission: 'rds_read',
+            cacheTtl: 30,
+            handler: ({ region, credentials }) => rdsService.getRDSSummary(region, credentials)
+        }
+    }
+};
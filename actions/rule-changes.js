@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Security Group Rule Change Actions
+ * Recorded rule additions and removals, and undoing them (see
+ * utils/rule-history.js). Only the user who made a change can undo it.
+ * Undo can remove rules, so like removeInboundRule and removeOutboundRule it
+ * needs a confirmation token and another admin's approval; it then runs with
+ * the requester's stored credentials for the profile the change was made in.
+ */
+
+const { getRuleChange, listRuleChanges, undoRuleChange } = require('../utils/rule-history');
+const { params, groupId } = require('./schemas');
+
+const changeId = { type: 'string', pattern: '^\\d{1,20}$', patternMessage: 'must be a change ID', description: 'Rule change ID' };
+
+module.exports = {
+    service: 'rule_changes',
+    description: 'History of security group rule changes, with undo',
+    credentials: false,
+    catalyst: true,
+    actions: {
+        list: {
+            description: 'Rule changes, newest first',
+            params: params({
+                groupId,
+                userId: { type: 'string', pattern: '^[\\w.@-]{1,100}$', description: 'Only changes made by this Cliq user' },
+                limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Most changes to return (default: 50)' }
+            }),
+            role: 'operator',
+            handler: async ({ params, catalystInstance }) => {
+                const changes = await listRuleChanges(catalystInstance, params);
+                return { success: true, count: changes.length, changes };
+            }
+        },
+        get: {
+            description: 'One rule change, with the rules before and after it',
+            params: params({ changeId }, ['changeId']),
+            role: 'operator',
+            handler: async ({ params, catalystInstance }) => {
+                const change = await getRuleChange(catalystInstance, params.changeId);
+                if (!change) {
+                    return { success: false, error: `Rule change ${params.changeId} not found`, code: 'NOT_FOUND' };
+                }
+                return { success: true, change };
+            }
+        },
+        undo: {
+            description: 'Reverse a rule change - remove an added rule or add a removed one back',
+            params: params({
+                changeId,
+                force: { type: 'boolean', description: 'Undo even if the group changed since (default: false)' }
+            }, ['changeId']),
+            role: 'admin',
+            mutating: true,
+            destructive: true,
+            warning: 'Undoing a rule change removes or re-opens access to the security group',
+            approval: true,
+            dryRun: true,
+            permission: 'ec2_write',
+            resources: ['ec2'],
+            handler: async ({ params, caller, catalystInstance, dryRun }) => {
+                const change = await getRuleChange(catalystInstance, params.changeId);
+                if (!change) {
+                    return { success: false, error: `Rule change ${params.changeId} not found`, code: 'NOT_FOUND' };
+                }
+                if (change.userId !== String(caller.userId)) {
+                    return { success: false, error: `Change ${change.id} was made by ${change.userId} - only they can undo it`, code: 'NOT_YOUR_CHANGE' };
+                }
+                return undoRuleChange(catalystInstance, change, { userId: caller.userId, force: params.force === true, dryRun });
+            }
+        }
+    }
+};
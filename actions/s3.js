@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * S3 Actions
+ * Simple Storage Service - Object storage management
+ */
+
+const s3Service = require('../services/s3');
+const { params, paging, bucket, key, expiresIn } = require('./schemas');
+
+const contentType = { type: 'string', pattern: '^[\\w.+-]+/[\\w.+-]+(;.*)?$', patternMessage: 'must be a MIME type like text/plain', description: 'MIME type of the object' };
+
+module.exports = {
+    service: 's3',
+    description: 'Simple Storage Service - Object storage management',
+    credentials: true,
+    actions: {
+        listBuckets: {
+            description: 'List buckets',
+            params: params({ ...paging }),
+            permission: 's3_read',
+            cacheTtl: 60,
+            handler: ({ params, region, credentials }) =>
+                params.page
+                    ? s3Service.listBuckets(region, params.page, params.limit || 5, credentials)
+                    : s3Service.listBucketsPage(region, params.nextToken, params.limit || 5, credentials)
+        },
+        getBucket: {
+            description: 'Bucket details',
+            params: params({ bucket }, ['bucket']),
+            permission: 's3_read',
+            handler: ({ params, region, credentials }) => s3Service.getBucketInfo(params.bucket, region, credentials)
+        },
+        listObjects: {
+            description: 'List objects in a bucket',
+            params: params({
+                bucket,
+                prefix: { type: 'string', maxLength: 1024, description: 'Only keys starting with this prefix' },
+                maxKeys: { type: 'integer', minimum: 1, maximum: 1000, description: 'Keys per S3 request (default: 100)' },
+                continuationToken: { type: 'string', maxLength: 4096, description: 'S3 token for the next batch of maxKeys keys (numbered pages)' },
+                ...paging
+            }, ['bucket']),
+            permission: 's3_read',
+            handler: ({ params, region, credentials }) => (params.page || params.continuationToken || params.maxKeys)
+                ? s3Service.listObjects(
+                    params.bucket,
+                    params.prefix || '',
+                    region,
+                    params.maxKeys || 100,
+                    credentials,
+                    params.continuationToken || null,
+                    params.page || 1,
+                    params.limit || 5
+                )
+                : s3Service.listObjectsPage(params.bucket, params.prefix || '', region, params.nextToken, params.limit || 5, credentials)
+        },
+        getObject: {
+            description: 'Object metadata',
+            params: params({ bucket, key }, ['bucket', 'key']),
+            permission: 's3_read',
+            handler: ({ params, region, credentials }) => s3Service.getObjectInfo(params.bucket, params.key, region, credentials)
+        },
+        getPresignedUrl: {
+            description: 'Temporary download link',
+            params: params({ bucket, key, expiresIn }, ['bucket', 'key']),
+            permission: 's3_read',
+            handler: ({ params, region, credentials }) =>
+                s3Service.getPresignedUrl(params.bucket, params.key, region, params.expiresIn, credentials)
+        },
+        deleteObject: {
+            description: 'Delete an object',
+            params: params({ bucket, key }, ['bucket', 'key']),
+            role: 'operator',
+            mutating: true,
+            destructive: true,
+            warning: 'Deleting an object removes it permanently',
+            dryRun: true,
+            permission: 's3_write',
+            handler: ({ params, region, credentials, dryRun }) => s3Service.deleteObject(params.bucket, params.key, region, credentials, dryRun)
+        },
+        search: {
+            description: 'Search object keys in a bucket',
+            params: params({
+                bucket,
+                searchTerm: { type: 'string', minLength: 1, maxLength: 1024, description: 'Text to look for in object keys' },
+                maxResults: { type: 'integer', minimum: 1, maximum: 1000, description: 'Most results to return' }
+            }, ['bucket', 'searchTerm']),
+            permission: 's3_read',
+            handler: ({ params, region, credentials }) =>
+                s3Service.searchObjects(params.bucket, params.searchTerm, region, params.maxResults, credentials)
+        },
+        summary: {
+            description: 'Bucket count and overview',
+            permission: 's3_read',
+            cacheTtl: 120,
+            handler: ({ region, credentials }) => s3Service.getBucketsSummary(region, credentials)
+        },
+        getUploadUrl: {
+            description: 'Temporary upload link',
+            params: params({ bucket, key, contentType, expiresIn }, ['bucket', 'key']),
+            role: 'operator',
+            permission: 's3_write',
+            handler: ({ params, region, credentials }) =>
+                s3Service.getUploadPresignedUrl(params.bucket, params.key, params.contentType, region, params.expiresIn, credentials)
+        },
+        uploadFromUrl: {
+            description: 'Copy a file from a URL into a bucket',
+            params: params({
+                bucket,
+                key,
+                sourceUrl: { type: 'string', format: 'url', description: 'URL to download from' },
+                contentType
+            }, ['bucket', 'key', 'sourceUrl']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 's3_write',
+            handler: ({ params, region, credentials, dryRun }) =>
+                s3Service.uploadFromUrl(params.bucket, params.key, params.sourceUrl, params.contentType, region, credentials, dryRun)
+        },
+        createBucket: {
+            description: 'Create a bucket',
+            params: params({ bucket }, ['bucket']),
+            role: 'admin',
+            mutating: true,
+            dryRun: true,
+            permission: 's3_write',
+            handler: ({ params, region, credentials, dryRun }) => s3Service.createBucket(params.bucket, region, credentials, dryRun)
+        },
+        deleteBucket: {
+            description: 'Delete an empty bucket',
+            params: params({ bucket }, ['bucket']),
+            role: 'admin',
+            mutating: true,
+            destructive: true,
+            warning: 'Deleting a bucket removes it permanently',
+            approval: true,
+            dryRun: true,
+            permission: 's3_write',
+            handler: ({ params, region, credentials, dryRun }) => s3Service.deleteBucket(params.bucket, region, credentials, dryRun)
+        }
+    }
+};
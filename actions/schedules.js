@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Schedule Actions
+ * Office hours for EC2 instances and RDS databases (see utils/schedules.js)
+ * Schedules belong to the user who created them and run with their stored
+ * credentials; the cron job (POST /jobs/schedules) applies them
+ */
+
+const {
+    DAYS, DAY_SETS, TIME_PATTERN, resolveTimezone, normalizeDays, evaluateSchedule,
+    createSchedule, updateSchedule, deleteSchedule, getSchedule, listSchedules, listRuns, runSchedule
+} = require('../utils/schedules');
+const { params, instanceId, dbInstanceId, date } = require('./schemas');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('schedules');
+
+const scheduleId = { type: 'string', pattern: '^\\d{1,20}$', patternMessage: 'must be a schedule ID', description: 'Schedule ID' };
+const time = description => ({ type: 'string', pattern: TIME_PATTERN.source, patternMessage: 'must be HH:MM (24-hour)', description });
+
+// Everything create takes; update takes the same, all optional
+const fields = {
+    name: { type: 'string', minLength: 1, maxLength: 100, description: 'Schedule name, e.g. "dev office hours"' },
+    timezone: { type: 'string', minLength: 1, maxLength: 64, description: 'IANA timezone (Asia/Kolkata) or IST, SGT, GST, BST, EST, EDT, PST, PDT' },
+    days: {
+        anyOf: [
+            { type: 'string', enum: Object.keys(DAY_SETS) },
+            { type: 'array', items: { type: 'string', enum: DAYS }, minItems: 1, maxItems: 7 }
+        ],
+        description: 'weekdays, weekends, daily or a list of days (mon, tue, ...)'
+    },
+    start: time('Start of office hours, local time'),
+    stop: time('End of office hours, local time (earlier than start: overnight)'),
+    holidays: { type: 'array', items: date, maxItems: 100, description: 'Dates (YYYY-MM-DD) to keep everything stopped' },
+    instanceIds: { type: 'array', items: instanceId, maxItems: 50, description: 'EC2 instances' },
+    dbInstanceIds: { type: 'array', items: dbInstanceId, maxItems: 50, description: 'RDS DB instances' },
+    tags: {
+        type: 'object',
+        additionalProperties: { type: 'string', maxLength: 256 },
+        description: 'Tag selector - every instance and database with all of these tags'
+    },
+    enabled: { type: 'boolean', description: 'Apply the schedule (default: true)' }
+};
+
+const TARGET_FIELDS = ['instanceIds', 'dbInstanceIds', 'tags'];
+
+/*
+ * Checks the parts the schema can't and puts the request in stored form.
+ * Returns { schedule } or { error } (a handler failure result).
+ */
+function toSchedule(input, existing = null) {
+    const schedule = {};
+    for (const name of ['name', 'holidays', 'enabled']) {
+        if (input[name] !== undefined) schedule[name] = input[name];
+    }
+
+    if (input.timezone !== undefined) {
+        schedule.timezone = resolveTimezone(input.timezone);
+        if (!schedule.timezone) {
+            return { error: { success: false, error: `Unknown timezone: ${input.timezone}. Use an IANA name such as Asia/Kolkata.`, code: 'INVALID_TIMEZONE' } };
+        }
+    }
+    if (input.days !== undefined) schedule.days = normalizeDays(input.days);
+    if (input.start !== undefined) schedule.start = input.start;
+    if (input.stop !== undefined) schedule.stop = input.stop;
+
+    const start = schedule.start || (existing && existing.start);
+    const stop = schedule.stop || (existing && existing.stop);
+    if (start === stop) {
+        return { error: { success: false, error: 'start and stop must differ', code: 'INVALID_HOURS' } };
+    }
+
+    if (TARGET_FIELDS.some(name => input[name] !== undefined)) {
+        const current = existing ? existing.targets : {};
+        schedule.targets = {
+            instanceIds: input.instanceIds || current.instanceIds || [],
+            dbInstanceIds: input.dbInstanceIds || current.dbInstanceIds || [],
+            tags: input.tags || current.tags || {}
+        };
+    }
+    const targets = schedule.targets || (existing && existing.targets);
+    if (!targets || (targets.instanceIds.length === 0 && targets.dbInstanceIds.length === 0 && Object.keys(targets.tags).length === 0)) {
+        return { error: { success: false, error: 'instanceIds, dbInstanceIds or tags is required', code: 'MISSING_TARGET' } };
+    }
+
+    return { schedule };
+}
+
+/*
+ * The caller's schedule, or a NOT_FOUND result
+ */
+async function findOwn(catalystInstance, caller, id) {
+    const schedule = await getSchedule(catalystInstance, caller.userId, id);
+    return schedule
+        ? { schedule }
+        : { error: { success: false, error: `Schedule ${id} not found`, code: 'NOT_FOUND' } };
+}
+
+module.exports = {
+    service: 'schedules',
+    description: 'Office-hours start/stop schedules for EC2 and RDS',
+    credentials: false,
+    catalyst: true,
+    actions: {
+        list: {
+            description: "The caller's schedules",
+            handler: async ({ caller, catalystInstance }) => {
+                const schedules = await listSchedules(catalystInstance, caller.userId);
+                return { success: true, count: schedules.length, schedules };
+            }
+        },
+        get: {
+            description: 'One schedule and what it wants right now',
+            params: params({ scheduleId }, ['scheduleId']),
+            handler: async ({ params, caller, catalystInstance }) => {
+                const { schedule, error } = await findOwn(catalystInstance, caller, params.scheduleId);
+                if (error) return error;
+
+                return { success: true, schedule, now: evaluateSchedule(schedule) };
+            }
+        },
+        create: {
+            description: 'Create a schedule, e.g. weekdays 09:00-19:00 IST',
+            params: params(fields, ['name', 'timezone', 'days', 'start', 'stop']),
+            role: 'operator',
+            mutating: true,
+            handler: async ({ params, caller, profile, requestedRegion, catalystInstance }) => {
+                const { schedule, error } = toSchedule(params);
+                if (error) return error;
+
+                const created = await createSchedule(catalystInstance, caller.userId, { ...schedule, profile, region: requestedRegion });
+                log.info('Schedule created', { scheduleId: created.id, timezone: created.timezone, days: created.days });
+                return { success: true, schedule: created };
+            }
+        },
+        update: {
+            description: 'Change hours, holidays, targets or enabled - applied on the next run',
+            params: params({ scheduleId, ...fields }, ['scheduleId']),
+            role: 'operator',
+            mutating: true,
+            handler: async ({ params: { scheduleId: id, ...changes }, caller, catalystInstance }) => {
+                const found = await findOwn(catalystInstance, caller, id);
+                if (found.error) return found.error;
+
+                const { schedule, error } = toSchedule(changes, found.schedule);
+                if (error) return error;
+
+                return { success: true, schedule: await updateSchedule(catalystInstance, found.schedule, schedule) };
+            }
+        },
+        delete: {
+            description: 'Delete a schedule (its targets stay as they are)',
+            params: params({ scheduleId }, ['scheduleId']),
+            role: 'operator',
+            mutating: true,
+            handler: async ({ params, caller, catalystInstance }) => {
+                const { schedule, error } = await findOwn(catalystInstance, caller, params.scheduleId);
+                if (error) return error;
+
+                await deleteSchedule(catalystInstance, schedule);
+                return { success: true, deleted: schedule.id };
+            }
+        },
+        preview: {
+            description: 'What a run would start and stop, without changing anything',
+            params: params({
+                scheduleId,
+                at: { type: 'string', format: 'dateTime', description: 'Evaluate at this time instead of now (ISO 8601)' }
+            }, ['scheduleId']),
+            handler: async ({ params, caller, catalystInstance }) => {
+                const { schedule, error } = await findOwn(catalystInstance, caller, params.scheduleId);
+                if (error) return error;
+
+                const now = params.at ? new Date(params.at) : new Date();
+                return { success: true, report: await runSchedule(catalystInstance, schedule, { now, trigger: 'manual', preview: true }) };
+            }
+        },
+        run: {
+            description: 'Apply a schedule now instead of waiting for the cron job',
+            params: params({ scheduleId }, ['scheduleId']),
+            role: 'operator',
+            mutating: true,
+            resources: ['ec2', 'rds'],
+            handler: async ({ params, caller, catalystInstance }) => {
+                const { schedule, error } = await findOwn(catalystInstance, caller, params.scheduleId);
+                if (error) return error;
+
+                // Apply the current state even if the last run already saw it
+                const report = await runSchedule(catalystInstance, { ...schedule, lastState: null }, { trigger: 'manual' });
+                return { success: true, report };
+            }
+        },
+        runs: {
+            description: 'Run reports, newest first',
+            params: params({
+                scheduleId,
+                limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Most reports to return (default: 20)' }
+            }),
+            handler: async ({ params, caller, catalystInstance }) => {
+                const runs = await listRuns(catalystInstance, caller.userId, params);
+                return { success: true, count: runs.length, runs };
+            }
+        }
+    }
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Parameter Schemas
+ * Shared JSON Schema fragments for action declarations
+ *
+ * Each action in the registry describes its parameters as a JSON Schema
+ * object (see params() below). Fragments for parameters that many actions
+ * share live here so they are described the same way everywhere.
+ */
+
+/**
+ * Object schema for an action's parameters
+ *
+ * @param {Object} properties - Parameter name -> JSON Schema
+ * @param {Array} required - Names of required parameters
+ */
+function params(properties = {}, required = []) {
+    return { type: 'object', properties, required };
+}
+
+const page = { type: 'integer', minimum: 1, description: 'Page number (default: 1)' };
+const limit = { type: 'integer', minimum: 1, maximum: 100, description: 'Items per page (default: 5)' };
+const nextToken = { type: 'string', minLength: 1, maxLength: 4096, description: 'Cursor from the previous page (see utils/pagination.js)' };
+
+// nextToken + limit (cursor pages) or page + limit (numbered pages), spread into list actions
+const paging = { nextToken, page, limit };
+
+const instanceId = { type: 'string', format: 'instanceId', description: 'EC2 instance ID' };
+const vpcId = { type: 'string', format: 'vpcId', description: 'VPC ID' };
+const groupId = { type: 'string', format: 'securityGroupId', description: 'Security group ID' };
+const bucket = { type: 'string', format: 'bucketName', description: 'S3 bucket name' };
+const key = { type: 'string', minLength: 1, maxLength: 1024, description: 'S3 object key' };
+const functionName = { type: 'string', format: 'functionName', description: 'Lambda function name or ARN' };
+const alarmName = { type: 'string', minLength: 1, maxLength: 255, description: 'CloudWatch alarm name' };
+const logGroupName = { type: 'string', format: 'logGroupName', description: 'CloudWatch Logs group name' };
+const dbInstanceId = { type: 'string', format: 'dbInstanceId', description: 'RDS DB instance identifier' };
+const dbClusterId = { type: 'string', format: 'dbInstanceId', description: 'Aurora DB cluster identifier' };
+const topicArn = { type: 'string', format: 'topicArn', description: 'SNS topic ARN' };
+const subscriptionArn = { type: 'string', format: 'subscriptionArn', description: 'SNS subscription ARN' };
+const expiresIn = { type: 'integer', minimum: 1, maximum: 604800, description: 'URL lifetime in seconds (max 7 days)' };
+const minutes = { type: 'integer', minimum: 1, maximum: 10080, description: 'How far back to look, in minutes' };
+const period = { type: 'string', enum: ['today', 'yesterday', 'week', 'month', 'quarter', 'year'], description: 'Reporting period' };
+const date = { type: 'string', format: 'date', description: 'Date (YYYY-MM-DD)' };
+const prompt = { type: 'string', minLength: 1, maxLength: 20000, description: 'Question or instruction for the assistant' };
+
+// -1 means "all ports" (protocol -1 or ICMP)
+const port = { type: 'integer', minimum: -1, maximum: 65535, description: 'Port number' };
+
+// Security group rule, as sent by the dashboard widget
+const rule = {
+    type: 'object',
+    description: 'Security group rule',
+    properties: {
+        protocol: { type: 'string', pattern: '^(tcp|udp|icmp|icmpv6|-1|\\d{1,3})$', patternMessage: 'must be tcp, udp, icmp, icmpv6, -1 (all) or a protocol number', description: 'IP protocol (-1 for all)' },
+        fromPort: port,
+        toPort: port,
+        cidr: { type: 'string', format: 'cidr', description: 'Source/destination network, e.g. 10.0.0.0/16' },
+        description: { type: 'string', maxLength: 255, description: 'Rule description' }
+    },
+    required: ['protocol', 'fromPort', 'toPort', 'cidr'],
+    additionalProperties: false
+};
+
+module.exports = {
+    params,
+    paging,
+    page,
+    limit,
+    nextToken,
+    instanceId,
+    vpcId,
+    groupId,
+    bucket,
+    key,
+    functionName,
+    alarmName,
+    logGroupName,
+    dbInstanceId,
+    dbClusterId,
+    topicArn,
+    subscriptionArn,
+    expiresIn,
+    minutes,
+    period,
+    date,
+    prompt,
+    port,
+    rule
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Search Action
+ * One query across every resource type (see utils/search.js)
+ */
+
+const { TYPES, searchResources } = require('../utils/search');
+const { params } = require('./schemas');
+
+module.exports = {
+    service: 'search',
+    description: 'Find resources by name, ID, ARN or tag across services',
+    credentials: true,
+    // { "service": "search", "query": "payments" } with no action still answers
+    defaultAction: 'resources',
+    actions: {
+        resources: {
+            description: 'EC2 instances, S3 buckets, Lambda functions, RDS instances and clusters, log groups, SNS topics, alarms and IAM roles matching a query, best first',
+            params: params({
+                query: { type: 'string', minLength: 2, maxLength: 256, description: 'Name, ID, ARN or tag value to look for, or key=value for a tag' },
+                types: { type: 'array', items: { type: 'string', enum: TYPES }, minItems: 1, maxItems: TYPES.length, description: 'Only these resource types (default: all)' },
+                limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Most results to return (default: 20)' }
+            }, ['query']),
+            cacheTtl: 30,
+            resources: ['ec2', 's3', 'lambda', 'rds', 'logs', 'sns', 'cloudwatch', 'iam'],
+            handler: ({ params, region, credentials }) =>
+                searchResources(params.query, { types: params.types, limit: params.limit, region, credentials })
+        }
+    }
+};
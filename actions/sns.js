@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * SNS Actions
+ * Simple Notification Service - Pub/sub messaging
+ */
+
+const snsService = require('../services/sns');
+const { params, topicArn, subscriptionArn } = require('./schemas');
+
+module.exports = {
+    service: 'sns',
+    description: 'Simple Notification Service - Pub/sub messaging',
+    credentials: true,
+    actions: {
+        listTopics: {
+            description: 'List topics',
+            permission: 'sns_read',
+            cacheTtl: 60,
+            handler: ({ region, credentials }) => snsService.listTopics(region, credentials)
+        },
+        getTopic: {
+            description: 'Topic attributes',
+            params: params({ topicArn }, ['topicArn']),
+            permission: 'sns_read',
+            handler: ({ params, region, credentials }) => snsService.getTopic(params.topicArn, region, credentials)
+        },
+        listSubscriptions: {
+            description: 'List all subscriptions',
+            permission: 'sns_read',
+            cacheTtl: 60,
+            handler: ({ region, credentials }) => snsService.listSubscriptions(region, credentials)
+        },
+        topicSubscriptions: {
+            description: "A topic's subscriptions",
+            params: params({ topicArn }, ['topicArn']),
+            permission: 'sns_read',
+            cacheTtl: 60,
+            handler: ({ params, region, credentials }) => snsService.listTopicSubscriptions(params.topicArn, region, credentials)
+        },
+        publish: {
+            description: 'Publish a message to a topic',
+            params: params({
+                topicArn,
+                message: { type: 'string', minLength: 1, maxLength: 262144, description: 'Message body (max 256 KB)' },
+                subject: { type: 'string', maxLength: 100, description: 'Subject for email subscribers' }
+            }, ['topicArn', 'message']),
+            role: 'operator',
+            paid: true,
+            mutating: true,
+            dryRun: true,
+            permission: 'sns_write',
+            handler: ({ params, region, credentials, dryRun }) =>
+                snsService.publish(params.topicArn, params.message, params.subject, region, credentials, dryRun)
+        },
+        createTopic: {
+            description: 'Create a topic',
+            params: params({
+                name: { type: 'string', pattern: '^[\\w-]{1,256}(\\.fifo)?$', patternMessage: 'may only contain letters, numbers, "-" and "_" (max 256)', description: 'Topic name' },
+                attributes: { type: 'object', description: 'Topic attributes' }
+            }, ['name']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'sns_write',
+            handler: ({ params, region, credentials, dryRun }) => snsService.createTopic(params.name, region, params.attributes, credentials, dryRun)
+        },
+        deleteTopic: {
+            description: 'Delete a topic',
+            params: params({ topicArn }, ['topicArn']),
+            role: 'admin',
+            mutating: true,
+            destructive: true,
+            warning: 'Deleting a topic also removes all of its subscriptions',
+            approval: true,
+            dryRun: true,
+            permission: 'sns_write',
+            handler: ({ params, region, credentials, dryRun }) => snsService.deleteTopic(params.topicArn, region, credentials, dryRun)
+        },
+        subscribe: {
+            description: 'Subscribe an endpoint to a topic',
+            params: params({
+                topicArn,
+                protocol: { type: 'string', enum: ['email', 'email-json', 'sms', 'http', 'https', 'sqs', 'lambda', 'application', 'firehose'], description: 'Delivery protocol' },
+                endpoint: { type: 'string', minLength: 1, maxLength: 2048, description: 'Email address, phone number, URL or ARN' }
+            }, ['topicArn', 'protocol', 'endpoint']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'sns_write',
+            handler: ({ params, region, credentials, dryRun }) =>
+                snsService.subscribe(params.topicArn, params.protocol, params.endpoint, region, credentials, dryRun)
+        },
+        unsubscribe: {
+            description: 'Remove a subscription',
+            params: params({ subscriptionArn }, ['subscriptionArn']),
+            role: 'operator',
+            mutating: true,
+            dryRun: true,
+            permission: 'sns_write',
+            handler: ({ params, region, credentials, dryRun }) => snsService.unsubscribe(params.subscriptionArn, region, credentials, dryRun)
+        },
+        summary: {
+            description: 'Topic and subscription counts',
+            permission: 'sns_read',
+            cacheTtl: 60,
+            handler: ({ region, credentials }) => snsService.getSNSSummary(region, credentials)
+        }
+    }
+};
@@ -0,0 +1,326 @@
+'use strict';
+
+/**
+ * User Credentials Actions
+ * Secure storage for user's own AWS credentials
+ * Secrets are AES-256-GCM envelope encrypted (encryptRecord, see
+ * utils/encryption.js) before they reach the Data Store; read masks them.
+ * Every action works on one account profile ("profile" field,
+ * default: "default"). Profiles are key pairs or IAM roles.
+ */
+
+const { config, toAwsCredentials } = require('../utils/aws-clients');
+const { DEFAULT_PROFILE, getProfileName, isValidProfileName, isValidRoleArn, findProfile, listProfiles, clearAssumedRole } = require('../utils/profiles');
+const { getUserCredentials, encryptRecord, reencryptAll } = require('../utils/credentials');
+const credentialRepository = require('../utils/credential-repository');
+const { isEncryptionConfigured, maskSecret } = require('../utils/encryption');
+const { params } = require('./schemas');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('user_credentials');
+
+const ENCRYPTION_NOT_CONFIGURED = {
+    success: false,
+    error: 'Credential encryption is not configured on the server (CREDENTIALS_MASTER_KEY)',
+    code: 'ENCRYPTION_NOT_CONFIGURED'
+};
+
+/*
+ * Resolves the profile name and rejects invalid ones before the handler runs
+ */
+function withProfile(handler) {
+    return ctx => {
+        const profileName = ctx.profile || DEFAULT_PROFILE;
+        
+        if (!isValidProfileName(profileName)) {
+            return {
+                success: false,
+                error: 'Profile names may only contain letters, numbers, "-" and "_" (max 32 characters)',
+                code: 'INVALID_PROFILE'
+            };
+        }
+        
+        return handler({ ...ctx, profileName });
+    };
+}
+
+module.exports = {
+    service: 'user_credentials',
+    description: "Secure storage for the user's own AWS credentials",
+    credentials: false,
+    catalyst: true,
+    actions: {
+        write: {
+            description: 'Store or update a profile (key pair or IAM role)',
+            params: params({
+                access_key_id: { type: 'string', pattern: '^[A-Z0-9]{16,128}$', description: 'AWS access key ID' },
+                secret_access_key: { type: 'string', minLength: 16, maxLength: 128, description: 'AWS secret access key' },
+                session_token: { type: 'string', description: 'Session token for temporary keys' },
+                role_arn: { type: 'string', format: 'roleArn', description: 'IAM role to assume instead of a key pair' },
+                external_id: { type: 'string', pattern: '^[\\w+=,.@:/-]{2,1224}$', description: 'External ID required by the role trust policy' }
+            }),
+            mutating: true,
+            handler: withProfile(async ({ params, userId, profileName, requestedRegion, catalystInstance }) => {
+                // Store or update user credentials (key pair or role profile)
+                if (!credentialRepository.isValidUserId(userId)) {
+                    return {
+                        success: false,
+                        error: 'A valid userId is required to store credentials',
+                        code: 'INVALID_USER_ID'
+                    };
+                }
+                if (params.role_arn && !isValidRoleArn(params.role_arn)) {
+                    return {
+                        success: false,
+                        error: 'Invalid role ARN. Expected arn:aws:iam::<account-id>:role/<role-name>',
+                        code: 'INVALID_ROLE_ARN'
+                    };
+                }
+                if (!params.role_arn && !(params.access_key_id && params.secret_access_key)) {
+                    return {
+                        success: false,
+                        error: 'Provide either access_key_id and secret_access_key, or role_arn',
+                        code: 'MISSING_CREDENTIALS'
+                    };
+                }
+                
+                if (!isEncryptionConfigured()) {
+                    return ENCRYPTION_NOT_CONFIGURED;
+                }
+                
+                // Secrets are encrypted before they reach the Data Store
+                const credData = encryptRecord({
+                    user_id: userId,
+                    profile_name: profileName,
+                    access_key_id: params.access_key_id || '',
+                    secret_access_key: params.secret_access_key || '',
+                    region: requestedRegion || config.awsRegion,
+                    session_token: params.session_token || '',
+                    role_arn: params.role_arn || '',
+                    external_id: params.external_id || '',
+                    created_at: Date.now(),
+                    updated_at: Date.now()
+                });
+                
+                log.info('Saving profile', { userId, profile: profileName });
+                
+                // Check if this profile already exists
+                const existingCreds = await credentialRepository.findByUser(catalystInstance, userId);
+                const userCred = findProfile(existingCreds, userId, profileName);
+                clearAssumedRole(userId, profileName);
+                
+                if (userCred) {
+                    // Update existing credentials
+                    credData.updated_at = Date.now();
+                    await credentialRepository.update(catalystInstance, userId, {
+                        ROWID: userCred.ROWID,
+                        ...credData
+                    });
+                    return {
+                        success: true,
+                        message: 'Credentials updated successfully'
+                    };
+                }
+                
+                // Insert new credentials
+                await credentialRepository.insert(catalystInstance, credData);
+                return {
+                    success: true,
+                    message: 'Credentials stored successfully'
+                };
+            })
+        },
+        read: {
+            description: 'Stored profile with secrets masked',
+            handler: withProfile(async ({ userId, profileName, catalystInstance }) => {
+                // Retrieve user credentials (secrets are masked, never returned)
+                log.debug('Reading profile', { userId, profile: profileName });
+                
+                const allCreds = await credentialRepository.findByUser(catalystInstance, userId);
+                const userCredentials = findProfile(allCreds, userId, profileName);
+                
+                if (!userCredentials) {
+                    return {
+                        success: false,
+                        error: 'No credentials found for this user'
+                    };
+                }
+                
+                return {
+                    success: true,
+                    data: {
+                        profile: getProfileName(userCredentials),
+                        role_arn: userCredentials.role_arn || null,
+                        external_id: userCredentials.external_id || null,
+                        access_key_id: userCredentials.access_key_id,
+                        secret_access_key: maskSecret(userCredentials.secret_access_key),
+                        region: userCredentials.region,
+                        session_token: maskSecret(userCredentials.session_token),
+                        created_at: userCredentials.created_at,
+                        updated_at: userCredentials.updated_at
+                    }
+                };
+            })
+        },
+        delete: {
+            description: 'Delete a profile',
+            mutating: true,
+            handler: withProfile(async ({ userId, profileName, catalystInstance }) => {
+                log.info('Deleting profile', { userId, profile: profileName });
+                
+                const credsToDelete = await credentialRepository.findByUser(catalystInstance, userId);
+                const credToDelete = findProfile(credsToDelete, userId, profileName);
+                
+                if (!credToDelete) {
+                    return {
+                        success: false,
+                        error: 'No credentials found to delete'
+                    };
+                }
+                
+                await credentialRepository.remove(catalystInstance, credToDelete);
+                clearAssumedRole(userId, profileName);
+                return {
+                    success: true,
+                    message: 'Credentials deleted successfully'
+                };
+            })
+        },
+        check_exists: {
+            description: 'Whether a profile exists (no AWS call)',
+            handler: withProfile(async ({ userId, profileName, catalystInstance }) => {
+                // Lightweight check - just verify if credentials exist (no AWS call)
+                log.debug('Checking for a stored profile', { userId });
+                
+                const credsCheck = await credentialRepository.findByUser(catalystInstance, userId);
+                const userCredCheck = findProfile(credsCheck, userId, profileName);
+                
+                return {
+                    success: true,
+                    exists: userCredCheck ? true : false,
+                    setup_type: userCredCheck ? 'configured' : 'not_configured'
+                };
+            })
+        },
+        test: {
+            description: 'Validate a profile with STS GetCallerIdentity',
+            handler: withProfile(async ({ userId, profileName, catalystInstance }) => {
+                // Validate credentials by making an AWS STS GetCallerIdentity call
+                // (role profiles are assumed first, so this also tests the trust policy)
+                log.info('Testing profile', { userId, profile: profileName });
+                
+                try {
+                    const userCredToTest = await getUserCredentials(userId, catalystInstance, profileName);
+                    
+                    if (!userCredToTest) {
+                        return {
+                            success: false,
+                            error: 'No credentials found for this user'
+                        };
+                    }
+                    
+                    const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+                    const stsClient = new STSClient({
+                        region: userCredToTest.region || config.awsRegion,
+                        credentials: toAwsCredentials(userCredToTest)
+                    });
+                    
+                    const identityResult = await stsClient.send(new GetCallerIdentityCommand({}));
+                    
+                    return {
+                        success: true,
+                        message: 'Credentials are valid',
+                        profile: profileName,
+                        identity: {
+                            account: identityResult.Account,
+                            userId: identityResult.UserId,
+                            arn: identityResult.Arn
+                        }
+                    };
+                } catch (error) {
+                    return {
+                        success: false,
+                        error: 'Invalid credentials: ' + error.message
+                    };
+                }
+            })
+        },
+        copy_shared: {
+            description: 'Copy the shared demo credentials to the default profile',
+            mutating: true,
+            handler: withProfile(async ({ userId, catalystInstance }) => {
+                // Copy shared env credentials to user's table (for Quick Demo users)
+                log.info('Creating Quick Demo profile', { userId });
+                
+                if (!isEncryptionConfigured()) {
+                    return ENCRYPTION_NOT_CONFIGURED;
+                }
+                
+                const sharedCredData = encryptRecord({
+                    user_id: userId,
+                    profile_name: DEFAULT_PROFILE,
+                    access_key_id: process.env.AWS_ACCESS_KEY_ID || '',
+                    secret_access_key: process.env.AWS_SECRET_ACCESS_KEY || '',
+                    region: config.awsRegion,
+                    session_token: '',
+                    role_arn: '',
+                    external_id: '',
+                    created_at: Date.now(),
+                    updated_at: Date.now()
+                });
+                
+                // Check if credentials already exist
+                const existingSharedCreds = await credentialRepository.findByUser(catalystInstance, userId);
+                const userSharedCred = findProfile(existingSharedCreds, userId, DEFAULT_PROFILE);
+                clearAssumedRole(userId, DEFAULT_PROFILE);
+                
+                if (userSharedCred) {
+                    // Update existing credentials with shared ones
+                    sharedCredData.updated_at = Date.now();
+                    await credentialRepository.update(catalystInstance, userId, {
+                        ROWID: userSharedCred.ROWID,
+                        ...sharedCredData
+                    });
+                    return {
+                        success: true,
+                        message: 'Shared credentials copied successfully (updated)'
+                    };
+                }
+                
+                // Insert new credentials
+                await credentialRepository.insert(catalystInstance, sharedCredData);
+                return {
+                    success: true,
+                    message: 'Shared credentials copied successfully (created)'
+                };
+            })
+        },
+        reencrypt: {
+            description: 'Re-encrypt all stored secrets with the current master key',
+            role: 'admin',
+            mutating: true,
+            handler: withProfile(async ({ userId, catalystInstance }) => {
+                // Run once after rotating CREDENTIALS_MASTER_KEY
+                if (!isEncryptionConfigured()) {
+                    return ENCRYPTION_NOT_CONFIGURED;
+                }
+                
+                log.info('Re-encrypting stored keys', { requestedBy: userId });
+                return {
+                    success: true,
+                    ...(await reencryptAll(catalystInstance))
+                };
+            })
+        },
+        list_profiles: {
+            description: "All of the user's profiles, without secrets",
+            handler: withProfile(async ({ userId, catalystInstance }) => {
+                const profileRows = await credentialRepository.findByUser(catalystInstance, userId);
+                return {
+                    success: true,
+                    profiles: listProfiles(profileRows, userId)
+                };
+            })
+        }
+    }
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Widget Parameter Schemas
+ * Parameters of the dashboard widget routes (controllers/widget/)
+ *
+ * The widget routes reuse the router's service:action names for access
+ * control and auditing, but take their own parameters (bucketName instead
+ * of bucket, timeRange instead of hours, ...), so their schemas live here
+ * rather than in the action registry. Checked by validateParams()
+ * (utils/validation.js) with query and body merged.
+ *
+ * /widget/s3/upload parses its multipart body inside the controller, so it
+ * has no schema here.
+ *
+ * WIDGET_ROUTES lists the routes themselves (declared in index.js) for the
+ * OpenAPI document (utils/openapi.js).
+ */
+
+const { params, instanceId, groupId, bucket, key, expiresIn, functionName, rule } = require('./schemas');
+
+const volumeId = { type: 'string', format: 'volumeId', description: 'EBS volume ID' };
+const prefix = { type: 'string', maxLength: 1024, description: 'Key prefix (folder)' };
+const description = { type: 'string', maxLength: 255, description: 'Description' };
+const securityGroupRule = params({ groupId, rule }, ['groupId', 'rule']);
+const instanceOnly = params({ instanceId }, ['instanceId']);
+const bucketOnly = params({ bucket }, ['bucket']);
+const objectOnly = params({ bucket, key }, ['bucket', 'key']);
+
+// Settings updateFunctionConfiguration() passes to UpdateFunctionConfiguration
+const lambdaUpdates = {
+    type: 'object',
+    description: 'Configuration changes',
+    properties: {
+        Description: { type: 'string', maxLength: 256 },
+        Handler: { type: 'string', pattern: '^[^\\s]{1,128}$' },
+        Runtime: { type: 'string', pattern: '^[a-z0-9.]{1,32}$' },
+        Role: { type: 'string', format: 'roleArn' },
+        Timeout: { type: 'integer', minimum: 1, maximum: 900 },
+        MemorySize: { type: 'integer', minimum: 128, maximum: 10240 },
+        EphemeralStorage: {
+            type: 'object',
+            properties: { Size: { type: 'integer', minimum: 512, maximum: 10240 } },
+            required: ['Size'],
+            additionalProperties: false
+        },
+        Environment: {
+            type: 'object',
+            properties: {
+                Variables: {
+                    type: 'object',
+                    additionalProperties: { type: 'string', maxLength: 4096 }
+                }
+            },
+            additionalProperties: false
+        },
+        TracingConfig: {
+            type: 'object',
+            properties: { Mode: { type: 'string', enum: ['Active', 'PassThrough'] } },
+            additionalProperties: false
+        },
+        Layers: { type: 'array', items: { type: 'string', format: 'arn' }, maxItems: 5 }
+    },
+    additionalProperties: false
+};
+
+const WIDGET_PARAMS = {
+    // EC2 (/widget/ec2?action=..., /widget/ec2/metrics)
+    'ec2:consoleOutput': instanceOnly,
+    'ec2:listVolumes': instanceOnly,
+    'ec2:getSecurityGroups': instanceOnly,
+    'ec2:start': instanceOnly,
+    'ec2:stop': instanceOnly,
+    'ec2:reboot': instanceOnly,
+    'ec2:terminate': instanceOnly,
+    'ec2:createSnapshot': params({ volumeId, description }, ['volumeId']),
+    'ec2:createImage': params({
+        instanceId,
+        name: { type: 'string', pattern: '^[\\w ().\\/\'@-]{3,128}$', patternMessage: 'must be 3-128 letters, numbers, spaces or ()./\'@-_', description: 'AMI name' },
+        description,
+        noReboot: { type: 'boolean', description: 'Skip the reboot before imaging' }
+    }, ['instanceId', 'name']),
+    'ec2:associateElasticIp': params({
+        instanceId,
+        allocationId: { type: 'string', format: 'allocationId', description: 'Elastic IP allocation ID' }
+    }, ['instanceId', 'allocationId']),
+    'ec2:disassociateElasticIp': params({
+        associationId: { type: 'string', format: 'associationId', description: 'Elastic IP association ID' }
+    }, ['associationId']),
+    'ec2:modifyInstanceType': params({
+        instanceId,
+        newInstanceType: { type: 'string', format: 'instanceType', description: 'New instance type, e.g. t3.small' }
+    }, ['instanceId', 'newInstanceType']),
+    'ec2:addInboundRule': securityGroupRule,
+    'ec2:addOutboundRule': securityGroupRule,
+    'ec2:removeInboundRule': securityGroupRule,
+    'ec2:removeOutboundRule': securityGroupRule,
+    'ec2:metrics': params({
+        instanceId,
+        timeRange: { type: 'string', enum: ['1h', '6h', '24h', '7d'], description: 'Time range (default: 1h)' }
+    }, ['instanceId']),
+
+    // S3 (/widget/s3/*)
+    's3:listObjects': params({
+        bucket,
+        prefix,
+        continuationToken: { type: 'string', maxLength: 4096 },
+        maxKeys: { type: 'integer', minimum: 1, maximum: 1000 }
+    }, ['bucket']),
+    's3:deleteObject': objectOnly,
+    's3:getPresignedUrl': params({ bucket, key, expiresIn }, ['bucket', 'key']),
+    's3:getBucket': bucketOnly,
+    's3:deleteBucket': bucketOnly,
+    's3:createBucket': params({ bucketName: bucket }, ['bucketName']),
+    's3:search': params({ bucket, searchTerm: { type: 'string', minLength: 1, maxLength: 1024 } }, ['bucket', 'searchTerm']),
+    's3:getObject': objectOnly,
+    's3:createFolder': params({
+        bucket,
+        folderName: { type: 'string', pattern: '^[^/\\\\]{1,255}$', patternMessage: 'must be 1-255 characters without slashes', description: 'Folder name' },
+        prefix
+    }, ['bucket', 'folderName']),
+    's3:deleteFolder': params({
+        bucket,
+        folderKey: { type: 'string', pattern: '^.{1,1024}/$', patternMessage: 'must end with "/"', description: 'Folder key' }
+    }, ['bucket', 'folderKey']),
+    's3:summary': bucketOnly,
+
+    // Lambda (/widget/lambda, action in the body)
+    'lambda:getConfiguration': params({ functionName }, ['functionName']),
+    'lambda:getLogs': params({ functionName, limit: { type: 'integer', minimum: 1, maximum: 10000 } }, ['functionName']),
+    'lambda:invoke': params({ functionName, payload: { description: 'Event (object or JSON string)' } }, ['functionName']),
+    'lambda:updateCode': params({ functionName }, ['functionName']),
+    'lambda:updateConfiguration': params({ functionName, updates: lambdaUpdates }, ['functionName', 'updates'])
+};
+
+const binary = { type: 'string', format: 'binary' };
+const profile = { type: 'string', description: 'Credential profile (default: "default")' };
+
+/*
+ * Widget API routes. Each runs one or more service:actions - routes with
+ * several pick one with the action parameter (actionIn: query or body).
+ *   input:  where the parameters are sent - query, json or multipart
+ *   upload: file fields, sent as multipart/form-data
+ *   params: schema of routes without WIDGET_PARAMS entries (their
+ *           actions' schemas plus profile otherwise)
+ */
+const WIDGET_ROUTES = [
+    {
+        method: 'get', path: '/widget/ec2', service: 'ec2', actionIn: 'query', input: 'query',
+        summary: 'EC2 widget reads',
+        actions: ['consoleOutput', 'listVolumes', 'listElasticIps', 'listInstanceTypes', 'getSecurityGroups']
+    },
+    {
+        method: 'post', path: '/widget/ec2', service: 'ec2', actionIn: 'query', input: 'json',
+        summary: 'EC2 widget changes',
+        actions: [
+            'start', 'stop', 'reboot', 'terminate', 'createSnapshot', 'createImage',
+            'allocateElasticIp', 'associateElasticIp', 'disassociateElasticIp', 'modifyInstanceType',
+            'addInboundRule', 'addOutboundRule', 'removeInboundRule', 'removeOutboundRule'
+        ]
+    },
+    { method: 'get', path: '/widget/ec2/metrics', service: 'ec2', actions: ['metrics'], input: 'query', summary: 'CPU and network metrics of an instance' },
+    { method: 'get', path: '/widget/s3/browse', service: 's3', actions: ['listObjects'], input: 'query', summary: 'Folders and files under a prefix' },
+    {
+        method: 'post', path: '/widget/s3/upload', service: 's3', actions: ['upload'], input: 'multipart',
+        summary: 'Upload one file (max 50MB)',
+        upload: { file: binary },
+        params: params({ bucket, prefix, profile }, ['bucket'])
+    },
+    { method: 'post', path: '/widget/s3/delete', service: 's3', actions: ['deleteObject'], input: 'json', summary: 'Delete an object' },
+    { method: 'get', path: '/widget/s3/download', service: 's3', actions: ['getPresignedUrl'], input: 'query', summary: 'Presigned download URL' },
+    { method: 'get', path: '/widget/s3/info', service: 's3', actions: ['getBucket'], input: 'query', summary: 'Object count and size of a bucket' },
+    { method: 'post', path: '/widget/s3/delete-bucket', service: 's3', actions: ['deleteBucket'], input: 'json', summary: 'Delete an empty bucket' },
+    { method: 'post', path: '/widget/s3/create', service: 's3', actions: ['createBucket'], input: 'json', summary: 'Create a bucket' },
+    {
+        method: 'post', path: '/widget/lambda', service: 'lambda', actionIn: 'body', input: 'json',
+        summary: 'Lambda widget (JSON, or multipart for updateCode)',
+        actions: ['list', 'getConfiguration', 'getLogs', 'invoke', 'updateCode', 'updateConfiguration'],
+        upload: { zipFile: binary }
+    },
+    { method: 'get', path: '/widget/s3/search', service: 's3', actions: ['search'], input: 'query', summary: 'Objects whose key contains a term' },
+    { method: 'get', path: '/widget/s3/object-info', service: 's3', actions: ['getObject'], input: 'query', summary: 'Object metadata' },
+    { method: 'post', path: '/widget/s3/create-folder', service: 's3', actions: ['createFolder'], input: 'json', summary: 'Create a folder' },
+    { method: 'post', path: '/widget/s3/delete-folder', service: 's3', actions: ['deleteFolder'], input: 'json', summary: 'Delete a folder and everything in it' },
+    { method: 'get', path: '/widget/s3/detailed-stats', service: 's3', actions: ['summary'], input: 'query', summary: 'Bucket size by file type' },
+    {
+        method: 'post', path: '/upload', service: 's3', actions: ['upload'], input: 'multipart',
+        summary: 'Upload up to 10 files from Cliq (max 50MB each)',
+        upload: { files: { type: 'array', items: binary, maxItems: 10 } },
+        params: params({
+            metadata: { type: 'string', contentMediaType: 'application/json', description: 'JSON: { bucket, prefix, userId, region, profile }' }
+        }, ['metadata'])
+    },
+    {
+        method: 'get', path: '/widget/dashboard/data', input: 'query',
+        summary: 'Dashboard widget data (signed in only, no role check)',
+        params: params({
+            userId: { type: 'string', description: 'Cliq user ID' },
+            region: { type: 'string', description: 'AWS region (default: the stored region)' },
+            profile
+        }, ['userId'])
+    }
+];
+
+/**
+ * Schema for a widget route's service:action, or null if it has none
+ */
+function getWidgetParams(service, action) {
+    return WIDGET_PARAMS[`${service}:${action}`] || null;
+}
+
+module.exports = {
+    WIDGET_PARAMS,
+    WIDGET_ROUTES,
+    getWidgetParams
+};
@@ -6,28 +6,38 @@
  */
 
 const { successResponse, errorResponse } = require('../../utils/helpers');
+const { sendAWSError } = require('../../utils/aws-errors');
+const { toAwsCredentials, isSupportedRegion, resolveRegion } = require('../../utils/aws-clients');
+const { getUserCredentials } = require('../../utils/credentials');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('widget:dashboard');
 
 async function getDashboardData(req, res, ec2Service, s3Service, lambdaService, cloudwatchService, logsService, costService, rdsService) {
     const userId = req.query.userId;
-    const region = process.env.AWS_REGION || 'ap-south-1';
+    const requestedRegion = req.query.region;
+    let region = resolveRegion(requestedRegion);
     let hasUserCredentials = false;
     let userCredentials = null;
     let catalystInstance = null;
     
-    console.log(`[Dashboard] Request received: { userId: '${userId}', queryParams: ${JSON.stringify(req.query)} }`);
+    log.info('Dashboard data requested', { userId, query: req.query });
+
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
+    }
 
     try {
         const catalystApp = require('zcatalyst-sdk-node');
         if (!catalystApp) {
-            console.error('[Dashboard] ERROR: Catalyst SDK not available');
+            log.error('Catalyst SDK not available');
             throw new Error('Catalyst SDK not available. Please deploy to Catalyst.');
         }
         
-        console.log('[Dashboard] Initializing Catalyst SDK...');
         catalystInstance = catalystApp.initialize(req);
 
         if (!userId) {
-            console.log('[Dashboard] REJECTING: No userId provided');
+            log.warn('No userId provided - rejecting');
             return res.status(400).json(errorResponse('No user ID provided. Please ensure the widget URL includes userId.', 'NO_USER_ID', {
                 title: "Setup Required",
                 description: "Cannot load dashboard without user identification. Please ensure the widget URL includes your user ID.",
@@ -35,18 +45,13 @@ async function getDashboardData(req, res, ec2Service, s3Service, lambdaService,
             }));
         }
 
-        const credDatastore = catalystInstance.datastore();
-        const credTable = credDatastore.table('user_credentials');
-        
-        console.log(`[Dashboard] Executing query: SELECT * FROM user_credentials WHERE user_id = '${userId}'`);
-        const allCreds = await credTable.getAllRows();
-        userCredentials = allCreds.find(row => row.user_id === userId);
+        userCredentials = await getUserCredentials(userId, catalystInstance, req.query.profile);
 
         if (userCredentials) {
             hasUserCredentials = true;
-            console.log(`[Dashboard] ✓ Found credentials for user ${userId}`);
+            region = resolveRegion(requestedRegion, userCredentials.region);
         } else {
-            console.log(`[Dashboard] REJECTING: User ${userId} has not set up credentials`);
+            log.info('No stored profile - rejecting', { userId });
             return res.status(401).json(errorResponse('AWS credentials not configured', 'NO_CREDENTIALS', {
                 title: "AWS Credentials Not Set Up",
                 description: "You have not set up your AWS credentials yet.",
@@ -54,41 +59,42 @@ async function getDashboardData(req, res, ec2Service, s3Service, lambdaService,
             }));
         }
         
-        console.log(`[Dashboard] Fetching AWS data for region: ${region}`);
+        log.debug('Fetching AWS data', { region });
+        const credentials = toAwsCredentials(userCredentials);
 
         // Fetch data from all AWS services in parallel
         const [ec2Data, s3Data, lambdaData, alarmsData, logsData, costData, rdsData] = await Promise.all([
-            ec2Service.listInstances(region).catch(err => {
-                console.error('[Dashboard] EC2 fetch failed:', err);
+            ec2Service.listInstances(region, {}, 1, 5, credentials).catch(err => {
+                log.error('EC2 fetch failed', { error: err });
                 return [];
             }),
-            s3Service.listBuckets(region, 1, 10000).then(r => r.buckets || r).catch(err => {
-                console.error('[Dashboard] S3 fetch failed:', err);
+            s3Service.listBuckets(region, 1, 10000, credentials).then(r => r.buckets || r).catch(err => {
+                log.error('S3 fetch failed', { error: err });
                 return [];
             }),
-            lambdaService.listFunctions(region, 1, 10000).then(r => r.functions || r).catch(err => {
-                console.error('[Dashboard] Lambda fetch failed:', err);
+            lambdaService.listFunctions(region, 1, 10000, credentials).then(r => r.functions || r).catch(err => {
+                log.error('Lambda fetch failed', { error: err });
                 return [];
             }),
-            cloudwatchService.listAlarms(region, null, 1, 10000).then(r => r.alarms || r).catch(err => {
-                console.error('[Dashboard] CloudWatch fetch failed:', err);
+            cloudwatchService.listAlarms(region, null, 1, 10000, credentials).then(r => r.alarms || r).catch(err => {
+                log.error('CloudWatch fetch failed', { error: err });
                 return [];
             }),
-            logsService.listLogGroups(region, null, 1, 10000).then(r => r.logGroups || r).catch(err => {
-                console.error('[Dashboard] Logs fetch failed:', err);
+            logsService.listLogGroups(region, null, 1, 10000, credentials).then(r => r.logGroups || r).catch(err => {
+                log.error('Logs fetch failed', { error: err });
                 return [];
             }),
-            costService.getCurrentMonthCost(region).catch(err => {
-                console.error('[Dashboard] Cost fetch failed:', err);
+            costService.getCurrentMonthCost(region, credentials).catch(err => {
+                log.error('Cost fetch failed', { error: err });
                 return { error: true, message: err.message };
             }),
-            rdsService.listInstances(region).catch(err => {
-                console.error('[Dashboard] RDS fetch failed:', err);
+            rdsService.listInstances(region, credentials).catch(err => {
+                log.error('RDS fetch failed', { error: err });
                 return [];
             })
         ]);
 
-        console.log(`[Dashboard] Data fetched - EC2: ${ec2Data.length}, S3: ${s3Data.length}, Lambda: ${lambdaData.length}`);
+        log.info('Dashboard data fetched', { ec2: ec2Data.length, s3: s3Data.length, lambda: lambdaData.length });
 
         // Process data and return
         const dashboardData = {
@@ -135,36 +141,8 @@ async function getDashboardData(req, res, ec2Service, s3Service, lambdaService,
         return res.json(successResponse(dashboardData));
 
     } catch (error) {
-        console.error('[Dashboard] Credentials check FAILED:', { error: error.message, stack: error.stack, userId });
-        
-        if (error.name === 'InvalidClientTokenId' || error.message?.includes('security token')) {
-            return res.status(401).json(errorResponse('Invalid AWS credentials', 'INVALID_CREDENTIALS', {
-                title: "Invalid AWS Credentials",
-                description: "Your AWS Access Key ID or Secret Access Key is invalid.",
-                command: "/aws",
-                details: "Please verify your credentials in AWS IAM Console."
-            }));
-        }
-        
-        if (error.name === 'ExpiredToken' || error.message?.includes('expired')) {
-            return res.status(401).json(errorResponse('AWS credentials have expired', 'CREDENTIALS_EXPIRED', {
-                title: "Credentials Expired",
-                description: "Your AWS credentials have expired.",
-                command: "/aws",
-                details: "Generate new access keys from AWS IAM Console."
-            }));
-        }
-        
-        if (error.name === 'UnauthorizedOperation' || error.name === 'AccessDenied') {
-            return res.status(403).json(errorResponse('Insufficient AWS permissions', 'ACCESS_DENIED', {
-                title: "Access Denied",
-                description: "Your AWS credentials lack required permissions.",
-                command: "/aws permissions",
-                details: "Add necessary IAM permissions to your user or role."
-            }));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to fetch dashboard data'));
+        log.error('Dashboard data failed', { userId, error });
+        return sendAWSError(res, error, { fallbackMessage: 'Failed to fetch dashboard data' });
     }
 }
 
@@ -15,8 +15,42 @@
 
 const ec2Service = require('../../services/ec2');
 const { successResponse, errorResponse } = require('../../utils/helpers');
+const { toAwsCredentials, isSupportedRegion, resolveRegion } = require('../../utils/aws-clients');
+const { DEFAULT_PROFILE } = require('../../utils/profiles');
+const { getUserCredentials } = require('../../utils/credentials');
+const { sendAWSError } = require('../../utils/aws-errors');
+const { isDryRun } = require('../../utils/dry-run');
+const { runRuleChange } = require('../../utils/rule-history');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('widget:ec2');
+
+// IAM action each widget action needs, named in ACCESS_DENIED errors
+const EC2_IAM_ACTIONS = {
+    consoleOutput: 'ec2:GetConsoleOutput',
+    listVolumes: 'ec2:DescribeVolumes',
+    listElasticIps: 'ec2:DescribeAddresses',
+    listInstanceTypes: 'ec2:DescribeInstanceTypes',
+    getSecurityGroups: 'ec2:DescribeSecurityGroups',
+    start: 'ec2:StartInstances',
+    stop: 'ec2:StopInstances',
+    reboot: 'ec2:RebootInstances',
+    terminate: 'ec2:TerminateInstances',
+    createSnapshot: 'ec2:CreateSnapshot',
+    createImage: 'ec2:CreateImage',
+    allocateElasticIp: 'ec2:AllocateAddress',
+    associateElasticIp: 'ec2:AssociateAddress',
+    disassociateElasticIp: 'ec2:DisassociateAddress',
+    modifyInstanceType: 'ec2:ModifyInstanceAttribute',
+    addInboundRule: 'ec2:AuthorizeSecurityGroupIngress',
+    addOutboundRule: 'ec2:AuthorizeSecurityGroupEgress',
+    removeInboundRule: 'ec2:RevokeSecurityGroupIngress',
+    removeOutboundRule: 'ec2:RevokeSecurityGroupEgress'
+};
 
-// Helper to verify user credentials
+// Helper to verify user credentials and return them in AWS SDK format,
+// along with the user's stored region (used when the caller sends none).
+// The account profile comes from the request (?profile= or body.profile).
 async function verifyUserCredentials(userId, catalystApp, req) {
     if (!userId) {
         return { error: 'NO_USER_ID', message: 'User ID is required' };
@@ -24,19 +58,24 @@ async function verifyUserCredentials(userId, catalystApp, req) {
 
     try {
         const catalystInstance = catalystApp.initialize(req);
-        const credDatastore = catalystInstance.datastore();
-        const credTable = credDatastore.table('user_credentials');
         
-        const allCreds = await credTable.getAllRows();
-        const userCredentials = allCreds.find(row => row.user_id === userId);
+        const profile = (req.body && req.body.profile) || req.query.profile;
+        const userCredentials = await getUserCredentials(userId, catalystInstance, profile);
         
         if (!userCredentials) {
+            if (profile && profile !== DEFAULT_PROFILE) {
+                return { error: 'PROFILE_NOT_FOUND', message: `Profile "${profile}" not found` };
+            }
             return { error: 'NO_CREDENTIALS', message: 'AWS credentials not configured' };
         }
         
-        return { valid: true };
+        return {
+            valid: true,
+            credentials: toAwsCredentials(userCredentials),
+            region: userCredentials.region
+        };
     } catch (error) {
-        console.error('Credential verification failed:', error);
+        log.error('Could not load stored profile', { error });
         return { error: 'VERIFICATION_FAILED', message: 'Failed to verify credentials' };
     }
 }
@@ -48,16 +87,20 @@ async function verifyUserCredentials(userId, catalystApp, req) {
 async function handleAction(req, res) {
     const action = req.query.action;
 
-    console.log(`[Widget EC2] Action: ${action}`);
+    log.info('EC2 widget action', { action });
 
     // Handle GET requests (query-based actions)
     if (req.method === 'GET') {
-        const { instanceId, userId, region } = req.query;
+        const { instanceId, userId, region: requestedRegion } = req.query;
 
-        if (!userId || !region) {
+        if (!userId) {
             return res.status(400).json(errorResponse('Missing required parameters'));
         }
 
+        if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+            return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
+        }
+
         // Verify credentials
         const catalystApp = require('zcatalyst-sdk-node');
         const credCheck = await verifyUserCredentials(userId, catalystApp, req);
@@ -66,48 +109,54 @@ async function handleAction(req, res) {
             return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
         }
 
+        const region = resolveRegion(requestedRegion, credCheck.region);
+
         try {
             let result;
 
             switch (action) {
                 case 'consoleOutput':
                     if (!instanceId) return res.status(400).json(errorResponse('Instance ID required'));
-                    result = await ec2Service.getConsoleOutput(instanceId, region);
+                    result = await ec2Service.getConsoleOutput(instanceId, region, credCheck.credentials);
                     return res.json(successResponse(result));
 
                 case 'listVolumes':
                     if (!instanceId) return res.status(400).json(errorResponse('Instance ID required'));
-                    result = await ec2Service.listInstanceVolumes(instanceId, region);
+                    result = await ec2Service.listInstanceVolumes(instanceId, region, credCheck.credentials);
                     return res.json(successResponse({ volumes: result }));
 
                 case 'listElasticIps':
-                    result = await ec2Service.listElasticIps(region);
+                    result = await ec2Service.listElasticIps(region, credCheck.credentials);
                     return res.json(successResponse({ elasticIps: result }));
 
                 case 'listInstanceTypes':
-                    result = await ec2Service.listInstanceTypes(region);
+                    result = await ec2Service.listInstanceTypes(region, 100, credCheck.credentials);
                     return res.json(successResponse({ instanceTypes: result }));
 
                 case 'getSecurityGroups':
                     if (!instanceId) return res.status(400).json(errorResponse('Instance ID required'));
-                    result = await ec2Service.getInstanceSecurityGroups(instanceId, region);
+                    result = await ec2Service.getInstanceSecurityGroups(instanceId, region, credCheck.credentials);
                     return res.json(successResponse({ securityGroups: result }));
 
                 default:
                     return res.status(400).json(errorResponse(`Unknown GET action: ${action}`));
             }
         } catch (error) {
-            console.error(`[Widget EC2] ${action} failed:`, error);
-            return res.status(500).json(errorResponse(error.message || `Failed to ${action}`));
+            log.error('EC2 widget action failed', { action, error });
+            return sendAWSError(res, error, { iamAction: EC2_IAM_ACTIONS[action], fallbackMessage: `Failed to ${action}` });
         }
     }
 
     // Handle POST requests (mutation actions)
-    const { instanceId, volumeId, description, name, noReboot, allocationId, associationId, newInstanceType, userId, region, groupId, rule } = req.body;
+    const { instanceId, volumeId, description, name, noReboot, allocationId, associationId, newInstanceType, userId, region: requestedRegion, groupId, rule } = req.body;
 
     // Validate required parameters
-    if (!userId || !region) {
-        return res.status(400).json(errorResponse('User ID and region are required'));
+    if (!userId) {
+        return res.status(400).json(errorResponse('User ID is required'));
+    }
+
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Verify user credentials
@@ -118,6 +167,20 @@ async function handleAction(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+    const dryRun = isDryRun(req);
+
+    // Security group rule changes are recorded so they can be undone (utils/rule-history.js)
+    const ruleChange = () => ({
+        params: { groupId, rule },
+        region,
+        credentials: credCheck.credentials,
+        userId,
+        profile: (req.body && req.body.profile) || req.query.profile,
+        catalystInstance: catalystApp.initialize(req),
+        dryRun
+    });
+
     try {
         let result;
         let message;
@@ -125,84 +188,84 @@ async function handleAction(req, res) {
         switch (action) {
             case 'start':
                 if (!instanceId) return res.status(400).json(errorResponse('Instance ID required'));
-                result = await ec2Service.startInstance(instanceId, region);
+                result = await ec2Service.startInstance(instanceId, region, credCheck.credentials, dryRun);
                 message = `Instance ${instanceId} is starting`;
                 break;
 
             case 'stop':
                 if (!instanceId) return res.status(400).json(errorResponse('Instance ID required'));
-                result = await ec2Service.stopInstance(instanceId, region);
+                result = await ec2Service.stopInstance(instanceId, region, false, credCheck.credentials, dryRun);
                 message = `Instance ${instanceId} is stopping`;
                 break;
 
             case 'reboot':
                 if (!instanceId) return res.status(400).json(errorResponse('Instance ID required'));
-                result = await ec2Service.rebootInstance(instanceId, region);
+                result = await ec2Service.rebootInstance(instanceId, region, credCheck.credentials, dryRun);
                 message = `Instance ${instanceId} is rebooting`;
                 break;
 
             case 'terminate':
                 if (!instanceId) return res.status(400).json(errorResponse('Instance ID required'));
-                result = await ec2Service.terminateInstance(instanceId, region);
+                result = await ec2Service.terminateInstance(instanceId, region, credCheck.credentials, dryRun);
                 message = `Instance ${instanceId} is terminating`;
                 break;
 
             case 'createSnapshot':
                 if (!volumeId) return res.status(400).json(errorResponse('Volume ID required'));
-                result = await ec2Service.createSnapshot(volumeId, description, region);
+                result = await ec2Service.createSnapshot(volumeId, description, region, {}, credCheck.credentials, dryRun);
                 message = `Snapshot ${result.snapshotId} creation started`;
                 break;
 
             case 'createImage':
                 if (!instanceId || !name) return res.status(400).json(errorResponse('Instance ID and AMI name required'));
-                result = await ec2Service.createImage(instanceId, name, description, region, noReboot);
+                result = await ec2Service.createImage(instanceId, name, description, region, noReboot, credCheck.credentials, dryRun);
                 message = `AMI ${result.imageId} creation started`;
                 break;
 
             case 'allocateElasticIp':
-                result = await ec2Service.allocateElasticIp(region);
+                result = await ec2Service.allocateElasticIp(region, credCheck.credentials, dryRun);
                 message = `Elastic IP ${result.publicIp} allocated`;
                 break;
 
             case 'associateElasticIp':
                 if (!instanceId || !allocationId) return res.status(400).json(errorResponse('Instance ID and Allocation ID required'));
-                result = await ec2Service.associateElasticIp(instanceId, allocationId, region);
+                result = await ec2Service.associateElasticIp(instanceId, allocationId, region, credCheck.credentials, dryRun);
                 message = `Elastic IP associated with instance ${instanceId}`;
                 break;
 
             case 'disassociateElasticIp':
                 if (!associationId) return res.status(400).json(errorResponse('Association ID required'));
-                result = await ec2Service.disassociateElasticIp(associationId, region);
+                result = await ec2Service.disassociateElasticIp(associationId, region, credCheck.credentials, dryRun);
                 message = `Elastic IP disassociated successfully`;
                 break;
 
             case 'modifyInstanceType':
                 if (!instanceId || !newInstanceType) return res.status(400).json(errorResponse('Instance ID and new instance type required'));
-                result = await ec2Service.modifyInstanceType(instanceId, newInstanceType, region);
+                result = await ec2Service.modifyInstanceType(instanceId, newInstanceType, region, credCheck.credentials, dryRun);
                 message = `Instance type changed to ${newInstanceType}`;
                 break;
 
             case 'addInboundRule':
                 if (!groupId || !rule) return res.status(400).json(errorResponse('Group ID and rule required'));
-                result = await ec2Service.addInboundRule(groupId, rule, region);
+                result = await runRuleChange(ruleChange(), 'addInboundRule', 'widget');
                 message = `Inbound rule added to security group`;
                 break;
 
             case 'addOutboundRule':
                 if (!groupId || !rule) return res.status(400).json(errorResponse('Group ID and rule required'));
-                result = await ec2Service.addOutboundRule(groupId, rule, region);
+                result = await runRuleChange(ruleChange(), 'addOutboundRule', 'widget');
                 message = `Outbound rule added to security group`;
                 break;
 
             case 'removeInboundRule':
                 if (!groupId || !rule) return res.status(400).json(errorResponse('Group ID and rule required'));
-                result = await ec2Service.removeInboundRule(groupId, rule, region);
+                result = await runRuleChange(ruleChange(), 'removeInboundRule', 'widget');
                 message = `Inbound rule removed from security group`;
                 break;
 
             case 'removeOutboundRule':
                 if (!groupId || !rule) return res.status(400).json(errorResponse('Group ID and rule required'));
-                result = await ec2Service.removeOutboundRule(groupId, rule, region);
+                result = await runRuleChange(ruleChange(), 'removeOutboundRule', 'widget');
                 message = `Outbound rule removed from security group`;
                 break;
 
@@ -210,7 +273,12 @@ async function handleAction(req, res) {
                 return res.status(400).json(errorResponse(`Unknown action: ${action}`));
         }
 
-        console.log(`[Widget EC2] ${action} successful:`, result);
+        // Dry runs (utils/dry-run.js) answer with the preview as it is
+        if (result.dryRun) {
+            return res.json(successResponse(result));
+        }
+
+        log.info('EC2 widget action succeeded', { action, result });
         
         return res.json(successResponse({
             ...result,
@@ -218,22 +286,8 @@ async function handleAction(req, res) {
         }));
 
     } catch (error) {
-        console.error(`[Widget EC2] ${action} failed:`, error);
-        
-        // Handle specific AWS errors
-        if (error.name === 'InvalidInstanceID.NotFound') {
-            return res.status(404).json(errorResponse('Instance not found', 'INSTANCE_NOT_FOUND'));
-        }
-        
-        if (error.name === 'IncorrectInstanceState') {
-            return res.status(400).json(errorResponse('Instance is in incorrect state for this action', 'INCORRECT_STATE'));
-        }
-        
-        if (error.name === 'UnauthorizedOperation' || error.message?.includes('not authorized')) {
-            return res.status(403).json(errorResponse('You don\'t have permission for this action. Check your AWS IAM permissions.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || `Failed to ${action}`, 'ACTION_FAILED'));
+        log.error('EC2 widget action failed', { action, error });
+        return sendAWSError(res, error, { iamAction: EC2_IAM_ACTIONS[action], fallbackMessage: `Failed to ${action}`, fallbackCode: 'ACTION_FAILED' });
     }
 }
 
@@ -242,17 +296,17 @@ async function handleAction(req, res) {
  * Returns CloudWatch metrics for CPU, Network In/Out, Disk Ops
  */
 async function getMetrics(req, res) {
-    const { instanceId, userId, region, timeRange } = req.query;
+    const { instanceId, userId, region: requestedRegion, timeRange } = req.query;
 
-    console.log(`[Widget EC2 Metrics] Instance: ${instanceId}, TimeRange: ${timeRange}, User: ${userId}`);
+    log.info('EC2 metrics requested', { instanceId, timeRange, userId });
 
     // Validate required parameters
     if (!instanceId) {
         return res.status(400).json(errorResponse('Instance ID is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Verify user credentials
@@ -263,6 +317,8 @@ async function getMetrics(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         // Parse time range (1h, 6h, 24h, 7d)
         let hours = 1;
@@ -272,9 +328,9 @@ async function getMetrics(req, res) {
 
         // Fetch metrics in parallel
         const [cpuMetrics, networkInMetrics, networkOutMetrics] = await Promise.all([
-            ec2Service.getInstanceMetrics(instanceId, 'CPUUtilization', region, hours),
-            ec2Service.getInstanceMetrics(instanceId, 'NetworkIn', region, hours),
-            ec2Service.getInstanceMetrics(instanceId, 'NetworkOut', region, hours)
+            ec2Service.getInstanceMetrics(instanceId, 'CPUUtilization', region, hours, credCheck.credentials),
+            ec2Service.getInstanceMetrics(instanceId, 'NetworkIn', region, hours, credCheck.credentials),
+            ec2Service.getInstanceMetrics(instanceId, 'NetworkOut', region, hours, credCheck.credentials)
         ]);
 
         // Format data for charts
@@ -284,9 +340,19 @@ async function getMetrics(req, res) {
             }
             
             return metric.datapoints.map(dp => ({
-                timestamp: dp.Timestamp,
-                value: dp.Average || dp.Sum || 0
-            })).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                timestamp: dp.timestamp,
+                value: dp.average || 0
+            }));
+        };
+
+        // Latest, average and peak of a metric (getInstanceMetrics' summary)
+        const formatSummary = (metric) => {
+            const summary = metric && metric.summary;
+            return {
+                current: (summary && summary.latest) || 0,
+                average: (summary && summary.avgOverPeriod) || 0,
+                max: (summary && summary.max) || 0
+            };
         };
 
         const response = {
@@ -296,43 +362,28 @@ async function getMetrics(req, res) {
                 cpu: {
                     label: 'CPU Utilization (%)',
                     data: formatMetricData(cpuMetrics),
-                    current: cpuMetrics?.current?.value || 0,
-                    average: cpuMetrics?.current?.average || 0,
-                    max: cpuMetrics?.current?.max || 0
+                    ...formatSummary(cpuMetrics)
                 },
                 networkIn: {
                     label: 'Network In (Bytes)',
                     data: formatMetricData(networkInMetrics),
-                    current: networkInMetrics?.current?.value || 0,
-                    average: networkInMetrics?.current?.average || 0,
-                    max: networkInMetrics?.current?.max || 0
+                    ...formatSummary(networkInMetrics)
                 },
                 networkOut: {
                     label: 'Network Out (Bytes)',
                     data: formatMetricData(networkOutMetrics),
-                    current: networkOutMetrics?.current?.value || 0,
-                    average: networkOutMetrics?.current?.average || 0,
-                    max: networkOutMetrics?.current?.max || 0
+                    ...formatSummary(networkOutMetrics)
                 }
             }
         };
 
-        console.log(`[Widget EC2 Metrics] Success - CPU points: ${response.metrics.cpu.data.length}`);
+        log.debug('EC2 metrics fetched', { instanceId, cpuPoints: response.metrics.cpu.data.length });
         
         return res.json(successResponse(response));
 
     } catch (error) {
-        console.error('[Widget EC2 Metrics] Failed:', error);
-        
-        if (error.name === 'InvalidInstanceID.NotFound') {
-            return res.status(404).json(errorResponse('Instance not found'));
-        }
-        
-        if (error.name === 'UnauthorizedOperation') {
-            return res.status(403).json(errorResponse('Insufficient permissions to view metrics', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to fetch metrics'));
+        log.error('EC2 metrics failed', { instanceId, error });
+        return sendAWSError(res, error, { iamAction: 'cloudwatch:GetMetricStatistics', fallbackMessage: 'Failed to fetch metrics' });
     }
 }
 
@@ -341,17 +392,17 @@ async function getMetrics(req, res) {
  * Returns comprehensive information about an EC2 instance
  */
 async function getInstanceInfo(req, res) {
-    const { instanceId, userId, region } = req.query;
+    const { instanceId, userId, region: requestedRegion } = req.query;
 
-    console.log(`[Widget EC2 Info] Instance: ${instanceId}, User: ${userId}`);
+    log.info('EC2 instance info requested', { instanceId, userId });
 
     // Validate required parameters
     if (!instanceId) {
         return res.status(400).json(errorResponse('Instance ID is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Verify user credentials
@@ -362,6 +413,8 @@ async function getInstanceInfo(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         // Get instance details
         const instances = await ec2Service.describeInstances([instanceId], region);
@@ -373,7 +426,7 @@ async function getInstanceInfo(req, res) {
         const instance = instances[0];
 
         // Get brief CPU metrics for mini chart
-        const cpuMetrics = await ec2Service.getInstanceMetrics(instanceId, 'CPUUtilization', region, 1).catch(() => null);
+        const cpuMetrics = await ec2Service.getInstanceMetrics(instanceId, 'CPUUtilization', region, 1, credCheck.credentials).catch(() => null);
 
         const response = {
             instanceId: instance.id,
@@ -399,22 +452,13 @@ async function getInstanceInfo(req, res) {
             } : null
         };
 
-        console.log(`[Widget EC2 Info] Success - Retrieved info for ${instance.name || instanceId}`);
+        log.debug('EC2 instance info fetched', { instanceId, name: instance.name || null });
         
         return res.json(successResponse(response));
 
     } catch (error) {
-        console.error('[Widget EC2 Info] Failed:', error);
-        
-        if (error.name === 'InvalidInstanceID.NotFound') {
-            return res.status(404).json(errorResponse('Instance not found'));
-        }
-        
-        if (error.name === 'UnauthorizedOperation') {
-            return res.status(403).json(errorResponse('Insufficient permissions to view instance details', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to fetch instance info'));
+        log.error('EC2 instance info failed', { instanceId, error });
+        return sendAWSError(res, error, { iamAction: 'ec2:DescribeInstances', fallbackMessage: 'Failed to fetch instance info' });
     }
 }
 
@@ -14,6 +14,41 @@
 
 const lambdaService = require('../../services/lambda');
 const { successResponse, errorResponse } = require('../../utils/helpers');
+const { sendAWSError } = require('../../utils/aws-errors');
+const { toAwsCredentials, isSupportedRegion, resolveRegion } = require('../../utils/aws-clients');
+const { DEFAULT_PROFILE } = require('../../utils/profiles');
+const { getUserCredentials: loadUserCredentials } = require('../../utils/credentials');
+const { isDryRun } = require('../../utils/dry-run');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('widget:lambda');
+
+// Helper to get user credentials from database in AWS SDK format,
+// along with the user's stored region, for the requested account profile
+async function getUserCredentials(userId, catalystApp, req) {
+  try {
+    const catalystInstance = catalystApp.initialize(req);
+
+    const profile = req.body && req.body.profile;
+    const userCredentials = await loadUserCredentials(userId, catalystInstance, profile);
+
+    if (!userCredentials) {
+      if (profile && profile !== DEFAULT_PROFILE) {
+        return { error: 'PROFILE_NOT_FOUND', message: `Profile "${profile}" not found` };
+      }
+      return { error: 'NO_CREDENTIALS', message: 'AWS credentials not configured' };
+    }
+
+    return {
+      valid: true,
+      credentials: toAwsCredentials(userCredentials),
+      region: userCredentials.region
+    };
+  } catch (error) {
+    log.error('Could not load stored profile', { error });
+    return { error: 'VERIFICATION_FAILED', message: 'Failed to fetch credentials' };
+  }
+}
 
 /**
  * Lambda Widget Controller
@@ -21,94 +56,108 @@ const { successResponse, errorResponse } = require('../../utils/helpers');
  */
 async function handleLambdaWidget(req, res) {
   try {
-    const { action, functionName, payload, updates, limit, userId, region = 'ap-south-1' } = req.body;
+    const { action, functionName, payload, updates, limit, userId, region: requestedRegion } = req.body;
 
-    console.log(`[Lambda Widget] ${action} - user: ${userId}, function: ${functionName || 'N/A'}`);
+    log.info('Lambda widget action', { action, userId, functionName: functionName || null });
 
     if (!userId) {
       return res.status(400).json(errorResponse('User ID is required', 'NO_USER_ID'));
     }
 
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+      return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
+    }
+
+    // Get user credentials
+    const catalystApp = require('zcatalyst-sdk-node');
+    const credCheck = await getUserCredentials(userId, catalystApp, req);
+
+    if (credCheck.error) {
+      return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
+    }
+    const credentials = credCheck.credentials;
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     // Route to appropriate handler based on action
     switch (action) {
       // GET Actions
       case 'list':
-        return await handleListFunctions(res, region);
+        return await handleListFunctions(res, region, credentials);
 
       case 'getConfiguration':
-        return await handleGetConfiguration(res, functionName, region);
+        return await handleGetConfiguration(res, functionName, region, credentials);
 
       case 'getLogs':
-        return await handleGetLogs(res, functionName, region, limit);
+        return await handleGetLogs(res, functionName, region, limit, credentials);
 
       // POST Actions
       case 'invoke':
-        return await handleInvoke(res, functionName, payload, region);
+        return await handleInvoke(res, functionName, payload, region, credentials, isDryRun(req));
 
       case 'updateCode':
-        return await handleUpdateCode(req, res, functionName, region);
+        return await handleUpdateCode(req, res, functionName, region, credentials, isDryRun(req));
 
       case 'updateConfiguration':
-        return await handleUpdateConfiguration(res, functionName, updates, region);
+        return await handleUpdateConfiguration(res, functionName, updates, region, credentials, isDryRun(req));
 
       default:
         return res.status(400).json(errorResponse(`Unknown action: ${action}`, 'INVALID_ACTION'));
     }
   } catch (error) {
-    console.error('[Lambda Widget] Error:', error);
-    return res.status(500).json(errorResponse(error.message, 'SERVER_ERROR'));
+    log.error('Lambda widget action failed', { action: req.body.action, error });
+    return sendAWSError(res, error, { fallbackCode: 'SERVER_ERROR' });
   }
 }
 
-async function handleListFunctions(res, region) {
+async function handleListFunctions(res, region, credentials) {
   try {
-    const result = await lambdaService.listFunctions(region, 1, 10000);
+    const result = await lambdaService.listFunctions(region, 1, 10000, credentials);
     const functions = result.functions || result; // Support both old and new format
     return res.json(successResponse({ functions: functions }));
   } catch (error) {
-    console.error('[Lambda] Error listing functions:', error);
-    return res.status(500).json(errorResponse(error.message, 'LIST_FAILED'));
+    log.error('Could not list functions', { error });
+    return sendAWSError(res, error, { iamAction: 'lambda:ListFunctions', fallbackCode: 'LIST_FAILED' });
   }
 }
 
 /**
  * Get function configuration
  */
-async function handleGetConfiguration(res, functionName, region) {
+async function handleGetConfiguration(res, functionName, region, credentials) {
   try {
     if (!functionName) {
       return res.status(400).json(errorResponse('Function name is required', 'MISSING_FUNCTION_NAME'));
     }
 
-    const functionData = await lambdaService.getFunction(functionName, region);
+    const functionData = await lambdaService.getFunction(functionName, region, credentials);
     return res.json(successResponse({ function: functionData }));
   } catch (error) {
-    console.error('[Lambda] Error getting function configuration:', error);
-    return res.status(500).json(errorResponse(error.message, 'GET_CONFIG_FAILED'));
+    log.error('Could not get function configuration', { error });
+    return sendAWSError(res, error, { iamAction: 'lambda:GetFunction', fallbackCode: 'GET_CONFIG_FAILED' });
   }
 }
 
 /**
  * Get CloudWatch logs for function
  */
-async function handleGetLogs(res, functionName, region, limit = 100) {
+async function handleGetLogs(res, functionName, region, limit = 100, credentials) {
   try {
     if (!functionName) {
       return res.status(400).json(errorResponse('Function name is required', 'MISSING_FUNCTION_NAME'));
     }
 
-    const logs = await lambdaService.getFunctionLogs(functionName, region, limit);
+    const logs = await lambdaService.getFunctionLogs(functionName, region, limit, credentials);
     return res.json(successResponse({ logs: logs }));
   } catch (error) {
-    console.error('[Lambda] Error getting function logs:', error);
-    return res.status(500).json(errorResponse(error.message, 'GET_LOGS_FAILED'));
+    log.error('Could not get function logs', { error });
+    return sendAWSError(res, error, { iamAction: 'logs:FilterLogEvents', fallbackCode: 'GET_LOGS_FAILED' });
   }
 }
 
 /**
  * Invoke Lambda function
  */
-async function handleInvoke(res, functionName, payload, region) {
+async function handleInvoke(res, functionName, payload, region, credentials, dryRun = false) {
   try {
     if (!functionName) {
       return res.status(400).json(errorResponse('Function name is required', 'MISSING_FUNCTION_NAME'));
@@ -124,11 +173,14 @@ async function handleInvoke(res, functionName, payload, region) {
       }
     }
 
-    const result = await lambdaService.invokeFunction(functionName, parsedPayload, region);
+    const result = await lambdaService.invokeFunction(functionName, parsedPayload, region, 'RequestResponse', credentials, dryRun);
+    if (dryRun) {
+      return res.json(successResponse(result));
+    }
     return res.json(successResponse({ invocation: result }));
   } catch (error) {
-    console.error('[Lambda] Error invoking function:', error);
-    return res.status(500).json(errorResponse(error.message, 'INVOKE_FAILED'));
+    log.error('Could not invoke function', { error });
+    return sendAWSError(res, error, { iamAction: 'lambda:InvokeFunction', fallbackCode: 'INVOKE_FAILED' });
   }
 }
 
@@ -136,7 +188,7 @@ async function handleInvoke(res, functionName, payload, region) {
  * Update Lambda function code
  * Expects multipart/form-data with ZIP file
  */
-async function handleUpdateCode(req, res, functionName, region) {
+async function handleUpdateCode(req, res, functionName, region, credentials, dryRun = false) {
   try {
     if (!functionName) {
       return res.status(400).json(errorResponse('Function name is required', 'MISSING_FUNCTION_NAME'));
@@ -146,18 +198,21 @@ async function handleUpdateCode(req, res, functionName, region) {
       return res.status(400).json(errorResponse('ZIP file is required', 'MISSING_FILE'));
     }
 
-    const result = await lambdaService.updateFunctionCode(functionName, req.file.buffer, region);
+    const result = await lambdaService.updateFunctionCode(functionName, req.file.buffer, region, credentials, dryRun);
+    if (dryRun) {
+      return res.json(successResponse(result));
+    }
     return res.json(successResponse({ function: result }));
   } catch (error) {
-    console.error('[Lambda] Error updating function code:', error);
-    return res.status(500).json(errorResponse(error.message, 'UPDATE_CODE_FAILED'));
+    log.error('Could not update function code', { error });
+    return sendAWSError(res, error, { iamAction: 'lambda:UpdateFunctionCode', fallbackCode: 'UPDATE_CODE_FAILED' });
   }
 }
 
 /**
  * Update Lambda function configuration
  */
-async function handleUpdateConfiguration(res, functionName, updates, region) {
+async function handleUpdateConfiguration(res, functionName, updates, region, credentials, dryRun) {
   try {
     if (!functionName) {
       return res.status(400).json(errorResponse('Function name is required', 'MISSING_FUNCTION_NAME'));
@@ -167,11 +222,14 @@ async function handleUpdateConfiguration(res, functionName, updates, region) {
       return res.status(400).json(errorResponse('Configuration updates are required', 'MISSING_UPDATES'));
     }
 
-    const result = await lambdaService.updateFunctionConfiguration(functionName, updates, region);
+    const result = await lambdaService.updateFunctionConfiguration(functionName, updates, region, credentials, dryRun);
+    if (dryRun) {
+      return res.json(successResponse(result));
+    }
     return res.json(successResponse({ configuration: result }));
   } catch (error) {
-    console.error('[Lambda] Error updating function configuration:', error);
-    return res.status(500).json(errorResponse(error.message, 'UPDATE_CONFIG_FAILED'));
+    log.error('Could not update function configuration', { error });
+    return sendAWSError(res, error, { iamAction: 'lambda:UpdateFunctionConfiguration', fallbackCode: 'UPDATE_CONFIG_FAILED' });
   }
 }
 
@@ -15,7 +15,17 @@
 
 const s3Service = require('../../services/s3');
 const { successResponse, errorResponse } = require('../../utils/helpers');
+const { sendAWSError } = require('../../utils/aws-errors');
+const { toAwsCredentials, isSupportedRegion, resolveRegion } = require('../../utils/aws-clients');
+const { DEFAULT_PROFILE } = require('../../utils/profiles');
+const { getUserCredentials: loadUserCredentials } = require('../../utils/credentials');
+const { isCallerMismatch } = require('../../utils/auth');
+const { isDryRun } = require('../../utils/dry-run');
 const multer = require('multer');
+const { AsyncResource } = require('async_hooks');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('widget:s3');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -25,7 +35,8 @@ const upload = multer({
     }
 }).single('file');
 
-// Helper to get user credentials from database
+// Helper to get user credentials (and their stored region) from database
+// for the account profile named in the request (?profile= or body.profile)
 async function getUserCredentials(userId, catalystApp, req) {
     if (!userId) {
         return { error: 'NO_USER_ID', message: 'User ID is required' };
@@ -33,27 +44,24 @@ async function getUserCredentials(userId, catalystApp, req) {
 
     try {
         const catalystInstance = catalystApp.initialize(req);
-        const credDatastore = catalystInstance.datastore();
-        const credTable = credDatastore.table('user_credentials');
         
-        const allCreds = await credTable.getAllRows();
-        const userCredentials = allCreds.find(row => row.user_id === userId);
+        const profile = (req.body && req.body.profile) || req.query.profile;
+        const userCredentials = await loadUserCredentials(userId, catalystInstance, profile);
         
         if (!userCredentials) {
+            if (profile && profile !== DEFAULT_PROFILE) {
+                return { error: 'PROFILE_NOT_FOUND', message: `Profile "${profile}" not found` };
+            }
             return { error: 'NO_CREDENTIALS', message: 'AWS credentials not configured' };
         }
         
         return { 
             valid: true,
-            credentials: {
-                accessKeyId: userCredentials.access_key_id,
-                secretAccessKey: userCredentials.secret_access_key,
-                region: userCredentials.region || 'ap-south-1',
-                sessionToken: userCredentials.session_token || undefined
-            }
+            credentials: toAwsCredentials(userCredentials),
+            region: userCredentials.region
         };
     } catch (error) {
-        console.error('Credential fetch failed:', error);
+        log.error('Could not load stored profile', { error });
         return { error: 'VERIFICATION_FAILED', message: 'Failed to fetch credentials' };
     }
 }
@@ -63,17 +71,17 @@ async function getUserCredentials(userId, catalystApp, req) {
  * Lists objects (files and folders) in a bucket with optional prefix
  */
 async function browse(req, res) {
-    const { bucket, prefix, userId, region, continuationToken, maxKeys } = req.query;
+    const { bucket, prefix, userId, region: requestedRegion, continuationToken, maxKeys } = req.query;
 
-    console.log(`[Widget S3 Browse] Bucket: ${bucket}, Prefix: ${prefix || '/'}, User: ${userId}, ContinuationToken: ${continuationToken ? 'Yes' : 'No'}, MaxKeys: ${maxKeys || 100}`);
+    log.info('Browse requested', { bucket, prefix: prefix || '/', userId, continued: !!continuationToken, maxKeys: maxKeys || 100 });
 
     // Validate required parameters
     if (!bucket) {
         return res.status(400).json(errorResponse('Bucket name is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -84,10 +92,12 @@ async function browse(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         const result = await s3Service.listObjects(bucket, prefix || '', region, parseInt(maxKeys) || 100, credCheck.credentials, continuationToken || null);
 
-        console.log(`[Widget S3 Browse] Success - ${result.totalFolders} folders, ${result.totalFiles} files`);
+        log.debug('Browse succeeded', { bucket, folders: result.totalFolders, files: result.totalFiles });
         
         return res.json(successResponse({
             bucket: bucket,
@@ -101,17 +111,8 @@ async function browse(req, res) {
         }));
 
     } catch (error) {
-        console.error('[Widget S3 Browse] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to list files in this bucket. Check your AWS IAM permissions for s3:ListBucket.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to browse bucket', 'BROWSE_FAILED'));
+        log.error('Browse failed', { bucket, error });
+        return sendAWSError(res, error, { iamAction: 's3:ListBucket', fallbackMessage: 'Failed to browse bucket', fallbackCode: 'BROWSE_FAILED' });
     }
 }
 
@@ -120,20 +121,22 @@ async function browse(req, res) {
  * Handles multipart file upload
  */
 async function uploadFile(req, res) {
-    // Use multer middleware to handle file upload
-    upload(req, res, async function (err) {
+    // Use multer middleware to handle file upload. The callback is bound to
+    // the request's async context so its logs and AWS calls keep the request ID
+    // and time budget (multer's stream events would otherwise lose them).
+    upload(req, res, AsyncResource.bind(async function (err) {
         if (err) {
-            console.error('[Widget S3 Upload] Multer error:', err);
+            log.error('Upload parsing failed', { error: err });
             if (err.code === 'LIMIT_FILE_SIZE') {
                 return res.status(400).json(errorResponse('File size exceeds 50MB limit'));
             }
             return res.status(400).json(errorResponse('File upload failed: ' + err.message));
         }
 
-        const { bucket, prefix, userId, region } = req.body;
+        const { bucket, prefix, userId, region: requestedRegion } = req.body;
         const file = req.file;
 
-        console.log(`[Widget S3 Upload] Bucket: ${bucket}, File: ${file?.originalname}, User: ${userId}`);
+        log.info('Upload requested', { bucket, fileName: file?.originalname, size: file?.size, userId });
 
         // Validate required parameters
         if (!bucket) {
@@ -144,8 +147,13 @@ async function uploadFile(req, res) {
             return res.status(400).json(errorResponse('No file provided'));
         }
 
-        if (!region) {
-            return res.status(400).json(errorResponse('Region is required'));
+        if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+            return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
+        }
+
+        // Form fields are only parsed here, after authenticateCaller ran
+        if (isCallerMismatch(req, userId)) {
+            return res.status(403).json(errorResponse('userId does not match the authenticated user', 'USER_MISMATCH'));
         }
 
         // Get user credentials
@@ -156,6 +164,8 @@ async function uploadFile(req, res) {
             return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
         }
 
+        const region = resolveRegion(requestedRegion, credCheck.region);
+
         try {
             // Construct full key (path) for the object
             const key = prefix ? `${prefix}${file.originalname}` : file.originalname;
@@ -170,7 +180,7 @@ async function uploadFile(req, res) {
                 credCheck.credentials
             );
 
-            console.log(`[Widget S3 Upload] Success - Key: ${key}`);
+            log.info('Upload succeeded', { bucket, key });
             
             return res.json(successResponse({
                 message: `File "${file.originalname}" uploaded successfully`,
@@ -181,19 +191,10 @@ async function uploadFile(req, res) {
             }));
 
         } catch (error) {
-            console.error('[Widget S3 Upload] Failed:', error);
-            
-            if (error.name === 'NoSuchBucket') {
-                return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-            }
-            
-            if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-                return res.status(403).json(errorResponse('You don\'t have permission to upload files to this bucket. Check your AWS IAM permissions for s3:PutObject.', 'ACCESS_DENIED'));
-            }
-
-            return res.status(500).json(errorResponse(error.message || 'Failed to upload file', 'UPLOAD_FAILED'));
+            log.error('Upload failed', { error });
+            return sendAWSError(res, error, { iamAction: 's3:PutObject', fallbackMessage: 'Failed to upload file', fallbackCode: 'UPLOAD_FAILED' });
         }
-    });
+    }));
 }
 
 /**
@@ -204,9 +205,9 @@ async function uploadFile(req, res) {
 async function deleteObject(req, res) {
     // Accept from body (POST) or query (fallback)
     const params = req.body && Object.keys(req.body).length > 0 ? req.body : req.query;
-    const { bucket, key, userId, region } = params;
+    const { bucket, key, userId, region: requestedRegion } = params;
 
-    console.log(`[Widget S3 Delete] Bucket: ${bucket}, Key: ${key}, User: ${userId}, Region: ${region}`);
+    log.info('Delete requested', { bucket, key, userId, requestedRegion: requestedRegion || null });
 
     // Validate required parameters
     if (!bucket) {
@@ -217,8 +218,8 @@ async function deleteObject(req, res) {
         return res.status(400).json(errorResponse('Object key is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -226,14 +227,21 @@ async function deleteObject(req, res) {
     const credCheck = await getUserCredentials(userId, catalystApp, req);
     
     if (credCheck.error) {
-        console.error(`[Widget S3 Delete] Credential check failed: ${credCheck.error} - ${credCheck.message}`);
+        log.warn('No usable stored profile', { errorCode: credCheck.error, reason: credCheck.message });
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
+        // Preview only (utils/dry-run.js)
+        if (isDryRun(req)) {
+            return res.json(successResponse(await s3Service.deleteObject(bucket, key, region, credCheck.credentials, true)));
+        }
+
         await s3Service.deleteObject(bucket, key, region, credCheck.credentials);
 
-        console.log(`[Widget S3 Delete] Success`);
+        log.info('Delete succeeded', { bucket, key });
         
         return res.json(successResponse({
             message: `File deleted successfully`,
@@ -242,21 +250,8 @@ async function deleteObject(req, res) {
         }));
 
     } catch (error) {
-        console.error('[Widget S3 Delete] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'NoSuchKey') {
-            return res.status(404).json(errorResponse('File not found', 'FILE_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to delete files from this bucket. Check your AWS IAM permissions for s3:DeleteObject.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to delete file', 'DELETE_FAILED'));
+        log.error('Delete failed', { bucket, key, error });
+        return sendAWSError(res, error, { iamAction: 's3:DeleteObject', fallbackMessage: 'Failed to delete file', fallbackCode: 'DELETE_FAILED' });
     }
 }
 
@@ -265,11 +260,11 @@ async function deleteObject(req, res) {
  * Generates a presigned URL for secure file download
  */
 async function getDownloadUrl(req, res) {
-    const { bucket, key, userId, region, expiresIn } = req.query;
+    const { bucket, key, userId, region: requestedRegion, expiresIn } = req.query;
 
     const expirySeconds = parseInt(expiresIn) || 3600; // Default 1 hour
     
-    console.log(`[Widget S3 Download] Bucket: ${bucket}, Key: ${key}, User: ${userId}, Expiry: ${expirySeconds}s`);
+    log.info('Download link requested', { bucket, key, userId, expiresIn: expirySeconds });
 
     // Validate required parameters
     if (!bucket) {
@@ -280,8 +275,8 @@ async function getDownloadUrl(req, res) {
         return res.status(400).json(errorResponse('Object key is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -292,11 +287,13 @@ async function getDownloadUrl(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         // Generate presigned URL with custom expiry
         const result = await s3Service.getPresignedUrl(bucket, key, region, expirySeconds, credCheck.credentials);
 
-        console.log(`[Widget S3 Download] Success - URL generated (expires in ${expirySeconds}s)`);
+        log.debug('Download link created', { bucket, key, expiresIn: expirySeconds });
         
         return res.json(successResponse({
             url: result.url,
@@ -308,21 +305,8 @@ async function getDownloadUrl(req, res) {
         }));
 
     } catch (error) {
-        console.error('[Widget S3 Download] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'NoSuchKey') {
-            return res.status(404).json(errorResponse('File not found', 'FILE_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to download files from this bucket. Check your AWS IAM permissions for s3:GetObject.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to generate download URL', 'DOWNLOAD_FAILED'));
+        log.error('Download link failed', { bucket, key, error });
+        return sendAWSError(res, error, { iamAction: 's3:GetObject', fallbackMessage: 'Failed to generate download URL', fallbackCode: 'DOWNLOAD_FAILED' });
     }
 }
 
@@ -331,16 +315,16 @@ async function getDownloadUrl(req, res) {
  * Returns bucket statistics (region, size, object count)
  */
 async function getBucketInfo(req, res) {
-    const { bucket, userId, region } = req.query;
+    const { bucket, userId, region: requestedRegion } = req.query;
 
-    console.log(`[Widget S3 BucketInfo] Bucket: ${bucket}, User: ${userId}`);
+    log.info('Bucket info requested', { bucket, userId });
 
     if (!bucket) {
         return res.status(400).json(errorResponse('Bucket name is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -351,25 +335,18 @@ async function getBucketInfo(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         const info = await s3Service.getBucketInfo(bucket, region, credCheck.credentials);
 
-        console.log(`[Widget S3 BucketInfo] Success - ${info.totalObjects} objects, ${info.totalSizeFormatted}`);
+        log.debug('Bucket info fetched', { bucket, totalObjects: info.totalObjects, totalSize: info.totalSizeFormatted });
         
         return res.json(successResponse(info));
 
     } catch (error) {
-        console.error('[Widget S3 BucketInfo] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to access bucket information. Check your AWS IAM permissions.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to get bucket info', 'INFO_FAILED'));
+        log.error('Bucket info failed', { bucket, error });
+        return sendAWSError(res, error, { fallbackMessage: 'Failed to get bucket info', fallbackCode: 'INFO_FAILED' });
     }
 }
 
@@ -379,16 +356,16 @@ async function getBucketInfo(req, res) {
  */
 async function deleteBucket(req, res) {
     const params = req.body && Object.keys(req.body).length > 0 ? req.body : req.query;
-    const { bucket, userId, region } = params;
+    const { bucket, userId, region: requestedRegion } = params;
 
-    console.log(`[Widget S3 DeleteBucket] Bucket: ${bucket}, User: ${userId}`);
+    log.info('Bucket delete requested', { bucket, userId });
 
     if (!bucket) {
         return res.status(400).json(errorResponse('Bucket name is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -399,10 +376,17 @@ async function deleteBucket(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
+        // Preview only (utils/dry-run.js)
+        if (isDryRun(req)) {
+            return res.json(successResponse(await s3Service.deleteBucket(bucket, region, credCheck.credentials, true)));
+        }
+
         await s3Service.deleteBucket(bucket, region, credCheck.credentials);
 
-        console.log(`[Widget S3 DeleteBucket] Success`);
+        log.info('Bucket deleted', { bucket });
         
         return res.json(successResponse({
             message: `Bucket "${bucket}" deleted successfully`,
@@ -410,21 +394,8 @@ async function deleteBucket(req, res) {
         }));
 
     } catch (error) {
-        console.error('[Widget S3 DeleteBucket] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'BucketNotEmpty') {
-            return res.status(400).json(errorResponse('Cannot delete bucket - it contains objects. Please delete all files first.', 'BUCKET_NOT_EMPTY'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to delete this bucket. Check your AWS IAM permissions for s3:DeleteBucket.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to delete bucket', 'DELETE_FAILED'));
+        log.error('Bucket delete failed', { bucket, error });
+        return sendAWSError(res, error, { iamAction: 's3:DeleteBucket', fallbackMessage: 'Failed to delete bucket', fallbackCode: 'DELETE_FAILED' });
     }
 }
 
@@ -433,9 +404,9 @@ async function deleteBucket(req, res) {
  * Searches for objects by name
  */
 async function searchObjects(req, res) {
-    const { bucket, searchTerm, userId, region } = req.query;
+    const { bucket, searchTerm, userId, region: requestedRegion } = req.query;
 
-    console.log(`[Widget S3 Search] Bucket: ${bucket}, Term: ${searchTerm}, User: ${userId}`);
+    log.info('Search requested', { bucket, searchTerm, userId });
 
     if (!bucket) {
         return res.status(400).json(errorResponse('Bucket name is required'));
@@ -445,8 +416,8 @@ async function searchObjects(req, res) {
         return res.status(400).json(errorResponse('Search term is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -457,25 +428,18 @@ async function searchObjects(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         const results = await s3Service.searchObjects(bucket, searchTerm, region, 100, credCheck.credentials);
 
-        console.log(`[Widget S3 Search] Success - ${results.totalMatches} matches`);
+        log.debug('Search succeeded', { bucket, matches: results.totalMatches });
         
         return res.json(successResponse(results));
 
     } catch (error) {
-        console.error('[Widget S3 Search] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to search in this bucket.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Search failed', 'SEARCH_FAILED'));
+        log.error('Search failed', { bucket, error });
+        return sendAWSError(res, error, { iamAction: 's3:ListBucket', fallbackMessage: 'Search failed', fallbackCode: 'SEARCH_FAILED' });
     }
 }
 
@@ -484,17 +448,17 @@ async function searchObjects(req, res) {
  * Returns detailed metadata for a specific file
  */
 async function getObjectInfo(req, res) {
-    const { bucket, key, userId, region } = req.query;
+    const { bucket, key, userId, region: requestedRegion } = req.query;
 
-    console.log(`[Widget S3 Object Info] Bucket: ${bucket}, Key: ${key}, User: ${userId}`);
+    log.info('Object info requested', { bucket, key, userId });
 
     // Validate required parameters
     if (!bucket || !key) {
         return res.status(400).json(errorResponse('Bucket name and key are required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -505,25 +469,18 @@ async function getObjectInfo(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         const result = await s3Service.getObjectInfo(bucket, key, region, credCheck.credentials);
 
-        console.log(`[Widget S3 Object Info] Success - ${result.sizeFormatted}, ${result.contentType}`);
+        log.debug('Object info fetched', { bucket, key, size: result.sizeFormatted, contentType: result.contentType });
         
         return res.json(successResponse(result));
 
     } catch (error) {
-        console.error('[Widget S3 Object Info] Failed:', error);
-        
-        if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
-            return res.status(404).json(errorResponse('File not found', 'FILE_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to access this file.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to get file info', 'GET_INFO_FAILED'));
+        log.error('Object info failed', { bucket, key, error });
+        return sendAWSError(res, error, { iamAction: 's3:GetObject', fallbackMessage: 'Failed to get file info', fallbackCode: 'GET_INFO_FAILED' });
     }
 }
 
@@ -532,17 +489,17 @@ async function getObjectInfo(req, res) {
  * Creates a virtual folder by uploading an empty object with trailing slash
  */
 async function createFolder(req, res) {
-    const { bucket, folderName, prefix, userId, region } = req.body;
+    const { bucket, folderName, prefix, userId, region: requestedRegion } = req.body;
 
-    console.log(`[Widget S3 Create Folder] Bucket: ${bucket}, Folder: ${folderName}, Prefix: ${prefix || ''}`);
+    log.info('Folder create requested', { bucket, folderName, prefix: prefix || '' });
 
     // Validate required parameters
     if (!bucket || !folderName) {
         return res.status(400).json(errorResponse('Bucket name and folder name are required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -553,25 +510,23 @@ async function createFolder(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
+        // Preview only (utils/dry-run.js)
+        if (isDryRun(req)) {
+            return res.json(successResponse(await s3Service.createFolder(bucket, folderName, prefix || '', region, credCheck.credentials, true)));
+        }
+
         const result = await s3Service.createFolder(bucket, folderName, prefix || '', region, credCheck.credentials);
 
-        console.log(`[Widget S3 Create Folder] Success - ${result.key}`);
+        log.info('Folder created', { bucket, key: result.key });
         
         return res.json(successResponse(result));
 
     } catch (error) {
-        console.error('[Widget S3 Create Folder] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to create folders in this bucket.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to create folder', 'CREATE_FOLDER_FAILED'));
+        log.error('Folder create failed', { bucket, error });
+        return sendAWSError(res, error, { iamAction: 's3:PutObject', fallbackMessage: 'Failed to create folder', fallbackCode: 'CREATE_FOLDER_FAILED' });
     }
 }
 
@@ -580,17 +535,17 @@ async function createFolder(req, res) {
  * Recursively deletes a folder and all its contents
  */
 async function deleteFolder(req, res) {
-    const { bucket, folderKey, userId, region } = req.body;
+    const { bucket, folderKey, userId, region: requestedRegion } = req.body;
 
-    console.log(`[Widget S3 Delete Folder] Bucket: ${bucket}, Folder: ${folderKey}`);
+    log.info('Folder delete requested', { bucket, folderKey });
 
     // Validate required parameters
     if (!bucket || !folderKey) {
         return res.status(400).json(errorResponse('Bucket name and folder key are required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -601,25 +556,23 @@ async function deleteFolder(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
+        // Preview only (utils/dry-run.js)
+        if (isDryRun(req)) {
+            return res.json(successResponse(await s3Service.deleteFolder(bucket, folderKey, region, credCheck.credentials, true)));
+        }
+
         const result = await s3Service.deleteFolder(bucket, folderKey, region, credCheck.credentials);
 
-        console.log(`[Widget S3 Delete Folder] Success - ${result.objectsDeleted} objects deleted`);
+        log.info('Folder deleted', { bucket, folderKey, objectsDeleted: result.objectsDeleted });
         
         return res.json(successResponse(result));
 
     } catch (error) {
-        console.error('[Widget S3 Delete Folder] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to delete folders in this bucket.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to delete folder', 'DELETE_FOLDER_FAILED'));
+        log.error('Folder delete failed', { bucket, folderKey, error });
+        return sendAWSError(res, error, { iamAction: 's3:DeleteObject', fallbackMessage: 'Failed to delete folder', fallbackCode: 'DELETE_FOLDER_FAILED' });
     }
 }
 
@@ -628,17 +581,17 @@ async function deleteFolder(req, res) {
  * Returns comprehensive stats including file type breakdown and largest files
  */
 async function getDetailedBucketStats(req, res) {
-    const { bucket, userId, region } = req.query;
+    const { bucket, userId, region: requestedRegion } = req.query;
 
-    console.log(`[Widget S3 Detailed Stats] Bucket: ${bucket}, User: ${userId}`);
+    log.info('Bucket stats requested', { bucket, userId });
 
     // Validate required parameters
     if (!bucket) {
         return res.status(400).json(errorResponse('Bucket name is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     // Get user credentials
@@ -649,25 +602,18 @@ async function getDetailedBucketStats(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
         const result = await s3Service.getDetailedBucketStats(bucket, region, credCheck.credentials);
 
-        console.log(`[Widget S3 Detailed Stats] Success - ${result.totalObjects} objects, ${result.fileTypes.length} types`);
+        log.debug('Bucket stats fetched', { bucket, totalObjects: result.totalObjects, fileTypes: result.fileTypes.length });
         
         return res.json(successResponse(result));
 
     } catch (error) {
-        console.error('[Widget S3 Detailed Stats] Failed:', error);
-        
-        if (error.name === 'NoSuchBucket') {
-            return res.status(404).json(errorResponse('Bucket not found', 'BUCKET_NOT_FOUND'));
-        }
-        
-        if (error.name === 'AccessDenied' || error.name === 'AccessDeniedException' || error.message?.includes('Access Denied')) {
-            return res.status(403).json(errorResponse('You don\'t have permission to access this bucket.', 'ACCESS_DENIED'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to get bucket statistics', 'GET_STATS_FAILED'));
+        log.error('Bucket stats failed', { bucket, error });
+        return sendAWSError(res, error, { iamAction: 's3:ListBucket', fallbackMessage: 'Failed to get bucket statistics', fallbackCode: 'GET_STATS_FAILED' });
     }
 }
 
@@ -675,17 +621,17 @@ async function getDetailedBucketStats(req, res) {
  * Create S3 Bucket
  */
 async function createBucket(req, res) {
-    const { bucketName, region, userId } = req.body;
+    const { bucketName, region: requestedRegion, userId } = req.body;
 
-    console.log(`[Widget S3] Create Bucket: ${bucketName}, Region: ${region}, User: ${userId}`);
+    log.info('Bucket create requested', { bucketName, requestedRegion: requestedRegion || null, userId });
 
     // Validate required parameters
     if (!bucketName) {
         return res.status(400).json(errorResponse('Bucket name is required'));
     }
 
-    if (!region) {
-        return res.status(400).json(errorResponse('Region is required'));
+    if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+        return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
     }
 
     if (!userId) {
@@ -706,11 +652,18 @@ async function createBucket(req, res) {
         return res.status(401).json(errorResponse(credCheck.message, credCheck.error));
     }
 
+    const region = resolveRegion(requestedRegion, credCheck.region);
+
     try {
+        // Preview only (utils/dry-run.js)
+        if (isDryRun(req)) {
+            return res.json(successResponse(await s3Service.createBucket(bucketName, region, credCheck.credentials, true)));
+        }
+
         // Create bucket
-        await s3Service.createBucket(bucketName, region);
+        await s3Service.createBucket(bucketName, region, credCheck.credentials);
 
-        console.log(`[Widget S3] Bucket created successfully: ${bucketName}`);
+        log.info('Bucket created', { bucketName });
         
         return res.json(successResponse({
             bucketName: bucketName,
@@ -719,22 +672,8 @@ async function createBucket(req, res) {
         }));
 
     } catch (error) {
-        console.error('[Widget S3] Create bucket failed:', error);
-        
-        // Handle specific AWS errors
-        if (error.name === 'BucketAlreadyExists' || error.message?.includes('already exists')) {
-            return res.status(409).json(errorResponse('Bucket name already exists. Please choose a different name.', 'BUCKET_EXISTS'));
-        }
-        
-        if (error.name === 'BucketAlreadyOwnedByYou') {
-            return res.status(409).json(errorResponse('You already own a bucket with this name.', 'BUCKET_OWNED'));
-        }
-        
-        if (error.name === 'InvalidBucketName') {
-            return res.status(400).json(errorResponse('Invalid bucket name format.', 'INVALID_NAME'));
-        }
-
-        return res.status(500).json(errorResponse(error.message || 'Failed to create bucket', 'CREATE_FAILED'));
+        log.error('Bucket create failed', { bucketName, error });
+        return sendAWSError(res, error, { iamAction: 's3:CreateBucket', fallbackMessage: 'Failed to create bucket', fallbackCode: 'CREATE_FAILED' });
     }
 }
 
@@ -36,6 +36,7 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const { AsyncResource } = require('async_hooks');
 const { minify } = require('html-minifier');
 const app = express();
 
@@ -54,8 +55,41 @@ const upload = multer({
     }
 });
 
+// Multer calls next() from its stream events, outside the request's async
+// context - bind it back so the request ID and time budget carry on
+function parseUpload(middleware) {
+    return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
 app.use(express.json());
 
+/*
+ * Request Logging
+ * ---------------
+ * Every request gets an ID, returned in the X-Request-Id header and added to
+ * every log line written while it runs. Logs are JSON lines with secrets,
+ * environment variable values and message bodies redacted; each request ends
+ * with one line giving its status, latency and AWS calls (utils/logger.js).
+ */
+const { requestLogger, createLogger, addLogFields } = require('./utils/logger');
+app.use(requestLogger());
+
+const log = createLogger('server');
+const routerLog = createLogger('router');
+const uploadLog = createLogger('upload');
+const dashboardLog = createLogger('dashboard');
+
+/*
+ * Time Budget
+ * -----------
+ * Every request gets a time budget for its AWS calls, which are retried with
+ * backoff when AWS throttles (utils/aws-calls.js). When the budget runs out,
+ * list and summary responses come back partial and flagged degraded: true
+ * instead of failing.
+ */
+const { timeBudget, markDegraded, isBudgetExceeded } = require('./utils/aws-calls');
+app.use(timeBudget());
+
 // Serve Toastify assets from node_modules so frontend can import locally
 app.use('/static/toastify', express.static(path.join(__dirname, 'node_modules', 'toastify-js')));
 
@@ -66,11 +100,37 @@ app.use('/static/toastify', express.static(path.join(__dirname, 'node_modules',
  */
 
 // Import widget controllers
+const { authenticateCaller, authenticateJob } = require('./utils/auth');
+const { authorize } = require('./utils/access');
+const { auditTrail } = require('./utils/audit');
+const { requireConsent, requireConfirmation } = require('./utils/safeguards');
+const { validateParams } = require('./utils/validation');
+const { idempotent } = require('./utils/idempotency');
+const { requireApproval } = require('./utils/approvals');
+const { dryRun, isDryRun } = require('./utils/dry-run');
+const { cached, fullListParams, getCachePolicy, runCached, invalidateCache } = require('./utils/response-cache');
 const ec2WidgetController = require('./controllers/widget/ec2');
 const s3WidgetController = require('./controllers/widget/s3');
 const lambdaWidgetController = require('./controllers/widget/lambda');
 
 /*
+ * Every widget API route also runs authenticateCaller (utils/auth.js), which
+ * verifies the signed user ID the widget sends and rejects other users' IDs,
+ * then auditTrail (utils/audit.js), which records mutating calls,
+ * invalidateCache (utils/response-cache.js) on routes that change things,
+ * which drops the caller's cached list results once the change succeeds,
+ * authorize (utils/access.js), which checks the caller's role against the
+ * policy for the route's service:action, and validateParams
+ * (utils/validation.js), which checks the parameters against the route's
+ * schema in actions/widgets.js. Routes that change things run dryRun
+ * (utils/dry-run.js), which sends dryRun: true requests straight to the
+ * controller for a preview (or answers DRY_RUN_UNSUPPORTED), and idempotent
+ * (utils/idempotency.js), which answers a repeat with the same
+ * idempotencyKey from the first result. Routes with destructive or paid
+ * actions also run requireConfirmation / requireConsent (utils/safeguards.js),
+ * and routes with approval actions requireApproval (utils/approvals.js),
+ * which stores them for another user to approve instead of running them.
+ *
  * Middleware to allow iframe embedding for widget API routes.
  * Without these headers, browsers would block widget API calls from loading
  * inside Cliq's iframe due to X-Frame-Options and CORS restrictions.
@@ -78,7 +138,8 @@ const lambdaWidgetController = require('./controllers/widget/lambda');
 const allowIframeHeaders = (req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Cliq-User-Id, X-Cliq-Signature, X-Cliq-Timestamp, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
     res.removeHeader('X-Frame-Options');
     res.setHeader('Content-Security-Policy', "frame-ancestors *");
     res.setHeader('X-Frame-Options', 'ALLOWALL');
@@ -86,32 +147,34 @@ const allowIframeHeaders = (req, res, next) => {
 };
 
 // EC2 Widget Routes
-app.get('/widget/ec2', allowIframeHeaders, ec2WidgetController.handleAction);
-app.post('/widget/ec2', allowIframeHeaders, ec2WidgetController.handleAction);
-app.get('/widget/ec2/metrics', allowIframeHeaders, ec2WidgetController.getMetrics);
+app.get('/widget/ec2', allowIframeHeaders, authenticateCaller, auditTrail('ec2', req => req.query.action, 'widget'), authorize('ec2', req => req.query.action), validateParams('ec2', req => req.query.action), ec2WidgetController.handleAction);
+app.post('/widget/ec2', allowIframeHeaders, authenticateCaller, auditTrail('ec2', req => req.query.action, 'widget'), invalidateCache('ec2', req => req.query.action), authorize('ec2', req => req.query.action), validateParams('ec2', req => req.query.action), dryRun('ec2', req => req.query.action, ec2WidgetController.handleAction), idempotent('ec2', req => req.query.action), requireConfirmation('ec2', req => req.query.action), requireApproval('ec2', req => req.query.action, 'widget'), ec2WidgetController.handleAction);
+app.get('/widget/ec2/metrics', allowIframeHeaders, authenticateCaller, auditTrail('ec2', 'metrics', 'widget'), authorize('ec2', 'metrics'), validateParams('ec2', 'metrics'), ec2WidgetController.getMetrics);
 
 // S3 Widget Routes
-app.get('/widget/s3/browse', allowIframeHeaders, s3WidgetController.browse);
-app.post('/widget/s3/upload', allowIframeHeaders, s3WidgetController.upload);
-app.post('/widget/s3/delete', allowIframeHeaders, s3WidgetController.deleteObject);  // POST for delete
-app.get('/widget/s3/download', allowIframeHeaders, s3WidgetController.getDownloadUrl);
-app.get('/widget/s3/info', allowIframeHeaders, s3WidgetController.getBucketInfo);
-app.post('/widget/s3/delete-bucket', allowIframeHeaders, s3WidgetController.deleteBucket);
-app.post('/widget/s3/create', allowIframeHeaders, s3WidgetController.createBucket);
+app.get('/widget/s3/browse', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'listObjects', 'widget'), authorize('s3', 'listObjects'), validateParams('s3', 'listObjects'), s3WidgetController.browse);
+app.post('/widget/s3/upload', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'upload', 'widget'), invalidateCache('s3', 'upload'), authorize('s3', 'upload'), dryRun('s3', 'upload', s3WidgetController.upload), s3WidgetController.upload);
+app.post('/widget/s3/delete', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'deleteObject', 'widget'), invalidateCache('s3', 'deleteObject'), authorize('s3', 'deleteObject'), validateParams('s3', 'deleteObject'), dryRun('s3', 'deleteObject', s3WidgetController.deleteObject), idempotent('s3', 'deleteObject'), requireConfirmation('s3', 'deleteObject'), s3WidgetController.deleteObject);  // POST for delete
+app.get('/widget/s3/download', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'getPresignedUrl', 'widget'), authorize('s3', 'getPresignedUrl'), validateParams('s3', 'getPresignedUrl'), s3WidgetController.getDownloadUrl);
+app.get('/widget/s3/info', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'getBucket', 'widget'), authorize('s3', 'getBucket'), validateParams('s3', 'getBucket'), s3WidgetController.getBucketInfo);
+app.post('/widget/s3/delete-bucket', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'deleteBucket', 'widget'), invalidateCache('s3', 'deleteBucket'), authorize('s3', 'deleteBucket'), validateParams('s3', 'deleteBucket'), dryRun('s3', 'deleteBucket', s3WidgetController.deleteBucket), idempotent('s3', 'deleteBucket'), requireConfirmation('s3', 'deleteBucket'), requireApproval('s3', 'deleteBucket', 'widget'), s3WidgetController.deleteBucket);
+app.post('/widget/s3/create', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'createBucket', 'widget'), invalidateCache('s3', 'createBucket'), authorize('s3', 'createBucket'), validateParams('s3', 'createBucket'), dryRun('s3', 'createBucket', s3WidgetController.createBucket), idempotent('s3', 'createBucket'), s3WidgetController.createBucket);
 
 // Lambda Widget Routes
-app.post('/widget/lambda', allowIframeHeaders, upload.single('zipFile'), lambdaWidgetController.handleLambdaWidget);
-app.get('/widget/s3/search', allowIframeHeaders, s3WidgetController.searchObjects);
-app.get('/widget/s3/object-info', allowIframeHeaders, s3WidgetController.getObjectInfo);
-app.post('/widget/s3/create-folder', allowIframeHeaders, s3WidgetController.createFolder);
-app.post('/widget/s3/delete-folder', allowIframeHeaders, s3WidgetController.deleteFolder);
-app.get('/widget/s3/detailed-stats', allowIframeHeaders, s3WidgetController.getDetailedBucketStats);
+app.post('/widget/lambda', allowIframeHeaders, parseUpload(upload.single('zipFile')), authenticateCaller, auditTrail('lambda', req => req.body.action, 'widget'), invalidateCache('lambda', req => req.body.action), authorize('lambda', req => req.body.action), validateParams('lambda', req => req.body.action), dryRun('lambda', req => req.body.action, lambdaWidgetController.handleLambdaWidget), idempotent('lambda', req => req.body.action), requireConsent('lambda', req => req.body.action), lambdaWidgetController.handleLambdaWidget);
+app.get('/widget/s3/search', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'search', 'widget'), authorize('s3', 'search'), validateParams('s3', 'search'), s3WidgetController.searchObjects);
+app.get('/widget/s3/object-info', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'getObject', 'widget'), authorize('s3', 'getObject'), validateParams('s3', 'getObject'), s3WidgetController.getObjectInfo);
+app.post('/widget/s3/create-folder', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'createFolder', 'widget'), invalidateCache('s3', 'createFolder'), authorize('s3', 'createFolder'), validateParams('s3', 'createFolder'), dryRun('s3', 'createFolder', s3WidgetController.createFolder), idempotent('s3', 'createFolder'), s3WidgetController.createFolder);
+app.post('/widget/s3/delete-folder', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'deleteFolder', 'widget'), invalidateCache('s3', 'deleteFolder'), authorize('s3', 'deleteFolder'), validateParams('s3', 'deleteFolder'), dryRun('s3', 'deleteFolder', s3WidgetController.deleteFolder), idempotent('s3', 'deleteFolder'), requireConfirmation('s3', 'deleteFolder'), requireApproval('s3', 'deleteFolder', 'widget'), s3WidgetController.deleteFolder);
+app.get('/widget/s3/detailed-stats', allowIframeHeaders, authenticateCaller, auditTrail('s3', 'summary', 'widget'), authorize('s3', 'summary'), validateParams('s3', 'summary'), s3WidgetController.getDetailedBucketStats);
 
 /*
  * AWS Service Modules
  * -------------------
  * Each service module handles operations for one AWS service.
  * They use the aws-clients.js factory for authenticated clients.
+ * The router reaches them through the action registry (actions/);
+ * the dashboard data route below calls them directly.
  */
 const ec2Service = require('./services/ec2');
 const s3Service = require('./services/s3');
@@ -120,22 +183,29 @@ const cloudwatchService = require('./services/cloudwatch');
 const logsService = require('./services/logs');
 const costService = require('./services/cost');
 const rdsService = require('./services/rds');
-const snsService = require('./services/sns');
-const iamService = require('./services/iam');
-const bedrockService = require('./services/bedrock');
 
 /*
  * Utility Imports
  * ---------------
  * - config: AWS region and Bedrock settings
  * - helpers: Response formatting, byte formatting, etc.
+ * - aws-errors: Stable error codes and hints for AWS failures
  * - pricing: Cost warnings for paid AWS operations
- * - permissions: IAM permission checking
+ * - actions: Registry of every service:action the router runs
+ * - openapi: OpenAPI document built from the registry and widget routes
+ * - batch: Several router actions in one request
+ * - schedules: Office-hours start/stop of EC2 instances and RDS databases
  */
-const { config } = require('./utils/aws-clients');
+const { config, toAwsCredentials, SUPPORTED_REGIONS, isSupportedRegion, resolveRegion } = require('./utils/aws-clients');
 const { successResponse, errorResponse } = require('./utils/helpers');
-const { isPaidAction, getCostWarning, getAllPricing } = require('./utils/pricing');
-const { checkAllPermissions, checkPermission, validateBedrock, getRequiredPolicy, getAvailableChecks } = require('./utils/permissions');
+const { ERROR_TYPES, normalizeAWSError, awsErrorBody, sendAWSError } = require('./utils/aws-errors');
+const { isPaidAction, getCostWarning } = require('./utils/pricing');
+const { DEFAULT_PROFILE } = require('./utils/profiles');
+const { getUserCredentials } = require('./utils/credentials');
+const registry = require('./actions');
+const { buildOpenApiDocument } = require('./utils/openapi');
+const { runBatch } = require('./utils/batch');
+const { runDueSchedules } = require('./utils/schedules');
 
 /*
  * Zoho Catalyst SDK
@@ -146,47 +216,53 @@ const { checkAllPermissions, checkPermission, validateBedrock, getRequiredPolicy
 let catalystApp = null;
 try {
     catalystApp = require('zcatalyst-sdk-node');
-    console.log('✓ Catalyst SDK loaded successfully');
+    log.info('Catalyst SDK loaded');
 } catch (e) {
-    console.error('✗ Catalyst SDK not available:', e.message);
+    log.warn('Catalyst SDK not available', { error: e.message });
 }
 
 /*
  * ============================================================================
  * CREDENTIAL MANAGEMENT HELPER
  * ============================================================================
- * Fetches user-specific AWS credentials from Catalyst Data Store.
- * All users (Quick Demo and Own Credentials) have records in user_credentials table.
- * Returns null if no credentials found - caller should handle setup redirect.
+ * Credentials are loaded (and decrypted) by getUserCredentials() in
+ * utils/credentials.js. Returns null if no credentials found - caller
+ * should handle setup redirect.
  */
-async function getUserCredentials(userId, catalystInstance) {
-    if (!catalystInstance) {
-        console.log('Catalyst not available - cannot fetch user credentials');
-        return null;
+
+/*
+ * Caller's credentials for a profile. Batch items share req.credentialLookups
+ * (utils/batch.js), so a batch looks each profile up once.
+ */
+function loadCredentials(req, userId, catalystInstance, profile) {
+    const lookups = req.credentialLookups;
+    if (!lookups) return getUserCredentials(userId, catalystInstance, profile);
+
+    const name = profile || DEFAULT_PROFILE;
+    if (!lookups.has(name)) {
+        lookups.set(name, getUserCredentials(userId, catalystInstance, profile));
     }
-    
-    try {
-        const datastore = catalystInstance.datastore();
-        const table = datastore.table('user_credentials');
-        const allCreds = await table.getAllRows();
-        const userCred = allCreds.find(row => row.user_id === userId);
-        
-        if (userCred) {
-            console.log(`Credentials found for user: ${userId}`);
-            return {
-                access_key_id: userCred.access_key_id,
-                secret_access_key: userCred.secret_access_key,
-                region: userCred.region || 'ap-south-1',
-                session_token: userCred.session_token || ''
-            };
-        } else {
-            console.log(`No credentials found for user: ${userId}`);
-            return null;
-        }
-    } catch (error) {
-        console.error('Error fetching user credentials:', error);
-        return null;
+    return lookups.get(name);
+}
+
+/*
+ * Missing credentials response for the router.
+ * A named profile that doesn't exist gets its own code so the frontend
+ * doesn't send the user through setup again.
+ */
+function credentialsMissingResult(profile) {
+    if (profile && profile !== DEFAULT_PROFILE) {
+        return {
+            success: false,
+            error: `Profile "${profile}" not found. Use { "service": "user_credentials", "action": "list_profiles" } to see your profiles.`,
+            code: 'PROFILE_NOT_FOUND'
+        };
     }
+    return {
+        success: false,
+        error: 'Please complete setup first',
+        code: 'SETUP_REQUIRED'
+    };
 }
 
 /*
@@ -199,9 +275,6 @@ async function getUserCredentials(userId, catalystInstance) {
  * - Testing connectivity from Cliq extension
  */
 app.get('/', (req, res) => {
-
-    console.log("Token Received:", req.headers.authorization);
-    
     res.json(successResponse({
         status: 'healthy',
         service: 'AWS CloudOps Handler',
@@ -211,6 +284,17 @@ app.get('/', (req, res) => {
     }));
 });
 
+/*
+ * API Contract
+ * ------------
+ * OpenAPI 3.1 document of the router and the widget routes, built from the
+ * action registry and actions/widgets.js (utils/openapi.js). Public, like
+ * the health check.
+ */
+app.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument());
+});
+
 /*
  * ============================================================================
  * MAIN API ROUTER
@@ -221,34 +305,98 @@ app.get('/', (req, res) => {
  * {
  *   "service": "ec2",           // Which AWS service to use
  *   "action": "list",           // What operation to perform
- *   "region": "ap-south-1",     // Region (ignored in v1, hardcoded to Mumbai)
- *   "userId": "123",            // Cliq user ID for logging
+ *   "region": "ap-south-1",     // Optional - defaults to the user's stored region
+ *   "profile": "prod",          // Optional account profile (default: "default")
+ *   "userId": "123",            // Optional Cliq user ID - must be the verified caller's (utils/auth.js)
  *   "userName": "Nisha",        // For logging purposes
  *   "userEmail": "x@y.com",     // For logging purposes
- *   "consent": true,            // User consents to paid operations (checked in frontend)
- *   "confirm": true,            // User confirms destructive operations
+ *   "consent": true,            // Required for paid operations (flagged paid in actions/)
+ *   "confirmationToken": "...", // Required for destructive operations (see below)
+ *   "fresh": true,              // Optional - skip the response cache
+ *   "idempotencyKey": "...",    // Optional - repeats get the first result (utils/idempotency.js)
+ *   "dryRun": true,             // Optional - preview a change without making it (utils/dry-run.js)
  *   ...params                   // Action-specific parameters
  * }
  *
  * The router:
  * 1. Extracts service and action from request
- * 2. Routes to the appropriate service module (consent checked in frontend)
- * 3. Returns formatted response with optional cost warnings
+ * 2. Checks the caller's role for service:action (utils/access.js) - FORBIDDEN if too low,
+ *    then the parameters against the action's schema (utils/validation.js) -
+ *    VALIDATION_ERROR with the offending fields if they don't match
+ * 3. dryRun: true goes straight to step 5 for actions that support it, which
+ *    answer with a preview instead of making the change (utils/dry-run.js),
+ *    and is refused with DRY_RUN_UNSUPPORTED for the rest. Otherwise:
+ *    paid actions without consent get requiresConsent; destructive actions
+ *    without a valid confirmationToken get requiresConfirmation plus a token
+ *    bound to the target - repeat the call with it (utils/safeguards.js).
+ *    Approval actions are then stored until another user approves them
+ *    (APPROVAL_REQUIRED, 202 - utils/approvals.js)
+ * 4. Looks the action up in the registry (actions/) - UNKNOWN_ACTION if it
+ *    isn't declared
+ * 5. Loads the caller's credentials if the service needs them and runs the
+ *    action's handler - or answers from the response cache for list and
+ *    summary actions (utils/response-cache.js). Successful mutating actions
+ *    drop the caller's cached results of the same resource type
+ * 6. Returns formatted response with optional cost warnings and cache age
+ */
+const bodyService = req => req.body.service;
+const bodyAction = req => req.body.action;
+
+/*
+ * Runs the service:action in req.body once routerChain()'s checks have passed
  */
-app.post('/', async (req, res) => {
+async function runAction(req, res) {
     try {
-        const { service, action, region: _passedRegion, confirm, userId, userName, userEmail, consent, ...params } = req.body;
+        const { service, action, region: requestedRegion, profile, confirm, confirmationToken, idempotencyKey, userName, userEmail, consent, fresh, dryRun: dryRunFlag, ...params } = req.body;
+
+        // A userId in the body was checked against the verified caller by
+        // authenticateCaller, and OAuth callers may leave it out - the
+        // caller's ID is the one used from here on
+        delete params.userId;
+        const userId = req.caller.userId;
 
         /*
-         * Region Handling (v1)
-         * --------------------
-         * In version 1, we ignore the region passed from frontend and use a hardcoded
-         * region. This simplifies the demo and avoids confusion. The frontend already
-         * has region selection UI - it will be wired up in v2.
+         * Region Handling
+         * ---------------
+         * The region sent by the caller wins. If none is sent, actions that use
+         * AWS credentials fall back to the region stored with them once they
+         * are loaded, and finally to AWS_REGION. Unknown regions are rejected
+         * up front. Cost Explorer and IAM always use their global endpoint.
          */
-        const region = process.env.AWS_REGION || 'ap-south-1';
+        if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+            return res.status(400).json({
+                ...errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'),
+                supportedRegions: SUPPORTED_REGIONS
+            });
+        }
+        let region = resolveRegion(requestedRegion);
+        
+        /*
+         * Action Lookup
+         * -------------
+         * Every service:action is declared in the action registry (actions/),
+         * with its parameter schema, role, flags and handler. Parameters were
+         * already checked against the schema by validateParams().
+         */
+        const entry = registry.getAction(service, action);
+        if (!entry) {
+            const known = registry.listServiceActions(service);
+            return res.status(400).json({
+                ...errorResponse(known.length > 0
+                    ? `Unknown ${service} action: ${action}. Use: ${known.join(', ')}`
+                    : `Unknown service: ${service}. Use: ${registry.listServices().join(', ')}`, 'UNKNOWN_ACTION'),
+                service: service || null,
+                action: action || null
+            });
+        }
         
-        console.log(`[${new Date().toISOString()}] ${service}/${action} user=${userId || 'anonymous'}`, params);
+        // userName is the caller's display name, except for actions that declare it (iam:getUser)
+        if (userName !== undefined && entry.params.properties.userName) {
+            params.userName = userName;
+        }
+
+        addLogFields({ service: entry.service, action: entry.action });
+        routerLog.info('Action started', { params, requestedRegion, profile });
         
         /*
          * Initialize Catalyst SDK for this request.
@@ -264,975 +412,161 @@ app.post('/', async (req, res) => {
         }
 
         /*
-         * Consent is now managed in the frontend (Cliq awsprefs database).
-         * Backend trusts that frontend has already checked user consent.
+         * Credentials
+         * -----------
+         * AWS services run with the caller's stored credentials for the
+         * requested profile. The region falls back to the one stored with them.
          */
+        let userCreds = null;
+        let credentials = null;
+        if (entry.credentials) {
+            userCreds = await loadCredentials(req, userId, catalystInstance, profile);
+            if (!userCreds) {
+                return res.json(successResponse(credentialsMissingResult(profile)));
+            }
+            credentials = toAwsCredentials(userCreds);
+            region = resolveRegion(requestedRegion, userCreds.region);
+        }
         
-        let result;
+        if (entry.catalyst && !catalystInstance) {
+            return res.json(successResponse({
+                success: false,
+                error: 'Catalyst SDK not available (running locally?)'
+            }));
+        }
         
-        switch (service) {
-            /*
-             * ==================== EC2 ====================
-             * Elastic Compute Cloud - Virtual server management
-             * Actions: list, get, start, stop, reboot, status, metrics, summary,
-             *          securityGroups, vpcs, subnets
-             */
-            case 'ec2':
-                // Check for user credentials first
-                const ec2UserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!ec2UserCreds) {
-                    result = {
-                        success: false,
-                        error: 'Please complete setup first',
-                        code: 'SETUP_REQUIRED'
-                    };
-                    break;
-                }
-                
-                // TODO: Pass ec2UserCreds to service calls (requires updating ec2Service methods)
-                // For now, service will continue using env variables
-                
-                switch (action) {
-                    case 'list':
-                        result = await ec2Service.listInstances(
-                            region, 
-                            params.filters || {}, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'get':
-                        result = await ec2Service.getInstance(params.instanceId, region);
-                        break;
-                    case 'start':
-                        result = await ec2Service.startInstance(params.instanceId, region);
-                        break;
-                    case 'stop':
-                        result = await ec2Service.stopInstance(params.instanceId, region, params.force);
-                        break;
-                    case 'reboot':
-                        result = await ec2Service.rebootInstance(params.instanceId, region);
-                        break;
-                    case 'status':
-                        result = await ec2Service.getInstanceStatus(params.instanceId, region);
-                        break;
-                    case 'metrics':
-                        result = await ec2Service.getInstanceMetrics(
-                            params.instanceId, 
-                            params.metricName || 'CPUUtilization', 
-                            region, 
-                            params.hours || 1
-                        );
-                        break;
-                    case 'summary':
-                        result = await ec2Service.getInstancesSummary(region);
-                        break;
-                    case 'securityGroups':
-                        result = await ec2Service.listSecurityGroups(
-                            region, 
-                            params.vpcId, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'vpcs':
-                        result = await ec2Service.listVpcs(
-                            region, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'subnets':
-                        result = await ec2Service.listSubnets(region, params.vpcId);
-                        break;
-                    default:
-                        throw new Error(`Unknown EC2 action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== S3 ====================
-             * Simple Storage Service - Object storage management
-             * Actions: listBuckets, getBucket, listObjects, getObject,
-             *          getPresignedUrl, deleteObject, search, summary,
-             *          getUploadUrl, uploadFromUrl, createBucket, deleteBucket
-             */
-            case 's3':
-                // Check for user credentials
-                const s3UserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!s3UserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'listBuckets':
-                        result = await s3Service.listBuckets(
-                            region, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'getBucket':
-                        result = await s3Service.getBucketInfo(params.bucket, region);
-                        break;
-                    case 'listObjects':
-                        result = await s3Service.listObjects(
-                            params.bucket, 
-                            params.prefix || '', 
-                            region, 
-                            params.maxKeys || 100,
-                            null, // credentials (handled internally)
-                            params.continuationToken || null,
-                            params.page || 1,
-                            params.limit || 5
-                        );
-                        break;
-                    case 'getObject':
-                        result = await s3Service.getObjectInfo(params.bucket, params.key, region);
-                        break;
-                    case 'getPresignedUrl':
-                        result = await s3Service.getPresignedUrl(params.bucket, params.key, region, params.expiresIn);
-                        break;
-                    case 'deleteObject':
-                        result = await s3Service.deleteObject(params.bucket, params.key, region);
-                        break;
-                    case 'search':
-                        result = await s3Service.searchObjects(params.bucket, params.searchTerm, region, params.maxResults);
-                        break;
-                    case 'summary':
-                        result = await s3Service.getBucketsSummary(region);
-                        break;
-                    case 'getUploadUrl':
-                        result = await s3Service.getUploadPresignedUrl(params.bucket, params.key, params.contentType, region, params.expiresIn);
-                        break;
-                    case 'uploadFromUrl':
-                        result = await s3Service.uploadFromUrl(params.bucket, params.key, params.sourceUrl, params.contentType, region);
-                        break;
-                    case 'createBucket':
-                        result = await s3Service.createBucket(params.bucket, region);
-                        break;
-                    case 'deleteBucket':
-                        result = await s3Service.deleteBucket(params.bucket, region);
-                        break;
-                    default:
-                        throw new Error(`Unknown S3 action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== LAMBDA ====================
-             * Serverless function management
-             * Actions: list, get, invoke (requires consent), summary, eventSources
-             */
-            case 'lambda':
-                const lambdaUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!lambdaUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'list':
-                        result = await lambdaService.listFunctions(
-                            region, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'get':
-                        result = await lambdaService.getFunction(params.functionName, region);
-                        break;
-                    case 'invoke':
-                        result = await lambdaService.invokeFunction(
-                            params.functionName, 
-                            params.payload, 
-                            region, 
-                            params.invocationType
-                        );
-                        break;
-                    case 'summary':
-                        result = await lambdaService.getFunctionsSummary(region);
-                        break;
-                    case 'eventSources':
-                        result = await lambdaService.listEventSourceMappings(params.functionName, region);
-                        break;
-                    default:
-                        throw new Error(`Unknown Lambda action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== CLOUDWATCH ====================
-             * Monitoring and alarms
-             * Actions: listAlarms, getActiveAlarms, getAlarm, getAlarmHistory,
-             *          getMetrics, createAlarm, deleteAlarm, setAlarmState,
-             *          listMetrics, summary
-             */
-            case 'cloudwatch':
-                const cloudwatchUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!cloudwatchUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'listAlarms':
-                        result = await cloudwatchService.listAlarms(
-                            region, 
-                            params.stateValue, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'getActiveAlarms':
-                        result = await cloudwatchService.getActiveAlarms(
-                            region, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'getAlarm':
-                        result = await cloudwatchService.getAlarm(params.alarmName, region);
-                        break;
-                    case 'getAlarmHistory':
-                        result = await cloudwatchService.getAlarmHistory(params.alarmName, region, params.historyType);
-                        break;
-                    case 'getMetrics':
-                        result = await cloudwatchService.getMetrics(
-                            params.namespace,
-                            params.metricName,
-                            params.dimensions,
-                            region,
-                            params.hours,
-                            params.statistic
-                        );
-                        break;
-                    case 'createAlarm':
-                        result = await cloudwatchService.createAlarm(params, region);
-                        break;
-                    case 'deleteAlarm':
-                        result = await cloudwatchService.deleteAlarm(params.alarmName, region);
-                        break;
-                    case 'setAlarmState':
-                        result = await cloudwatchService.setAlarmState(params.alarmName, params.state, params.reason, region);
-                        break;
-                    case 'listMetrics':
-                        result = await cloudwatchService.listMetrics(params.namespace, region);
-                        break;
-                    case 'summary':
-                        result = await cloudwatchService.getAlarmsSummary(region);
-                        break;
-                    default:
-                        throw new Error(`Unknown CloudWatch action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== LOGS ====================
-             * CloudWatch Logs - Log group and stream management
-             * Actions: listGroups, listStreams, getEvents, filter, recent,
-             *          errors, lambdaLogs, ec2Logs, summary
-             */
-            case 'logs':
-                const logsUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!logsUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'listGroups':
-                        result = await logsService.listLogGroups(
-                            region, 
-                            params.prefix, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'listStreams':
-                        result = await logsService.listLogStreams(
-                            params.logGroupName, 
-                            region, 
-                            params.orderBy, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'getEvents':
-                        result = await logsService.getLogEvents(params.logGroupName, params.logStreamName, region, params);
-                        break;
-                    case 'filter':
-                        result = await logsService.filterLogEvents(params.logGroupName, region, params);
-                        break;
-                    case 'recent':
-                        result = await logsService.getRecentLogs(params.logGroupName, region, params.minutes, params.filterPattern);
-                        break;
-                    case 'errors':
-                        result = await logsService.searchErrors(params.logGroupName, region, params.minutes);
-                        break;
-                    case 'lambdaLogs':
-                        result = await logsService.getLambdaLogs(params.functionName, region, params.minutes);
-                        break;
-                    case 'ec2Logs':
-                        result = await logsService.getEC2Logs(params.instanceId, region, params.minutes);
-                        break;
-                    case 'summary':
-                        result = await logsService.getLogsSummary(region);
-                        break;
-                    default:
-                        throw new Error(`Unknown Logs action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== COST ====================
-             * Cost Explorer - Spending and usage reports (requires consent)
-             * Note: Each Cost Explorer API call costs $0.01
-             * Actions: getUsage, byPeriod, forecast, monthToDate, comparison,
-             *          topServices, trend, byTag
-             */
-            case 'cost':
-                const costUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!costUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'getUsage':
-                        result = await costService.getCostAndUsage(
-                            params.startDate,
-                            params.endDate,
-                            params.granularity,
-                            params.groupBy
-                        );
-                        break;
-                    case 'byPeriod':
-                        result = await costService.getCostsByPeriod(params.period, params.groupBy);
-                        break;
-                    case 'forecast':
-                        result = await costService.getCostForecast(params.startDate, params.endDate, params.granularity);
-                        break;
-                    case 'monthToDate':
-                        result = await costService.getMonthToDateCosts();
-                        break;
-                    case 'comparison':
-                        result = await costService.getCostComparison();
-                        break;
-                    case 'topServices':
-                        result = await costService.getTopServices(params.period, params.limit);
-                        break;
-                    case 'trend':
-                        result = await costService.getDailyCostTrend(params.days);
-                        break;
-                    case 'byTag':
-                        result = await costService.getCostByTag(params.tagKey, params.period);
-                        break;
-                    default:
-                        throw new Error(`Unknown Cost action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== RDS ====================
-             * Relational Database Service - Database management
-             * Actions: list, get, start, stop, reboot, clusters, snapshots, summary
-             */
-            case 'rds':
-                const rdsUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!rdsUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'list':
-                        result = await rdsService.listDBInstances(
-                            region, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'get':
-                        result = await rdsService.getDBInstance(params.dbInstanceId, region);
-                        break;
-                    case 'start':
-                        result = await rdsService.startDBInstance(params.dbInstanceId, region);
-                        break;
-                    case 'stop':
-                        result = await rdsService.stopDBInstance(params.dbInstanceId, region, params.snapshotId);
-                        break;
-                    case 'reboot':
-                        result = await rdsService.rebootDBInstance(params.dbInstanceId, region, params.forceFailover);
-                        break;
-                    case 'clusters':
-                        result = await rdsService.listDBClusters(
-                            region, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'snapshots':
-                        result = await rdsService.listDBSnapshots(
-                            region, 
-                            params.dbInstanceId, 
-                            params.page || 1, 
-                            params.limit || 5
-                        );
-                        break;
-                    case 'summary':
-                        result = await rdsService.getRDSSummary(region);
-                        break;
-                    default:
-                        throw new Error(`Unknown RDS action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== SNS ====================
-             * Simple Notification Service - Pub/sub messaging
-             * Actions: listTopics, getTopic, listSubscriptions, topicSubscriptions,
-             *          publish (requires consent), createTopic, deleteTopic,
-             *          subscribe, unsubscribe, summary
-             */
-            case 'sns':
-                const snsUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!snsUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'listTopics':
-                        result = await snsService.listTopics(region);
-                        break;
-                    case 'getTopic':
-                        result = await snsService.getTopic(params.topicArn, region);
-                        break;
-                    case 'listSubscriptions':
-                        result = await snsService.listSubscriptions(region);
-                        break;
-                    case 'topicSubscriptions':
-                        result = await snsService.listTopicSubscriptions(params.topicArn, region);
-                        break;
-                    case 'publish':
-                        result = await snsService.publish(params.topicArn, params.message, params.subject, region);
-                        break;
-                    case 'createTopic':
-                        result = await snsService.createTopic(params.name, region, params.attributes);
-                        break;
-                    case 'deleteTopic':
-                        result = await snsService.deleteTopic(params.topicArn, region);
-                        break;
-                    case 'subscribe':
-                        result = await snsService.subscribe(params.topicArn, params.protocol, params.endpoint, region);
-                        break;
-                    case 'unsubscribe':
-                        result = await snsService.unsubscribe(params.subscriptionArn, region);
-                        break;
-                    case 'summary':
-                        result = await snsService.getSNSSummary(region);
-                        break;
-                    default:
-                        throw new Error(`Unknown SNS action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== IAM ====================
-             * Identity and Access Management - Users, roles, policies
-             * Note: IAM is a global service, always uses us-east-1
-             * Actions: listUsers, getUser, listRoles, getRole, listPolicies,
-             *          accountSummary, securityStatus, summary
-             */
-            case 'iam':
-                const iamUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!iamUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'listUsers':
-                        result = await iamService.listUsers();
-                        break;
-                    case 'getUser':
-                        result = await iamService.getUser(params.userName);
-                        break;
-                    case 'listRoles':
-                        result = await iamService.listRoles();
-                        break;
-                    case 'getRole':
-                        result = await iamService.getRole(params.roleName);
-                        break;
-                    case 'listPolicies':
-                        result = await iamService.listPolicies(params.scope);
-                        break;
-                    case 'accountSummary':
-                        result = await iamService.getAccountSummary();
-                        break;
-                    case 'securityStatus':
-                        result = await iamService.getSecurityStatus();
-                        break;
-                    case 'summary':
-                        result = await iamService.getIAMSummary();
-                        break;
-                    default:
-                        throw new Error(`Unknown IAM action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== BEDROCK AI ====================
-             * AI Assistant powered by Claude (requires consent)
-             * Note: Bedrock API calls cost money based on tokens used
-             * Actions: chat, chatWithContext, generateCfn, generateIam,
-             *          generateLambda, troubleshoot, optimize, reviewArchitecture,
-             *          explain, generateCli
-             */
-            case 'bedrock':
-                const bedrockUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!bedrockUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'chat':
-                        result = await bedrockService.chat(params.prompt, params);
-                        break;
-                    case 'chatWithContext':
-                        result = await bedrockService.chatWithContext(params.prompt, params.awsContext, params);
-                        break;
-                    case 'generateCfn':
-                        result = await bedrockService.generateCloudFormation(params.description, params);
-                        break;
-                    case 'generateIam':
-                        result = await bedrockService.generateIAMPolicy(params.requirements, params);
-                        break;
-                    case 'generateLambda':
-                        result = await bedrockService.generateLambdaCode(params.description, params.runtime, params);
-                        break;
-                    case 'troubleshoot':
-                        result = await bedrockService.troubleshoot(params.issue, params.context, params);
-                        break;
-                    case 'optimize':
-                        result = await bedrockService.optimizeCosts(params.costData, params);
-                        break;
-                    case 'reviewArchitecture':
-                        result = await bedrockService.reviewArchitecture(params.architecture, params);
-                        break;
-                    case 'explain':
-                        result = await bedrockService.explain(params.concept, params);
-                        break;
-                    case 'generateCli':
-                        result = await bedrockService.generateCLICommand(params.description, params);
-                        break;
-                    default:
-                        throw new Error(`Unknown Bedrock action: ${action}`);
-                }
-                break;
-            
-            /*
-             * ==================== HEALTH ====================
-             * Returns server health status and configuration
-             */
-            case 'health':
-                result = {
-                    status: 'healthy',
-                    service: 'AWS CloudOps Handler',
-                    version: '1.0.0',
-                    region: config.awsRegion,
-                    bedrockRegion: config.bedrockRegion,
-                    timestamp: new Date().toISOString()
-                };
-                break;
-            
-            /*
-             * ==================== USER CREDENTIALS ====================
-             * Secure storage for user's own AWS credentials
-             * Uses Catalyst's native encrypted text columns
-             */
-            case 'user_credentials':
-                if (!catalystInstance) {
-                    result = {
-                        success: false,
-                        error: 'Catalyst SDK not available (running locally?)'
-                    };
-                    break;
-                }
-                
-                const credDatastore = catalystInstance.datastore();
-                const credTable = credDatastore.table('user_credentials');
-                
-                switch (action) {
-                    case 'write':
-                        // Store or update user credentials
-                        const credData = {
-                            user_id: userId,
-                            access_key_id: params.access_key_id || '',
-                            secret_access_key: params.secret_access_key || '',
-                            region: params.region || 'ap-south-1',
-                            session_token: params.session_token || '',
-                            created_at: Date.now(),
-                            updated_at: Date.now()
-                        };
-                        
-                        console.log('Storing credentials for user:', userId);
-                        
-                        // Check if credentials already exist
-                        const existingCreds = await credTable.getAllRows();
-                        const userCred = existingCreds.find(row => row.user_id === userId);
-                        
-                        if (userCred) {
-                            // Update existing credentials
-                            credData.updated_at = Date.now();
-                            await credTable.updateRow({
-                                ROWID: userCred.ROWID,
-                                ...credData
-                            });
-                            result = {
-                                success: true,
-                                message: 'Credentials updated successfully'
-                            };
-                        } else {
-                            // Insert new credentials
-                            await credTable.insertRow(credData);
-                            result = {
-                                success: true,
-                                message: 'Credentials stored successfully'
-                            };
-                        }
-                        break;
-                    
-                    case 'read':
-                        // Retrieve user credentials
-                        console.log('Reading credentials for user:', userId);
-                        
-                        const allCreds = await credTable.getAllRows();
-                        const userCredentials = allCreds.find(row => row.user_id === userId);
-                        
-                        if (userCredentials) {
-                            result = {
-                                success: true,
-                                data: {
-                                    access_key_id: userCredentials.access_key_id,
-                                    secret_access_key: userCredentials.secret_access_key,
-                                    region: userCredentials.region,
-                                    session_token: userCredentials.session_token,
-                                    created_at: userCredentials.created_at,
-                                    updated_at: userCredentials.updated_at
-                                }
-                            };
-                        } else {
-                            result = {
-                                success: false,
-                                error: 'No credentials found for this user'
-                            };
-                        }
-                        break;
-                    
-                    case 'delete':
-                        // Delete user credentials
-                        console.log('Deleting credentials for user:', userId);
-                        
-                        const credsToDelete = await credTable.getAllRows();
-                        const credToDelete = credsToDelete.find(row => row.user_id === userId);
-                        
-                        if (credToDelete) {
-                            await credTable.deleteRow(credToDelete.ROWID);
-                            result = {
-                                success: true,
-                                message: 'Credentials deleted successfully'
-                            };
-                        } else {
-                            result = {
-                                success: false,
-                                error: 'No credentials found to delete'
-                            };
-                        }
-                        break;
-                    
-                    case 'check_exists':
-                        // Lightweight check - just verify if credentials exist (no AWS call)
-                        console.log('Checking if credentials exist for user:', userId);
-                        
-                        const credsCheck = await credTable.getAllRows();
-                        const userCredCheck = credsCheck.find(row => row.user_id === userId);
-                        
-                        result = {
-                            success: true,
-                            exists: userCredCheck ? true : false,
-                            setup_type: userCredCheck ? 'configured' : 'not_configured'
-                        };
-                        break;
-                    
-                    case 'test':
-                        // Validate credentials by making an AWS STS GetCallerIdentity call
-                        console.log('Testing credentials for user:', userId);
-                        
-                        const credsToTest = await credTable.getAllRows();
-                        const userCredToTest = credsToTest.find(row => row.user_id === userId);
-                        
-                        if (!userCredToTest) {
-                            result = {
-                                success: false,
-                                error: 'No credentials found for this user'
-                            };
-                            break;
-                        }
-                        
-                        try {
-                            const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
-                            
-                            const stsClient = new STSClient({
-                                region: userCredToTest.region || 'ap-south-1',
-                                credentials: {
-                                    accessKeyId: userCredToTest.access_key_id,
-                                    secretAccessKey: userCredToTest.secret_access_key,
-                                    ...(userCredToTest.session_token && { sessionToken: userCredToTest.session_token })
-                                }
-                            });
-                            
-                            const identityResult = await stsClient.send(new GetCallerIdentityCommand({}));
-                            
-                            result = {
-                                success: true,
-                                message: 'Credentials are valid',
-                                identity: {
-                                    account: identityResult.Account,
-                                    userId: identityResult.UserId,
-                                    arn: identityResult.Arn
-                                }
-                            };
-                        } catch (error) {
-                            result = {
-                                success: false,
-                                error: 'Invalid credentials: ' + error.message
-                            };
-                        }
-                        break;
-                    
-                    case 'copy_shared':
-                        // Copy shared env credentials to user's table (for Quick Demo users)
-                        console.log('Creating Quick Demo credentials for user:', userId);
-                        
-                        const sharedCredData = {
-                            user_id: userId,
-                            access_key_id: process.env.AWS_ACCESS_KEY_ID || '',
-                            secret_access_key: process.env.AWS_SECRET_ACCESS_KEY || '',
-                            region: process.env.AWS_REGION || 'ap-south-1',
-                            session_token: '',
-                            created_at: Date.now(),
-                            updated_at: Date.now()
-                        };
-                        
-                        // Check if credentials already exist
-                        const existingSharedCreds = await credTable.getAllRows();
-                        const userSharedCred = existingSharedCreds.find(row => row.user_id === userId);
-                        
-                        if (userSharedCred) {
-                            // Update existing credentials with shared ones
-                            sharedCredData.updated_at = Date.now();
-                            await credTable.updateRow({
-                                ROWID: userSharedCred.ROWID,
-                                ...sharedCredData
-                            });
-                            result = {
-                                success: true,
-                                message: 'Shared credentials copied successfully (updated)'
-                            };
-                        } else {
-                            // Insert new credentials
-                            await credTable.insertRow(sharedCredData);
-                            result = {
-                                success: true,
-                                message: 'Shared credentials copied successfully (created)'
-                            };
-                        }
-                        break;
-                    
-                    default:
-                        result = {
-                            success: false,
-                            error: 'Unknown user_credentials action. Use: write, read, delete, test, or copy_shared'
-                        };
-                }
-                break;
-            
-            /*
-             * ==================== PRICING INFO ====================
-             * Returns information about which operations cost money
-             */
-            case 'pricing':
-                switch (action) {
-                    case 'info':
-                        result = getAllPricing();
-                        break;
-                    default:
-                        result = getAllPricing();
-                }
-                break;
-            
-            /*
-             * ==================== PERMISSIONS CHECK ====================
-             * Validates IAM permissions for the configured credentials
-             * Useful for troubleshooting "Access Denied" errors
-             */
-            case 'permissions':
-                const permissionsUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!permissionsUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'checkAll':
-                        result = await checkAllPermissions(region);
-                        break;
-                    case 'check':
-                        if (!params.permission) {
-                            throw new Error('permission parameter is required');
-                        }
-                        result = await checkPermission(params.permission, region);
-                        break;
-                    case 'validateBedrock':
-                        result = await validateBedrock(params.skipInvoke !== false);
-                        break;
-                    case 'getRequiredPolicy':
-                        result = getRequiredPolicy(params.options || {});
-                        break;
-                    case 'list':
-                        result = getAvailableChecks();
-                        break;
-                    default:
-                        // Default to checkAll
-                        result = await checkAllPermissions(region);
-                }
-                break;
-            
-            /*
-             * ==================== DASHBOARD SUMMARY ====================
-             * Aggregated view of multiple services for the dashboard widget
-             * Fetches EC2, S3, Lambda, and CloudWatch data in parallel
-             */
-            case 'dashboard':
-                // Check for user credentials
-                const dashboardUserCreds = await getUserCredentials(userId, catalystInstance);
-                if (!dashboardUserCreds) {
-                    result = { success: false, error: 'Please complete setup first', code: 'SETUP_REQUIRED' };
-                    break;
-                }
-                
-                switch (action) {
-                    case 'overview':
-                        // Fetch summaries from multiple services in parallel for speed
-                        const [ec2Summary, s3Summary, lambdaSummary, alarmsSummary] = await Promise.all([
-                            ec2Service.getInstancesSummary(region),
-                            s3Service.getBucketsSummary(region),
-                            lambdaService.getFunctionsSummary(region),
-                            cloudwatchService.getAlarmsSummary(region)
-                        ]);
-
-                        result = {
-                            ec2: ec2Summary,
-                            s3: s3Summary,
-                            lambda: lambdaSummary,
-                            alarms: alarmsSummary,
-                            timestamp: new Date().toISOString()
-                        };
-
-                        // Only fetch costs if user has explicitly consented
-                        // Cost Explorer API charges $0.01 per request!
-                        // Consent is checked in frontend (awsprefs.consentcost)
-                        if (consent === true) {
-                            try {
-                                const costSummary = await costService.getCostsByPeriod('week');
-                                result.costs = {
-                                    lastWeek: costSummary.totalCostFormatted,
-                                    dailyAverage: costSummary.dailyAverageFormatted,
-                                    topService: costSummary.byService[0]
-                                };
-                            } catch (costError) {
-                                console.log('Cost fetch skipped:', costError.message);
-                                result.costs = { requiresConsent: true };
-                            }
-                        } else {
-                            // No consent - don't call Cost Explorer
-                            result.costs = { requiresConsent: true };
-                        }
-                        break;
-                    default:
-                        throw new Error(`Unknown Dashboard action: ${action}`);
-                }
-                break;
-            
-            default:
-                throw new Error(`Unknown service: ${service}`);
+        const ctx = {
+            params,
+            region,
+            credentials,
+            userCreds,
+            userId,
+            profile,
+            requestedRegion,
+            consent,
+            dryRun: isDryRun(req),
+            caller: req.caller,
+            catalystInstance,
+            registry
+        };
+
+        /*
+         * List and summary actions declare cacheTtl and are served from the
+         * response cache (utils/response-cache.js) unless fresh: true is sent
+         */
+        let result;
+        let cache = null;
+        if (entry.cacheTtl > 0) {
+            ({ result, cache } = await runCached(entry, ctx, fresh === true || fresh === 'true'));
+        } else {
+            result = await entry.handler(ctx);
         }
         
         // Check if this action costs money and add warning
-        const costWarning = getCostWarning(service, action);
+        const costWarning = getCostWarning(entry.service, entry.action);
         const response = successResponse(result);
         
         if (costWarning) {
             response.costWarning = costWarning;
         }
+
+        if (cache) {
+            response.cache = cache;
+        }
         
         res.json(response);
         
     } catch (error) {
-        console.error(`[ERROR] ${error.message}`, error.stack);
-        
-        // Parse error for better user feedback
-        let errorMessage = error.message;
-        let errorCode = 'ERROR';
-        let suggestion = null;
-        
-        // Check for common AWS permission errors
-        if (error.name === 'AccessDeniedException' || error.Code === 'AccessDenied' || error.message.includes('AccessDenied')) {
-            errorCode = 'ACCESS_DENIED';
-            suggestion = `Your IAM user doesn't have permission for this action. Run { "service": "permissions", "action": "checkAll" } to see what permissions are missing.`;
-            
-            // Check for specific error patterns
-            if (error.message.includes('marketplace')) {
-                errorCode = 'MARKETPLACE_PERMISSION_REQUIRED';
-                suggestion = 'Add aws-marketplace:ViewSubscriptions and aws-marketplace:Subscribe permissions to your IAM policy for Bedrock access.';
-            } else if (error.message.includes('use case')) {
-                errorCode = 'BEDROCK_USE_CASE_REQUIRED';
-                suggestion = 'Go to AWS Bedrock Console → Model access → Submit use case details for Anthropic models.';
-            }
-        } else if (error.name === 'UnauthorizedAccess' || error.message.includes('not authorized')) {
-            errorCode = 'UNAUTHORIZED';
-            suggestion = 'Check that your IAM policy includes the required actions for this operation.';
-        } else if (error.name === 'ExpiredTokenException' || error.message.includes('expired')) {
-            errorCode = 'CREDENTIALS_EXPIRED';
-            suggestion = 'Your AWS credentials have expired. Generate new access keys in IAM Console.';
-        } else if (error.name === 'InvalidClientTokenId' || error.message.includes('security token')) {
-            errorCode = 'INVALID_CREDENTIALS';
-            suggestion = 'Your AWS Access Key ID is invalid. Check your credentials in Catalyst environment variables.';
-        } else if (error.name === 'SignatureDoesNotMatch') {
-            errorCode = 'INVALID_SECRET';
-            suggestion = 'Your AWS Secret Access Key is invalid. Check your credentials in Catalyst environment variables.';
-        } else if (error.name === 'ResourceNotFoundException') {
-            errorCode = 'NOT_FOUND';
-            suggestion = 'The requested resource was not found. Check that the resource exists and you have access to it.';
-        }
-        
-        const errorResponse = {
-            success: false,
-            error: errorMessage,
-            code: errorCode,
-            timestamp: new Date().toISOString()
-        };
-        
-        if (suggestion) {
-            errorResponse.suggestion = suggestion;
-            errorResponse.helpAction = '{ "service": "permissions", "action": "checkAll" }';
+        routerLog.error('Action failed', { error });
+
+        // Read-only actions that ran out of time answer with no data, flagged
+        // degraded, rather than an error. Mutating ones report it as an error.
+        const entry = registry.getAction(req.body.service, req.body.action);
+        if (isBudgetExceeded(error) && entry && !entry.mutating) {
+            markDegraded(entry.key);
+            return res.json({
+                ...successResponse(null),
+                message: 'AWS did not answer in time. Try again shortly.'
+            });
         }
-        
-        res.status(500).json(errorResponse);
+
+        // Stable error code and remediation hint (utils/aws-errors.js)
+        sendAWSError(res, error, { permission: entry && entry.permission });
+    }
+}
+
+/*
+ * The router's checks and runAction(), in order. POST /batch runs the same
+ * chain for each of its items.
+ */
+function routerChain(source) {
+    return [
+        auditTrail(bodyService, bodyAction, source),
+        invalidateCache(bodyService, bodyAction),
+        authorize(bodyService, bodyAction),
+        validateParams(bodyService, bodyAction, 'router'),
+        dryRun(bodyService, bodyAction, runAction),
+        idempotent(bodyService, bodyAction),
+        requireConsent(bodyService, bodyAction),
+        requireConfirmation(bodyService, bodyAction),
+        requireApproval(bodyService, bodyAction, source),
+        runAction
+    ];
+}
+
+app.post('/', authenticateCaller, ...routerChain('router'));
+
+/*
+ * ============================================================================
+ * BATCH ENDPOINT
+ * ============================================================================
+ * Runs several router actions from one request - for Cliq cards that need
+ * instance details, metrics, security groups and volumes at once. Each item
+ * goes through the same checks as POST /, with a few items in flight at a
+ * time and the caller's credentials looked up once (utils/batch.js).
+ *
+ * Request Format:
+ * {
+ *   "userId": "123",
+ *   "region": "ap-south-1",      // Optional - applies to every item
+ *   "profile": "prod",           // Optional - applies to every item
+ *   "items": [
+ *     { "service": "ec2", "action": "get", "params": { "instanceId": "i-..." } },
+ *     { "service": "ec2", "action": "securityGroups" }
+ *   ]
+ * }
+ *
+ * Answers { results: [...], succeeded, failed } - one result per item, in
+ * order, each what POST / would have answered plus its HTTP status.
+ */
+app.post('/batch', authenticateCaller, runBatch(routerChain('batch')));
+
+/*
+ * ============================================================================
+ * SCHEDULED JOBS
+ * ============================================================================
+ * Called by Catalyst Cron every 10-15 minutes with the JOB_SECRET in an
+ * X-Job-Secret header (utils/auth.js). Applies every enabled start/stop
+ * schedule with its owner's credentials and answers with the run reports
+ * (utils/schedules.js). Users manage schedules through the router's
+ * schedules service.
+ */
+app.post('/jobs/schedules', authenticateJob, async (req, res) => {
+    let catalystInstance = null;
+    try {
+        catalystInstance = catalystApp.initialize(req);
+    } catch (e) {
+        // Running locally or Catalyst unavailable
+    }
+    if (!catalystInstance) {
+        return res.status(500).json(errorResponse('Catalyst SDK not available (running locally?)'));
+    }
+
+    try {
+        res.json(successResponse(await runDueSchedules(catalystInstance)));
+    } catch (error) {
+        log.error('Scheduled run failed', { error });
+        res.status(500).json(errorResponse(error.message));
     }
 });
 
@@ -1245,11 +579,11 @@ app.post('/', async (req, res) => {
  *
  * Request format: multipart/form-data
  * - files: The file(s) to upload
- * - metadata: JSON string with { bucket, prefix, userId }
+ * - metadata: JSON string with { bucket, prefix, userId, region, profile }
  *
  * This endpoint is used by the Cliq extension's file upload feature.
  */
-app.post('/upload', upload.array('files', 10), async (req, res) => {
+app.post('/upload', parseUpload(upload.array('files', 10)), authenticateCaller, auditTrail('s3', 'upload', 'upload'), invalidateCache('s3', 'upload'), authorize('s3', 'upload'), async (req, res) => {
     try {
         // Parse metadata from the form field (sent as JSON string)
         let metadata = {};
@@ -1258,14 +592,14 @@ app.post('/upload', upload.array('files', 10), async (req, res) => {
                 metadata = JSON.parse(req.body.metadata);
             } catch (e) {
                 // If not JSON, try to parse as Deluge map format
-                console.log('Metadata parse attempt:', req.body.metadata);
+                uploadLog.warn('Metadata is not JSON', { metadataLength: String(req.body.metadata).length });
             }
         }
 
-        const { userId, bucket, prefix } = metadata;
+        const { bucket, prefix, region: requestedRegion, profile } = metadata;
         const files = req.files;
 
-        console.log(`[${new Date().toISOString()}] FILE UPLOAD user=${userId || 'anonymous'} bucket=${bucket} files=${files ? files.length : 0}`);
+        uploadLog.info('Upload started', { bucket, prefix, files: files ? files.length : 0, requestedRegion, profile });
 
         if (!files || files.length === 0) {
             return res.status(400).json(errorResponse('No files uploaded'));
@@ -1283,29 +617,48 @@ app.post('/upload', upload.array('files', 10), async (req, res) => {
             }
         }
 
-        // Always use hardcoded region - ignore passed region
-        const region = process.env.AWS_REGION || 'ap-south-1';
+        if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+            return res.status(400).json(errorResponse(`Unsupported region: ${requestedRegion}`, 'INVALID_REGION'));
+        }
+
+        // Uploads run with the calling user's own AWS credentials
+        let catalystInstance = null;
+        try {
+            catalystInstance = catalystApp.initialize(req);
+        } catch (e) {
+            // Running locally or Catalyst unavailable
+        }
+
+        // authenticateCaller checked metadata.userId against the caller - use the verified ID
+        const uploadUserCreds = await getUserCredentials(req.caller.userId, catalystInstance, profile);
+        if (!uploadUserCreds) {
+            const missing = credentialsMissingResult(profile);
+            return res.status(401).json(errorResponse(missing.error, missing.code));
+        }
+        const uploadCredentials = toAwsCredentials(uploadUserCreds);
+        const region = resolveRegion(requestedRegion, uploadUserCreds.region);
 
         // Upload all files to S3
         const uploadResults = [];
         const errors = [];
 
         for (const file of files) {
-            try {
-                // Build the S3 key (prefix + original filename)
-                let s3Key = file.originalname;
-                if (prefix && prefix !== '') {
-                    s3Key = prefix + file.originalname;
-                }
+            // Build the S3 key (prefix + original filename)
+            let s3Key = file.originalname;
+            if (prefix && prefix !== '') {
+                s3Key = prefix + file.originalname;
+            }
 
-                console.log(`Uploading: ${file.originalname} (${formatBytes(file.size)}) -> ${bucket}/${s3Key}`);
+            try {
+                uploadLog.debug('Uploading file', { fileName: file.originalname, size: file.size, bucket, key: s3Key });
 
                 const result = await s3Service.uploadObject(
                     bucket,
                     s3Key,
                     file.buffer,
                     file.mimetype,
-                    region
+                    region,
+                    uploadCredentials
                 );
 
                 uploadResults.push({
@@ -1316,10 +669,13 @@ app.post('/upload', upload.array('files', 10), async (req, res) => {
                     uploaded: true
                 });
             } catch (uploadError) {
-                console.error(`Failed to upload ${file.originalname}:`, uploadError.message);
+                uploadLog.warn('File upload failed', { fileName: file.originalname, bucket, key: s3Key, error: uploadError });
+                const normalized = normalizeAWSError(uploadError, { iamAction: 's3:PutObject', fallbackCode: 'UPLOAD_FAILED' });
                 errors.push({
                     fileName: file.originalname,
-                    error: uploadError.message
+                    error: normalized.message,
+                    code: normalized.code,
+                    hint: normalized.hint
                 });
             }
         }
@@ -1338,8 +694,8 @@ app.post('/upload', upload.array('files', 10), async (req, res) => {
         res.json(successResponse(response));
 
     } catch (error) {
-        console.error(`[UPLOAD ERROR] ${error.message}`, error.stack);
-        res.status(500).json(errorResponse(error.message));
+        uploadLog.error('Upload failed', { error });
+        sendAWSError(res, error, { iamAction: 's3:PutObject', fallbackCode: 'UPLOAD_FAILED' });
     }
 });
 
@@ -1384,8 +740,8 @@ app.get('/widget/styles.css', allowIframeHeaders, (req, res) => {
  * This approach makes the widget feel fast - users see something instantly.
  */
 app.get('/widget/dashboard', allowIframeHeaders, (req, res) => {
-    // Always use hardcoded region for v1
-    const region = process.env.AWS_REGION || 'ap-south-1';
+    // Show the region the caller asked for; the data endpoint resolves the final one
+    const region = isSupportedRegion(req.query.region) ? req.query.region : config.awsRegion;
 
     // Send the loader HTML template immediately (fast response)
     const htmlPath = path.join(__dirname, 'widget_pages', 'dashboard_loader.html');
@@ -1454,7 +810,7 @@ app.get('/widget/custom-modal-styles.css', allowIframeHeaders, (req, res) => {
         res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
         res.send(minified);
     } catch (error) {
-        console.error('Error serving custom-modal-styles.css:', error);
+        log.error('Could not serve custom-modal-styles.css', { error });
         res.status(404).send('CSS file not found');
     }
 });
@@ -1465,7 +821,8 @@ app.get('/widget/custom-modal-styles.css', allowIframeHeaders, (req, res) => {
  * Separated logic for faster repeat loads
  */
 app.get('/widget/dashboard.js', allowIframeHeaders, (req, res) => {
-    const region = process.env.AWS_REGION || 'ap-south-1';
+    // Default only - the page reads ?region= itself and adopts the data endpoint's region
+    const region = config.awsRegion;
     
     const jsPath = path.join(__dirname, 'widget_pages', 'dashboard.js');
     let js = fs.readFileSync(jsPath, 'utf8');
@@ -1496,10 +853,19 @@ app.get('/widget/dashboard.js', allowIframeHeaders, (req, res) => {
  * This is where the heavy lifting happens - EC2, S3, Lambda, RDS, CloudWatch,
  * Logs, and Cost data are all fetched and formatted for display.
  */
-app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
+app.get('/widget/dashboard/data', allowIframeHeaders, authenticateCaller, async (req, res) => {
     try {
-        // Always use hardcoded region for v1
-        const region = process.env.AWS_REGION || 'ap-south-1';
+        // Caller's region if sent, otherwise the user's stored region (resolved below)
+        const requestedRegion = req.query.region;
+        if (requestedRegion && !isSupportedRegion(requestedRegion)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported region: ${requestedRegion}`,
+                errorCode: 'INVALID_REGION',
+                supportedRegions: SUPPORTED_REGIONS
+            });
+        }
+        let region = resolveRegion(requestedRegion);
 
         // ============================================
         // CHECK AWS CREDENTIALS - MUST BE SET UP BY USER
@@ -1507,15 +873,15 @@ app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
         // Get userId from query params (REQUIRED)
         const userId = req.query.userId;
         
-        console.log('[Dashboard] Request received:', {
-            userId: userId,
-            queryParams: req.query,
+        addLogFields({ service: 'dashboard', action: 'data' });
+        dashboardLog.info('Dashboard data requested', {
+            query: req.query,
             hasCatalystApp: !!catalystApp
         });
         
         // No userId? Can't proceed
         if (!userId) {
-            console.log('[Dashboard] ERROR: No userId provided in request');
+            dashboardLog.warn('No userId provided in request');
             return res.status(400).json({
                 success: false,
                 error: 'User ID not provided',
@@ -1531,47 +897,31 @@ app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
         
         // Check user's credentials in Catalyst Data Store
         let hasUserCredentials = false;
+        let dashboardCredentials = null;
         
         if (catalystApp) {
             try {
-                console.log('[Dashboard] Initializing Catalyst SDK...');
                 const catalystInstance = catalystApp.initialize(req);
-                const datastore = catalystInstance.datastore();
-                const credTable = datastore.table('user_credentials');
-                
-                console.log('[Dashboard] Fetching credentials from table...');
                 
-                // Get all rows and find the user's credentials
-                const allCreds = await credTable.getAllRows();
-                const userCred = allCreds.find(row => row.user_id === userId);
-                
-                console.log('[Dashboard] Query result:', {
-                    totalRows: allCreds.length,
-                    foundForUser: !!userCred,
-                    userId: userId
-                });
+                // Load (and decrypt) the user's credentials for the requested profile
+                const userCred = await getUserCredentials(userId, catalystInstance, req.query.profile);
                 
                 // If record exists for this user, consider credentials set up
                 if (userCred) {
                     hasUserCredentials = true;
-                    console.log(`[Dashboard] ✓ Found credentials for user ${userId}`);
-                } else {
-                    console.log(`[Dashboard] ✗ No credentials record found for user ${userId}`);
+                    dashboardCredentials = toAwsCredentials(userCred);
+                    region = resolveRegion(requestedRegion, userCred.region);
                 }
             } catch (err) {
-                console.error('[Dashboard] Credentials check FAILED:', {
-                    error: err.message,
-                    stack: err.stack,
-                    userId: userId
-                });
+                dashboardLog.error('Credentials check failed', { error: err });
             }
         } else {
-            console.error('[Dashboard] ERROR: Catalyst SDK (catalystApp) is NULL or undefined');
+            dashboardLog.error('Catalyst SDK not available - cannot load credentials');
         }
         
         // User MUST have credentials set up - NO fallback
         if (!hasUserCredentials) {
-            console.log(`[Dashboard] REJECTING: User ${userId} has not set up credentials`);
+            dashboardLog.info('No credentials set up - rejecting');
             return res.status(401).json({
                 success: false,
                 error: 'AWS credentials not configured',
@@ -1585,31 +935,52 @@ app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
             });
         }
         
-        console.log(`[Dashboard] ✓ Credentials validated for user ${userId}, proceeding...`);
+        dashboardLog.debug('Credentials loaded', { region });
+
+        /*
+         * Each fetch goes through the response cache (utils/response-cache.js)
+         * under the router action it matches, so the dashboard and the router
+         * share results. ?fresh=true skips it. The response reports the age of
+         * the oldest cached part. Parts that AWS throttled or that ran out of
+         * time show as empty and are listed in degradedParts.
+         */
+        const cacheScope = { userId, profile: req.query.profile, region };
+        const fresh = req.query.fresh === 'true';
+        const cacheAges = [];
+        const fromCache = (service, action, params, fetch) =>
+            cached(cacheScope, `${service}:${action}`, params, { ...getCachePolicy(service, action), fresh }, fetch).then(({ value, cache }) => {
+                cacheAges.push(cache);
+                return value;
+            }, (error) => {
+                if (isBudgetExceeded(error) || normalizeAWSError(error).code === 'THROTTLED') {
+                    markDegraded(`${service}:${action}`);
+                }
+                throw error;
+            });
 
         // Fetch data from all services in parallel for maximum speed
         const [ec2Data, s3Data, lambdaData, alarmsData, rdsData, logGroups, lambdaMetrics] = await Promise.all([
-            ec2Service.listInstances(region, {}, 1, 10000).then(r => Array.isArray(r) ? r : (r.instances || [])).catch(() => []),
-            s3Service.listBuckets(region, 1, 10000).then(r => Array.isArray(r) ? r : (r.buckets || [])).catch(() => []),
-            lambdaService.listFunctions(region, 1, 10000).then(r => Array.isArray(r) ? r : (r.functions || [])).catch(() => []),
-            cloudwatchService.listAlarms(region, null, 1, 10000).then(r => {
+            fromCache('ec2', 'list', fullListParams({}), () => ec2Service.listInstances(region, {}, 1, 10000, dashboardCredentials)).then(r => Array.isArray(r) ? r : (r.instances || [])).catch(() => []),
+            fromCache('s3', 'listBuckets', fullListParams({}), () => s3Service.listBuckets(region, 1, 10000, dashboardCredentials)).then(r => Array.isArray(r) ? r : (r.buckets || [])).catch(() => []),
+            fromCache('lambda', 'list', fullListParams({}), () => lambdaService.listFunctions(region, 1, 10000, dashboardCredentials)).then(r => Array.isArray(r) ? r : (r.functions || [])).catch(() => []),
+            fromCache('cloudwatch', 'listAlarms', fullListParams({}), () => cloudwatchService.listAlarms(region, null, 1, 10000, dashboardCredentials)).then(r => {
                 if (Array.isArray(r)) return r;
                 if (r && typeof r === 'object' && Array.isArray(r.alarms)) return r.alarms;
-                console.error('[Dashboard] Unexpected alarms response structure:', typeof r, r);
+                dashboardLog.error('Unexpected alarms response structure', { type: typeof r });
                 return [];
             }).catch((err) => {
-                console.error('[Dashboard] Error fetching alarms:', err);
+                dashboardLog.error('Could not fetch alarms', { error: err });
                 return [];
             }),
-            rdsService.listDBInstances(region, 1, 10000).then(r => Array.isArray(r) ? r : (r.dbInstances || [])).catch(() => []),
-            logsService.listLogGroups(region, null, 1, 10000).then(r => Array.isArray(r) ? r : (r.logGroups || [])).catch(() => []),
-            cloudwatchService.getLambdaInvocations(region, 24).catch(() => null)
+            fromCache('rds', 'list', fullListParams({}), () => rdsService.listDBInstances(region, 1, 10000, dashboardCredentials)).then(r => Array.isArray(r) ? r : (r.dbInstances || [])).catch(() => []),
+            fromCache('logs', 'listGroups', fullListParams({}), () => logsService.listLogGroups(region, null, 1, 10000, dashboardCredentials)).then(r => Array.isArray(r) ? r : (r.logGroups || [])).catch(() => []),
+            fromCache('cloudwatch', 'lambdaInvocations', { hours: 24 }, () => cloudwatchService.getLambdaInvocations(region, 24, dashboardCredentials)).catch(() => null)
         ]);
 
         // Ensure all data arrays are actually arrays (safety check)
         // Log if we get unexpected data types for debugging
         if (!Array.isArray(alarmsData)) {
-            console.error('[Dashboard] alarmsData is not an array:', typeof alarmsData, alarmsData);
+            dashboardLog.error('alarmsData is not an array', { type: typeof alarmsData });
         }
         const ec2Array = Array.isArray(ec2Data) ? ec2Data : (ec2Data?.instances || []);
         const s3Array = Array.isArray(s3Data) ? s3Data : (s3Data?.buckets || []);
@@ -1935,7 +1306,7 @@ app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
         let topServices = [];
 
         try {
-            const costData = await costService.getCostsByPeriod('month');
+            const costData = await fromCache('cost', 'byPeriod', { period: 'month', groupBy: 'SERVICE' }, () => costService.getCostsByPeriod('month', 'SERVICE', dashboardCredentials));
             if (costData) {
                 monthCost = costData.totalCostFormatted || '$0.00';
                 dailyAvg = costData.dailyAverageFormatted || '$0.00';
@@ -2119,12 +1490,20 @@ app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
             lambdaChartHtml = `<div class="empty-state small"><div class="empty-icon"><svg viewBox="0 0 24 24" fill="none" stroke-width="2"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg></div><div class="empty-title">No Lambda Activity</div><div class="empty-text">No invocations in the last 24 hours</div></div>`;
         }
 
+        // Oldest cached part decides how old the dashboard is
+        const oldestPart = cacheAges.reduce((oldest, part) => (!oldest || part.ageSeconds > oldest.ageSeconds ? part : oldest), null);
+
         // ============================================
         // RETURN JSON DATA
         // ============================================
         res.json({
             success: true,
             region: region,
+            cache: oldestPart ? {
+                hit: cacheAges.some(part => part.hit),
+                cachedAt: oldestPart.cachedAt,
+                ageSeconds: oldestPart.ageSeconds
+            } : null,
             health: {
                 status: healthStatus,
                 text: healthText
@@ -2173,75 +1552,34 @@ app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
         });
 
     } catch (error) {
-        console.error('[Dashboard] Dashboard data error:', error);
-        console.error('[Dashboard] Error stack:', error.stack);
-        console.error('[Dashboard] Error details:', {
-            name: error.name,
-            message: error.message,
+        dashboardLog.error('Dashboard data failed', {
+            error,
             alarmsData: typeof alarmsData,
             alarmsArray: typeof alarmsArray
         });
         
-        // Check if it's an AWS credentials error
-        const errorName = error.name || '';
-        const errorMessage = error.message || '';
-        
-        // Invalid/wrong AWS credentials
-        if (errorName === 'InvalidClientTokenId' || errorMessage.includes('security token')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid AWS Access Key ID',
-                errorCode: 'INVALID_CREDENTIALS',
-                message: 'Your AWS Access Key ID is invalid or incorrect.',
-                details: 'Please update your credentials with valid AWS keys.',
-                action: {
-                    title: 'Update Credentials',
-                    description: 'Run /aws to update your AWS credentials',
-                    command: '/aws'
-                }
-            });
-        }
-        
-        // Wrong secret key
-        if (errorName === 'SignatureDoesNotMatch') {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid AWS Secret Access Key',
-                errorCode: 'INVALID_CREDENTIALS',
-                message: 'Your AWS Secret Access Key is invalid or incorrect.',
-                details: 'The signature doesn\'t match. Please check your secret key.',
-                action: {
-                    title: 'Update Credentials',
-                    description: 'Run /aws to update your AWS credentials',
-                    command: '/aws'
-                }
-            });
-        }
-        
-        // Expired credentials
-        if (errorName === 'ExpiredTokenException' || errorMessage.includes('expired')) {
-            return res.status(401).json({
-                success: false,
-                error: 'AWS Credentials Expired',
-                errorCode: 'EXPIRED_CREDENTIALS',
-                message: 'Your AWS credentials have expired.',
-                details: 'Please generate new access keys from AWS IAM Console.',
+        /*
+         * Same codes as every other route (utils/aws-errors.js). The loader
+         * page reads errorCode, message, details and action, so those are
+         * added for the credential and permission errors it shows screens for.
+         */
+        const normalized = normalizeAWSError(error, { fallbackCode: 'SERVER_ERROR' });
+        const body = { ...awsErrorBody(normalized), errorCode: normalized.code };
+
+        if (normalized.code === 'INVALID_CREDENTIALS' || normalized.code === 'EXPIRED_TOKEN') {
+            Object.assign(body, {
+                message: ERROR_TYPES[normalized.code].message,
+                details: normalized.hint,
                 action: {
                     title: 'Update Credentials',
                     description: 'Run /aws to update your AWS credentials',
                     command: '/aws'
                 }
             });
-        }
-        
-        // Access denied (valid credentials but no permissions)
-        if (errorName === 'AccessDeniedException' || errorMessage.includes('AccessDenied')) {
-            return res.status(403).json({
-                success: false,
-                error: 'AWS Access Denied',
-                errorCode: 'ACCESS_DENIED',
-                message: 'Your AWS credentials don\'t have sufficient permissions.',
-                details: 'Add required IAM permissions to your AWS user.',
+        } else if (normalized.code === 'ACCESS_DENIED') {
+            Object.assign(body, {
+                message: ERROR_TYPES.ACCESS_DENIED.message,
+                details: normalized.hint,
                 action: {
                     title: 'Check Permissions',
                     description: 'Run /aws permissions to see what\'s missing',
@@ -2249,13 +1587,8 @@ app.get('/widget/dashboard/data', allowIframeHeaders, async (req, res) => {
                 }
             });
         }
-        
-        // Generic error
-        res.status(500).json({ 
-            success: false, 
-            error: error.message,
-            errorCode: 'SERVER_ERROR'
-        });
+
+        res.status(normalized.status).json(body);
     }
 });
 
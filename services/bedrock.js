@@ -98,10 +98,11 @@ When reviewing architecture:
  * @param {Array} options.conversationHistory - Previous messages for context
  * @param {number} options.maxTokens - Max response length (default: 2048)
  * @param {number} options.temperature - Creativity level 0-1 (default: 0.7)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} AI response with usage stats
  */
-async function chat(prompt, options = {}) {
-    const client = getBedrockClient();
+async function chat(prompt, options = {}, credentials) {
+    const client = getBedrockClient(credentials);
 
     // Select the appropriate system prompt
     const systemPrompt = options.systemPrompt ||
@@ -165,9 +166,10 @@ async function chat(prompt, options = {}) {
  * @param {object} awsContext.costs - Recent cost data
  * @param {Array} awsContext.alarms - CloudWatch alarms
  * @param {object} options - Chat options (passed to chat())
+ * @param {object} credentials - User AWS credentials
  * @returns {object} AI response
  */
-async function chatWithContext(prompt, awsContext, options = {}) {
+async function chatWithContext(prompt, awsContext, options = {}, credentials) {
     // Build a context string from the AWS state
     let contextStr = "Current AWS State:\n";
 
@@ -198,7 +200,7 @@ async function chatWithContext(prompt, awsContext, options = {}) {
     // Combine context with user's question
     const enhancedPrompt = `${contextStr}\n\nUser Question: ${prompt}`;
 
-    return await chat(enhancedPrompt, options);
+    return await chat(enhancedPrompt, options, credentials);
 }
 
 /**
@@ -207,9 +209,10 @@ async function chatWithContext(prompt, awsContext, options = {}) {
  *
  * @param {string} description - What infrastructure you need
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with CloudFormation YAML template
  */
-async function generateCloudFormation(description, options = {}) {
+async function generateCloudFormation(description, options = {}, credentials) {
     const prompt = `Generate a CloudFormation template for the following requirement:
 
 ${description}
@@ -227,7 +230,7 @@ Provide only the CloudFormation template, no explanation needed unless there are
         ...options,
         systemPrompt: `You are an AWS CloudFormation expert. Generate production-ready CloudFormation templates.
 Always use YAML format. Include parameters, descriptions, and outputs. Follow security best practices.`
-    });
+    }, credentials);
 }
 
 /**
@@ -236,9 +239,10 @@ Always use YAML format. Include parameters, descriptions, and outputs. Follow se
  *
  * @param {string} requirements - What permissions are needed
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with IAM policy JSON
  */
-async function generateIAMPolicy(requirements, options = {}) {
+async function generateIAMPolicy(requirements, options = {}, credentials) {
     const prompt = `Generate an IAM policy for the following requirements:
 
 ${requirements}
@@ -255,7 +259,7 @@ Provide the policy in JSON format.`;
         ...options,
         systemPrompt: `You are an AWS IAM security expert. Generate secure IAM policies following least privilege.
 Always use specific resources rather than wildcards when possible. Consider security implications.`
-    });
+    }, credentials);
 }
 
 /**
@@ -265,9 +269,10 @@ Always use specific resources rather than wildcards when possible. Consider secu
  * @param {string} description - What the function should do
  * @param {string} runtime - Lambda runtime (e.g., 'python3.9', 'nodejs18.x')
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with Lambda function code
  */
-async function generateLambdaCode(description, runtime = 'python3.9', options = {}) {
+async function generateLambdaCode(description, runtime = 'python3.9', options = {}, credentials) {
     const prompt = `Generate a Lambda function for the following requirement:
 
 ${description}
@@ -287,7 +292,7 @@ Provide the complete function code.`;
         ...options,
         systemPrompt: `You are an AWS Lambda expert. Generate production-ready Lambda function code.
 Include proper error handling, logging, and documentation. Follow best practices for the specified runtime.`
-    });
+    }, credentials);
 }
 
 /**
@@ -297,9 +302,10 @@ Include proper error handling, logging, and documentation. Follow best practices
  * @param {string} issue - Description of the problem
  * @param {string} context - Additional context (error messages, logs, etc.)
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with troubleshooting steps
  */
-async function troubleshoot(issue, context = '', options = {}) {
+async function troubleshoot(issue, context = '', options = {}, credentials) {
     const prompt = `Help troubleshoot this AWS issue:
 
 Issue: ${issue}
@@ -315,7 +321,7 @@ Please:
     return await chat(prompt, {
         ...options,
         mode: 'troubleshoot'
-    });
+    }, credentials);
 }
 
 /**
@@ -324,9 +330,10 @@ Please:
  *
  * @param {object} costData - Cost data from Cost Explorer
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with optimization recommendations
  */
-async function optimizeCosts(costData, options = {}) {
+async function optimizeCosts(costData, options = {}, credentials) {
     const prompt = `Analyze these AWS costs and provide optimization recommendations:
 
 ${JSON.stringify(costData, null, 2)}
@@ -341,7 +348,7 @@ Please:
     return await chat(prompt, {
         ...options,
         mode: 'optimize'
-    });
+    }, credentials);
 }
 
 /**
@@ -350,9 +357,10 @@ Please:
  *
  * @param {string} architecture - Description of your architecture
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with architecture review
  */
-async function reviewArchitecture(architecture, options = {}) {
+async function reviewArchitecture(architecture, options = {}, credentials) {
     const prompt = `Review this AWS architecture against the Well-Architected Framework:
 
 ${architecture}
@@ -370,7 +378,7 @@ For each pillar, identify strengths and areas for improvement.`;
     return await chat(prompt, {
         ...options,
         mode: 'architecture'
-    });
+    }, credentials);
 }
 
 /**
@@ -379,9 +387,10 @@ For each pillar, identify strengths and areas for improvement.`;
  *
  * @param {string} concept - The AWS concept to explain
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with detailed explanation
  */
-async function explain(concept, options = {}) {
+async function explain(concept, options = {}, credentials) {
     const prompt = `Explain the AWS concept: ${concept}
 
 Include:
@@ -392,7 +401,7 @@ Include:
 5. Pricing considerations
 6. Related services`;
 
-    return await chat(prompt, options);
+    return await chat(prompt, options, credentials);
 }
 
 /**
@@ -401,9 +410,10 @@ Include:
  *
  * @param {string} description - What you want to do
  * @param {object} options - Chat options
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Response with CLI command and explanation
  */
-async function generateCLICommand(description, options = {}) {
+async function generateCLICommand(description, options = {}, credentials) {
     const prompt = `Generate the AWS CLI command for: ${description}
 
 Provide:
@@ -415,7 +425,7 @@ Provide:
     return await chat(prompt, {
         ...options,
         systemPrompt: 'You are an AWS CLI expert. Generate accurate and complete AWS CLI commands with explanations.'
-    });
+    }, credentials);
 }
 
 module.exports = {
@@ -40,6 +40,45 @@ const {
 
 const { getCloudWatchClient } = require("../utils/aws-clients");
 const { getAlarmStateEmoji } = require("../utils/helpers");
+const { paginate, pageSizeFor, cursorPagination, fetchAll } = require("../utils/pagination");
+const { simulatePermissions, dryRunResult } = require("../utils/dry-run");
+
+/*
+ * DescribeAlarms (metric alarms) one AWS page at a time (see utils/pagination.js)
+ */
+function alarmPages(client, stateValue = null) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new DescribeAlarmsCommand({
+            ...(stateValue && { StateValue: stateValue }),
+            ...(nextToken && { NextToken: nextToken }),
+            ...(pageSize && { MaxRecords: pageSize })
+        }));
+
+        return {
+            items: (response.MetricAlarms || []).map(alarm => ({
+                name: alarm.AlarmName,
+                arn: alarm.AlarmArn,
+                description: alarm.AlarmDescription,
+                state: alarm.StateValue,
+                stateEmoji: getAlarmStateEmoji(alarm.StateValue),
+                stateReason: alarm.StateReason,
+                stateUpdatedAt: alarm.StateUpdatedTimestamp,
+                metric: alarm.MetricName,
+                namespace: alarm.Namespace,
+                statistic: alarm.Statistic,
+                period: alarm.Period,
+                threshold: alarm.Threshold,
+                comparisonOperator: alarm.ComparisonOperator,
+                evaluationPeriods: alarm.EvaluationPeriods,
+                dimensions: alarm.Dimensions,
+                actionsEnabled: alarm.ActionsEnabled,
+                alarmActions: alarm.AlarmActions,
+                okActions: alarm.OKActions
+            })),
+            nextToken: response.NextToken || null
+        };
+    };
+}
 
 /**
  * List all CloudWatch alarms in the region.
@@ -47,50 +86,14 @@ const { getAlarmStateEmoji } = require("../utils/helpers");
  *
  * @param {string} region - AWS region
  * @param {string} stateValue - Optional: Filter by alarm state
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of alarms with full configuration details
  */
-async function listAlarms(region, stateValue = null, page = 1, limit = 5) {
-    const client = getCloudWatchClient(region);
+async function listAlarms(region, stateValue = null, page = 1, limit = 5, credentials) {
+    const client = getCloudWatchClient(region, credentials);
 
     // Fetch all alarms (handle AWS pagination internally)
-    const allAlarms = [];
-    let nextToken = null;
-    
-    do {
-    const params = {};
-    if (stateValue) {
-        params.StateValue = stateValue;
-    }
-        if (nextToken) {
-            params.NextToken = nextToken;
-        }
-
-    const response = await client.send(new DescribeAlarmsCommand(params));
-
-        for (const alarm of response.MetricAlarms || []) {
-            allAlarms.push({
-        name: alarm.AlarmName,
-        description: alarm.AlarmDescription,
-        state: alarm.StateValue,
-        stateEmoji: getAlarmStateEmoji(alarm.StateValue),
-        stateReason: alarm.StateReason,
-        stateUpdatedAt: alarm.StateUpdatedTimestamp,
-        metric: alarm.MetricName,
-        namespace: alarm.Namespace,
-        statistic: alarm.Statistic,
-        period: alarm.Period,
-        threshold: alarm.Threshold,
-        comparisonOperator: alarm.ComparisonOperator,
-        evaluationPeriods: alarm.EvaluationPeriods,
-        dimensions: alarm.Dimensions,
-        actionsEnabled: alarm.ActionsEnabled,
-        alarmActions: alarm.AlarmActions,
-        okActions: alarm.OKActions
-            });
-        }
-        
-        nextToken = response.NextToken;
-    } while (nextToken);
+    const allAlarms = await fetchAll(alarmPages(client, stateValue), 100);
 
     // Apply in-memory pagination
     const totalItems = allAlarms.length;
@@ -114,15 +117,57 @@ async function listAlarms(region, stateValue = null, page = 1, limit = 5) {
     };
 }
 
+/**
+ * List CloudWatch alarms one page at a time, in the order AWS returns them (by name).
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ *
+ * @param {string} region - AWS region
+ * @param {string} stateValue - Optional: Filter by alarm state
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Alarms per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { alarms, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listAlarmsPage(region, stateValue = null, nextToken = null, limit = 5, credentials) {
+    const client = getCloudWatchClient(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'cloudwatch:listAlarms', region, stateValue: stateValue || null },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 1, max: 100 }),
+        fetchPage: alarmPages(client, stateValue)
+    });
+
+    return {
+        alarms: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get only alarms that are currently in ALARM state.
  * These are the ones that need immediate attention!
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of active alarms
  */
-async function getActiveAlarms(region, page = 1, limit = 5) {
-    return await listAlarms(region, 'ALARM', page, limit);
+async function getActiveAlarms(region, page = 1, limit = 5, credentials) {
+    return await listAlarms(region, 'ALARM', page, limit, credentials);
+}
+
+/**
+ * Alarms in ALARM state, one page at a time (see listAlarmsPage).
+ *
+ * @param {string} region - AWS region
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Alarms per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { alarms, pagination }
+ */
+async function getActiveAlarmsPage(region, nextToken = null, limit = 5, credentials) {
+    return await listAlarmsPage(region, 'ALARM', nextToken, limit, credentials);
 }
 
 /**
@@ -131,10 +176,11 @@ async function getActiveAlarms(region, page = 1, limit = 5) {
  *
  * @param {string} alarmName - Name of the alarm to fetch
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Complete alarm details
  */
-async function getAlarm(alarmName, region) {
-    const client = getCloudWatchClient(region);
+async function getAlarm(alarmName, region, credentials) {
+    const client = getCloudWatchClient(region, credentials);
 
     const response = await client.send(new DescribeAlarmsCommand({
         AlarmNames: [alarmName]
@@ -182,10 +228,11 @@ async function getAlarm(alarmName, region) {
  * @param {string} alarmName - Name of the alarm
  * @param {string} region - AWS region
  * @param {string} historyType - Optional: Filter by history type
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of history events
  */
-async function getAlarmHistory(alarmName, region, historyType = null) {
-    const client = getCloudWatchClient(region);
+async function getAlarmHistory(alarmName, region, historyType = null, credentials) {
+    const client = getCloudWatchClient(region, credentials);
 
     const params = {
         AlarmName: alarmName,
@@ -221,10 +268,11 @@ async function getAlarmHistory(alarmName, region, historyType = null) {
  * @param {string} region - AWS region
  * @param {number} hours - How many hours of data to fetch (default: 1)
  * @param {string} stat - Which statistic to get (default: 'Average')
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Metric data with datapoints and summary
  */
-async function getMetrics(namespace, metricName, dimensions, region, hours = 1, stat = 'Average') {
-    const client = getCloudWatchClient(region);
+async function getMetrics(namespace, metricName, dimensions, region, hours = 1, stat = 'Average', credentials) {
+    const client = getCloudWatchClient(region, credentials);
 
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - hours * 60 * 60 * 1000);
@@ -269,6 +317,50 @@ async function getMetrics(namespace, metricName, dimensions, region, hours = 1,
     };
 }
 
+// PutMetricAlarm settings a dry run of createAlarm compares with the alarm's
+const ALARM_SETTINGS = ['MetricName', 'Namespace', 'Statistic', 'Period', 'EvaluationPeriods', 'Threshold', 'ComparisonOperator', 'ActionsEnabled'];
+
+/*
+ * PutMetricAlarm input for createAlarm params
+ */
+function alarmInput(params) {
+    return {
+        AlarmName: params.alarmName,
+        AlarmDescription: params.description,
+        MetricName: params.metricName,
+        Namespace: params.namespace,
+        Statistic: params.statistic || 'Average',
+        Period: params.period || 300,
+        EvaluationPeriods: params.evaluationPeriods || 1,
+        Threshold: params.threshold,
+        ComparisonOperator: params.comparisonOperator,
+        Dimensions: params.dimensions,
+        ActionsEnabled: params.actionsEnabled !== false,
+        AlarmActions: params.alarmActions || [],
+        OKActions: params.okActions || []
+    };
+}
+
+/*
+ * Dry run of an alarm change. CloudWatch has no DryRun parameter: the alarm
+ * is read (null if it doesn't exist) and describe(alarm) says what would
+ * change, while the IAM policy simulator checks iamAction against the
+ * alarm's ARN (see utils/dry-run.js).
+ */
+async function previewAlarmChange(client, alarmName, region, credentials, iamAction, describe) {
+    const response = await client.send(new DescribeAlarmsCommand({
+        AlarmNames: [alarmName]
+    }));
+    const alarm = (response.MetricAlarms || [])[0] || null;
+
+    const check = await simulatePermissions([{
+        action: iamAction,
+        resource: alarm ? alarm.AlarmArn : account => `arn:aws:cloudwatch:${region}:${account}:alarm:${alarmName}`
+    }], region, credentials);
+
+    return dryRunResult(check, { target: alarmName, ...describe(alarm) });
+}
+
 /**
  * Create a new CloudWatch alarm.
  * The alarm will start monitoring immediately after creation.
@@ -287,26 +379,34 @@ async function getMetrics(namespace, metricName, dimensions, region, hours = 1,
  * @param {Array} params.alarmActions - SNS topic ARNs to notify on ALARM
  * @param {Array} params.okActions - SNS topic ARNs to notify on OK
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Confirmation of alarm creation
  */
-async function createAlarm(params, region) {
-    const client = getCloudWatchClient(region);
+async function createAlarm(params, region, credentials, dryRun = false) {
+    const client = getCloudWatchClient(region, credentials);
+    const input = alarmInput(params);
+
+    if (dryRun) {
+        return previewAlarmChange(client, params.alarmName, region, credentials, 'cloudwatch:PutMetricAlarm', alarm => {
+            if (!alarm) {
+                return {
+                    changes: [{ field: 'alarm', from: null, to: params.alarmName }],
+                    summary: `Would create alarm ${params.alarmName} on ${params.namespace} ${params.metricName}`
+                };
+            }
+            const changes = ALARM_SETTINGS
+                .filter(field => alarm[field] !== input[field])
+                .map(field => ({ field, from: alarm[field], to: input[field] }));
+            return {
+                changes,
+                warnings: [`Alarm ${params.alarmName} already exists - its settings would be replaced`],
+                summary: `Would change ${changes.length} setting(s) of alarm ${params.alarmName}`
+            };
+        });
+    }
 
-    await client.send(new PutMetricAlarmCommand({
-        AlarmName: params.alarmName,
-        AlarmDescription: params.description,
-        MetricName: params.metricName,
-        Namespace: params.namespace,
-        Statistic: params.statistic || 'Average',
-        Period: params.period || 300,
-        EvaluationPeriods: params.evaluationPeriods || 1,
-        Threshold: params.threshold,
-        ComparisonOperator: params.comparisonOperator,
-        Dimensions: params.dimensions,
-        ActionsEnabled: params.actionsEnabled !== false,
-        AlarmActions: params.alarmActions || [],
-        OKActions: params.okActions || []
-    }));
+    await client.send(new PutMetricAlarmCommand(input));
 
     return {
         alarmName: params.alarmName,
@@ -321,10 +421,24 @@ async function createAlarm(params, region) {
  *
  * @param {string} alarmName - Name of the alarm to delete
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Confirmation of deletion
  */
-async function deleteAlarm(alarmName, region) {
-    const client = getCloudWatchClient(region);
+async function deleteAlarm(alarmName, region, credentials, dryRun = false) {
+    const client = getCloudWatchClient(region, credentials);
+
+    if (dryRun) {
+        return previewAlarmChange(client, alarmName, region, credentials, 'cloudwatch:DeleteAlarms', alarm => (alarm
+            ? {
+                changes: [{ field: 'alarm', from: alarmName, to: null }],
+                summary: `Would delete alarm ${alarmName} (${alarm.StateValue} now)`
+            }
+            : {
+                warnings: [`Alarm ${alarmName} does not exist - CloudWatch would refuse it`],
+                summary: `Nothing to delete for ${alarmName}`
+            }));
+    }
 
     await client.send(new DeleteAlarmsCommand({
         AlarmNames: [alarmName]
@@ -348,10 +462,31 @@ async function deleteAlarm(alarmName, region) {
  * @param {string} state - New state ('OK', 'ALARM', or 'INSUFFICIENT_DATA')
  * @param {string} reason - Reason for the state change
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Confirmation of state change
  */
-async function setAlarmState(alarmName, state, reason, region) {
-    const client = getCloudWatchClient(region);
+async function setAlarmState(alarmName, state, reason, region, credentials, dryRun = false) {
+    const client = getCloudWatchClient(region, credentials);
+
+    if (dryRun) {
+        return previewAlarmChange(client, alarmName, region, credentials, 'cloudwatch:SetAlarmState', alarm => {
+            if (!alarm) {
+                return {
+                    warnings: [`Alarm ${alarmName} does not exist - CloudWatch would refuse it`],
+                    summary: `Alarm ${alarmName} would be left as it is`
+                };
+            }
+            return {
+                changes: alarm.StateValue === state ? [] : [{ field: 'state', from: alarm.StateValue, to: state }],
+                warnings: [
+                    ...(alarm.StateValue === state ? [`Alarm is already ${state}`] : []),
+                    'CloudWatch sets the real state again at the next evaluation'
+                ],
+                summary: `Alarm ${alarmName} would be set to ${state}`
+            };
+        });
+    }
 
     await client.send(new SetAlarmStateCommand({
         AlarmName: alarmName,
@@ -374,10 +509,11 @@ async function setAlarmState(alarmName, state, reason, region) {
  *
  * @param {string} namespace - Optional: Filter by namespace (e.g., 'AWS/EC2')
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Metrics grouped by namespace
  */
-async function listMetrics(namespace, region) {
-    const client = getCloudWatchClient(region);
+async function listMetrics(namespace, region, credentials) {
+    const client = getCloudWatchClient(region, credentials);
 
     const params = {};
     if (namespace) {
@@ -414,10 +550,11 @@ async function listMetrics(namespace, region) {
  *
  * @param {string} region - AWS region
  * @param {number} hours - How many hours of data (default: 24)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Aggregated Lambda metrics
  */
-async function getLambdaInvocations(region, hours = 24) {
-    const client = getCloudWatchClient(region);
+async function getLambdaInvocations(region, hours = 24, credentials) {
+    const client = getCloudWatchClient(region, credentials);
 
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - hours * 60 * 60 * 1000);
@@ -492,10 +629,11 @@ async function getLambdaInvocations(region, hours = 24) {
  * Groups alarms by state and namespace for a quick overview.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Summary with counts by state and namespace
  */
-async function getAlarmsSummary(region) {
-    const alarmsResponse = await listAlarms(region, null, 1, 10000);
+async function getAlarmsSummary(region, credentials) {
+    const alarmsResponse = await listAlarms(region, null, 1, 10000, credentials);
     // Extract alarms array from paginated response
     const alarms = Array.isArray(alarmsResponse) ? alarmsResponse : (alarmsResponse?.alarms || []);
 
@@ -522,7 +660,9 @@ async function getAlarmsSummary(region) {
 
 module.exports = {
     listAlarms,
+    listAlarmsPage,
     getActiveAlarms,
+    getActiveAlarmsPage,
     getAlarm,
     getAlarmHistory,
     getMetrics,
@@ -45,10 +45,11 @@ const { formatCurrency, getDateRange, getServiceEmoji } = require("../utils/help
  * @param {string} endDate - End date (YYYY-MM-DD format)
  * @param {string} granularity - Time granularity: 'DAILY', 'MONTHLY', or 'HOURLY'
  * @param {string} groupBy - How to group: 'SERVICE', 'REGION', 'LINKED_ACCOUNT', etc.
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} Raw cost data from AWS
  */
-async function getCostAndUsage(startDate, endDate, granularity = 'DAILY', groupBy = 'SERVICE') {
-    const client = getCostExplorerClient();
+async function getCostAndUsage(startDate, endDate, granularity = 'DAILY', groupBy = 'SERVICE', credentials) {
+    const client = getCostExplorerClient(credentials);
 
     const params = {
         TimePeriod: {
@@ -74,11 +75,12 @@ async function getCostAndUsage(startDate, endDate, granularity = 'DAILY', groupB
  *
  * @param {string} period - Time period: 'today', 'week', 'month', 'quarter'
  * @param {string} groupBy - How to group costs (default: 'SERVICE')
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Formatted cost data with totals and breakdowns
  */
-async function getCostsByPeriod(period = 'week', groupBy = 'SERVICE') {
+async function getCostsByPeriod(period = 'week', groupBy = 'SERVICE', credentials) {
     const { startDate, endDate } = getDateRange(period);
-    const rawData = await getCostAndUsage(startDate, endDate, 'DAILY', groupBy);
+    const rawData = await getCostAndUsage(startDate, endDate, 'DAILY', groupBy, credentials);
 
     // Process and aggregate the raw data
     let totalCost = 0;
@@ -138,10 +140,11 @@ async function getCostsByPeriod(period = 'week', groupBy = 'SERVICE') {
  * @param {string} startDate - Forecast start date (YYYY-MM-DD)
  * @param {string} endDate - Forecast end date (YYYY-MM-DD)
  * @param {string} granularity - 'DAILY' or 'MONTHLY'
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Cost forecast with confidence intervals
  */
-async function getCostForecast(startDate, endDate, granularity = 'MONTHLY') {
-    const client = getCostExplorerClient();
+async function getCostForecast(startDate, endDate, granularity = 'MONTHLY', credentials) {
+    const client = getCostExplorerClient(credentials);
 
     // Forecast requires future dates - adjust if needed
     const today = new Date().toISOString().split('T')[0];
@@ -177,15 +180,16 @@ async function getCostForecast(startDate, endDate, granularity = 'MONTHLY') {
  * Get month-to-date costs.
  * Shows spending from the 1st of the current month until today.
  *
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Month-to-date cost data
  */
-async function getMonthToDateCosts() {
+async function getMonthToDateCosts(credentials) {
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const startDate = startOfMonth.toISOString().split('T')[0];
     const endDate = now.toISOString().split('T')[0];
 
-    return await getCostsByPeriod('month');
+    return await getCostsByPeriod('month', 'SERVICE', credentials);
 }
 
 /**
@@ -196,9 +200,10 @@ async function getMonthToDateCosts() {
  * - This month: 1st to 15th
  * - Last month: 1st to 15th
  *
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Cost comparison with trends
  */
-async function getCostComparison() {
+async function getCostComparison(credentials) {
     const now = new Date();
 
     // This month (1st to today)
@@ -211,8 +216,8 @@ async function getCostComparison() {
     const lastMonthEnd = new Date(now.getFullYear(), now.getMonth() - 1, dayOfMonth).toISOString().split('T')[0];
 
     // Fetch both periods
-    const thisMonthData = await getCostAndUsage(thisMonthStart, thisMonthEnd, 'MONTHLY', null);
-    const lastMonthData = await getCostAndUsage(lastMonthStart, lastMonthEnd, 'MONTHLY', null);
+    const thisMonthData = await getCostAndUsage(thisMonthStart, thisMonthEnd, 'MONTHLY', null, credentials);
+    const lastMonthData = await getCostAndUsage(lastMonthStart, lastMonthEnd, 'MONTHLY', null, credentials);
 
     const thisMonthCost = parseFloat(thisMonthData[0]?.Total?.UnblendedCost?.Amount || 0);
     const lastMonthCost = parseFloat(lastMonthData[0]?.Total?.UnblendedCost?.Amount || 0);
@@ -248,10 +253,11 @@ async function getCostComparison() {
  *
  * @param {string} period - Time period to analyze
  * @param {number} limit - How many services to return (default: 10)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Top services by cost
  */
-async function getTopServices(period = 'month', limit = 10) {
-    const costs = await getCostsByPeriod(period);
+async function getTopServices(period = 'month', limit = 10, credentials) {
+    const costs = await getCostsByPeriod(period, 'SERVICE', credentials);
 
     return {
         period: period,
@@ -266,11 +272,12 @@ async function getTopServices(period = 'month', limit = 10) {
  * Shows how costs are changing day by day and calculates overall trend.
  *
  * @param {number} days - How many days to analyze (default: 30)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Daily costs with trend analysis
  */
-async function getDailyCostTrend(days = 30) {
+async function getDailyCostTrend(days = 30, credentials) {
     const { startDate, endDate } = getDateRange('month');
-    const rawData = await getCostAndUsage(startDate, endDate, 'DAILY', null);
+    const rawData = await getCostAndUsage(startDate, endDate, 'DAILY', null, credentials);
 
     const dailyCosts = rawData.map(day => ({
         date: day.TimePeriod.Start,
@@ -309,11 +316,12 @@ async function getDailyCostTrend(days = 30) {
  *
  * @param {string} tagKey - The tag key to group by (e.g., 'Project', 'Environment')
  * @param {string} period - Time period to analyze
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Costs grouped by tag value
  */
-async function getCostByTag(tagKey, period = 'month') {
+async function getCostByTag(tagKey, period = 'month', credentials) {
     const { startDate, endDate } = getDateRange(period);
-    const client = getCostExplorerClient();
+    const client = getCostExplorerClient(credentials);
 
     const response = await client.send(new GetCostAndUsageCommand({
         TimePeriod: { Start: startDate, End: endDate },
@@ -15,6 +15,8 @@
  * - View instance status checks
  * - Fetch CloudWatch metrics (CPU, network, etc.)
  * - List security groups, VPCs, and subnets
+ * - Dry runs of every change, checked with AWS's own DryRun
+ * - Security group rule changes return the rules before and after
  *
  * Author: Nisha Kumari
  * Project: AWS Cloud Commander for Zoho Cliqtrix 2025
@@ -53,75 +55,96 @@ const { GetMetricStatisticsCommand } = require("@aws-sdk/client-cloudwatch");
 
 const { getEC2Client, getCloudWatchClient } = require("../utils/aws-clients");
 const { getNameFromTags, getEC2StateEmoji } = require("../utils/helpers");
+const { paginate, pageSizeFor, cursorPagination, fetchAll } = require("../utils/pagination");
+const { checkDryRun, dryRunResult } = require("../utils/dry-run");
 
-/**
- * List all EC2 instances in the specified region.
- * Optionally filter by state or specific instance IDs.
- *
- * @param {string} region - AWS region
- * @param {object} filters - Optional filters (state, instanceIds)
- * @returns {Array} List of instance objects with formatted data
+/*
+ * Instance fields we return, from a DescribeInstances instance
  */
-async function listInstances(region, filters = {}, page = 1, limit = 5) {
-    const client = getEC2Client(region);
+function formatInstance(instance) {
+    return {
+        id: instance.InstanceId,
+        name: getNameFromTags(instance.Tags),
+        type: instance.InstanceType,
+        state: instance.State?.Name,
+        stateEmoji: getEC2StateEmoji(instance.State?.Name),
+        privateIp: instance.PrivateIpAddress || null,
+        publicIp: instance.PublicIpAddress || null,
+        az: instance.Placement?.AvailabilityZone,
+        vpcId: instance.VpcId,
+        subnetId: instance.SubnetId,
+        launchTime: instance.LaunchTime,
+        platform: instance.Platform || "Linux",
+        architecture: instance.Architecture,
+        keyName: instance.KeyName,
+        amiId: instance.ImageId,
+        securityGroups: (instance.SecurityGroups || []).map(sg => ({
+            id: sg.GroupId,
+            name: sg.GroupName
+        })),
+        tags: instance.Tags || []
+    };
+}
 
+/*
+ * DescribeInstances one AWS page at a time (see utils/pagination.js).
+ * Reservations are flattened into a single list of instances.
+ * MaxResults can't be combined with InstanceIds, so ID lookups use AWS's page size.
+ */
+function instancePages(client, filters = {}) {
     const params = {};
+    const awsFilters = [];
 
     // Apply state filter (e.g., 'running', 'stopped')
     if (filters.state) {
-        params.Filters = params.Filters || [];
-        params.Filters.push({
+        awsFilters.push({
             Name: "instance-state-name",
             Values: Array.isArray(filters.state) ? filters.state : [filters.state]
         });
     }
 
+    // Apply tag filter ({ Environment: 'dev' } - every tag must match)
+    for (const [tagKey, tagValue] of Object.entries(filters.tags || {})) {
+        awsFilters.push({ Name: `tag:${tagKey}`, Values: [String(tagValue)] });
+    }
+
+    if (awsFilters.length > 0) {
+        params.Filters = awsFilters;
+    }
+
     // Filter by specific instance IDs
     if (filters.instanceIds) {
         params.InstanceIds = filters.instanceIds;
     }
 
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new DescribeInstancesCommand({
+            ...params,
+            ...(nextToken && { NextToken: nextToken }),
+            ...(pageSize && !params.InstanceIds && { MaxResults: pageSize })
+        }));
+
+        return {
+            items: (response.Reservations || []).flatMap(reservation => (reservation.Instances || []).map(formatInstance)),
+            nextToken: response.NextToken || null
+        };
+    };
+}
+
+/**
+ * List all EC2 instances in the specified region.
+ * Optionally filter by state or specific instance IDs.
+ *
+ * @param {string} region - AWS region
+ * @param {object} filters - Optional filters (state, instanceIds, tags)
+ * @param {object} credentials - User AWS credentials
+ * @returns {Array} List of instance objects with formatted data
+ */
+async function listInstances(region, filters = {}, page = 1, limit = 5, credentials) {
+    const client = getEC2Client(region, credentials);
+
     // Fetch all instances (handle AWS pagination internally)
-    const allInstances = [];
-    let nextToken = null;
-    
-    do {
-        if (nextToken) {
-            params.NextToken = nextToken;
-        }
-        
-        const response = await client.send(new DescribeInstancesCommand(params));
-        
-        // Flatten reservations into a single array of instances
-        for (const reservation of response.Reservations || []) {
-            for (const instance of reservation.Instances || []) {
-                allInstances.push({
-                    id: instance.InstanceId,
-                    name: getNameFromTags(instance.Tags),
-                    type: instance.InstanceType,
-                    state: instance.State?.Name,
-                    stateEmoji: getEC2StateEmoji(instance.State?.Name),
-                    privateIp: instance.PrivateIpAddress || null,
-                    publicIp: instance.PublicIpAddress || null,
-                    az: instance.Placement?.AvailabilityZone,
-                    vpcId: instance.VpcId,
-                    subnetId: instance.SubnetId,
-                    launchTime: instance.LaunchTime,
-                    platform: instance.Platform || "Linux",
-                    architecture: instance.Architecture,
-                    keyName: instance.KeyName,
-                    amiId: instance.ImageId,
-                    securityGroups: (instance.SecurityGroups || []).map(sg => ({
-                        id: sg.GroupId,
-                        name: sg.GroupName
-                    })),
-                    tags: instance.Tags || []
-                });
-            }
-        }
-        
-        nextToken = response.NextToken;
-    } while (nextToken);
+    const allInstances = await fetchAll(instancePages(client, filters));
 
     // Apply in-memory pagination
     const totalItems = allInstances.length;
@@ -145,15 +168,44 @@ async function listInstances(region, filters = {}, page = 1, limit = 5) {
     };
 }
 
+/**
+ * List EC2 instances one page at a time, in the order AWS returns them.
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ *
+ * @param {string} region - AWS region
+ * @param {object} filters - Optional filters (state, instanceIds, tags)
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Instances per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { instances, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listInstancesPage(region, filters = {}, nextToken = null, limit = 5, credentials) {
+    const client = getEC2Client(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'ec2:list', region, filters },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 5, max: 1000 }),
+        fetchPage: instancePages(client, filters)
+    });
+
+    return {
+        instances: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get detailed information for a single instance.
  *
  * @param {string} instanceId - The EC2 instance ID (e.g., 'i-0abc123def456')
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Instance details
  */
-async function getInstance(instanceId, region) {
-    const result = await listInstances(region, { instanceIds: [instanceId] });
+async function getInstance(instanceId, region, credentials) {
+    const result = await listInstances(region, { instanceIds: [instanceId] }, 1, 5, credentials);
     const instances = result.instances || result; // Support both old and new format
 
     if (instances.length === 0) {
@@ -163,16 +215,71 @@ async function getInstance(instanceId, region) {
     return instances[0];
 }
 
+/*
+ * With dryRun, the functions below that change something send their command
+ * with DryRun: true - AWS then only checks the caller's permission - and
+ * read the resource to report what would change (see utils/dry-run.js).
+ */
+
+/*
+ * One instance as DescribeInstances returns it
+ */
+async function describeInstance(client, instanceId) {
+    const response = await client.send(new DescribeInstancesCommand({
+        InstanceIds: [instanceId]
+    }));
+
+    const instance = response.Reservations?.[0]?.Instances?.[0];
+    if (!instance) {
+        throw new Error(`Instance ${instanceId} not found`);
+    }
+    return instance;
+}
+
+/*
+ * Dry run of a state change. fromStates are the states AWS accepts it in.
+ */
+async function previewStateChange(client, instanceId, command, iamAction, { toState, fromStates, verb }) {
+    const check = await checkDryRun(client, command, iamAction);
+    const instance = await describeInstance(client, instanceId);
+    const state = instance.State?.Name;
+
+    if (state === toState) {
+        return dryRunResult(check, {
+            target: instanceId,
+            warnings: [`Instance is already ${state}`],
+            summary: `Instance ${instanceId} would stay ${state}`
+        });
+    }
+
+    return dryRunResult(check, {
+        target: instanceId,
+        changes: [{ field: 'state', from: state, to: toState }],
+        warnings: fromStates.includes(state) ? [] : [`AWS can't ${verb} a ${state} instance`],
+        summary: `Instance ${instanceId} would go from ${state} to ${toState}`
+    });
+}
+
 /**
  * Start a stopped EC2 instance.
  * The instance will transition from 'stopped' to 'pending' to 'running'.
  *
  * @param {string} instanceId - The instance to start
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} State change information
  */
-async function startInstance(instanceId, region) {
-    const client = getEC2Client(region);
+async function startInstance(instanceId, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        return previewStateChange(client, instanceId, new StartInstancesCommand({ InstanceIds: [instanceId], DryRun: true }), 'ec2:StartInstances', {
+            toState: 'running',
+            fromStates: ['stopped'],
+            verb: 'start'
+        });
+    }
 
     const response = await client.send(new StartInstancesCommand({
         InstanceIds: [instanceId]
@@ -195,10 +302,20 @@ async function startInstance(instanceId, region) {
  * @param {string} instanceId - The instance to stop
  * @param {string} region - AWS region
  * @param {boolean} force - Force stop without graceful shutdown
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} State change information
  */
-async function stopInstance(instanceId, region, force = false) {
-    const client = getEC2Client(region);
+async function stopInstance(instanceId, region, force = false, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        return previewStateChange(client, instanceId, new StopInstancesCommand({ InstanceIds: [instanceId], Force: force, DryRun: true }), 'ec2:StopInstances', {
+            toState: 'stopped',
+            fromStates: ['pending', 'running'],
+            verb: 'stop'
+        });
+    }
 
     const response = await client.send(new StopInstancesCommand({
         InstanceIds: [instanceId],
@@ -221,10 +338,22 @@ async function stopInstance(instanceId, region, force = false) {
  *
  * @param {string} instanceId - The instance to reboot
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Confirmation message
  */
-async function rebootInstance(instanceId, region) {
-    const client = getEC2Client(region);
+async function rebootInstance(instanceId, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        const check = await checkDryRun(client, new RebootInstancesCommand({ InstanceIds: [instanceId], DryRun: true }), 'ec2:RebootInstances');
+        const state = (await describeInstance(client, instanceId)).State?.Name;
+        return dryRunResult(check, {
+            target: instanceId,
+            warnings: state === 'running' ? [] : [`AWS can't reboot a ${state} instance`],
+            summary: `Instance ${instanceId} (${state}) would reboot`
+        });
+    }
 
     await client.send(new RebootInstancesCommand({
         InstanceIds: [instanceId]
@@ -242,10 +371,11 @@ async function rebootInstance(instanceId, region) {
  *
  * @param {string} instanceId - The instance to check
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Status check details
  */
-async function getInstanceStatus(instanceId, region) {
-    const client = getEC2Client(region);
+async function getInstanceStatus(instanceId, region, credentials) {
+    const client = getEC2Client(region, credentials);
 
     const response = await client.send(new DescribeInstanceStatusCommand({
         InstanceIds: [instanceId],
@@ -287,10 +417,11 @@ async function getInstanceStatus(instanceId, region) {
  * @param {string} metricName - Which metric (default: CPUUtilization)
  * @param {string} region - AWS region
  * @param {number} hours - How many hours of data to fetch
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Metric datapoints and summary
  */
-async function getInstanceMetrics(instanceId, metricName, region, hours = 1) {
-    const client = getCloudWatchClient(region);
+async function getInstanceMetrics(instanceId, metricName, region, hours = 1, credentials) {
+    const client = getCloudWatchClient(region, credentials);
 
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - hours * 60 * 60 * 1000);
@@ -342,11 +473,12 @@ async function getInstanceMetrics(instanceId, metricName, region, hours = 1) {
  * Groups instances by state, type, and availability zone.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Summary statistics
  */
-async function getInstancesSummary(region) {
+async function getInstancesSummary(region, credentials) {
     // Fetch all instances with a large limit to get all in one page
-    const result = await listInstances(region, {}, 1, 10000);
+    const result = await listInstances(region, {}, 1, 10000, credentials);
     const instances = result.instances || result; // Support both old and new format
     const totalItems = result.pagination?.totalItems || instances.length;
 
@@ -362,7 +494,7 @@ async function getInstancesSummary(region) {
     let allInstances = [...instances];
     if (result.pagination && result.pagination.totalPages > 1) {
         for (let page = 2; page <= result.pagination.totalPages; page++) {
-            const pageResult = await listInstances(region, {}, page, 10000);
+            const pageResult = await listInstances(region, {}, page, 10000, credentials);
             allInstances = allInstances.concat(pageResult.instances || []);
         }
     }
@@ -381,46 +513,50 @@ async function getInstancesSummary(region) {
     return summary;
 }
 
-/**
- * List security groups in the region.
- * Optionally filter by VPC.
- *
- * @param {string} region - AWS region
- * @param {string} vpcId - Optional VPC ID to filter by
- * @returns {Array} List of security groups
+/*
+ * DescribeSecurityGroups one AWS page at a time (see utils/pagination.js)
  */
-async function listSecurityGroups(region, vpcId = null, page = 1, limit = 5) {
-    const client = getEC2Client(region);
-
+function securityGroupPages(client, vpcId = null) {
     const params = {};
     if (vpcId) {
         params.Filters = [{ Name: "vpc-id", Values: [vpcId] }];
     }
 
-    // Fetch all security groups (handle AWS pagination internally)
-    const allSecurityGroups = [];
-    let nextToken = null;
-    
-    do {
-        if (nextToken) {
-            params.NextToken = nextToken;
-        }
-        
-        const response = await client.send(new DescribeSecurityGroupsCommand(params));
-        
-        for (const sg of response.SecurityGroups || []) {
-            allSecurityGroups.push({
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new DescribeSecurityGroupsCommand({
+            ...params,
+            ...(nextToken && { NextToken: nextToken }),
+            ...(pageSize && { MaxResults: pageSize })
+        }));
+
+        return {
+            items: (response.SecurityGroups || []).map(sg => ({
                 id: sg.GroupId,
                 name: sg.GroupName,
                 description: sg.Description,
                 vpcId: sg.VpcId,
                 inboundRules: (sg.IpPermissions || []).length,
                 outboundRules: (sg.IpPermissionsEgress || []).length
-            });
-        }
-        
-        nextToken = response.NextToken;
-    } while (nextToken);
+            })),
+            nextToken: response.NextToken || null
+        };
+    };
+}
+
+/**
+ * List security groups in the region.
+ * Optionally filter by VPC.
+ *
+ * @param {string} region - AWS region
+ * @param {string} vpcId - Optional VPC ID to filter by
+ * @param {object} credentials - User AWS credentials
+ * @returns {Array} List of security groups
+ */
+async function listSecurityGroups(region, vpcId = null, page = 1, limit = 5, credentials) {
+    const client = getEC2Client(region, credentials);
+
+    // Fetch all security groups (handle AWS pagination internally)
+    const allSecurityGroups = await fetchAll(securityGroupPages(client, vpcId));
 
     // Apply in-memory pagination
     const totalItems = allSecurityGroups.length;
@@ -445,38 +581,68 @@ async function listSecurityGroups(region, vpcId = null, page = 1, limit = 5) {
 }
 
 /**
- * List VPCs (Virtual Private Clouds) in the region.
+ * List security groups one page at a time, in the order AWS returns them.
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
  *
  * @param {string} region - AWS region
- * @returns {Array} List of VPCs
+ * @param {string} vpcId - Optional VPC ID to filter by
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Security groups per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { securityGroups, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
  */
-async function listVpcs(region, page = 1, limit = 5) {
-    const client = getEC2Client(region);
+async function listSecurityGroupsPage(region, vpcId = null, nextToken = null, limit = 5, credentials) {
+    const client = getEC2Client(region, credentials);
 
-    // Fetch all VPCs (handle AWS pagination internally)
-    const allVpcs = [];
-    let nextToken = null;
-    
-    do {
-        const params = {};
-        if (nextToken) {
-            params.NextToken = nextToken;
-        }
-        
-        const response = await client.send(new DescribeVpcsCommand(params));
-        
-        for (const vpc of response.Vpcs || []) {
-            allVpcs.push({
+    const page = await paginate({
+        scope: { action: 'ec2:securityGroups', region, vpcId },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 5, max: 1000 }),
+        fetchPage: securityGroupPages(client, vpcId)
+    });
+
+    return {
+        securityGroups: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
+/*
+ * DescribeVpcs one AWS page at a time (see utils/pagination.js)
+ */
+function vpcPages(client) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new DescribeVpcsCommand({
+            ...(nextToken && { NextToken: nextToken }),
+            ...(pageSize && { MaxResults: pageSize })
+        }));
+
+        return {
+            items: (response.Vpcs || []).map(vpc => ({
                 id: vpc.VpcId,
                 cidrBlock: vpc.CidrBlock,
                 isDefault: vpc.IsDefault,
                 state: vpc.State,
                 name: getNameFromTags(vpc.Tags)
-            });
-        }
-        
-        nextToken = response.NextToken;
-    } while (nextToken);
+            })),
+            nextToken: response.NextToken || null
+        };
+    };
+}
+
+/**
+ * List VPCs (Virtual Private Clouds) in the region.
+ *
+ * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @returns {Array} List of VPCs
+ */
+async function listVpcs(region, page = 1, limit = 5, credentials) {
+    const client = getEC2Client(region, credentials);
+
+    // Fetch all VPCs (handle AWS pagination internally)
+    const allVpcs = await fetchAll(vpcPages(client));
 
     // Apply in-memory pagination
     const totalItems = allVpcs.length;
@@ -500,16 +666,44 @@ async function listVpcs(region, page = 1, limit = 5) {
     };
 }
 
+/**
+ * List VPCs one page at a time, in the order AWS returns them.
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ *
+ * @param {string} region - AWS region
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - VPCs per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { vpcs, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listVpcsPage(region, nextToken = null, limit = 5, credentials) {
+    const client = getEC2Client(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'ec2:vpcs', region },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 5, max: 1000 }),
+        fetchPage: vpcPages(client)
+    });
+
+    return {
+        vpcs: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * List subnets in the region.
  * Optionally filter by VPC.
  *
  * @param {string} region - AWS region
  * @param {string} vpcId - Optional VPC ID to filter by
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of subnets
  */
-async function listSubnets(region, vpcId = null) {
-    const client = getEC2Client(region);
+async function listSubnets(region, vpcId = null, credentials) {
+    const client = getEC2Client(region, credentials);
 
     const params = {};
     if (vpcId) {
@@ -535,10 +729,20 @@ async function listSubnets(region, vpcId = null) {
  *
  * @param {string} instanceId - Instance ID to terminate
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Termination result
  */
-async function terminateInstance(instanceId, region) {
-    const client = getEC2Client(region);
+async function terminateInstance(instanceId, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        return previewStateChange(client, instanceId, new TerminateInstancesCommand({ InstanceIds: [instanceId], DryRun: true }), 'ec2:TerminateInstances', {
+            toState: 'terminated',
+            fromStates: ['pending', 'running', 'stopping', 'stopped'],
+            verb: 'terminate'
+        });
+    }
 
     const response = await client.send(new TerminateInstancesCommand({
         InstanceIds: [instanceId]
@@ -561,10 +765,11 @@ async function terminateInstance(instanceId, region) {
  *
  * @param {string} instanceId - Instance ID
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Console output text
  */
-async function getConsoleOutput(instanceId, region) {
-    const client = getEC2Client(region);
+async function getConsoleOutput(instanceId, region, credentials) {
+    const client = getEC2Client(region, credentials);
 
     const response = await client.send(new GetConsoleOutputCommand({
         InstanceId: instanceId,
@@ -590,10 +795,12 @@ async function getConsoleOutput(instanceId, region) {
  * @param {string} description - Snapshot description
  * @param {string} region - AWS region
  * @param {object} tags - Optional tags
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Snapshot details
  */
-async function createSnapshot(volumeId, description, region, tags = {}) {
-    const client = getEC2Client(region);
+async function createSnapshot(volumeId, description, region, tags = {}, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
 
     const params = {
         VolumeId: volumeId,
@@ -608,6 +815,22 @@ async function createSnapshot(volumeId, description, region, tags = {}) {
         }];
     }
 
+    if (dryRun) {
+        const check = await checkDryRun(client, new CreateSnapshotCommand({ ...params, DryRun: true }), 'ec2:CreateSnapshot');
+        const volumes = await client.send(new DescribeVolumesCommand({
+            Filters: [{ Name: 'volume-id', Values: [volumeId] }]
+        }));
+        const volume = volumes.Volumes?.[0];
+        if (!volume) {
+            throw new Error(`Volume ${volumeId} not found`);
+        }
+        return dryRunResult(check, {
+            target: volumeId,
+            changes: [{ field: 'snapshots', from: null, to: params.Description }],
+            summary: `Would snapshot ${volumeId} (${volume.Size} GiB)`
+        });
+    }
+
     const response = await client.send(new CreateSnapshotCommand(params));
 
     return {
@@ -629,17 +852,33 @@ async function createSnapshot(volumeId, description, region, tags = {}) {
  * @param {string} description - AMI description
  * @param {string} region - AWS region
  * @param {boolean} noReboot - If true, doesn't reboot instance (less consistent)
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} AMI details
  */
-async function createImage(instanceId, name, description, region, noReboot = false) {
-    const client = getEC2Client(region);
+async function createImage(instanceId, name, description, region, noReboot = false, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
 
-    const response = await client.send(new CreateImageCommand({
+    const params = {
         InstanceId: instanceId,
         Name: name,
         Description: description || `AMI created from ${instanceId}`,
         NoReboot: noReboot
-    }));
+    };
+
+    if (dryRun) {
+        const check = await checkDryRun(client, new CreateImageCommand({ ...params, DryRun: true }), 'ec2:CreateImage');
+        const instance = await describeInstance(client, instanceId);
+        const reboots = !noReboot && instance.State?.Name === 'running';
+        return dryRunResult(check, {
+            target: instanceId,
+            changes: [{ field: 'images', from: null, to: name }],
+            warnings: reboots ? ['The instance reboots while the image is taken - send noReboot to skip that'] : [],
+            summary: `Would create AMI "${name}" from ${instanceId}`
+        });
+    }
+
+    const response = await client.send(new CreateImageCommand(params));
 
     return {
         imageId: response.ImageId,
@@ -655,10 +894,11 @@ async function createImage(instanceId, name, description, region, noReboot = fal
  *
  * @param {string} instanceId - Instance ID
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of attached volumes
  */
-async function listInstanceVolumes(instanceId, region) {
-    const client = getEC2Client(region);
+async function listInstanceVolumes(instanceId, region, credentials) {
+    const client = getEC2Client(region, credentials);
 
     const response = await client.send(new DescribeVolumesCommand({
         Filters: [{
@@ -684,10 +924,21 @@ async function listInstanceVolumes(instanceId, region) {
  * Allocate a new Elastic IP address.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Elastic IP details
  */
-async function allocateElasticIp(region) {
-    const client = getEC2Client(region);
+async function allocateElasticIp(region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        const check = await checkDryRun(client, new AllocateAddressCommand({ Domain: 'vpc', DryRun: true }), 'ec2:AllocateAddress');
+        return dryRunResult(check, {
+            changes: [{ field: 'elasticIps', from: null, to: 'new address' }],
+            warnings: ['AWS bills an Elastic IP for every hour it is allocated'],
+            summary: `Would allocate a new Elastic IP in ${region}`
+        });
+    }
 
     const response = await client.send(new AllocateAddressCommand({
         Domain: 'vpc'
@@ -706,10 +957,36 @@ async function allocateElasticIp(region) {
  * @param {string} instanceId - Instance ID
  * @param {string} allocationId - Elastic IP allocation ID
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Association result
  */
-async function associateElasticIp(instanceId, allocationId, region) {
-    const client = getEC2Client(region);
+async function associateElasticIp(instanceId, allocationId, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        const check = await checkDryRun(client, new AssociateAddressCommand({ InstanceId: instanceId, AllocationId: allocationId, DryRun: true }), 'ec2:AssociateAddress');
+        const addresses = await client.send(new DescribeAddressesCommand({ AllocationIds: [allocationId] }));
+        const address = (addresses.Addresses || []).find(item => item.AllocationId === allocationId);
+        if (!address) {
+            throw new Error(`Elastic IP ${allocationId} not found`);
+        }
+        await describeInstance(client, instanceId);
+
+        if (address.InstanceId === instanceId) {
+            return dryRunResult(check, {
+                target: instanceId,
+                warnings: [`${address.PublicIp} is already associated with ${instanceId}`],
+                summary: `${address.PublicIp} would stay on ${instanceId}`
+            });
+        }
+        return dryRunResult(check, {
+            target: instanceId,
+            changes: [{ field: 'instanceId', from: address.InstanceId || null, to: instanceId }],
+            warnings: address.InstanceId ? [`${address.PublicIp} would move away from ${address.InstanceId}`] : [],
+            summary: `${address.PublicIp} would be associated with ${instanceId}`
+        });
+    }
 
     const response = await client.send(new AssociateAddressCommand({
         InstanceId: instanceId,
@@ -728,10 +1005,28 @@ async function associateElasticIp(instanceId, allocationId, region) {
  *
  * @param {string} associationId - Association ID
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Disassociation result
  */
-async function disassociateElasticIp(associationId, region) {
-    const client = getEC2Client(region);
+async function disassociateElasticIp(associationId, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        const check = await checkDryRun(client, new DisassociateAddressCommand({ AssociationId: associationId, DryRun: true }), 'ec2:DisassociateAddress');
+        const addresses = await client.send(new DescribeAddressesCommand({
+            Filters: [{ Name: 'association-id', Values: [associationId] }]
+        }));
+        const address = (addresses.Addresses || []).find(item => item.AssociationId === associationId);
+        if (!address) {
+            throw new Error(`Elastic IP association ${associationId} not found`);
+        }
+        return dryRunResult(check, {
+            target: associationId,
+            changes: [{ field: 'instanceId', from: address.InstanceId || null, to: null }],
+            summary: `${address.PublicIp} would be detached from ${address.InstanceId || 'its network interface'}`
+        });
+    }
 
     await client.send(new DisassociateAddressCommand({
         AssociationId: associationId
@@ -747,10 +1042,11 @@ async function disassociateElasticIp(associationId, region) {
  * List all Elastic IPs in the region.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of Elastic IPs
  */
-async function listElasticIps(region) {
-    const client = getEC2Client(region);
+async function listElasticIps(region, credentials) {
+    const client = getEC2Client(region, credentials);
 
     const response = await client.send(new DescribeAddressesCommand({}));
 
@@ -771,10 +1067,36 @@ async function listElasticIps(region) {
  * @param {string} instanceId - Instance ID
  * @param {string} newInstanceType - New instance type (e.g., 't2.large')
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Modification result
  */
-async function modifyInstanceType(instanceId, newInstanceType, region) {
-    const client = getEC2Client(region);
+async function modifyInstanceType(instanceId, newInstanceType, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
+
+    if (dryRun) {
+        const check = await checkDryRun(client, new ModifyInstanceAttributeCommand({
+            InstanceId: instanceId,
+            InstanceType: { Value: newInstanceType },
+            DryRun: true
+        }), 'ec2:ModifyInstanceAttribute');
+        const instance = await describeInstance(client, instanceId);
+        const state = instance.State?.Name;
+
+        if (instance.InstanceType === newInstanceType) {
+            return dryRunResult(check, {
+                target: instanceId,
+                warnings: [`Instance is already ${newInstanceType}`],
+                summary: `Instance ${instanceId} would stay ${newInstanceType}`
+            });
+        }
+        return dryRunResult(check, {
+            target: instanceId,
+            changes: [{ field: 'instanceType', from: instance.InstanceType, to: newInstanceType }],
+            warnings: state === 'stopped' ? [] : [`Instance is ${state} - AWS only changes the type of stopped instances`],
+            summary: `Instance ${instanceId} would change from ${instance.InstanceType} to ${newInstanceType}`
+        });
+    }
 
     await client.send(new ModifyInstanceAttributeCommand({
         InstanceId: instanceId,
@@ -796,10 +1118,11 @@ async function modifyInstanceType(instanceId, newInstanceType, region) {
  *
  * @param {string} region - AWS region
  * @param {number} maxResults - Max results to return
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of instance types
  */
-async function listInstanceTypes(region, maxResults = 100) {
-    const client = getEC2Client(region);
+async function listInstanceTypes(region, maxResults = 100, credentials) {
+    const client = getEC2Client(region, credentials);
 
     const response = await client.send(new DescribeInstanceTypesCommand({
         MaxResults: maxResults
@@ -819,10 +1142,11 @@ async function listInstanceTypes(region, maxResults = 100) {
  *
  * @param {string} instanceId - Instance ID
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of security groups with details
  */
-async function getInstanceSecurityGroups(instanceId, region) {
-    const client = getEC2Client(region);
+async function getInstanceSecurityGroups(instanceId, region, credentials) {
+    const client = getEC2Client(region, credentials);
     
     // First get the instance to find its security groups
     const instanceResponse = await client.send(new DescribeInstancesCommand({
@@ -871,16 +1195,147 @@ async function getInstanceSecurityGroups(instanceId, region) {
     }));
 }
 
+/*
+ * Security group rules one per IP range or source group, in the shape
+ * addInboundRule() and friends take: { protocol, fromPort, toPort, cidr,
+ * description }, or sourceGroupId instead of cidr. Ports are null for all
+ * traffic (protocol -1).
+ */
+function formatRules(permissions) {
+    const rules = [];
+    for (const permission of permissions || []) {
+        const allTraffic = permission.IpProtocol === '-1';
+        const base = {
+            protocol: permission.IpProtocol,
+            fromPort: allTraffic ? null : permission.FromPort ?? null,
+            toPort: allTraffic ? null : permission.ToPort ?? null
+        };
+        for (const range of permission.IpRanges || []) {
+            rules.push({ ...base, cidr: range.CidrIp, description: range.Description || '' });
+        }
+        for (const range of permission.Ipv6Ranges || []) {
+            rules.push({ ...base, cidr: range.CidrIpv6, description: range.Description || '' });
+        }
+        for (const pair of permission.UserIdGroupPairs || []) {
+            rules.push({ ...base, sourceGroupId: pair.GroupId, description: pair.Description || '' });
+        }
+    }
+    return rules;
+}
+
+/*
+ * Inbound and outbound rules of one security group (see formatRules())
+ */
+async function describeGroupRules(client, groupId) {
+    const response = await client.send(new DescribeSecurityGroupsCommand({
+        GroupIds: [groupId]
+    }));
+
+    const group = response.SecurityGroups?.[0];
+    if (!group) {
+        throw new Error(`Security group ${groupId} not found`);
+    }
+    return {
+        inbound: formatRules(group.IpPermissions),
+        outbound: formatRules(group.IpPermissionsEgress)
+    };
+}
+
+/**
+ * Get the current rules of a security group, one per IP range or source group.
+ *
+ * @param {string} groupId - Security group ID
+ * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @returns {Object} { groupId, inbound, outbound }
+ */
+async function getSecurityGroupRules(groupId, region, credentials) {
+    const client = getEC2Client(region, credentials);
+    return { groupId, ...(await describeGroupRules(client, groupId)) };
+}
+
+/*
+ * Sends a rule change and reads the group's rules in that direction before
+ * and after it, so the change can be recorded and undone
+ * (utils/rule-history.js)
+ */
+async function applyRuleChange(client, groupId, command, direction, message) {
+    const before = (await describeGroupRules(client, groupId))[direction];
+    await client.send(command);
+    const after = (await describeGroupRules(client, groupId))[direction];
+
+    return {
+        success: true,
+        message,
+        groupId,
+        direction,
+        before,
+        after
+    };
+}
+
+/*
+ * A rule as the previews name it, e.g. "tcp 22 from 10.0.0.0/16"
+ */
+function describeRule(rule, direction) {
+    const traffic = String(rule.protocol) === '-1'
+        ? 'all traffic'
+        : `${rule.protocol} ${rule.fromPort === rule.toPort ? rule.fromPort : `${rule.fromPort}-${rule.toPort}`}`;
+    return `${traffic} ${direction === 'inbound' ? 'from' : 'to'} ${rule.cidr}`;
+}
+
+/*
+ * Dry run of adding or removing a rule, against the group's current rules
+ */
+async function previewRuleChange(client, groupId, rule, command, iamAction, { direction, adding }) {
+    const check = await checkDryRun(client, command, iamAction);
+    const response = await client.send(new DescribeSecurityGroupsCommand({
+        GroupIds: [groupId]
+    }));
+
+    const group = response.SecurityGroups?.[0];
+    if (!group) {
+        throw new Error(`Security group ${groupId} not found`);
+    }
+
+    const permissions = (direction === 'inbound' ? group.IpPermissions : group.IpPermissionsEgress) || [];
+    const exists = permissions.some(permission =>
+        permission.IpProtocol === String(rule.protocol) &&
+        (String(rule.protocol) === '-1' || (permission.FromPort === rule.fromPort && permission.ToPort === rule.toPort)) &&
+        (permission.IpRanges || []).some(range => range.CidrIp === rule.cidr)
+    );
+    const text = describeRule(rule, direction);
+
+    if (adding === exists) {
+        return dryRunResult(check, {
+            target: groupId,
+            warnings: [adding
+                ? `${groupId} already has this rule - AWS would reject it as a duplicate`
+                : `${groupId} has no such rule - AWS would answer InvalidPermission.NotFound`],
+            summary: `${groupId} would not change`
+        });
+    }
+
+    const field = `${direction}Rules`;
+    return dryRunResult(check, {
+        target: groupId,
+        changes: [adding ? { field, from: null, to: text } : { field, from: text, to: null }],
+        summary: adding ? `Would add ${direction} rule "${text}" to ${groupId}` : `Would remove ${direction} rule "${text}" from ${groupId}`
+    });
+}
+
 /**
  * Add an inbound rule to a security group.
  *
  * @param {string} groupId - Security group ID
  * @param {Object} rule - Rule configuration
  * @param {string} region - AWS region
- * @returns {Object} Result
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
+ * @returns {Object} Result, with the rules in that direction before and after
  */
-async function addInboundRule(groupId, rule, region) {
-    const client = getEC2Client(region);
+async function addInboundRule(groupId, rule, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
     
     const ipPermission = {
         IpProtocol: rule.protocol,
@@ -888,16 +1343,18 @@ async function addInboundRule(groupId, rule, region) {
         ToPort: rule.toPort,
         IpRanges: rule.cidr ? [{ CidrIp: rule.cidr, Description: rule.description || '' }] : []
     };
+
+    if (dryRun) {
+        return previewRuleChange(client, groupId, rule, new AuthorizeSecurityGroupIngressCommand({ GroupId: groupId, IpPermissions: [ipPermission], DryRun: true }), 'ec2:AuthorizeSecurityGroupIngress', {
+            direction: 'inbound',
+            adding: true
+        });
+    }
     
-    await client.send(new AuthorizeSecurityGroupIngressCommand({
+    return applyRuleChange(client, groupId, new AuthorizeSecurityGroupIngressCommand({
         GroupId: groupId,
         IpPermissions: [ipPermission]
-    }));
-    
-    return {
-        success: true,
-        message: `Inbound rule added to ${groupId}`
-    };
+    }), 'inbound', `Inbound rule added to ${groupId}`);
 }
 
 /**
@@ -906,10 +1363,12 @@ async function addInboundRule(groupId, rule, region) {
  * @param {string} groupId - Security group ID
  * @param {Object} rule - Rule configuration
  * @param {string} region - AWS region
- * @returns {Object} Result
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
+ * @returns {Object} Result, with the rules in that direction before and after
  */
-async function addOutboundRule(groupId, rule, region) {
-    const client = getEC2Client(region);
+async function addOutboundRule(groupId, rule, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
     
     const ipPermission = {
         IpProtocol: rule.protocol,
@@ -917,16 +1376,18 @@ async function addOutboundRule(groupId, rule, region) {
         ToPort: rule.toPort,
         IpRanges: rule.cidr ? [{ CidrIp: rule.cidr, Description: rule.description || '' }] : []
     };
+
+    if (dryRun) {
+        return previewRuleChange(client, groupId, rule, new AuthorizeSecurityGroupEgressCommand({ GroupId: groupId, IpPermissions: [ipPermission], DryRun: true }), 'ec2:AuthorizeSecurityGroupEgress', {
+            direction: 'outbound',
+            adding: true
+        });
+    }
     
-    await client.send(new AuthorizeSecurityGroupEgressCommand({
+    return applyRuleChange(client, groupId, new AuthorizeSecurityGroupEgressCommand({
         GroupId: groupId,
         IpPermissions: [ipPermission]
-    }));
-    
-    return {
-        success: true,
-        message: `Outbound rule added to ${groupId}`
-    };
+    }), 'outbound', `Outbound rule added to ${groupId}`);
 }
 
 /**
@@ -935,10 +1396,12 @@ async function addOutboundRule(groupId, rule, region) {
  * @param {string} groupId - Security group ID
  * @param {Object} rule - Rule configuration to remove
  * @param {string} region - AWS region
- * @returns {Object} Result
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
+ * @returns {Object} Result, with the rules in that direction before and after
  */
-async function removeInboundRule(groupId, rule, region) {
-    const client = getEC2Client(region);
+async function removeInboundRule(groupId, rule, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
     
     const ipPermission = {
         IpProtocol: rule.protocol,
@@ -946,16 +1409,18 @@ async function removeInboundRule(groupId, rule, region) {
         ToPort: rule.toPort,
         IpRanges: rule.cidr ? [{ CidrIp: rule.cidr }] : []
     };
+
+    if (dryRun) {
+        return previewRuleChange(client, groupId, rule, new RevokeSecurityGroupIngressCommand({ GroupId: groupId, IpPermissions: [ipPermission], DryRun: true }), 'ec2:RevokeSecurityGroupIngress', {
+            direction: 'inbound',
+            adding: false
+        });
+    }
     
-    await client.send(new RevokeSecurityGroupIngressCommand({
+    return applyRuleChange(client, groupId, new RevokeSecurityGroupIngressCommand({
         GroupId: groupId,
         IpPermissions: [ipPermission]
-    }));
-    
-    return {
-        success: true,
-        message: `Inbound rule removed from ${groupId}`
-    };
+    }), 'inbound', `Inbound rule removed from ${groupId}`);
 }
 
 /**
@@ -964,10 +1429,12 @@ async function removeInboundRule(groupId, rule, region) {
  * @param {string} groupId - Security group ID
  * @param {Object} rule - Rule configuration to remove
  * @param {string} region - AWS region
- * @returns {Object} Result
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
+ * @returns {Object} Result, with the rules in that direction before and after
  */
-async function removeOutboundRule(groupId, rule, region) {
-    const client = getEC2Client(region);
+async function removeOutboundRule(groupId, rule, region, credentials, dryRun = false) {
+    const client = getEC2Client(region, credentials);
     
     const ipPermission = {
         IpProtocol: rule.protocol,
@@ -975,20 +1442,23 @@ async function removeOutboundRule(groupId, rule, region) {
         ToPort: rule.toPort,
         IpRanges: rule.cidr ? [{ CidrIp: rule.cidr }] : []
     };
+
+    if (dryRun) {
+        return previewRuleChange(client, groupId, rule, new RevokeSecurityGroupEgressCommand({ GroupId: groupId, IpPermissions: [ipPermission], DryRun: true }), 'ec2:RevokeSecurityGroupEgress', {
+            direction: 'outbound',
+            adding: false
+        });
+    }
     
-    await client.send(new RevokeSecurityGroupEgressCommand({
+    return applyRuleChange(client, groupId, new RevokeSecurityGroupEgressCommand({
         GroupId: groupId,
         IpPermissions: [ipPermission]
-    }));
-    
-    return {
-        success: true,
-        message: `Outbound rule removed from ${groupId}`
-    };
+    }), 'outbound', `Outbound rule removed from ${groupId}`);
 }
 
 module.exports = {
     listInstances,
+    listInstancesPage,
     getInstance,
     startInstance,
     stopInstance,
@@ -999,7 +1469,9 @@ module.exports = {
     getInstanceMetrics,
     getInstancesSummary,
     listSecurityGroups,
+    listSecurityGroupsPage,
     listVpcs,
+    listVpcsPage,
     listSubnets,
     createSnapshot,
     createImage,
@@ -1011,6 +1483,7 @@ module.exports = {
     modifyInstanceType,
     listInstanceTypes,
     getInstanceSecurityGroups,
+    getSecurityGroupRules,
     addInboundRule,
     addOutboundRule,
     removeInboundRule,
@@ -47,6 +47,7 @@ const {
 } = require("@aws-sdk/client-iam");
 
 const { getIAMClient } = require("../utils/aws-clients");
+const { isBudgetExceeded, markDegraded } = require("../utils/aws-calls");
 
 /**
  * List all IAM users in the account.
@@ -54,10 +55,11 @@ const { getIAMClient } = require("../utils/aws-clients");
  *
  * Returns basic info - use getUser() for full details.
  *
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of users with basic info
  */
-async function listUsers() {
-    const client = getIAMClient();
+async function listUsers(credentials) {
+    const client = getIAMClient(credentials);
 
     const users = [];
     let marker = null;
@@ -93,10 +95,11 @@ async function listUsers() {
  * This makes multiple API calls in parallel for efficiency.
  *
  * @param {string} userName - Name of the IAM user
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Complete user details
  */
-async function getUser(userName) {
-    const client = getIAMClient();
+async function getUser(userName, credentials) {
+    const client = getIAMClient(credentials);
 
     // Fetch all user details in parallel
     const [userResponse, accessKeysResponse, mfaResponse, policiesResponse, groupsResponse] = await Promise.all([
@@ -148,10 +151,11 @@ async function getUser(userName) {
  * - ECS task roles
  * - Cross-account access roles
  *
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of roles with basic info
  */
-async function listRoles() {
-    const client = getIAMClient();
+async function listRoles(credentials) {
+    const client = getIAMClient(credentials);
 
     const roles = [];
     let marker = null;
@@ -186,10 +190,11 @@ async function listRoles() {
  * Includes the trust policy (who can assume this role) and attached policies.
  *
  * @param {string} roleName - Name of the IAM role
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Complete role details including trust policy
  */
-async function getRole(roleName) {
-    const client = getIAMClient();
+async function getRole(roleName, credentials) {
+    const client = getIAMClient(credentials);
 
     // Fetch role details and attached policies in parallel
     const [roleResponse, policiesResponse] = await Promise.all([
@@ -226,10 +231,11 @@ async function getRole(roleName) {
  * - 'All': Both
  *
  * @param {string} scope - Which policies to list (default: 'Local')
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of policies
  */
-async function listPolicies(scope = 'Local') {
-    const client = getIAMClient();
+async function listPolicies(scope = 'Local', credentials) {
+    const client = getIAMClient(credentials);
 
     const policies = [];
     let marker = null;
@@ -270,10 +276,11 @@ async function listPolicies(scope = 'Local') {
  *
  * This is great for a quick overview of your IAM setup.
  *
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Account summary with counts and quotas
  */
-async function getAccountSummary() {
-    const client = getIAMClient();
+async function getAccountSummary(credentials) {
+    const client = getIAMClient(credentials);
 
     const response = await client.send(new GetAccountSummaryCommand({}));
 
@@ -317,12 +324,18 @@ async function getAccountSummary() {
  *
  * Returns a security score (0-100) and actionable recommendations.
  *
+ * The MFA check makes one call per user; the call wrapper (aws-calls.js)
+ * limits how many run at once. Users still unchecked when the request's
+ * time budget runs out are counted in mfaUnchecked and the result is
+ * marked degraded.
+ *
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Security status with issues and recommendations
  */
-async function getSecurityStatus() {
+async function getSecurityStatus(credentials) {
     const [users, accountSummary] = await Promise.all([
-        listUsers(),
-        getAccountSummary()
+        listUsers(credentials),
+        getAccountSummary(credentials)
     ]);
 
     const issues = [];
@@ -338,14 +351,28 @@ async function getSecurityStatus() {
     }
 
     // Check each user for MFA
-    const client = getIAMClient();
+    const client = getIAMClient(credentials);
     const usersWithoutMFA = [];
-
-    for (const user of users) {
-        const mfaResponse = await client.send(new ListMFADevicesCommand({ UserName: user.name }));
-        if ((mfaResponse.MFADevices || []).length === 0) {
-            usersWithoutMFA.push(user.name);
+    const usersUnchecked = [];
+
+    await Promise.all(users.map(async (user) => {
+        try {
+            const mfaResponse = await client.send(new ListMFADevicesCommand({ UserName: user.name }));
+            if ((mfaResponse.MFADevices || []).length === 0) {
+                usersWithoutMFA.push(user.name);
+            }
+        } catch (error) {
+            if (!isBudgetExceeded(error)) throw error;
+            usersUnchecked.push(user.name);
         }
+    }));
+
+    // Keep the account's user order regardless of which call finished first
+    const userOrder = new Map(users.map((user, index) => [user.name, index]));
+    usersWithoutMFA.sort((a, b) => userOrder.get(a) - userOrder.get(b));
+
+    if (usersUnchecked.length > 0) {
+        markDegraded('iam:securityStatus');
     }
 
     if (usersWithoutMFA.length > 0) {
@@ -374,15 +401,22 @@ async function getSecurityStatus() {
         });
     }
 
-    return {
+    const result = {
         accountMFAEnabled: accountSummary.accountMFAEnabled,
         totalUsers: users.length,
-        usersWithMFA: users.length - usersWithoutMFA.length,
+        usersWithMFA: users.length - usersWithoutMFA.length - usersUnchecked.length,
         usersWithoutMFA: usersWithoutMFA.length,
         issues: issues,
         recommendations: recommendations,
         score: calculateSecurityScore(issues, recommendations)
     };
+
+    if (usersUnchecked.length > 0) {
+        result.degraded = true;
+        result.mfaUnchecked = usersUnchecked.length;
+    }
+
+    return result;
 }
 
 /**
@@ -418,15 +452,16 @@ function calculateSecurityScore(issues, recommendations) {
  * Get a quick summary of IAM resources.
  * Perfect for dashboard views.
  *
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Summary with counts for users, roles, policies
  */
-async function getIAMSummary() {
+async function getIAMSummary(credentials) {
     // Fetch all data in parallel for speed
     const [users, roles, policies, accountSummary] = await Promise.all([
-        listUsers(),
-        listRoles(),
-        listPolicies('Local'),
-        getAccountSummary()
+        listUsers(credentials),
+        listRoles(credentials),
+        listPolicies('Local', credentials),
+        getAccountSummary(credentials)
     ]);
 
     return {
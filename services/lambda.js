@@ -14,6 +14,7 @@
  * - Invoke functions (requires user consent)
  * - View event source mappings (triggers)
  * - Get summary statistics
+ * - Dry runs of configuration updates, checked with the IAM policy simulator
  *
  * Note: Function invocation requires user consent because:
  * 1. It executes actual code
@@ -33,39 +34,30 @@ const {
     GetFunctionConfigurationCommand,
     ListEventSourceMappingsCommand,
     UpdateFunctionCodeCommand,
-    UpdateFunctionConfigurationCommand
+    UpdateFunctionConfigurationCommand,
+    GetAccountSettingsCommand
 } = require("@aws-sdk/client-lambda");
 
-const {
-    CloudWatchLogsClient,
-    FilterLogEventsCommand
-} = require("@aws-sdk/client-cloudwatch-logs");
+const { FilterLogEventsCommand } = require("@aws-sdk/client-cloudwatch-logs");
 
-const { getLambdaClient } = require("../utils/aws-clients");
+const { getLambdaClient, getLogsClient } = require("../utils/aws-clients");
 const { formatBytes } = require("../utils/helpers");
+const { paginate, pageSizeFor, cursorPagination, fetchAll } = require("../utils/pagination");
+const { simulatePermissions, dryRunResult } = require("../utils/dry-run");
+const { normalizeAWSError } = require("../utils/aws-errors");
 
-/**
- * List all Lambda functions in the region.
- * Paginates through results to get all functions.
- *
- * @param {string} region - AWS region
- * @returns {Array} List of functions with configuration details
+/*
+ * ListFunctions one AWS page at a time (see utils/pagination.js)
  */
-async function listFunctions(region, page = 1, limit = 5) {
-    const client = getLambdaClient(region);
-
-    const allFunctions = [];
-    let marker = null;
-
-    // Fetch all functions (Lambda returns max 50 per request)
-    do {
-        const params = { MaxItems: 50 };
-        if (marker) params.Marker = marker;
-
-        const response = await client.send(new ListFunctionsCommand(params));
+function functionPages(client) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new ListFunctionsCommand({
+            ...(nextToken && { Marker: nextToken }),
+            ...(pageSize && { MaxItems: pageSize })
+        }));
 
-        for (const fn of response.Functions || []) {
-            allFunctions.push({
+        return {
+            items: (response.Functions || []).map(fn => ({
                 name: fn.FunctionName,
                 runtime: fn.Runtime,
                 handler: fn.Handler,
@@ -79,11 +71,25 @@ async function listFunctions(region, page = 1, limit = 5) {
                 arn: fn.FunctionArn,
                 state: fn.State,
                 packageType: fn.PackageType
-            });
-        }
+            })),
+            nextToken: response.NextMarker || null
+        };
+    };
+}
 
-        marker = response.NextMarker;
-    } while (marker);
+/**
+ * List all Lambda functions in the region.
+ * Paginates through results to get all functions.
+ *
+ * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @returns {Array} List of functions with configuration details
+ */
+async function listFunctions(region, page = 1, limit = 5, credentials) {
+    const client = getLambdaClient(region, credentials);
+
+    // Fetch all functions (Lambda returns max 50 per request)
+    const allFunctions = await fetchAll(functionPages(client), 50);
 
     // Apply in-memory pagination
     const totalItems = allFunctions.length;
@@ -107,6 +113,38 @@ async function listFunctions(region, page = 1, limit = 5) {
     };
 }
 
+/**
+ * List Lambda functions one page at a time, in the order AWS returns them.
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ * totalItems is the account's function count in the region (GetAccountSettings).
+ *
+ * @param {string} region - AWS region
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Functions per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { functions, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listFunctionsPage(region, nextToken = null, limit = 5, credentials) {
+    const client = getLambdaClient(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'lambda:list', region },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 1, max: 50 }),
+        fetchPage: functionPages(client),
+        countTotal: async () => {
+            const settings = await client.send(new GetAccountSettingsCommand({}));
+            return settings.AccountUsage ? settings.AccountUsage.FunctionCount : null;
+        }
+    });
+
+    return {
+        functions: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get detailed configuration for a specific function.
  * Includes environment variables (names only, not values for security),
@@ -114,10 +152,11 @@ async function listFunctions(region, page = 1, limit = 5) {
  *
  * @param {string} functionName - Name or ARN of the function
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Detailed function configuration
  */
-async function getFunction(functionName, region) {
-    const client = getLambdaClient(region);
+async function getFunction(functionName, region, credentials) {
+    const client = getLambdaClient(region, credentials);
 
     const response = await client.send(new GetFunctionCommand({
         FunctionName: functionName
@@ -157,6 +196,29 @@ async function getFunction(functionName, region) {
     };
 }
 
+/*
+ * Dry run of invokeFunction. Lambda's own DryRun invocation type checks the
+ * caller may invoke the function without running it.
+ */
+async function previewInvoke(client, functionName, invocationType) {
+    let check = { permitted: true, permissionCheck: 'dry-run', denied: [] };
+    try {
+        await client.send(new InvokeCommand({ FunctionName: functionName, InvocationType: 'DryRun' }));
+    } catch (error) {
+        if (normalizeAWSError(error).code !== 'ACCESS_DENIED') throw error;
+        check = { permitted: false, permissionCheck: 'dry-run', denied: ['lambda:InvokeFunction'] };
+    }
+
+    return dryRunResult(check, {
+        target: functionName,
+        warnings: [
+            'The dry run does not run the code - whatever the function changes is not previewed',
+            ...(invocationType === 'Event' ? ['Event invocations run in the background - their result is not returned'] : [])
+        ],
+        summary: `Would run ${functionName} (${invocationType})`
+    });
+}
+
 /**
  * Invoke a Lambda function.
  * This actually RUNS the function code!
@@ -170,10 +232,16 @@ async function getFunction(functionName, region) {
  * @param {object} payload - Input data for the function
  * @param {string} region - AWS region
  * @param {string} invocationType - How to invoke (default: RequestResponse)
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would happen (utils/dry-run.js)
  * @returns {object} Invocation result with response and logs
  */
-async function invokeFunction(functionName, payload, region, invocationType = 'RequestResponse') {
-    const client = getLambdaClient(region);
+async function invokeFunction(functionName, payload, region, invocationType = 'RequestResponse', credentials, dryRun = false) {
+    const client = getLambdaClient(region, credentials);
+
+    if (dryRun) {
+        return previewInvoke(client, functionName, invocationType);
+    }
 
     const params = {
         FunctionName: functionName,
@@ -236,10 +304,11 @@ function extractBilledDuration(logs) {
  * Groups functions by runtime, memory size, and state.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Summary with counts and totals
  */
-async function getFunctionsSummary(region) {
-    const result = await listFunctions(region, 1, 10000);
+async function getFunctionsSummary(region, credentials) {
+    const result = await listFunctions(region, 1, 10000, credentials);
     const functions = result.functions || result; // Support both old and new format
 
     const summary = {
@@ -276,10 +345,11 @@ async function getFunctionsSummary(region) {
  *
  * @param {string} functionName - Function to get mappings for
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of event source mappings
  */
-async function listEventSourceMappings(functionName, region) {
-    const client = getLambdaClient(region);
+async function listEventSourceMappings(functionName, region, credentials) {
+    const client = getLambdaClient(region, credentials);
 
     const response = await client.send(new ListEventSourceMappingsCommand({
         FunctionName: functionName
@@ -301,10 +371,27 @@ async function listEventSourceMappings(functionName, region) {
  * @param {string} functionName - Function to update
  * @param {Buffer} zipFileBuffer - ZIP file containing function code
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Updated function configuration
  */
-async function updateFunctionCode(functionName, zipFileBuffer, region) {
-    const client = getLambdaClient(region);
+async function updateFunctionCode(functionName, zipFileBuffer, region, credentials, dryRun = false) {
+    const client = getLambdaClient(region, credentials);
+
+    if (dryRun) {
+        const response = await client.send(new GetFunctionCommand({
+            FunctionName: functionName
+        }));
+        const current = response.Configuration;
+        const check = await simulatePermissions([{ action: 'lambda:UpdateFunctionCode', resource: current.FunctionArn }], region, credentials);
+
+        return dryRunResult(check, {
+            target: functionName,
+            changes: [{ field: 'CodeSize', from: current.CodeSize, to: zipFileBuffer.length }],
+            warnings: ['The ZIP file is not checked - a broken package only shows when the function runs'],
+            summary: `Would replace the code of ${functionName} (${formatBytes(current.CodeSize)} now, ${formatBytes(zipFileBuffer.length)} new)`
+        });
+    }
 
     const response = await client.send(new UpdateFunctionCodeCommand({
         FunctionName: functionName,
@@ -321,16 +408,80 @@ async function updateFunctionCode(functionName, zipFileBuffer, region) {
     };
 }
 
+/*
+ * Field-by-field differences between a function's configuration and the
+ * updates for it. Environment variables are compared one by one (the update
+ * replaces them all), layers by ARN and other objects by their own fields.
+ */
+function diffConfiguration(current, updates) {
+    const changes = [];
+    const compare = (field, from, to) => {
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+        }
+    };
+
+    for (const [setting, value] of Object.entries(updates)) {
+        if (setting === 'Environment') {
+            const from = current.Environment?.Variables || {};
+            const to = value?.Variables || {};
+            for (const name of new Set([...Object.keys(from), ...Object.keys(to)])) {
+                compare(`Environment.${name}`, from[name], to[name]);
+            }
+        } else if (setting === 'Layers') {
+            compare('Layers', (current.Layers || []).map(layer => layer.Arn), value || []);
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [field, fieldValue] of Object.entries(value)) {
+                compare(`${setting}.${field}`, current[setting]?.[field], fieldValue);
+            }
+        } else {
+            compare(setting, current[setting], value);
+        }
+    }
+    return changes;
+}
+
+/*
+ * Dry run of updateFunctionConfiguration. A new execution role also needs
+ * iam:PassRole on it.
+ */
+async function previewConfigurationChange(client, functionName, updates, region, credentials) {
+    const response = await client.send(new GetFunctionCommand({
+        FunctionName: functionName
+    }));
+    const current = response.Configuration;
+
+    const changes = diffConfiguration(current, updates);
+    const checks = [{ action: 'lambda:UpdateFunctionConfiguration', resource: current.FunctionArn }];
+    if (updates.Role && updates.Role !== current.Role) {
+        checks.push({ action: 'iam:PassRole', resource: updates.Role });
+    }
+    const check = await simulatePermissions(checks, region, credentials);
+
+    return dryRunResult(check, {
+        target: functionName,
+        changes,
+        warnings: changes.length > 0 ? [] : ['The function already has this configuration'],
+        summary: `Would change ${changes.length} setting(s) of ${functionName}`
+    });
+}
+
 /**
  * Update Lambda function configuration (memory, timeout, env vars, etc.).
  *
  * @param {string} functionName - Function to update
  * @param {object} updates - Configuration updates
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Updated function configuration
  */
-async function updateFunctionConfiguration(functionName, updates, region) {
-    const client = getLambdaClient(region);
+async function updateFunctionConfiguration(functionName, updates, region, credentials, dryRun = false) {
+    const client = getLambdaClient(region, credentials);
+
+    if (dryRun) {
+        return previewConfigurationChange(client, functionName, updates, region, credentials);
+    }
 
     const params = {
         FunctionName: functionName,
@@ -358,13 +509,11 @@ async function updateFunctionConfiguration(functionName, updates, region) {
  * @param {string} functionName - Function to get logs for
  * @param {string} region - AWS region
  * @param {number} limit - Maximum number of log events (default: 100)
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} Log events with timestamps and messages
  */
-async function getFunctionLogs(functionName, region, limit = 100) {
-    const logsClient = new CloudWatchLogsClient({
-        region: region,
-        credentials: getLambdaClient(region).config.credentials
-    });
+async function getFunctionLogs(functionName, region, limit = 100, credentials) {
+    const logsClient = getLogsClient(region, credentials);
 
     const logGroupName = `/aws/lambda/${functionName}`;
     const startTime = Date.now() - (24 * 60 * 60 * 1000); // Last 24 hours
@@ -392,6 +541,7 @@ async function getFunctionLogs(functionName, region, limit = 100) {
 
 module.exports = {
     listFunctions,
+    listFunctionsPage,
     getFunction,
     invokeFunction,
     getFunctionsSummary,
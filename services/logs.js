@@ -40,6 +40,60 @@ const {
 
 const { getLogsClient } = require("../utils/aws-clients");
 const { formatBytes, truncate } = require("../utils/helpers");
+const { paginate, pageSizeFor, cursorPagination, fetchAll } = require("../utils/pagination");
+
+/*
+ * DescribeLogGroups one AWS page at a time (see utils/pagination.js)
+ */
+function logGroupPages(client, prefix = null) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new DescribeLogGroupsCommand({
+            ...(prefix && { logGroupNamePrefix: prefix }),
+            ...(nextToken && { nextToken }),
+            ...(pageSize && { limit: pageSize })
+        }));
+
+        return {
+            items: (response.logGroups || []).map(lg => ({
+                name: lg.logGroupName,
+                storedBytes: lg.storedBytes,
+                storedBytesFormatted: formatBytes(lg.storedBytes || 0),
+                creationTime: lg.creationTime ? new Date(lg.creationTime) : null,
+                retentionInDays: lg.retentionInDays || 'Never expire',
+                arn: lg.arn
+            })),
+            nextToken: response.nextToken || null
+        };
+    };
+}
+
+/*
+ * DescribeLogStreams one AWS page at a time, most recent (or last by name) first
+ */
+function logStreamPages(client, logGroupName, orderBy) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new DescribeLogStreamsCommand({
+            logGroupName: logGroupName,
+            orderBy: orderBy,
+            descending: true,  // Most recent first
+            ...(nextToken && { nextToken }),
+            ...(pageSize && { limit: pageSize })
+        }));
+
+        return {
+            items: (response.logStreams || []).map(ls => ({
+                name: ls.logStreamName,
+                creationTime: ls.creationTime ? new Date(ls.creationTime) : null,
+                firstEventTime: ls.firstEventTimestamp ? new Date(ls.firstEventTimestamp) : null,
+                lastEventTime: ls.lastEventTimestamp ? new Date(ls.lastEventTimestamp) : null,
+                lastIngestionTime: ls.lastIngestionTime ? new Date(ls.lastIngestionTime) : null,
+                storedBytes: ls.storedBytes,
+                storedBytesFormatted: formatBytes(ls.storedBytes || 0)
+            })),
+            nextToken: response.nextToken || null
+        };
+    };
+}
 
 /**
  * List all log groups in the region.
@@ -52,39 +106,14 @@ const { formatBytes, truncate } = require("../utils/helpers");
  *
  * @param {string} region - AWS region
  * @param {string} prefix - Optional: Filter by name prefix
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of log groups with storage info
  */
-async function listLogGroups(region, prefix = null, page = 1, limit = 5) {
-    const client = getLogsClient(region);
+async function listLogGroups(region, prefix = null, page = 1, limit = 5, credentials) {
+    const client = getLogsClient(region, credentials);
 
     // Fetch all log groups (handle AWS pagination internally)
-    const allLogGroups = [];
-    let nextToken = null;
-    
-    do {
-    const params = { limit: 50 };
-    if (prefix) {
-        params.logGroupNamePrefix = prefix;
-    }
-        if (nextToken) {
-            params.nextToken = nextToken;
-        }
-
-    const response = await client.send(new DescribeLogGroupsCommand(params));
-
-        for (const lg of response.logGroups || []) {
-            allLogGroups.push({
-        name: lg.logGroupName,
-        storedBytes: lg.storedBytes,
-        storedBytesFormatted: formatBytes(lg.storedBytes || 0),
-        creationTime: lg.creationTime ? new Date(lg.creationTime) : null,
-        retentionInDays: lg.retentionInDays || 'Never expire',
-        arn: lg.arn
-            });
-        }
-        
-        nextToken = response.nextToken;
-    } while (nextToken);
+    const allLogGroups = await fetchAll(logGroupPages(client, prefix), 50);
 
     // Apply in-memory pagination
     const totalItems = allLogGroups.length;
@@ -108,6 +137,34 @@ async function listLogGroups(region, prefix = null, page = 1, limit = 5) {
     };
 }
 
+/**
+ * List log groups one page at a time, in the order AWS returns them (by name).
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ *
+ * @param {string} region - AWS region
+ * @param {string} prefix - Optional: Filter by name prefix
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Log groups per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { logGroups, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listLogGroupsPage(region, prefix = null, nextToken = null, limit = 5, credentials) {
+    const client = getLogsClient(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'logs:listGroups', region, prefix: prefix || null },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 1, max: 50 }),
+        fetchPage: logGroupPages(client, prefix)
+    });
+
+    return {
+        logGroups: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * List log streams within a log group.
  * Each stream is a separate source - for Lambda, each container gets its own stream.
@@ -115,42 +172,14 @@ async function listLogGroups(region, prefix = null, page = 1, limit = 5) {
  * @param {string} logGroupName - Name of the log group
  * @param {string} region - AWS region
  * @param {string} orderBy - How to sort: 'LastEventTime' or 'LogStreamName'
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of log streams with timestamps
  */
-async function listLogStreams(logGroupName, region, orderBy = 'LastEventTime', page = 1, limit = 5) {
-    const client = getLogsClient(region);
+async function listLogStreams(logGroupName, region, orderBy = 'LastEventTime', page = 1, limit = 5, credentials) {
+    const client = getLogsClient(region, credentials);
 
     // Fetch all log streams (handle AWS pagination internally)
-    const allLogStreams = [];
-    let nextToken = null;
-    
-    do {
-        const params = {
-        logGroupName: logGroupName,
-        orderBy: orderBy,
-        descending: true,  // Most recent first
-        limit: 50
-        };
-        if (nextToken) {
-            params.nextToken = nextToken;
-        }
-
-        const response = await client.send(new DescribeLogStreamsCommand(params));
-
-        for (const ls of response.logStreams || []) {
-            allLogStreams.push({
-        name: ls.logStreamName,
-        creationTime: ls.creationTime ? new Date(ls.creationTime) : null,
-        firstEventTime: ls.firstEventTimestamp ? new Date(ls.firstEventTimestamp) : null,
-        lastEventTime: ls.lastEventTimestamp ? new Date(ls.lastEventTimestamp) : null,
-        lastIngestionTime: ls.lastIngestionTime ? new Date(ls.lastIngestionTime) : null,
-        storedBytes: ls.storedBytes,
-        storedBytesFormatted: formatBytes(ls.storedBytes || 0)
-            });
-        }
-        
-        nextToken = response.nextToken;
-    } while (nextToken);
+    const allLogStreams = await fetchAll(logStreamPages(client, logGroupName, orderBy), 50);
 
     // Apply in-memory pagination
     const totalItems = allLogStreams.length;
@@ -174,6 +203,35 @@ async function listLogStreams(logGroupName, region, orderBy = 'LastEventTime', p
     };
 }
 
+/**
+ * List log streams within a log group one page at a time.
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ *
+ * @param {string} logGroupName - Name of the log group
+ * @param {string} region - AWS region
+ * @param {string} orderBy - How to sort: 'LastEventTime' or 'LogStreamName'
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Log streams per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { logStreams, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listLogStreamsPage(logGroupName, region, orderBy = 'LastEventTime', nextToken = null, limit = 5, credentials) {
+    const client = getLogsClient(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'logs:listStreams', region, logGroupName, orderBy },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 1, max: 50 }),
+        fetchPage: logStreamPages(client, logGroupName, orderBy)
+    });
+
+    return {
+        logStreams: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get log events from a specific stream.
  * Returns the actual log messages with timestamps.
@@ -187,10 +245,11 @@ async function listLogStreams(logGroupName, region, orderBy = 'LastEventTime', p
  * @param {number} options.startTime - Filter events after this timestamp
  * @param {number} options.endTime - Filter events before this timestamp
  * @param {string} options.nextToken - Pagination token
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Log events with pagination tokens
  */
-async function getLogEvents(logGroupName, logStreamName, region, options = {}) {
-    const client = getLogsClient(region);
+async function getLogEvents(logGroupName, logStreamName, region, options = {}, credentials) {
+    const client = getLogsClient(region, credentials);
 
     const params = {
         logGroupName: logGroupName,
@@ -245,10 +304,11 @@ async function getLogEvents(logGroupName, logStreamName, region, options = {}) {
  * @param {number} options.limit - Max results (default: 100)
  * @param {Array} options.logStreamNames - Specific streams to search
  * @param {string} options.logStreamNamePrefix - Stream name prefix filter
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Matching log events
  */
-async function filterLogEvents(logGroupName, region, options = {}) {
-    const client = getLogsClient(region);
+async function filterLogEvents(logGroupName, region, options = {}, credentials) {
+    const client = getLogsClient(region, credentials);
 
     const now = Date.now();
     const defaultStartTime = now - (60 * 60 * 1000); // Default: last hour
@@ -301,9 +361,10 @@ async function filterLogEvents(logGroupName, region, options = {}) {
  * @param {string} region - AWS region
  * @param {number} minutes - How far back to look (default: 60)
  * @param {string} filterPattern - Optional search pattern
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Recent log events
  */
-async function getRecentLogs(logGroupName, region, minutes = 60, filterPattern = null) {
+async function getRecentLogs(logGroupName, region, minutes = 60, filterPattern = null, credentials) {
     const now = Date.now();
     let startTime = now - (minutes * 60 * 1000);
 
@@ -312,7 +373,7 @@ async function getRecentLogs(logGroupName, region, minutes = 60, filterPattern =
         endTime: now,
         filterPattern: filterPattern,
         limit: 100
-    });
+    }, credentials);
 
     // If no events found and we searched less than 24 hours, expand the search
     // This helps when logs are sparse
@@ -323,7 +384,7 @@ async function getRecentLogs(logGroupName, region, minutes = 60, filterPattern =
             endTime: now,
             filterPattern: filterPattern,
             limit: 100
-        });
+        }, credentials);
     }
 
     return result;
@@ -339,14 +400,16 @@ async function getRecentLogs(logGroupName, region, minutes = 60, filterPattern =
  * @param {string} logGroupName - Name of the log group
  * @param {string} region - AWS region
  * @param {number} minutes - How far back to search (default: 60)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Log events containing errors
  */
-async function searchErrors(logGroupName, region, minutes = 60) {
+async function searchErrors(logGroupName, region, minutes = 60, credentials) {
     return await getRecentLogs(
         logGroupName,
         region,
         minutes,
-        '?ERROR ?Error ?error ?EXCEPTION ?Exception ?exception ?FATAL ?Fatal ?fatal'
+        '?ERROR ?Error ?error ?EXCEPTION ?Exception ?exception ?FATAL ?Fatal ?fatal',
+        credentials
     );
 }
 
@@ -359,11 +422,12 @@ async function searchErrors(logGroupName, region, minutes = 60) {
  * @param {string} functionName - Name of the Lambda function
  * @param {string} region - AWS region
  * @param {number} minutes - How far back to look (default: 30)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Lambda function logs
  */
-async function getLambdaLogs(functionName, region, minutes = 30) {
+async function getLambdaLogs(functionName, region, minutes = 30, credentials) {
     const logGroupName = `/aws/lambda/${functionName}`;
-    return await getRecentLogs(logGroupName, region, minutes);
+    return await getRecentLogs(logGroupName, region, minutes, null, credentials);
 }
 
 /**
@@ -377,17 +441,18 @@ async function getLambdaLogs(functionName, region, minutes = 30) {
  * @param {string} instanceId - EC2 instance ID
  * @param {string} region - AWS region
  * @param {number} minutes - How far back to look (default: 30)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} EC2 instance logs
  */
-async function getEC2Logs(instanceId, region, minutes = 30) {
+async function getEC2Logs(instanceId, region, minutes = 30, credentials) {
     const logGroupName = `/ec2/${instanceId}`;
 
     try {
-        return await getRecentLogs(logGroupName, region, minutes);
+        return await getRecentLogs(logGroupName, region, minutes, null, credentials);
     } catch (error) {
         // Try alternative log group pattern
         try {
-            return await getRecentLogs(`/aws/ec2/${instanceId}`, region, minutes);
+            return await getRecentLogs(`/aws/ec2/${instanceId}`, region, minutes, null, credentials);
         } catch (e) {
             throw new Error(`No logs found for instance ${instanceId}. CloudWatch agent may not be installed.`);
         }
@@ -399,10 +464,12 @@ async function getEC2Logs(instanceId, region, minutes = 30) {
  * Shows total storage used and groups by prefix.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Summary with counts and storage info
  */
-async function getLogsSummary(region) {
-    const logGroups = await listLogGroups(region);
+async function getLogsSummary(region, credentials) {
+    const client = getLogsClient(region, credentials);
+    const logGroups = await fetchAll(logGroupPages(client), 50);
 
     let totalStoredBytes = 0;
     const byPrefix = {};
@@ -431,10 +498,11 @@ async function getLogsSummary(region) {
  * @param {string} logGroupName - Name for the new log group
  * @param {string} region - AWS region
  * @param {number} retentionInDays - Optional: Days to retain logs
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Confirmation of creation
  */
-async function createLogGroup(logGroupName, region, retentionInDays = null) {
-    const client = getLogsClient(region);
+async function createLogGroup(logGroupName, region, retentionInDays = null, credentials) {
+    const client = getLogsClient(region, credentials);
 
     await client.send(new CreateLogGroupCommand({
         logGroupName: logGroupName
@@ -461,10 +529,11 @@ async function createLogGroup(logGroupName, region, retentionInDays = null) {
  *
  * @param {string} logGroupName - Name of the log group to delete
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Confirmation of deletion
  */
-async function deleteLogGroup(logGroupName, region) {
-    const client = getLogsClient(region);
+async function deleteLogGroup(logGroupName, region, credentials) {
+    const client = getLogsClient(region, credentials);
 
     await client.send(new DeleteLogGroupCommand({
         logGroupName: logGroupName
@@ -479,7 +548,9 @@ async function deleteLogGroup(logGroupName, region) {
 
 module.exports = {
     listLogGroups,
+    listLogGroupsPage,
     listLogStreams,
+    listLogStreamsPage,
     getLogEvents,
     filterLogEvents,
     getRecentLogs,
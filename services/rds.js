@@ -19,6 +19,7 @@
  * - View Aurora clusters
  * - List database snapshots
  * - Get summary statistics
+ * - Dry runs of start, stop and reboot, checked with the IAM policy simulator
  *
  * Author: Nisha Kumari
  * Project: AWS Cloud Commander for Zoho Cliqtrix 2025
@@ -32,61 +33,138 @@ const {
     StopDBInstanceCommand,
     RebootDBInstanceCommand,
     DescribeDBClustersCommand,
-    DescribeDBSnapshotsCommand
+    DescribeDBSnapshotsCommand,
+    DescribeAccountAttributesCommand
 } = require("@aws-sdk/client-rds");
 
 const { getRDSClient } = require("../utils/aws-clients");
 const { formatBytes } = require("../utils/helpers");
+const { paginate, pageSizeFor, cursorPagination, fetchAll } = require("../utils/pagination");
+const { simulatePermissions, dryRunResult } = require("../utils/dry-run");
+
+// DescribeDBInstances, DescribeDBClusters and DescribeDBSnapshots accept 20-100 records per call
+const RDS_PAGE_SIZE = { min: 20, max: 100 };
+
+/*
+ * One AWS page at a time (see utils/pagination.js) for the RDS Describe*
+ * calls, which all page with Marker
+ */
+function rdsPages(client, Command, params, itemsKey, format) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new Command({
+            ...params,
+            ...(nextToken && { Marker: nextToken }),
+            ...(pageSize && { MaxRecords: pageSize })
+        }));
+
+        return {
+            items: (response[itemsKey] || []).map(format),
+            nextToken: response.Marker || null
+        };
+    };
+}
+
+/*
+ * How many of a resource the account has in the region, from its RDS quota
+ * usage ('DBInstances', 'DBClusters'), or null if RDS doesn't report it
+ */
+async function countFromQuota(client, quotaName) {
+    const response = await client.send(new DescribeAccountAttributesCommand({}));
+    const quota = (response.AccountQuotas || []).find(q => q.AccountQuotaName === quotaName);
+    return quota && typeof quota.Used === 'number' ? quota.Used : null;
+}
+
+function formatDBInstance(db) {
+    return {
+        id: db.DBInstanceIdentifier,
+        status: db.DBInstanceStatus,
+        statusEmoji: getDBStatusEmoji(db.DBInstanceStatus),
+        engine: db.Engine,
+        engineVersion: db.EngineVersion,
+        instanceClass: db.DBInstanceClass,
+        allocatedStorage: db.AllocatedStorage,
+        allocatedStorageFormatted: `${db.AllocatedStorage} GB`,
+        endpoint: db.Endpoint ? {
+            address: db.Endpoint.Address,
+            port: db.Endpoint.Port
+        } : null,
+        multiAZ: db.MultiAZ,
+        availabilityZone: db.AvailabilityZone,
+        vpcId: db.DBSubnetGroup?.VpcId,
+        publiclyAccessible: db.PubliclyAccessible,
+        storageType: db.StorageType,
+        storageEncrypted: db.StorageEncrypted,
+        createdAt: db.InstanceCreateTime,
+        backupRetention: db.BackupRetentionPeriod,
+        latestRestorableTime: db.LatestRestorableTime,
+        arn: db.DBInstanceArn,
+        tags: db.TagList || []
+    };
+}
+
+function formatDBCluster(cluster) {
+    return {
+        id: cluster.DBClusterIdentifier,
+        status: cluster.Status,
+        statusEmoji: getDBStatusEmoji(cluster.Status),
+        engine: cluster.Engine,
+        engineVersion: cluster.EngineVersion,
+        endpoint: cluster.Endpoint,
+        readerEndpoint: cluster.ReaderEndpoint,
+        port: cluster.Port,
+        multiAZ: cluster.MultiAZ,
+        members: (cluster.DBClusterMembers || []).map(m => ({
+            id: m.DBInstanceIdentifier,
+            isClusterWriter: m.IsClusterWriter
+        })),
+        allocatedStorage: cluster.AllocatedStorage,
+        storageEncrypted: cluster.StorageEncrypted,
+        createdAt: cluster.ClusterCreateTime,
+        arn: cluster.DBClusterArn,
+        tags: cluster.TagList || []
+    };
+}
+
+function formatDBSnapshot(snapshot) {
+    return {
+        id: snapshot.DBSnapshotIdentifier,
+        dbInstanceId: snapshot.DBInstanceIdentifier,
+        status: snapshot.Status,
+        snapshotType: snapshot.SnapshotType,
+        engine: snapshot.Engine,
+        engineVersion: snapshot.EngineVersion,
+        allocatedStorage: snapshot.AllocatedStorage,
+        createdAt: snapshot.SnapshotCreateTime,
+        percentProgress: snapshot.PercentProgress,
+        encrypted: snapshot.Encrypted
+    };
+}
+
+function instancePages(client) {
+    return rdsPages(client, DescribeDBInstancesCommand, {}, 'DBInstances', formatDBInstance);
+}
+
+function clusterPages(client) {
+    return rdsPages(client, DescribeDBClustersCommand, {}, 'DBClusters', formatDBCluster);
+}
+
+function snapshotPages(client, dbInstanceId) {
+    const params = dbInstanceId ? { DBInstanceIdentifier: dbInstanceId } : {};
+    return rdsPages(client, DescribeDBSnapshotsCommand, params, 'DBSnapshots', formatDBSnapshot);
+}
 
 /**
  * List all RDS database instances in the region.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of database instances with details
  */
-async function listDBInstances(region, page = 1, limit = 5) {
-    const client = getRDSClient(region);
+async function listDBInstances(region, page = 1, limit = 5, credentials) {
+    const client = getRDSClient(region, credentials);
 
     // Fetch all DB instances (handle AWS pagination internally)
-    const allInstances = [];
-    let marker = null;
-    
-    do {
-        const params = {};
-        if (marker) {
-            params.Marker = marker;
-        }
-        
-        const response = await client.send(new DescribeDBInstancesCommand(params));
-        
-        for (const db of response.DBInstances || []) {
-            allInstances.push({
-                id: db.DBInstanceIdentifier,
-                status: db.DBInstanceStatus,
-                statusEmoji: getDBStatusEmoji(db.DBInstanceStatus),
-                engine: db.Engine,
-                engineVersion: db.EngineVersion,
-                instanceClass: db.DBInstanceClass,
-                allocatedStorage: db.AllocatedStorage,
-                allocatedStorageFormatted: `${db.AllocatedStorage} GB`,
-                endpoint: db.Endpoint ? {
-                    address: db.Endpoint.Address,
-                    port: db.Endpoint.Port
-                } : null,
-                multiAZ: db.MultiAZ,
-                availabilityZone: db.AvailabilityZone,
-                vpcId: db.DBSubnetGroup?.VpcId,
-                publiclyAccessible: db.PubliclyAccessible,
-                storageType: db.StorageType,
-                storageEncrypted: db.StorageEncrypted,
-                createdAt: db.InstanceCreateTime,
-                backupRetention: db.BackupRetentionPeriod,
-                latestRestorableTime: db.LatestRestorableTime
-            });
-        }
-        
-        marker = response.Marker;
-    } while (marker);
+    const allInstances = await fetchAll(instancePages(client));
 
     // Apply in-memory pagination
     const totalItems = allInstances.length;
@@ -110,6 +188,35 @@ async function listDBInstances(region, page = 1, limit = 5) {
     };
 }
 
+/**
+ * List RDS database instances one page at a time, in the order AWS returns them.
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ * totalItems is the account's DB instance count (RDS quota usage).
+ *
+ * @param {string} region - AWS region
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Instances per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { instances, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listDBInstancesPage(region, nextToken = null, limit = 5, credentials) {
+    const client = getRDSClient(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'rds:list', region },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, RDS_PAGE_SIZE),
+        fetchPage: instancePages(client),
+        countTotal: () => countFromQuota(client, 'DBInstances')
+    });
+
+    return {
+        instances: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get status emoji for database state.
  * Makes it easy to visually identify database status in Cliq messages.
@@ -138,10 +245,11 @@ function getDBStatusEmoji(status) {
  *
  * @param {string} dbInstanceId - Database instance identifier
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Detailed database configuration
  */
-async function getDBInstance(dbInstanceId, region) {
-    const client = getRDSClient(region);
+async function getDBInstance(dbInstanceId, region, credentials) {
+    const client = getRDSClient(region, credentials);
 
     const response = await client.send(new DescribeDBInstancesCommand({
         DBInstanceIdentifier: dbInstanceId
@@ -193,20 +301,68 @@ async function getDBInstance(dbInstanceId, region) {
         })),
         optionGroup: db.OptionGroupMemberships?.[0]?.OptionGroupName,
         performanceInsightsEnabled: db.PerformanceInsightsEnabled,
-        deletionProtection: db.DeletionProtection
+        deletionProtection: db.DeletionProtection,
+        tags: db.TagList || []
     };
 }
 
+/*
+ * Dry run of a status change. RDS has no DryRun parameter: the instance is
+ * read for its status and ARN, and the IAM policy simulator checks the
+ * action against that ARN (see utils/dry-run.js). snapshotId also checks
+ * rds:CreateDBSnapshot for the snapshot stopDBInstance takes first.
+ */
+async function previewStatusChange(client, dbInstanceId, region, credentials, { iamAction, fromStatus, toStatus, verb, snapshotId = null, warnings = [] }) {
+    const response = await client.send(new DescribeDBInstancesCommand({
+        DBInstanceIdentifier: dbInstanceId
+    }));
+
+    const db = response.DBInstances?.[0];
+    if (!db) {
+        throw new Error(`DB instance ${dbInstanceId} not found`);
+    }
+
+    const checks = [{ action: iamAction, resource: db.DBInstanceArn }];
+    const changes = db.DBInstanceStatus === toStatus ? [] : [{ field: 'status', from: db.DBInstanceStatus, to: toStatus }];
+    if (snapshotId) {
+        checks.push({ action: 'rds:CreateDBSnapshot', resource: db.DBInstanceArn.replace(/:db:[^:]+$/, `:snapshot:${snapshotId}`) });
+        changes.push({ field: 'snapshots', from: null, to: snapshotId });
+    }
+    const check = await simulatePermissions(checks, region, credentials);
+
+    return dryRunResult(check, {
+        target: dbInstanceId,
+        changes,
+        warnings: [
+            ...(db.DBInstanceStatus === fromStatus ? [] : [`RDS can't ${verb} a DB instance that is ${db.DBInstanceStatus}`]),
+            ...warnings(db)
+        ],
+        summary: `DB instance ${dbInstanceId} would ${verb} (${db.DBInstanceStatus} now)`
+    });
+}
+
 /**
  * Start a stopped RDS database instance.
  * Note: Starting a database can take several minutes.
  *
  * @param {string} dbInstanceId - Database to start
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Start confirmation
  */
-async function startDBInstance(dbInstanceId, region) {
-    const client = getRDSClient(region);
+async function startDBInstance(dbInstanceId, region, credentials, dryRun = false) {
+    const client = getRDSClient(region, credentials);
+
+    if (dryRun) {
+        return previewStatusChange(client, dbInstanceId, region, credentials, {
+            iamAction: 'rds:StartDBInstance',
+            fromStatus: 'stopped',
+            toStatus: 'available',
+            verb: 'start',
+            warnings: () => []
+        });
+    }
 
     const response = await client.send(new StartDBInstanceCommand({
         DBInstanceIdentifier: dbInstanceId
@@ -227,10 +383,23 @@ async function startDBInstance(dbInstanceId, region) {
  * @param {string} dbInstanceId - Database to stop
  * @param {string} region - AWS region
  * @param {string} snapshotId - Optional snapshot identifier
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Stop confirmation
  */
-async function stopDBInstance(dbInstanceId, region, snapshotId = null) {
-    const client = getRDSClient(region);
+async function stopDBInstance(dbInstanceId, region, snapshotId = null, credentials, dryRun = false) {
+    const client = getRDSClient(region, credentials);
+
+    if (dryRun) {
+        return previewStatusChange(client, dbInstanceId, region, credentials, {
+            iamAction: 'rds:StopDBInstance',
+            fromStatus: 'available',
+            toStatus: 'stopped',
+            verb: 'stop',
+            snapshotId,
+            warnings: () => ['RDS starts a stopped DB instance again by itself after 7 days']
+        });
+    }
 
     const params = {
         DBInstanceIdentifier: dbInstanceId
@@ -259,10 +428,22 @@ async function stopDBInstance(dbInstanceId, region, snapshotId = null) {
  * @param {string} dbInstanceId - Database to reboot
  * @param {string} region - AWS region
  * @param {boolean} forceFailover - Force failover for Multi-AZ
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Reboot confirmation
  */
-async function rebootDBInstance(dbInstanceId, region, forceFailover = false) {
-    const client = getRDSClient(region);
+async function rebootDBInstance(dbInstanceId, region, forceFailover = false, credentials, dryRun = false) {
+    const client = getRDSClient(region, credentials);
+
+    if (dryRun) {
+        return previewStatusChange(client, dbInstanceId, region, credentials, {
+            iamAction: 'rds:RebootDBInstance',
+            fromStatus: 'available',
+            toStatus: 'available',
+            verb: 'reboot',
+            warnings: db => (forceFailover && !db.MultiAZ ? ['forceFailover needs a Multi-AZ DB instance'] : [])
+        });
+    }
 
     const response = await client.send(new RebootDBInstanceCommand({
         DBInstanceIdentifier: dbInstanceId,
@@ -282,46 +463,14 @@ async function rebootDBInstance(dbInstanceId, region, forceFailover = false) {
  * Aurora clusters contain multiple database instances.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of Aurora clusters
  */
-async function listDBClusters(region, page = 1, limit = 5) {
-    const client = getRDSClient(region);
+async function listDBClusters(region, page = 1, limit = 5, credentials) {
+    const client = getRDSClient(region, credentials);
 
     // Fetch all clusters (handle AWS pagination internally)
-    const allClusters = [];
-    let marker = null;
-    
-    do {
-        const params = {};
-        if (marker) {
-            params.Marker = marker;
-        }
-        
-        const response = await client.send(new DescribeDBClustersCommand(params));
-        
-        for (const cluster of response.DBClusters || []) {
-            allClusters.push({
-                id: cluster.DBClusterIdentifier,
-                status: cluster.Status,
-                statusEmoji: getDBStatusEmoji(cluster.Status),
-                engine: cluster.Engine,
-                engineVersion: cluster.EngineVersion,
-                endpoint: cluster.Endpoint,
-                readerEndpoint: cluster.ReaderEndpoint,
-                port: cluster.Port,
-                multiAZ: cluster.MultiAZ,
-                members: (cluster.DBClusterMembers || []).map(m => ({
-                    id: m.DBInstanceIdentifier,
-                    isClusterWriter: m.IsClusterWriter
-                })),
-                allocatedStorage: cluster.AllocatedStorage,
-                storageEncrypted: cluster.StorageEncrypted,
-                createdAt: cluster.ClusterCreateTime
-            });
-        }
-        
-        marker = response.Marker;
-    } while (marker);
+    const allClusters = await fetchAll(clusterPages(client));
 
     // Apply in-memory pagination
     const totalItems = allClusters.length;
@@ -345,49 +494,70 @@ async function listDBClusters(region, page = 1, limit = 5) {
     };
 }
 
+/**
+ * Get one Aurora database cluster.
+ *
+ * @param {string} dbClusterId - Cluster identifier
+ * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} Cluster details with its member instances
+ */
+async function getDBCluster(dbClusterId, region, credentials) {
+    const client = getRDSClient(region, credentials);
+
+    const response = await client.send(new DescribeDBClustersCommand({
+        DBClusterIdentifier: dbClusterId
+    }));
+
+    if (!response.DBClusters || response.DBClusters.length === 0) {
+        throw new Error(`DB cluster ${dbClusterId} not found`);
+    }
+
+    return formatDBCluster(response.DBClusters[0]);
+}
+
+/**
+ * List Aurora clusters one page at a time, in the order AWS returns them.
+ * totalItems is the account's cluster count (RDS quota usage).
+ *
+ * @param {string} region - AWS region
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Clusters per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { clusters, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listDBClustersPage(region, nextToken = null, limit = 5, credentials) {
+    const client = getRDSClient(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'rds:clusters', region },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, RDS_PAGE_SIZE),
+        fetchPage: clusterPages(client),
+        countTotal: () => countFromQuota(client, 'DBClusters')
+    });
+
+    return {
+        clusters: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * List database snapshots.
  * Snapshots are point-in-time backups of databases.
  *
  * @param {string} region - AWS region
  * @param {string} dbInstanceId - Optional filter by database
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of snapshots
  */
-async function listDBSnapshots(region, dbInstanceId = null, page = 1, limit = 5) {
-    const client = getRDSClient(region);
+async function listDBSnapshots(region, dbInstanceId = null, page = 1, limit = 5, credentials) {
+    const client = getRDSClient(region, credentials);
 
     // Fetch all snapshots (handle AWS pagination internally)
-    const allSnapshots = [];
-    let marker = null;
-    
-    do {
-        const params = { MaxRecords: 50 };
-        if (dbInstanceId) {
-            params.DBInstanceIdentifier = dbInstanceId;
-        }
-        if (marker) {
-            params.Marker = marker;
-        }
-
-        const response = await client.send(new DescribeDBSnapshotsCommand(params));
-        
-        for (const snapshot of response.DBSnapshots || []) {
-            allSnapshots.push({
-                id: snapshot.DBSnapshotIdentifier,
-                dbInstanceId: snapshot.DBInstanceIdentifier,
-                status: snapshot.Status,
-                snapshotType: snapshot.SnapshotType,
-                engine: snapshot.Engine,
-                engineVersion: snapshot.EngineVersion,
-                allocatedStorage: snapshot.AllocatedStorage,
-                createdAt: snapshot.SnapshotCreateTime,
-                percentProgress: snapshot.PercentProgress,
-                encrypted: snapshot.Encrypted
-            });
-        }
-        
-        marker = response.Marker;
-    } while (marker);
+    const allSnapshots = await fetchAll(snapshotPages(client, dbInstanceId), 50);
 
     // Apply in-memory pagination
     const totalItems = allSnapshots.length;
@@ -411,14 +581,43 @@ async function listDBSnapshots(region, dbInstanceId = null, page = 1, limit = 5)
     };
 }
 
+/**
+ * List database snapshots one page at a time, in the order AWS returns them.
+ *
+ * @param {string} region - AWS region
+ * @param {string} dbInstanceId - Optional filter by database
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Snapshots per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { snapshots, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listDBSnapshotsPage(region, dbInstanceId = null, nextToken = null, limit = 5, credentials) {
+    const client = getRDSClient(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 'rds:snapshots', region, dbInstanceId: dbInstanceId || null },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, RDS_PAGE_SIZE),
+        fetchPage: snapshotPages(client, dbInstanceId)
+    });
+
+    return {
+        snapshots: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get summary statistics for all RDS instances.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Summary with counts grouped by status, engine, class
  */
-async function getRDSSummary(region) {
-    const instances = await listDBInstances(region);
+async function getRDSSummary(region, credentials) {
+    const client = getRDSClient(region, credentials);
+    const instances = await fetchAll(instancePages(client));
 
     const summary = {
         total: instances.length,
@@ -449,11 +648,15 @@ async function getRDSSummary(region) {
 
 module.exports = {
     listDBInstances,
+    listDBInstancesPage,
     getDBInstance,
     startDBInstance,
     stopDBInstance,
     rebootDBInstance,
     listDBClusters,
+    listDBClustersPage,
+    getDBCluster,
     listDBSnapshots,
+    listDBSnapshotsPage,
     getRDSSummary
 };
@@ -15,6 +15,7 @@
  * - Generate presigned URLs for secure downloads/uploads
  * - Create and delete buckets
  * - Search objects within buckets
+ * - Dry runs of deletes, checked with the IAM policy simulator
  *
  * Author: Nisha Kumari
  * Project: AWS Cloud Commander for Zoho Cliqtrix 2025
@@ -37,7 +38,13 @@ const {
 
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const { getS3Client } = require("../utils/aws-clients");
+const { isBudgetExceeded, markDegraded } = require("../utils/aws-calls");
 const { formatBytes } = require("../utils/helpers");
+const { paginate, pageSizeFor, cursorPagination, fetchAll } = require("../utils/pagination");
+const { simulatePermissions, dryRunResult } = require("../utils/dry-run");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger('s3');
 
 /*
  * Maximum file size for uploads: 50MB
@@ -46,39 +53,61 @@ const { formatBytes } = require("../utils/helpers");
  */
 const MAX_FILE_SIZE = 50 * 1024 * 1024;
 
+// How long a dry run of uploadFromUrl waits for the source to answer
+const SOURCE_CHECK_TIMEOUT_MS = 10000;
+
+/*
+ * ListBuckets one AWS page at a time (see utils/pagination.js).
+ * Paged responses carry each bucket's region; buckets without one are looked
+ * up in parallel with GetBucketLocation.
+ */
+function bucketPages(client) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new ListBucketsCommand({
+            ...(nextToken && { ContinuationToken: nextToken }),
+            ...(pageSize && { MaxBuckets: pageSize })
+        }));
+
+        const items = await Promise.all(
+            (response.Buckets || []).map(async (bucket) => {
+                let bucketRegion = bucket.BucketRegion || 'us-east-1';
+                if (!bucket.BucketRegion) {
+                    try {
+                        const locationResponse = await client.send(new GetBucketLocationCommand({
+                            Bucket: bucket.Name
+                        }));
+                        // Empty LocationConstraint means us-east-1 (AWS quirk)
+                        bucketRegion = locationResponse.LocationConstraint || 'us-east-1';
+                    } catch (error) {
+                        // If we can't get location, default to us-east-1
+                        log.warn('Could not get bucket location', { bucket: bucket.Name, error });
+                    }
+                }
+                return {
+                    name: bucket.Name,
+                    creationDate: bucket.CreationDate,
+                    region: bucketRegion
+                };
+            })
+        );
+
+        return { items, nextToken: response.ContinuationToken || null };
+    };
+}
+
 /**
  * List all S3 buckets owned by the AWS account.
  * Also fetches the region for each bucket (buckets are region-specific).
  *
  * @param {string} region - AWS region for the S3 client
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of buckets with name, creation date, and region
  */
-async function listBuckets(region, page = 1, limit = 5) {
-    const client = getS3Client(region);
-
-    const response = await client.send(new ListBucketsCommand({}));
-
-    // Fetch region for each bucket in parallel for better performance
-    const allBuckets = await Promise.all(
-        (response.Buckets || []).map(async (bucket) => {
-            let bucketRegion = 'us-east-1';
-            try {
-                const locationResponse = await client.send(new GetBucketLocationCommand({
-                    Bucket: bucket.Name
-                }));
-                // Empty LocationConstraint means us-east-1 (AWS quirk)
-                bucketRegion = locationResponse.LocationConstraint || 'us-east-1';
-            } catch (error) {
-                // If we can't get location, default to us-east-1
-                console.log(`Could not get location for bucket ${bucket.Name}: ${error.message}`);
-            }
-            return {
-                name: bucket.Name,
-                creationDate: bucket.CreationDate,
-                region: bucketRegion
-            };
-        })
-    );
+async function listBuckets(region, page = 1, limit = 5, credentials) {
+    const client = getS3Client(region, credentials);
+
+    // Fetch all buckets (handle AWS pagination internally)
+    const allBuckets = await fetchAll(bucketPages(client), 1000);
 
     // Apply in-memory pagination
     const totalItems = allBuckets.length;
@@ -102,6 +131,33 @@ async function listBuckets(region, page = 1, limit = 5) {
     };
 }
 
+/**
+ * List S3 buckets one page at a time, in the order AWS returns them (by name).
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ *
+ * @param {string} region - AWS region for the S3 client
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Buckets per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} { buckets, pagination: { itemsPerPage, nextToken, hasNext, totalItems } }
+ */
+async function listBucketsPage(region, nextToken = null, limit = 5, credentials) {
+    const client = getS3Client(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 's3:listBuckets', region },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 1, max: 10000 }),
+        fetchPage: bucketPages(client)
+    });
+
+    return {
+        buckets: page.items,
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get detailed information about a specific bucket.
  * Counts objects and calculates total size (limited to first 10000 objects for performance).
@@ -110,10 +166,8 @@ async function listBuckets(region, page = 1, limit = 5) {
  * @param {string} region - AWS region
  * @returns {object} Bucket info with object count and total size
  */
-async function getBucketInfo(bucketName, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function getBucketInfo(bucketName, region, credentials) {
+    const client = getS3Client(region, credentials);
 
     // First, verify bucket exists and get its region
     let location = null;
@@ -169,21 +223,23 @@ async function getBucketInfo(bucketName, region, credentials = null) {
 /**
  * Get detailed bucket statistics including file type breakdown and largest files.
  *
+ * If the request's time budget runs out between pages, the statistics cover
+ * the pages read so far and are marked degraded (and approximateCount).
+ *
  * @param {string} bucketName - Name of the bucket
  * @param {string} region - AWS region
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Detailed statistics
  */
-async function getDetailedBucketStats(bucketName, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function getDetailedBucketStats(bucketName, region, credentials) {
+    const client = getS3Client(region, credentials);
 
     let totalSize = 0;
     let totalObjects = 0;
     let continuationToken = null;
     const filesByType = {};
     const largestFiles = [];
+    let degraded = false;
 
     // Paginate through objects
     do {
@@ -196,7 +252,16 @@ async function getDetailedBucketStats(bucketName, region, credentials = null) {
             params.ContinuationToken = continuationToken;
         }
 
-        const response = await client.send(new ListObjectsV2Command(params));
+        let response;
+        try {
+            response = await client.send(new ListObjectsV2Command(params));
+        } catch (error) {
+            // Out of time after the first page - report what we have
+            if (!isBudgetExceeded(error) || totalObjects === 0) throw error;
+            degraded = true;
+            markDegraded('s3:summary');
+            break;
+        }
 
         for (const obj of response.Contents || []) {
             const size = obj.Size || 0;
@@ -252,9 +317,59 @@ async function getDetailedBucketStats(bucketName, region, credentials = null) {
         totalObjects: totalObjects,
         totalSize: totalSize,
         totalSizeFormatted: formatBytes(totalSize),
-        approximateCount: totalObjects >= 10000,
+        approximateCount: totalObjects >= 10000 || degraded,
         fileTypes: typeBreakdown,
-        largestFiles: top10Files
+        largestFiles: top10Files,
+        ...(degraded && { degraded: true })
+    };
+}
+
+/*
+ * Folders (CommonPrefixes in S3 terminology) of a ListObjectsV2 response
+ */
+function formatFolders(response, prefix) {
+    return (response.CommonPrefixes || []).map(cp => ({
+        key: cp.Prefix,
+        name: cp.Prefix.replace(prefix, '').replace('/', ''),
+        type: 'folder'
+    }));
+}
+
+/*
+ * Files (actual objects) of a ListObjectsV2 response
+ */
+function formatFiles(response, prefix) {
+    return (response.Contents || [])
+        .filter(obj => obj.Key !== prefix)  // Exclude the prefix itself
+        .map(obj => ({
+            key: obj.Key,
+            name: obj.Key.split('/').pop(),
+            size: obj.Size,
+            sizeFormatted: formatBytes(obj.Size),
+            lastModified: obj.LastModified,
+            type: 'file',
+            extension: obj.Key.split('.').pop()?.toLowerCase()
+        }));
+}
+
+/*
+ * ListObjectsV2 one AWS page at a time (see utils/pagination.js).
+ * Within each AWS page folders come first, then files.
+ */
+function objectPages(client, bucketName, prefix) {
+    return async (nextToken, pageSize) => {
+        const response = await client.send(new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix,
+            Delimiter: '/',
+            ...(nextToken && { ContinuationToken: nextToken }),
+            ...(pageSize && { MaxKeys: pageSize })
+        }));
+
+        return {
+            items: [...formatFolders(response, prefix), ...formatFiles(response, prefix)],
+            nextToken: response.NextContinuationToken || null
+        };
     };
 }
 
@@ -267,16 +382,14 @@ async function getDetailedBucketStats(bucketName, region, credentials = null) {
  * @param {string} prefix - Path prefix (folder path)
  * @param {string} region - AWS region
  * @param {number} maxKeys - Maximum number of results to fetch from S3 (default: 100)
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
  * @param {string} continuationToken - S3 continuation token for fetching more results
  * @param {number} page - Page number (1-based, default: 1)
  * @param {number} limit - Items per page (default: 5)
  * @returns {object} Lists of folders and files at this path with pagination metadata
  */
-async function listObjects(bucketName, prefix = '', region, maxKeys = 100, credentials = null, continuationToken = null, page = 1, limit = 5) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function listObjects(bucketName, prefix = '', region, maxKeys = 100, credentials, continuationToken = null, page = 1, limit = 5) {
+    const client = getS3Client(region, credentials);
 
     // Fetch a reasonable batch from S3 (up to maxKeys items)
     // We'll paginate these client-side
@@ -293,25 +406,8 @@ async function listObjects(bucketName, prefix = '', region, maxKeys = 100, crede
 
     const response = await client.send(new ListObjectsV2Command(params));
 
-    // Format folders (CommonPrefixes in S3 terminology)
-    const allFolders = (response.CommonPrefixes || []).map(cp => ({
-        key: cp.Prefix,
-        name: cp.Prefix.replace(prefix, '').replace('/', ''),
-        type: 'folder'
-    }));
-
-    // Format files (actual objects)
-    const allFiles = (response.Contents || [])
-        .filter(obj => obj.Key !== prefix)  // Exclude the prefix itself
-        .map(obj => ({
-            key: obj.Key,
-            name: obj.Key.split('/').pop(),
-            size: obj.Size,
-            sizeFormatted: formatBytes(obj.Size),
-            lastModified: obj.LastModified,
-            type: 'file',
-            extension: obj.Key.split('.').pop()?.toLowerCase()
-        }));
+    const allFolders = formatFolders(response, prefix);
+    const allFiles = formatFiles(response, prefix);
 
     // Combine folders and files for pagination
     // Folders come first, then files
@@ -349,6 +445,38 @@ async function listObjects(bucketName, prefix = '', region, maxKeys = 100, crede
     };
 }
 
+/**
+ * List objects (files and folders) in a bucket one page at a time.
+ * nextToken is the opaque cursor from the previous page (utils/pagination.js).
+ *
+ * @param {string} bucketName - Name of the bucket
+ * @param {string} prefix - Path prefix (folder path)
+ * @param {string} region - AWS region
+ * @param {string} nextToken - Cursor from the previous page (optional)
+ * @param {number} limit - Items per page
+ * @param {object} credentials - User AWS credentials
+ * @returns {object} Folders and files of this page with { itemsPerPage, nextToken, hasNext, totalItems }
+ */
+async function listObjectsPage(bucketName, prefix = '', region, nextToken = null, limit = 5, credentials) {
+    const client = getS3Client(region, credentials);
+
+    const page = await paginate({
+        scope: { action: 's3:listObjects', region, bucketName, prefix },
+        nextToken,
+        limit,
+        pageSize: pageSizeFor(limit, { min: 1, max: 1000 }),
+        fetchPage: objectPages(client, bucketName, prefix)
+    });
+
+    return {
+        bucket: bucketName,
+        prefix: prefix,
+        folders: page.items.filter(item => item.type === 'folder'),
+        files: page.items.filter(item => item.type === 'file'),
+        pagination: cursorPagination(page, limit)
+    };
+}
+
 /**
  * Get metadata for a specific object (file).
  * Uses HEAD request to get info without downloading the file.
@@ -356,13 +484,11 @@ async function listObjects(bucketName, prefix = '', region, maxKeys = 100, crede
  * @param {string} bucketName - Name of the bucket
  * @param {string} key - Object key (file path)
  * @param {string} region - AWS region
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Object metadata (size, type, last modified, etc.)
  */
-async function getObjectInfo(bucketName, key, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function getObjectInfo(bucketName, key, region, credentials) {
+    const client = getS3Client(region, credentials);
 
     const response = await client.send(new HeadObjectCommand({
         Bucket: bucketName,
@@ -391,13 +517,11 @@ async function getObjectInfo(bucketName, key, region, credentials = null) {
  * @param {string} key - Object key (file path)
  * @param {string} region - AWS region
  * @param {number} expiresIn - URL expiration time in seconds (default: 1 hour)
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
  * @returns {string} Presigned URL for downloading the object
  */
-async function getPresignedUrl(bucketName, key, region, expiresIn = 3600, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function getPresignedUrl(bucketName, key, region, expiresIn = 3600, credentials) {
+    const client = getS3Client(region, credentials);
 
     const command = new GetObjectCommand({
         Bucket: bucketName,
@@ -421,13 +545,35 @@ async function getPresignedUrl(bucketName, key, region, expiresIn = 3600, creden
  * @param {string} bucketName - Name of the bucket
  * @param {string} key - Object key to delete
  * @param {string} region - AWS region
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Confirmation of deletion
  */
-async function deleteObject(bucketName, key, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function deleteObject(bucketName, key, region, credentials, dryRun = false) {
+    const client = getS3Client(region, credentials);
+
+    if (dryRun) {
+        const [check, object] = await Promise.all([
+            simulatePermissions([{ action: 's3:DeleteObject', resource: `arn:aws:s3:::${bucketName}/${key}` }], region, credentials),
+            client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key })).catch(error => {
+                if (error.name === 'NotFound' || error.name === 'NoSuchKey') return null;
+                throw error;
+            })
+        ]);
+
+        if (!object) {
+            return dryRunResult(check, {
+                target: `s3://${bucketName}/${key}`,
+                warnings: [`${key} does not exist - S3 would answer success without deleting anything`],
+                summary: `Nothing to delete at ${key}`
+            });
+        }
+        return dryRunResult(check, {
+            target: `s3://${bucketName}/${key}`,
+            changes: [{ field: 'object', from: `${key} (${formatBytes(object.ContentLength || 0)})`, to: null }],
+            summary: `Would delete ${key} from ${bucketName}`
+        });
+    }
 
     await client.send(new DeleteObjectCommand({
         Bucket: bucketName,
@@ -446,11 +592,12 @@ async function deleteObject(bucketName, key, region, credentials = null) {
  * Get a summary of all buckets (count, oldest, newest).
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Summary statistics
  */
-async function getBucketsSummary(region) {
+async function getBucketsSummary(region, credentials) {
     // Fetch all buckets for summary (use large limit)
-    const result = await listBuckets(region, 1, 10000);
+    const result = await listBuckets(region, 1, 10000, credentials);
     const buckets = result.buckets || result; // Support both old and new format
     const totalItems = result.pagination?.totalItems || buckets.length;
 
@@ -458,7 +605,7 @@ async function getBucketsSummary(region) {
     let allBuckets = [...buckets];
     if (result.pagination && result.pagination.totalPages > 1) {
         for (let page = 2; page <= result.pagination.totalPages; page++) {
-            const pageResult = await listBuckets(region, page, 10000);
+            const pageResult = await listBuckets(region, page, 10000, credentials);
             allBuckets = allBuckets.concat(pageResult.buckets || []);
         }
     }
@@ -481,13 +628,11 @@ async function getBucketsSummary(region) {
  * @param {string} searchTerm - Text to search for in object names
  * @param {string} region - AWS region
  * @param {number} maxResults - Maximum results to return
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Matching objects
  */
-async function searchObjects(bucketName, searchTerm, region, maxResults = 50, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function searchObjects(bucketName, searchTerm, region, maxResults = 50, credentials) {
+    const client = getS3Client(region, credentials);
 
     // List objects (up to 1000) and filter client-side
     const response = await client.send(new ListObjectsV2Command({
@@ -523,13 +668,11 @@ async function searchObjects(bucketName, searchTerm, region, maxResults = 50, cr
  * @param {Buffer} body - File content
  * @param {string} contentType - MIME type
  * @param {string} region - AWS region
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Upload confirmation
  */
-async function uploadObject(bucketName, key, body, contentType, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function uploadObject(bucketName, key, body, contentType, region, credentials) {
+    const client = getS3Client(region, credentials);
 
     await client.send(new PutObjectCommand({
         Bucket: bucketName,
@@ -554,17 +697,32 @@ async function uploadObject(bucketName, key, body, contentType, region, credenti
  * @param {string} folderName - Folder name (will add trailing slash if missing)
  * @param {string} prefix - Parent folder prefix
  * @param {string} region - AWS region
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Folder creation confirmation
  */
-async function createFolder(bucketName, folderName, prefix, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function createFolder(bucketName, folderName, prefix, region, credentials, dryRun = false) {
+    const client = getS3Client(region, credentials);
 
     // Ensure folder name ends with /
     const folderKey = prefix + folderName + (folderName.endsWith('/') ? '' : '/');
 
+    if (dryRun) {
+        const [check, existing] = await Promise.all([
+            simulatePermissions([{ action: 's3:PutObject', resource: `arn:aws:s3:::${bucketName}/${folderKey}` }], region, credentials),
+            client.send(new HeadObjectCommand({ Bucket: bucketName, Key: folderKey })).catch(error => {
+                if (error.name === 'NotFound' || error.name === 'NoSuchKey') return null;
+                throw error;
+            })
+        ]);
+        return dryRunResult(check, {
+            target: `s3://${bucketName}/${folderKey}`,
+            changes: existing ? [] : [{ field: 'folder', from: null, to: folderKey }],
+            warnings: existing ? [`Folder ${folderKey} already exists`] : [],
+            summary: `Would create folder ${folderKey} in ${bucketName}`
+        });
+    }
+
     await client.send(new PutObjectCommand({
         Bucket: bucketName,
         Key: folderKey,
@@ -580,6 +738,35 @@ async function createFolder(bucketName, folderName, prefix, region, credentials
     };
 }
 
+/*
+ * Dry run of deleteFolder - counts the objects it would delete
+ */
+async function previewDeleteFolder(client, bucketName, folderKey, region, credentials) {
+    const check = await simulatePermissions([{ action: 's3:DeleteObject', resource: `arn:aws:s3:::${bucketName}/${folderKey}*` }], region, credentials);
+
+    const keys = [];
+    let continuationToken = null;
+    do {
+        const listResponse = await client.send(new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: folderKey,
+            MaxKeys: 1000,
+            ...(continuationToken && { ContinuationToken: continuationToken })
+        }));
+        keys.push(...(listResponse.Contents || []).map(obj => obj.Key));
+        continuationToken = listResponse.IsTruncated ? listResponse.NextContinuationToken : null;
+    } while (continuationToken);
+
+    return dryRunResult(check, {
+        target: `s3://${bucketName}/${folderKey}`,
+        changes: keys.length > 0 ? [{ field: 'objects', from: keys.length, to: 0 }] : [],
+        warnings: keys.length > 0 ? [] : [`Nothing is stored under ${folderKey}`],
+        summary: `Would delete ${keys.length} object(s) under ${folderKey}`,
+        objectCount: keys.length,
+        sampleKeys: keys.slice(0, 20)
+    });
+}
+
 /**
  * Delete a folder and all its contents (recursive delete).
  * Lists all objects with the folder prefix and deletes them.
@@ -587,13 +774,16 @@ async function createFolder(bucketName, folderName, prefix, region, credentials
  * @param {string} bucketName - Name of the bucket
  * @param {string} folderKey - Folder key (should end with /)
  * @param {string} region - AWS region
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Deletion summary
  */
-async function deleteFolder(bucketName, folderKey, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function deleteFolder(bucketName, folderKey, region, credentials, dryRun = false) {
+    const client = getS3Client(region, credentials);
+
+    if (dryRun) {
+        return previewDeleteFolder(client, bucketName, folderKey, region, credentials);
+    }
 
     // List all objects in the folder
     let deletedCount = 0;
@@ -647,10 +837,11 @@ async function deleteFolder(bucketName, folderKey, region, credentials = null) {
  * @param {string} contentType - Expected MIME type
  * @param {string} region - AWS region
  * @param {number} expiresIn - URL expiration in seconds
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Presigned upload URL
  */
-async function getUploadPresignedUrl(bucketName, key, contentType, region, expiresIn = 3600) {
-    const client = getS3Client(region);
+async function getUploadPresignedUrl(bucketName, key, contentType, region, expiresIn = 3600, credentials) {
+    const client = getS3Client(region, credentials);
 
     const command = new PutObjectCommand({
         Bucket: bucketName,
@@ -670,6 +861,45 @@ async function getUploadPresignedUrl(bucketName, key, contentType, region, expir
     };
 }
 
+/*
+ * Dry run of uploadFromUrl - asks the source for the file's size with a
+ * HEAD request (nothing is downloaded) and checks whether an object would
+ * be replaced
+ */
+async function previewUploadFromUrl(client, bucketName, key, sourceUrl, region, credentials) {
+    const [check, existing, source] = await Promise.all([
+        simulatePermissions([{ action: 's3:PutObject', resource: `arn:aws:s3:::${bucketName}/${key}` }], region, credentials),
+        client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key })).catch(error => {
+            if (error.name === 'NotFound' || error.name === 'NoSuchKey') return null;
+            throw error;
+        }),
+        fetch(sourceUrl, { method: 'HEAD', signal: AbortSignal.timeout(SOURCE_CHECK_TIMEOUT_MS) }).catch(error => ({ error }))
+    ]);
+
+    const warnings = [];
+    let size = null;
+    if (source.error) {
+        warnings.push(`${sourceUrl} could not be reached (${source.error.message}) - the download would fail`);
+    } else if (!source.ok) {
+        warnings.push(`${sourceUrl} answered ${source.status} ${source.statusText} - the download may fail`);
+    } else if (source.headers.get('content-length')) {
+        size = parseInt(source.headers.get('content-length'), 10);
+        if (size > MAX_FILE_SIZE) warnings.push('The file is over the 50MB limit');
+    }
+
+    const current = existing ? `${key} (${formatBytes(existing.ContentLength || 0)})` : null;
+    if (existing) warnings.push(`${current} already exists and would be replaced`);
+
+    const sizeText = size === null ? 'size unknown' : formatBytes(size);
+    return dryRunResult(check, {
+        target: `s3://${bucketName}/${key}`,
+        changes: [{ field: 'object', from: current, to: `${key} (${sizeText})` }],
+        warnings,
+        summary: `Would copy ${sourceUrl} (${sizeText}) to ${key} in ${bucketName}`,
+        size
+    });
+}
+
 /**
  * Upload a file to S3 from a URL.
  * Downloads the file from source URL and uploads to S3.
@@ -680,10 +910,16 @@ async function getUploadPresignedUrl(bucketName, key, contentType, region, expir
  * @param {string} sourceUrl - URL to download file from
  * @param {string} contentType - MIME type (optional, will detect from response)
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Upload confirmation with file size
  */
-async function uploadFromUrl(bucketName, key, sourceUrl, contentType, region) {
-    const client = getS3Client(region);
+async function uploadFromUrl(bucketName, key, sourceUrl, contentType, region, credentials, dryRun = false) {
+    const client = getS3Client(region, credentials);
+
+    if (dryRun) {
+        return previewUploadFromUrl(client, bucketName, key, sourceUrl, region, credentials);
+    }
 
     // Download the file from the source URL
     const response = await fetch(sourceUrl);
@@ -725,6 +961,34 @@ async function uploadFromUrl(bucketName, key, sourceUrl, contentType, region) {
     };
 }
 
+/*
+ * Dry run of createBucket - HeadBucket tells whether the name is free (404),
+ * already yours (200) or another account's (403)
+ */
+async function previewCreateBucket(client, bucketName, region, credentials) {
+    const [check, owner] = await Promise.all([
+        simulatePermissions([{ action: 's3:CreateBucket', resource: `arn:aws:s3:::${bucketName}` }], region, credentials),
+        client.send(new HeadBucketCommand({ Bucket: bucketName })).then(() => 'you', error => {
+            if (error.name === 'NotFound' || error.name === 'NoSuchBucket') return null;
+            if (error.$metadata && error.$metadata.httpStatusCode === 403) return 'another account';
+            throw error;
+        })
+    ]);
+
+    if (owner) {
+        return dryRunResult(check, {
+            target: bucketName,
+            warnings: [owner === 'you' ? `You already own bucket "${bucketName}"` : `Bucket name "${bucketName}" is taken by another AWS account`],
+            summary: `Bucket "${bucketName}" would not be created`
+        });
+    }
+    return dryRunResult(check, {
+        target: bucketName,
+        changes: [{ field: 'bucket', from: null, to: bucketName }],
+        summary: `Would create bucket "${bucketName}" in ${region || 'us-east-1'}`
+    });
+}
+
 /**
  * Create a new S3 bucket.
  * Bucket names must be globally unique across all AWS accounts.
@@ -737,9 +1001,11 @@ async function uploadFromUrl(bucketName, key, sourceUrl, contentType, region) {
  *
  * @param {string} bucketName - Name for the new bucket
  * @param {string} region - AWS region to create bucket in
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Creation confirmation
  */
-async function createBucket(bucketName, region) {
+async function createBucket(bucketName, region, credentials, dryRun = false) {
     // Validate bucket name format
     const bucketNameRegex = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
     if (!bucketNameRegex.test(bucketName)) {
@@ -757,7 +1023,11 @@ async function createBucket(bucketName, region) {
         throw new Error('Invalid bucket name. Cannot be formatted as an IP address.');
     }
 
-    const client = getS3Client(region);
+    const client = getS3Client(region, credentials);
+
+    if (dryRun) {
+        return previewCreateBucket(client, bucketName, region, credentials);
+    }
 
     const params = {
         Bucket: bucketName
@@ -787,13 +1057,12 @@ async function createBucket(bucketName, region) {
  *
  * @param {string} bucketName - Name of bucket to delete
  * @param {string} region - AWS region
- * @param {object} credentials - User AWS credentials (optional, uses env if not provided)
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Deletion confirmation
  */
-async function deleteBucket(bucketName, region, credentials = null) {
-    const client = credentials ? 
-        new (require('@aws-sdk/client-s3').S3Client)({ region, credentials }) :
-        getS3Client(region);
+async function deleteBucket(bucketName, region, credentials, dryRun = false) {
+    const client = getS3Client(region, credentials);
 
     // First check if bucket is empty
     const listResponse = await client.send(new ListObjectsV2Command({
@@ -801,6 +1070,17 @@ async function deleteBucket(bucketName, region, credentials = null) {
         MaxKeys: 1
     }));
 
+    if (dryRun) {
+        const check = await simulatePermissions([{ action: 's3:DeleteBucket', resource: `arn:aws:s3:::${bucketName}` }], region, credentials);
+        const empty = !(listResponse.Contents && listResponse.Contents.length > 0);
+        return dryRunResult(check, {
+            target: bucketName,
+            changes: empty ? [{ field: 'bucket', from: bucketName, to: null }] : [],
+            warnings: empty ? [] : [`Bucket "${bucketName}" is not empty - delete its objects first`],
+            summary: empty ? `Would delete bucket "${bucketName}"` : `Bucket "${bucketName}" would be kept`
+        });
+    }
+
     if (listResponse.Contents && listResponse.Contents.length > 0) {
         throw new Error(`Bucket "${bucketName}" is not empty. Please delete all objects first before deleting the bucket.`);
     }
@@ -819,9 +1099,11 @@ async function deleteBucket(bucketName, region, credentials = null) {
 
 module.exports = {
     listBuckets,
+    listBucketsPage,
     getBucketInfo,
     getDetailedBucketStats,
     listObjects,
+    listObjectsPage,
     getObjectInfo,
     getPresignedUrl,
     deleteObject,
@@ -48,16 +48,48 @@ const {
 } = require("@aws-sdk/client-sns");
 
 const { getSNSClient } = require("../utils/aws-clients");
+const { simulatePermissions, dryRunResult } = require("../utils/dry-run");
+
+// Protocols whose endpoint has to confirm a subscription before it gets messages
+const CONFIRMED_PROTOCOLS = ['email', 'email-json', 'http', 'https'];
+
+/*
+ * A topic's attributes, or null if it doesn't exist
+ */
+async function findTopicAttributes(client, topicArn) {
+    try {
+        const response = await client.send(new GetTopicAttributesCommand({ TopicArn: topicArn }));
+        return response.Attributes;
+    } catch (error) {
+        if (error.name === 'NotFoundException' || error.name === 'NotFound') return null;
+        throw error;
+    }
+}
+
+/*
+ * Every subscription of a topic (all pages)
+ */
+async function topicSubscriptions(client, topicArn) {
+    const subscriptions = [];
+    let nextToken;
+    do {
+        const response = await client.send(new ListSubscriptionsByTopicCommand({ TopicArn: topicArn, NextToken: nextToken }));
+        subscriptions.push(...(response.Subscriptions || []));
+        nextToken = response.NextToken;
+    } while (nextToken);
+    return subscriptions;
+}
 
 /**
  * List all SNS topics in the region.
  * Paginates through all results to get the complete list.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of topics with ARN and name
  */
-async function listTopics(region) {
-    const client = getSNSClient(region);
+async function listTopics(region, credentials) {
+    const client = getSNSClient(region, credentials);
 
     const topics = [];
     let nextToken = null;
@@ -92,10 +124,11 @@ async function listTopics(region) {
  *
  * @param {string} topicArn - ARN of the topic
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Topic details and configuration
  */
-async function getTopic(topicArn, region) {
-    const client = getSNSClient(region);
+async function getTopic(topicArn, region, credentials) {
+    const client = getSNSClient(region, credentials);
 
     const response = await client.send(new GetTopicAttributesCommand({
         TopicArn: topicArn
@@ -123,10 +156,11 @@ async function getTopic(topicArn, region) {
  * Shows what endpoints are listening to which topics.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of all subscriptions
  */
-async function listSubscriptions(region) {
-    const client = getSNSClient(region);
+async function listSubscriptions(region, credentials) {
+    const client = getSNSClient(region, credentials);
 
     const subscriptions = [];
     let nextToken = null;
@@ -160,10 +194,11 @@ async function listSubscriptions(region) {
  *
  * @param {string} topicArn - ARN of the topic
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {Array} List of subscriptions for this topic
  */
-async function listTopicSubscriptions(topicArn, region) {
-    const client = getSNSClient(region);
+async function listTopicSubscriptions(topicArn, region, credentials) {
+    const client = getSNSClient(region, credentials);
 
     const response = await client.send(new ListSubscriptionsByTopicCommand({
         TopicArn: topicArn
@@ -187,10 +222,33 @@ async function listTopicSubscriptions(topicArn, region) {
  * @param {string|object} message - Message content
  * @param {string} subject - Optional subject (used for email subscriptions)
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would happen (utils/dry-run.js)
  * @returns {object} Publish confirmation with message ID
  */
-async function publish(topicArn, message, subject = null, region) {
-    const client = getSNSClient(region);
+async function publish(topicArn, message, subject = null, region, credentials, dryRun = false) {
+    const client = getSNSClient(region, credentials);
+
+    if (dryRun) {
+        const [check, topic] = await Promise.all([
+            simulatePermissions([{ action: 'sns:Publish', resource: topicArn }], region, credentials),
+            findTopicAttributes(client, topicArn)
+        ]);
+        if (!topic) {
+            return dryRunResult(check, {
+                target: topicArn,
+                warnings: ['The topic does not exist - SNS would refuse it'],
+                summary: 'Nothing would be sent'
+            });
+        }
+        const confirmed = parseInt(topic.SubscriptionsConfirmed, 10) || 0;
+        return dryRunResult(check, {
+            target: topicArn,
+            warnings: confirmed === 0 ? ['The topic has no confirmed subscriptions - nobody would get the message'] : [],
+            summary: `Would send the message to ${confirmed} confirmed subscription(s)`,
+            recipients: confirmed
+        });
+    }
 
     const params = {
         TopicArn: topicArn,
@@ -220,10 +278,11 @@ async function publish(topicArn, message, subject = null, region) {
  * @param {string} endpoint - Phone number for SMS
  * @param {string} message - Message to send
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} Send confirmation with message ID
  */
-async function publishDirect(endpoint, message, region) {
-    const client = getSNSClient(region);
+async function publishDirect(endpoint, message, region, credentials) {
+    const client = getSNSClient(region, credentials);
 
     const response = await client.send(new PublishCommand({
         Message: message,
@@ -244,10 +303,34 @@ async function publishDirect(endpoint, message, region) {
  * @param {string} name - Name for the new topic
  * @param {string} region - AWS region
  * @param {object} attributes - Optional topic attributes
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Created topic ARN
  */
-async function createTopic(name, region, attributes = {}) {
-    const client = getSNSClient(region);
+async function createTopic(name, region, attributes = {}, credentials, dryRun = false) {
+    const client = getSNSClient(region, credentials);
+
+    if (dryRun) {
+        const resource = account => `arn:aws:sns:${region}:${account}:${name}`;
+        const [check, topics] = await Promise.all([
+            simulatePermissions([{ action: 'sns:CreateTopic', resource }], region, credentials),
+            listTopics(region, credentials)
+        ]);
+        // CreateTopic answers with the existing topic when the name is taken
+        const existing = topics.find(topic => topic.name === name);
+        if (existing) {
+            return dryRunResult(check, {
+                target: existing.arn,
+                warnings: [`Topic ${name} already exists - SNS would answer with it and change nothing`],
+                summary: `Topic ${name} would be left as it is`
+            });
+        }
+        return dryRunResult(check, {
+            target: name,
+            changes: [{ field: 'topic', from: null, to: name }],
+            summary: `Would create topic ${name} in ${region}`
+        });
+    }
 
     const params = {
         Name: name
@@ -272,10 +355,35 @@ async function createTopic(name, region, attributes = {}) {
  *
  * @param {string} topicArn - ARN of the topic to delete
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Deletion confirmation
  */
-async function deleteTopic(topicArn, region) {
-    const client = getSNSClient(region);
+async function deleteTopic(topicArn, region, credentials, dryRun = false) {
+    const client = getSNSClient(region, credentials);
+
+    if (dryRun) {
+        const [check, topic] = await Promise.all([
+            simulatePermissions([{ action: 'sns:DeleteTopic', resource: topicArn }], region, credentials),
+            findTopicAttributes(client, topicArn)
+        ]);
+        if (!topic) {
+            return dryRunResult(check, {
+                target: topicArn,
+                warnings: ['The topic does not exist - SNS would answer success without deleting anything'],
+                summary: 'Nothing to delete'
+            });
+        }
+        const subscriptions = (parseInt(topic.SubscriptionsConfirmed, 10) || 0) + (parseInt(topic.SubscriptionsPending, 10) || 0);
+        return dryRunResult(check, {
+            target: topicArn,
+            changes: [
+                { field: 'topic', from: topicArn, to: null },
+                { field: 'subscriptions', from: subscriptions, to: 0 }
+            ],
+            summary: `Would delete the topic and its ${subscriptions} subscription(s)`
+        });
+    }
 
     await client.send(new DeleteTopicCommand({
         TopicArn: topicArn
@@ -304,10 +412,44 @@ async function deleteTopic(topicArn, region) {
  * @param {string} protocol - Delivery protocol
  * @param {string} endpoint - Where to send messages
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Subscription details
  */
-async function subscribe(topicArn, protocol, endpoint, region) {
-    const client = getSNSClient(region);
+async function subscribe(topicArn, protocol, endpoint, region, credentials, dryRun = false) {
+    const client = getSNSClient(region, credentials);
+
+    if (dryRun) {
+        const [check, topic] = await Promise.all([
+            simulatePermissions([{ action: 'sns:Subscribe', resource: topicArn }], region, credentials),
+            findTopicAttributes(client, topicArn)
+        ]);
+        if (!topic) {
+            return dryRunResult(check, {
+                target: topicArn,
+                warnings: ['The topic does not exist - SNS would refuse it'],
+                summary: `${endpoint} would not be subscribed`
+            });
+        }
+
+        const existing = (await topicSubscriptions(client, topicArn))
+            .find(sub => sub.Protocol === protocol && sub.Endpoint === endpoint);
+        if (existing) {
+            return dryRunResult(check, {
+                target: topicArn,
+                warnings: [`${endpoint} is already subscribed (${protocol}) - SNS would answer with that subscription`],
+                summary: 'Nothing would change'
+            });
+        }
+        return dryRunResult(check, {
+            target: topicArn,
+            changes: [{ field: 'subscription', from: null, to: `${protocol}:${endpoint}` }],
+            warnings: CONFIRMED_PROTOCOLS.includes(protocol)
+                ? [`${endpoint} has to confirm the subscription before it gets messages`]
+                : [],
+            summary: `Would subscribe ${endpoint} (${protocol})`
+        });
+    }
 
     const response = await client.send(new SubscribeCommand({
         TopicArn: topicArn,
@@ -332,10 +474,36 @@ async function subscribe(topicArn, protocol, endpoint, region) {
  *
  * @param {string} subscriptionArn - ARN of the subscription to remove
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
+ * @param {boolean} dryRun - Only check permission and report what would change (utils/dry-run.js)
  * @returns {object} Unsubscription confirmation
  */
-async function unsubscribe(subscriptionArn, region) {
-    const client = getSNSClient(region);
+async function unsubscribe(subscriptionArn, region, credentials, dryRun = false) {
+    const client = getSNSClient(region, credentials);
+
+    if (dryRun) {
+        // A subscription ARN is its topic's ARN plus an ID
+        const topicArn = subscriptionArn.slice(0, subscriptionArn.lastIndexOf(':'));
+        const [check, topic] = await Promise.all([
+            simulatePermissions([{ action: 'sns:Unsubscribe', resource: topicArn }], region, credentials),
+            findTopicAttributes(client, topicArn)
+        ]);
+        const subscription = topic
+            ? (await topicSubscriptions(client, topicArn)).find(sub => sub.SubscriptionArn === subscriptionArn)
+            : null;
+        if (!subscription) {
+            return dryRunResult(check, {
+                target: subscriptionArn,
+                warnings: ['The subscription does not exist - SNS would refuse it'],
+                summary: 'Nothing to remove'
+            });
+        }
+        return dryRunResult(check, {
+            target: subscriptionArn,
+            changes: [{ field: 'subscription', from: `${subscription.Protocol}:${subscription.Endpoint}`, to: null }],
+            summary: `Would stop sending ${topicArn.split(':').pop()} messages to ${subscription.Endpoint}`
+        });
+    }
 
     await client.send(new UnsubscribeCommand({
         SubscriptionArn: subscriptionArn
@@ -353,11 +521,12 @@ async function unsubscribe(subscriptionArn, region) {
  * Shows total topics, subscriptions, and breakdown by protocol.
  *
  * @param {string} region - AWS region
+ * @param {object} credentials - User AWS credentials
  * @returns {object} SNS summary statistics
  */
-async function getSNSSummary(region) {
-    const topics = await listTopics(region);
-    const subscriptions = await listSubscriptions(region);
+async function getSNSSummary(region, credentials) {
+    const topics = await listTopics(region, credentials);
+    const subscriptions = await listSubscriptions(region, credentials);
 
     // Count subscriptions by protocol type
     const byProtocol = {};
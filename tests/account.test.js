@@ -0,0 +1,311 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const registry = require('../actions');
+const ec2Service = require('../services/ec2');
+const { normalizeAWSError } = require('../utils/aws-errors');
+const { redactParams } = require('../utils/audit');
+
+const { call, ok, aws, catalyst, ADMIN, OPERATOR, VIEWER, ACCESS_KEY_ID } = harness;
+
+const NEW_USER = '4004';
+const ROLE_ARN = `arn:aws:iam::${aws.ACCOUNT_ID}:role/CloudCommanderAccess`;
+
+describe('account services', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('health:status reports the service as healthy', async () => {
+        const data = ok(await call({ service: 'health', action: 'status' }, VIEWER));
+        assert.equal(data.status, 'healthy');
+        assert.equal(data.region, 'ap-south-1');
+    });
+
+    describe('user_credentials', () => {
+        it('read masks the stored secret', async () => {
+            const data = ok(await call({ service: 'user_credentials', action: 'read' }, VIEWER));
+            assert.equal(data.data.access_key_id, ACCESS_KEY_ID);
+            assert.match(data.data.secret_access_key, /^•+$/);
+        });
+
+        it('write stores a key pair encrypted', async () => {
+            const written = ok(await call({
+                service: 'user_credentials',
+                action: 'write',
+                access_key_id: 'AKIAFAKENEWUSER00001',
+                secret_access_key: 'newUserSecretAccessKey000000000000000000'
+            }, NEW_USER));
+            assert.equal(written.success, true);
+
+            const [row] = catalyst.rows('user_credentials').filter(item => item.user_id === NEW_USER);
+            assert.equal(row.profile_name, 'default');
+            assert.ok(!row.secret_access_key.includes('newUserSecretAccessKey'));
+
+            const exists = ok(await call({ service: 'user_credentials', action: 'check_exists' }, NEW_USER));
+            assert.equal(exists.exists, true);
+        });
+
+        it('write stores OAuth callers under their own ID', async () => {
+            catalyst.addOAuthUser('new-user-token', { zuid: NEW_USER, user_id: NEW_USER });
+
+            const res = await harness.post('/', {
+                service: 'user_credentials',
+                action: 'write',
+                profile: 'oauth',
+                access_key_id: 'AKIAFAKENEWUSER00002',
+                secret_access_key: 'newUserSecretAccessKey000000000000000002'
+            }, { userId: null, headers: { Authorization: 'Zoho-oauthtoken new-user-token' } });
+            assert.equal(ok(res).success, true);
+
+            const [row] = catalyst.rows('user_credentials').filter(item => item.profile_name === 'oauth');
+            assert.equal(row.user_id, NEW_USER);
+        });
+
+        it('write refuses to store credentials without a valid user ID', async () => {
+            const { handler } = registry.getAction('user_credentials', 'write');
+            const before = catalyst.rows('user_credentials').length;
+
+            for (const userId of [undefined, "1' OR '1'='1"]) {
+                const data = await handler({
+                    params: { access_key_id: 'AKIAFAKENEWUSER00003', secret_access_key: 'newUserSecretAccessKey000000000000000003' },
+                    userId,
+                    catalystInstance: catalyst.initialize()
+                });
+                assert.equal(data.code, 'INVALID_USER_ID');
+            }
+            assert.equal(catalyst.rows('user_credentials').length, before);
+        });
+
+        it('write needs keys or a role', async () => {
+            const data = ok(await call({ service: 'user_credentials', action: 'write', profile: 'empty' }, NEW_USER));
+            assert.equal(data.code, 'MISSING_CREDENTIALS');
+        });
+
+        it('a role profile is assumed by test and listed by list_profiles', async () => {
+            ok(await call({ service: 'user_credentials', action: 'write', profile: 'prod', role_arn: ROLE_ARN, external_id: 'cliq-external-id' }));
+
+            const tested = ok(await call({ service: 'user_credentials', action: 'test', profile: 'prod' }));
+            assert.equal(tested.success, true);
+            assert.match(tested.identity.arn, /assumed-role\/CloudCommanderAccess\//);
+            assert.equal(aws.callsTo('sts', 'AssumeRole').pop().input.ExternalId, 'cliq-external-id');
+
+            const listed = ok(await call({ service: 'user_credentials', action: 'list_profiles' }));
+            assert.deepEqual(listed.profiles.map(profile => [profile.profile, profile.type]), [['default', 'keys'], ['prod', 'role']]);
+        });
+
+        it('a role profile with no keys to assume it with is refused without calling AWS', async () => {
+            const assumed = aws.callsTo('sts', 'AssumeRole').length;
+            ok(await call({ service: 'user_credentials', action: 'write', profile: 'staging', role_arn: ROLE_ARN }, '6006'));
+
+            const res = await call({ service: 'ec2', action: 'list', profile: 'staging' }, '6006');
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, 'SETUP_REQUIRED');
+            assert.equal(aws.callsTo('sts', 'AssumeRole').length, assumed);
+        });
+
+        it('test reports a revoked key as invalid', async () => {
+            await harness.seedCredentials(OPERATOR, { profile: 'revoked', accessKeyId: 'AKIAFAKEREVOKED00001' });
+            aws.revokeKey('AKIAFAKEREVOKED00001');
+
+            const data = ok(await call({ service: 'user_credentials', action: 'test', profile: 'revoked' }, OPERATOR));
+            assert.equal(data.success, false);
+            assert.match(data.error, /^Invalid credentials: /);
+        });
+
+        it('copy_shared stores the shared keys as the default profile', async () => {
+            process.env.AWS_ACCESS_KEY_ID = 'AKIAFAKESHARED000001';
+            process.env.AWS_SECRET_ACCESS_KEY = 'sharedSecretAccessKey00000000000000000000';
+            try {
+                const data = ok(await call({ service: 'user_credentials', action: 'copy_shared' }, '5005'));
+                assert.match(data.message, /created/);
+            } finally {
+                delete process.env.AWS_ACCESS_KEY_ID;
+                delete process.env.AWS_SECRET_ACCESS_KEY;
+            }
+
+            const read = ok(await call({ service: 'user_credentials', action: 'read' }, '5005'));
+            assert.equal(read.data.access_key_id, 'AKIAFAKESHARED000001');
+        });
+
+        it('delete removes a profile', async () => {
+            ok(await call({ service: 'user_credentials', action: 'delete', profile: 'prod' }));
+            const exists = ok(await call({ service: 'user_credentials', action: 'check_exists', profile: 'prod' }));
+            assert.equal(exists.exists, false);
+        });
+
+        it('reencrypt is admin only and rewrites every row', async () => {
+            const denied = await call({ service: 'user_credentials', action: 'reencrypt' }, OPERATOR);
+            assert.equal(denied.status, 403);
+
+            const data = ok(await call({ service: 'user_credentials', action: 'reencrypt' }));
+            assert.equal(data.total, catalyst.rows('user_credentials').length);
+            assert.equal(data.failed, 0);
+        });
+
+        it('actions without stored keys ask for setup', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'list' }, '9009'));
+            assert.equal(data.code, 'SETUP_REQUIRED');
+        });
+
+        it('AWS calls never fall back to the server keys', async () => {
+            const before = aws.calls.length;
+            process.env.AWS_ACCESS_KEY_ID = 'AKIAFAKESHARED000001';
+            process.env.AWS_SECRET_ACCESS_KEY = 'sharedSecretAccessKey00000000000000000000';
+            try {
+                await assert.rejects(ec2Service.getInstance('i-0a1b2c3d4e5f60001', 'ap-south-1'), error => {
+                    assert.equal(error.name, 'CredentialsMissing');
+                    assert.equal(normalizeAWSError(error).code, 'SETUP_REQUIRED');
+                    return true;
+                });
+            } finally {
+                delete process.env.AWS_ACCESS_KEY_ID;
+                delete process.env.AWS_SECRET_ACCESS_KEY;
+            }
+            assert.equal(aws.calls.length, before);
+        });
+
+        it('covers every user_credentials action', () => {
+            harness.assertAllExercised('user_credentials');
+        });
+    });
+
+    describe('access', () => {
+        it('myRole reports the role and where it comes from', async () => {
+            const admin = ok(await call({ service: 'access', action: 'myRole' }));
+            assert.deepEqual([admin.role, admin.source], ['admin', 'ADMIN_USER_IDS']);
+
+            const viewer = ok(await call({ service: 'access', action: 'myRole' }, VIEWER));
+            assert.equal(viewer.role, 'viewer');
+        });
+
+        it('assign, list and revoke manage role assignments', async () => {
+            ok(await call({ service: 'access', action: 'assign', targetUserId: VIEWER, role: 'operator' }));
+            const promoted = ok(await call({ service: 'access', action: 'myRole' }, VIEWER));
+            assert.equal(promoted.role, 'operator');
+
+            const listed = ok(await call({ service: 'access', action: 'list' }));
+            assert.deepEqual(listed.assignments.map(item => [item.id, item.role]).sort(), [[OPERATOR, 'operator'], [VIEWER, 'operator']]);
+            assert.equal(listed.policy['ec2:stop'], 'operator');
+
+            ok(await call({ service: 'access', action: 'revoke', targetUserId: VIEWER }));
+            const revoked = ok(await call({ service: 'access', action: 'myRole' }, VIEWER));
+            assert.equal(revoked.role, 'viewer');
+        });
+
+        it('only admins manage roles', async () => {
+            const res = await call({ service: 'access', action: 'assign', targetUserId: OPERATOR, role: 'admin' }, OPERATOR);
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'FORBIDDEN');
+        });
+
+        it('covers every access action', () => {
+            harness.assertAllExercised('access');
+        });
+    });
+
+    describe('audit', () => {
+        it('list returns the newest entries first', async () => {
+            const data = ok(await call({ service: 'audit', action: 'list' }));
+            assert.ok(data.count > 0);
+            const times = data.entries.map(entry => entry.timestamp);
+            assert.deepEqual(times, [...times].sort().reverse());
+        });
+
+        it('byUser and byResource filter the trail', async () => {
+            const byUser = ok(await call({ service: 'audit', action: 'byUser', targetUserId: OPERATOR }));
+            assert.ok(byUser.entries.every(entry => entry.userId === OPERATOR));
+            assert.ok(byUser.entries.some(entry => entry.action === 'assign' && entry.outcome !== 'success'));
+
+            const byResource = ok(await call({ service: 'audit', action: 'byResource', resource: 'profile:prod' }));
+            assert.deepEqual(byResource.entries.map(entry => entry.action), ['delete', 'write']);
+        });
+
+        it('secrets never reach the trail', async () => {
+            const data = ok(await call({ service: 'audit', action: 'byUser', targetUserId: NEW_USER }));
+            assert.ok(!JSON.stringify(data).includes('newUserSecretAccessKey'));
+        });
+
+        it('secrets inside arrays are redacted too', () => {
+            const redacted = redactParams({
+                items: [
+                    { service: 'user_credentials', params: { secret_access_key: 'arraySecretAccessKey0000000000000000000' } },
+                    ['nested', { sessionToken: 'arraySessionToken' }],
+                    'x'.repeat(600)
+                ]
+            });
+            assert.ok(!JSON.stringify(redacted).includes('arraySecret'));
+            assert.ok(!JSON.stringify(redacted).includes('arraySessionToken'));
+            assert.equal(redacted.items[0].params.secret_access_key, '[REDACTED]');
+            assert.equal(redacted.items[1][0], 'nested');
+            assert.match(redacted.items[2], /\(600 chars\)$/);
+        });
+
+        it('is admin only', async () => {
+            const res = await call({ service: 'audit', action: 'list' }, OPERATOR);
+            assert.equal(res.status, 403);
+        });
+
+        it('covers every audit action', () => {
+            harness.assertAllExercised('audit');
+        });
+    });
+
+    it('pricing:info lists paid and free actions', async () => {
+        const data = ok(await call({ service: 'pricing', action: 'info' }, VIEWER));
+        assert.ok(data.paidActions.some(item => item.action === 'cost:getUsage'));
+        assert.ok(data.freeActions.includes('ec2:list'));
+    });
+
+    describe('permissions', () => {
+        it('list and getRequiredPolicy describe what the app needs', async () => {
+            const list = ok(await call({ service: 'permissions', action: 'list' }));
+            assert.ok(list.some(permission => permission.key === 'ec2_read' && permission.usedBy.includes('ec2:list')));
+
+            const policy = ok(await call({ service: 'permissions', action: 'getRequiredPolicy' }));
+            assert.equal(policy.Version, '2012-10-17');
+            assert.ok(policy.Statement.some(statement => statement.Action.includes('ec2:StopInstances')));
+        });
+
+        it('check tests one permission against AWS', async () => {
+            const granted = ok(await call({ service: 'permissions', action: 'check', permission: 'ec2_read' }));
+            assert.equal(granted.success, true);
+
+            aws.fail('ec2', 'DescribeInstances', aws.awsError('UnauthorizedOperation', 'You are not authorized to perform this operation.', 403), 1);
+            const denied = ok(await call({ service: 'permissions', action: 'check', permission: 'ec2_read' }));
+            assert.equal(denied.success, false);
+            assert.equal(denied.error.errorCode, 'ACCESS_DENIED');
+        });
+
+        it('checkAll tests every read permission', async () => {
+            const data = ok(await call({ service: 'permissions', action: 'checkAll' }));
+            assert.equal(data.identity.account, aws.ACCOUNT_ID);
+            assert.equal(data.summary.failed, 0);
+            assert.ok(data.summary.passed > 0);
+        });
+
+        it('validateBedrock skips the paid model call when asked', async () => {
+            const data = ok(await call({ service: 'permissions', action: 'validateBedrock', skipInvoke: true }));
+            assert.equal(data.checks.modelInvoke.status, 'skipped');
+            assert.equal(aws.state.bedrockPrompts.length, 0);
+        });
+
+        it('covers every permissions action', () => {
+            harness.assertAllExercised('permissions');
+        });
+    });
+
+    it('dashboard:overview combines the service summaries', async () => {
+        const data = ok(await call({ service: 'dashboard', action: 'overview' }));
+        assert.equal(data.ec2.total, 3);
+        assert.equal(data.s3.totalBuckets, 3);
+        assert.equal(data.lambda.total, 3);
+        assert.equal(data.alarms.total, 3);
+    });
+
+    it('ADMIN stays admin regardless of assignments', async () => {
+        const data = ok(await call({ service: 'access', action: 'myRole' }, ADMIN));
+        assert.equal(data.role, 'admin');
+    });
+});
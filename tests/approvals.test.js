@@ -0,0 +1,230 @@
+'use strict';
+
+const http = require('node:http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const { executeApproval } = require('../utils/approvals');
+
+const { call, post, ok, aws, catalyst, ADMIN, APPROVER, OPERATOR, VIEWER } = harness;
+
+const WEB = 'i-0a1b2c3d4e5f60001';
+const API = 'i-0a1b2c3d4e5f60003';
+const DEPLOYMENTS = `arn:aws:sns:ap-south-1:${aws.ACCOUNT_ID}:deployments`;
+
+function instanceState(id) {
+    return aws.regional('ap-south-1').ec2.instances.find(instance => instance.InstanceId === id).State.Name;
+}
+
+/**
+ * Widget terminate as ADMIN, confirmed - answers with the approval request
+ */
+async function requestTerminate(instanceId, fields = {}, userId = ADMIN) {
+    const body = { userId, instanceId, ...fields };
+    const first = await post('/widget/ec2?action=terminate', body, { userId });
+    return post('/widget/ec2?action=terminate', { ...body, confirmationToken: first.body.confirmationToken }, { userId });
+}
+
+function decide(action, approvalId, userId = APPROVER, fields = {}) {
+    return call({ service: 'approvals', action, approvalId, ...fields }, userId);
+}
+
+describe('approvals', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    let terminateApproval;
+
+    it('stores a confirmed protected action as pending instead of running it', async () => {
+        const res = await requestTerminate(WEB);
+        assert.equal(res.status, 202);
+        assert.equal(res.body.code, 'APPROVAL_REQUIRED');
+        assert.equal(res.body.requiresApproval, true);
+        assert.deepEqual(res.body.approvers, [APPROVER]);
+        assert.equal(res.body.notified, false);
+
+        terminateApproval = res.body.approval;
+        assert.equal(terminateApproval.status, 'pending');
+        assert.equal(terminateApproval.target, WEB);
+        assert.deepEqual(terminateApproval.params, { instanceId: WEB });
+        assert.equal(terminateApproval.requestedBy, ADMIN);
+        assert.equal(terminateApproval.requiredRole, 'admin');
+        assert.equal(terminateApproval.source, 'widget');
+
+        assert.equal(aws.callsTo('ec2', 'TerminateInstances').length, 0);
+        assert.equal(instanceState(WEB), 'running');
+        assert.equal(catalyst.rows('audit_log').filter(row => row.action === 'terminate').length, 0);
+    });
+
+    it('only another user with the role can approve', async () => {
+        const own = ok(await decide('approve', terminateApproval.id, ADMIN));
+        assert.equal(own.code, 'SELF_APPROVAL');
+
+        await harness.setRole('5005', 'operator');
+        const operator = ok(await decide('approve', terminateApproval.id, '5005'));
+        assert.equal(operator.code, 'NOT_AN_APPROVER');
+
+        const viewer = await decide('approve', terminateApproval.id, VIEWER);
+        assert.equal(viewer.status, 403);
+
+        assert.equal(instanceState(WEB), 'running');
+    });
+
+    it('runs the approved action as the requester', async () => {
+        const data = ok(await decide('approve', terminateApproval.id));
+        assert.equal(data.result.currentState, 'shutting-down');
+        assert.equal(data.approval.status, 'executed');
+        assert.equal(data.approval.decidedBy, APPROVER);
+        assert.equal(instanceState(WEB), 'terminated');
+
+        const entry = catalyst.rows('audit_log').find(row => row.action === 'terminate');
+        assert.equal(entry.user_id, ADMIN);
+        assert.equal(entry.source, 'approval');
+        assert.equal(entry.outcome, 'success');
+        assert.equal(JSON.parse(entry.params).approvedBy, APPROVER);
+
+        const decision = catalyst.rows('audit_log').find(row => row.service === 'approvals' && row.action === 'approve' && row.outcome === 'success');
+        assert.equal(decision.user_id, APPROVER);
+        assert.equal(decision.target, terminateApproval.id);
+
+        const again = ok(await decide('approve', terminateApproval.id));
+        assert.equal(again.code, 'APPROVAL_NOT_PENDING');
+        assert.equal(aws.callsTo('ec2', 'TerminateInstances').length, 1);
+    });
+
+    it('get shows the decision and the result', async () => {
+        const { approval } = ok(await decide('get', terminateApproval.id, OPERATOR));
+        assert.equal(approval.status, 'executed');
+        assert.equal(approval.result.currentState, 'shutting-down');
+        assert.ok(approval.executedAt);
+
+        const missing = ok(await decide('get', '999999', OPERATOR));
+        assert.equal(missing.code, 'NOT_FOUND');
+    });
+
+    it('records failures of the approved action', async () => {
+        const res = await requestTerminate(API, { profile: 'ops' });
+        const data = ok(await decide('approve', res.body.approval.id));
+        assert.equal(data.success, false);
+        assert.equal(data.code, 'PROFILE_NOT_FOUND');
+        assert.equal(data.approval.status, 'failed');
+        assert.equal(instanceState(API), 'running');
+
+        const entry = catalyst.rows('audit_log').find(row => row.action === 'terminate' && row.outcome === 'failure');
+        assert.equal(entry.error_code, 'PROFILE_NOT_FOUND');
+    });
+
+    it('rejected and withdrawn requests never run', async () => {
+        const rejected = await requestTerminate(API);
+        const data = ok(await decide('reject', rejected.body.approval.id, APPROVER, { reason: 'API is in use' }));
+        assert.equal(data.approval.status, 'rejected');
+        assert.equal(data.approval.reason, 'API is in use');
+
+        const late = ok(await decide('approve', rejected.body.approval.id));
+        assert.equal(late.code, 'APPROVAL_NOT_PENDING');
+
+        const first = await call({ service: 'sns', action: 'deleteTopic', topicArn: DEPLOYMENTS });
+        const withdrawn = await call({ service: 'sns', action: 'deleteTopic', topicArn: DEPLOYMENTS, confirmationToken: first.body.confirmationToken });
+        assert.equal(withdrawn.body.approval.source, 'router');
+        assert.equal(ok(await decide('reject', withdrawn.body.approval.id, ADMIN)).approval.status, 'rejected');
+
+        assert.equal(instanceState(API), 'running');
+        assert.ok(aws.regional('ap-south-1').sns.topics.some(topic => topic.TopicArn === DEPLOYMENTS));
+    });
+
+    it('decisions claim the approval before acting on it', async () => {
+        const res = await requestTerminate(API);
+        const stale = res.body.approval;
+        const table = catalyst.initialize().datastore().table('approvals');
+
+        // Another instance is running it: a reject can't land mid-run
+        await table.updateRow({ ROWID: stale.id, status: 'executing', decided_by: OPERATOR });
+        const rejecting = ok(await decide('reject', stale.id));
+        assert.equal(rejecting.code, 'APPROVAL_NOT_PENDING');
+        assert.match(rejecting.error, /already executing/);
+
+        // Rejected since this instance read it: the copy it holds doesn't run
+        await table.updateRow({ ROWID: stale.id, status: 'rejected', decided_by: OPERATOR });
+        assert.equal(await executeApproval(catalyst.initialize(), stale, APPROVER), null);
+
+        const [row] = catalyst.rows('approvals').filter(item => item.ROWID === stale.id);
+        assert.equal(row.status, 'rejected');
+        assert.equal(row.decided_by, OPERATOR);
+        assert.equal(instanceState(API), 'running');
+    });
+
+    it('fails approvals whose requester no longer has the role', async () => {
+        const REQUESTER = '5006';
+        await harness.setRole(REQUESTER, 'admin');
+        await harness.seedCredentials(REQUESTER);
+        const res = await requestTerminate(API, {}, REQUESTER);
+        assert.equal(res.body.code, 'APPROVAL_REQUIRED');
+
+        await harness.setRole(REQUESTER, 'operator');
+        const data = ok(await decide('approve', res.body.approval.id));
+        assert.equal(data.code, 'FORBIDDEN');
+        assert.match(data.error, /requires the admin role\. The requester's role is operator/);
+        assert.equal(data.approval.status, 'failed');
+        assert.equal(instanceState(API), 'running');
+        assert.equal(aws.callsTo('ec2', 'TerminateInstances').length, 1);
+    });
+
+    it('expired requests can no longer be approved', async () => {
+        const res = await requestTerminate(API);
+        const id = res.body.approval.id;
+        await catalyst.initialize().datastore().table('approvals').updateRow({ ROWID: id, expires_at: Date.now() - 1000 });
+
+        const data = ok(await decide('approve', id));
+        assert.equal(data.code, 'APPROVAL_EXPIRED');
+        assert.equal(instanceState(API), 'running');
+
+        const expired = ok(await call({ service: 'approvals', action: 'list', status: 'expired' }, OPERATOR));
+        assert.deepEqual(expired.approvals.map(approval => approval.id), [id]);
+    });
+
+    it('lists approvals by status and requester', async () => {
+        const all = ok(await call({ service: 'approvals', action: 'list' }, OPERATOR));
+        assert.equal(all.count, 7);
+        assert.deepEqual(all.approvals.map(approval => approval.status).sort(), ['executed', 'expired', 'failed', 'failed', 'rejected', 'rejected', 'rejected']);
+
+        const executed = ok(await call({ service: 'approvals', action: 'list', status: 'executed' }, OPERATOR));
+        assert.deepEqual(executed.approvals.map(approval => approval.id), [terminateApproval.id]);
+
+        const pending = ok(await call({ service: 'approvals', action: 'list', status: 'pending', requestedBy: ADMIN }, OPERATOR));
+        assert.equal(pending.count, 0);
+
+        const viewer = await call({ service: 'approvals', action: 'list' }, VIEWER);
+        assert.equal(viewer.status, 403);
+    });
+
+    it('notifies the approvers through APPROVAL_WEBHOOK_URL', async () => {
+        const messages = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                messages.push(JSON.parse(body));
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.APPROVAL_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/message`;
+
+        try {
+            const res = await requestTerminate(API);
+            assert.equal(res.body.notified, true);
+            assert.equal(messages.length, 1);
+            assert.match(messages[0].text, new RegExp(`ec2:terminate on ${API}`));
+            assert.match(messages[0].text, new RegExp(`"approvalId": "${res.body.approval.id}"`));
+        } finally {
+            delete process.env.APPROVAL_WEBHOOK_URL;
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('covers every approvals action', () => {
+        harness.assertAllExercised('approvals');
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const credentialRepository = require('../utils/credential-repository');
+const { mapLimit, MAX_BATCH_ITEMS } = require('../utils/batch');
+
+const { post, ok, aws, catalyst, ADMIN, OPERATOR, VIEWER } = harness;
+
+const WEB = 'i-0a1b2c3d4e5f60001';
+const MISSING = 'i-0fffffffffffffff0';
+const DEPLOYMENTS = `arn:aws:sns:ap-south-1:${aws.ACCOUNT_ID}:deployments`;
+
+function batch(items, userId = ADMIN, fields = {}) {
+    return post('/batch', { userId, ...fields, items }, { userId });
+}
+
+function statuses(data) {
+    return data.results.map(result => result.status);
+}
+
+describe('batch', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('returns one result per item, in order', async () => {
+        const data = ok(await batch([
+            { service: 'ec2', action: 'get', params: { instanceId: WEB } },
+            { service: 'ec2', action: 'securityGroups' },
+            { service: 's3', action: 'listBuckets' },
+            { service: 'cloudwatch', action: 'getActiveAlarms' }
+        ]));
+
+        assert.deepEqual(data.results.map(result => `${result.service}:${result.action}`),
+            ['ec2:get', 'ec2:securityGroups', 's3:listBuckets', 'cloudwatch:getActiveAlarms']);
+        assert.deepEqual(statuses(data), [200, 200, 200, 200]);
+        assert.equal(data.results[0].data.id, WEB);
+        assert.deepEqual(data.results[3].data.alarms.map(alarm => alarm.name), ['high-cpu-web']);
+        assert.deepEqual([data.succeeded, data.failed], [4, 0]);
+    });
+
+    it('reports failing items without stopping the others', async () => {
+        const data = ok(await batch([
+            { service: 'ec2', action: 'get', params: { instanceId: MISSING } },
+            { service: 'ec2', action: 'explode' },
+            { service: 'ec2', action: 'get', params: { instanceId: 'web' } },
+            { service: 'ec2', action: 'list' }
+        ]));
+
+        assert.deepEqual(statuses(data), [404, 400, 400, 200]);
+        assert.deepEqual(data.results.map(result => result.code), ['NOT_FOUND', 'UNKNOWN_ACTION', 'VALIDATION_ERROR', undefined]);
+        assert.equal(data.results[2].fields[0].field, 'instanceId');
+        assert.deepEqual([data.succeeded, data.failed], [1, 3]);
+    });
+
+    it('counts handler failures as failed', async () => {
+        const data = ok(await batch([{ service: 'ec2', action: 'list', params: { profile: 'staging' } }]));
+        assert.equal(data.results[0].status, 200);
+        assert.equal(data.results[0].data.code, 'PROFILE_NOT_FOUND');
+        assert.equal(data.failed, 1);
+    });
+
+    it('looks the credentials up once for the whole batch', async () => {
+        credentialRepository.invalidate(ADMIN);
+        const before = catalyst.queries.filter(query => query.includes('FROM user_credentials')).length;
+
+        const data = ok(await batch([
+            { service: 'ec2', action: 'list', params: { fresh: true } },
+            { service: 'ec2', action: 'securityGroups', params: { fresh: true } },
+            { service: 's3', action: 'listBuckets', params: { fresh: true } },
+            { service: 'lambda', action: 'list', params: { fresh: true } },
+            { service: 'rds', action: 'list', params: { fresh: true } }
+        ]));
+
+        assert.equal(data.failed, 0);
+        const after = catalyst.queries.filter(query => query.includes('FROM user_credentials')).length;
+        assert.equal(after - before, 1);
+    });
+
+    it('applies region and profile to every item unless its params override them', async () => {
+        const data = ok(await batch([
+            { service: 'ec2', action: 'list' },
+            { service: 'ec2', action: 'list', params: { region: 'ap-south-1' } }
+        ], ADMIN, { region: 'us-east-1' }));
+
+        assert.deepEqual(data.results[0].data.instances.map(instance => instance.name), ['us-bastion']);
+        assert.equal(data.results[1].data.instances.length, 3);
+    });
+
+    it('runs every item as the signed caller', async () => {
+        await harness.seedCredentials(OPERATOR, { profile: 'ops' });
+
+        const data = ok(await batch([{ service: 'ec2', action: 'list', params: { userId: OPERATOR, profile: 'ops' } }]));
+        assert.equal(data.results[0].data.code, 'PROFILE_NOT_FOUND');
+    });
+
+    it('checks each item against the caller role', async () => {
+        const data = ok(await batch([
+            { service: 'ec2', action: 'list' },
+            { service: 'ec2', action: 'stop', params: { instanceId: WEB } }
+        ], VIEWER));
+
+        assert.deepEqual(statuses(data), [200, 403]);
+        assert.equal(data.results[1].code, 'FORBIDDEN');
+        assert.equal(aws.callsTo('ec2', 'StopInstances').length, 0);
+    });
+
+    it('asks for consent and confirmation per item', async () => {
+        const items = [
+            { service: 'cost', action: 'monthToDate' },
+            { service: 'sns', action: 'deleteTopic', params: { topicArn: DEPLOYMENTS } }
+        ];
+        const first = ok(await batch(items));
+        assert.deepEqual(statuses(first), [428, 428]);
+        assert.equal(first.results[0].requiresConsent, true);
+        assert.equal(first.results[1].target, DEPLOYMENTS);
+
+        const second = ok(await batch([
+            { ...items[0], params: { consent: true } },
+            { ...items[1], params: { ...items[1].params, confirmationToken: first.results[1].confirmationToken } }
+        ]));
+        assert.deepEqual(statuses(second), [200, 202]);
+        assert.equal(second.results[1].approval.source, 'batch');
+
+        ok(await harness.approve({ status: 202, body: second.results[1] }));
+        const arns = aws.regional('ap-south-1').sns.topics.map(topic => topic.TopicArn);
+        assert.equal(arns.includes(DEPLOYMENTS), false);
+
+        const entry = catalyst.rows('audit_log').find(row => row.action === 'deleteTopic');
+        assert.equal(entry.source, 'approval');
+        assert.equal(entry.user_id, ADMIN);
+    });
+
+    it('rejects empty and oversized batches', async () => {
+        const empty = await batch([]);
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.code, 'VALIDATION_ERROR');
+
+        const items = Array.from({ length: MAX_BATCH_ITEMS + 1 }, () => ({ service: 'ec2', action: 'list' }));
+        const oversized = await batch(items);
+        assert.equal(oversized.status, 400);
+        assert.equal(oversized.body.fields[0].field, 'items');
+    });
+
+    it('needs a signed caller', async () => {
+        const res = await post('/batch', { items: [{ service: 'ec2', action: 'list' }] }, { userId: null });
+        assert.equal(res.status, 401);
+    });
+
+    it('mapLimit keeps the order and the concurrency bound', async () => {
+        let active = 0;
+        let peak = 0;
+        const results = await mapLimit([30, 10, 20, 5, 15], 2, async (ms, index) => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, ms));
+            active--;
+            return index;
+        });
+
+        assert.deepEqual(results, [0, 1, 2, 3, 4]);
+        assert.equal(peak, 2);
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws, VIEWER } = harness;
+
+// One call per action, with the text the prompt must carry
+const ASKS = [
+    ['chat', { prompt: 'What is an AMI?' }, 'What is an AMI?'],
+    ['chatWithContext', { prompt: 'Which instances are stopped?', awsContext: { ec2Instances: [{ name: 'batch-worker', id: 'i-0a1b2c3d4e5f60002', state: 'stopped', type: 't3.large' }] } }, 'batch-worker'],
+    ['generateCfn', { description: 'A versioned S3 bucket' }, 'A versioned S3 bucket'],
+    ['generateIam', { requirements: 'Read objects in app-assets-prod' }, 'Read objects in app-assets-prod'],
+    ['generateLambda', { description: 'Resize uploaded images', runtime: 'nodejs20.x' }, 'Resize uploaded images'],
+    ['troubleshoot', { issue: 'Instance unreachable over SSH' }, 'Instance unreachable over SSH'],
+    ['optimize', { costData: { service: 'EC2', cost: 120 } }, '"cost": 120'],
+    ['reviewArchitecture', { architecture: 'ALB in front of two EC2 instances' }, 'ALB in front of two EC2 instances'],
+    ['explain', { concept: 'VPC peering' }, 'VPC peering'],
+    ['generateCli', { description: 'List stopped instances' }, 'List stopped instances']
+];
+
+describe('bedrock', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('needs consent', async () => {
+        const res = await call({ service: 'bedrock', action: 'chat', prompt: 'hello' });
+        assert.equal(res.status, 428);
+        assert.equal(aws.state.bedrockPrompts.length, 0);
+    });
+
+    for (const [action, params, expected] of ASKS) {
+        it(`${action} sends the request to the model`, async () => {
+            const data = ok(await call({ service: 'bedrock', action, ...params, consent: true }));
+            assert.match(data.response, /^Fake answer to: /);
+            assert.ok(data.usage.totalTokens > 0);
+            assert.ok(aws.state.bedrockPrompts.pop().prompt.includes(expected));
+        });
+    }
+
+    it('viewers may ask questions', async () => {
+        ok(await call({ service: 'bedrock', action: 'explain', concept: 'NAT gateways', consent: true }, VIEWER));
+    });
+
+    it('a model without an approved use case is BEDROCK_USE_CASE_REQUIRED', async () => {
+        aws.fail('bedrock', 'InvokeModel', aws.awsError('ResourceNotFoundException',
+            'Model use case details have not been submitted for this account.', 404), 1);
+
+        const res = await call({ service: 'bedrock', action: 'chat', prompt: 'hello', consent: true });
+        assert.equal(res.body.code, 'BEDROCK_USE_CASE_REQUIRED');
+    });
+
+    it('covers every bedrock action', () => {
+        harness.assertAllExercised('bedrock');
+    });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, callConfirmed, ok, aws, OPERATOR, VIEWER } = harness;
+
+const WEB_DIMENSIONS = [{ Name: 'InstanceId', Value: 'i-0a1b2c3d4e5f60001' }];
+
+describe('cloudwatch', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    describe('alarms', () => {
+        it('listAlarms returns every alarm and filters by state', async () => {
+            const all = ok(await call({ service: 'cloudwatch', action: 'listAlarms' }));
+            assert.deepEqual(all.alarms.map(alarm => alarm.name), ['high-cpu-web', 'lambda-errors', 'rds-storage']);
+
+            const healthy = ok(await call({ service: 'cloudwatch', action: 'listAlarms', stateValue: 'OK' }));
+            assert.deepEqual(healthy.alarms.map(alarm => alarm.name), ['lambda-errors']);
+        });
+
+        it('getActiveAlarms returns alarms in ALARM', async () => {
+            const data = ok(await call({ service: 'cloudwatch', action: 'getActiveAlarms' }));
+            assert.deepEqual(data.alarms.map(alarm => alarm.name), ['high-cpu-web']);
+        });
+
+        it('getAlarm and getAlarmHistory describe one alarm', async () => {
+            const alarm = ok(await call({ service: 'cloudwatch', action: 'getAlarm', alarmName: 'high-cpu-web' }));
+            assert.equal(alarm.state, 'ALARM');
+            assert.equal(alarm.threshold, 80);
+
+            const history = ok(await call({ service: 'cloudwatch', action: 'getAlarmHistory', alarmName: 'high-cpu-web' }));
+            assert.deepEqual(history.map(item => item.type), ['StateUpdate', 'ConfigurationUpdate']);
+            assert.equal(history[0].data.newState.stateValue, 'ALARM');
+        });
+
+        it('createAlarm stores the alarm', async () => {
+            const data = ok(await call({
+                service: 'cloudwatch',
+                action: 'createAlarm',
+                alarmName: 'api-cpu',
+                metricName: 'CPUUtilization',
+                namespace: 'AWS/EC2',
+                threshold: 70,
+                comparisonOperator: 'GreaterThanThreshold',
+                dimensions: [{ Name: 'InstanceId', Value: 'i-0a1b2c3d4e5f60003' }]
+            }, OPERATOR));
+            assert.equal(data.created, true);
+
+            const stored = aws.regional('ap-south-1').cloudwatch.alarms.find(alarm => alarm.AlarmName === 'api-cpu');
+            assert.equal(stored.Threshold, 70);
+            assert.equal(stored.StateValue, 'INSUFFICIENT_DATA');
+        });
+
+        it('setAlarmState changes the state and records history', async () => {
+            ok(await call({ service: 'cloudwatch', action: 'setAlarmState', alarmName: 'lambda-errors', state: 'ALARM', reason: 'Testing the pager' }, OPERATOR));
+
+            const alarm = ok(await call({ service: 'cloudwatch', action: 'getAlarm', alarmName: 'lambda-errors' }));
+            assert.equal(alarm.state, 'ALARM');
+            assert.equal(alarm.stateReason, 'Testing the pager');
+        });
+
+        it('deleteAlarm needs admin and a confirmation', async () => {
+            const denied = await call({ service: 'cloudwatch', action: 'deleteAlarm', alarmName: 'rds-storage' }, OPERATOR);
+            assert.equal(denied.status, 403);
+
+            ok(await callConfirmed({ service: 'cloudwatch', action: 'deleteAlarm', alarmName: 'rds-storage' }));
+            const names = aws.regional('ap-south-1').cloudwatch.alarms.map(alarm => alarm.AlarmName);
+            assert.equal(names.includes('rds-storage'), false);
+        });
+
+        it('summary counts alarms by state', async () => {
+            const data = ok(await call({ service: 'cloudwatch', action: 'summary', fresh: true }));
+            assert.equal(data.total, 3);
+            assert.equal(data.byState.ALARM, 2);
+        });
+
+        it('viewers cannot change alarm state', async () => {
+            const res = await call({ service: 'cloudwatch', action: 'setAlarmState', alarmName: 'high-cpu-web', state: 'OK', reason: 'x' }, VIEWER);
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('metrics', () => {
+        it('getMetrics returns datapoints for a known metric', async () => {
+            const data = ok(await call({
+                service: 'cloudwatch',
+                action: 'getMetrics',
+                namespace: 'AWS/EC2',
+                metricName: 'CPUUtilization',
+                dimensions: WEB_DIMENSIONS,
+                hours: 2
+            }));
+            assert.equal(data.unit, 'Percent');
+            assert.equal(data.datapoints.length, 24);
+            assert.deepEqual(aws.callsTo('cloudwatch', 'GetMetricStatistics').pop().input.Dimensions, WEB_DIMENSIONS);
+        });
+
+        it('listMetrics groups metrics by namespace', async () => {
+            const data = ok(await call({ service: 'cloudwatch', action: 'listMetrics', namespace: 'AWS/RDS' }));
+            assert.deepEqual(Object.keys(data), ['AWS/RDS']);
+            assert.equal(data['AWS/RDS'][0].name, 'CPUUtilization');
+        });
+    });
+
+    it('covers every cloudwatch action', () => {
+        harness.assertAllExercised('cloudwatch');
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws } = harness;
+
+function isoDay(offsetDays) {
+    return new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+describe('cost', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('every cost action needs consent', async () => {
+        const res = await call({ service: 'cost', action: 'monthToDate' });
+        assert.equal(res.status, 428);
+        assert.equal(res.body.code, 'CONSENT_REQUIRED');
+        assert.ok(res.body.costWarning);
+        assert.equal(aws.callsTo('costexplorer').length, 0);
+    });
+
+    it('getUsage returns Cost Explorer results by day', async () => {
+        const data = ok(await call({ service: 'cost', action: 'getUsage', startDate: isoDay(-10), endDate: isoDay(-7), consent: true }));
+        assert.equal(data.length, 3);
+        assert.equal(data[0].Groups.length, Object.keys(aws.state.dailyCosts).length);
+        assert.equal(aws.callsTo('costexplorer', 'GetCostAndUsage').pop().input.Granularity, 'DAILY');
+    });
+
+    it('byPeriod and monthToDate split the total by service', async () => {
+        const week = ok(await call({ service: 'cost', action: 'byPeriod', period: 'week', consent: true }));
+        assert.equal(week.period, 'week');
+        assert.ok(Math.abs(sum(week.byService.map(item => item.cost)) - week.totalCost) < 0.01);
+
+        const month = ok(await call({ service: 'cost', action: 'monthToDate', consent: true }));
+        assert.equal(month.byService[0].service, 'Amazon Elastic Compute Cloud - Compute');
+        assert.ok(month.totalCost > week.totalCost);
+    });
+
+    it('forecast returns the forecast total', async () => {
+        const data = ok(await call({ service: 'cost', action: 'forecast', startDate: isoDay(1), endDate: isoDay(8), consent: true }));
+        const daily = sum(Object.values(aws.state.dailyCosts));
+        assert.ok(Math.abs(data.total.amount - daily * 7) < 0.01);
+    });
+
+    it('forecast of a past period is a validation error from AWS', async () => {
+        const res = await call({ service: 'cost', action: 'forecast', startDate: isoDay(-8), endDate: isoDay(-1), consent: true });
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.awsCode, 'ValidationException');
+    });
+
+    it('comparison compares this month with last month', async () => {
+        const data = ok(await call({ service: 'cost', action: 'comparison', consent: true }));
+        assert.ok(data.thisMonth.cost >= 0);
+        assert.ok(['increase', 'decrease', 'stable'].includes(data.difference.trend));
+    });
+
+    it('topServices ranks services by cost', async () => {
+        const data = ok(await call({ service: 'cost', action: 'topServices', limit: 2, consent: true }));
+        assert.deepEqual(data.topServices.map(item => item.service), [
+            'Amazon Elastic Compute Cloud - Compute',
+            'Amazon Relational Database Service'
+        ]);
+    });
+
+    it('trend returns one entry per day', async () => {
+        const data = ok(await call({ service: 'cost', action: 'trend', days: 7, consent: true }));
+        assert.ok(data.daily.length >= 7);
+        assert.ok(data.daily.every(day => day.cost > 0));
+    });
+
+    it('byTag splits the cost by tag value', async () => {
+        const data = ok(await call({ service: 'cost', action: 'byTag', tagKey: 'Project', consent: true }));
+        assert.deepEqual(data.byTagValue.map(item => [item.tagValue, item.percentage]), [
+            ['checkout', '60.0'],
+            ['analytics', '30.0'],
+            ['Untagged', '10.0']
+        ]);
+        assert.deepEqual(aws.callsTo('costexplorer', 'GetCostAndUsage').pop().input.GroupBy, [{ Type: 'TAG', Key: 'Project' }]);
+    });
+
+    it('covers every cost action', () => {
+        harness.assertAllExercised('cost');
+    });
+});
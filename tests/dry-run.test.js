@@ -0,0 +1,285 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const harness = require('./harness');
+
+const { call, post, ok, aws, catalyst, ADMIN, OPERATOR } = harness;
+
+const WEB = 'i-0a1b2c3d4e5f60001';
+const BATCH = 'i-0a1b2c3d4e5f60002';
+const WEB_SG = 'sg-0a1b2c3d4e5f60001';
+const OPS_ALERTS = `arn:aws:sns:ap-south-1:${aws.ACCOUNT_ID}:ops-alerts`;
+
+function widgetPost(path, body, userId = ADMIN) {
+    return post(path, { userId, ...body }, { userId });
+}
+
+function form(fields, files = {}) {
+    const data = new FormData();
+    for (const [name, value] of Object.entries(fields)) data.append(name, value);
+    for (const [name, list] of Object.entries(files)) {
+        for (const [fileName, content] of list) data.append(name, new Blob([content]), fileName);
+    }
+    return data;
+}
+
+function instanceState(id) {
+    return aws.regional('ap-south-1').ec2.instances.find(instance => instance.InstanceId === id).State.Name;
+}
+
+describe('dry run', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('previews an EC2 stop with AWS DryRun and leaves the instance running', async () => {
+        const data = ok(await call({ service: 'ec2', action: 'stop', instanceId: WEB, dryRun: true }, OPERATOR));
+        assert.equal(data.dryRun, true);
+        assert.equal(data.permitted, true);
+        assert.equal(data.permissionCheck, 'dry-run');
+        assert.equal(data.target, WEB);
+        assert.deepEqual(data.changes, [{ field: 'state', from: 'running', to: 'stopped' }]);
+        assert.deepEqual(data.warnings, []);
+        assert.match(data.message, /^Dry run - nothing was changed\..*AWS would allow it\.$/);
+
+        assert.equal(aws.callsTo('ec2', 'StopInstances')[0].input.DryRun, true);
+        assert.equal(instanceState(WEB), 'running');
+
+        const start = ok(await call({ service: 'ec2', action: 'start', instanceId: WEB, dryRun: true }, OPERATOR));
+        assert.deepEqual(start.changes, []);
+        assert.deepEqual(start.warnings, ['Instance is already running']);
+    });
+
+    it('reports what AWS would refuse, without asking for confirmation or approval', async () => {
+        aws.deny('ec2:TerminateInstances');
+
+        const res = await widgetPost('/widget/ec2?action=terminate', { instanceId: WEB, dryRun: true });
+        const data = ok(res);
+        assert.equal(data.permitted, false);
+        assert.deepEqual(data.denied, ['ec2:TerminateInstances']);
+        assert.match(data.message, /AWS would refuse it - missing ec2:TerminateInstances/);
+        assert.equal(instanceState(WEB), 'running');
+    });
+
+    it('warns about changes AWS would turn down', async () => {
+        const modify = ok(await widgetPost('/widget/ec2?action=modifyInstanceType', { instanceId: WEB, newInstanceType: 't3.small', dryRun: true }));
+        assert.deepEqual(modify.changes, [{ field: 'instanceType', from: 't3.micro', to: 't3.small' }]);
+        assert.deepEqual(modify.warnings, ['Instance is running - AWS only changes the type of stopped instances']);
+
+        const duplicate = ok(await widgetPost('/widget/ec2?action=addInboundRule', {
+            groupId: WEB_SG, rule: { protocol: 'tcp', fromPort: 22, toPort: 22, cidr: '10.0.0.0/16' }, dryRun: true
+        }));
+        assert.deepEqual(duplicate.changes, []);
+        assert.match(duplicate.warnings[0], /already has this rule/);
+
+        const added = ok(await widgetPost('/widget/ec2?action=addInboundRule', {
+            groupId: WEB_SG, rule: { protocol: 'tcp', fromPort: 8080, toPort: 8080, cidr: '10.0.0.0/16' }, dryRun: true
+        }));
+        assert.deepEqual(added.changes, [{ field: 'inboundRules', from: null, to: 'tcp 8080 from 10.0.0.0/16' }]);
+        assert.equal(aws.callsTo('ec2', 'AuthorizeSecurityGroupIngress').every(item => item.input.DryRun === true), true);
+    });
+
+    it('checks S3 deletes with the policy simulator', async () => {
+        const bucket = ok(await call({ service: 's3', action: 'deleteBucket', bucket: 'app-assets-prod', dryRun: true }, ADMIN));
+        assert.equal(bucket.permissionCheck, 'policy-simulation');
+        assert.equal(bucket.permitted, true);
+        assert.deepEqual(bucket.changes, []);
+        assert.match(bucket.warnings[0], /is not empty/);
+
+        const simulated = aws.callsTo('iam', 'SimulatePrincipalPolicy').at(-1).input;
+        assert.equal(simulated.PolicySourceArn, `arn:aws:iam::${aws.ACCOUNT_ID}:user/cliq-commander`);
+        assert.deepEqual(simulated.ActionNames, ['s3:DeleteBucket']);
+        assert.deepEqual(simulated.ResourceArns, ['arn:aws:s3:::app-assets-prod']);
+
+        const empty = ok(await call({ service: 's3', action: 'deleteBucket', bucket: 'empty-scratch', dryRun: true }, ADMIN));
+        assert.deepEqual(empty.changes, [{ field: 'bucket', from: 'empty-scratch', to: null }]);
+
+        const folder = ok(await widgetPost('/widget/s3/delete-folder', { bucket: 'app-assets-prod', folderKey: 'images/', dryRun: true }));
+        assert.equal(folder.objectCount, 2);
+        assert.deepEqual(folder.sampleKeys.sort(), ['images/banner.jpg', 'images/logo.png']);
+        assert.deepEqual(folder.changes, [{ field: 'objects', from: 2, to: 0 }]);
+
+        const missing = ok(await call({ service: 's3', action: 'deleteObject', bucket: 'app-assets-prod', key: 'nope.txt', dryRun: true }, OPERATOR));
+        assert.match(missing.warnings[0], /does not exist/);
+
+        assert.equal(aws.callsTo('s3', 'DeleteBucket').length, 0);
+        assert.equal(aws.callsTo('s3', 'DeleteObjects').length, 0);
+        assert.equal(aws.callsTo('s3', 'DeleteObject').length, 0);
+    });
+
+    it('checks RDS changes, including the snapshot taken first', async () => {
+        aws.deny('rds:CreateDBSnapshot');
+
+        const data = ok(await call({ service: 'rds', action: 'stop', dbInstanceId: 'orders-db', snapshotId: 'orders-before-stop', dryRun: true }, OPERATOR));
+        assert.equal(data.permitted, false);
+        assert.deepEqual(data.denied, ['rds:CreateDBSnapshot']);
+        assert.deepEqual(data.changes, [
+            { field: 'status', from: 'available', to: 'stopped' },
+            { field: 'snapshots', from: null, to: 'orders-before-stop' }
+        ]);
+        assert.match(data.warnings[0], /after 7 days/);
+        assert.equal(aws.callsTo('rds', 'StopDBInstance').length, 0);
+
+        const reboot = ok(await call({ service: 'rds', action: 'reboot', dbInstanceId: 'orders-db', forceFailover: true, dryRun: true }, OPERATOR));
+        assert.deepEqual(reboot.warnings, ['forceFailover needs a Multi-AZ DB instance']);
+    });
+
+    it('answers permitted: null when the policy simulator is out of reach', async () => {
+        aws.fail('iam', 'SimulatePrincipalPolicy', aws.awsError('AccessDenied', 'not authorized to perform: iam:SimulatePrincipalPolicy', 403), 1);
+
+        const data = ok(await call({ service: 'rds', action: 'start', dbInstanceId: 'analytics-db', dryRun: true }, OPERATOR));
+        assert.equal(data.permitted, null);
+        assert.equal(data.permissionCheck, 'unchecked');
+        assert.deepEqual(data.changes, [{ field: 'status', from: 'stopped', to: 'available' }]);
+        assert.match(data.message, /Permission was not checked \(IAM could not simulate it/);
+    });
+
+    it('diffs a Lambda configuration update', async () => {
+        const res = await widgetPost('/widget/lambda', {
+            action: 'updateConfiguration',
+            functionName: 'order-processor',
+            updates: { MemorySize: 512, Timeout: 60, Environment: { Variables: { TABLE_NAME: 'orders-v2' } } },
+            dryRun: true
+        });
+        const data = ok(res);
+        assert.deepEqual(data.changes, [
+            { field: 'MemorySize', from: 256, to: 512 },
+            { field: 'Environment.TABLE_NAME', from: 'orders', to: 'orders-v2' },
+            { field: 'Environment.API_KEY', from: 'sk-live-not-a-real-key', to: null }
+        ]);
+        assert.equal(aws.callsTo('lambda', 'UpdateFunctionConfiguration').length, 0);
+    });
+
+    it('previews S3 bucket creation, folders and uploads from a URL', async () => {
+        // Stands in for the file server uploadFromUrl would download from
+        const source = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/csv', 'Content-Length': 2048 });
+            res.end(req.method === 'HEAD' ? undefined : 'x'.repeat(2048));
+        });
+        await new Promise(resolve => source.listen(0, '127.0.0.1', resolve));
+        const sourceUrl = `http://127.0.0.1:${source.address().port}/export.csv`;
+
+        try {
+            const created = ok(await widgetPost('/widget/s3/create', { bucketName: 'new-bucket-dry', dryRun: true }));
+            assert.equal(created.permissionCheck, 'policy-simulation');
+            assert.deepEqual(created.changes, [{ field: 'bucket', from: null, to: 'new-bucket-dry' }]);
+            assert.equal(aws.state.s3.has('new-bucket-dry'), false);
+
+            const owned = ok(await call({ service: 's3', action: 'createBucket', bucket: 'app-assets-prod', dryRun: true }, ADMIN));
+            assert.deepEqual(owned.changes, []);
+            assert.deepEqual(owned.warnings, ['You already own bucket "app-assets-prod"']);
+
+            const folder = ok(await widgetPost('/widget/s3/create-folder', { bucket: 'app-assets-prod', folderName: 'reports', dryRun: true }));
+            assert.deepEqual(folder.changes, [{ field: 'folder', from: null, to: 'reports/' }]);
+
+            const upload = ok(await call({ service: 's3', action: 'uploadFromUrl', bucket: 'app-assets-prod', key: 'exports/today.csv', sourceUrl, dryRun: true }, OPERATOR));
+            assert.equal(upload.size, 2048);
+            assert.deepEqual(upload.changes, [{ field: 'object', from: null, to: 'exports/today.csv (2 KB)' }]);
+            assert.deepEqual(upload.warnings, []);
+
+            const unreachable = ok(await call({ service: 's3', action: 'uploadFromUrl', bucket: 'app-assets-prod', key: 'exports/gone.csv', sourceUrl: 'http://127.0.0.1:1/gone.csv', dryRun: true }, OPERATOR));
+            assert.match(unreachable.warnings[0], /could not be reached/);
+        } finally {
+            await new Promise(resolve => source.close(resolve));
+        }
+
+        assert.equal(aws.callsTo('s3', 'CreateBucket').length, 0);
+        assert.equal(aws.callsTo('s3', 'PutObject').length, 0);
+    });
+
+    it('checks Lambda invocations with the DryRun invocation type', async () => {
+        const data = ok(await call({ service: 'lambda', action: 'invoke', functionName: 'order-processor', invocationType: 'Event', dryRun: true }, OPERATOR));
+        assert.equal(data.permitted, true);
+        assert.equal(data.permissionCheck, 'dry-run');
+        assert.equal(data.warnings.length, 2);
+        assert.deepEqual(aws.callsTo('lambda', 'Invoke').map(item => item.input.InvocationType), ['DryRun']);
+
+        aws.deny('lambda:InvokeFunction');
+        const denied = ok(await widgetPost('/widget/lambda', { action: 'invoke', functionName: 'order-processor', dryRun: true }));
+        assert.equal(denied.permitted, false);
+        assert.deepEqual(denied.denied, ['lambda:InvokeFunction']);
+
+        const code = ok(await post('/widget/lambda', form(
+            { action: 'updateCode', functionName: 'order-processor', userId: ADMIN, dryRun: 'true' },
+            { zipFile: [['code.zip', Buffer.from('PK\u0003\u0004fake')]] }
+        )));
+        assert.deepEqual(code.changes, [{ field: 'CodeSize', from: 2048, to: 8 }]);
+        assert.equal(aws.callsTo('lambda', 'UpdateFunctionCode').length, 0);
+    });
+
+    it('diffs CloudWatch alarm changes', async () => {
+        const alarm = { service: 'cloudwatch', action: 'createAlarm', metricName: 'CPUUtilization', namespace: 'AWS/EC2', comparisonOperator: 'GreaterThanThreshold', dryRun: true };
+
+        const changed = ok(await call({ ...alarm, alarmName: 'high-cpu-web', threshold: 90 }, OPERATOR));
+        assert.deepEqual(changed.changes, [{ field: 'Threshold', from: 80, to: 90 }]);
+        assert.match(changed.warnings[0], /already exists/);
+
+        const created = ok(await call({ ...alarm, alarmName: 'high-cpu-batch', threshold: 70 }, OPERATOR));
+        assert.deepEqual(created.changes, [{ field: 'alarm', from: null, to: 'high-cpu-batch' }]);
+        const simulated = aws.callsTo('iam', 'SimulatePrincipalPolicy').at(-1).input;
+        assert.deepEqual(simulated.ResourceArns, [`arn:aws:cloudwatch:ap-south-1:${aws.ACCOUNT_ID}:alarm:high-cpu-batch`]);
+
+        const deleted = ok(await call({ service: 'cloudwatch', action: 'deleteAlarm', alarmName: 'lambda-errors', dryRun: true }, ADMIN));
+        assert.deepEqual(deleted.changes, [{ field: 'alarm', from: 'lambda-errors', to: null }]);
+
+        const state = ok(await call({ service: 'cloudwatch', action: 'setAlarmState', alarmName: 'high-cpu-web', state: 'OK', reason: 'Testing', dryRun: true }, OPERATOR));
+        assert.deepEqual(state.changes, [{ field: 'state', from: 'ALARM', to: 'OK' }]);
+        assert.match(state.warnings[0], /next evaluation/);
+
+        assert.equal(aws.callsTo('cloudwatch', 'PutMetricAlarm').length, 0);
+        assert.equal(aws.callsTo('cloudwatch', 'DeleteAlarms').length, 0);
+        assert.equal(aws.callsTo('cloudwatch', 'SetAlarmState').length, 0);
+    });
+
+    it('previews SNS messages, topics and subscriptions', async () => {
+        const sns = aws.regional('ap-south-1').sns;
+        const topics = sns.topics.length;
+        const subscriptions = sns.subscriptions.length;
+
+        const published = ok(await call({ service: 'sns', action: 'publish', topicArn: OPS_ALERTS, message: 'Deploy done', dryRun: true }, OPERATOR));
+        assert.equal(published.recipients, 1);
+        assert.deepEqual(published.changes, []);
+
+        const deleted = ok(await call({ service: 'sns', action: 'deleteTopic', topicArn: OPS_ALERTS, dryRun: true }, ADMIN));
+        assert.deepEqual(deleted.changes, [
+            { field: 'topic', from: OPS_ALERTS, to: null },
+            { field: 'subscriptions', from: 1, to: 0 }
+        ]);
+
+        const existing = ok(await call({ service: 'sns', action: 'createTopic', name: 'ops-alerts', dryRun: true }, OPERATOR));
+        assert.deepEqual(existing.changes, []);
+        assert.match(existing.warnings[0], /already exists/);
+        const created = ok(await call({ service: 'sns', action: 'createTopic', name: 'billing-alerts', dryRun: true }, OPERATOR));
+        assert.deepEqual(created.changes, [{ field: 'topic', from: null, to: 'billing-alerts' }]);
+
+        const again = ok(await call({ service: 'sns', action: 'subscribe', topicArn: OPS_ALERTS, protocol: 'email', endpoint: 'ops@example.com', dryRun: true }, OPERATOR));
+        assert.match(again.warnings[0], /already subscribed/);
+        const email = ok(await call({ service: 'sns', action: 'subscribe', topicArn: OPS_ALERTS, protocol: 'email', endpoint: 'oncall@example.com', dryRun: true }, OPERATOR));
+        assert.deepEqual(email.changes, [{ field: 'subscription', from: null, to: 'email:oncall@example.com' }]);
+        assert.match(email.warnings[0], /has to confirm/);
+
+        const unsubscribed = ok(await call({ service: 'sns', action: 'unsubscribe', subscriptionArn: sns.subscriptions[0].SubscriptionArn, dryRun: true }, OPERATOR));
+        assert.deepEqual(unsubscribed.changes, [{ field: 'subscription', from: 'email:ops@example.com', to: null }]);
+
+        assert.equal(sns.published.length, 0);
+        assert.equal(sns.topics.length, topics);
+        assert.equal(sns.subscriptions.length, subscriptions);
+    });
+
+    it('refuses actions without a dry run', async () => {
+        const roles = catalyst.rows('access_roles').length;
+        const res = await call({ service: 'access', action: 'assign', targetUserId: '5005', role: 'operator', dryRun: true }, ADMIN);
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'DRY_RUN_UNSUPPORTED');
+        assert.equal(catalyst.rows('access_roles').length, roles);
+    });
+
+    it('keeps dry runs out of the audit log and real runs in it', async () => {
+        assert.equal(catalyst.rows('audit_log').length, 0);
+
+        ok(await call({ service: 'ec2', action: 'start', instanceId: BATCH }, OPERATOR));
+        assert.equal(instanceState(BATCH), 'running');
+        assert.equal(catalyst.rows('audit_log').filter(row => row.action === 'start').length, 1);
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws, OPERATOR, VIEWER } = harness;
+
+const WEB = 'i-0a1b2c3d4e5f60001';
+const WORKER = 'i-0a1b2c3d4e5f60002';
+const MISSING = 'i-0fffffffffffffff0';
+
+describe('ec2', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    describe('read actions', () => {
+        it('list returns the instances of the requested region', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'list' }));
+            assert.deepEqual(data.instances.map(instance => instance.name), ['web-server', 'batch-worker', 'api-server']);
+            assert.equal(data.instances[0].type, 't3.micro');
+
+            const usEast = ok(await call({ service: 'ec2', action: 'list', region: 'us-east-1' }));
+            assert.deepEqual(usEast.instances.map(instance => instance.name), ['us-bastion']);
+        });
+
+        it('list filters by state', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'list', filters: { state: 'stopped' } }));
+            assert.deepEqual(data.instances.map(instance => instance.id), [WORKER]);
+        });
+
+        it('get returns one instance', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'get', instanceId: WEB }));
+            assert.equal(data.id, WEB);
+            assert.equal(data.state, 'running');
+        });
+
+        it('get maps a missing instance to NOT_FOUND', async () => {
+            const res = await call({ service: 'ec2', action: 'get', instanceId: MISSING });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'NOT_FOUND');
+        });
+
+        it('status reports the checks', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'status', instanceId: WEB }));
+            assert.equal(JSON.stringify(data).includes('ok'), true);
+        });
+
+        it('metrics returns CloudWatch datapoints', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'metrics', instanceId: WEB, hours: 1 }));
+            assert.ok(JSON.stringify(data).includes('CPUUtilization'));
+            assert.ok(aws.callsTo('cloudwatch', 'GetMetricStatistics').length > 0);
+        });
+
+        it('summary counts instances by state', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'summary' }));
+            assert.equal(data.total, 3);
+            assert.deepEqual(data.byState, { running: 2, stopped: 1 });
+        });
+
+        it('securityGroups, vpcs and subnets list the network', async () => {
+            const groups = ok(await call({ service: 'ec2', action: 'securityGroups' }));
+            assert.deepEqual(groups.securityGroups.map(group => group.name).sort(), ['default', 'web-sg']);
+
+            const vpcs = ok(await call({ service: 'ec2', action: 'vpcs' }));
+            assert.equal(vpcs.vpcs.length, 2);
+
+            const subnets = ok(await call({ service: 'ec2', action: 'subnets', vpcId: 'vpc-0a1b2c3d4e5f60001' }));
+            assert.deepEqual(subnets.map(subnet => subnet.name), ['public-a']);
+        });
+    });
+
+    describe('power actions', () => {
+        it('stop and start change the instance state', async () => {
+            ok(await call({ service: 'ec2', action: 'stop', instanceId: WEB }, OPERATOR));
+            assert.equal(aws.regional('ap-south-1').ec2.instances[0].State.Name, 'stopped');
+
+            ok(await call({ service: 'ec2', action: 'start', instanceId: WEB }, OPERATOR));
+            assert.equal(aws.regional('ap-south-1').ec2.instances[0].State.Name, 'running');
+        });
+
+        it('reboot of a stopped instance is a CONFLICT', async () => {
+            const res = await call({ service: 'ec2', action: 'reboot', instanceId: WORKER }, OPERATOR);
+            assert.equal(res.status, 409);
+            assert.equal(res.body.code, 'CONFLICT');
+        });
+
+        it('reboot of a running instance succeeds', async () => {
+            ok(await call({ service: 'ec2', action: 'reboot', instanceId: WEB }, OPERATOR));
+            assert.equal(aws.callsTo('ec2', 'RebootInstances').length, 2);
+        });
+
+        it('viewers cannot stop instances', async () => {
+            const res = await call({ service: 'ec2', action: 'stop', instanceId: WEB }, VIEWER);
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'FORBIDDEN');
+            assert.equal(aws.regional('ap-south-1').ec2.instances[0].State.Name, 'running');
+        });
+    });
+
+    it('covers every ec2 action', () => {
+        harness.assertAllExercised('ec2');
+    });
+});
@@ -0,0 +1,2165 @@
+'use strict';
+
+/**
+ * Fake AWS
+ * In-memory stand-in for the AWS APIs the services call
+ *
+ * install() swaps the send() of every SDK client class for one that answers
+ * from the state held here - the clients utils/aws-clients.js creates and the
+ * few made directly (the credential test's STS client). Everything above the
+ * SDK runs for real: the call wrapper (retries, limits, time budget), the
+ * services, the router and the widget controllers.
+ *
+ * The state is seeded with a small account (123456789012) in ap-south-1 -
+ * EC2, S3, Lambda, RDS, CloudWatch, Logs, SNS, IAM, Cost Explorer, Bedrock
+ * and STS - plus one instance in us-east-1. Commands change it the way AWS
+ * would (stopping an instance stops it, PutObject stores the object) and fail
+ * with AWS's error names (InvalidInstanceID.NotFound, NoSuchBucket...), so
+ * utils/aws-errors.js maps them as it would real ones. List calls page with
+ * the same tokens and limits as AWS.
+ *
+ * Tests can also:
+ *   fail(service, command, error, times)  make the next calls fail
+ *   revokeKey(accessKeyId)                reject a key as InvalidClientTokenId
+ *   deny(iamAction)                       refuse an IAM action (DryRun and the
+ *                                         policy simulator report it too)
+ *   calls                                 every command sent, in order
+ *   reset()                               reseed (call it before each file)
+ */
+
+const crypto = require('crypto');
+
+const ACCOUNT_ID = '123456789012';
+const HOME_REGION = 'ap-south-1';
+const CALLER_USER = 'cliq-commander';
+
+// SDK client class -> service name (same names as utils/aws-clients.js)
+const CLIENTS = [
+    [require('@aws-sdk/client-ec2').EC2Client, 'ec2'],
+    [require('@aws-sdk/client-s3').S3Client, 's3'],
+    [require('@aws-sdk/client-lambda').LambdaClient, 'lambda'],
+    [require('@aws-sdk/client-cloudwatch').CloudWatchClient, 'cloudwatch'],
+    [require('@aws-sdk/client-cloudwatch-logs').CloudWatchLogsClient, 'logs'],
+    [require('@aws-sdk/client-cost-explorer').CostExplorerClient, 'costexplorer'],
+    [require('@aws-sdk/client-bedrock-runtime').BedrockRuntimeClient, 'bedrock'],
+    [require('@aws-sdk/client-rds').RDSClient, 'rds'],
+    [require('@aws-sdk/client-sns').SNSClient, 'sns'],
+    [require('@aws-sdk/client-iam').IAMClient, 'iam'],
+    [require('@aws-sdk/client-sts').STSClient, 'sts']
+];
+
+const INSTANCE_STATE_CODES = {
+    pending: 0, running: 16, 'shutting-down': 32, terminated: 48, stopping: 64, stopped: 80
+};
+
+let state = null;
+let failures = [];
+let idCounter = 0;
+const calls = [];
+const originalSends = new Map();
+
+/*
+ * ============================================================================
+ * HELPERS
+ * ============================================================================
+ */
+
+/**
+ * Error shaped like the SDK's service exceptions
+ *
+ * @param {string} name - AWS error name (ThrottlingException, NoSuchBucket...)
+ * @param {string} message - AWS's message
+ * @param {number} status - HTTP status AWS answers with
+ */
+function awsError(name, message, status = 400) {
+    const error = new Error(message);
+    error.name = name;
+    error.Code = name;
+    error.$fault = status >= 500 ? 'server' : 'client';
+    error.$metadata = { httpStatusCode: status, requestId: crypto.randomUUID(), attempts: 1 };
+    return error;
+}
+
+function hex(length) {
+    idCounter++;
+    return idCounter.toString(16).padStart(length, '0');
+}
+
+function newId(prefix) {
+    return `${prefix}-0f${hex(15)}`;
+}
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+function tags(object) {
+    return Object.entries(object).map(([Key, Value]) => ({ Key, Value }));
+}
+
+/*
+ * One page of items. Tokens are offsets wrapped so they look opaque;
+ * anything else is rejected the way AWS rejects a stale token.
+ */
+function pageOf(items, token, size, tokenError = 'InvalidNextToken') {
+    let start = 0;
+    if (token) {
+        const match = /^fake:(\d+)$/.exec(Buffer.from(String(token), 'base64').toString('utf8'));
+        if (!match) throw awsError(tokenError, 'The specified pagination token is not valid');
+        start = Number(match[1]);
+    }
+    const end = start + size;
+    return {
+        page: items.slice(start, end),
+        next: end < items.length ? Buffer.from(`fake:${end}`).toString('base64') : undefined
+    };
+}
+
+function checkPageSize(value, min, max, fallback, parameter) {
+    if (value === undefined) return fallback;
+    if (value < min || value > max) {
+        throw awsError('InvalidParameterValue', `${parameter} must be between ${min} and ${max}`);
+    }
+    return value;
+}
+
+/*
+ * EC2-style Filters: every filter must match one of its values.
+ * tag:<key> filters read the item's Tags.
+ */
+function matchesFilters(item, filters, fields) {
+    return (filters || []).every(filter => {
+        const read = filter.Name.startsWith('tag:')
+            ? tagged => (tagged.Tags || []).filter(tag => tag.Key === filter.Name.slice(4)).map(tag => tag.Value)
+            : fields[filter.Name];
+        if (!read) throw awsError('InvalidParameterValue', `The filter '${filter.Name}' is invalid`);
+        const values = [].concat(read(item));
+        return filter.Values.some(value => values.includes(value));
+    });
+}
+
+function regional(region) {
+    if (!state.regions[region]) {
+        state.regions[region] = emptyRegion();
+    }
+    return state.regions[region];
+}
+
+function bodyToBuffer(body) {
+    if (body === undefined || body === null) return Buffer.alloc(0);
+    if (Buffer.isBuffer(body)) return body;
+    if (typeof body === 'string') return Buffer.from(body);
+    if (body instanceof Uint8Array) return Buffer.from(body);
+    throw awsError('InvalidRequest', 'The fake S3 only accepts string and buffer bodies');
+}
+
+function decodePayload(payload) {
+    if (payload === undefined || payload === null) return '';
+    return typeof payload === 'string' ? payload : Buffer.from(payload).toString('utf8');
+}
+
+/*
+ * ============================================================================
+ * SEED STATE
+ * ============================================================================
+ */
+
+function emptyRegion() {
+    return {
+        ec2: { instances: [], securityGroups: [], vpcs: [], subnets: [], volumes: [], addresses: [], snapshots: [], images: [] },
+        lambda: { functions: [], eventSourceMappings: [], invocations: [] },
+        rds: { instances: [], clusters: [], snapshots: [] },
+        cloudwatch: { alarms: [], history: [], metrics: [] },
+        logs: { groups: [] },
+        sns: { topics: [], subscriptions: [], published: [] }
+    };
+}
+
+function instance(id, name, type, stateName, extra = {}) {
+    return {
+        InstanceId: id,
+        InstanceType: type,
+        State: { Code: INSTANCE_STATE_CODES[stateName], Name: stateName },
+        Tags: tags({ Name: name, ...(extra.tags || {}) }),
+        PrivateIpAddress: extra.privateIp,
+        PublicIpAddress: stateName === 'running' ? extra.publicIp : undefined,
+        Placement: { AvailabilityZone: extra.az },
+        VpcId: extra.vpcId,
+        SubnetId: extra.subnetId,
+        LaunchTime: daysAgo(extra.ageDays || 30),
+        Architecture: 'x86_64',
+        KeyName: 'ops-key',
+        ImageId: 'ami-0f00000000000aaa1',
+        SecurityGroups: extra.securityGroups || []
+    };
+}
+
+function seedRegion(region) {
+    const data = emptyRegion();
+    const az = `${region}a`;
+
+    if (region === 'us-east-1') {
+        data.ec2.instances.push(instance('i-0b1b2c3d4e5f60001', 'us-bastion', 't3.nano', 'running', {
+            az, privateIp: '10.1.0.10', publicIp: '3.80.0.10', ageDays: 200
+        }));
+        return data;
+    }
+
+    const webSg = { GroupId: 'sg-0a1b2c3d4e5f60001', GroupName: 'web-sg' };
+    const defaultSg = { GroupId: 'sg-0a1b2c3d4e5f60002', GroupName: 'default' };
+    const network = { az, vpcId: 'vpc-0a1b2c3d4e5f60001', subnetId: 'subnet-0a1b2c3d4e5f60001' };
+
+    data.ec2.instances.push(
+        instance('i-0a1b2c3d4e5f60001', 'web-server', 't3.micro', 'running', {
+            ...network, privateIp: '10.0.1.10', publicIp: '13.232.0.10', securityGroups: [webSg],
+            tags: { Environment: 'prod', Team: 'web' }
+        }),
+        instance('i-0a1b2c3d4e5f60002', 'batch-worker', 't3.large', 'stopped', {
+            ...network, privateIp: '10.0.1.20', securityGroups: [defaultSg], ageDays: 90,
+            tags: { Environment: 'dev', Team: 'data' }
+        }),
+        instance('i-0a1b2c3d4e5f60003', 'api-server', 'm5.large', 'running', {
+            ...network, privateIp: '10.0.1.30', publicIp: '13.232.0.30', securityGroups: [webSg, defaultSg],
+            tags: { Environment: 'prod', Team: 'api' }
+        })
+    );
+
+    data.ec2.securityGroups.push(
+        {
+            GroupId: webSg.GroupId,
+            GroupName: webSg.GroupName,
+            Description: 'Web servers',
+            VpcId: network.vpcId,
+            IpPermissions: [
+                { IpProtocol: 'tcp', FromPort: 80, ToPort: 80, IpRanges: [{ CidrIp: '0.0.0.0/0', Description: 'HTTP' }], Ipv6Ranges: [], UserIdGroupPairs: [] },
+                { IpProtocol: 'tcp', FromPort: 443, ToPort: 443, IpRanges: [{ CidrIp: '0.0.0.0/0', Description: 'HTTPS' }], Ipv6Ranges: [], UserIdGroupPairs: [] },
+                { IpProtocol: 'tcp', FromPort: 22, ToPort: 22, IpRanges: [{ CidrIp: '10.0.0.0/16', Description: 'SSH from VPC' }], Ipv6Ranges: [], UserIdGroupPairs: [] }
+            ],
+            IpPermissionsEgress: [
+                { IpProtocol: '-1', IpRanges: [{ CidrIp: '0.0.0.0/0' }], Ipv6Ranges: [], UserIdGroupPairs: [] }
+            ]
+        },
+        {
+            GroupId: defaultSg.GroupId,
+            GroupName: defaultSg.GroupName,
+            Description: 'default VPC security group',
+            VpcId: network.vpcId,
+            IpPermissions: [
+                { IpProtocol: '-1', IpRanges: [], Ipv6Ranges: [], UserIdGroupPairs: [{ GroupId: defaultSg.GroupId }] }
+            ],
+            IpPermissionsEgress: [
+                { IpProtocol: '-1', IpRanges: [{ CidrIp: '0.0.0.0/0' }], Ipv6Ranges: [], UserIdGroupPairs: [] }
+            ]
+        }
+    );
+
+    data.ec2.vpcs.push(
+        { VpcId: network.vpcId, CidrBlock: '10.0.0.0/16', IsDefault: false, State: 'available', Tags: tags({ Name: 'main-vpc' }) },
+        { VpcId: 'vpc-0a1b2c3d4e5f60002', CidrBlock: '172.31.0.0/16', IsDefault: true, State: 'available', Tags: [] }
+    );
+
+    data.ec2.subnets.push(
+        { SubnetId: network.subnetId, VpcId: network.vpcId, AvailabilityZone: az, CidrBlock: '10.0.1.0/24', AvailableIpAddressCount: 248, DefaultForAz: false, Tags: tags({ Name: 'public-a' }) },
+        { SubnetId: 'subnet-0a1b2c3d4e5f60002', VpcId: 'vpc-0a1b2c3d4e5f60002', AvailabilityZone: `${region}b`, CidrBlock: '172.31.0.0/20', AvailableIpAddressCount: 4091, DefaultForAz: true, Tags: [] }
+    );
+
+    data.ec2.volumes.push({
+        VolumeId: 'vol-0a1b2c3d4e5f60001',
+        Size: 8,
+        VolumeType: 'gp3',
+        State: 'in-use',
+        Encrypted: true,
+        Iops: 3000,
+        Throughput: 125,
+        Attachments: [{ InstanceId: 'i-0a1b2c3d4e5f60001', Device: '/dev/xvda', DeleteOnTermination: true, State: 'attached' }]
+    });
+
+    data.ec2.addresses.push({
+        AllocationId: 'eipalloc-0a1b2c3d4e5f60001',
+        PublicIp: '13.232.0.10',
+        PrivateIpAddress: '10.0.1.10',
+        InstanceId: 'i-0a1b2c3d4e5f60001',
+        AssociationId: 'eipassoc-0a1b2c3d4e5f60001',
+        Domain: 'vpc',
+        NetworkInterfaceId: 'eni-0a1b2c3d4e5f60001'
+    });
+
+    const functionArn = name => `arn:aws:lambda:${region}:${ACCOUNT_ID}:function:${name}`;
+    const lambdaFunction = (name, runtime, handler, extra = {}) => ({
+        FunctionName: name,
+        FunctionArn: functionArn(name),
+        Runtime: runtime,
+        Handler: handler,
+        MemorySize: extra.memory || 128,
+        Timeout: extra.timeout || 3,
+        CodeSize: extra.codeSize || 2048,
+        LastModified: daysAgo(extra.ageDays || 10).toISOString().replace('Z', '+0000'),
+        Description: extra.description || '',
+        Role: `arn:aws:iam::${ACCOUNT_ID}:role/lambda-exec-role`,
+        State: 'Active',
+        PackageType: 'Zip',
+        Architectures: ['x86_64'],
+        ...(extra.environment && { Environment: { Variables: extra.environment } })
+    });
+
+    data.lambda.functions.push(
+        lambdaFunction('image-resizer', 'nodejs20.x', 'index.handler', { memory: 512, timeout: 30, codeSize: 524288, description: 'Resizes uploaded images' }),
+        lambdaFunction('order-processor', 'python3.12', 'app.handler', { memory: 256, timeout: 60, environment: { TABLE_NAME: 'orders', API_KEY: 'sk-live-not-a-real-key' } }),
+        lambdaFunction('nightly-report', 'nodejs18.x', 'report.handler', { ageDays: 120 })
+    );
+
+    data.lambda.eventSourceMappings.push({
+        UUID: '6f0c1d8e-0000-4000-8000-00000000e5a1',
+        EventSourceArn: `arn:aws:sqs:${region}:${ACCOUNT_ID}:orders-queue`,
+        FunctionArn: functionArn('order-processor'),
+        State: 'Enabled',
+        BatchSize: 10,
+        LastModified: daysAgo(10)
+    });
+
+    data.rds.instances.push(
+        {
+            DBInstanceIdentifier: 'orders-db',
+            DBInstanceArn: `arn:aws:rds:${region}:${ACCOUNT_ID}:db:orders-db`,
+            DBInstanceStatus: 'available',
+            Engine: 'postgres',
+            EngineVersion: '16.3',
+            DBInstanceClass: 'db.t3.micro',
+            AllocatedStorage: 20,
+            Endpoint: { Address: `orders-db.abc123.${region}.rds.amazonaws.com`, Port: 5432 },
+            MultiAZ: false,
+            AvailabilityZone: az,
+            DBSubnetGroup: { VpcId: network.vpcId },
+            PubliclyAccessible: false,
+            StorageType: 'gp3',
+            StorageEncrypted: true,
+            InstanceCreateTime: daysAgo(200),
+            BackupRetentionPeriod: 7,
+            LatestRestorableTime: daysAgo(0),
+            TagList: tags({ Environment: 'prod', Team: 'api' })
+        },
+        {
+            DBInstanceIdentifier: 'analytics-db',
+            DBInstanceArn: `arn:aws:rds:${region}:${ACCOUNT_ID}:db:analytics-db`,
+            DBInstanceStatus: 'stopped',
+            Engine: 'mysql',
+            EngineVersion: '8.0.36',
+            DBInstanceClass: 'db.m5.large',
+            AllocatedStorage: 100,
+            Endpoint: { Address: `analytics-db.abc123.${region}.rds.amazonaws.com`, Port: 3306 },
+            MultiAZ: true,
+            AvailabilityZone: az,
+            DBSubnetGroup: { VpcId: network.vpcId },
+            PubliclyAccessible: false,
+            StorageType: 'gp3',
+            StorageEncrypted: true,
+            InstanceCreateTime: daysAgo(400),
+            BackupRetentionPeriod: 14,
+            TagList: tags({ Environment: 'dev', Team: 'data' })
+        }
+    );
+
+    data.rds.clusters.push({
+        DBClusterIdentifier: 'aurora-main',
+        DBClusterArn: `arn:aws:rds:${region}:${ACCOUNT_ID}:cluster:aurora-main`,
+        Status: 'available',
+        Engine: 'aurora-postgresql',
+        EngineVersion: '15.4',
+        Endpoint: `aurora-main.cluster-abc123.${region}.rds.amazonaws.com`,
+        ReaderEndpoint: `aurora-main.cluster-ro-abc123.${region}.rds.amazonaws.com`,
+        Port: 5432,
+        MultiAZ: true,
+        DBClusterMembers: [{ DBInstanceIdentifier: 'aurora-main-1', IsClusterWriter: true }],
+        AllocatedStorage: 1,
+        StorageEncrypted: true,
+        ClusterCreateTime: daysAgo(300),
+        TagList: tags({ Environment: 'prod', Team: 'payments' })
+    });
+
+    data.rds.snapshots.push({
+        DBSnapshotIdentifier: 'rds:orders-db-daily',
+        DBInstanceIdentifier: 'orders-db',
+        Status: 'available',
+        SnapshotType: 'automated',
+        Engine: 'postgres',
+        EngineVersion: '16.3',
+        AllocatedStorage: 20,
+        SnapshotCreateTime: daysAgo(1),
+        PercentProgress: 100,
+        Encrypted: true
+    });
+
+    const alarm = (name, metric, namespace, stateValue, dimensions, extra = {}) => ({
+        AlarmName: name,
+        AlarmArn: `arn:aws:cloudwatch:${region}:${ACCOUNT_ID}:alarm:${name}`,
+        AlarmDescription: extra.description,
+        StateValue: stateValue,
+        StateReason: extra.reason || `Seeded in ${stateValue}`,
+        StateUpdatedTimestamp: daysAgo(extra.updatedDaysAgo || 1),
+        MetricName: metric,
+        Namespace: namespace,
+        Statistic: 'Average',
+        Period: 300,
+        Threshold: extra.threshold || 80,
+        ComparisonOperator: 'GreaterThanThreshold',
+        EvaluationPeriods: 1,
+        Dimensions: dimensions,
+        ActionsEnabled: true,
+        AlarmActions: [],
+        OKActions: [],
+        InsufficientDataActions: []
+    });
+
+    data.cloudwatch.alarms.push(
+        alarm('high-cpu-web', 'CPUUtilization', 'AWS/EC2', 'ALARM', [{ Name: 'InstanceId', Value: 'i-0a1b2c3d4e5f60001' }], {
+            description: 'Web server CPU above 80%', reason: 'Threshold Crossed: 1 datapoint [91.2] was greater than the threshold (80.0).'
+        }),
+        alarm('lambda-errors', 'Errors', 'AWS/Lambda', 'OK', [{ Name: 'FunctionName', Value: 'order-processor' }], { threshold: 5 }),
+        alarm('rds-storage', 'FreeStorageSpace', 'AWS/RDS', 'INSUFFICIENT_DATA', [{ Name: 'DBInstanceIdentifier', Value: 'orders-db' }])
+    );
+
+    data.cloudwatch.history.push(
+        {
+            AlarmName: 'high-cpu-web',
+            Timestamp: daysAgo(1),
+            HistoryItemType: 'StateUpdate',
+            HistorySummary: 'Alarm updated from OK to ALARM',
+            HistoryData: JSON.stringify({ oldState: { stateValue: 'OK' }, newState: { stateValue: 'ALARM' } })
+        },
+        {
+            AlarmName: 'high-cpu-web',
+            Timestamp: daysAgo(30),
+            HistoryItemType: 'ConfigurationUpdate',
+            HistorySummary: 'Alarm "high-cpu-web" created',
+            HistoryData: JSON.stringify({ type: 'Create' })
+        }
+    );
+
+    for (const ec2Instance of data.ec2.instances) {
+        for (const metricName of ['CPUUtilization', 'NetworkIn', 'NetworkOut']) {
+            data.cloudwatch.metrics.push({ Namespace: 'AWS/EC2', MetricName: metricName, Dimensions: [{ Name: 'InstanceId', Value: ec2Instance.InstanceId }] });
+        }
+    }
+    for (const metricName of ['Invocations', 'Errors', 'Duration']) {
+        data.cloudwatch.metrics.push({ Namespace: 'AWS/Lambda', MetricName: metricName, Dimensions: [] });
+        for (const fn of data.lambda.functions) {
+            data.cloudwatch.metrics.push({ Namespace: 'AWS/Lambda', MetricName: metricName, Dimensions: [{ Name: 'FunctionName', Value: fn.FunctionName }] });
+        }
+    }
+    data.cloudwatch.metrics.push({ Namespace: 'AWS/RDS', MetricName: 'CPUUtilization', Dimensions: [{ Name: 'DBInstanceIdentifier', Value: 'orders-db' }] });
+
+    const now = Date.now();
+    const minutesAgo = minutes => now - minutes * 60 * 1000;
+    const logGroup = (name, retention, streams) => ({
+        logGroupName: name,
+        arn: `arn:aws:logs:${region}:${ACCOUNT_ID}:log-group:${name}:*`,
+        creationTime: daysAgo(60).getTime(),
+        retentionInDays: retention,
+        streams: streams.map(([streamName, events]) => ({
+            logStreamName: streamName,
+            creationTime: events.length > 0 ? events[0][0] : daysAgo(60).getTime(),
+            events: events.map(([timestamp, message]) => ({ timestamp, message, ingestionTime: timestamp + 500 }))
+        }))
+    });
+
+    data.logs.groups.push(
+        logGroup('/aws/lambda/image-resizer', 14, [
+            ['2025/01/01/[$LATEST]aaaa0001', [
+                [minutesAgo(20), 'START RequestId: 11111111-aaaa Version: $LATEST'],
+                [minutesAgo(20) + 100, 'Resized photo.jpg to 3 sizes'],
+                [minutesAgo(20) + 200, 'END RequestId: 11111111-aaaa']
+            ]]
+        ]),
+        logGroup('/aws/lambda/order-processor', undefined, [
+            ['2025/01/01/[$LATEST]bbbb0001', [
+                [minutesAgo(45), 'START RequestId: 22222222-bbbb Version: $LATEST'],
+                [minutesAgo(45) + 100, 'ERROR Could not reach payments API: timeout'],
+                [minutesAgo(45) + 200, 'END RequestId: 22222222-bbbb']
+            ]],
+            ['2025/01/01/[$LATEST]bbbb0002', [
+                [minutesAgo(5), 'Processed order 1001'],
+                [minutesAgo(4), 'Processed order 1002']
+            ]]
+        ]),
+        logGroup('/ec2/i-0a1b2c3d4e5f60001', 30, [
+            ['i-0a1b2c3d4e5f60001/syslog', [
+                [minutesAgo(10), 'systemd[1]: Started nginx.service'],
+                [minutesAgo(2), 'kernel: eth0 link up']
+            ]]
+        ])
+    );
+
+    const topicArn = name => `arn:aws:sns:${region}:${ACCOUNT_ID}:${name}`;
+    data.sns.topics.push(
+        { TopicArn: topicArn('ops-alerts'), DisplayName: 'Ops alerts' },
+        { TopicArn: topicArn('deployments'), DisplayName: '' }
+    );
+    data.sns.subscriptions.push(
+        { SubscriptionArn: `${topicArn('ops-alerts')}:0b0c1d2e-0000-4000-8000-000000000001`, Owner: ACCOUNT_ID, Protocol: 'email', Endpoint: 'ops@example.com', TopicArn: topicArn('ops-alerts') },
+        { SubscriptionArn: 'PendingConfirmation', Owner: ACCOUNT_ID, Protocol: 'https', Endpoint: 'https://hooks.example.com/deploy', TopicArn: topicArn('deployments') }
+    );
+
+    return data;
+}
+
+function seedS3() {
+    const object = (body, contentType, ageDays = 5) => {
+        const buffer = Buffer.from(body);
+        return {
+            Body: buffer,
+            ContentType: contentType,
+            LastModified: daysAgo(ageDays),
+            ETag: `"${crypto.createHash('md5').update(buffer).digest('hex')}"`,
+            Metadata: {},
+            StorageClass: 'STANDARD'
+        };
+    };
+
+    return new Map([
+        ['app-assets-prod', {
+            region: HOME_REGION,
+            created: daysAgo(300),
+            objects: new Map([
+                ['index.html', object('<html><body>Hello</body></html>', 'text/html')],
+                ['css/site.css', object('body { margin: 0 }', 'text/css')],
+                ['images/logo.png', object(Buffer.alloc(2048, 1), 'image/png', 40)],
+                ['images/banner.jpg', object(Buffer.alloc(8192, 2), 'image/jpeg', 20)],
+                ['reports/2025/q1-report.pdf', object(Buffer.alloc(4096, 3), 'application/pdf', 90)]
+            ])
+        }],
+        ['team-backups', {
+            region: 'us-east-1',
+            created: daysAgo(500),
+            objects: new Map([
+                ['db/2025-01-01.sql.gz', object(Buffer.alloc(16384, 4), 'application/gzip', 60)],
+                ['db/2025-01-02.sql.gz', object(Buffer.alloc(16384, 5), 'application/gzip', 59)]
+            ])
+        }],
+        ['empty-scratch', {
+            region: HOME_REGION,
+            created: daysAgo(2),
+            objects: new Map()
+        }]
+    ]);
+}
+
+function seedIAM() {
+    const user = (name, id, ageDays, passwordDaysAgo, extra = {}) => ({
+        UserName: name,
+        UserId: id,
+        Arn: `arn:aws:iam::${ACCOUNT_ID}:user/${name}`,
+        Path: '/',
+        CreateDate: daysAgo(ageDays),
+        PasswordLastUsed: passwordDaysAgo === null ? undefined : daysAgo(passwordDaysAgo),
+        accessKeys: extra.accessKeys || [],
+        mfaDevices: extra.mfaDevices || [],
+        policies: extra.policies || [],
+        groups: extra.groups || []
+    });
+
+    const trust = service => encodeURIComponent(JSON.stringify({
+        Version: '2012-10-17',
+        Statement: [{ Effect: 'Allow', Principal: { Service: service }, Action: 'sts:AssumeRole' }]
+    }));
+
+    const readOnly = { PolicyName: 'ReadOnlyAccess', PolicyArn: 'arn:aws:iam::aws:policy/ReadOnlyAccess' };
+    const admin = { PolicyName: 'AdministratorAccess', PolicyArn: 'arn:aws:iam::aws:policy/AdministratorAccess' };
+    const lambdaBasic = { PolicyName: 'AWSLambdaBasicExecutionRole', PolicyArn: 'arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole' };
+
+    return {
+        users: [
+            user(CALLER_USER, 'AIDA0000000000CLIQ01', 100, null, {
+                accessKeys: [{ AccessKeyId: 'AKIAFAKECLIQ00000001', Status: 'Active', CreateDate: daysAgo(100) }],
+                policies: [readOnly]
+            }),
+            user('alice', 'AIDA0000000000ALICE1', 400, 2, {
+                accessKeys: [{ AccessKeyId: 'AKIAFAKEALICE0000001', Status: 'Active', CreateDate: daysAgo(30) }],
+                mfaDevices: [{ SerialNumber: `arn:aws:iam::${ACCOUNT_ID}:mfa/alice`, EnableDate: daysAgo(390) }],
+                policies: [admin],
+                groups: [{ GroupName: 'admins', GroupId: 'AGPA00000000ADMINS01', Arn: `arn:aws:iam::${ACCOUNT_ID}:group/admins` }]
+            }),
+            user('bob', 'AIDA0000000000BOB001', 300, 120, {
+                accessKeys: [
+                    { AccessKeyId: 'AKIAFAKEBOB000000001', Status: 'Active', CreateDate: daysAgo(300) },
+                    { AccessKeyId: 'AKIAFAKEBOB000000002', Status: 'Inactive', CreateDate: daysAgo(200) }
+                ],
+                policies: [readOnly],
+                groups: [{ GroupName: 'developers', GroupId: 'AGPA0000000000DEVS01', Arn: `arn:aws:iam::${ACCOUNT_ID}:group/developers` }]
+            })
+        ],
+        roles: [
+            {
+                RoleName: 'lambda-exec-role', RoleId: 'AROA00000000LAMBDA01', Arn: `arn:aws:iam::${ACCOUNT_ID}:role/lambda-exec-role`,
+                Path: '/', CreateDate: daysAgo(300), Description: 'Lambda execution role', MaxSessionDuration: 3600,
+                AssumeRolePolicyDocument: trust('lambda.amazonaws.com'), policies: [lambdaBasic]
+            },
+            {
+                RoleName: 'CloudCommanderAccess', RoleId: 'AROA00000000CLIQ0001', Arn: `arn:aws:iam::${ACCOUNT_ID}:role/CloudCommanderAccess`,
+                Path: '/', CreateDate: daysAgo(50), Description: 'Assumed by the Cliq bot', MaxSessionDuration: 3600,
+                AssumeRolePolicyDocument: encodeURIComponent(JSON.stringify({
+                    Version: '2012-10-17',
+                    Statement: [{ Effect: 'Allow', Principal: { AWS: `arn:aws:iam::${ACCOUNT_ID}:root` }, Action: 'sts:AssumeRole', Condition: { StringEquals: { 'sts:ExternalId': 'cliq-external-id' } } }]
+                })),
+                externalId: 'cliq-external-id',
+                policies: [readOnly]
+            }
+        ],
+        policies: [
+            { PolicyName: 'ReadOnlyAccess', PolicyId: 'ANPA0000000000READ01', Arn: readOnly.PolicyArn, Path: '/', CreateDate: daysAgo(2000), UpdateDate: daysAgo(10), AttachmentCount: 3, IsAttachable: true, scope: 'AWS' },
+            { PolicyName: 'AdministratorAccess', PolicyId: 'ANPA00000000ADMIN001', Arn: admin.PolicyArn, Path: '/', CreateDate: daysAgo(2000), UpdateDate: daysAgo(2000), AttachmentCount: 1, IsAttachable: true, scope: 'AWS' },
+            { PolicyName: 'orders-table-access', PolicyId: 'ANPA00000000ORDERS01', Arn: `arn:aws:iam::${ACCOUNT_ID}:policy/orders-table-access`, Path: '/', CreateDate: daysAgo(90), UpdateDate: daysAgo(90), AttachmentCount: 0, IsAttachable: true, Description: 'Read and write the orders table', scope: 'Local' }
+        ],
+        accountMFAEnabled: 1
+    };
+}
+
+function seed() {
+    idCounter = 0;
+    return {
+        regions: {
+            [HOME_REGION]: seedRegion(HOME_REGION),
+            'us-east-1': seedRegion('us-east-1')
+        },
+        s3: seedS3(),
+        iam: seedIAM(),
+        // Cost per service per day (USD) - Cost Explorer answers from these
+        dailyCosts: {
+            'Amazon Elastic Compute Cloud - Compute': 4.12,
+            'Amazon Relational Database Service': 2.35,
+            'Amazon Simple Storage Service': 0.48,
+            'AmazonCloudWatch': 0.21,
+            'AWS Lambda': 0.17
+        },
+        // Share of the cost per value of the Project tag ('' = untagged)
+        tagShares: { checkout: 0.6, analytics: 0.3, '': 0.1 },
+        revokedKeys: new Set(),
+        // IAM actions the caller's policies leave out (see deny())
+        deniedActions: new Set(),
+        sessions: new Map(),
+        bedrockPrompts: []
+    };
+}
+
+/*
+ * ============================================================================
+ * EC2
+ * ============================================================================
+ */
+
+const INSTANCE_FILTERS = {
+    'instance-state-name': item => item.State.Name,
+    'instance-id': item => item.InstanceId,
+    'vpc-id': item => item.VpcId,
+    'instance-type': item => item.InstanceType
+};
+
+function findInstance(ec2, instanceId) {
+    const found = ec2.instances.find(item => item.InstanceId === instanceId);
+    if (!found) throw awsError('InvalidInstanceID.NotFound', `The instance ID '${instanceId}' does not exist`);
+    return found;
+}
+
+function findSecurityGroup(ec2, groupId) {
+    const found = ec2.securityGroups.find(group => group.GroupId === groupId);
+    if (!found) throw awsError('InvalidGroup.NotFound', `The security group '${groupId}' does not exist`);
+    return found;
+}
+
+function setInstanceState(item, name) {
+    item.State = { Code: INSTANCE_STATE_CODES[name], Name: name };
+}
+
+/*
+ * Start/Stop/Terminate: the instance settles in its new state at once, the
+ * response reports the transition as AWS does
+ */
+function changeInstances(ec2, instanceIds, transition) {
+    const found = instanceIds.map(instanceId => findInstance(ec2, instanceId));
+    return found.map(item => {
+        const previous = { ...item.State };
+        const { reported, settled } = transition(item);
+        setInstanceState(item, settled);
+        return {
+            InstanceId: item.InstanceId,
+            PreviousState: previous,
+            CurrentState: { Code: INSTANCE_STATE_CODES[reported], Name: reported }
+        };
+    });
+}
+
+function rejectTerminated(item) {
+    if (item.State.Name === 'terminated') {
+        throw awsError('IncorrectInstanceState', `The instance '${item.InstanceId}' is not in a state from which it can be started.`);
+    }
+}
+
+function sameRule(permission, rule) {
+    return permission.IpProtocol === String(rule.IpProtocol) &&
+        permission.FromPort === rule.FromPort &&
+        permission.ToPort === rule.ToPort;
+}
+
+function authorizeRules(list, permissions, groupId) {
+    for (const rule of permissions) {
+        let existing = list.find(permission => sameRule(permission, rule));
+        for (const range of rule.IpRanges || []) {
+            if (existing && existing.IpRanges.some(r => r.CidrIp === range.CidrIp)) {
+                throw awsError('InvalidPermission.Duplicate', `the specified rule "peer: ${range.CidrIp}, ${rule.IpProtocol}, from port: ${rule.FromPort}, to port: ${rule.ToPort}, ALLOW" already exists`);
+            }
+        }
+        if (!existing) {
+            existing = { IpProtocol: String(rule.IpProtocol), FromPort: rule.FromPort, ToPort: rule.ToPort, IpRanges: [], Ipv6Ranges: [], UserIdGroupPairs: [] };
+            list.push(existing);
+        }
+        existing.IpRanges.push(...(rule.IpRanges || []).map(range => ({ ...range })));
+    }
+    return { Return: true, SecurityGroupRules: permissions.map(() => ({ SecurityGroupRuleId: newId('sgr'), GroupId: groupId })) };
+}
+
+function revokeRules(list, permissions) {
+    for (const rule of permissions) {
+        const existing = list.find(permission => sameRule(permission, rule));
+        const ranges = rule.IpRanges || [];
+        const missing = !existing || ranges.some(range => !existing.IpRanges.some(r => r.CidrIp === range.CidrIp));
+        if (missing) {
+            throw awsError('InvalidPermission.NotFound', 'The specified rule does not exist in this security group.');
+        }
+        existing.IpRanges = existing.IpRanges.filter(r => !ranges.some(range => range.CidrIp === r.CidrIp));
+        if (existing.IpRanges.length === 0 && existing.Ipv6Ranges.length === 0 && existing.UserIdGroupPairs.length === 0) {
+            list.splice(list.indexOf(existing), 1);
+        }
+    }
+    return { Return: true };
+}
+
+const ec2 = {
+    DescribeInstances(input, { region }) {
+        const data = regional(region).ec2;
+        if (input.InstanceIds && input.MaxResults) {
+            throw awsError('InvalidParameterCombination', 'The parameter instancesSet cannot be used with the parameter maxResults');
+        }
+        let items = data.instances;
+        if (input.InstanceIds) {
+            items = input.InstanceIds.map(instanceId => findInstance(data, instanceId));
+        }
+        items = items.filter(item => matchesFilters(item, input.Filters, INSTANCE_FILTERS));
+
+        const size = checkPageSize(input.MaxResults, 5, 1000, 1000, 'MaxResults');
+        const { page, next } = pageOf(items, input.NextToken, size);
+        return {
+            Reservations: page.map(item => ({ ReservationId: `r-${item.InstanceId.slice(2)}`, OwnerId: ACCOUNT_ID, Instances: [item] })),
+            NextToken: next
+        };
+    },
+
+    StartInstances(input, { region }) {
+        return {
+            StartingInstances: changeInstances(regional(region).ec2, input.InstanceIds, item => {
+                rejectTerminated(item);
+                return item.State.Name === 'running'
+                    ? { reported: 'running', settled: 'running' }
+                    : { reported: 'pending', settled: 'running' };
+            })
+        };
+    },
+
+    StopInstances(input, { region }) {
+        return {
+            StoppingInstances: changeInstances(regional(region).ec2, input.InstanceIds, item => {
+                rejectTerminated(item);
+                return item.State.Name === 'stopped'
+                    ? { reported: 'stopped', settled: 'stopped' }
+                    : { reported: 'stopping', settled: 'stopped' };
+            })
+        };
+    },
+
+    RebootInstances(input, { region }) {
+        for (const instanceId of input.InstanceIds) {
+            const item = findInstance(regional(region).ec2, instanceId);
+            if (item.State.Name !== 'running') {
+                throw awsError('IncorrectState', `The instance '${instanceId}' is not in a state from which it can be rebooted.`);
+            }
+        }
+        return {};
+    },
+
+    TerminateInstances(input, { region }) {
+        return {
+            TerminatingInstances: changeInstances(regional(region).ec2, input.InstanceIds, () => ({ reported: 'shutting-down', settled: 'terminated' }))
+        };
+    },
+
+    DescribeInstanceStatus(input, { region }) {
+        const data = regional(region).ec2;
+        const items = (input.InstanceIds || data.instances.map(item => item.InstanceId))
+            .map(instanceId => findInstance(data, instanceId))
+            .filter(item => input.IncludeAllInstances || item.State.Name === 'running');
+
+        return {
+            InstanceStatuses: items.map(item => {
+                const running = item.State.Name === 'running';
+                const check = name => ({
+                    Status: running ? 'ok' : 'not-applicable',
+                    Details: running ? [{ Name: name, Status: 'passed' }] : []
+                });
+                return {
+                    InstanceId: item.InstanceId,
+                    AvailabilityZone: item.Placement.AvailabilityZone,
+                    InstanceState: item.State,
+                    SystemStatus: check('reachability'),
+                    InstanceStatus: check('reachability')
+                };
+            })
+        };
+    },
+
+    GetConsoleOutput(input, { region }) {
+        const item = findInstance(regional(region).ec2, input.InstanceId);
+        return {
+            InstanceId: item.InstanceId,
+            Timestamp: new Date(),
+            Output: Buffer.from(`[    0.000000] Linux version 6.1.0\r\nCloud-init finished for ${item.InstanceId}\r\n`).toString('base64')
+        };
+    },
+
+    DescribeSecurityGroups(input, { region }) {
+        const data = regional(region).ec2;
+        let items = data.securityGroups;
+        if (input.GroupIds) {
+            items = input.GroupIds.map(groupId => findSecurityGroup(data, groupId));
+        }
+        items = items.filter(item => matchesFilters(item, input.Filters, {
+            'vpc-id': group => group.VpcId,
+            'group-id': group => group.GroupId,
+            'group-name': group => group.GroupName
+        }));
+
+        const size = checkPageSize(input.MaxResults, 5, 1000, 1000, 'MaxResults');
+        const { page, next } = pageOf(items, input.NextToken, size);
+        return { SecurityGroups: page, NextToken: next };
+    },
+
+    DescribeVpcs(input, { region }) {
+        const size = checkPageSize(input.MaxResults, 5, 1000, 1000, 'MaxResults');
+        const { page, next } = pageOf(regional(region).ec2.vpcs, input.NextToken, size);
+        return { Vpcs: page, NextToken: next };
+    },
+
+    DescribeSubnets(input, { region }) {
+        const items = regional(region).ec2.subnets.filter(item => matchesFilters(item, input.Filters, {
+            'vpc-id': subnet => subnet.VpcId,
+            'availability-zone': subnet => subnet.AvailabilityZone
+        }));
+        return { Subnets: items };
+    },
+
+    DescribeVolumes(input, { region }) {
+        const items = regional(region).ec2.volumes.filter(item => matchesFilters(item, input.Filters, {
+            'attachment.instance-id': volume => volume.Attachments.map(attachment => attachment.InstanceId),
+            'volume-id': volume => volume.VolumeId
+        }));
+        return { Volumes: items };
+    },
+
+    CreateSnapshot(input, { region }) {
+        const data = regional(region).ec2;
+        if (!data.volumes.some(volume => volume.VolumeId === input.VolumeId)) {
+            throw awsError('InvalidVolume.NotFound', `The volume '${input.VolumeId}' does not exist.`);
+        }
+        const snapshot = {
+            SnapshotId: newId('snap'),
+            VolumeId: input.VolumeId,
+            State: 'pending',
+            StartTime: new Date(),
+            Progress: '',
+            Description: input.Description,
+            Tags: (input.TagSpecifications || []).flatMap(spec => spec.Tags || [])
+        };
+        data.snapshots.push(snapshot);
+        return snapshot;
+    },
+
+    CreateImage(input, { region }) {
+        const data = regional(region).ec2;
+        findInstance(data, input.InstanceId);
+        if (data.images.some(image => image.Name === input.Name)) {
+            throw awsError('InvalidAMIName.Duplicate', `AMI name ${input.Name} is already in use by AMI ${data.images.find(image => image.Name === input.Name).ImageId}`);
+        }
+        const image = { ImageId: newId('ami'), Name: input.Name, Description: input.Description, InstanceId: input.InstanceId };
+        data.images.push(image);
+        return { ImageId: image.ImageId };
+    },
+
+    AllocateAddress(input, { region }) {
+        const address = {
+            AllocationId: newId('eipalloc'),
+            PublicIp: `13.232.1.${regional(region).ec2.addresses.length + 10}`,
+            Domain: input.Domain || 'vpc'
+        };
+        regional(region).ec2.addresses.push(address);
+        return address;
+    },
+
+    AssociateAddress(input, { region }) {
+        const data = regional(region).ec2;
+        const address = data.addresses.find(item => item.AllocationId === input.AllocationId);
+        if (!address) throw awsError('InvalidAllocationID.NotFound', `The allocation ID '${input.AllocationId}' does not exist`);
+        const item = findInstance(data, input.InstanceId);
+        address.InstanceId = item.InstanceId;
+        address.PrivateIpAddress = item.PrivateIpAddress;
+        address.AssociationId = newId('eipassoc');
+        return { AssociationId: address.AssociationId };
+    },
+
+    DisassociateAddress(input, { region }) {
+        const address = regional(region).ec2.addresses.find(item => item.AssociationId === input.AssociationId);
+        if (!address) throw awsError('InvalidAssociationID.NotFound', `The association ID '${input.AssociationId}' does not exist`);
+        delete address.InstanceId;
+        delete address.AssociationId;
+        delete address.PrivateIpAddress;
+        return {};
+    },
+
+    DescribeAddresses(input, { region }) {
+        return { Addresses: regional(region).ec2.addresses };
+    },
+
+    ModifyInstanceAttribute(input, { region }) {
+        const item = findInstance(regional(region).ec2, input.InstanceId);
+        if (input.InstanceType) {
+            if (item.State.Name !== 'stopped') {
+                throw awsError('IncorrectInstanceState', `The instance '${item.InstanceId}' is not in the 'stopped' state.`);
+            }
+            item.InstanceType = input.InstanceType.Value;
+        }
+        return {};
+    },
+
+    DescribeInstanceTypes(input) {
+        const types = [
+            ['t3.nano', 2, 512, 'Up to 5 Gigabit'],
+            ['t3.micro', 2, 1024, 'Up to 5 Gigabit'],
+            ['t3.large', 2, 8192, 'Up to 5 Gigabit'],
+            ['m5.large', 2, 8192, 'Up to 10 Gigabit']
+        ];
+        return {
+            InstanceTypes: types.slice(0, input.MaxResults || types.length).map(([InstanceType, vcpus, memory, network]) => ({
+                InstanceType,
+                VCpuInfo: { DefaultVCpus: vcpus },
+                MemoryInfo: { SizeInMiB: memory },
+                NetworkInfo: { NetworkPerformance: network },
+                ProcessorInfo: { SupportedArchitectures: ['x86_64'] }
+            }))
+        };
+    },
+
+    AuthorizeSecurityGroupIngress(input, { region }) {
+        const group = findSecurityGroup(regional(region).ec2, input.GroupId);
+        return authorizeRules(group.IpPermissions, input.IpPermissions, group.GroupId);
+    },
+
+    AuthorizeSecurityGroupEgress(input, { region }) {
+        const group = findSecurityGroup(regional(region).ec2, input.GroupId);
+        return authorizeRules(group.IpPermissionsEgress, input.IpPermissions, group.GroupId);
+    },
+
+    RevokeSecurityGroupIngress(input, { region }) {
+        return revokeRules(findSecurityGroup(regional(region).ec2, input.GroupId).IpPermissions, input.IpPermissions);
+    },
+
+    RevokeSecurityGroupEgress(input, { region }) {
+        return revokeRules(findSecurityGroup(regional(region).ec2, input.GroupId).IpPermissionsEgress, input.IpPermissions);
+    }
+};
+
+/*
+ * ============================================================================
+ * S3
+ * ============================================================================
+ */
+
+function findBucket(name, errorName = 'NoSuchBucket') {
+    const bucket = state.s3.get(name);
+    if (!bucket) throw awsError(errorName, errorName === 'NotFound' ? 'NotFound' : 'The specified bucket does not exist', 404);
+    return bucket;
+}
+
+/*
+ * ListObjectsV2 entries in key order: keys, and with a delimiter the common
+ * prefixes they roll up into
+ */
+function listEntries(bucket, prefix, delimiter) {
+    const entries = [];
+    const seenPrefixes = new Set();
+    for (const key of [...bucket.objects.keys()].sort()) {
+        if (!key.startsWith(prefix)) continue;
+        const rest = key.slice(prefix.length);
+        const cut = delimiter ? rest.indexOf(delimiter) : -1;
+        if (cut >= 0) {
+            const commonPrefix = prefix + rest.slice(0, cut + delimiter.length);
+            if (!seenPrefixes.has(commonPrefix)) {
+                seenPrefixes.add(commonPrefix);
+                entries.push({ prefix: commonPrefix });
+            }
+        } else {
+            entries.push({ key });
+        }
+    }
+    return entries;
+}
+
+const s3 = {
+    ListBuckets(input) {
+        const buckets = [...state.s3.entries()].sort(([a], [b]) => a.localeCompare(b));
+        // AWS only reports BucketRegion when the request has parameters
+        const withRegion = input.MaxBuckets !== undefined || input.ContinuationToken !== undefined;
+        const { page, next } = pageOf(buckets, input.ContinuationToken, input.MaxBuckets || 10000, 'InvalidArgument');
+        return {
+            Buckets: page.map(([name, bucket]) => ({
+                Name: name,
+                CreationDate: bucket.created,
+                ...(withRegion && { BucketRegion: bucket.region })
+            })),
+            Owner: { ID: 'fake-owner' },
+            ContinuationToken: next
+        };
+    },
+
+    GetBucketLocation(input) {
+        const bucket = findBucket(input.Bucket);
+        return { LocationConstraint: bucket.region === 'us-east-1' ? undefined : bucket.region };
+    },
+
+    ListObjectsV2(input) {
+        const bucket = findBucket(input.Bucket);
+        const entries = listEntries(bucket, input.Prefix || '', input.Delimiter);
+        const { page, next } = pageOf(entries, input.ContinuationToken, input.MaxKeys === undefined ? 1000 : input.MaxKeys, 'InvalidArgument');
+
+        return {
+            Name: input.Bucket,
+            Prefix: input.Prefix || '',
+            KeyCount: page.length,
+            MaxKeys: input.MaxKeys === undefined ? 1000 : input.MaxKeys,
+            IsTruncated: next !== undefined,
+            NextContinuationToken: next,
+            Contents: page.filter(entry => entry.key).map(entry => {
+                const object = bucket.objects.get(entry.key);
+                return { Key: entry.key, Size: object.Body.length, LastModified: object.LastModified, ETag: object.ETag, StorageClass: object.StorageClass };
+            }),
+            CommonPrefixes: page.filter(entry => entry.prefix).map(entry => ({ Prefix: entry.prefix }))
+        };
+    },
+
+    HeadBucket(input) {
+        const bucket = findBucket(input.Bucket, 'NotFound');
+        return { BucketRegion: bucket.region };
+    },
+
+    HeadObject(input) {
+        const bucket = findBucket(input.Bucket, 'NotFound');
+        const object = bucket.objects.get(input.Key);
+        if (!object) throw awsError('NotFound', 'NotFound', 404);
+        return {
+            ContentLength: object.Body.length,
+            ContentType: object.ContentType,
+            LastModified: object.LastModified,
+            ETag: object.ETag,
+            Metadata: object.Metadata,
+            StorageClass: object.StorageClass === 'STANDARD' ? undefined : object.StorageClass
+        };
+    },
+
+    PutObject(input) {
+        const bucket = findBucket(input.Bucket);
+        const body = bodyToBuffer(input.Body);
+        const object = {
+            Body: body,
+            ContentType: input.ContentType || 'binary/octet-stream',
+            LastModified: new Date(),
+            ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"`,
+            Metadata: input.Metadata || {},
+            StorageClass: input.StorageClass || 'STANDARD'
+        };
+        bucket.objects.set(input.Key, object);
+        return { ETag: object.ETag };
+    },
+
+    DeleteObject(input) {
+        findBucket(input.Bucket).objects.delete(input.Key);
+        return {};
+    },
+
+    DeleteObjects(input) {
+        const bucket = findBucket(input.Bucket);
+        const deleted = input.Delete.Objects.map(({ Key }) => {
+            bucket.objects.delete(Key);
+            return { Key };
+        });
+        return input.Delete.Quiet ? {} : { Deleted: deleted };
+    },
+
+    CreateBucket(input, { region }) {
+        if (state.s3.has(input.Bucket)) {
+            throw awsError('BucketAlreadyOwnedByYou', 'Your previous request to create the named bucket succeeded and you already own it.', 409);
+        }
+        const location = (input.CreateBucketConfiguration && input.CreateBucketConfiguration.LocationConstraint) || 'us-east-1';
+        if (location !== region) {
+            throw awsError('IllegalLocationConstraintException', `The ${location} location constraint is incompatible for the region specific endpoint this request was sent to.`);
+        }
+        state.s3.set(input.Bucket, { region: location, created: new Date(), objects: new Map() });
+        return { Location: `/${input.Bucket}` };
+    },
+
+    DeleteBucket(input) {
+        const bucket = findBucket(input.Bucket);
+        if (bucket.objects.size > 0) {
+            throw awsError('BucketNotEmpty', 'The bucket you tried to delete is not empty', 409);
+        }
+        state.s3.delete(input.Bucket);
+        return {};
+    }
+};
+
+/*
+ * ============================================================================
+ * LAMBDA
+ * ============================================================================
+ */
+
+function findFunction(region, nameOrArn) {
+    const name = String(nameOrArn).split(':function:').pop().split(':')[0];
+    const found = regional(region).lambda.functions.find(fn => fn.FunctionName === name);
+    if (!found) {
+        throw awsError('ResourceNotFoundException', `Function not found: arn:aws:lambda:${region}:${ACCOUNT_ID}:function:${name}`, 404);
+    }
+    return found;
+}
+
+const UPDATABLE_SETTINGS = ['Description', 'Handler', 'Runtime', 'Role', 'Timeout', 'MemorySize', 'Environment', 'EphemeralStorage', 'TracingConfig', 'Layers', 'VpcConfig'];
+
+const lambda = {
+    ListFunctions(input, { region }) {
+        const size = checkPageSize(input.MaxItems, 1, 50, 50, 'MaxItems');
+        const { page, next } = pageOf(regional(region).lambda.functions, input.Marker, size);
+        return { Functions: page, NextMarker: next };
+    },
+
+    GetAccountSettings(input, { region }) {
+        const functions = regional(region).lambda.functions;
+        return {
+            AccountLimit: { TotalCodeSize: 80530636800, CodeSizeUnzipped: 262144000, ConcurrentExecutions: 1000 },
+            AccountUsage: { FunctionCount: functions.length, TotalCodeSize: functions.reduce((sum, fn) => sum + fn.CodeSize, 0) }
+        };
+    },
+
+    GetFunction(input, { region }) {
+        const fn = findFunction(region, input.FunctionName);
+        return {
+            Configuration: fn,
+            Code: { RepositoryType: 'S3', Location: `https://awslambda-${region}-tasks.s3.${region}.amazonaws.com/snapshots/${ACCOUNT_ID}/${fn.FunctionName}` }
+        };
+    },
+
+    /*
+     * Functions echo their event back. An event with fail: true makes them
+     * throw, the way an unhandled error comes back from Lambda.
+     */
+    Invoke(input, { region }) {
+        const fn = findFunction(region, input.FunctionName);
+        const raw = decodePayload(input.Payload);
+        let event = {};
+        if (raw) {
+            try {
+                event = JSON.parse(raw);
+            } catch (error) {
+                throw awsError('InvalidRequestContentException', 'Could not parse request body into json', 400);
+            }
+        }
+
+        const invocationType = input.InvocationType || 'RequestResponse';
+        regional(region).lambda.invocations.push({ functionName: fn.FunctionName, invocationType, event });
+
+        if (invocationType === 'DryRun') return { StatusCode: 204 };
+        if (invocationType === 'Event') return { StatusCode: 202 };
+
+        const failed = event && event.fail === true;
+        const result = failed
+            ? { errorMessage: 'Requested failure', errorType: 'Error' }
+            : { statusCode: 200, body: JSON.stringify({ function: fn.FunctionName, received: event }) };
+        const log = `START RequestId: fake Version: $LATEST\n${failed ? 'ERROR Requested failure\n' : ''}END RequestId: fake\n`;
+
+        return {
+            StatusCode: 200,
+            ExecutedVersion: '$LATEST',
+            ...(failed && { FunctionError: 'Unhandled' }),
+            ...(input.LogType === 'Tail' && { LogResult: Buffer.from(log).toString('base64') }),
+            Payload: new Uint8Array(Buffer.from(JSON.stringify(result)))
+        };
+    },
+
+    ListEventSourceMappings(input, { region }) {
+        let mappings = regional(region).lambda.eventSourceMappings;
+        if (input.FunctionName) {
+            const fn = findFunction(region, input.FunctionName);
+            mappings = mappings.filter(mapping => mapping.FunctionArn === fn.FunctionArn);
+        }
+        return { EventSourceMappings: mappings };
+    },
+
+    UpdateFunctionCode(input, { region }) {
+        const fn = findFunction(region, input.FunctionName);
+        fn.CodeSize = input.ZipFile ? input.ZipFile.length : fn.CodeSize;
+        fn.LastModified = new Date().toISOString().replace('Z', '+0000');
+        return fn;
+    },
+
+    UpdateFunctionConfiguration(input, { region }) {
+        const fn = findFunction(region, input.FunctionName);
+        for (const setting of UPDATABLE_SETTINGS) {
+            if (input[setting] !== undefined) fn[setting] = input[setting];
+        }
+        fn.LastModified = new Date().toISOString().replace('Z', '+0000');
+        return fn;
+    }
+};
+
+/*
+ * ============================================================================
+ * CLOUDWATCH
+ * ============================================================================
+ */
+
+const METRIC_UNITS = {
+    CPUUtilization: 'Percent', NetworkIn: 'Bytes', NetworkOut: 'Bytes',
+    Invocations: 'Count', Errors: 'Count', Duration: 'Milliseconds', FreeStorageSpace: 'Bytes'
+};
+
+// CloudWatch answers at most this many datapoints per call
+const MAX_DATAPOINTS = 1440;
+
+function findAlarm(region, name) {
+    const found = regional(region).cloudwatch.alarms.find(alarm => alarm.AlarmName === name);
+    if (!found) throw awsError('ResourceNotFound', `Alarm ${name} does not exist`, 404);
+    return found;
+}
+
+function sameDimensions(a = [], b = []) {
+    return a.length === b.length && a.every(dimension => b.some(other => other.Name === dimension.Name && other.Value === dimension.Value));
+}
+
+/*
+ * Repeatable values: a wave whose level depends on the metric and dimensions
+ */
+function metricValue(seedText, index) {
+    const level = crypto.createHash('md5').update(seedText).digest()[0] % 50 + 10;
+    return Math.round((level + 8 * Math.sin(index / 3)) * 100) / 100;
+}
+
+const cloudwatch = {
+    DescribeAlarms(input, { region }) {
+        let alarms = regional(region).cloudwatch.alarms;
+        if (input.AlarmNames) alarms = alarms.filter(alarm => input.AlarmNames.includes(alarm.AlarmName));
+        if (input.AlarmNamePrefix) alarms = alarms.filter(alarm => alarm.AlarmName.startsWith(input.AlarmNamePrefix));
+        if (input.StateValue) alarms = alarms.filter(alarm => alarm.StateValue === input.StateValue);
+
+        const size = checkPageSize(input.MaxRecords, 1, 100, 50, 'MaxRecords');
+        const { page, next } = pageOf(alarms, input.NextToken, size);
+        return { MetricAlarms: page, CompositeAlarms: [], NextToken: next };
+    },
+
+    DescribeAlarmHistory(input, { region }) {
+        const items = regional(region).cloudwatch.history
+            .filter(item => !input.AlarmName || item.AlarmName === input.AlarmName)
+            .filter(item => !input.HistoryItemType || item.HistoryItemType === input.HistoryItemType)
+            .sort((a, b) => b.Timestamp - a.Timestamp);
+        return { AlarmHistoryItems: items.slice(0, input.MaxRecords || 100) };
+    },
+
+    GetMetricStatistics(input, { region }) {
+        const start = new Date(input.StartTime).getTime();
+        const end = new Date(input.EndTime).getTime();
+        const periodMs = input.Period * 1000;
+        const count = Math.floor((end - start) / periodMs);
+        if (count > MAX_DATAPOINTS) {
+            throw awsError('InvalidParameterCombination', `You have requested up to ${count} datapoints, which exceeds the limit of ${MAX_DATAPOINTS}. You may reduce the datapoints requested by increasing Period, or decreasing the time range.`);
+        }
+
+        const known = regional(region).cloudwatch.metrics.some(metric =>
+            metric.Namespace === input.Namespace && metric.MetricName === input.MetricName && sameDimensions(metric.Dimensions, input.Dimensions)
+        );
+        if (!known) return { Label: input.MetricName, Datapoints: [] };
+
+        const seedText = `${input.Namespace}/${input.MetricName}/${JSON.stringify(input.Dimensions || [])}`;
+        const datapoints = [];
+        for (let index = 0; index < count; index++) {
+            const value = metricValue(seedText, index);
+            const datapoint = { Timestamp: new Date(start + index * periodMs), Unit: METRIC_UNITS[input.MetricName] || 'None' };
+            for (const statistic of input.Statistics || []) {
+                datapoint[statistic] = {
+                    Average: value, Maximum: value + 5, Minimum: Math.max(0, value - 5), Sum: Math.round(value), SampleCount: 5
+                }[statistic];
+            }
+            datapoints.push(datapoint);
+        }
+        return { Label: input.MetricName, Datapoints: datapoints };
+    },
+
+    PutMetricAlarm(input, { region }) {
+        const data = regional(region).cloudwatch;
+        const existing = data.alarms.find(alarm => alarm.AlarmName === input.AlarmName);
+        const alarm = {
+            AlarmName: input.AlarmName,
+            AlarmArn: `arn:aws:cloudwatch:${region}:${ACCOUNT_ID}:alarm:${input.AlarmName}`,
+            AlarmDescription: input.AlarmDescription,
+            StateValue: existing ? existing.StateValue : 'INSUFFICIENT_DATA',
+            StateReason: existing ? existing.StateReason : 'Unchecked: Initial alarm creation',
+            StateUpdatedTimestamp: existing ? existing.StateUpdatedTimestamp : new Date(),
+            MetricName: input.MetricName,
+            Namespace: input.Namespace,
+            Statistic: input.Statistic,
+            Period: input.Period,
+            Threshold: input.Threshold,
+            ComparisonOperator: input.ComparisonOperator,
+            EvaluationPeriods: input.EvaluationPeriods,
+            Dimensions: input.Dimensions || [],
+            ActionsEnabled: input.ActionsEnabled !== false,
+            AlarmActions: input.AlarmActions || [],
+            OKActions: input.OKActions || [],
+            InsufficientDataActions: input.InsufficientDataActions || []
+        };
+        if (existing) data.alarms.splice(data.alarms.indexOf(existing), 1, alarm);
+        else data.alarms.push(alarm);
+
+        data.history.push({
+            AlarmName: input.AlarmName,
+            Timestamp: new Date(),
+            HistoryItemType: 'ConfigurationUpdate',
+            HistorySummary: `Alarm "${input.AlarmName}" ${existing ? 'updated' : 'created'}`,
+            HistoryData: JSON.stringify({ type: existing ? 'Update' : 'Create' })
+        });
+        return {};
+    },
+
+    DeleteAlarms(input, { region }) {
+        const data = regional(region).cloudwatch;
+        for (const name of input.AlarmNames) findAlarm(region, name);
+        data.alarms = data.alarms.filter(alarm => !input.AlarmNames.includes(alarm.AlarmName));
+        return {};
+    },
+
+    SetAlarmState(input, { region }) {
+        const alarm = findAlarm(region, input.AlarmName);
+        const oldState = alarm.StateValue;
+        alarm.StateValue = input.StateValue;
+        alarm.StateReason = input.StateReason;
+        alarm.StateUpdatedTimestamp = new Date();
+        regional(region).cloudwatch.history.push({
+            AlarmName: input.AlarmName,
+            Timestamp: new Date(),
+            HistoryItemType: 'StateUpdate',
+            HistorySummary: `Alarm updated from ${oldState} to ${input.StateValue}`,
+            HistoryData: JSON.stringify({ oldState: { stateValue: oldState }, newState: { stateValue: input.StateValue, stateReason: input.StateReason } })
+        });
+        return {};
+    },
+
+    ListMetrics(input, { region }) {
+        const metrics = regional(region).cloudwatch.metrics
+            .filter(metric => !input.Namespace || metric.Namespace === input.Namespace)
+            .filter(metric => !input.MetricName || metric.MetricName === input.MetricName);
+        const { page, next } = pageOf(metrics, input.NextToken, 500);
+        return { Metrics: page, NextToken: next };
+    }
+};
+
+/*
+ * ============================================================================
+ * CLOUDWATCH LOGS
+ * ============================================================================
+ */
+
+function findLogGroup(region, name) {
+    const found = regional(region).logs.groups.find(group => group.logGroupName === name);
+    if (!found) throw awsError('ResourceNotFoundException', 'The specified log group does not exist.', 400);
+    return found;
+}
+
+function describeStream(stream) {
+    const timestamps = stream.events.map(event => event.timestamp);
+    return {
+        logStreamName: stream.logStreamName,
+        creationTime: stream.creationTime,
+        firstEventTimestamp: timestamps.length ? Math.min(...timestamps) : undefined,
+        lastEventTimestamp: timestamps.length ? Math.max(...timestamps) : undefined,
+        lastIngestionTime: timestamps.length ? Math.max(...timestamps) + 500 : undefined,
+        storedBytes: 0
+    };
+}
+
+/*
+ * Filter pattern subset: terms must all appear; ?terms - any one must;
+ * "quoted text" is one term
+ */
+function matchesPattern(message, pattern) {
+    if (!pattern || !pattern.trim()) return true;
+    const terms = pattern.match(/\??"[^"]*"|\S+/g).map(term => ({
+        optional: term.startsWith('?'),
+        text: term.replace(/^\?/, '').replace(/^"|"$/g, '')
+    }));
+    const optional = terms.filter(term => term.optional);
+    const required = terms.filter(term => !term.optional);
+    return required.every(term => message.includes(term.text)) &&
+        (optional.length === 0 || optional.some(term => message.includes(term.text)));
+}
+
+const logs = {
+    DescribeLogGroups(input, { region }) {
+        const groups = regional(region).logs.groups
+            .filter(group => !input.logGroupNamePrefix || group.logGroupName.startsWith(input.logGroupNamePrefix))
+            .sort((a, b) => a.logGroupName.localeCompare(b.logGroupName));
+        const size = checkPageSize(input.limit, 1, 50, 50, 'limit');
+        const { page, next } = pageOf(groups, input.nextToken, size);
+        return {
+            logGroups: page.map(group => ({
+                logGroupName: group.logGroupName,
+                arn: group.arn,
+                creationTime: group.creationTime,
+                retentionInDays: group.retentionInDays,
+                storedBytes: group.streams.reduce((sum, stream) => sum + stream.events.reduce((size, event) => size + event.message.length, 0), 0)
+            })),
+            nextToken: next
+        };
+    },
+
+    DescribeLogStreams(input, { region }) {
+        const group = findLogGroup(region, input.logGroupName);
+        let streams = group.streams.map(describeStream)
+            .filter(stream => !input.logStreamNamePrefix || stream.logStreamName.startsWith(input.logStreamNamePrefix));
+
+        streams.sort(input.orderBy === 'LastEventTime'
+            ? (a, b) => (a.lastEventTimestamp || 0) - (b.lastEventTimestamp || 0)
+            : (a, b) => a.logStreamName.localeCompare(b.logStreamName));
+        if (input.descending) streams = streams.reverse();
+
+        const size = checkPageSize(input.limit, 1, 50, 50, 'limit');
+        const { page, next } = pageOf(streams, input.nextToken, size);
+        return { logStreams: page, nextToken: next };
+    },
+
+    GetLogEvents(input, { region }) {
+        const group = findLogGroup(region, input.logGroupName);
+        const stream = group.streams.find(item => item.logStreamName === input.logStreamName);
+        if (!stream) throw awsError('ResourceNotFoundException', 'The specified log stream does not exist.', 400);
+
+        let events = stream.events
+            .filter(event => !input.startTime || event.timestamp >= input.startTime)
+            .filter(event => !input.endTime || event.timestamp < input.endTime);
+        const limit = input.limit || 10000;
+        events = input.startFromHead ? events.slice(0, limit) : events.slice(-limit);
+
+        return {
+            events,
+            nextForwardToken: `f/${String(events.length).padStart(56, '0')}`,
+            nextBackwardToken: `b/${String(0).padStart(56, '0')}`
+        };
+    },
+
+    FilterLogEvents(input, { region }) {
+        const group = findLogGroup(region, input.logGroupName);
+        const events = group.streams
+            .filter(stream => !input.logStreamNames || input.logStreamNames.includes(stream.logStreamName))
+            .filter(stream => !input.logStreamNamePrefix || stream.logStreamName.startsWith(input.logStreamNamePrefix))
+            .flatMap(stream => stream.events.map((event, index) => ({
+                logStreamName: stream.logStreamName,
+                timestamp: event.timestamp,
+                message: event.message,
+                ingestionTime: event.ingestionTime,
+                eventId: `${event.timestamp}${index}`
+            })))
+            .filter(event => !input.startTime || event.timestamp >= input.startTime)
+            .filter(event => !input.endTime || event.timestamp <= input.endTime)
+            .filter(event => matchesPattern(event.message, input.filterPattern))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        const { page, next } = pageOf(events, input.nextToken, input.limit || 10000);
+        return { events: page, nextToken: next, searchedLogStreams: [] };
+    },
+
+    CreateLogGroup(input, { region }) {
+        const groups = regional(region).logs.groups;
+        if (groups.some(group => group.logGroupName === input.logGroupName)) {
+            throw awsError('ResourceAlreadyExistsException', 'The specified log group already exists', 400);
+        }
+        groups.push({
+            logGroupName: input.logGroupName,
+            arn: `arn:aws:logs:${region}:${ACCOUNT_ID}:log-group:${input.logGroupName}:*`,
+            creationTime: Date.now(),
+            streams: []
+        });
+        return {};
+    },
+
+    PutRetentionPolicy(input, { region }) {
+        findLogGroup(region, input.logGroupName).retentionInDays = input.retentionInDays;
+        return {};
+    },
+
+    DeleteLogGroup(input, { region }) {
+        const group = findLogGroup(region, input.logGroupName);
+        const groups = regional(region).logs.groups;
+        groups.splice(groups.indexOf(group), 1);
+        return {};
+    }
+};
+
+/*
+ * ============================================================================
+ * RDS
+ * ============================================================================
+ */
+
+function findDBInstance(region, id) {
+    const found = regional(region).rds.instances.find(db => db.DBInstanceIdentifier === id);
+    if (!found) throw awsError('DBInstanceNotFound', `DBInstance ${id} not found.`, 404);
+    return found;
+}
+
+function requireDBStatus(db, status, verb) {
+    if (db.DBInstanceStatus !== status) {
+        throw awsError('InvalidDBInstanceState', `Instance ${db.DBInstanceIdentifier} is not ${status === 'available' ? 'in available state' : status}, cannot be ${verb}.`);
+    }
+}
+
+/*
+ * The response reports the transition; the instance settles at once
+ */
+function transitionDB(db, reported, settled) {
+    db.DBInstanceStatus = settled;
+    return { DBInstance: { ...db, DBInstanceStatus: reported } };
+}
+
+function rdsPage(items, input) {
+    const size = checkPageSize(input.MaxRecords, 20, 100, 100, 'MaxRecords');
+    const { page, next } = pageOf(items, input.Marker, size, 'InvalidParameterValue');
+    return { page, Marker: next };
+}
+
+const rds = {
+    DescribeDBInstances(input, { region }) {
+        const items = input.DBInstanceIdentifier
+            ? [findDBInstance(region, input.DBInstanceIdentifier)]
+            : regional(region).rds.instances;
+        const { page, Marker } = rdsPage(items, input);
+        return { DBInstances: page, Marker };
+    },
+
+    DescribeDBClusters(input, { region }) {
+        const clusters = regional(region).rds.clusters;
+        const items = input.DBClusterIdentifier ? clusters.filter(cluster => cluster.DBClusterIdentifier === input.DBClusterIdentifier) : clusters;
+        if (input.DBClusterIdentifier && items.length === 0) {
+            throw awsError('DBClusterNotFoundFault', `DBCluster ${input.DBClusterIdentifier} not found.`, 404);
+        }
+        const { page, Marker } = rdsPage(items, input);
+        return { DBClusters: page, Marker };
+    },
+
+    DescribeDBSnapshots(input, { region }) {
+        const items = regional(region).rds.snapshots
+            .filter(snapshot => !input.DBInstanceIdentifier || snapshot.DBInstanceIdentifier === input.DBInstanceIdentifier);
+        const { page, Marker } = rdsPage(items, input);
+        return { DBSnapshots: page, Marker };
+    },
+
+    DescribeAccountAttributes(input, { region }) {
+        const data = regional(region).rds;
+        return {
+            AccountQuotas: [
+                { AccountQuotaName: 'DBInstances', Used: data.instances.length, Max: 40 },
+                { AccountQuotaName: 'DBClusters', Used: data.clusters.length, Max: 40 },
+                { AccountQuotaName: 'ManualSnapshots', Used: data.snapshots.filter(s => s.SnapshotType === 'manual').length, Max: 100 }
+            ]
+        };
+    },
+
+    StartDBInstance(input, { region }) {
+        const db = findDBInstance(region, input.DBInstanceIdentifier);
+        requireDBStatus(db, 'stopped', 'started');
+        return transitionDB(db, 'starting', 'available');
+    },
+
+    StopDBInstance(input, { region }) {
+        const db = findDBInstance(region, input.DBInstanceIdentifier);
+        requireDBStatus(db, 'available', 'stopped');
+        if (input.DBSnapshotIdentifier) {
+            regional(region).rds.snapshots.push({
+                DBSnapshotIdentifier: input.DBSnapshotIdentifier,
+                DBInstanceIdentifier: db.DBInstanceIdentifier,
+                Status: 'creating',
+                SnapshotType: 'manual',
+                Engine: db.Engine,
+                EngineVersion: db.EngineVersion,
+                AllocatedStorage: db.AllocatedStorage,
+                SnapshotCreateTime: new Date(),
+                PercentProgress: 0,
+                Encrypted: db.StorageEncrypted
+            });
+        }
+        return transitionDB(db, 'stopping', 'stopped');
+    },
+
+    RebootDBInstance(input, { region }) {
+        const db = findDBInstance(region, input.DBInstanceIdentifier);
+        requireDBStatus(db, 'available', 'rebooted');
+        if (input.ForceFailover && !db.MultiAZ) {
+            throw awsError('InvalidParameterCombination', 'Cannot force failover on a DB instance that is not Multi-AZ.');
+        }
+        return transitionDB(db, 'rebooting', 'available');
+    }
+};
+
+/*
+ * ============================================================================
+ * SNS
+ * ============================================================================
+ */
+
+function findTopic(region, topicArn) {
+    const found = regional(region).sns.topics.find(topic => topic.TopicArn === topicArn);
+    if (!found) throw awsError('NotFoundException', 'Topic does not exist', 404);
+    return found;
+}
+
+const sns = {
+    ListTopics(input, { region }) {
+        const { page, next } = pageOf(regional(region).sns.topics, input.NextToken, 100);
+        return { Topics: page.map(topic => ({ TopicArn: topic.TopicArn })), NextToken: next };
+    },
+
+    GetTopicAttributes(input, { region }) {
+        const topic = findTopic(region, input.TopicArn);
+        const subscriptions = regional(region).sns.subscriptions.filter(sub => sub.TopicArn === topic.TopicArn);
+        const pending = subscriptions.filter(sub => sub.SubscriptionArn === 'PendingConfirmation').length;
+        return {
+            Attributes: {
+                TopicArn: topic.TopicArn,
+                Owner: ACCOUNT_ID,
+                DisplayName: topic.DisplayName || '',
+                SubscriptionsConfirmed: String(subscriptions.length - pending),
+                SubscriptionsPending: String(pending),
+                SubscriptionsDeleted: '0',
+                Policy: JSON.stringify({ Version: '2008-10-17', Id: '__default_policy_ID', Statement: [] }),
+                EffectiveDeliveryPolicy: JSON.stringify({ http: { defaultHealthyRetryPolicy: { numRetries: 3 } } })
+            }
+        };
+    },
+
+    ListSubscriptions(input, { region }) {
+        const { page, next } = pageOf(regional(region).sns.subscriptions, input.NextToken, 100);
+        return { Subscriptions: page, NextToken: next };
+    },
+
+    ListSubscriptionsByTopic(input, { region }) {
+        findTopic(region, input.TopicArn);
+        const items = regional(region).sns.subscriptions.filter(sub => sub.TopicArn === input.TopicArn);
+        const { page, next } = pageOf(items, input.NextToken, 100);
+        return { Subscriptions: page, NextToken: next };
+    },
+
+    Publish(input, { region }) {
+        if (input.TopicArn) findTopic(region, input.TopicArn);
+        else if (!input.PhoneNumber && !input.TargetArn) {
+            throw awsError('InvalidParameterException', 'Invalid parameter: TopicArn or TargetArn Reason: no value for required parameter');
+        }
+        if (input.Subject && input.Subject.length > 100) {
+            throw awsError('InvalidParameterException', 'Invalid parameter: Subject');
+        }
+        const messageId = crypto.randomUUID();
+        regional(region).sns.published.push({ MessageId: messageId, TopicArn: input.TopicArn, PhoneNumber: input.PhoneNumber, Subject: input.Subject, Message: input.Message });
+        return { MessageId: messageId };
+    },
+
+    CreateTopic(input, { region }) {
+        if (!/^[\w-]{1,256}(\.fifo)?$/.test(input.Name)) {
+            throw awsError('InvalidParameterException', 'Invalid parameter: Topic Name');
+        }
+        const topicArn = `arn:aws:sns:${region}:${ACCOUNT_ID}:${input.Name}`;
+        const topics = regional(region).sns.topics;
+        if (!topics.some(topic => topic.TopicArn === topicArn)) {
+            topics.push({ TopicArn: topicArn, DisplayName: (input.Attributes && input.Attributes.DisplayName) || '' });
+        }
+        return { TopicArn: topicArn };
+    },
+
+    DeleteTopic(input, { region }) {
+        const data = regional(region).sns;
+        data.topics = data.topics.filter(topic => topic.TopicArn !== input.TopicArn);
+        data.subscriptions = data.subscriptions.filter(sub => sub.TopicArn !== input.TopicArn);
+        return {};
+    },
+
+    Subscribe(input, { region }) {
+        findTopic(region, input.TopicArn);
+        const needsConfirmation = ['email', 'email-json', 'http', 'https'].includes(input.Protocol);
+        const subscriptionArn = needsConfirmation ? 'PendingConfirmation' : `${input.TopicArn}:${crypto.randomUUID()}`;
+        regional(region).sns.subscriptions.push({
+            SubscriptionArn: subscriptionArn, Owner: ACCOUNT_ID, Protocol: input.Protocol, Endpoint: input.Endpoint, TopicArn: input.TopicArn
+        });
+        return { SubscriptionArn: needsConfirmation ? 'pending confirmation' : subscriptionArn };
+    },
+
+    Unsubscribe(input, { region }) {
+        const data = regional(region).sns;
+        if (!data.subscriptions.some(sub => sub.SubscriptionArn === input.SubscriptionArn)) {
+            throw awsError('NotFoundException', 'Subscription does not exist', 404);
+        }
+        data.subscriptions = data.subscriptions.filter(sub => sub.SubscriptionArn !== input.SubscriptionArn);
+        return {};
+    }
+};
+
+/*
+ * ============================================================================
+ * IAM
+ * ============================================================================
+ */
+
+function findUser(name) {
+    const found = state.iam.users.find(user => user.UserName === name);
+    if (!found) throw awsError('NoSuchEntity', `The user with name ${name} cannot be found.`, 404);
+    return found;
+}
+
+function findRole(name) {
+    const found = state.iam.roles.find(role => role.RoleName === name);
+    if (!found) throw awsError('NoSuchEntity', `The role with name ${name} cannot be found.`, 404);
+    return found;
+}
+
+function iamPage(items, input, key) {
+    const { page, next } = pageOf(items, input.Marker, input.MaxItems || 100);
+    return { [key]: page, IsTruncated: next !== undefined, Marker: next };
+}
+
+function publicUser({ accessKeys, mfaDevices, policies, groups, ...user }) {
+    return user;
+}
+
+function publicRole({ policies, externalId, ...role }) {
+    return role;
+}
+
+const iam = {
+    ListUsers(input) {
+        return iamPage(state.iam.users.map(publicUser), input, 'Users');
+    },
+
+    GetUser(input) {
+        return { User: publicUser(findUser(input.UserName || CALLER_USER)) };
+    },
+
+    ListAccessKeys(input) {
+        const user = findUser(input.UserName || CALLER_USER);
+        return { AccessKeyMetadata: user.accessKeys.map(key => ({ UserName: user.UserName, ...key })), IsTruncated: false };
+    },
+
+    ListMFADevices(input) {
+        const user = findUser(input.UserName || CALLER_USER);
+        return { MFADevices: user.mfaDevices.map(device => ({ UserName: user.UserName, ...device })), IsTruncated: false };
+    },
+
+    ListAttachedUserPolicies(input) {
+        return { AttachedPolicies: findUser(input.UserName).policies, IsTruncated: false };
+    },
+
+    ListGroupsForUser(input) {
+        return { Groups: findUser(input.UserName).groups, IsTruncated: false };
+    },
+
+    ListRoles(input) {
+        return iamPage(state.iam.roles.map(publicRole), input, 'Roles');
+    },
+
+    GetRole(input) {
+        return { Role: publicRole(findRole(input.RoleName)) };
+    },
+
+    ListAttachedRolePolicies(input) {
+        return { AttachedPolicies: findRole(input.RoleName).policies, IsTruncated: false };
+    },
+
+    ListPolicies(input) {
+        const scope = input.Scope || 'All';
+        const policies = state.iam.policies
+            .filter(policy => scope === 'All' || policy.scope === scope)
+            .filter(policy => !input.OnlyAttached || policy.AttachmentCount > 0)
+            .map(({ scope: policyScope, ...policy }) => policy);
+        return iamPage(policies, input, 'Policies');
+    },
+
+    GetAccountSummary() {
+        return {
+            SummaryMap: {
+                Users: state.iam.users.length,
+                UsersQuota: 5000,
+                Groups: 2,
+                GroupsQuota: 300,
+                Roles: state.iam.roles.length,
+                RolesQuota: 1000,
+                Policies: state.iam.policies.filter(policy => policy.scope === 'Local').length,
+                PoliciesQuota: 1500,
+                AccessKeysPerUserQuota: 2,
+                MFADevices: state.iam.users.reduce((sum, user) => sum + user.mfaDevices.length, 0),
+                AccountMFAEnabled: state.iam.accountMFAEnabled,
+                ServerCertificates: 0,
+                SigningCertificatesPerUserQuota: 2,
+                InstanceProfiles: 1,
+                Providers: 0
+            }
+        };
+    },
+
+    // Only knows the actions deny() took away - everything else is allowed
+    SimulatePrincipalPolicy(input) {
+        const resources = input.ResourceArns || ['*'];
+        return {
+            EvaluationResults: input.ActionNames.flatMap(action => resources.map(resource => ({
+                EvalActionName: action,
+                EvalResourceName: resource,
+                EvalDecision: state.deniedActions.has(action) ? 'implicitDeny' : 'allowed'
+            }))),
+            IsTruncated: false
+        };
+    }
+};
+
+/*
+ * ============================================================================
+ * STS, COST EXPLORER, BEDROCK
+ * ============================================================================
+ */
+
+const sts = {
+    GetCallerIdentity(input, { credentials }) {
+        const session = state.sessions.get(credentials.accessKeyId);
+        if (session) {
+            return {
+                UserId: `${session.role.RoleId}:${session.sessionName}`,
+                Account: ACCOUNT_ID,
+                Arn: `arn:aws:sts::${ACCOUNT_ID}:assumed-role/${session.role.RoleName}/${session.sessionName}`
+            };
+        }
+        const user = findUser(CALLER_USER);
+        return { UserId: user.UserId, Account: ACCOUNT_ID, Arn: user.Arn };
+    },
+
+    AssumeRole(input) {
+        const roleName = String(input.RoleArn).split(':role/').pop().split('/').pop();
+        const role = state.iam.roles.find(item => item.Arn === input.RoleArn || item.RoleName === roleName);
+        const denied = awsError('AccessDenied', `User: arn:aws:iam::${ACCOUNT_ID}:user/${CALLER_USER} is not authorized to perform: sts:AssumeRole on resource: ${input.RoleArn}`, 403);
+        if (!role || (role.externalId && role.externalId !== input.ExternalId)) throw denied;
+
+        const accessKeyId = `ASIAFAKE${hex(12)}`.toUpperCase();
+        state.sessions.set(accessKeyId, { role, sessionName: input.RoleSessionName });
+        return {
+            Credentials: {
+                AccessKeyId: accessKeyId,
+                SecretAccessKey: crypto.randomBytes(30).toString('base64'),
+                SessionToken: crypto.randomBytes(60).toString('base64'),
+                Expiration: new Date(Date.now() + (input.DurationSeconds || 3600) * 1000)
+            },
+            AssumedRoleUser: {
+                AssumedRoleId: `${role.RoleId}:${input.RoleSessionName}`,
+                Arn: `arn:aws:sts::${ACCOUNT_ID}:assumed-role/${role.RoleName}/${input.RoleSessionName}`
+            }
+        };
+    }
+};
+
+function isoDay(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return isoDay(date);
+}
+
+/*
+ * Cost of one service on one day: the daily rate, a few percent up or down
+ * by weekday so trends aren't flat
+ */
+function dayCost(service, day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return state.dailyCosts[service] * (1 + (weekday - 3) * 0.02);
+}
+
+/*
+ * Periods [start, end) of a time range at DAILY or MONTHLY granularity
+ */
+function costPeriods(start, end, granularity) {
+    const periods = [];
+    let current = start;
+    while (current < end) {
+        let next;
+        if (granularity === 'MONTHLY') {
+            const date = new Date(`${current}T00:00:00Z`);
+            next = isoDay(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)));
+        } else {
+            next = addDays(current, 1);
+        }
+        periods.push({ Start: current, End: next < end ? next : end });
+        current = next;
+    }
+    return periods;
+}
+
+function checkTimePeriod(period) {
+    const valid = /^\d{4}-\d{2}-\d{2}$/;
+    if (!period || !valid.test(period.Start) || !valid.test(period.End)) {
+        throw awsError('ValidationException', 'Start and End must be dates in YYYY-MM-DD format');
+    }
+    if (period.Start > period.End) {
+        throw awsError('ValidationException', 'Start date (and hour) should be before end date (and hour)');
+    }
+}
+
+function amount(value, unit = 'USD') {
+    return { Amount: value.toFixed(10), Unit: unit };
+}
+
+const costexplorer = {
+    GetCostAndUsage(input) {
+        checkTimePeriod(input.TimePeriod);
+        const groupBy = (input.GroupBy || [])[0];
+        if (groupBy && groupBy.Type === 'DIMENSION' && !['SERVICE', 'REGION', 'LINKED_ACCOUNT'].includes(groupBy.Key)) {
+            throw awsError('ValidationException', `The fake Cost Explorer does not group by ${groupBy.Key}`);
+        }
+
+        const services = Object.keys(state.dailyCosts);
+        const metrics = (values, usage) => Object.fromEntries(input.Metrics.map(metric => [
+            metric, metric === 'UsageQuantity' ? amount(usage, 'N/A') : amount(values)
+        ]));
+
+        const results = costPeriods(input.TimePeriod.Start, input.TimePeriod.End, input.Granularity).map(period => {
+            const days = costPeriods(period.Start, period.End, 'DAILY').map(day => day.Start);
+            const serviceCost = service => days.reduce((sum, day) => sum + dayCost(service, day), 0);
+            const total = services.reduce((sum, service) => sum + serviceCost(service), 0);
+
+            let groups = [];
+            if (groupBy && groupBy.Type === 'TAG') {
+                groups = Object.entries(state.tagShares).map(([value, share]) => ({
+                    Keys: [`${groupBy.Key}$${value}`], Metrics: metrics(total * share, days.length * share * 24)
+                }));
+            } else if (groupBy && groupBy.Key === 'REGION') {
+                groups = [{ Keys: [HOME_REGION], Metrics: metrics(total * 0.9, days.length * 24) }, { Keys: ['us-east-1'], Metrics: metrics(total * 0.1, days.length * 2) }];
+            } else if (groupBy && groupBy.Key === 'LINKED_ACCOUNT') {
+                groups = [{ Keys: [ACCOUNT_ID], Metrics: metrics(total, days.length * 24) }];
+            } else if (groupBy) {
+                groups = services.map(service => ({ Keys: [service], Metrics: metrics(serviceCost(service), days.length * 24) }));
+            }
+
+            return {
+                TimePeriod: period,
+                Total: groupBy ? {} : metrics(total, days.length * 24),
+                Groups: groups,
+                Estimated: period.End >= isoDay(new Date())
+            };
+        });
+
+        return { ResultsByTime: results, DimensionValueAttributes: [] };
+    },
+
+    GetCostForecast(input) {
+        checkTimePeriod(input.TimePeriod);
+        if (input.TimePeriod.Start < isoDay(new Date())) {
+            throw awsError('ValidationException', 'Start date must be equal to or no later than the current date to avoid a mismatch between the actual and forecasted costs.');
+        }
+        const daily = Object.keys(state.dailyCosts).reduce((sum, service) => sum + state.dailyCosts[service], 0);
+        const periods = costPeriods(input.TimePeriod.Start, input.TimePeriod.End, input.Granularity);
+        const forecast = periods.map(period => {
+            const mean = costPeriods(period.Start, period.End, 'DAILY').length * daily;
+            return {
+                TimePeriod: period,
+                MeanValue: mean.toFixed(10),
+                PredictionIntervalLowerBound: (mean * 0.9).toFixed(10),
+                PredictionIntervalUpperBound: (mean * 1.1).toFixed(10)
+            };
+        });
+        const total = forecast.reduce((sum, item) => sum + Number(item.MeanValue), 0);
+        return { Total: amount(total), ForecastResultsByTime: forecast };
+    }
+};
+
+const bedrock = {
+    InvokeModel(input) {
+        const request = JSON.parse(decodePayload(input.body));
+        const last = (request.messages || []).slice(-1)[0] || {};
+        const prompt = typeof last.content === 'string' ? last.content : JSON.stringify(last.content);
+        state.bedrockPrompts.push({ modelId: input.modelId, system: request.system, prompt });
+
+        const text = `Fake answer to: ${prompt.slice(0, 80)}`;
+        return {
+            contentType: 'application/json',
+            body: new Uint8Array(Buffer.from(JSON.stringify({
+                id: `msg_${hex(8)}`,
+                type: 'message',
+                role: 'assistant',
+                content: [{ type: 'text', text }],
+                stop_reason: 'end_turn',
+                usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(text.length / 4) }
+            })))
+        };
+    }
+};
+
+const HANDLERS = { ec2, s3, lambda, cloudwatch, logs, rds, sns, iam, sts, costexplorer, bedrock };
+
+// IAM action prefixes that differ from the fake's service names
+const IAM_PREFIXES = { costexplorer: 'ce' };
+
+// Commands whose IAM action has another name
+const IAM_ACTIONS = { 'lambda:Invoke': 'lambda:InvokeFunction' };
+
+/*
+ * ============================================================================
+ * CLIENT PATCHING
+ * ============================================================================
+ */
+
+/*
+ * Next queued failure for service:command, if any
+ */
+function takeFailure(service, command) {
+    const failure = failures.find(item => item.service === service && (item.command === command || item.command === '*'));
+    if (!failure) return null;
+    failure.times--;
+    if (failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+    return typeof failure.error === 'function' ? failure.error() : failure.error;
+}
+
+async function send(service, client, command) {
+    const name = command.constructor.name.replace(/Command$/, '');
+    const region = await client.config.region();
+    const credentials = await client.config.credentials().catch(() => ({}));
+    const input = command.input || {};
+
+    calls.push({ service, command: name, region, input, accessKeyId: credentials.accessKeyId });
+
+    // Settle on the next turn, as a network call would
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (!credentials.accessKeyId || state.revokedKeys.has(credentials.accessKeyId)) {
+        throw awsError('InvalidClientTokenId', 'The security token included in the request is invalid.', 403);
+    }
+
+    const failure = takeFailure(service, name);
+    if (failure) throw failure;
+
+    // EC2 checks permission before anything else, and stops there for DryRun
+    const iamAction = `${IAM_PREFIXES[service] || service}:${name}`;
+    if (state.deniedActions.has(IAM_ACTIONS[iamAction] || iamAction)) {
+        throw service === 'ec2'
+            ? awsError('UnauthorizedOperation', 'You are not authorized to perform this operation.', 403)
+            : awsError('AccessDenied', `User: arn:aws:iam::${ACCOUNT_ID}:user/${CALLER_USER} is not authorized to perform: ${IAM_ACTIONS[iamAction] || iamAction}`, 403);
+    }
+    if (input.DryRun === true) {
+        throw awsError('DryRunOperation', 'Request would have succeeded, but DryRun flag is set.', 412);
+    }
+
+    const handler = HANDLERS[service] && HANDLERS[service][name];
+    if (!handler) {
+        throw awsError('UnknownOperationException', `The fake AWS does not implement ${service}:${name}`);
+    }
+
+    const output = await handler(input, { region, credentials });
+    return { $metadata: { httpStatusCode: 200, requestId: crypto.randomUUID(), attempts: 1 }, ...structuredClone(output) };
+}
+
+/**
+ * Answer every SDK client's commands from the fake (idempotent)
+ */
+function install() {
+    if (!state) state = seed();
+    for (const [ClientClass, service] of CLIENTS) {
+        if (originalSends.has(ClientClass)) continue;
+        originalSends.set(ClientClass, Object.prototype.hasOwnProperty.call(ClientClass.prototype, 'send') ? ClientClass.prototype.send : null);
+        ClientClass.prototype.send = function (command) {
+            return send(service, this, command);
+        };
+    }
+}
+
+/**
+ * Put the SDK's own send() back
+ */
+function uninstall() {
+    for (const [ClientClass, original] of originalSends) {
+        if (original) ClientClass.prototype.send = original;
+        else delete ClientClass.prototype.send;
+    }
+    originalSends.clear();
+}
+
+/**
+ * Reseed the state and forget recorded calls and queued failures
+ */
+function reset() {
+    state = seed();
+    failures = [];
+    calls.length = 0;
+}
+
+/**
+ * Make the next calls of service:command ('*' for any) fail
+ *
+ * @param {string} service - Service name (ec2, s3, ...)
+ * @param {string} command - Command name without "Command" (StopInstances), or '*'
+ * @param {Error|Function} error - Error to throw (see awsError()), or a function making one
+ * @param {number} times - How many calls fail (default: every call)
+ */
+function fail(service, command, error, times = Infinity) {
+    failures.push({ service, command, error, times });
+}
+
+/**
+ * Reject an access key as invalid from now on
+ */
+function revokeKey(accessKeyId) {
+    state.revokedKeys.add(accessKeyId);
+}
+
+/**
+ * Take an IAM action ('ec2:TerminateInstances') away from the caller: calls
+ * of it are refused and the policy simulator reports it denied
+ */
+function deny(iamAction) {
+    state.deniedActions.add(iamAction);
+}
+
+/**
+ * Recorded calls of one service (and command)
+ */
+function callsTo(service, command) {
+    return calls.filter(call => call.service === service && (!command || call.command === command));
+}
+
+module.exports = {
+    ACCOUNT_ID,
+    HOME_REGION,
+    install,
+    uninstall,
+    reset,
+    fail,
+    revokeKey,
+    deny,
+    awsError,
+    calls,
+    callsTo,
+    // Current state - read it in assertions, or change it to set up a case
+    get state() {
+        return state;
+    },
+    regional: region => regional(region)
+};
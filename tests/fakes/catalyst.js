@@ -0,0 +1,278 @@
+'use strict';
+
+/**
+ * Fake Catalyst
+ * In-memory stand-in for zcatalyst-sdk-node: Data Store tables, ZCQL and
+ * the OAuth user
+ *
+ * install() puts it in require's cache under the SDK's own path, so every
+ * require('zcatalyst-sdk-node') in the app gets it. Tables are created on
+ * first use. Rows come back the way Catalyst returns them: every column as a
+ * string, plus ROWID, CREATORID, CREATEDTIME and MODIFIEDTIME.
+ *
+ * ZCQL covers the queries the app makes: SELECT * FROM <table>, WHERE with
+ * =, !=, <, >, <=, >= and LIKE ('*' as the wildcard) joined by AND,
+ * ORDER BY <column> [ASC|DESC] and LIMIT [offset,] count. Results are
+ * [{ <table>: row }, ...].
+ *
+ * Requests carrying "Authorization: Zoho-oauthtoken <token>" are signed in as
+ * the user addOAuthUser(token, user) registered; others have no OAuth user.
+ * Queries run are recorded in queries.
+ */
+
+const Module = require('module');
+
+let tables = new Map();
+let oauthUsers = new Map();
+let nextRowId = 1000;
+
+// Every ZCQL query run, in order
+const queries = [];
+
+/*
+ * Catalyst stores every value as text
+ */
+function toStored(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function timestamp() {
+    return new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+function getTable(name) {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+}
+
+function zcqlError(message) {
+    const error = new Error(`ZCQL QUERY ERROR - ${message}`);
+    error.name = 'ZCQLError';
+    return error;
+}
+
+/*
+ * ============================================================================
+ * DATA STORE
+ * ============================================================================
+ */
+
+function table(name) {
+    const rows = getTable(name);
+    const copy = row => ({ ...row });
+
+    return {
+        async insertRow(record) {
+            const now = timestamp();
+            const row = { CREATORID: '1', CREATEDTIME: now, MODIFIEDTIME: now };
+            for (const [column, value] of Object.entries(record)) {
+                if (column !== 'ROWID') row[column] = toStored(value);
+            }
+            row.ROWID = String(nextRowId++);
+            rows.push(row);
+            return copy(row);
+        },
+
+        async updateRow(record) {
+            const row = rows.find(item => item.ROWID === String(record.ROWID));
+            if (!row) throw new Error(`No row with ROWID ${record.ROWID} in ${name}`);
+            for (const [column, value] of Object.entries(record)) {
+                if (column !== 'ROWID') row[column] = toStored(value);
+            }
+            row.MODIFIEDTIME = timestamp();
+            return copy(row);
+        },
+
+        async deleteRow(rowId) {
+            const index = rows.findIndex(item => item.ROWID === String(rowId));
+            if (index < 0) throw new Error(`No row with ROWID ${rowId} in ${name}`);
+            rows.splice(index, 1);
+            return true;
+        },
+
+        async getRow(rowId) {
+            const row = rows.find(item => item.ROWID === String(rowId));
+            if (!row) throw new Error(`No row with ROWID ${rowId} in ${name}`);
+            return copy(row);
+        },
+
+        async getAllRows() {
+            return rows.map(copy);
+        },
+
+        async *getIterableRows() {
+            for (const row of [...rows]) {
+                yield copy(row);
+            }
+        }
+    };
+}
+
+/*
+ * ============================================================================
+ * ZCQL
+ * ============================================================================
+ */
+
+const CONDITION_PATTERN = /^(\w+)\s*(=|!=|<>|<=|>=|<|>|LIKE)\s*('(?:[^']|'')*'|-?\d+(?:\.\d+)?)$/i;
+
+function parseValue(text) {
+    return text.startsWith("'") ? text.slice(1, -1).replace(/''/g, "'") : text;
+}
+
+function likeToRegExp(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\%_]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function compare(a, b) {
+    const numeric = a !== null && b !== null && a !== '' && b !== '' && !isNaN(a) && !isNaN(b);
+    if (numeric) return Number(a) - Number(b);
+    return String(a === null ? '' : a).localeCompare(String(b === null ? '' : b));
+}
+
+function parseCondition(text) {
+    const match = CONDITION_PATTERN.exec(text.trim());
+    if (!match) throw zcqlError(`unsupported condition: ${text}`);
+    const [, column, operator, rawValue] = match;
+    const value = parseValue(rawValue);
+
+    return row => {
+        const actual = row[column] === undefined ? null : row[column];
+        switch (operator.toUpperCase()) {
+            case '=': return actual !== null && compare(actual, value) === 0;
+            case '!=':
+            case '<>': return actual === null || compare(actual, value) !== 0;
+            case '<': return actual !== null && compare(actual, value) < 0;
+            case '>': return actual !== null && compare(actual, value) > 0;
+            case '<=': return actual !== null && compare(actual, value) <= 0;
+            case '>=': return actual !== null && compare(actual, value) >= 0;
+            default: return actual !== null && likeToRegExp(value).test(actual);
+        }
+    };
+}
+
+/*
+ * Split on AND outside quoted strings
+ */
+function splitConditions(where) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    const tokens = where.split(/(\s+AND\s+|')/i);
+    for (const token of tokens) {
+        if (token === "'") {
+            quoted = !quoted;
+            current += token;
+        } else if (!quoted && /^\s+AND\s+$/i.test(token)) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += token;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+const SELECT_PATTERN = /^SELECT\s+\*\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+ORDER BY\s+(\w+)(?:\s+(ASC|DESC))?)?(?:\s+LIMIT\s+(\d+)(?:\s*,\s*(\d+))?)?\s*;?$/is;
+
+async function executeZCQLQuery(query) {
+    queries.push(query);
+    const match = SELECT_PATTERN.exec(query.trim());
+    if (!match) throw zcqlError(`unsupported query: ${query}`);
+    const [, tableName, where, orderBy, direction, limitA, limitB] = match;
+
+    const conditions = where ? splitConditions(where).map(parseCondition) : [];
+    let rows = getTable(tableName).filter(row => conditions.every(condition => condition(row)));
+
+    if (orderBy) {
+        const sign = direction && direction.toUpperCase() === 'DESC' ? -1 : 1;
+        rows = [...rows].sort((a, b) => sign * compare(a[orderBy], b[orderBy]));
+    }
+    if (limitA !== undefined) {
+        const offset = limitB !== undefined ? Number(limitA) : 0;
+        const count = limitB !== undefined ? Number(limitB) : Number(limitA);
+        rows = rows.slice(offset, offset + count);
+    }
+
+    return rows.map(row => ({ [tableName]: { ...row } }));
+}
+
+/*
+ * ============================================================================
+ * SDK
+ * ============================================================================
+ */
+
+function oauthToken(req) {
+    const header = req && req.headers ? req.headers.authorization || '' : '';
+    const match = /^Zoho-oauthtoken\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+}
+
+function initialize(req) {
+    return {
+        datastore: () => ({ table }),
+        zcql: () => ({ executeZCQLQuery }),
+        userManagement: () => ({
+            async getCurrentUser() {
+                const user = oauthUsers.get(oauthToken(req));
+                if (!user) throw new Error('No user signed in');
+                return { ...user };
+            }
+        })
+    };
+}
+
+const sdk = { initialize };
+
+/**
+ * Answer require('zcatalyst-sdk-node') with the fake (idempotent)
+ */
+function install() {
+    const resolved = require.resolve('zcatalyst-sdk-node');
+    if (require.cache[resolved] && require.cache[resolved].exports === sdk) return;
+
+    const fake = new Module(resolved);
+    fake.filename = resolved;
+    fake.loaded = true;
+    fake.exports = sdk;
+    require.cache[resolved] = fake;
+}
+
+/**
+ * Empty every table and forget the OAuth users and queries
+ */
+function reset() {
+    tables = new Map();
+    oauthUsers = new Map();
+    queries.length = 0;
+}
+
+/**
+ * Sign requests with this OAuth token in as a user ({ zuid, user_id, email_id, ... })
+ */
+function addOAuthUser(token, user) {
+    oauthUsers.set(token, user);
+}
+
+/**
+ * Rows of a table as stored (copies)
+ */
+function rows(tableName) {
+    return getTable(tableName).map(row => ({ ...row }));
+}
+
+module.exports = {
+    install,
+    initialize,
+    reset,
+    addOAuthUser,
+    rows,
+    table,
+    queries,
+    executeZCQLQuery
+};
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Test Harness
+ * Runs the real app against the fake AWS (fakes/aws.js) and the fake
+ * Catalyst (fakes/catalyst.js)
+ *
+ * Require it before anything from the app: it sets the environment the app
+ * reads at load time, installs both fakes and then loads index.js. Each test
+ * file starts its own server on a free port:
+ *
+ *   const harness = require('./harness');
+ *   before(harness.start);
+ *   after(harness.stop);
+ *
+ *   const res = await harness.call({ service: 'ec2', action: 'list' });
+ *
+ * Callers are signed the way the Cliq extension signs them (X-Cliq-* headers).
+ * Four users are set up by start():
+ *   ADMIN     bootstrap admin (ADMIN_USER_IDS), with stored AWS keys
+ *   APPROVER  second bootstrap admin, without AWS keys - approves ADMIN's
+ *             approval actions (utils/approvals.js)
+ *   OPERATOR  operator role in access_roles, with stored AWS keys
+ *   VIEWER    default role, with stored AWS keys
+ *
+ * exercise() and assertAllExercised() track which service:action pairs a file
+ * ran, so each service's file can check it covered every registry action.
+ */
+
+process.env.CLIQ_SIGNING_SECRET = 'test-signing-secret-0123456789';
+process.env.CREDENTIALS_MASTER_KEY = Buffer.alloc(32, 7).toString('base64');
+process.env.ADMIN_USER_IDS = '1001,4004';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.AWS_REGION = 'ap-south-1';
+delete process.env.AWS_ACCESS_KEY_ID;
+delete process.env.AWS_SECRET_ACCESS_KEY;
+delete process.env.DEFAULT_ROLE;
+
+const assert = require('node:assert/strict');
+const fakeAWS = require('./fakes/aws');
+const fakeCatalyst = require('./fakes/catalyst');
+
+fakeAWS.install();
+fakeCatalyst.install();
+
+const app = require('../index');
+const { signUserId } = require('../utils/auth');
+const { encryptRecord } = require('../utils/credentials');
+const credentialRepository = require('../utils/credential-repository');
+const { assignRole } = require('../utils/access');
+const registry = require('../actions');
+
+const ADMIN = '1001';
+const APPROVER = '4004';
+const OPERATOR = '2002';
+const VIEWER = '3003';
+
+// Keys stored for every seeded user (the fake accepts any key that isn't revoked)
+const ACCESS_KEY_ID = 'AKIAFAKECLIQ00000001';
+const SECRET_ACCESS_KEY = 'fakeSecretAccessKey0000000000000000000000';
+
+let server = null;
+let baseUrl = null;
+const exercised = new Set();
+
+/**
+ * Store AWS keys for a user, encrypted as the write action stores them
+ *
+ * @param {string} userId - Cliq user ID
+ * @param {Object} options - { profile, region, accessKeyId, secretAccessKey, roleArn, externalId }
+ */
+async function seedCredentials(userId, options = {}) {
+    const now = Date.now();
+    await credentialRepository.insert(fakeCatalyst.initialize(), encryptRecord({
+        user_id: userId,
+        profile_name: options.profile || 'default',
+        access_key_id: options.accessKeyId || ACCESS_KEY_ID,
+        secret_access_key: options.secretAccessKey || SECRET_ACCESS_KEY,
+        region: options.region || fakeAWS.HOME_REGION,
+        session_token: '',
+        role_arn: options.roleArn || '',
+        external_id: options.externalId || '',
+        created_at: now,
+        updated_at: now
+    }));
+}
+
+/**
+ * Give a user a role (as an admin would with access:assign)
+ */
+async function setRole(userId, role) {
+    await assignRole(fakeCatalyst.initialize(), { targetUserId: userId, role }, ADMIN);
+}
+
+/**
+ * Fresh AWS and Data Store state with the three standard users
+ */
+async function resetState() {
+    fakeAWS.reset();
+    fakeCatalyst.reset();
+    for (const userId of [ADMIN, OPERATOR, VIEWER]) {
+        credentialRepository.invalidate(userId);
+        await seedCredentials(userId);
+    }
+    await setRole(OPERATOR, 'operator');
+}
+
+/**
+ * Start the app on a free port with fresh state
+ */
+async function start() {
+    await resetState();
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stop() {
+    if (!server) return;
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+}
+
+/**
+ * X-Cliq-* headers proving the caller is userId
+ */
+function signedHeaders(userId) {
+    const ts = Math.floor(Date.now() / 1000);
+    return {
+        'X-Cliq-User-Id': userId,
+        'X-Cliq-Timestamp': String(ts),
+        'X-Cliq-Signature': signUserId(userId, ts)
+    };
+}
+
+/**
+ * Send a request to the app
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with query string
+ * @param {Object} options - { body (object or FormData), userId (signs as), headers }
+ * @returns {Object} { status, headers, body } - body parsed when it's JSON
+ */
+async function request(method, path, options = {}) {
+    const headers = {
+        ...(options.userId !== null && signedHeaders(options.userId || ADMIN)),
+        ...options.headers
+    };
+
+    let body;
+    if (options.body instanceof FormData) {
+        body = options.body;
+    } else if (options.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(options.body);
+    }
+
+    const res = await fetch(baseUrl + path, { method, headers, body });
+    const text = await res.text();
+    let parsed = text;
+    if ((res.headers.get('content-type') || '').includes('application/json')) {
+        parsed = JSON.parse(text);
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+}
+
+function get(path, options) {
+    return request('GET', path, options);
+}
+
+function post(path, body, options = {}) {
+    return request('POST', path, { ...options, body });
+}
+
+/**
+ * POST / as a user (default: ADMIN). userId is added to the body; the
+ * service:action is recorded for assertAllExercised().
+ */
+function call(body, userId = ADMIN) {
+    exercise(body.service, body.action);
+    return post('/', { userId, ...body }, { userId });
+}
+
+/**
+ * POST / for a destructive action: the first call must ask for confirmation,
+ * the second repeats it with the token it got
+ */
+async function callConfirmed(body, userId = ADMIN) {
+    const first = await call(body, userId);
+    assert.equal(first.status, 428, `expected a confirmation request, got ${JSON.stringify(first.body)}`);
+    assert.equal(first.body.code, 'CONFIRMATION_REQUIRED');
+    return call({ ...body, confirmationToken: first.body.confirmationToken }, userId);
+}
+
+/**
+ * Approve what an approval action answered with (202 APPROVAL_REQUIRED)
+ * as another admin, and return the approvals:approve response - the
+ * action's result is in data.result
+ */
+async function approve(res, userId = APPROVER) {
+    assert.equal(res.status, 202, `expected an approval request, got ${JSON.stringify(res.body)}`);
+    assert.equal(res.body.code, 'APPROVAL_REQUIRED');
+    return call({ service: 'approvals', action: 'approve', approvalId: res.body.approval.id }, userId);
+}
+
+/**
+ * Assert a router response succeeded and return the action's result
+ */
+function ok(res) {
+    assert.equal(res.status, 200, `HTTP ${res.status}: ${JSON.stringify(res.body)}`);
+    assert.equal(res.body.success, true, JSON.stringify(res.body));
+    return res.body.data;
+}
+
+/**
+ * Record that a test ran service:action
+ */
+function exercise(service, action) {
+    if (service && action) exercised.add(`${service}:${action}`);
+}
+
+/**
+ * Assert every registry action of a service was run by this file
+ */
+function assertAllExercised(service) {
+    const missing = registry.listServiceActions(service).filter(action => !exercised.has(`${service}:${action}`));
+    assert.deepEqual(missing, [], `${service} actions without a test: ${missing.join(', ')}`);
+}
+
+module.exports = {
+    ADMIN,
+    APPROVER,
+    OPERATOR,
+    VIEWER,
+    ACCESS_KEY_ID,
+    aws: fakeAWS,
+    catalyst: fakeCatalyst,
+    app,
+    start,
+    stop,
+    resetState,
+    seedCredentials,
+    setRole,
+    signedHeaders,
+    request,
+    get,
+    post,
+    call,
+    callConfirmed,
+    approve,
+    ok,
+    exercise,
+    assertAllExercised
+};
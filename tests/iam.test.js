@@ -0,0 +1,80 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws, VIEWER } = harness;
+
+describe('iam', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('listUsers returns every user', async () => {
+        const data = ok(await call({ service: 'iam', action: 'listUsers' }));
+        assert.deepEqual(data.map(user => user.name), ['cliq-commander', 'alice', 'bob']);
+    });
+
+    it('getUser returns keys, MFA devices and policies', async () => {
+        const data = ok(await call({ service: 'iam', action: 'getUser', userName: 'bob' }));
+        assert.equal(data.name, 'bob');
+        assert.deepEqual(data.accessKeys.map(key => key.status), ['Active', 'Inactive']);
+        assert.equal(data.hasMFA, false);
+        assert.deepEqual(data.attachedPolicies.map(policy => policy.name), ['ReadOnlyAccess']);
+    });
+
+    it('getUser of a missing user is NOT_FOUND', async () => {
+        const res = await call({ service: 'iam', action: 'getUser', userName: 'mallory' });
+        assert.equal(res.status, 404);
+        assert.equal(res.body.awsCode, 'NoSuchEntity');
+    });
+
+    it('listRoles and getRole describe roles and their trust policy', async () => {
+        const roles = ok(await call({ service: 'iam', action: 'listRoles' }));
+        assert.deepEqual(roles.map(role => role.name), ['lambda-exec-role', 'CloudCommanderAccess']);
+
+        const role = ok(await call({ service: 'iam', action: 'getRole', roleName: 'lambda-exec-role' }));
+        assert.equal(role.assumeRolePolicyDocument.Statement[0].Principal.Service, 'lambda.amazonaws.com');
+    });
+
+    it('listPolicies defaults to customer managed policies', async () => {
+        const local = ok(await call({ service: 'iam', action: 'listPolicies' }));
+        assert.deepEqual(local.map(policy => policy.name), ['orders-table-access']);
+
+        const all = ok(await call({ service: 'iam', action: 'listPolicies', scope: 'All' }));
+        assert.equal(all.length, 3);
+    });
+
+    it('accountSummary and summary count users, roles and policies', async () => {
+        const account = ok(await call({ service: 'iam', action: 'accountSummary' }));
+        assert.equal(account.users.count, 3);
+        assert.equal(account.accountMFAEnabled, true);
+
+        const summary = ok(await call({ service: 'iam', action: 'summary' }));
+        assert.deepEqual([summary.users.total, summary.roles.total, summary.policies.total], [3, 2, 1]);
+    });
+
+    it('securityStatus flags users without MFA and stale logins', async () => {
+        const data = ok(await call({ service: 'iam', action: 'securityStatus' }));
+        assert.equal(data.usersWithoutMFA, 2);
+        assert.deepEqual(data.issues[0].users, ['cliq-commander', 'bob']);
+        assert.ok(data.recommendations.some(item => item.type === 'CLEANUP' && item.users.includes('bob')));
+    });
+
+    it('viewers can read IAM', async () => {
+        ok(await call({ service: 'iam', action: 'listUsers', fresh: true }, VIEWER));
+    });
+
+    it('a denied IAM call is ACCESS_DENIED naming the missing permission', async () => {
+        aws.fail('iam', 'ListRoles', aws.awsError('AccessDenied',
+            'User: arn:aws:iam::123456789012:user/cliq-commander is not authorized to perform: iam:ListRoles on resource: *', 403), 1);
+
+        const res = await call({ service: 'iam', action: 'listRoles', fresh: true });
+        assert.equal(res.body.code, 'ACCESS_DENIED');
+        assert.match(res.body.hint, /iam:ListRoles/);
+    });
+
+    it('covers every iam action', () => {
+        harness.assertAllExercised('iam');
+    });
+});
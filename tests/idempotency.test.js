@@ -0,0 +1,163 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const harness = require('./harness');
+const { idempotent } = require('../utils/idempotency');
+
+const { call, post, ok, aws, catalyst, ADMIN, OPERATOR } = harness;
+
+const OPS_ALERTS = `arn:aws:sns:ap-south-1:${aws.ACCOUNT_ID}:ops-alerts`;
+const VOLUME = 'vol-0a1b2c3d4e5f60001';
+
+function publish(fields, userId = OPERATOR) {
+    return call({ service: 'sns', action: 'publish', topicArn: OPS_ALERTS, message: 'Deploy done', consent: true, ...fields }, userId);
+}
+
+function widgetPost(path, body, userId = OPERATOR) {
+    return post(path, { userId, ...body }, { userId });
+}
+
+// Stand-ins for Express's req and res: a response only ends when finish or
+// close is emitted on it
+function fakeRequest(idempotencyKey) {
+    return { caller: { userId: OPERATOR }, query: {}, body: { topicArn: OPS_ALERTS, message: 'Deploy done', idempotencyKey } };
+}
+
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.setHeader = () => {};
+    res.json = body => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+function published() {
+    return aws.regional('ap-south-1').sns.published.length;
+}
+
+describe('idempotency', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('a repeated router request gets the first result without calling AWS again', async () => {
+        const first = await publish({ idempotencyKey: 'deploy-42' });
+        const data = ok(first);
+        assert.equal(first.body.idempotency, undefined);
+        assert.equal(published(), 1);
+
+        const second = await publish({ idempotencyKey: 'deploy-42' });
+        assert.equal(ok(second).messageId, data.messageId);
+        assert.equal(second.body.idempotency.replayed, true);
+        assert.equal(second.headers.get('idempotent-replayed'), 'true');
+        assert.equal(published(), 1);
+
+        const rows = catalyst.rows('audit_log').filter(row => row.action === 'publish');
+        assert.equal(rows.length, 1);
+    });
+
+    it('batch items share the keys of the router', async () => {
+        const res = await post('/batch', {
+            userId: OPERATOR,
+            items: [{ service: 'sns', action: 'publish', params: { topicArn: OPS_ALERTS, message: 'Deploy done', consent: true, idempotencyKey: 'deploy-42' } }]
+        }, { userId: OPERATOR });
+
+        const [result] = ok(res).results;
+        assert.equal(result.idempotency.replayed, true);
+        assert.equal(published(), 1);
+    });
+
+    it('widget requests with the same key create one snapshot and one Elastic IP', async () => {
+        const snapshot = ok(await widgetPost('/widget/ec2?action=createSnapshot', { volumeId: VOLUME, idempotencyKey: 'snap-1' }));
+        const again = ok(await widgetPost('/widget/ec2?action=createSnapshot', { volumeId: VOLUME, idempotencyKey: 'snap-1' }));
+        assert.equal(again.snapshotId, snapshot.snapshotId);
+        assert.equal(aws.callsTo('ec2', 'CreateSnapshot').length, 1);
+
+        const [eip, eipAgain] = await Promise.all([
+            widgetPost('/widget/ec2?action=allocateElasticIp', { idempotencyKey: 'eip-1' }),
+            widgetPost('/widget/ec2?action=allocateElasticIp', { idempotencyKey: 'eip-1' })
+        ]);
+        assert.equal(ok(eipAgain).allocationId, ok(eip).allocationId);
+        assert.equal(aws.callsTo('ec2', 'AllocateAddress').length, 1);
+    });
+
+    it('createBucket replays its success instead of a CONFLICT', async () => {
+        ok(await widgetPost('/widget/s3/create', { bucketName: 'idempotent-bucket', idempotencyKey: 'bucket-1' }, ADMIN));
+        const again = await widgetPost('/widget/s3/create', { bucketName: 'idempotent-bucket', idempotencyKey: 'bucket-1' }, ADMIN);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.idempotency.replayed, true);
+        assert.equal(aws.callsTo('s3', 'CreateBucket').length, 1);
+    });
+
+    it('reusing a key with different parameters is rejected', async () => {
+        const res = await publish({ idempotencyKey: 'deploy-42', message: 'Rollback' });
+        assert.equal(res.status, 422);
+        assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+        assert.equal(published(), 1);
+    });
+
+    it('keys belong to the caller and the action', async () => {
+        ok(await publish({ idempotencyKey: 'deploy-42' }, ADMIN));
+        assert.equal(published(), 2);
+
+        const image = await widgetPost('/widget/ec2?action=createImage', { instanceId: 'i-0a1b2c3d4e5f60001', name: 'web-ami', idempotencyKey: 'snap-1' });
+        assert.equal(image.status, 200);
+        assert.equal(image.body.idempotency, undefined);
+    });
+
+    it('prompts and failed results can be retried with the same key', async () => {
+        const prompt = await publish({ idempotencyKey: 'notify-7', consent: false });
+        assert.equal(prompt.status, 428);
+
+        ok(await publish({ idempotencyKey: 'notify-7' }));
+        assert.equal(published(), 3);
+
+        const missing = ok(await publish({ idempotencyKey: 'notify-8', profile: 'ops' }));
+        assert.equal(missing.code, 'PROFILE_NOT_FOUND');
+
+        await harness.seedCredentials(OPERATOR, { profile: 'ops' });
+        const retried = await publish({ idempotencyKey: 'notify-8', profile: 'ops' });
+        assert.ok(ok(retried).messageId);
+        assert.equal(retried.body.idempotency, undefined);
+    });
+
+    it('read actions ignore the key', async () => {
+        ok(await call({ service: 'ec2', action: 'list', idempotencyKey: 'list-1', fresh: true }));
+        const again = await call({ service: 'ec2', action: 'list', idempotencyKey: 'list-1', fresh: true });
+        assert.equal(again.body.idempotency, undefined);
+    });
+
+    it('repeats waiting for a request answered without res.json run on their own', async () => {
+        const middleware = idempotent('sns', 'publish');
+        const ranWithin = (req, res) => Promise.race([
+            new Promise(resolve => middleware(req, res, () => resolve(true))),
+            new Promise(resolve => setTimeout(resolve, 1000, false))
+        ]);
+
+        // Express's error handler answers with res.end - only finish is emitted
+        const failed = fakeResponse();
+        await middleware(fakeRequest('crash-1'), failed, () => {});
+        const retry = fakeResponse();
+        const retried = ranWithin(fakeRequest('crash-1'), retry);
+        failed.emit('finish');
+        assert.equal(await retried, true);
+
+        // The client gave up before any answer - only close is emitted
+        retry.emit('close');
+        assert.equal(await ranWithin(fakeRequest('crash-1'), fakeResponse()), true);
+    });
+
+    it('rejects malformed keys', async () => {
+        const res = await publish({ idempotencyKey: 'has spaces' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.fields[0].field, 'idempotencyKey');
+    });
+});
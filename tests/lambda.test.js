@@ -0,0 +1,90 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws, OPERATOR, VIEWER } = harness;
+
+describe('lambda', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('list returns the functions', async () => {
+        const data = ok(await call({ service: 'lambda', action: 'list' }));
+        assert.deepEqual(data.functions.map(fn => fn.name), ['image-resizer', 'order-processor', 'nightly-report']);
+    });
+
+    it('list pages with nextToken over Lambda markers', async () => {
+        const first = ok(await call({ service: 'lambda', action: 'list', limit: 2 }));
+        assert.equal(first.functions.length, 2);
+
+        const second = ok(await call({ service: 'lambda', action: 'list', limit: 2, nextToken: first.pagination.nextToken }));
+        assert.deepEqual(second.functions.map(fn => fn.name), ['nightly-report']);
+        assert.ok(aws.callsTo('lambda', 'ListFunctions').some(sent => sent.input.Marker));
+    });
+
+    it('list answers cursor pages unless page is sent', async () => {
+        const cursor = ok(await call({ service: 'lambda', action: 'list', limit: 2 }));
+        assert.deepEqual(Object.keys(cursor.pagination).sort(), ['hasNext', 'itemsPerPage', 'nextToken', 'totalItems']);
+        assert.equal(cursor.pagination.totalItems, 3);
+
+        const numbered = ok(await call({ service: 'lambda', action: 'list', limit: 2, page: 1 }));
+        assert.deepEqual(numbered.functions.map(fn => fn.name), cursor.functions.map(fn => fn.name));
+        assert.deepEqual(numbered.pagination, { currentPage: 1, totalPages: 2, totalItems: 3, itemsPerPage: 2, hasNext: true, hasPrev: false });
+    });
+
+    it('get returns the configuration', async () => {
+        const data = ok(await call({ service: 'lambda', action: 'get', functionName: 'order-processor' }));
+        assert.equal(data.runtime, 'python3.12');
+        assert.equal(data.timeout, 60);
+    });
+
+    it('get of a missing function is NOT_FOUND', async () => {
+        const res = await call({ service: 'lambda', action: 'get', functionName: 'no-such-function' });
+        assert.equal(res.status, 404);
+        assert.equal(res.body.code, 'NOT_FOUND');
+    });
+
+    it('summary groups functions by runtime', async () => {
+        const data = ok(await call({ service: 'lambda', action: 'summary' }));
+        assert.equal(data.total, 3);
+        assert.equal(data.byRuntime['python3.12'], 1);
+    });
+
+    it('eventSources lists the mappings of a function', async () => {
+        const data = ok(await call({ service: 'lambda', action: 'eventSources', functionName: 'order-processor' }));
+        assert.equal(data.length, 1);
+        assert.match(data[0].eventSourceArn, /orders-queue$/);
+    });
+
+    describe('invoke', () => {
+        it('needs consent', async () => {
+            const res = await call({ service: 'lambda', action: 'invoke', functionName: 'image-resizer' }, OPERATOR);
+            assert.equal(res.status, 428);
+            assert.equal(res.body.code, 'CONSENT_REQUIRED');
+            assert.equal(aws.callsTo('lambda', 'Invoke').length, 0);
+        });
+
+        it('returns the function response', async () => {
+            const data = ok(await call({ service: 'lambda', action: 'invoke', functionName: 'image-resizer', payload: { photo: 'a.jpg' }, consent: true }, OPERATOR));
+            assert.equal(data.statusCode, 200);
+            assert.deepEqual(JSON.parse(data.response.body), { function: 'image-resizer', received: { photo: 'a.jpg' } });
+        });
+
+        it('reports function errors', async () => {
+            const data = ok(await call({ service: 'lambda', action: 'invoke', functionName: 'image-resizer', payload: { fail: true }, consent: true }, OPERATOR));
+            assert.equal(data.functionError, 'Unhandled');
+            assert.equal(data.response.errorMessage, 'Requested failure');
+        });
+
+        it('is not allowed for viewers', async () => {
+            const res = await call({ service: 'lambda', action: 'invoke', functionName: 'image-resizer', consent: true }, VIEWER);
+            assert.equal(res.status, 403);
+        });
+    });
+
+    it('covers every lambda action', () => {
+        harness.assertAllExercised('lambda');
+    });
+});
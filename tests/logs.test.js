@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws } = harness;
+
+const ORDERS = '/aws/lambda/order-processor';
+
+describe('logs', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('listGroups returns the log groups and filters by prefix', async () => {
+        const all = ok(await call({ service: 'logs', action: 'listGroups' }));
+        assert.deepEqual(all.logGroups.map(group => group.name), [
+            '/aws/lambda/image-resizer',
+            '/aws/lambda/order-processor',
+            '/ec2/i-0a1b2c3d4e5f60001'
+        ]);
+        assert.equal(all.logGroups[1].retentionInDays, 'Never expire');
+
+        const ec2 = ok(await call({ service: 'logs', action: 'listGroups', prefix: '/ec2/' }));
+        assert.equal(ec2.logGroups.length, 1);
+    });
+
+    it('listStreams puts the most recent stream first', async () => {
+        const data = ok(await call({ service: 'logs', action: 'listStreams', logGroupName: ORDERS }));
+        assert.deepEqual(data.logStreams.map(stream => stream.name), ['2025/01/01/[$LATEST]bbbb0002', '2025/01/01/[$LATEST]bbbb0001']);
+    });
+
+    it('listStreams of a missing group is NOT_FOUND', async () => {
+        const res = await call({ service: 'logs', action: 'listStreams', logGroupName: '/aws/lambda/missing' });
+        assert.equal(res.status, 404);
+        assert.equal(res.body.code, 'NOT_FOUND');
+    });
+
+    it('getEvents reads one stream', async () => {
+        const data = ok(await call({ service: 'logs', action: 'getEvents', logGroupName: ORDERS, logStreamName: '2025/01/01/[$LATEST]bbbb0002' }));
+        assert.deepEqual(data.events.map(event => event.message), ['Processed order 1001', 'Processed order 1002']);
+    });
+
+    it('filter applies the filter pattern', async () => {
+        const data = ok(await call({ service: 'logs', action: 'filter', logGroupName: ORDERS, filterPattern: 'Processed' }));
+        assert.equal(data.events.length, 2);
+        assert.equal(aws.callsTo('logs', 'FilterLogEvents').pop().input.filterPattern, 'Processed');
+    });
+
+    it('recent returns the events of the last minutes', async () => {
+        const hour = ok(await call({ service: 'logs', action: 'recent', logGroupName: ORDERS, minutes: 60 }));
+        assert.equal(hour.events.length, 5);
+
+        const tenMinutes = ok(await call({ service: 'logs', action: 'recent', logGroupName: ORDERS, minutes: 10 }));
+        assert.deepEqual(tenMinutes.events.map(event => event.message), ['Processed order 1001', 'Processed order 1002']);
+    });
+
+    it('errors finds error lines', async () => {
+        const data = ok(await call({ service: 'logs', action: 'errors', logGroupName: ORDERS, minutes: 60 }));
+        assert.deepEqual(data.events.map(event => event.message), ['ERROR Could not reach payments API: timeout']);
+    });
+
+    it('lambdaLogs reads the function log group', async () => {
+        const data = ok(await call({ service: 'logs', action: 'lambdaLogs', functionName: 'image-resizer', minutes: 60 }));
+        assert.equal(data.logGroupName, '/aws/lambda/image-resizer');
+        assert.ok(data.events.some(event => event.message.includes('Resized photo.jpg')));
+    });
+
+    it('ec2Logs reads the instance log group', async () => {
+        const data = ok(await call({ service: 'logs', action: 'ec2Logs', instanceId: 'i-0a1b2c3d4e5f60001', minutes: 60 }));
+        assert.equal(data.logGroupName, '/ec2/i-0a1b2c3d4e5f60001');
+        assert.equal(data.events.length, 2);
+    });
+
+    it('summary counts every log group by prefix', async () => {
+        const data = ok(await call({ service: 'logs', action: 'summary' }));
+        assert.equal(data.totalLogGroups, 3);
+        assert.deepEqual(data.byPrefix, { '/aws/lambda': 2, '/ec2/i-0a1b2c3d4e5f60001': 1 });
+    });
+
+    it('covers every logs action', () => {
+        harness.assertAllExercised('logs');
+    });
+});
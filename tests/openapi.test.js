@@ -0,0 +1,148 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const registry = require('../actions');
+const { ERROR_TYPES } = require('../utils/aws-errors');
+const { version } = require('../package.json');
+
+const { get, call } = harness;
+
+/*
+ * Every { $ref } in a document
+ */
+function collectRefs(value, refs = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectRefs(item, refs));
+    } else if (value && typeof value === 'object') {
+        if (typeof value.$ref === 'string') refs.push(value.$ref);
+        Object.values(value).forEach(item => collectRefs(item, refs));
+    }
+    return refs;
+}
+
+/*
+ * [method, path] of every Express route that authenticates its caller
+ */
+function authenticatedRoutes() {
+    return harness.app._router.stack
+        .filter(layer => layer.route && layer.route.stack.some(handler => handler.name === 'authenticateCaller'))
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => [method, layer.route.path]));
+}
+
+describe('openapi', () => {
+    let doc;
+
+    before(async () => {
+        await harness.start();
+        const res = await get('/openapi.json', { userId: null });
+        assert.equal(res.status, 200);
+        doc = res.body;
+    });
+    after(harness.stop);
+
+    it('is public and describes the server version', () => {
+        assert.equal(doc.openapi, '3.1.0');
+        assert.equal(doc.info.version, version);
+        assert.deepEqual(doc.paths['/openapi.json'].get.security, []);
+        assert.deepEqual(Object.keys(doc.components.securitySchemes), ['cliqUserId', 'cliqTimestamp', 'cliqSignature']);
+    });
+
+    it('has a request schema for every registry action', () => {
+        const bodies = doc.paths['/'].post.requestBody.content['application/json'].schema.oneOf.map(item => item.$ref);
+        const actions = registry.listActions();
+        assert.equal(bodies.length, actions.length);
+
+        for (const entry of actions) {
+            const schema = doc.components.schemas[`${entry.service}.${entry.action}`];
+            assert.ok(schema, `${entry.key} is missing`);
+            assert.deepEqual(schema.properties.service, { const: entry.service });
+            assert.deepEqual(schema.properties.action, { const: entry.action });
+            assert.equal(schema['x-role'], entry.role);
+            assert.deepEqual(schema.required, ['service', 'action', ...entry.params.required]);
+        }
+    });
+
+    it('marks consent, confirmation and cache fields on the actions that take them', () => {
+        const forecast = doc.components.schemas['cost.forecast'];
+        assert.equal(forecast['x-paid'], true);
+        assert.deepEqual(forecast.properties.consent.const, true);
+
+        const deleteBucket = doc.components.schemas['s3.deleteBucket'];
+        assert.equal(deleteBucket['x-destructive'], true);
+        assert.ok(deleteBucket.properties.confirmationToken);
+        assert.equal(deleteBucket.properties.consent, undefined);
+        assert.equal(deleteBucket['x-approval'], true);
+
+        const list = doc.components.schemas['ec2.list'];
+        assert.ok(list['x-cache-ttl'] > 0);
+        assert.ok(list.properties.fresh);
+    });
+
+    it('documents s3:uploadFromUrl as the router validates it', async () => {
+        const schema = doc.components.schemas['s3.uploadFromUrl'];
+        assert.equal(schema.properties.sourceUrl.format, 'url');
+        assert.ok(schema.required.includes('sourceUrl'));
+
+        const res = await call({ service: 's3', action: 'uploadFromUrl', bucket: 'app-assets', key: 'logo.png' });
+        assert.equal(res.status, 400);
+        assert.ok(res.body.fields.some(field => field.field === 'sourceUrl'));
+    });
+
+    it('documents the widget-only EC2 actions', () => {
+        const operation = doc.paths['/widget/ec2'].post;
+        const action = operation.parameters.find(parameter => parameter.name === 'action');
+        assert.ok(action.schema.enum.includes('terminate'));
+        assert.ok(action.schema.enum.includes('createImage'));
+        assert.deepEqual(operation['x-actions'].find(item => item.action === 'ec2:terminate'),
+            { action: 'ec2:terminate', role: 'admin', paid: false, destructive: true, approval: true, dryRun: true });
+
+        const bodies = operation.requestBody.content['application/json'].schema.oneOf;
+        const createImage = bodies.find(body => body.title === 'ec2:createImage');
+        assert.deepEqual(createImage.required, ['instanceId', 'name']);
+        assert.equal(createImage.properties.name.patternMessage, undefined);
+        assert.ok(operation.responses[428]);
+        assert.ok(operation.responses[202]);
+    });
+
+    it('documents file uploads as multipart', () => {
+        const upload = doc.paths['/upload'].post.requestBody.content['multipart/form-data'].schema;
+        assert.deepEqual(upload.required, ['metadata', 'files']);
+        assert.equal(upload.properties.files.items.format, 'binary');
+
+        const lambda = doc.paths['/widget/lambda'].post.requestBody.content;
+        assert.ok(lambda['application/json']);
+        const updateCode = lambda['multipart/form-data'].schema.oneOf.find(body => body.title === 'lambda:updateCode');
+        assert.equal(updateCode.properties.zipFile.format, 'binary');
+    });
+
+    it('documents every authenticated route', () => {
+        const routes = authenticatedRoutes();
+        assert.ok(routes.length > 15);
+        for (const [method, path] of routes) {
+            assert.ok(doc.paths[path] && doc.paths[path][method], `${method.toUpperCase()} ${path} is missing`);
+        }
+    });
+
+    it('lists every error code with its HTTP status', () => {
+        const codes = doc.components.schemas.ErrorResponse.properties.code.enum;
+        for (const code of ['VALIDATION_ERROR', 'UNKNOWN_ACTION', 'UNAUTHENTICATED', 'FORBIDDEN', 'CONSENT_REQUIRED', 'CONFIRMATION_REQUIRED']) {
+            assert.ok(codes.includes(code), code);
+        }
+
+        const responses = doc.paths['/'].post.responses;
+        for (const [code, type] of Object.entries(ERROR_TYPES)) {
+            assert.ok(codes.includes(code), code);
+            assert.ok(responses[type.status].description.includes(code), `${code} under ${type.status}`);
+        }
+        assert.ok(doc.components.schemas.HandlerFailure.properties.code.enum.includes('SETUP_REQUIRED'));
+    });
+
+    it('resolves every $ref', () => {
+        for (const ref of new Set(collectRefs(doc))) {
+            const name = ref.replace('#/components/schemas/', '');
+            assert.ok(doc.components.schemas[name], `${ref} does not resolve`);
+        }
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws, OPERATOR, VIEWER } = harness;
+
+function dbStatus(id) {
+    return aws.regional('ap-south-1').rds.instances.find(db => db.DBInstanceIdentifier === id).DBInstanceStatus;
+}
+
+describe('rds', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('list returns the DB instances', async () => {
+        const data = ok(await call({ service: 'rds', action: 'list' }));
+        assert.deepEqual(data.instances.map(db => [db.id, db.status]), [['orders-db', 'available'], ['analytics-db', 'stopped']]);
+    });
+
+    it('get returns one instance with its endpoint', async () => {
+        const data = ok(await call({ service: 'rds', action: 'get', dbInstanceId: 'orders-db' }));
+        assert.equal(data.engine, 'postgres');
+        assert.equal(data.endpoint.port, 5432);
+    });
+
+    it('get of a missing instance is NOT_FOUND', async () => {
+        const res = await call({ service: 'rds', action: 'get', dbInstanceId: 'missing-db' });
+        assert.equal(res.status, 404);
+        assert.equal(res.body.awsCode, 'DBInstanceNotFound');
+    });
+
+    it('clusters and snapshots list Aurora clusters and snapshots', async () => {
+        const clusters = ok(await call({ service: 'rds', action: 'clusters' }));
+        assert.deepEqual(clusters.clusters.map(cluster => cluster.id), ['aurora-main']);
+
+        const snapshots = ok(await call({ service: 'rds', action: 'snapshots', dbInstanceId: 'orders-db' }));
+        assert.deepEqual(snapshots.snapshots.map(snapshot => snapshot.id), ['rds:orders-db-daily']);
+    });
+
+    it('getCluster returns one cluster with its members', async () => {
+        const data = ok(await call({ service: 'rds', action: 'getCluster', dbClusterId: 'aurora-main' }));
+        assert.equal(data.engine, 'aurora-postgresql');
+        assert.deepEqual(data.members, [{ id: 'aurora-main-1', isClusterWriter: true }]);
+
+        const res = await call({ service: 'rds', action: 'getCluster', dbClusterId: 'missing-cluster' });
+        assert.equal(res.status, 404);
+    });
+
+    it('summary counts every instance', async () => {
+        const data = ok(await call({ service: 'rds', action: 'summary' }));
+        assert.equal(data.total, 2);
+        assert.deepEqual(data.byEngine, { postgres: 1, mysql: 1 });
+        assert.equal(data.totalStorageFormatted, '120 GB');
+    });
+
+    it('reboot restarts an available instance', async () => {
+        const data = ok(await call({ service: 'rds', action: 'reboot', dbInstanceId: 'orders-db' }, OPERATOR));
+        assert.equal(data.currentStatus, 'rebooting');
+        assert.equal(dbStatus('orders-db'), 'available');
+    });
+
+    it('forced failover needs a Multi-AZ instance', async () => {
+        const res = await call({ service: 'rds', action: 'reboot', dbInstanceId: 'orders-db', forceFailover: true }, OPERATOR);
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.awsCode, 'InvalidParameterCombination');
+    });
+
+    it('stop takes a final snapshot when asked', async () => {
+        const data = ok(await call({ service: 'rds', action: 'stop', dbInstanceId: 'orders-db', snapshotId: 'orders-db-before-stop' }, OPERATOR));
+        assert.equal(data.currentStatus, 'stopping');
+        assert.equal(dbStatus('orders-db'), 'stopped');
+        assert.ok(aws.regional('ap-south-1').rds.snapshots.some(snapshot => snapshot.DBSnapshotIdentifier === 'orders-db-before-stop'));
+    });
+
+    it('start of a running instance is a CONFLICT', async () => {
+        ok(await call({ service: 'rds', action: 'start', dbInstanceId: 'analytics-db' }, OPERATOR));
+        assert.equal(dbStatus('analytics-db'), 'available');
+
+        const res = await call({ service: 'rds', action: 'start', dbInstanceId: 'analytics-db' }, OPERATOR);
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'CONFLICT');
+    });
+
+    it('viewers cannot stop instances', async () => {
+        const res = await call({ service: 'rds', action: 'stop', dbInstanceId: 'analytics-db' }, VIEWER);
+        assert.equal(res.status, 403);
+        assert.equal(dbStatus('analytics-db'), 'available');
+    });
+
+    it('covers every rds action', () => {
+        harness.assertAllExercised('rds');
+    });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, callConfirmed, post, ok, aws, ADMIN, OPERATOR } = harness;
+
+const WEB = 'i-0a1b2c3d4e5f60001';
+
+describe('router', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    describe('callers', () => {
+        it('rejects unsigned requests', async () => {
+            const res = await post('/', { service: 'ec2', action: 'list', userId: ADMIN }, { userId: null });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, 'UNAUTHENTICATED');
+        });
+
+        it('rejects a body naming another user', async () => {
+            const res = await post('/', { service: 'ec2', action: 'list', userId: ADMIN }, { userId: OPERATOR });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'USER_MISMATCH');
+        });
+
+        it('rejects a query naming another user than the body', async () => {
+            const res = await post(`/widget/ec2?action=list&userId=${ADMIN}`, { userId: OPERATOR }, { userId: OPERATOR });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'USER_MISMATCH');
+        });
+
+        it('rejects upload metadata naming another user', async () => {
+            const uploads = aws.callsTo('s3', 'PutObject').length;
+            const body = new FormData();
+            body.append('userId', OPERATOR);
+            body.append('metadata', JSON.stringify({ userId: ADMIN, bucket: 'app-assets-prod' }));
+            body.append('files', new Blob(['hello']), 'hello.txt');
+
+            const res = await harness.request('POST', '/upload', { body, userId: OPERATOR });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'USER_MISMATCH');
+            assert.equal(aws.callsTo('s3', 'PutObject').length, uploads);
+        });
+
+        it('runs OAuth callers that leave userId out as themselves', async () => {
+            harness.catalyst.addOAuthUser('operator-token', { zuid: OPERATOR, user_id: OPERATOR });
+
+            const data = ok(await post('/', { service: 's3', action: 'listBuckets' }, {
+                userId: null,
+                headers: { Authorization: 'Zoho-oauthtoken operator-token' }
+            }));
+            assert.ok(data.buckets.length > 0);
+        });
+
+        it('rejects stale signatures', async () => {
+            const headers = harness.signedHeaders(ADMIN);
+            headers['X-Cliq-Timestamp'] = String(Number(headers['X-Cliq-Timestamp']) - 3600);
+            const res = await post('/', { service: 'ec2', action: 'list', userId: ADMIN }, { headers, userId: null });
+            assert.equal(res.status, 401);
+        });
+    });
+
+    describe('requests', () => {
+        it('unknown actions list the actions of the service', async () => {
+            const res = await call({ service: 'ec2', action: 'explode' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'UNKNOWN_ACTION');
+            assert.match(res.body.error, /Use: .*list/);
+        });
+
+        it('unknown services list the services', async () => {
+            const res = await call({ service: 'dynamodb', action: 'list' });
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /Unknown service: dynamodb/);
+        });
+
+        it('parameters are checked against the action schema', async () => {
+            const res = await call({ service: 'ec2', action: 'get', instanceId: 'web-server' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.deepEqual(res.body.fields.map(field => field.field), ['instanceId']);
+            assert.equal(aws.callsTo('ec2').length, 0);
+        });
+
+        it('unsupported regions are rejected', async () => {
+            const res = await call({ service: 'ec2', action: 'list', region: 'mars-north-1' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'INVALID_REGION');
+        });
+
+        it('the requested region wins over the stored one', async () => {
+            const data = ok(await call({ service: 'ec2', action: 'list', region: 'us-east-1' }));
+            assert.deepEqual(data.instances.map(instance => instance.name), ['us-bastion']);
+        });
+
+        it('profiles select the stored keys', async () => {
+            await harness.seedCredentials(ADMIN, { profile: 'staging', accessKeyId: 'AKIAFAKESTAGING00001' });
+            ok(await call({ service: 'lambda', action: 'list', profile: 'staging' }));
+            assert.equal(aws.callsTo('lambda', 'ListFunctions').pop().accessKeyId, 'AKIAFAKESTAGING00001');
+        });
+    });
+
+    describe('AWS errors', () => {
+        it('throttled calls are retried', async () => {
+            const before = aws.callsTo('ec2', 'DescribeInstances').length;
+            aws.fail('ec2', 'DescribeInstances', aws.awsError('RequestLimitExceeded', 'Request limit exceeded.', 503), 2);
+            const data = ok(await call({ service: 'ec2', action: 'get', instanceId: WEB }));
+            assert.equal(data.name, 'web-server');
+            assert.equal(aws.callsTo('ec2', 'DescribeInstances').length - before, 3);
+        });
+
+        it('invalid keys are INVALID_CREDENTIALS with a hint', async () => {
+            aws.revokeKey(harness.ACCESS_KEY_ID);
+            try {
+                const res = await call({ service: 'sns', action: 'listTopics' });
+                assert.equal(res.status, 401);
+                assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+                assert.ok(res.body.hint);
+            } finally {
+                aws.state.revokedKeys.clear();
+            }
+        });
+    });
+
+    describe('response cache', () => {
+        it('repeats are answered from the cache until fresh is sent', async () => {
+            const first = await call({ service: 'rds', action: 'list' });
+            assert.equal(first.body.cache.hit, false);
+
+            const second = await call({ service: 'rds', action: 'list' });
+            assert.equal(second.body.cache.hit, true);
+            assert.equal(aws.callsTo('rds', 'DescribeDBInstances').length, 1);
+
+            const fresh = await call({ service: 'rds', action: 'list', fresh: true });
+            assert.equal(fresh.body.cache.hit, false);
+        });
+
+        it('mutating actions drop cached results', async () => {
+            ok(await call({ service: 'ec2', action: 'list' }, OPERATOR));
+            ok(await call({ service: 'ec2', action: 'stop', instanceId: WEB }, OPERATOR));
+
+            const res = await call({ service: 'ec2', action: 'list' }, OPERATOR);
+            assert.equal(res.body.cache.hit, false);
+            const web = res.body.data.instances.find(instance => instance.id === WEB);
+            assert.equal(web.state, 'stopped');
+        });
+    });
+
+    describe('confirmation', () => {
+        it('tokens are bound to the target', async () => {
+            const first = await call({ service: 's3', action: 'deleteObject', bucket: 'app-assets-prod', key: 'index.html' });
+            assert.equal(first.status, 428);
+
+            const other = await call({ service: 's3', action: 'deleteObject', bucket: 'app-assets-prod', key: 'css/site.css', confirmationToken: first.body.confirmationToken });
+            assert.equal(other.status, 428);
+            assert.match(other.body.error, /different target/);
+        });
+
+        it('tokens are bound to the caller', async () => {
+            const first = await call({ service: 's3', action: 'deleteObject', bucket: 'app-assets-prod', key: 'index.html' }, ADMIN);
+            const res = await call({ service: 's3', action: 'deleteObject', bucket: 'app-assets-prod', key: 'index.html', confirmationToken: first.body.confirmationToken }, OPERATOR);
+            assert.equal(res.status, 428);
+        });
+
+        it('a confirmed call runs once', async () => {
+            ok(await callConfirmed({ service: 's3', action: 'deleteObject', bucket: 'app-assets-prod', key: 'index.html' }));
+            assert.equal(aws.callsTo('s3', 'DeleteObject').length, 1);
+        });
+    });
+});
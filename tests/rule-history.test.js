@@ -0,0 +1,169 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, post, ok, approve, aws, catalyst, ADMIN, APPROVER, OPERATOR } = harness;
+
+const WEB_SG = 'sg-0a1b2c3d4e5f60001';
+const ALT_HTTP = { protocol: 'tcp', fromPort: 8080, toPort: 8080, cidr: '10.0.0.0/16' };
+const SSH = { protocol: 'tcp', fromPort: 22, toPort: 22, cidr: '10.0.0.0/16' };
+
+function changeRule(action, rule, fields = {}) {
+    return post(`/widget/ec2?action=${action}`, { userId: ADMIN, groupId: WEB_SG, rule, ...fields }, { userId: ADMIN });
+}
+
+// Removals need a confirmation token, then another admin's approval
+async function removeRule(action, rule) {
+    const first = await changeRule(action, rule);
+    return approve(await changeRule(action, rule, { confirmationToken: first.body.confirmationToken }));
+}
+
+function undoRequest(changeId, fields = {}, userId = ADMIN) {
+    return call({ service: 'rule_changes', action: 'undo', changeId, ...fields }, userId);
+}
+
+// Undo needs a confirmation token too, then another admin's approval - the
+// undo's own result is in data.result of the approval
+async function undo(changeId, fields = {}, userId = ADMIN) {
+    const first = await undoRequest(changeId, fields, userId);
+    return approve(await undoRequest(changeId, { ...fields, confirmationToken: first.body.confirmationToken }, userId));
+}
+
+function inboundPorts() {
+    const group = aws.regional('ap-south-1').ec2.securityGroups.find(sg => sg.GroupId === WEB_SG);
+    return group.IpPermissions.map(permission => permission.FromPort).sort((a, b) => a - b);
+}
+
+describe('security group rule history', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    let added;
+    let removed;
+
+    it('records a rule added through the widget with the rules before and after', async () => {
+        const data = ok(await changeRule('addInboundRule', ALT_HTTP));
+        assert.match(data.changeId, /^\d+$/);
+        assert.equal(data.direction, 'inbound');
+        assert.equal(data.before.length, 3);
+        assert.deepEqual(data.after.find(rule => rule.fromPort === 8080), { ...ALT_HTTP, description: '' });
+        added = data.changeId;
+
+        const row = catalyst.rows('security_group_changes')[0];
+        assert.equal(row.user_id, ADMIN);
+        assert.equal(row.group_id, WEB_SG);
+        assert.equal(row.operation, 'add');
+        assert.equal(row.source, 'widget');
+        assert.equal(JSON.parse(row.rules_after).length, 4);
+    });
+
+    it('undoes an added rule by removing it, once confirmed and approved', async () => {
+        const preview = ok(await undoRequest(added, { dryRun: true }));
+        assert.equal(preview.dryRun, true);
+        assert.deepEqual(preview.changes, [{ field: 'inboundRules', from: 'tcp 8080 from 10.0.0.0/16', to: null }]);
+        assert.equal(inboundPorts().length, 4);
+
+        const first = await undoRequest(added);
+        assert.equal(first.status, 428);
+        assert.equal(first.body.code, 'CONFIRMATION_REQUIRED');
+
+        const pending = await undoRequest(added, { confirmationToken: first.body.confirmationToken });
+        assert.equal(pending.status, 202);
+        assert.equal(pending.body.code, 'APPROVAL_REQUIRED');
+        assert.equal(inboundPorts().length, 4);
+
+        const { approval, result: data } = ok(await approve(pending));
+        assert.equal(approval.status, 'executed');
+        assert.equal(data.success, true);
+        assert.equal(data.undone.undoneBy, data.changeId);
+        assert.equal(data.change.operation, 'remove');
+        assert.equal(data.change.source, 'undo');
+        assert.equal(data.change.undoOf, added);
+        assert.deepEqual(inboundPorts(), [22, 80, 443]);
+
+        const again = ok(await undo(added));
+        assert.equal(again.code, 'ALREADY_UNDONE');
+    });
+
+    it('records approved removals and puts the rule back with its description', async () => {
+        const data = ok(await removeRule('removeInboundRule', SSH));
+        assert.match(data.result.changeId, /^\d+$/);
+        assert.deepEqual(inboundPorts(), [80, 443]);
+        removed = data.result.changeId;
+
+        const { change } = ok(await call({ service: 'rule_changes', action: 'get', changeId: removed }, OPERATOR));
+        assert.equal(change.source, 'approval');
+        assert.equal(change.userId, ADMIN);
+        assert.equal(change.operation, 'remove');
+
+        const undone = ok(await undo(removed)).result;
+        assert.equal(undone.success, true);
+        assert.deepEqual(inboundPorts(), [22, 80, 443]);
+
+        const ssh = aws.regional('ap-south-1').ec2.securityGroups
+            .find(sg => sg.GroupId === WEB_SG).IpPermissions.find(permission => permission.FromPort === 22);
+        assert.equal(ssh.IpRanges[0].Description, 'SSH from VPC');
+    });
+
+    it('refuses to undo once the group changed, unless forced', async () => {
+        const { changeId } = ok(await changeRule('addInboundRule', ALT_HTTP));
+        ok(await changeRule('addInboundRule', { ...ALT_HTTP, fromPort: 9090, toPort: 9090 }));
+
+        const drifted = ok(await undo(changeId));
+        assert.equal(drifted.code, 'GROUP_CHANGED');
+        assert.match(drifted.error, /1 added, 0 removed/);
+        assert.ok(inboundPorts().includes(8080));
+
+        const forced = ok(await undo(changeId, { force: true })).result;
+        assert.equal(forced.success, true);
+        assert.deepEqual(forced.differences.added.map(rule => rule.fromPort), [9090]);
+        assert.deepEqual(inboundPorts(), [22, 80, 443, 9090]);
+    });
+
+    it('has nothing to undo when the rule is already gone', async () => {
+        const { changeId } = ok(await changeRule('addOutboundRule', { protocol: 'tcp', fromPort: 5432, toPort: 5432, cidr: '10.0.0.0/16' }));
+        const group = aws.regional('ap-south-1').ec2.securityGroups.find(sg => sg.GroupId === WEB_SG);
+        group.IpPermissionsEgress = group.IpPermissionsEgress.filter(permission => permission.FromPort !== 5432);
+
+        const data = ok(await undo(changeId, { force: true }));
+        assert.equal(data.code, 'NOTHING_TO_UNDO');
+    });
+
+    it('lists changes newest first and keeps undo to admins', async () => {
+        const all = ok(await call({ service: 'rule_changes', action: 'list', groupId: WEB_SG }, OPERATOR));
+        assert.equal(all.count, 8);
+        assert.equal(all.changes[0].direction, 'outbound');
+
+        const undos = all.changes.filter(change => change.source === 'undo');
+        assert.equal(undos.length, 3);
+
+        const operator = await undoRequest(added, {}, OPERATOR);
+        assert.equal(operator.status, 403);
+
+        const missing = ok(await call({ service: 'rule_changes', action: 'get', changeId: '999999' }, OPERATOR));
+        assert.equal(missing.code, 'NOT_FOUND');
+
+        const entry = catalyst.rows('audit_log').find(row => row.service === 'rule_changes' && row.action === 'undo');
+        assert.equal(entry.target, added);
+    });
+
+    it('only undoes changes the caller made', async () => {
+        const { changeId } = ok(await changeRule('addInboundRule', ALT_HTTP));
+        await harness.seedCredentials(APPROVER);
+
+        const first = await undoRequest(changeId, {}, APPROVER);
+        const pending = await undoRequest(changeId, { confirmationToken: first.body.confirmationToken }, APPROVER);
+        const data = ok(await approve(pending, ADMIN));
+        assert.equal(data.code, 'NOT_YOUR_CHANGE');
+        assert.ok(inboundPorts().includes(8080));
+
+        ok(await undo(changeId));
+        assert.ok(!inboundPorts().includes(8080));
+    });
+
+    it('covers every rule_changes action', () => {
+        harness.assertAllExercised('rule_changes');
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const harness = require('./harness');
+
+const { call, callConfirmed, approve, ok, aws, ADMIN, OPERATOR, VIEWER } = harness;
+
+const BUCKET = 'app-assets-prod';
+
+describe('s3', () => {
+    let source;
+    let sourceUrl;
+
+    before(async () => {
+        await harness.start();
+        // Stands in for the file server uploadFromUrl downloads from
+        source = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/csv' });
+            res.end('id,total\n1,10\n');
+        });
+        await new Promise(resolve => source.listen(0, '127.0.0.1', resolve));
+        sourceUrl = `http://127.0.0.1:${source.address().port}/export.csv`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => source.close(resolve));
+        await harness.stop();
+    });
+
+    describe('read actions', () => {
+        it('listBuckets returns every bucket with its region', async () => {
+            const data = ok(await call({ service: 's3', action: 'listBuckets' }));
+            assert.deepEqual(data.buckets.map(bucket => [bucket.name, bucket.region]), [
+                ['app-assets-prod', 'ap-south-1'],
+                ['empty-scratch', 'ap-south-1'],
+                ['team-backups', 'us-east-1']
+            ]);
+        });
+
+        it('listBuckets pages with nextToken', async () => {
+            const first = ok(await call({ service: 's3', action: 'listBuckets', limit: 2 }));
+            assert.equal(first.buckets.length, 2);
+            assert.ok(first.pagination.nextToken);
+
+            const second = ok(await call({ service: 's3', action: 'listBuckets', limit: 2, nextToken: first.pagination.nextToken }));
+            assert.deepEqual(second.buckets.map(bucket => bucket.name), ['team-backups']);
+            assert.equal(second.pagination.nextToken, null);
+        });
+
+        it('getBucket totals the objects', async () => {
+            const data = ok(await call({ service: 's3', action: 'getBucket', bucket: BUCKET }));
+            assert.equal(data.totalObjects, 5);
+            assert.equal(data.region, 'ap-south-1');
+        });
+
+        it('listObjects splits files and folders', async () => {
+            const root = ok(await call({ service: 's3', action: 'listObjects', bucket: BUCKET }));
+            assert.equal(root.folders.length, 3);
+            assert.ok(root.files.some(file => file.key === 'index.html'));
+
+            const images = ok(await call({ service: 's3', action: 'listObjects', bucket: BUCKET, prefix: 'images/' }));
+            assert.deepEqual(images.files.map(file => file.name), ['banner.jpg', 'logo.png']);
+        });
+
+        it('listObjects of a missing bucket is NOT_FOUND', async () => {
+            const res = await call({ service: 's3', action: 'listObjects', bucket: 'no-such-bucket' });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'NOT_FOUND');
+            assert.equal(res.body.awsCode, 'NoSuchBucket');
+        });
+
+        it('getObject returns the object metadata', async () => {
+            const data = ok(await call({ service: 's3', action: 'getObject', bucket: BUCKET, key: 'index.html' }));
+            assert.equal(data.contentType, 'text/html');
+            assert.equal(data.size, 31);
+        });
+
+        it('getPresignedUrl and getUploadUrl sign URLs for the bucket', async () => {
+            const download = ok(await call({ service: 's3', action: 'getPresignedUrl', bucket: BUCKET, key: 'index.html' }));
+            assert.match(download.url, /^https:\/\/app-assets-prod\.s3\.ap-south-1\.amazonaws\.com\/index\.html\?X-Amz-Algorithm=/);
+
+            const upload = ok(await call({ service: 's3', action: 'getUploadUrl', bucket: BUCKET, key: 'incoming/new.txt' }, OPERATOR));
+            assert.match(upload.uploadUrl, /incoming\/new\.txt\?X-Amz-Algorithm=/);
+        });
+
+        it('search matches object keys', async () => {
+            const data = ok(await call({ service: 's3', action: 'search', bucket: BUCKET, searchTerm: 'logo' }));
+            assert.deepEqual(data.matches.map(match => match.key), ['images/logo.png']);
+        });
+
+        it('summary lists bucket names', async () => {
+            const data = ok(await call({ service: 's3', action: 'summary' }));
+            assert.equal(data.totalBuckets, 3);
+            assert.equal(data.oldestBucket.name, 'team-backups');
+        });
+    });
+
+    describe('write actions', () => {
+        it('uploadFromUrl stores the downloaded file', async () => {
+            const data = ok(await call({ service: 's3', action: 'uploadFromUrl', bucket: BUCKET, key: 'exports/export.csv', sourceUrl }, OPERATOR));
+            assert.equal(data.uploaded, true);
+
+            const stored = aws.state.s3.get(BUCKET).objects.get('exports/export.csv');
+            assert.equal(stored.Body.toString(), 'id,total\n1,10\n');
+            assert.equal(stored.ContentType, 'text/csv');
+        });
+
+        it('deleteObject needs a confirmation token bound to the object', async () => {
+            const first = await call({ service: 's3', action: 'deleteObject', bucket: BUCKET, key: 'css/site.css' }, OPERATOR);
+            assert.equal(first.status, 428);
+            assert.equal(first.body.target, `s3://${BUCKET}/css/site.css`);
+
+            // The token does not work for another object
+            const other = await call({ service: 's3', action: 'deleteObject', bucket: BUCKET, key: 'index.html', confirmationToken: first.body.confirmationToken }, OPERATOR);
+            assert.equal(other.status, 428);
+            assert.match(other.body.error, /different target/);
+            assert.ok(aws.state.s3.get(BUCKET).objects.has('index.html'));
+
+            ok(await call({ service: 's3', action: 'deleteObject', bucket: BUCKET, key: 'css/site.css', confirmationToken: first.body.confirmationToken }, OPERATOR));
+            assert.equal(aws.state.s3.get(BUCKET).objects.has('css/site.css'), false);
+        });
+
+        it('createBucket is admin only', async () => {
+            const denied = await call({ service: 's3', action: 'createBucket', bucket: 'ops-scratch-2' }, OPERATOR);
+            assert.equal(denied.status, 403);
+
+            const data = ok(await call({ service: 's3', action: 'createBucket', bucket: 'ops-scratch-2' }, ADMIN));
+            assert.equal(data.created, true);
+            assert.equal(aws.state.s3.get('ops-scratch-2').region, 'ap-south-1');
+        });
+
+        it('deleteBucket refuses a bucket with objects', async () => {
+            const res = await approve(await callConfirmed({ service: 's3', action: 'deleteBucket', bucket: BUCKET }));
+            assert.equal(res.body.data.success, false);
+            assert.match(res.body.data.error, /is not empty/);
+            assert.ok(aws.state.s3.has(BUCKET));
+        });
+
+        it('deleteBucket removes an empty bucket', async () => {
+            ok(await approve(await callConfirmed({ service: 's3', action: 'deleteBucket', bucket: 'empty-scratch' })));
+            assert.equal(aws.state.s3.has('empty-scratch'), false);
+        });
+
+        it('viewers cannot delete objects', async () => {
+            const res = await call({ service: 's3', action: 'deleteObject', bucket: BUCKET, key: 'index.html' }, VIEWER);
+            assert.equal(res.status, 403);
+        });
+    });
+
+    it('covers every s3 action', () => {
+        harness.assertAllExercised('s3');
+    });
+});
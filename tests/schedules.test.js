@@ -0,0 +1,285 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const { evaluateSchedule, runDueSchedules } = require('../utils/schedules');
+
+const { call, post, ok, aws, catalyst, OPERATOR, VIEWER } = harness;
+
+const WEB = 'i-0a1b2c3d4e5f60001';
+const WORKER = 'i-0a1b2c3d4e5f60002';
+const MISSING = 'i-0fffffffffffffff0';
+
+// Monday 19 October 2026, in IST (UTC+05:30)
+const MONDAY_10AM = new Date('2026-10-19T04:30:00Z');
+const MONDAY_7_30PM = new Date('2026-10-19T14:00:00Z');
+const MONDAY_8PM = new Date('2026-10-19T14:30:00Z');
+const TUESDAY_10AM = new Date('2026-10-20T04:30:00Z');
+
+const OFFICE_HOURS = { name: 'dev office hours', timezone: 'IST', days: 'weekdays', start: '09:00', stop: '19:00' };
+
+function instanceState(id) {
+    return aws.regional('ap-south-1').ec2.instances.find(instance => instance.InstanceId === id).State.Name;
+}
+
+function db(id) {
+    return aws.regional('ap-south-1').rds.instances.find(item => item.DBInstanceIdentifier === id);
+}
+
+async function createSchedule(fields = {}, userId = OPERATOR) {
+    return ok(await call({ service: 'schedules', action: 'create', ...OFFICE_HOURS, ...fields }, userId)).schedule;
+}
+
+function run(at) {
+    return runDueSchedules(catalyst.initialize(), at);
+}
+
+function outcomes(report) {
+    return Object.fromEntries(report.actions.map(action => [action.id, action.outcome]));
+}
+
+describe('schedules', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    describe('evaluation', () => {
+        const schedule = { timezone: 'Asia/Kolkata', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', stop: '19:00', holidays: ['2026-10-20'] };
+
+        it('follows office hours in the schedule timezone', () => {
+            assert.equal(evaluateSchedule(schedule, MONDAY_10AM).desiredState, 'running');
+            assert.equal(evaluateSchedule(schedule, MONDAY_10AM).localTime, '2026-10-19 10:00 Asia/Kolkata');
+            assert.equal(evaluateSchedule(schedule, MONDAY_7_30PM).reason, 'outside_hours');
+            assert.equal(evaluateSchedule({ ...schedule, timezone: 'Europe/London' }, MONDAY_7_30PM).desiredState, 'running');
+        });
+
+        it('keeps days off and holidays stopped', () => {
+            assert.equal(evaluateSchedule(schedule, new Date('2026-10-18T04:30:00Z')).reason, 'day_off');
+            assert.equal(evaluateSchedule(schedule, TUESDAY_10AM).reason, 'holiday');
+        });
+
+        it('gives overnight windows to the day they start on', () => {
+            const night = { ...schedule, days: ['fri'], start: '22:00', stop: '06:00', holidays: [] };
+            assert.equal(evaluateSchedule(night, new Date('2026-10-23T17:00:00Z')).desiredState, 'running');
+            assert.equal(evaluateSchedule(night, new Date('2026-10-24T00:00:00Z')).desiredState, 'running');
+            assert.equal(evaluateSchedule(night, new Date('2026-10-24T17:00:00Z')).reason, 'day_off');
+        });
+    });
+
+    describe('managing schedules', () => {
+        it('creates a schedule in stored form', async () => {
+            const schedule = await createSchedule({ instanceIds: [WEB], holidays: ['2026-10-20'] });
+            assert.equal(schedule.timezone, 'Asia/Kolkata');
+            assert.deepEqual(schedule.days, ['mon', 'tue', 'wed', 'thu', 'fri']);
+            assert.deepEqual(schedule.targets, { instanceIds: [WEB], dbInstanceIds: [], tags: {} });
+            assert.equal(schedule.enabled, true);
+            assert.equal(schedule.profile, 'default');
+
+            const listed = ok(await call({ service: 'schedules', action: 'list' }, OPERATOR));
+            assert.deepEqual(listed.schedules.map(item => item.id), [schedule.id]);
+
+            const fetched = ok(await call({ service: 'schedules', action: 'get', scheduleId: schedule.id }, OPERATOR));
+            assert.ok(['running', 'stopped'].includes(fetched.now.desiredState));
+        });
+
+        it('rejects unknown timezones, empty windows and schedules without targets', async () => {
+            const timezone = ok(await call({ service: 'schedules', action: 'create', ...OFFICE_HOURS, timezone: 'Mars/Olympus', instanceIds: [WEB] }, OPERATOR));
+            assert.equal(timezone.code, 'INVALID_TIMEZONE');
+
+            const hours = ok(await call({ service: 'schedules', action: 'create', ...OFFICE_HOURS, stop: '09:00', instanceIds: [WEB] }, OPERATOR));
+            assert.equal(hours.code, 'INVALID_HOURS');
+
+            const targets = ok(await call({ service: 'schedules', action: 'create', ...OFFICE_HOURS }, OPERATOR));
+            assert.equal(targets.code, 'MISSING_TARGET');
+
+            const invalid = await call({ service: 'schedules', action: 'create', ...OFFICE_HOURS, start: '9am', days: ['someday'], instanceIds: [WEB] }, OPERATOR);
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.fields.map(field => field.field).sort(), ['days', 'start']);
+        });
+
+        it('needs operator to create and keeps schedules private', async () => {
+            const denied = await call({ service: 'schedules', action: 'create', ...OFFICE_HOURS, instanceIds: [WEB] }, VIEWER);
+            assert.equal(denied.status, 403);
+
+            const [schedule] = ok(await call({ service: 'schedules', action: 'list' }, OPERATOR)).schedules;
+            const other = ok(await call({ service: 'schedules', action: 'get', scheduleId: schedule.id }, VIEWER));
+            assert.equal(other.code, 'NOT_FOUND');
+            assert.deepEqual(ok(await call({ service: 'schedules', action: 'list' }, VIEWER)).schedules, []);
+        });
+
+        it('updates and deletes', async () => {
+            const [schedule] = ok(await call({ service: 'schedules', action: 'list' }, OPERATOR)).schedules;
+
+            const updated = ok(await call({ service: 'schedules', action: 'update', scheduleId: schedule.id, stop: '18:30', enabled: false }, OPERATOR)).schedule;
+            assert.equal(updated.stop, '18:30');
+            assert.equal(updated.start, '09:00');
+            assert.equal(updated.enabled, false);
+            assert.deepEqual(updated.targets.instanceIds, [WEB]);
+
+            const cleared = ok(await call({ service: 'schedules', action: 'update', scheduleId: schedule.id, instanceIds: [] }, OPERATOR));
+            assert.equal(cleared.code, 'MISSING_TARGET');
+
+            assert.equal(ok(await call({ service: 'schedules', action: 'delete', scheduleId: schedule.id }, OPERATOR)).deleted, schedule.id);
+            assert.equal(catalyst.rows('schedules').length, 0);
+        });
+    });
+
+    describe('runs', () => {
+        let schedule;
+
+        before(async () => {
+            schedule = await createSchedule({ tags: { Environment: 'dev' } });
+        });
+
+        it('starts tagged instances and databases when office hours begin', async () => {
+            const result = await run(MONDAY_10AM);
+            assert.deepEqual([result.schedules, result.started, result.failed], [1, 2, 0]);
+
+            const [report] = result.reports;
+            assert.equal(report.desiredState, 'running');
+            assert.deepEqual(outcomes(report), { [WORKER]: 'started', 'analytics-db': 'started' });
+            assert.equal(instanceState(WORKER), 'running');
+            assert.equal(db('analytics-db').DBInstanceStatus, 'available');
+            assert.equal(instanceState(WEB), 'running');
+
+            const audit = catalyst.rows('audit_log').filter(row => row.source === 'schedule');
+            assert.deepEqual(audit.map(row => `${row.service}:${row.action}:${row.target}:${row.user_id}`).sort(),
+                [`ec2:start:${WORKER}:${OPERATOR}`, `rds:start:analytics-db:${OPERATOR}`]);
+
+            const runs = ok(await call({ service: 'schedules', action: 'runs', scheduleId: schedule.id }, OPERATOR)).runs;
+            assert.equal(runs.length, 1);
+            assert.equal(runs[0].trigger, 'cron');
+            assert.equal(runs[0].started, 2);
+        });
+
+        it('acts only when the desired state changes', async () => {
+            const again = await run(new Date(MONDAY_10AM.getTime() + 15 * 60 * 1000));
+            assert.equal(again.started + again.stopped, 0);
+            assert.equal(aws.callsTo('ec2', 'StartInstances').length, 1);
+
+            const evening = await run(MONDAY_7_30PM);
+            assert.equal(evening.stopped, 2);
+            assert.equal(instanceState(WORKER), 'stopped');
+            assert.equal(db('analytics-db').DBInstanceStatus, 'stopped');
+        });
+
+        it('leaves hand-started instances up but stops databases AWS restarted', async () => {
+            ok(await call({ service: 'ec2', action: 'start', instanceId: WORKER }, OPERATOR));
+            db('analytics-db').DBInstanceStatus = 'available';
+
+            const [report] = (await run(MONDAY_8PM)).reports;
+            assert.deepEqual(outcomes(report), { [WORKER]: 'unchanged', 'analytics-db': 'stopped' });
+            assert.match(report.actions.find(action => action.id === 'analytics-db').note, /7 days/);
+            assert.equal(instanceState(WORKER), 'running');
+            assert.equal(db('analytics-db').DBInstanceStatus, 'stopped');
+        });
+
+        it('keeps holidays stopped', async () => {
+            ok(await call({ service: 'schedules', action: 'update', scheduleId: schedule.id, holidays: ['2026-10-20'] }, OPERATOR));
+            ok(await call({ service: 'ec2', action: 'stop', instanceId: WORKER }, OPERATOR));
+
+            const [report] = (await run(TUESDAY_10AM)).reports;
+            assert.equal(report.reason, 'holiday');
+            assert.equal(report.started, 0);
+            assert.equal(instanceState(WORKER), 'stopped');
+        });
+
+        it('tries a failed transition again on the next run', async () => {
+            ok(await call({ service: 'schedules', action: 'update', scheduleId: schedule.id, holidays: [] }, OPERATOR));
+            aws.fail('ec2', 'StartInstances', aws.awsError('UnauthorizedOperation', 'You are not authorized to perform this operation.', 403), 1);
+
+            const first = (await run(TUESDAY_10AM)).reports[0];
+            assert.equal(outcomes(first)[WORKER], 'failed');
+            assert.equal(first.actions.find(action => action.id === WORKER).code, 'ACCESS_DENIED');
+            assert.equal(instanceState(WORKER), 'stopped');
+
+            const retry = (await run(new Date(TUESDAY_10AM.getTime() + 15 * 60 * 1000))).reports[0];
+            assert.equal(outcomes(retry)[WORKER], 'started');
+            assert.equal(instanceState(WORKER), 'running');
+        });
+
+        it('skips starts and stops the owner no longer has the role for', async () => {
+            await harness.setRole(OPERATOR, 'viewer');
+            const before = aws.callsTo('ec2', 'StopInstances').length;
+
+            const [report] = (await run(new Date('2026-10-20T14:30:00Z'))).reports;
+            assert.deepEqual(outcomes(report), { [WORKER]: 'skipped', 'analytics-db': 'skipped' });
+            const skipped = report.actions.find(action => action.id === WORKER);
+            assert.equal(skipped.code, 'FORBIDDEN');
+            assert.match(skipped.error, /requires the operator role\. The owner's role is viewer/);
+            assert.equal(report.failed, 2);
+            assert.equal(aws.callsTo('ec2', 'StopInstances').length, before);
+            assert.equal(instanceState(WORKER), 'running');
+            assert.equal(db('analytics-db').DBInstanceStatus, 'available');
+
+            const [recorded] = ok(await call({ service: 'schedules', action: 'runs', scheduleId: schedule.id, limit: 1 }, OPERATOR)).runs;
+            assert.equal(recorded.actions.find(action => action.id === WORKER).outcome, 'skipped');
+
+            await harness.setRole(OPERATOR, 'operator');
+        });
+
+        it('previews without changing anything', async () => {
+            const before = aws.callsTo('ec2', 'StopInstances').length;
+            const { report } = ok(await call({ service: 'schedules', action: 'preview', scheduleId: schedule.id, at: '2026-10-20T20:00:00+05:30' }, OPERATOR));
+
+            assert.equal(report.preview, true);
+            assert.equal(report.desiredState, 'stopped');
+            assert.deepEqual(outcomes(report), { [WORKER]: 'planned', 'analytics-db': 'planned' });
+            assert.equal(aws.callsTo('ec2', 'StopInstances').length, before);
+            assert.equal(instanceState(WORKER), 'running');
+        });
+
+        it('runs a schedule on demand', async () => {
+            const { report } = ok(await call({ service: 'schedules', action: 'run', scheduleId: schedule.id }, OPERATOR));
+            assert.equal(report.trigger, 'manual');
+            assert.equal(report.actions.length, 2);
+
+            const runs = ok(await call({ service: 'schedules', action: 'runs', scheduleId: schedule.id }, OPERATOR)).runs;
+            assert.equal(runs.filter(item => item.trigger === 'manual').length, 1);
+            assert.equal(ok(await call({ service: 'schedules', action: 'runs', limit: 1 }, OPERATOR)).runs.length, 1);
+        });
+
+        it('reports missing targets and profiles', async () => {
+            await createSchedule({ instanceIds: [MISSING], dbInstanceIds: ['gone-db'] });
+            await createSchedule({ name: 'ops account', instanceIds: [WEB], profile: 'ops' });
+
+            const { reports } = await run(MONDAY_7_30PM);
+            const missing = reports.find(report => report.actions.some(action => action.id === MISSING));
+            assert.deepEqual(missing.actions.map(action => [action.id, action.code]), [[MISSING, 'NOT_FOUND'], ['gone-db', 'NOT_FOUND']]);
+
+            const ops = reports.find(report => report.name === 'ops account');
+            assert.equal(ops.actions[0].code, 'PROFILE_NOT_FOUND');
+            assert.equal(instanceState(WEB), 'running');
+        });
+    });
+
+    describe('cron endpoint', () => {
+        after(() => {
+            delete process.env.JOB_SECRET;
+        });
+
+        it('is off until JOB_SECRET is set', async () => {
+            const res = await post('/jobs/schedules', {}, { userId: null });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, 'JOBS_NOT_CONFIGURED');
+        });
+
+        it('needs the job secret', async () => {
+            process.env.JOB_SECRET = 'test-job-secret';
+            const res = await post('/jobs/schedules', {}, { userId: null, headers: { 'X-Job-Secret': 'wrong' } });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, 'UNAUTHENTICATED');
+        });
+
+        it('runs every enabled schedule', async () => {
+            const res = await post('/jobs/schedules', {}, { userId: null, headers: { 'X-Job-Secret': 'test-job-secret' } });
+            const data = ok(res);
+            assert.equal(data.schedules, 3);
+            assert.equal(data.reports.length, 3);
+        });
+    });
+
+    it('covers every schedules action', () => {
+        harness.assertAllExercised('schedules');
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, ok, aws, VIEWER } = harness;
+
+function search(fields, userId = VIEWER) {
+    return call({ service: 'search', ...fields }, userId);
+}
+
+describe('search', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('finds resources across services, best match first', async () => {
+        const data = ok(await search({ action: 'resources', query: 'order' }));
+        assert.deepEqual(data.results.map(result => [result.type, result.name, result.matchedOn]), [
+            ['lambda-function', 'order-processor', 'name'],
+            ['rds-instance', 'orders-db', 'name'],
+            ['log-group', '/aws/lambda/order-processor', 'name']
+        ]);
+        assert.deepEqual(data.results.map(result => result.score), [80, 80, 70]);
+        assert.equal(data.searched.length, 9);
+        assert.deepEqual(data.failed, []);
+        assert.deepEqual(data.truncated, []);
+    });
+
+    it('links each result to its service', async () => {
+        const data = ok(await search({ query: 'order' }));
+        const [fn, db, group] = data.results;
+        assert.deepEqual(fn.link, { service: 'lambda', action: 'get', functionName: 'order-processor', region: 'ap-south-1' });
+        assert.deepEqual(db.link, { service: 'rds', action: 'get', dbInstanceId: 'orders-db', region: 'ap-south-1' });
+        assert.equal(group.link.action, 'listStreams');
+
+        const followed = ok(await call({ ...db.link }, VIEWER));
+        assert.equal(followed.id, 'orders-db');
+    });
+
+    it('matches IDs, ARNs and tags', async () => {
+        const byId = ok(await search({ query: 'i-0a1b2c3d4e5f60003' }));
+        assert.equal(byId.results[0].name, 'api-server');
+        assert.equal(byId.results[0].score, 100);
+
+        const arn = `arn:aws:lambda:ap-south-1:${aws.ACCOUNT_ID}:function:image-resizer`;
+        const byArn = ok(await search({ query: arn }));
+        assert.deepEqual(byArn.results.map(result => [result.name, result.matchedOn, result.score]), [['image-resizer', 'arn', 100]]);
+
+        const byTag = ok(await search({ query: 'Team=payments' }));
+        assert.deepEqual(byTag.results.map(result => [result.type, result.id, result.matchedOn]), [['rds-cluster', 'aurora-main', 'tag:Team']]);
+        assert.deepEqual(byTag.results[0].link, { service: 'rds', action: 'getCluster', dbClusterId: 'aurora-main', region: 'ap-south-1' });
+
+        const byValue = ok(await search({ query: 'prod', types: ['ec2-instance'] }));
+        assert.deepEqual(byValue.results.map(result => result.name).sort(), ['api-server', 'web-server']);
+        assert.equal(byValue.results[0].matchedOn, 'tag:Environment');
+    });
+
+    it('only searches the types asked for, up to limit', async () => {
+        const listed = aws.callsTo('lambda', 'ListFunctions').length;
+        const data = ok(await search({ query: 'er', types: ['ec2-instance'], limit: 1 }));
+        assert.deepEqual(data.searched, ['ec2-instance']);
+        assert.equal(data.totalMatches, 3);
+        assert.deepEqual(data.results.map(result => result.name), ['api-server']);
+        assert.equal(aws.callsTo('lambda', 'ListFunctions').length, listed);
+    });
+
+    it('still answers when one service fails', async () => {
+        aws.deny('iam:ListRoles');
+
+        const data = ok(await search({ query: 'lambda' }));
+        assert.deepEqual(data.failed.map(failure => [failure.type, failure.code]), [['iam-role', 'ACCESS_DENIED']]);
+        assert.ok(!data.searched.includes('iam-role'));
+        assert.ok(data.results.some(result => result.type === 'log-group'));
+
+        const onlyIam = await search({ query: 'lambda', types: ['iam-role'] });
+        assert.equal(onlyIam.status, 403);
+    });
+
+    it('rejects queries that are too short', async () => {
+        const res = await search({ query: 'a' });
+        assert.equal(res.status, 400);
+    });
+
+    it('covers every search action', () => {
+        harness.assertAllExercised('search');
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { call, callConfirmed, approve, ok, aws, OPERATOR, VIEWER } = harness;
+
+const TOPIC_PREFIX = `arn:aws:sns:ap-south-1:${aws.ACCOUNT_ID}:`;
+const OPS_ALERTS = `${TOPIC_PREFIX}ops-alerts`;
+const DEPLOYMENTS = `${TOPIC_PREFIX}deployments`;
+
+describe('sns', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    it('listTopics and getTopic describe the topics', async () => {
+        const topics = ok(await call({ service: 'sns', action: 'listTopics' }));
+        assert.deepEqual(topics.map(topic => topic.name), ['ops-alerts', 'deployments']);
+
+        const topic = ok(await call({ service: 'sns', action: 'getTopic', topicArn: OPS_ALERTS }));
+        assert.equal(topic.displayName, 'Ops alerts');
+        assert.equal(topic.subscriptionsConfirmed, 1);
+    });
+
+    it('listSubscriptions and topicSubscriptions list the subscriptions', async () => {
+        const all = ok(await call({ service: 'sns', action: 'listSubscriptions' }));
+        assert.deepEqual(all.map(sub => sub.protocol), ['email', 'https']);
+
+        const pending = ok(await call({ service: 'sns', action: 'topicSubscriptions', topicArn: DEPLOYMENTS }));
+        assert.deepEqual(pending.map(sub => sub.arn), ['PendingConfirmation']);
+    });
+
+    it('summary counts subscriptions by protocol', async () => {
+        const data = ok(await call({ service: 'sns', action: 'summary' }));
+        assert.deepEqual(data, { totalTopics: 2, totalSubscriptions: 2, subscriptionsByProtocol: { email: 1, https: 1 } });
+    });
+
+    describe('publish', () => {
+        it('needs consent', async () => {
+            const res = await call({ service: 'sns', action: 'publish', topicArn: OPS_ALERTS, message: 'Deploy done' }, OPERATOR);
+            assert.equal(res.status, 428);
+            assert.equal(aws.regional('ap-south-1').sns.published.length, 0);
+        });
+
+        it('publishes the message to the topic', async () => {
+            const data = ok(await call({ service: 'sns', action: 'publish', topicArn: OPS_ALERTS, message: 'Deploy done', subject: 'Deploy', consent: true }, OPERATOR));
+            const [published] = aws.regional('ap-south-1').sns.published;
+            assert.equal(published.MessageId, data.messageId);
+            assert.equal(published.Message, 'Deploy done');
+            assert.equal(published.Subject, 'Deploy');
+        });
+
+        it('of a missing topic is NOT_FOUND', async () => {
+            const res = await call({ service: 'sns', action: 'publish', topicArn: `${TOPIC_PREFIX}missing`, message: 'x', consent: true }, OPERATOR);
+            assert.equal(res.status, 404);
+        });
+    });
+
+    it('createTopic, subscribe and unsubscribe manage a topic', async () => {
+        const topic = ok(await call({ service: 'sns', action: 'createTopic', name: 'builds' }, OPERATOR));
+        assert.equal(topic.arn, `${TOPIC_PREFIX}builds`);
+
+        const sub = ok(await call({ service: 'sns', action: 'subscribe', topicArn: topic.arn, protocol: 'sqs', endpoint: `arn:aws:sqs:ap-south-1:${aws.ACCOUNT_ID}:builds` }, OPERATOR));
+        assert.ok(sub.subscriptionArn.startsWith(topic.arn));
+
+        ok(await call({ service: 'sns', action: 'unsubscribe', subscriptionArn: sub.subscriptionArn }, OPERATOR));
+        const remaining = aws.regional('ap-south-1').sns.subscriptions.filter(item => item.TopicArn === topic.arn);
+        assert.equal(remaining.length, 0);
+    });
+
+    it('viewers cannot create topics', async () => {
+        const res = await call({ service: 'sns', action: 'createTopic', name: 'viewer-topic' }, VIEWER);
+        assert.equal(res.status, 403);
+    });
+
+    it('deleteTopic needs admin, a confirmation and an approval', async () => {
+        const denied = await call({ service: 'sns', action: 'deleteTopic', topicArn: DEPLOYMENTS }, OPERATOR);
+        assert.equal(denied.status, 403);
+
+        ok(await approve(await callConfirmed({ service: 'sns', action: 'deleteTopic', topicArn: DEPLOYMENTS })));
+        const arns = aws.regional('ap-south-1').sns.topics.map(topic => topic.TopicArn);
+        assert.equal(arns.includes(DEPLOYMENTS), false);
+    });
+
+    it('covers every sns action', () => {
+        harness.assertAllExercised('sns');
+    });
+});
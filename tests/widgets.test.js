@@ -0,0 +1,297 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { get, post, aws, ADMIN, OPERATOR, VIEWER } = harness;
+
+const WEB = 'i-0a1b2c3d4e5f60001';
+const BATCH = 'i-0a1b2c3d4e5f60002';
+const API = 'i-0a1b2c3d4e5f60003';
+const WEB_SG = 'sg-0a1b2c3d4e5f60001';
+
+/**
+ * Assert a widget response succeeded and return its data
+ */
+function ok(res) {
+    assert.equal(res.status, 200, `HTTP ${res.status}: ${JSON.stringify(res.body)}`);
+    assert.equal(res.body.success, true, JSON.stringify(res.body));
+    return res.body.data;
+}
+
+function widgetGet(path, query, userId = ADMIN) {
+    const search = new URLSearchParams({ userId, ...query });
+    return get(`${path}?${search}`, { userId });
+}
+
+function widgetPost(path, body, userId = ADMIN) {
+    return post(path, { userId, ...body }, { userId });
+}
+
+/**
+ * POST a destructive widget action: confirm with the token from the first try
+ */
+async function widgetPostConfirmed(path, body, userId = ADMIN) {
+    const first = await widgetPost(path, body, userId);
+    assert.equal(first.status, 428, JSON.stringify(first.body));
+    return widgetPost(path, { ...body, confirmationToken: first.body.confirmationToken }, userId);
+}
+
+function instance(id) {
+    return aws.regional('ap-south-1').ec2.instances.find(item => item.InstanceId === id);
+}
+
+function objectKeys(bucket) {
+    return [...aws.state.s3.get(bucket).objects.keys()];
+}
+
+function form(fields, files = {}) {
+    const data = new FormData();
+    for (const [name, value] of Object.entries(fields)) data.append(name, value);
+    for (const [name, list] of Object.entries(files)) {
+        for (const [fileName, content] of list) data.append(name, new Blob([content]), fileName);
+    }
+    return data;
+}
+
+describe('widget routes', () => {
+    before(harness.start);
+    after(harness.stop);
+
+    describe('/widget/ec2', () => {
+        it('GET actions describe an instance', async () => {
+            const output = ok(await widgetGet('/widget/ec2', { action: 'consoleOutput', instanceId: WEB }, OPERATOR));
+            assert.match(output.output, /Cloud-init finished/);
+
+            const volumes = ok(await widgetGet('/widget/ec2', { action: 'listVolumes', instanceId: WEB }));
+            assert.deepEqual(volumes.volumes.map(volume => volume.volumeId), ['vol-0a1b2c3d4e5f60001']);
+
+            const groups = ok(await widgetGet('/widget/ec2', { action: 'getSecurityGroups', instanceId: WEB }));
+            assert.deepEqual(groups.securityGroups.map(group => group.groupName), ['web-sg']);
+
+            const eips = ok(await widgetGet('/widget/ec2', { action: 'listElasticIps' }));
+            assert.equal(eips.elasticIps[0].instanceId, WEB);
+
+            const types = ok(await widgetGet('/widget/ec2', { action: 'listInstanceTypes' }));
+            assert.ok(types.instanceTypes.some(type => type.instanceType === 't3.micro'));
+        });
+
+        it('metrics returns CPU and network series', async () => {
+            const data = ok(await widgetGet('/widget/ec2/metrics', { instanceId: WEB, timeRange: '1h' }, VIEWER));
+            assert.equal(data.metrics.cpu.data.length, 12);
+            assert.ok(data.metrics.cpu.current > 0);
+            assert.ok(data.metrics.cpu.max >= data.metrics.cpu.average);
+            assert.ok(data.metrics.networkIn.data.length > 0);
+        });
+
+        it('start and stop change the instance state', async () => {
+            const stopped = ok(await widgetPost(`/widget/ec2?action=stop`, { instanceId: WEB }, OPERATOR));
+            assert.equal(stopped.currentState, 'stopping');
+            assert.equal(instance(WEB).State.Name, 'stopped');
+
+            ok(await widgetPost(`/widget/ec2?action=start`, { instanceId: WEB }, OPERATOR));
+            assert.equal(instance(WEB).State.Name, 'running');
+
+            ok(await widgetPost(`/widget/ec2?action=reboot`, { instanceId: API }, OPERATOR));
+            assert.equal(aws.callsTo('ec2', 'RebootInstances').length, 1);
+        });
+
+        it('viewers cannot change instances', async () => {
+            const res = await widgetPost(`/widget/ec2?action=stop`, { instanceId: API }, VIEWER);
+            assert.equal(res.status, 403);
+            assert.equal(instance(API).State.Name, 'running');
+        });
+
+        it('createSnapshot and createImage back up an instance', async () => {
+            const snapshot = ok(await widgetPost(`/widget/ec2?action=createSnapshot`, { volumeId: 'vol-0a1b2c3d4e5f60001', description: 'before upgrade' }, OPERATOR));
+            assert.match(snapshot.snapshotId, /^snap-/);
+
+            const image = ok(await widgetPost(`/widget/ec2?action=createImage`, { instanceId: WEB, name: 'web-server-ami', noReboot: true }, OPERATOR));
+            assert.match(image.imageId, /^ami-/);
+            assert.equal(aws.callsTo('ec2', 'CreateImage').pop().input.NoReboot, true);
+        });
+
+        it('Elastic IPs can be allocated, moved and released from an instance', async () => {
+            const allocated = ok(await widgetPost(`/widget/ec2?action=allocateElasticIp`, {}, OPERATOR));
+            assert.match(allocated.allocationId, /^eipalloc-/);
+
+            ok(await widgetPost(`/widget/ec2?action=disassociateElasticIp`, { associationId: 'eipassoc-0a1b2c3d4e5f60001' }, OPERATOR));
+            const moved = ok(await widgetPost(`/widget/ec2?action=associateElasticIp`, { instanceId: API, allocationId: 'eipalloc-0a1b2c3d4e5f60001' }, OPERATOR));
+            assert.equal(moved.instanceId, API);
+        });
+
+        it('modifyInstanceType is admin only and needs a stopped instance', async () => {
+            const denied = await widgetPost(`/widget/ec2?action=modifyInstanceType`, { instanceId: BATCH, newInstanceType: 't3.xlarge' }, OPERATOR);
+            assert.equal(denied.status, 403);
+
+            const running = await harness.approve(await widgetPost(`/widget/ec2?action=modifyInstanceType`, { instanceId: API, newInstanceType: 't3.xlarge' }));
+            assert.equal(running.body.data.success, false);
+            assert.equal(running.body.data.approval.status, 'failed');
+
+            ok(await harness.approve(await widgetPost(`/widget/ec2?action=modifyInstanceType`, { instanceId: BATCH, newInstanceType: 't3.xlarge' })));
+            assert.equal(instance(BATCH).InstanceType, 't3.xlarge');
+        });
+
+        it('security group rules can be added and removed', async () => {
+            const rule = { protocol: 'tcp', fromPort: 8080, toPort: 8080, cidr: '10.0.0.0/16', description: 'App port' };
+            const group = () => aws.regional('ap-south-1').ec2.securityGroups.find(item => item.GroupId === WEB_SG);
+            const hasPort = permissions => permissions.some(permission => permission.FromPort === 8080);
+
+            ok(await widgetPost(`/widget/ec2?action=addInboundRule`, { groupId: WEB_SG, rule }));
+            assert.ok(hasPort(group().IpPermissions));
+
+            const duplicate = await widgetPost(`/widget/ec2?action=addInboundRule`, { groupId: WEB_SG, rule });
+            assert.equal(duplicate.status, 409);
+
+            ok(await harness.approve(await widgetPost(`/widget/ec2?action=removeInboundRule`, { groupId: WEB_SG, rule })));
+            assert.ok(!hasPort(group().IpPermissions));
+
+            ok(await widgetPost(`/widget/ec2?action=addOutboundRule`, { groupId: WEB_SG, rule }));
+            assert.ok(hasPort(group().IpPermissionsEgress));
+            ok(await harness.approve(await widgetPost(`/widget/ec2?action=removeOutboundRule`, { groupId: WEB_SG, rule })));
+            assert.ok(!hasPort(group().IpPermissionsEgress));
+        });
+
+        it('terminate needs a confirmation and an approval', async () => {
+            const data = ok(await harness.approve(await widgetPostConfirmed(`/widget/ec2?action=terminate`, { instanceId: BATCH })));
+            assert.equal(data.result.currentState, 'shutting-down');
+            assert.equal(instance(BATCH).State.Name, 'terminated');
+        });
+
+        it('unknown actions are rejected', async () => {
+            const res = await widgetGet('/widget/ec2', { action: 'explode' });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('/widget/s3', () => {
+        it('browse, search, info and stats read a bucket', async () => {
+            const browse = ok(await widgetGet('/widget/s3/browse', { bucket: 'app-assets-prod', prefix: 'images/' }, VIEWER));
+            assert.deepEqual(browse.files.map(file => file.name), ['banner.jpg', 'logo.png']);
+
+            const search = ok(await widgetGet('/widget/s3/search', { bucket: 'app-assets-prod', searchTerm: 'logo' }));
+            assert.deepEqual(search.matches.map(match => match.key), ['images/logo.png']);
+
+            const info = ok(await widgetGet('/widget/s3/info', { bucket: 'app-assets-prod' }));
+            assert.equal(info.totalObjects, 5);
+
+            const stats = ok(await widgetGet('/widget/s3/detailed-stats', { bucket: 'app-assets-prod' }));
+            assert.equal(stats.fileTypes[0].extension, 'jpg');
+
+            const object = ok(await widgetGet('/widget/s3/object-info', { bucket: 'app-assets-prod', key: 'index.html' }));
+            assert.equal(object.contentType, 'text/html');
+        });
+
+        it('download returns a presigned URL for the stored keys', async () => {
+            const data = ok(await widgetGet('/widget/s3/download', { bucket: 'app-assets-prod', key: 'index.html' }));
+            const url = new URL(data.url);
+            assert.equal(url.pathname, '/index.html');
+            assert.match(url.searchParams.get('X-Amz-Credential'), new RegExp(`^${harness.ACCESS_KEY_ID}/`));
+        });
+
+        it('upload stores a file under the prefix', async () => {
+            const res = await post('/widget/s3/upload', form(
+                { bucket: 'app-assets-prod', prefix: 'uploads/', userId: OPERATOR },
+                { file: [['notes.txt', 'hello']] }
+            ), { userId: OPERATOR });
+            assert.equal(ok(res).key, 'uploads/notes.txt');
+            assert.ok(objectKeys('app-assets-prod').includes('uploads/notes.txt'));
+        });
+
+        it('create-folder adds a folder marker', async () => {
+            ok(await widgetPost('/widget/s3/create-folder', { bucket: 'app-assets-prod', folderName: 'drafts', prefix: '' }, OPERATOR));
+            assert.ok(objectKeys('app-assets-prod').includes('drafts/'));
+        });
+
+        it('delete removes an object after confirmation', async () => {
+            ok(await widgetPostConfirmed('/widget/s3/delete', { bucket: 'app-assets-prod', key: 'index.html' }, OPERATOR));
+            assert.ok(!objectKeys('app-assets-prod').includes('index.html'));
+        });
+
+        it('delete-folder removes everything under the prefix', async () => {
+            const denied = await widgetPost('/widget/s3/delete-folder', { bucket: 'app-assets-prod', folderKey: 'images/' }, OPERATOR);
+            assert.equal(denied.status, 403);
+
+            ok(await harness.approve(await widgetPostConfirmed('/widget/s3/delete-folder', { bucket: 'app-assets-prod', folderKey: 'images/' })));
+            assert.ok(!objectKeys('app-assets-prod').some(key => key.startsWith('images/')));
+        });
+
+        it('create and delete-bucket manage buckets', async () => {
+            ok(await widgetPost('/widget/s3/create', { bucketName: 'widget-created-bucket' }));
+            assert.ok(aws.state.s3.has('widget-created-bucket'));
+
+            ok(await harness.approve(await widgetPostConfirmed('/widget/s3/delete-bucket', { bucket: 'widget-created-bucket' })));
+            assert.equal(aws.state.s3.has('widget-created-bucket'), false);
+        });
+    });
+
+    describe('/widget/lambda', () => {
+        it('list, getConfiguration and getLogs read functions', async () => {
+            const list = ok(await widgetPost('/widget/lambda', { action: 'list' }, VIEWER));
+            assert.equal(list.functions.length, 3);
+
+            const config = ok(await widgetPost('/widget/lambda', { action: 'getConfiguration', functionName: 'order-processor' }));
+            assert.equal(config.function.runtime, 'python3.12');
+
+            const logs = ok(await widgetPost('/widget/lambda', { action: 'getLogs', functionName: 'order-processor', limit: 10 }));
+            assert.ok(logs.logs.some(line => line.message.startsWith('ERROR')));
+        });
+
+        it('invoke needs consent', async () => {
+            const res = await widgetPost('/widget/lambda', { action: 'invoke', functionName: 'image-resizer', payload: { a: 1 } }, OPERATOR);
+            assert.equal(res.status, 428);
+
+            const data = ok(await widgetPost('/widget/lambda', { action: 'invoke', functionName: 'image-resizer', payload: { a: 1 }, consent: true }, OPERATOR));
+            assert.equal(data.invocation.statusCode, 200);
+        });
+
+        it('updateConfiguration changes memory and timeout', async () => {
+            const denied = await widgetPost('/widget/lambda', { action: 'updateConfiguration', functionName: 'image-resizer', updates: { MemorySize: 1024 } }, OPERATOR);
+            assert.equal(denied.status, 403);
+
+            const data = ok(await widgetPost('/widget/lambda', { action: 'updateConfiguration', functionName: 'image-resizer', updates: { MemorySize: 1024, Timeout: 60 } }));
+            assert.deepEqual([data.configuration.memory, data.configuration.timeout], [1024, 60]);
+        });
+
+        it('updateCode uploads a ZIP', async () => {
+            const res = await post('/widget/lambda', form(
+                { action: 'updateCode', functionName: 'image-resizer', userId: ADMIN },
+                { zipFile: [['code.zip', Buffer.from('PK\u0003\u0004fake')]] }
+            ));
+            assert.equal(ok(res).function.codeSize, 8);
+        });
+    });
+
+    it('/upload stores several files from the Cliq form', async () => {
+        const res = await post('/upload', form(
+            { metadata: JSON.stringify({ bucket: 'team-backups', prefix: 'cliq/', userId: OPERATOR, region: 'us-east-1' }) },
+            { files: [['one.txt', 'one'], ['two.txt', 'two']] }
+        ), { userId: OPERATOR });
+        const data = ok(res);
+        assert.equal(data.successCount, 2);
+        assert.ok(objectKeys('team-backups').includes('cliq/two.txt'));
+    });
+
+    it('/upload reports a file that failed and keeps the others', async () => {
+        aws.fail('s3', 'PutObject', aws.awsError('AccessDenied', 'Access Denied', 403), 1);
+        const res = await post('/upload', form(
+            { metadata: JSON.stringify({ bucket: 'team-backups', prefix: 'partial/', userId: OPERATOR, region: 'us-east-1' }) },
+            { files: [['first.txt', 'one'], ['second.txt', 'two']] }
+        ), { userId: OPERATOR });
+        const data = ok(res);
+        assert.equal(data.successCount, 1);
+        assert.equal(data.failCount, 1);
+        assert.deepEqual(data.errors.map(error => [error.fileName, error.code]), [['first.txt', 'ACCESS_DENIED']]);
+        assert.deepEqual(data.uploaded.map(file => file.key), ['partial/second.txt']);
+        assert.ok(!objectKeys('team-backups').includes('partial/first.txt'));
+    });
+
+    it('/widget/dashboard/data summarises the account', async () => {
+        const res = await widgetGet('/widget/dashboard/data', {}, VIEWER);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.ec2.total, 3);
+        assert.equal(res.body.health.status, 'critical');
+    });
+});
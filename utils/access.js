@@ -0,0 +1,327 @@
+'use strict';
+
+/**
+ * Role-Based Access Control
+ * Decides which Cliq users may run which service:action
+ *
+ * Roles, lowest to highest:
+ * - viewer:   read-only (list, get, metrics, costs, AI assistant)
+ * - operator: day-to-day changes (start/stop, uploads, snapshots, alarms)
+ * - admin:    destructive and security changes (terminate, delete buckets,
+ *             security group rules) and role management
+ *
+ * Roles are stored in the Catalyst Data Store table `access_roles`, either
+ * per user or per Cliq team. A user's effective role is the highest of:
+ * their own role, their team's role, ADMIN_USER_IDS (bootstrap admins from
+ * the environment) and DEFAULT_ROLE (default: viewer).
+ *
+ * access_roles columns: subject_type ('user' | 'team'), subject_id, role,
+ * team_id (users only - the team they belong to), assigned_by, updated_at
+ */
+
+const { errorResponse } = require('./helpers');
+const { createLogger } = require('./logger');
+
+const log = createLogger('access');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const TABLE_NAME = 'access_roles';
+const CACHE_TTL_MS = 30 * 1000;
+const ID_PATTERN = /^[\w.@-]{1,100}$/;
+
+/*
+ * Minimum role for widget-only actions (same keys as utils/pricing.js).
+ * Router actions declare their role in the action registry (actions/);
+ * anything in neither place only needs viewer - so every new mutating
+ * widget action must be added here.
+ */
+const ACTION_ROLES = {
+    // EC2 - power state and backups are routine, the rest changes infrastructure
+    'ec2:consoleOutput': 'operator',
+    'ec2:createSnapshot': 'operator',
+    'ec2:createImage': 'operator',
+    'ec2:allocateElasticIp': 'operator',
+    'ec2:associateElasticIp': 'operator',
+    'ec2:disassociateElasticIp': 'operator',
+    'ec2:terminate': 'admin',
+    'ec2:modifyInstanceType': 'admin',
+    'ec2:addInboundRule': 'admin',
+    'ec2:addOutboundRule': 'admin',
+    'ec2:removeInboundRule': 'admin',
+    'ec2:removeOutboundRule': 'admin',
+
+    // S3
+    's3:upload': 'operator',
+    's3:createFolder': 'operator',
+    's3:deleteFolder': 'admin',
+
+    // Lambda
+    'lambda:updateCode': 'admin',
+    'lambda:updateConfiguration': 'admin'
+};
+
+// subject_type:subject_id -> { row, expiresAt }
+const roleCache = new Map();
+
+/**
+ * Rank of a role (-1 for unknown roles)
+ */
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+function isValidRole(role) {
+    return roleRank(role) !== -1;
+}
+
+/**
+ * User and team IDs must be safe inside a ZCQL string literal
+ */
+function isValidSubjectId(id) {
+    return ID_PATTERN.test(String(id));
+}
+
+/**
+ * Minimum role needed for a service:action
+ */
+function getRequiredRole(service, action) {
+    // Required here rather than at the top: action files require this module
+    const entry = require('../actions').getAction(service, action);
+    if (entry) return entry.role;
+    return ACTION_ROLES[`${service}:${action}`] || 'viewer';
+}
+
+/**
+ * Every action that needs more than viewer, registry and widget-only alike
+ */
+function getPolicy() {
+    const policy = {};
+    for (const entry of require('../actions').listActions()) {
+        if (entry.role !== 'viewer') policy[entry.key] = entry.role;
+    }
+    return { ...policy, ...ACTION_ROLES };
+}
+
+/**
+ * Whether a role meets the required minimum
+ */
+function hasRole(role, requiredRole) {
+    return roleRank(role) >= roleRank(requiredRole);
+}
+
+/**
+ * Role everyone gets without an assignment
+ */
+function getDefaultRole() {
+    const role = process.env.DEFAULT_ROLE;
+    return isValidRole(role) ? role : 'viewer';
+}
+
+/**
+ * Bootstrap admins from the environment (comma separated Cliq user IDs)
+ */
+function listBootstrapAdmins() {
+    return (process.env.ADMIN_USER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+function isBootstrapAdmin(userId) {
+    return listBootstrapAdmins().includes(String(userId));
+}
+
+/**
+ * Find one user or team row (cached briefly)
+ */
+async function findSubject(catalystInstance, subjectType, subjectId) {
+    if (!subjectId || !isValidSubjectId(subjectId)) return null;
+
+    const cacheKey = `${subjectType}:${subjectId}`;
+    const cached = roleCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.row;
+    }
+
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME} WHERE subject_type = '${subjectType}' AND subject_id = '${subjectId}'`
+    );
+    const row = results.length > 0 ? results[0][TABLE_NAME] : null;
+
+    roleCache.set(cacheKey, { row, expiresAt: Date.now() + CACHE_TTL_MS });
+    return row;
+}
+
+/**
+ * Effective role of a user: highest of own role, team role, bootstrap admin
+ * and the default role. Falls back to the default if the lookup fails.
+ *
+ * @returns {Object} { role, source, teamId }
+ */
+async function getEffectiveRole(catalystInstance, userId) {
+    if (isBootstrapAdmin(userId)) {
+        return { role: 'admin', source: 'ADMIN_USER_IDS', teamId: null };
+    }
+
+    let best = { role: getDefaultRole(), source: 'default', teamId: null };
+    if (!catalystInstance) return best;
+
+    try {
+        const userRow = await findSubject(catalystInstance, 'user', userId);
+        const teamId = (userRow && userRow.team_id) || null;
+        best.teamId = teamId;
+
+        if (userRow && isValidRole(userRow.role) && roleRank(userRow.role) > roleRank(best.role)) {
+            best = { role: userRow.role, source: 'user', teamId };
+        }
+
+        const teamRow = teamId ? await findSubject(catalystInstance, 'team', teamId) : null;
+        if (teamRow && isValidRole(teamRow.role) && roleRank(teamRow.role) > roleRank(best.role)) {
+            best = { role: teamRow.role, source: 'team', teamId };
+        }
+    } catch (error) {
+        log.error('Role lookup failed', { subjectUserId: userId, error });
+    }
+
+    return best;
+}
+
+/**
+ * Assign a role to a user or team, and/or put a user in a team.
+ *
+ * @param {Object} assignment - { targetUserId, teamId, role }
+ *   targetUserId + role: user role; targetUserId + teamId: team membership;
+ *   teamId + role (no targetUserId): team role
+ */
+async function assignRole(catalystInstance, assignment, assignedBy) {
+    const { targetUserId, teamId, role } = assignment;
+    const subjectType = targetUserId ? 'user' : 'team';
+    const subjectId = targetUserId || teamId;
+
+    const table = catalystInstance.datastore().table(TABLE_NAME);
+    const existing = await findSubject(catalystInstance, subjectType, subjectId);
+
+    const record = {
+        subject_type: subjectType,
+        subject_id: String(subjectId),
+        ...(role && { role }),
+        ...(subjectType === 'user' && teamId && { team_id: String(teamId) }),
+        assigned_by: String(assignedBy),
+        updated_at: Date.now()
+    };
+
+    if (existing) {
+        await table.updateRow({ ROWID: existing.ROWID, ...record });
+    } else {
+        await table.insertRow({ role: '', team_id: '', ...record });
+    }
+
+    roleCache.delete(`${subjectType}:${subjectId}`);
+    return { subjectType, subjectId: String(subjectId), role: role || (existing && existing.role) || null, teamId: teamId || null };
+}
+
+/**
+ * Remove a user's or team's assignment
+ */
+async function revokeRole(catalystInstance, { targetUserId, teamId }) {
+    const subjectType = targetUserId ? 'user' : 'team';
+    const subjectId = targetUserId || teamId;
+
+    const existing = await findSubject(catalystInstance, subjectType, subjectId);
+    if (!existing) return false;
+
+    await catalystInstance.datastore().table(TABLE_NAME).deleteRow(existing.ROWID);
+    roleCache.delete(`${subjectType}:${subjectId}`);
+    return true;
+}
+
+/**
+ * All assignments (admin listing)
+ */
+async function listAssignments(catalystInstance) {
+    const results = await catalystInstance.zcql().executeZCQLQuery(`SELECT * FROM ${TABLE_NAME}`);
+    return results.map(result => {
+        const row = result[TABLE_NAME];
+        return {
+            type: row.subject_type,
+            id: row.subject_id,
+            role: row.role || null,
+            teamId: row.team_id || null,
+            assignedBy: row.assigned_by,
+            updatedAt: row.updated_at
+        };
+    });
+}
+
+/**
+ * IDs of the users known to have at least a role: bootstrap admins, users
+ * assigned it and members of teams assigned it. Users who only get it from
+ * DEFAULT_ROLE aren't listed.
+ */
+async function listUsersWithRole(catalystInstance, requiredRole) {
+    const users = new Set(hasRole('admin', requiredRole) ? listBootstrapAdmins() : []);
+
+    const assignments = await listAssignments(catalystInstance);
+    const teams = new Set(assignments
+        .filter(assignment => assignment.type === 'team' && isValidRole(assignment.role) && hasRole(assignment.role, requiredRole))
+        .map(assignment => assignment.id));
+
+    for (const assignment of assignments) {
+        if (assignment.type !== 'user') continue;
+        if ((isValidRole(assignment.role) && hasRole(assignment.role, requiredRole)) || teams.has(assignment.teamId)) {
+            users.add(assignment.id);
+        }
+    }
+    return [...users];
+}
+
+/**
+ * Express middleware factory - rejects callers below the required role.
+ * service and action can be fixed strings or functions of the request.
+ * Must run after authenticateCaller (uses req.caller).
+ */
+function authorize(service, action) {
+    return async (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+        const requiredRole = getRequiredRole(serviceName, actionName);
+
+        let catalystInstance = null;
+        try {
+            catalystInstance = require('zcatalyst-sdk-node').initialize(req);
+        } catch (e) {
+            // Local testing - only ADMIN_USER_IDS and DEFAULT_ROLE apply
+        }
+
+        const access = await getEffectiveRole(catalystInstance, req.caller.userId);
+        req.caller.role = access.role;
+
+        if (!hasRole(access.role, requiredRole)) {
+            log.warn('Access denied', { userId: req.caller.userId, role: access.role, service: serviceName, action: actionName, requiredRole });
+            return res.status(403).json({
+                ...errorResponse(`${serviceName}:${actionName} requires the ${requiredRole} role. Your role is ${access.role}.`, 'FORBIDDEN'),
+                requiredRole,
+                currentRole: access.role
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    ACTION_ROLES,
+    isValidRole,
+    isValidSubjectId,
+    getRequiredRole,
+    getPolicy,
+    hasRole,
+    getEffectiveRole,
+    assignRole,
+    revokeRole,
+    listAssignments,
+    listUsersWithRole,
+    authorize
+};
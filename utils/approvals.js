@@ -0,0 +1,500 @@
+'use strict';
+
+/**
+ * Two-Person Approval
+ * Protected actions run only after a second authorized user approves them
+ *
+ * Terminating instances, changing instance types, removing security group
+ * rules or undoing rule changes and deleting buckets, folders and topics are
+ * approval actions (flagged approval in the action registry, or widget-only
+ * ones in APPROVAL_ACTIONS below). Once the requester has confirmed one, the
+ * requireApproval() middleware stores it as a pending approval instead of
+ * running it, tells the approvers (APPROVAL_WEBHOOK_URL) and answers 202
+ * APPROVAL_REQUIRED.
+ *
+ * Any other user with the action's role can approve or reject it through the
+ * approvals service before it expires (APPROVAL_TTL_MINUTES, default: 4
+ * hours); the requester can withdraw it. Approving runs the action straight
+ * away as the requester - their stored credentials for the requested profile
+ * and region, if their role still allows the action - and records it in the
+ * audit log as theirs (source: approval).
+ *
+ * Each decision claims the row first (see claimApproval), so an approval
+ * runs at most once across instances and a reject can't land mid-run.
+ *
+ * Stored in the Catalyst Data Store table `approvals`:
+ * user_id (requester), service, action, target, params (JSON), profile_name,
+ * region, source (router | batch | widget), required_role, status (pending |
+ * executing | rejected | executed | failed), decided_by, decided_at,
+ * decision_id, reason, result (JSON), error_code, error_message,
+ * executed_at, expires_at, created_at.
+ * A pending approval past expires_at is reported as expired.
+ */
+
+const crypto = require('crypto');
+const ec2Service = require('../services/ec2');
+const s3Service = require('../services/s3');
+const { toAwsCredentials, resolveRegion } = require('./aws-clients');
+const { normalizeAWSError } = require('./aws-errors');
+const { getUserCredentials } = require('./credentials');
+const { DEFAULT_PROFILE } = require('./profiles');
+const { errorResponse } = require('./helpers');
+const { getEffectiveRole, getRequiredRole, hasRole, listUsersWithRole } = require('./access');
+const { getTarget, getRequestParams, redactParams, recordEntry } = require('./audit');
+const { runRuleChange } = require('./rule-history');
+const { createLogger } = require('./logger');
+
+const log = createLogger('approvals');
+
+const TABLE_NAME = 'approvals';
+
+const TTL_MS = (parseInt(process.env.APPROVAL_TTL_MINUTES, 10) || 240) * 60 * 1000;
+
+const STATUSES = ['pending', 'executing', 'rejected', 'executed', 'failed', 'expired'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Longest stored result - bigger ones are replaced by their size
+const MAX_RESULT_LENGTH = 4000;
+
+const NOTIFY_TIMEOUT_MS = 5000;
+
+// Widget-only actions that need approval, and how to run them once approved
+// (router actions declare approval in the action registry and run their handler)
+const APPROVAL_ACTIONS = {
+    'ec2:terminate': ({ params, region, credentials }) =>
+        ec2Service.terminateInstance(params.instanceId, region, credentials),
+    'ec2:modifyInstanceType': ({ params, region, credentials }) =>
+        ec2Service.modifyInstanceType(params.instanceId, params.newInstanceType, region, credentials),
+    'ec2:removeInboundRule': ctx => runRuleChange(ctx, 'removeInboundRule', 'approval'),
+    'ec2:removeOutboundRule': ctx => runRuleChange(ctx, 'removeOutboundRule', 'approval'),
+    's3:deleteFolder': ({ params, region, credentials }) =>
+        s3Service.deleteFolder(params.bucket, params.folderKey, region, credentials)
+};
+
+// Approvals being decided in this instance, so a double click runs once
+const deciding = new Set();
+
+function registryEntry(service, action) {
+    // Required here rather than at the top: action files require this module
+    const entry = require('../actions').getAction(service, action);
+    return entry && entry.action === action ? entry : null;
+}
+
+/**
+ * Whether service:action needs a second person's approval
+ */
+function isApprovalAction(service, action) {
+    const entry = registryEntry(service, action);
+    if (entry && entry.approval) return true;
+    return APPROVAL_ACTIONS.hasOwnProperty(`${service}:${action}`);
+}
+
+function parseJson(text, fallback) {
+    try {
+        return text ? JSON.parse(text) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function toIso(value) {
+    return Number(value) > 0 ? new Date(Number(value)).toISOString() : null;
+}
+
+/**
+ * Stored row in API form
+ */
+function formatApproval(row) {
+    const expired = row.status === 'pending' && Number(row.expires_at) <= Date.now();
+    return {
+        id: row.ROWID,
+        status: expired ? 'expired' : row.status,
+        service: row.service,
+        action: row.action,
+        target: row.target || null,
+        params: parseJson(row.params, {}),
+        profile: row.profile_name || DEFAULT_PROFILE,
+        region: row.region || null,
+        source: row.source,
+        requiredRole: row.required_role,
+        requestedBy: row.user_id,
+        requestedAt: toIso(row.created_at),
+        expiresAt: toIso(row.expires_at),
+        decidedBy: row.decided_by || null,
+        decidedAt: toIso(row.decided_at),
+        reason: row.reason || null,
+        executedAt: toIso(row.executed_at),
+        result: parseJson(row.result, null),
+        errorCode: row.error_code || null,
+        error: row.error_message || null
+    };
+}
+
+/**
+ * The parameters an approval runs with: the ones the action's schema
+ * declares, without the router's own fields
+ */
+function actionParams(req, service, action, source) {
+    // Required here rather than at the top: validation.js needs the action registry
+    const { getSchema } = require('./validation');
+    const schema = getSchema(service, action, source === 'widget' ? 'widget' : 'router');
+    const params = getRequestParams(req);
+
+    const stored = {};
+    for (const name of Object.keys((schema && schema.properties) || {})) {
+        if (params[name] !== undefined) stored[name] = params[name];
+    }
+    return stored;
+}
+
+/**
+ * Store a pending approval
+ *
+ * @param {Object} request - { userId, service, action, params, profile,
+ *                           region, source }
+ */
+async function createApproval(catalystInstance, request) {
+    const now = Date.now();
+    const row = await catalystInstance.datastore().table(TABLE_NAME).insertRow({
+        user_id: String(request.userId),
+        service: request.service,
+        action: request.action,
+        target: getTarget(request.service, request.params) || '',
+        params: JSON.stringify(request.params),
+        profile_name: request.profile || DEFAULT_PROFILE,
+        region: request.region || '',
+        source: request.source,
+        required_role: getRequiredRole(request.service, request.action),
+        status: 'pending',
+        decided_by: '',
+        decided_at: 0,
+        decision_id: '',
+        reason: '',
+        result: '',
+        error_code: '',
+        error_message: '',
+        executed_at: 0,
+        expires_at: now + TTL_MS,
+        created_at: now
+    });
+    return formatApproval(row);
+}
+
+async function findRow(catalystInstance, approvalId) {
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME} WHERE ROWID = '${approvalId}'`
+    );
+    return results.length > 0 ? results[0][TABLE_NAME] : null;
+}
+
+/**
+ * One approval, or null
+ */
+async function getApproval(catalystInstance, approvalId) {
+    const row = await findRow(catalystInstance, approvalId);
+    return row ? formatApproval(row) : null;
+}
+
+/**
+ * Newest approvals first, optionally filtered
+ *
+ * @param {Object} filters - { status, requestedBy, limit }
+ */
+async function listApprovals(catalystInstance, filters = {}) {
+    const now = Date.now();
+    const conditions = [];
+    if (filters.status === 'pending') {
+        conditions.push(`status = 'pending'`, `expires_at > ${now}`);
+    } else if (filters.status === 'expired') {
+        conditions.push(`status = 'pending'`, `expires_at <= ${now}`);
+    } else if (filters.status) {
+        conditions.push(`status = '${filters.status}'`);
+    }
+    if (filters.requestedBy) conditions.push(`user_id = '${filters.requestedBy}'`);
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME}${where} ORDER BY created_at DESC LIMIT ${limit}`
+    );
+    return results.map(result => formatApproval(result[TABLE_NAME]));
+}
+
+async function updateApproval(catalystInstance, approvalId, changes) {
+    const row = await catalystInstance.datastore().table(TABLE_NAME).updateRow({ ROWID: approvalId, ...changes });
+    return formatApproval(row);
+}
+
+/*
+ * Moves an approval that is still pending (re-read, not the caller's copy)
+ * to the decision in changes. The Data Store has no conditional update, so
+ * each decision writes its own decision_id and reads the row back: only the
+ * one whose ID stuck may go ahead. Returns the claimed approval, or null if
+ * it was no longer pending or another decision won.
+ */
+async function claimApproval(catalystInstance, approvalId, changes) {
+    const current = await findRow(catalystInstance, approvalId);
+    if (!current || current.status !== 'pending' || Number(current.expires_at) <= Date.now()) return null;
+
+    const decisionId = crypto.randomUUID();
+    await updateApproval(catalystInstance, approvalId, { ...changes, decision_id: decisionId });
+
+    const claimed = await findRow(catalystInstance, approvalId);
+    if (!claimed || claimed.decision_id !== decisionId) {
+        log.warn('Lost the approval to another decision', { approvalId, status: claimed && claimed.status });
+        return null;
+    }
+    return formatApproval(claimed);
+}
+
+/**
+ * Reject or withdraw a pending approval
+ *
+ * @returns {Object} the rejected approval, or null if it was decided meanwhile
+ */
+async function rejectApproval(catalystInstance, approval, userId, reason) {
+    return claimApproval(catalystInstance, approval.id, {
+        status: 'rejected',
+        decided_by: String(userId),
+        decided_at: Date.now(),
+        reason: reason || ''
+    });
+}
+
+/*
+ * Runs the approved action with the requester's credentials.
+ * Returns { status: executed | failed, result, region, errorCode, error }.
+ */
+async function runApproved(catalystInstance, approval) {
+    // The requester's role now, not when they asked
+    const requiredRole = getRequiredRole(approval.service, approval.action);
+    const { role } = await getEffectiveRole(catalystInstance, approval.requestedBy);
+    if (!hasRole(role, requiredRole)) {
+        return {
+            status: 'failed',
+            result: null,
+            region: approval.region,
+            errorCode: 'FORBIDDEN',
+            error: `${approval.service}:${approval.action} requires the ${requiredRole} role. The requester's role is ${role}.`
+        };
+    }
+
+    const userCreds = await getUserCredentials(approval.requestedBy, catalystInstance, approval.profile);
+    if (!userCreds) {
+        return {
+            status: 'failed',
+            result: null,
+            region: approval.region,
+            errorCode: approval.profile === DEFAULT_PROFILE ? 'SETUP_REQUIRED' : 'PROFILE_NOT_FOUND',
+            error: `${approval.requestedBy} has no stored credentials for profile "${approval.profile}"`
+        };
+    }
+
+    const region = resolveRegion(approval.region, userCreds.region);
+    const entry = registryEntry(approval.service, approval.action);
+    const ctx = {
+        params: approval.params,
+        region,
+        credentials: toAwsCredentials(userCreds),
+        userCreds,
+        userId: approval.requestedBy,
+        profile: approval.profile,
+        requestedRegion: approval.region,
+        caller: { userId: approval.requestedBy, method: 'approval' },
+        catalystInstance,
+        registry: require('../actions')
+    };
+
+    try {
+        const result = entry && entry.approval
+            ? await entry.handler(ctx)
+            : await APPROVAL_ACTIONS[`${approval.service}:${approval.action}`](ctx);
+
+        // Handlers report some failures as { success: false } rather than throwing
+        if (result && result.success === false) {
+            return { status: 'failed', result: null, region, errorCode: result.code || 'ERROR', error: result.error };
+        }
+
+        // Required here rather than at the top: response-cache.js needs the action registry
+        require('./response-cache').invalidate(approval.requestedBy, approval.profile, entry ? entry.resources : [approval.service]);
+        return { status: 'executed', result, region };
+    } catch (error) {
+        const normalized = normalizeAWSError(error, { permission: entry && entry.permission });
+        return { status: 'failed', result: null, region, errorCode: normalized.code, error: normalized.message };
+    }
+}
+
+/**
+ * Approve a pending approval and run its action as the requester.
+ * The caller has already checked it may decide (see actions/approvals.js).
+ *
+ * @returns {Object} { approval, result } - approval.status is executed, or
+ *   failed with errorCode and error set and a null result. null if the
+ *   approval is no longer pending or is already being decided.
+ */
+async function executeApproval(catalystInstance, approval, approverId) {
+    if (deciding.has(approval.id)) return null;
+    deciding.add(approval.id);
+
+    try {
+        const decidedAt = Date.now();
+        const claimed = await claimApproval(catalystInstance, approval.id, {
+            status: 'executing',
+            decided_by: String(approverId),
+            decided_at: decidedAt
+        });
+        if (!claimed) return null;
+
+        const outcome = await runApproved(catalystInstance, claimed);
+        if (outcome.status === 'failed') {
+            log.warn('Approved action failed', { approvalId: approval.id, errorCode: outcome.errorCode });
+        }
+
+        let resultText = outcome.result === null || outcome.result === undefined ? '' : JSON.stringify(outcome.result);
+        if (resultText.length > MAX_RESULT_LENGTH) {
+            resultText = JSON.stringify({ truncated: true, length: resultText.length });
+        }
+
+        const updated = await updateApproval(catalystInstance, approval.id, {
+            status: outcome.status,
+            decided_by: String(approverId),
+            decided_at: decidedAt,
+            result: resultText,
+            error_code: outcome.errorCode || '',
+            error_message: (outcome.error || '').substring(0, 500),
+            executed_at: Date.now()
+        });
+
+        await auditApproved(catalystInstance, updated, approverId, outcome);
+        log.info('Approval decided', { approvalId: approval.id, status: outcome.status, service: claimed.service, action: claimed.action });
+        return { approval: updated, result: outcome.result };
+    } finally {
+        deciding.delete(approval.id);
+    }
+}
+
+async function auditApproved(catalystInstance, approval, approverId, outcome) {
+    try {
+        await recordEntry(catalystInstance, {
+            userId: approval.requestedBy,
+            service: approval.service,
+            action: approval.action,
+            target: approval.target,
+            params: { ...redactParams(approval.params), approvalId: approval.id, approvedBy: String(approverId), profile: approval.profile },
+            outcome: outcome.status === 'executed' ? 'success' : 'failure',
+            errorCode: outcome.errorCode,
+            errorMessage: outcome.error,
+            source: 'approval',
+            region: outcome.region
+        });
+    } catch (error) {
+        log.error('Could not record audit entry', { approvalId: approval.id, error });
+    }
+}
+
+/**
+ * Tell the approvers about a new approval: posts a message to the Cliq
+ * channel webhook in APPROVAL_WEBHOOK_URL, if set. Never throws.
+ *
+ * @returns {Object} { approvers: user IDs who can approve, notified }
+ */
+async function notifyApprovers(catalystInstance, approval) {
+    let approvers = [];
+    try {
+        approvers = (await listUsersWithRole(catalystInstance, approval.requiredRole))
+            .filter(userId => userId !== approval.requestedBy);
+    } catch (error) {
+        log.error('Could not list approvers', { approvalId: approval.id, error });
+    }
+
+    const url = process.env.APPROVAL_WEBHOOK_URL;
+    if (!url) return { approvers, notified: false };
+
+    const text = `Approval needed: ${approval.requestedBy} wants to run ${approval.service}:${approval.action}` +
+        ` on ${approval.target || 'a resource'} (profile ${approval.profile}${approval.region ? `, ${approval.region}` : ''}).` +
+        ` Any other ${approval.requiredRole} can approve it before ${approval.expiresAt} with` +
+        ` { "service": "approvals", "action": "approve", "approvalId": "${approval.id}" }.`;
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text }),
+            signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`Webhook answered HTTP ${response.status}`);
+        return { approvers, notified: true };
+    } catch (error) {
+        log.warn('Could not notify approvers', { approvalId: approval.id, error });
+        return { approvers, notified: false };
+    }
+}
+
+/**
+ * Express middleware factory - approval actions are stored as pending
+ * approvals instead of running. service and action can be strings or
+ * functions of the request. Must run after authenticateCaller and after
+ * requireConfirmation, so only confirmed requests wait for approval.
+ *
+ * @param {string} source - router, batch or widget
+ */
+function requireApproval(service, action, source) {
+    return async (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        if (!isApprovalAction(serviceName, actionName)) return next();
+
+        let catalystInstance = null;
+        try {
+            catalystInstance = require('zcatalyst-sdk-node').initialize(req);
+        } catch (e) {
+            // Local testing - approvals can't be stored
+        }
+        if (!catalystInstance) {
+            return res.status(503).json(errorResponse('Approvals need the Catalyst Data Store', 'APPROVALS_UNAVAILABLE'));
+        }
+
+        try {
+            const params = getRequestParams(req);
+            const approval = await createApproval(catalystInstance, {
+                userId: req.caller.userId,
+                service: serviceName,
+                action: actionName,
+                params: actionParams(req, serviceName, actionName, source),
+                profile: params.profile,
+                region: params.region,
+                source
+            });
+            const { approvers, notified } = await notifyApprovers(catalystInstance, approval);
+            log.info('Approval requested', { approvalId: approval.id, target: approval.target, approvers: approvers.length, notified });
+
+            const nobody = approvers.length === 0 ? ` Nobody else has the ${approval.requiredRole} role yet - assign one with access:assign.` : '';
+            return res.status(202).json({
+                ...errorResponse(`${serviceName}:${actionName} on ${approval.target || 'this resource'} needs approval from another ${approval.requiredRole}. ` +
+                    `It runs as you once approved (approval ${approval.id}, expires ${approval.expiresAt}).${nobody}`, 'APPROVAL_REQUIRED'),
+                requiresApproval: true,
+                approval,
+                approvers,
+                notified
+            });
+        } catch (error) {
+            log.error('Could not create approval', { service: serviceName, action: actionName, error });
+            return res.status(500).json(errorResponse('Could not store the approval request', 'ERROR'));
+        }
+    };
+}
+
+module.exports = {
+    APPROVAL_ACTIONS,
+    STATUSES,
+    isApprovalAction,
+    getApproval,
+    listApprovals,
+    rejectApproval,
+    executeApproval,
+    requireApproval
+};
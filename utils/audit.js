@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * Audit Log
+ * Persistent record of every mutating action, for compliance
+ *
+ * The auditTrail() middleware sits on the main router, /upload and the
+ * widget routes. For mutating service:action pairs it records who did what
+ * to which resource, with which parameters (secrets redacted) and how it
+ * ended: success, failure or denied (rejected by access control). Dry runs
+ * (utils/dry-run.js) change nothing and are not recorded.
+ *
+ * The entry is written before the response goes out, so a call that
+ * returned to the user is always in the log.
+ *
+ * Stored in the Catalyst Data Store table `audit_log`:
+ * user_id, service, action, target, params (JSON), outcome, error_code,
+ * error_message, source (router | batch | upload | widget | schedule |
+ * approval), region, created_at. Scheduled starts and stops
+ * (utils/schedules.js) are recorded with recordEntry() as the schedule's
+ * owner, approved actions (utils/approvals.js) as their requester.
+ */
+
+const { createLogger, addLogFields } = require('./logger');
+const { isDryRun } = require('./dry-run');
+
+const log = createLogger('audit');
+
+const TABLE_NAME = 'audit_log';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Longest parameter value kept in an entry (payloads, messages, code)
+const MAX_VALUE_LENGTH = 500;
+
+// Widget-only actions that change something (router actions declare
+// mutating in the action registry) - only mutating actions are audited
+const MUTATING_ACTIONS = new Set([
+    // EC2
+    'ec2:terminate', 'ec2:createSnapshot', 'ec2:createImage', 'ec2:modifyInstanceType',
+    'ec2:allocateElasticIp', 'ec2:associateElasticIp', 'ec2:disassociateElasticIp',
+    'ec2:addInboundRule', 'ec2:addOutboundRule', 'ec2:removeInboundRule', 'ec2:removeOutboundRule',
+
+    // S3
+    's3:upload', 's3:createFolder', 's3:deleteFolder',
+
+    // Lambda
+    'lambda:updateCode', 'lambda:updateConfiguration'
+]);
+
+// Parameter names whose values are never stored
+// (Lambda environment variables often hold secrets too)
+const SECRET_PARAM_PATTERN = /secret|password|token|credential|signature|authorization|access_key|external_id|environment|variables/i;
+
+// Request fields that identify the caller or the request, not the action
+const IGNORED_PARAMS = ['service', 'action', 'userId', 'userName', 'userEmail', 'metadata', 'sig', 'ts'];
+
+// Parameters naming the resource acted on, most specific first
+const TARGET_PARAMS = [
+    'instanceId', 'dbInstanceId', 'functionName', 'alarmName', 'topicArn', 'subscriptionArn',
+    'groupId', 'allocationId', 'associationId', 'targetUserId', 'teamId', 'scheduleId', 'approvalId', 'changeId'
+];
+
+// Safe inside a ZCQL string literal
+const FILTER_PATTERN = /^[^'\\*]{1,500}$/;
+
+/**
+ * Whether a service:action changes something and must be audited
+ */
+function isMutatingAction(service, action) {
+    // Required here rather than at the top: actions/audit.js requires this module
+    const entry = require('../actions').getAction(service, action);
+    if (entry && entry.mutating) return true;
+    return MUTATING_ACTIONS.has(`${service}:${action}`);
+}
+
+function redactValue(value) {
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === 'object') return redactParams(value);
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+        return `${value.substring(0, MAX_VALUE_LENGTH)}… (${value.length} chars)`;
+    }
+    return value;
+}
+
+/**
+ * Copy of the parameters with secrets masked and long values cut short,
+ * inside nested objects and arrays too
+ */
+function redactParams(params) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(params || {})) {
+        if (IGNORED_PARAMS.includes(name) || value === undefined) continue;
+
+        redacted[name] = SECRET_PARAM_PATTERN.test(name) ? '[REDACTED]' : redactValue(value);
+    }
+    return redacted;
+}
+
+/**
+ * Resource an action works on, e.g. "i-0abc123" or "s3://bucket/key"
+ */
+function getTarget(service, params) {
+    const bucket = params.bucket || params.bucketName;
+    if (bucket) {
+        const path = params.key || params.folderKey || params.prefix || '';
+        return `s3://${bucket}/${path}`;
+    }
+
+    const targetParam = TARGET_PARAMS.find(name => params[name]);
+    if (targetParam) return String(params[targetParam]);
+
+    if (service === 'sns' && params.name) return String(params.name);
+    if (service === 'user_credentials') return `profile:${params.profile || 'default'}`;
+
+    return null;
+}
+
+/**
+ * Parameters of the request, wherever the route keeps them
+ */
+function getRequestParams(req) {
+    const params = { ...req.query, ...(req.body || {}) };
+
+    // /upload sends its parameters as a JSON metadata field
+    if (req.body && typeof req.body.metadata === 'string') {
+        try {
+            Object.assign(params, JSON.parse(req.body.metadata));
+        } catch (e) {
+            // Invalid metadata - the handler rejects the request
+        }
+    }
+
+    const files = req.files || (req.file ? [req.file] : []);
+    if (files.length > 0) {
+        params.files = files.map(file => `${file.originalname} (${file.size} bytes)`);
+    }
+
+    return params;
+}
+
+/**
+ * Outcome of a call from its HTTP status and JSON body
+ */
+function getOutcome(statusCode, body) {
+    const data = body && body.data;
+
+    if (statusCode === 403 && body && body.code === 'FORBIDDEN') {
+        return { outcome: 'denied', errorCode: 'FORBIDDEN', errorMessage: body.error };
+    }
+    if (statusCode >= 400 || (body && body.success === false)) {
+        return { outcome: 'failure', errorCode: (body && (body.code || body.errorCode)) || String(statusCode), errorMessage: body && body.error };
+    }
+    if (data && data.success === false) {
+        return { outcome: 'failure', errorCode: data.code || 'ERROR', errorMessage: data.error };
+    }
+    return { outcome: 'success', errorCode: '', errorMessage: '' };
+}
+
+/**
+ * Write one entry. Without a Data Store (local testing) it is only logged.
+ */
+async function recordEntry(catalystInstance, entry) {
+    const row = {
+        user_id: String(entry.userId || ''),
+        service: entry.service,
+        action: entry.action,
+        target: entry.target || '',
+        params: JSON.stringify(entry.params || {}),
+        outcome: entry.outcome,
+        error_code: entry.errorCode || '',
+        error_message: (entry.errorMessage || '').substring(0, MAX_VALUE_LENGTH),
+        source: entry.source,
+        region: entry.region || '',
+        created_at: Date.now()
+    };
+
+    log.info('Audit entry', { userId: row.user_id, service: row.service, action: row.action, target: row.target || null, outcome: row.outcome, errorCode: row.error_code || null });
+
+    if (!catalystInstance) return;
+    await catalystInstance.datastore().table(TABLE_NAME).insertRow(row);
+}
+
+/**
+ * Express middleware factory - audits mutating calls, passes others through.
+ * service and action can be fixed strings or functions of the request.
+ * Register it after authenticateCaller and before authorize, so denied
+ * attempts are recorded too.
+ *
+ * @param {string|Function} service
+ * @param {string|Function} action
+ * @param {string} source - router, batch, upload or widget
+ */
+function auditTrail(service, action, source) {
+    return (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        // Every route passes through here, so its log lines get service and action too
+        addLogFields({ service: serviceName, action: actionName });
+
+        if (!isMutatingAction(serviceName, actionName) || isDryRun(req)) return next();
+
+        const params = getRequestParams(req);
+        let catalystInstance = null;
+        try {
+            catalystInstance = require('zcatalyst-sdk-node').initialize(req);
+        } catch (e) {
+            // Local testing - entries are only logged
+        }
+
+        const sendJson = res.json.bind(res);
+        res.json = async (body) => {
+            res.json = sendJson;
+
+            // Consent/confirmation prompts and approval requests: nothing was
+            // attempted yet - approvals record the run (utils/approvals.js).
+            // Idempotent replays (idempotency.js): the first request was recorded
+            if (body && (body.requiresConsent || body.requiresConfirmation || body.requiresApproval || (body.idempotency && body.idempotency.replayed))) {
+                return sendJson(body);
+            }
+
+            try {
+                await recordEntry(catalystInstance, {
+                    userId: req.caller && req.caller.userId,
+                    service: serviceName,
+                    action: actionName,
+                    target: getTarget(serviceName, params),
+                    params: redactParams(params),
+                    region: params.region,
+                    source,
+                    ...getOutcome(res.statusCode, body)
+                });
+            } catch (error) {
+                log.error('Could not record audit entry', { service: serviceName, action: actionName, error });
+            }
+            return sendJson(body);
+        };
+
+        next();
+    };
+}
+
+/**
+ * Stored row in API form
+ */
+function formatEntry(row) {
+    let params = {};
+    try {
+        params = JSON.parse(row.params || '{}');
+    } catch (e) {
+        // Keep the entry even if its params are unreadable
+    }
+
+    return {
+        id: row.ROWID,
+        userId: row.user_id,
+        service: row.service,
+        action: row.action,
+        target: row.target || null,
+        params,
+        outcome: row.outcome,
+        errorCode: row.error_code || null,
+        error: row.error_message || null,
+        source: row.source,
+        region: row.region || null,
+        timestamp: new Date(Number(row.created_at)).toISOString()
+    };
+}
+
+/**
+ * Whether a filter value can be used in a query
+ */
+function isValidFilter(value) {
+    return FILTER_PATTERN.test(String(value));
+}
+
+/**
+ * Newest entries first, optionally filtered
+ *
+ * @param {Object} catalystInstance - Initialized Catalyst SDK for the request
+ * @param {Object} filters - { userId, target, service, outcome, limit }
+ *   target matches exactly or as a prefix (a bucket finds its objects)
+ */
+async function queryEntries(catalystInstance, filters = {}) {
+    const conditions = [];
+    if (filters.userId) conditions.push(`user_id = '${filters.userId}'`);
+    if (filters.target) conditions.push(`target LIKE '${filters.target}*'`);
+    if (filters.service) conditions.push(`service = '${filters.service}'`);
+    if (filters.outcome) conditions.push(`outcome = '${filters.outcome}'`);
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME}${where} ORDER BY created_at DESC LIMIT ${limit}`
+    );
+    return results.map(result => formatEntry(result[TABLE_NAME]));
+}
+
+module.exports = {
+    MUTATING_ACTIONS,
+    isMutatingAction,
+    redactParams,
+    isValidFilter,
+    getTarget,
+    getRequestParams,
+    recordEntry,
+    auditTrail,
+    queryEntries
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Caller Authentication
+ * Works out who is really calling, instead of trusting the userId in the request
+ *
+ * Two ways to prove identity:
+ *
+ * 1. Zoho OAuth (Catalyst context) - requests Cliq sends through its Catalyst
+ *    connection carry an OAuth token. Catalyst resolves it to the current
+ *    user, whose ZUID is the Cliq user ID.
+ *
+ * 2. Signed Cliq request - for widgets (loaded in an iframe, no OAuth token)
+ *    the Cliq extension signs the user ID with a shared secret:
+ *
+ *      sig = hex(HMAC-SHA256(CLIQ_SIGNING_SECRET, userId + "." + ts))
+ *
+ *    where ts is the Unix time in seconds. Sent as X-Cliq-User-Id /
+ *    X-Cliq-Signature / X-Cliq-Timestamp headers, or ?sig= / ?ts= on the
+ *    widget URL (the user ID then comes from ?userId=).
+ *    In Deluge: zoho.encryption.hmacsha256(secret, userId + "." + ts, "hex")
+ *
+ * Job routes (Catalyst Cron) authenticate with a shared secret instead, see
+ * authenticateJob().
+ *
+ * The verified user ID is stored on req.caller. Every userId the request
+ * names (body, /upload metadata, ?userId=, ?user_id=) must match it,
+ * otherwise the request is rejected with USER_MISMATCH - handlers read
+ * whichever of them they know, so one mismatched field is enough to act as
+ * someone else.
+ */
+
+const crypto = require('crypto');
+const { errorResponse } = require('./helpers');
+const { createLogger, addLogFields } = require('./logger');
+
+const log = createLogger('auth');
+
+// Widgets stay open for a working day, so a signature is valid for 12 hours
+const SIGNATURE_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+// Allow a little clock drift between Cliq and Catalyst
+const CLOCK_SKEW_SECONDS = 5 * 60;
+
+/**
+ * HMAC signature for a user ID and timestamp
+ */
+function signUserId(userId, timestamp, secret = process.env.CLIQ_SIGNING_SECRET) {
+    return crypto.createHmac('sha256', secret).update(`${userId}.${timestamp}`).digest('hex');
+}
+
+/**
+ * Every distinct user ID the request claims to act as (body, /upload
+ * metadata, query)
+ */
+function getClaimedUserIds(req) {
+    const body = req.body || {};
+    const claimed = [body.userId];
+
+    if (body.metadata) {
+        try {
+            const metadata = typeof body.metadata === 'string' ? JSON.parse(body.metadata) : body.metadata;
+            if (metadata) claimed.push(metadata.userId);
+        } catch (e) {
+            // Not JSON - the upload handler reports this itself
+        }
+    }
+
+    claimed.push(req.query.userId, req.query.user_id);
+    return [...new Set(claimed.filter(Boolean).map(String))];
+}
+
+/**
+ * Check a signed request. Returns { userId } of the signer, { error, message },
+ * or null when the request isn't signed.
+ */
+function verifySignature(req, claimedUserId) {
+    const signature = req.get('x-cliq-signature') || req.query.sig;
+    const timestamp = req.get('x-cliq-timestamp') || req.query.ts;
+    const signerId = req.get('x-cliq-user-id') || claimedUserId;
+
+    if (!signature || !timestamp) return null;
+
+    if (!process.env.CLIQ_SIGNING_SECRET) {
+        return { error: 'SIGNING_NOT_CONFIGURED', message: 'Signed requests are not enabled on this server' };
+    }
+
+    if (!signerId) {
+        return { error: 'NO_USER_ID', message: 'Signed requests must include userId' };
+    }
+
+    const age = Math.floor(Date.now() / 1000) - parseInt(timestamp, 10);
+    if (isNaN(age) || age > SIGNATURE_MAX_AGE_SECONDS || age < -CLOCK_SKEW_SECONDS) {
+        return { error: 'SIGNATURE_EXPIRED', message: 'Request signature has expired. Reopen the widget from Cliq.' };
+    }
+
+    const expected = Buffer.from(signUserId(signerId, timestamp), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { error: 'INVALID_SIGNATURE', message: 'Request signature is invalid' };
+    }
+
+    return { userId: String(signerId) };
+}
+
+/**
+ * Resolve the OAuth user from the Catalyst context (null if there is none)
+ */
+async function getOAuthUserIds(req) {
+    try {
+        const catalyst = require('zcatalyst-sdk-node');
+        const user = await catalyst.initialize(req).userManagement().getCurrentUser();
+        if (!user) return null;
+
+        return [user.zuid, user.user_id].filter(Boolean).map(String);
+    } catch (e) {
+        // No OAuth context (widget iframe, local testing)
+        return null;
+    }
+}
+
+/**
+ * Express middleware - rejects requests without a verified caller.
+ * Register it after any multer middleware so multipart fields are parsed.
+ */
+async function authenticateCaller(req, res, next) {
+    const claimedUserIds = getClaimedUserIds(req);
+    if (claimedUserIds.length > 1) {
+        log.warn('Request names more than one userId', { claimedUserIds });
+        return res.status(403).json(errorResponse('userId does not match the authenticated user', 'USER_MISMATCH'));
+    }
+    const claimedUserId = claimedUserIds[0] || null;
+
+    const signed = verifySignature(req, claimedUserId);
+    if (signed && signed.error) {
+        return res.status(401).json(errorResponse(signed.message, signed.error));
+    }
+
+    // Signed requests: the signer is the caller
+    const verifiedIds = signed ? [signed.userId] : await getOAuthUserIds(req);
+    if (!verifiedIds || verifiedIds.length === 0) {
+        return res.status(401).json(errorResponse('Could not verify who is calling. Send the request from Cliq.', 'UNAUTHENTICATED'));
+    }
+
+    if (claimedUserId && !verifiedIds.includes(claimedUserId)) {
+        log.warn('userId does not match the authenticated user', { claimedUserId, verifiedUserId: verifiedIds[0] });
+        return res.status(403).json(errorResponse('userId does not match the authenticated user', 'USER_MISMATCH'));
+    }
+
+    req.caller = { userId: claimedUserId || verifiedIds[0], method: signed ? 'signature' : 'oauth' };
+    addLogFields({ userId: req.caller.userId });
+    next();
+}
+
+/**
+ * Express middleware - for job routes called by Catalyst Cron, not by a
+ * user. The cron sends JOB_SECRET in an X-Job-Secret header.
+ */
+function authenticateJob(req, res, next) {
+    if (!process.env.JOB_SECRET) {
+        return res.status(401).json(errorResponse('Job routes are not enabled on this server', 'JOBS_NOT_CONFIGURED'));
+    }
+
+    const expected = crypto.createHash('sha256').update(process.env.JOB_SECRET).digest();
+    const received = crypto.createHash('sha256').update(String(req.get('x-job-secret') || '')).digest();
+    if (!crypto.timingSafeEqual(expected, received)) {
+        log.warn('Job called without a valid secret');
+        return res.status(401).json(errorResponse('Invalid job secret', 'UNAUTHENTICATED'));
+    }
+
+    req.caller = { userId: null, method: 'job' };
+    next();
+}
+
+/**
+ * For handlers that parse multipart bodies themselves: true if the userId
+ * they read doesn't belong to the verified caller.
+ */
+function isCallerMismatch(req, userId) {
+    return !req.caller || String(userId) !== req.caller.userId;
+}
+
+module.exports = {
+    authenticateCaller,
+    authenticateJob,
+    isCallerMismatch,
+    signUserId
+};
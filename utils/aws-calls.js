@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * AWS Call Wrapper
+ * Retries, concurrency limits and a per-request time budget for AWS calls
+ *
+ * Every client from aws-clients.js sends its commands through callAWS(), so
+ * the service modules get this without changing their client.send() calls:
+ *
+ *   Retries      Throttling and transient AWS failures (THROTTLED and
+ *                SERVICE_UNAVAILABLE in aws-errors.js, dropped connections)
+ *                are retried with full-jitter exponential backoff. The SDK's
+ *                own retries are switched off so attempts don't multiply.
+ *
+ *   Concurrency  Calls in flight are limited per service, account and
+ *                region. The limit halves when AWS throttles and grows back
+ *                by about one per round of successful calls, so loops such as
+ *                the MFA check per IAM user settle at what the account allows.
+ *
+ *   Time budget  timeBudget() gives each request a deadline. Once it has
+ *                passed, no new call or retry starts and TimeBudgetExceeded
+ *                is thrown. Functions that make many calls catch it, return
+ *                what they have and call markDegraded(); the response then
+ *                carries degraded: true and the parts that are incomplete.
+ *                Calls already in flight are not cut off.
+ *
+ * Calls and retries are counted for the request's log summary (logger.js).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { normalizeAWSError } = require('./aws-errors');
+const { createLogger, countAWSCall } = require('./logger');
+
+const log = createLogger('aws');
+
+// Catalyst stops Advanced I/O functions after 30 seconds - leave time to answer
+const DEFAULT_BUDGET_MS = parseInt(process.env.AWS_TIME_BUDGET_MS, 10) || 25000;
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 200;
+const MAX_DELAY_MS = 5000;
+
+// Node network errors worth another attempt
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+/*
+ * Concurrency per service: starting limit and ceiling. IAM's control plane
+ * allows far fewer calls per second than the regional services.
+ */
+const CONCURRENCY = {
+    iam: { initial: 4, max: 8 },
+    costexplorer: { initial: 2, max: 4 },
+    default: { initial: 8, max: 32 }
+};
+
+// At most one halving per window, so a burst of throttled calls counts once
+const DECREASE_WINDOW_MS = 1000;
+
+// Budget of the current request: { deadline, degraded: [] }
+const requestContext = new AsyncLocalStorage();
+
+// "service|region|accessKeyId" -> { limit, max, active, queue, lastDecrease }
+const limiters = new Map();
+
+/*
+ * Error thrown when the request's time budget runs out
+ */
+function budgetExceededError(cause) {
+    const error = new Error('The request ran out of time before AWS answered every call');
+    error.name = 'TimeBudgetExceeded';
+    if (cause) error.cause = cause;
+    return error;
+}
+
+/**
+ * True for the error callAWS() throws when the time budget has run out
+ */
+function isBudgetExceeded(error) {
+    return !!error && error.name === 'TimeBudgetExceeded';
+}
+
+/*
+ * Throttling, AWS-side failures and dropped connections are retried.
+ * Everything else (access denied, not found, validation...) fails at once.
+ */
+function isRetryable(error) {
+    if (!error || isBudgetExceeded(error)) return false;
+    if (error.$retryable) return true;
+    if (TRANSIENT_NETWORK_CODES.includes(error.code)) return true;
+    const code = normalizeAWSError(error).code;
+    return code === 'THROTTLED' || code === 'SERVICE_UNAVAILABLE';
+}
+
+function isThrottling(error) {
+    return (error.$retryable && error.$retryable.throttling === true) ||
+        normalizeAWSError(error).code === 'THROTTLED';
+}
+
+/*
+ * Full jitter: a random wait between 0 and the exponential step
+ */
+function backoffDelay(attempt) {
+    const step = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(Math.random() * step);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getLimiter(key, service) {
+    let limiter = limiters.get(key);
+    if (!limiter) {
+        const { initial, max } = CONCURRENCY[service] || CONCURRENCY.default;
+        limiter = { limit: initial, max, active: 0, queue: [], lastDecrease: 0 };
+        limiters.set(key, limiter);
+    }
+    return limiter;
+}
+
+function slots(limiter) {
+    return Math.max(1, Math.floor(limiter.limit));
+}
+
+function drain(limiter) {
+    while (limiter.queue.length > 0 && limiter.active < slots(limiter)) {
+        const waiter = limiter.queue.shift();
+        clearTimeout(waiter.timer);
+        limiter.active++;
+        waiter.resolve();
+    }
+}
+
+/*
+ * Wait for a free slot, or give up when the deadline passes while queued
+ */
+function acquire(limiter, deadline) {
+    if (limiter.active < slots(limiter) && limiter.queue.length === 0) {
+        limiter.active++;
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, timer: null };
+        if (deadline !== Infinity) {
+            waiter.timer = setTimeout(() => {
+                limiter.queue.splice(limiter.queue.indexOf(waiter), 1);
+                reject(budgetExceededError());
+            }, Math.max(0, deadline - Date.now()));
+        }
+        limiter.queue.push(waiter);
+    });
+}
+
+/*
+ * Free the slot and adjust the limit: halve on throttling, otherwise grow
+ * by 1/limit (about one per full round of calls)
+ */
+function release(limiter, throttled) {
+    limiter.active--;
+    const now = Date.now();
+    if (throttled) {
+        if (now - limiter.lastDecrease >= DECREASE_WINDOW_MS) {
+            limiter.limit = Math.max(1, limiter.limit / 2);
+            limiter.lastDecrease = now;
+        }
+    } else if (limiter.limit < limiter.max) {
+        limiter.limit = Math.min(limiter.max, limiter.limit + 1 / limiter.limit);
+    }
+    drain(limiter);
+}
+
+/**
+ * Run one AWS call with retries, the service's concurrency limit and the
+ * current request's time budget
+ *
+ * @param {string} service - Service name (ec2, s3, iam, ...)
+ * @param {string} key - Limiter key: the service plus account and region
+ * @param {Function} send - Makes the call, returns a promise
+ * @returns {Promise} The call's result
+ * @throws The call's last error, or TimeBudgetExceeded when the budget ran out
+ */
+async function callAWS(service, key, send) {
+    const budget = requestContext.getStore();
+    const deadline = budget ? budget.deadline : Infinity;
+    const limiter = getLimiter(key, service);
+
+    for (let attempt = 1; ; attempt++) {
+        if (Date.now() >= deadline) throw budgetExceededError();
+        await acquire(limiter, deadline);
+        countAWSCall(service, attempt > 1);
+
+        try {
+            const result = await send();
+            release(limiter, false);
+            return result;
+        } catch (error) {
+            const retryable = isRetryable(error);
+            release(limiter, retryable && isThrottling(error));
+
+            if (!retryable || attempt >= MAX_ATTEMPTS) throw error;
+
+            const delay = backoffDelay(attempt);
+            if (Date.now() + delay >= deadline) throw budgetExceededError(error);
+
+            log.warn('Retrying AWS call', { awsService: service, awsError: error.name || error.code, attempt, maxRetries: MAX_ATTEMPTS - 1, delayMs: delay, concurrencyLimit: slots(limiter) });
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Record that part of the current request's result is incomplete
+ *
+ * @param {string} part - What is missing, e.g. 'ec2:list' or 'iam:securityStatus'
+ */
+function markDegraded(part) {
+    const budget = requestContext.getStore();
+    if (budget && !budget.degraded.includes(part)) {
+        budget.degraded.push(part);
+    }
+}
+
+/**
+ * Express middleware factory - gives the request a time budget for its AWS
+ * calls and flags successful JSON responses degraded: true (with
+ * degradedParts) when markDegraded() was called.
+ *
+ * @param {number} ms - Budget in milliseconds (default: AWS_TIME_BUDGET_MS or 25s)
+ */
+function timeBudget(ms = DEFAULT_BUDGET_MS) {
+    return (req, res, next) => {
+        const budget = { deadline: Date.now() + ms, degraded: [] };
+
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            res.json = sendJson;
+            if (budget.degraded.length > 0 && body && typeof body === 'object' && body.success !== false) {
+                return sendJson({ ...body, degraded: true, degradedParts: budget.degraded });
+            }
+            return sendJson(body);
+        };
+
+        requestContext.run(budget, next);
+    };
+}
+
+module.exports = {
+    callAWS,
+    timeBudget,
+    markDegraded,
+    isBudgetExceeded
+};
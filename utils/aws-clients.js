@@ -36,20 +36,40 @@ const { RDSClient } = require("@aws-sdk/client-rds");
 const { SNSClient } = require("@aws-sdk/client-sns");
 const { IAMClient } = require("@aws-sdk/client-iam");
 const { STSClient } = require("@aws-sdk/client-sts");
+const { callAWS } = require("./aws-calls");
+
+// Service name per client class, for the call wrapper's limits and logs
+const SERVICE_NAMES = new Map([
+    [EC2Client, "ec2"],
+    [S3Client, "s3"],
+    [LambdaClient, "lambda"],
+    [CloudWatchClient, "cloudwatch"],
+    [CloudWatchLogsClient, "logs"],
+    [CostExplorerClient, "costexplorer"],
+    [BedrockRuntimeClient, "bedrock"],
+    [RDSClient, "rds"],
+    [SNSClient, "sns"],
+    [IAMClient, "iam"],
+    [STSClient, "sts"]
+]);
 
 /*
- * Credential Provider
- * -------------------
- * Reads AWS credentials from environment variables.
- * These are set in Zoho Catalyst's function configuration.
- *
- * In v2, this could be extended to accept user-provided credentials
- * from the request, enabling multi-tenant support.
+ * User Credential Mapping
+ * -----------------------
+ * Converts a user_credentials record (snake_case columns from the Catalyst
+ * Data Store) into the credentials shape the AWS SDK expects.
+ * The session token is only included when present - an empty string would
+ * make AWS reject otherwise valid long-term keys.
  */
-const getCredentials = () => ({
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-});
+const toAwsCredentials = (userCreds) => {
+    if (!userCreds) return null;
+
+    return {
+        accessKeyId: userCreds.access_key_id,
+        secretAccessKey: userCreds.secret_access_key,
+        ...(userCreds.session_token && { sessionToken: userCreds.session_token })
+    };
+};
 
 /*
  * Configuration Object
@@ -66,57 +86,128 @@ const config = {
     bedrockModelId: process.env.BEDROCK_MODEL_ID || "anthropic.claude-3-sonnet-20240229-v1:0"
 };
 
+/*
+ * Supported Regions
+ * -----------------
+ * Commercial AWS regions a caller may ask for. Requests naming any other
+ * region are rejected before a client is created, so a typo never turns
+ * into a confusing SDK endpoint error.
+ *
+ * Cost Explorer and IAM ignore this list - they always use their global
+ * endpoint in us-east-1.
+ */
+const SUPPORTED_REGIONS = [
+    "us-east-1", "us-east-2", "us-west-1", "us-west-2",
+    "ca-central-1", "sa-east-1",
+    "eu-west-1", "eu-west-2", "eu-west-3", "eu-central-1", "eu-central-2",
+    "eu-north-1", "eu-south-1", "eu-south-2",
+    "ap-south-1", "ap-south-2", "ap-southeast-1", "ap-southeast-2",
+    "ap-southeast-3", "ap-southeast-4", "ap-northeast-1", "ap-northeast-2",
+    "ap-northeast-3", "ap-east-1",
+    "me-south-1", "me-central-1", "af-south-1", "il-central-1"
+];
+
+const isSupportedRegion = (region) => SUPPORTED_REGIONS.includes(region);
+
+/*
+ * Region Resolution
+ * -----------------
+ * Picks the region for a request, in order of preference:
+ *   1. The region the caller sent
+ *   2. The region stored with the user's credentials
+ *   3. The default from config (AWS_REGION env)
+ *
+ * Callers should check the requested region with isSupportedRegion() first.
+ */
+const resolveRegion = (requestedRegion, storedRegion) => {
+    return requestedRegion || storedRegion || config.awsRegion;
+};
+
 /*
  * Generic Client Factory
  * ----------------------
- * Creates any AWS client with the configured credentials and region.
+ * Creates any AWS client for the given region and credentials.
  * If no region is passed, uses the default from config.
+ * Credentials are required: every call runs with the calling user's own
+ * keys (see toAwsCredentials() above), never the server's environment.
+ * Missing ones throw CredentialsMissing (SETUP_REQUIRED) before any call.
  */
-const createClient = (ClientClass, region) => {
-    return new ClientClass({
-        region: region || config.awsRegion,
-        credentials: getCredentials()
+const createClient = (ClientClass, region, credentials) => {
+    if (!credentials || !credentials.accessKeyId || !credentials.secretAccessKey) {
+        const error = new Error('No AWS credentials for this request. Save your access keys with user_credentials first.');
+        error.name = 'CredentialsMissing';
+        throw error;
+    }
+
+    const clientRegion = region || config.awsRegion;
+    const client = new ClientClass({
+        region: clientRegion,
+        credentials,
+        // Retries happen in callAWS() below, with backoff and the time budget
+        maxAttempts: 1
     });
+
+    /*
+     * Every command goes through the shared call wrapper (aws-calls.js):
+     * retries with backoff, the service's concurrency limit and the
+     * request's time budget. Limits are kept per service, account and region.
+     */
+    const service = SERVICE_NAMES.get(ClientClass);
+    const limiterKey = [service, clientRegion, credentials.accessKeyId].join('|');
+    const send = client.send.bind(client);
+    client.send = (command, ...rest) => callAWS(service, limiterKey, () => send(command, ...rest));
+
+    return client;
 };
 
 /*
  * Export client factory functions and config.
  * Each service module imports the factory it needs.
+ * Every factory takes the caller's credentials object as its last argument
+ * ({ accessKeyId, secretAccessKey, sessionToken }).
  */
 module.exports = {
     // Configuration object (for reading region settings elsewhere)
     config,
 
+    // Convert a stored user_credentials record into SDK credentials
+    toAwsCredentials,
+
+    // Region validation and resolution (caller -> stored -> default)
+    SUPPORTED_REGIONS,
+    isSupportedRegion,
+    resolveRegion,
+
     // EC2 - Virtual servers (regional)
-    getEC2Client: (region) => createClient(EC2Client, region),
+    getEC2Client: (region, credentials) => createClient(EC2Client, region, credentials),
 
     // S3 - Object storage (regional, but bucket names are global)
-    getS3Client: (region) => createClient(S3Client, region),
+    getS3Client: (region, credentials) => createClient(S3Client, region, credentials),
 
     // Lambda - Serverless functions (regional)
-    getLambdaClient: (region) => createClient(LambdaClient, region),
+    getLambdaClient: (region, credentials) => createClient(LambdaClient, region, credentials),
 
     // CloudWatch - Metrics and alarms (regional)
-    getCloudWatchClient: (region) => createClient(CloudWatchClient, region),
+    getCloudWatchClient: (region, credentials) => createClient(CloudWatchClient, region, credentials),
 
     // CloudWatch Logs - Log groups and streams (regional)
-    getLogsClient: (region) => createClient(CloudWatchLogsClient, region),
+    getLogsClient: (region, credentials) => createClient(CloudWatchLogsClient, region, credentials),
 
     // Cost Explorer - Always uses us-east-1 (global service)
-    getCostExplorerClient: () => createClient(CostExplorerClient, "us-east-1"),
+    getCostExplorerClient: (credentials) => createClient(CostExplorerClient, "us-east-1", credentials),
 
     // Bedrock - AI service, uses configured Bedrock region (typically us-east-1)
-    getBedrockClient: () => createClient(BedrockRuntimeClient, config.bedrockRegion),
+    getBedrockClient: (credentials) => createClient(BedrockRuntimeClient, config.bedrockRegion, credentials),
 
     // RDS - Relational databases (regional)
-    getRDSClient: (region) => createClient(RDSClient, region),
+    getRDSClient: (region, credentials) => createClient(RDSClient, region, credentials),
 
     // SNS - Notification service (regional)
-    getSNSClient: (region) => createClient(SNSClient, region),
+    getSNSClient: (region, credentials) => createClient(SNSClient, region, credentials),
 
     // IAM - Identity management, always us-east-1 (global service)
-    getIAMClient: () => createClient(IAMClient, "us-east-1"),
+    getIAMClient: (credentials) => createClient(IAMClient, "us-east-1", credentials),
 
     // STS - Security Token Service (regional, used for identity verification)
-    getSTSClient: (region) => createClient(STSClient, region)
+    getSTSClient: (region, credentials) => createClient(STSClient, region, credentials)
 };
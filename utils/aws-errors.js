@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * AWS Error Mapping
+ * Turns AWS SDK errors into stable error codes with a remediation hint
+ *
+ * Used by the router, /upload, the dashboard data route and every widget
+ * controller, so the same AWS failure gets the same answer everywhere:
+ *
+ *   INVALID_CREDENTIALS (401)  wrong access key or secret
+ *   EXPIRED_TOKEN (401)        expired keys or session token
+ *   ACCESS_DENIED (403)        IAM doesn't allow it - names the missing
+ *                              IAM action when AWS or the caller knows it
+ *   THROTTLED (429)            AWS rate limit
+ *   NOT_FOUND (404)            resource doesn't exist (in this region)
+ *   CONFLICT (409)             already exists, not empty, wrong state
+ *   INVALID_REQUEST (400)      AWS rejected a parameter
+ *   INVALID_CURSOR (400)       nextToken is malformed, stale or from
+ *                              another listing (pagination.js)
+ *   SERVICE_UNAVAILABLE (503)  AWS-side failure
+ *   TIME_BUDGET_EXCEEDED (504) the request's time budget ran out
+ *                              (aws-calls.js) before AWS answered
+ *   SETUP_REQUIRED (401)       a role profile has no keys to assume it
+ *                              with (profiles.js), or a client was asked
+ *                              for without credentials (aws-clients.js)
+ *
+ * Bedrock's marketplace and use-case errors keep their own codes
+ * (MARKETPLACE_PERMISSION_REQUIRED, BEDROCK_USE_CASE_REQUIRED). Anything
+ * else keeps the caller's fallback code with status 500.
+ */
+
+const { errorResponse } = require('./helpers');
+
+const CHECK_PERMISSIONS = '{ "service": "permissions", "action": "checkAll" }';
+
+const ERROR_TYPES = {
+    INVALID_CREDENTIALS: {
+        status: 401,
+        message: 'The AWS access key ID or secret access key is invalid',
+        hint: 'Check the access key ID and secret access key saved for this profile, or enter new keys with /aws.'
+    },
+    EXPIRED_TOKEN: {
+        status: 401,
+        message: 'The AWS credentials have expired',
+        hint: 'Create new access keys in the IAM console (or refresh the session token) and save them with /aws.'
+    },
+    ACCESS_DENIED: {
+        status: 403,
+        message: 'The AWS credentials are not allowed to do this',
+        hint: `Add the missing action to the IAM policy of your user or role. Run ${CHECK_PERMISSIONS} to see every missing permission.`
+    },
+    MARKETPLACE_PERMISSION_REQUIRED: {
+        status: 403,
+        message: 'Bedrock model access needs AWS Marketplace permissions',
+        hint: 'Add aws-marketplace:ViewSubscriptions and aws-marketplace:Subscribe to your IAM policy for Bedrock access.'
+    },
+    BEDROCK_USE_CASE_REQUIRED: {
+        status: 403,
+        message: 'Anthropic models need a use case on file',
+        hint: 'Go to AWS Bedrock Console → Model access → Submit use case details for Anthropic models.'
+    },
+    THROTTLED: {
+        status: 429,
+        message: 'AWS is rate limiting these requests',
+        hint: 'Wait a few seconds and try again. Narrow the request (fewer items, smaller time range) if it keeps happening.'
+    },
+    NOT_FOUND: {
+        status: 404,
+        message: 'The AWS resource was not found',
+        hint: 'Check the name or ID and the region - the resource may have been deleted or live in another region.'
+    },
+    CONFLICT: {
+        status: 409,
+        message: 'The AWS resource is not in a state that allows this',
+        hint: 'The resource already exists, is not empty or is still changing. Check its current state and try again.'
+    },
+    INVALID_REQUEST: {
+        status: 400,
+        message: 'AWS rejected the request parameters',
+        hint: 'Check the parameter values against the AWS limits for this resource.'
+    },
+    INVALID_CURSOR: {
+        status: 400,
+        message: 'The nextToken is not valid for this listing',
+        hint: 'Request the first page again without nextToken. A nextToken only works with the action, region and filters it came from.'
+    },
+    SERVICE_UNAVAILABLE: {
+        status: 503,
+        message: 'The AWS service is temporarily unavailable',
+        hint: 'This is on the AWS side. Try again in a minute and check the AWS Health Dashboard if it persists.'
+    },
+    TIME_BUDGET_EXCEEDED: {
+        status: 504,
+        message: 'AWS did not answer in time',
+        hint: 'AWS is slow or throttling this account. Try again shortly, or narrow the request.'
+    },
+    SETUP_REQUIRED: {
+        status: 401,
+        message: 'There are no AWS keys to assume this role with',
+        hint: 'Save access keys with the role profile, or save a default profile with access keys, using /aws.'
+    }
+};
+
+// AWS error names (error.name / error.Code) per code
+const AWS_ERROR_CODES = {
+    INVALID_CREDENTIALS: [
+        'InvalidClientTokenId', 'SignatureDoesNotMatch', 'UnrecognizedClientException',
+        'InvalidAccessKeyId', 'AuthFailure', 'InvalidSignatureException', 'IncompleteSignature',
+        'CredentialsProviderError'
+    ],
+    EXPIRED_TOKEN: [
+        'ExpiredToken', 'ExpiredTokenException', 'RequestExpired', 'TokenRefreshRequired'
+    ],
+    ACCESS_DENIED: [
+        'AccessDenied', 'AccessDeniedException', 'UnauthorizedOperation', 'UnauthorizedAccess',
+        'AuthorizationError', 'AuthorizationErrorException', 'Forbidden', 'AllAccessDisabled'
+    ],
+    THROTTLED: [
+        'Throttling', 'ThrottlingException', 'ThrottledException', 'TooManyRequestsException',
+        'RequestLimitExceeded', 'RequestThrottled', 'RequestThrottledException', 'SlowDown',
+        'ProvisionedThroughputExceededException', 'LimitExceededException', 'PriorRequestNotComplete'
+    ],
+    NOT_FOUND: [
+        'ResourceNotFoundException', 'NotFound', 'NotFoundException', 'NoSuchEntity',
+        'NoSuchEntityException', 'DBInstanceNotFound', 'DBInstanceNotFoundFault',
+        'DBClusterNotFoundFault', 'DBSnapshotNotFound', 'DBSnapshotNotFoundFault'
+    ],
+    CONFLICT: [
+        'BucketAlreadyExists', 'BucketAlreadyOwnedByYou', 'BucketNotEmpty', 'IncorrectInstanceState',
+        'IncorrectState', 'InvalidDBInstanceState', 'InvalidDBInstanceStateFault',
+        'InvalidDBClusterStateFault', 'ResourceConflictException', 'ResourceInUseException',
+        'ConflictException', 'OperationAbortedException', 'EntityAlreadyExists',
+        'DBInstanceAlreadyExists', 'DBSnapshotAlreadyExists', 'ResourceAlreadyExistsException',
+        'InvalidPermission.Duplicate', 'InvalidGroup.Duplicate', 'InvalidGroup.InUse', 'DependencyViolation'
+    ],
+    INVALID_REQUEST: [
+        'ValidationException', 'ValidationError', 'InvalidParameter', 'InvalidParameterValue',
+        'InvalidParameterValueException', 'InvalidParameterCombination', 'InvalidParameterException',
+        'InvalidRequest', 'InvalidRequestException', 'InvalidBucketName', 'MalformedPolicyDocument',
+        'MissingParameter', 'InvalidArgument', 'KeyTooLongError', 'EntityTooLarge', 'RequestEntityTooLargeException'
+    ],
+    INVALID_CURSOR: [
+        'InvalidNextToken', 'InvalidNextTokenException', 'InvalidPaginationToken',
+        'InvalidPaginationTokenException', 'InvalidToken'
+    ],
+    SERVICE_UNAVAILABLE: [
+        'ServiceUnavailable', 'ServiceUnavailableException', 'InternalError', 'InternalFailure',
+        'InternalServerError', 'InternalServerException', 'ServiceException', 'TimeoutError',
+        'RequestTimeout', 'RequestTimeoutException'
+    ],
+    // Thrown by the call wrapper (aws-calls.js), not by AWS
+    TIME_BUDGET_EXCEEDED: [
+        'TimeBudgetExceeded'
+    ],
+    // Thrown by profiles.js and aws-clients.js before any AWS call
+    SETUP_REQUIRED: [
+        'RoleSourceKeysMissing', 'CredentialsMissing'
+    ]
+};
+
+const CODE_BY_AWS_NAME = new Map(
+    Object.entries(AWS_ERROR_CODES).flatMap(([code, names]) => names.map(name => [name, code]))
+);
+
+// HTTP status AWS answered with -> code, when the error name isn't known
+const CODE_BY_HTTP_STATUS = {
+    401: 'INVALID_CREDENTIALS',
+    403: 'ACCESS_DENIED',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    429: 'THROTTLED',
+    500: 'SERVICE_UNAVAILABLE',
+    502: 'SERVICE_UNAVAILABLE',
+    503: 'SERVICE_UNAVAILABLE',
+    504: 'SERVICE_UNAVAILABLE'
+};
+
+/*
+ * Code for an AWS error name, with the naming families AWS uses across
+ * services (InvalidInstanceID.NotFound, NoSuchBucket, InvalidVpcID.Malformed)
+ */
+function codeForName(name) {
+    if (CODE_BY_AWS_NAME.has(name)) return CODE_BY_AWS_NAME.get(name);
+    if (/\.NotFound$|NotFound(Exception|Fault)?$|^NoSuch/.test(name)) return 'NOT_FOUND';
+    if (/\.Malformed$|^Invalid.*(Format|Value|Parameter)/.test(name)) return 'INVALID_REQUEST';
+    if (/AlreadyExists|\.Duplicate$|\.InUse$/.test(name)) return 'CONFLICT';
+    if (/Throttl/.test(name)) return 'THROTTLED';
+    return null;
+}
+
+/*
+ * IAM action named in an AccessDenied message, e.g.
+ * "... is not authorized to perform: ec2:StopInstances on resource: ..."
+ */
+function findDeniedAction(message) {
+    const match = /not authorized to perform:?\s*([a-z0-9-]+:[A-Za-z0-9*]+)/i.exec(message) ||
+        /no (?:identity|resource)-based policy allows the ([a-z0-9-]+:[A-Za-z0-9*]+) action/i.exec(message);
+    return match ? match[1] : null;
+}
+
+function classify(error, name, message) {
+    if (/marketplace/i.test(message) && CODE_BY_AWS_NAME.get(name) === 'ACCESS_DENIED') return 'MARKETPLACE_PERMISSION_REQUIRED';
+    if (/use case/i.test(message) && /AccessDenied|ResourceNotFound/.test(name)) return 'BEDROCK_USE_CASE_REQUIRED';
+
+    const byName = codeForName(name);
+    if (byName) return byName;
+
+    // Some SDK errors only say it in the message
+    if (/security token included in the request is (invalid|expired)/i.test(message)) {
+        return /expired/i.test(message) ? 'EXPIRED_TOKEN' : 'INVALID_CREDENTIALS';
+    }
+    if (/not authorized to perform|access denied/i.test(message)) return 'ACCESS_DENIED';
+
+    const httpStatus = error.$metadata && error.$metadata.httpStatusCode;
+    return CODE_BY_HTTP_STATUS[httpStatus] || null;
+}
+
+/**
+ * Normalize an error thrown by the AWS SDK (or a service module)
+ *
+ * @param {Error} error - Thrown error
+ * @param {Object} context - Optional:
+ *   iamAction: IAM action the call needed, for ACCESS_DENIED when AWS doesn't name it
+ *   permission: PERMISSION_CHECKS key (utils/permissions.js) the hint points to otherwise
+ *   fallbackCode / fallbackMessage: used for errors that aren't AWS errors
+ * @returns {Object} { status, code, message, hint, missingAction, awsCode, requestId }
+ */
+function normalizeAWSError(error, context = {}) {
+    const err = error || {};
+    const name = err.name || err.Code || err.code || '';
+    const message = err.message || '';
+    const code = classify(err, name, message);
+
+    if (!code) {
+        return {
+            status: 500,
+            code: context.fallbackCode || 'ERROR',
+            message: message || context.fallbackMessage || 'Something went wrong',
+            hint: null,
+            missingAction: null,
+            awsCode: err.$metadata ? name : null,
+            requestId: (err.$metadata && err.$metadata.requestId) || null
+        };
+    }
+
+    const type = ERROR_TYPES[code];
+    const missingAction = code === 'ACCESS_DENIED' ? (findDeniedAction(message) || context.iamAction || null) : null;
+
+    let hint = type.hint;
+    if (missingAction) {
+        hint = `Add ${missingAction} to the IAM policy of your user or role. Run ${CHECK_PERMISSIONS} to see every missing permission.`;
+    } else if (code === 'ACCESS_DENIED' && context.permission) {
+        hint = `Run { "service": "permissions", "action": "check", "permission": "${context.permission}" } to see which IAM actions are missing.`;
+    }
+
+    return {
+        status: type.status,
+        code,
+        message: message || type.message,
+        hint,
+        missingAction,
+        awsCode: name || null,
+        requestId: (err.$metadata && err.$metadata.requestId) || null
+    };
+}
+
+/**
+ * Error response body for a normalized error - errorResponse() plus hint,
+ * missingAction and the AWS error name and request ID when there are any
+ */
+function awsErrorBody(normalized) {
+    const body = errorResponse(normalized.message, normalized.code);
+    if (normalized.hint) body.hint = normalized.hint;
+    if (normalized.missingAction) body.missingAction = normalized.missingAction;
+    if (normalized.awsCode) body.awsCode = normalized.awsCode;
+    if (normalized.requestId) body.requestId = normalized.requestId;
+    if (normalized.code === 'ACCESS_DENIED') body.helpAction = CHECK_PERMISSIONS;
+    return body;
+}
+
+/**
+ * Send the normalized error for an AWS failure
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Thrown error
+ * @param {Object} context - See normalizeAWSError()
+ */
+function sendAWSError(res, error, context = {}) {
+    const normalized = normalizeAWSError(error, context);
+    return res.status(normalized.status).json(awsErrorBody(normalized));
+}
+
+module.exports = {
+    ERROR_TYPES,
+    normalizeAWSError,
+    awsErrorBody,
+    sendAWSError
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Batch Requests
+ * Runs several router actions from one POST /batch request
+ *
+ * Cliq cards often need several calls at once - instance details, metrics,
+ * security groups, volumes - and each one is an OAuth round trip from
+ * Deluge. A batch sends them together:
+ *
+ *   {
+ *     "userId": "123",
+ *     "region": "ap-south-1",
+ *     "items": [
+ *       { "service": "ec2", "action": "get", "params": { "instanceId": "i-..." } },
+ *       { "service": "cloudwatch", "action": "getMetrics", "params": { ... } }
+ *     ]
+ *   }
+ *
+ * Each item runs through the same middleware chain as POST / (role,
+ * parameters, consent, confirmation, audit log, cache), so an item behaves
+ * exactly as the same call would on its own. region, profile, userName and
+ * userEmail apply to every item unless its params set them; userId is always
+ * the signed caller. At most BATCH_CONCURRENCY items run at a time, and the
+ * caller's credentials are looked up once per profile for the whole batch.
+ *
+ * The response has one result per item, in request order - what POST /
+ * would have answered, plus its HTTP status. A failing item doesn't stop the
+ * others; paid and destructive items answer 428 with requiresConsent or a
+ * confirmationToken, to be sent again in that item's params, and approval
+ * actions 202 with the pending approval.
+ */
+
+const { params } = require('../actions/schemas');
+const { successResponse } = require('./helpers');
+const { sendAWSError } = require('./aws-errors');
+const { validate, validationErrorResponse } = require('./validation');
+const { createLogger, withLogFields } = require('./logger');
+
+const log = createLogger('batch');
+
+const MAX_BATCH_ITEMS = 20;
+
+// Items in flight at once - their AWS calls are limited further per service (aws-calls.js)
+const BATCH_CONCURRENCY = 4;
+
+// Batch fields passed on to every item
+const SHARED_FIELDS = ['region', 'profile', 'userName', 'userEmail'];
+
+const BATCH_PARAMS = params({
+    items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_BATCH_ITEMS,
+        description: 'Actions to run',
+        items: params({
+            service: { type: 'string', minLength: 1, maxLength: 50 },
+            action: { type: 'string', minLength: 1, maxLength: 100 },
+            params: { type: 'object', description: 'Action parameters, as sent to POST /' }
+        }, ['service', 'action'])
+    },
+    region: { type: 'string', description: 'AWS region for every item' },
+    profile: { type: 'string', description: 'Credential profile for every item' },
+    userId: { type: 'string', description: 'Cliq user ID' },
+    userName: { type: 'string', description: 'For logging' },
+    userEmail: { type: 'string', description: 'For logging' }
+}, ['items']);
+
+/**
+ * Map items through an async function with at most limit calls in flight
+ *
+ * @returns {Promise<Array>} Results in the order of items
+ */
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/*
+ * Run Express handlers against a request with a response that only records
+ * what is sent. Resolves with { status, body } once a handler answers.
+ */
+function runChain(handlers, req) {
+    return new Promise(resolve => {
+        const res = {
+            statusCode: 200,
+            status(code) {
+                res.statusCode = code;
+                return res;
+            },
+            json(body) {
+                resolve({ status: res.statusCode, body });
+                return res;
+            },
+            setHeader() {}
+        };
+
+        let index = 0;
+        const next = async () => {
+            const handler = handlers[index++];
+            try {
+                await handler(req, res, next);
+            } catch (error) {
+                log.error('Batch item failed', { error });
+                sendAWSError(res, error);
+            }
+        };
+        next();
+    });
+}
+
+/*
+ * Request for one item: the batch request (headers, caller, log and time
+ * budget) with the item as its body
+ */
+function itemRequest(req, item, credentialLookups) {
+    const shared = {};
+    for (const field of SHARED_FIELDS) {
+        if (req.body[field] !== undefined) shared[field] = req.body[field];
+    }
+
+    const itemReq = Object.create(req);
+    itemReq.body = {
+        ...shared,
+        ...(item.params || {}),
+        userId: req.caller.userId,
+        service: item.service,
+        action: item.action
+    };
+    itemReq.query = {};
+    itemReq.caller = { ...req.caller };
+    itemReq.credentialLookups = credentialLookups;
+    return itemReq;
+}
+
+/*
+ * The item failed, at the HTTP level or inside its result (SETUP_REQUIRED...)
+ */
+function isFailure(result) {
+    return result.status >= 400 || result.success === false || !!(result.data && result.data.success === false);
+}
+
+/**
+ * Express handler for POST /batch. Must run after authenticateCaller.
+ *
+ * @param {Array} chain - Middleware and handler each item runs through
+ *                        (the router's, see routerChain() in index.js)
+ */
+function runBatch(chain) {
+    return async (req, res) => {
+        const { errors, value } = validate(BATCH_PARAMS, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+        req.body = value;
+
+        const credentialLookups = new Map();
+        const results = await mapLimit(value.items, BATCH_CONCURRENCY, (item, index) =>
+            withLogFields({ batchItem: index, service: item.service, action: item.action }, async () => {
+                const { status, body } = await runChain(chain, itemRequest(req, item, credentialLookups));
+                return { service: item.service, action: item.action, status, ...body };
+            })
+        );
+
+        const failed = results.filter(isFailure).length;
+        log.info('Batch finished', { items: results.length, failed });
+        res.json(successResponse({ results, succeeded: results.length - failed, failed }));
+    };
+}
+
+module.exports = {
+    MAX_BATCH_ITEMS,
+    BATCH_CONCURRENCY,
+    BATCH_PARAMS,
+    mapLimit,
+    runBatch
+};
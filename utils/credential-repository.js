@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Credential Repository
+ * Data access for the user_credentials table
+ *
+ * Looks rows up by user_id with a ZCQL query instead of downloading the
+ * whole table, and keeps each user's rows in memory for a short time so a
+ * burst of widget calls doesn't hit the Data Store every time.
+ *
+ * Rows are cached exactly as stored - secrets stay encrypted in the cache.
+ * Every write or delete through this module drops the user's cached rows.
+ */
+
+const TABLE_NAME = 'user_credentials';
+
+// Long enough to cover one dashboard load, short enough that edits made
+// from another function instance show up quickly
+const CACHE_TTL_MS = 30 * 1000;
+
+// Cliq user IDs are numeric; allow a little more but nothing that could
+// break out of the ZCQL string literal
+const USER_ID_PATTERN = /^[\w.@-]{1,100}$/;
+
+// userId -> { rows, expiresAt }
+const rowCache = new Map();
+
+/**
+ * Whether a user ID is safe to store and to query by
+ */
+function isValidUserId(userId) {
+    return Boolean(userId) && USER_ID_PATTERN.test(String(userId));
+}
+
+/**
+ * Drop a user's cached rows
+ */
+function invalidate(userId) {
+    rowCache.delete(userId);
+}
+
+/**
+ * All of one user's rows (one per profile), newest data at most CACHE_TTL_MS old
+ *
+ * @param {Object} catalystInstance - Initialized Catalyst SDK for the request
+ * @param {string} userId - Cliq user ID
+ * @returns {Array} user_credentials rows
+ */
+async function findByUser(catalystInstance, userId) {
+    if (!isValidUserId(userId)) {
+        return [];
+    }
+
+    const cached = rowCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.rows;
+    }
+
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME} WHERE user_id = '${userId}'`
+    );
+    const rows = results.map(result => result[TABLE_NAME]);
+
+    rowCache.set(userId, { rows, expiresAt: Date.now() + CACHE_TTL_MS });
+    return rows;
+}
+
+/**
+ * Every row in the table, page by page (maintenance jobs only - not cached)
+ */
+async function findAll(catalystInstance) {
+    const table = catalystInstance.datastore().table(TABLE_NAME);
+    const rows = [];
+    for await (const row of table.getIterableRows()) {
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Insert a new row
+ */
+async function insert(catalystInstance, record) {
+    const table = catalystInstance.datastore().table(TABLE_NAME);
+    const row = await table.insertRow(record);
+    invalidate(record.user_id);
+    return row;
+}
+
+/**
+ * Update an existing row (record must include ROWID)
+ */
+async function update(catalystInstance, userId, record) {
+    const table = catalystInstance.datastore().table(TABLE_NAME);
+    const row = await table.updateRow(record);
+    invalidate(userId);
+    return row;
+}
+
+/**
+ * Delete a row
+ */
+async function remove(catalystInstance, row) {
+    const table = catalystInstance.datastore().table(TABLE_NAME);
+    await table.deleteRow(row.ROWID);
+    invalidate(row.user_id);
+}
+
+module.exports = {
+    isValidUserId,
+    findByUser,
+    findAll,
+    insert,
+    update,
+    remove,
+    invalidate
+};
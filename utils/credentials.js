@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * User Credentials
+ * Loads a user's AWS credentials from the Catalyst Data Store
+ *
+ * This is the only place stored secrets are decrypted (see utils/encryption.js).
+ * The main router, /upload and every widget controller go through
+ * getUserCredentials(), so plaintext secrets never leave this module except
+ * as the credentials handed to the AWS SDK.
+ */
+
+const { resolveProfile, DEFAULT_PROFILE } = require('./profiles');
+const credentialRepository = require('./credential-repository');
+const { encryptSecret, decryptSecret, needsReencryption, isEncryptionConfigured } = require('./encryption');
+const { createLogger } = require('./logger');
+
+const log = createLogger('credentials');
+
+// Columns of user_credentials that hold secrets
+const SECRET_COLUMNS = ['secret_access_key', 'session_token'];
+
+/**
+ * Encrypt the secret columns of a record before insert/update
+ */
+function encryptRecord(record) {
+    const encrypted = { ...record };
+    for (const column of SECRET_COLUMNS) {
+        if (column in encrypted) {
+            encrypted[column] = encryptSecret(encrypted[column]);
+        }
+    }
+    return encrypted;
+}
+
+/**
+ * Decrypt the secret columns of a stored row
+ */
+function decryptRecord(row) {
+    const decrypted = { ...row };
+    for (const column of SECRET_COLUMNS) {
+        decrypted[column] = decryptSecret(row[column]);
+    }
+    return decrypted;
+}
+
+/**
+ * Whether a stored row has secrets that are plaintext or use a retired key
+ */
+function rowNeedsReencryption(row) {
+    return SECRET_COLUMNS.some(column => needsReencryption(row[column]));
+}
+
+/**
+ * Re-encrypt one stored row with the current master key
+ */
+async function reencryptRow(catalystInstance, row) {
+    const decrypted = decryptRecord(row);
+    const update = { ROWID: row.ROWID };
+    for (const column of SECRET_COLUMNS) {
+        update[column] = encryptSecret(decrypted[column]);
+    }
+    await credentialRepository.update(catalystInstance, row.user_id, update);
+}
+
+/**
+ * Re-encrypt every stored row that needs it (after a master key rotation)
+ *
+ * @returns {Object} { total, reencrypted, failed }
+ */
+async function reencryptAll(catalystInstance) {
+    const allCreds = await credentialRepository.findAll(catalystInstance);
+    const stale = allCreds.filter(rowNeedsReencryption);
+
+    let reencrypted = 0;
+    let failed = 0;
+    for (const row of stale) {
+        try {
+            await reencryptRow(catalystInstance, row);
+            reencrypted++;
+        } catch (error) {
+            log.error('Re-encryption failed', { rowId: row.ROWID, error });
+            failed++;
+        }
+    }
+
+    return { total: allCreds.length, reencrypted, failed };
+}
+
+/**
+ * Fetch user-specific AWS credentials from Catalyst Data Store.
+ * All users (Quick Demo and Own Credentials) have records in user_credentials table.
+ * Each user can hold several named profiles (see utils/profiles.js) - role
+ * profiles are assumed via STS here, so callers always get usable keys.
+ *
+ * Rows still in plaintext or encrypted with a retired master key are
+ * re-encrypted on the way through, so rotation completes as users come back.
+ *
+ * Returns null if no credentials found - caller should handle setup redirect.
+ * AssumeRole and decryption failures are thrown so callers can report them.
+ *
+ * @param {string} userId - Cliq user ID
+ * @param {Object} catalystInstance - Initialized Catalyst SDK for the request
+ * @param {string} profile - Account profile name (default: "default")
+ * @returns {Object|null} { access_key_id, secret_access_key, region, session_token, profile }
+ */
+async function getUserCredentials(userId, catalystInstance, profile) {
+    if (!catalystInstance) {
+        log.warn('Catalyst not available - cannot load stored keys');
+        return null;
+    }
+
+    let userRows;
+    try {
+        userRows = await credentialRepository.findByUser(catalystInstance, userId);
+    } catch (error) {
+        log.error('Could not load stored keys', { error });
+        return null;
+    }
+
+    if (isEncryptionConfigured()) {
+        for (const row of userRows.filter(rowNeedsReencryption)) {
+            await reencryptRow(catalystInstance, row).catch(error => {
+                log.error('Re-encryption failed', { rowId: row.ROWID, error });
+            });
+        }
+    }
+
+    const userCred = await resolveProfile(userRows.map(decryptRecord), userId, profile);
+
+    if (userCred) {
+        log.debug('Profile loaded', { userId, profile: userCred.profile });
+    } else {
+        log.info('No stored profile', { userId, profile: profile || DEFAULT_PROFILE });
+    }
+    return userCred;
+}
+
+module.exports = {
+    getUserCredentials,
+    encryptRecord,
+    reencryptAll
+};
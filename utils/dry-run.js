@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Dry Run
+ * Preview of a change - whether AWS would allow it and what it would change
+ *
+ * Mutating actions that support it take dryRun: true (body or query). The
+ * request is authenticated, role-checked and validated as usual, then goes
+ * straight to the action: idempotency, consent, confirmation and approval
+ * are skipped since nothing changes, and it is neither audited nor does it
+ * drop cached results. The action answers with a preview instead of its
+ * result:
+ *
+ *   {
+ *     success: true,
+ *     dryRun: true,
+ *     permitted: true,               // false if AWS would refuse it, null if unknown
+ *     permissionCheck: 'dry-run',    // 'dry-run' | 'policy-simulation' | 'unchecked'
+ *     denied: [],                    // IAM actions the caller lacks
+ *     target: 'i-0a1b2c3d4e5f60001',
+ *     changes: [{ field: 'state', from: 'running', to: 'stopped' }],
+ *     warnings: [],                  // why the real call could still fail or do nothing
+ *     message: 'Dry run - nothing was changed. ...'
+ *   }
+ *
+ * EC2 calls carry AWS's own DryRun parameter (checkDryRun()), and Lambda
+ * invocations its DryRun invocation type. S3, RDS, CloudWatch, SNS and
+ * Lambda configuration changes have none: their previews read the resource
+ * to work out the changes and ask the IAM policy simulator whether the
+ * caller's policies allow the call (simulatePermissions()). The simulator
+ * only sees identity policies - bucket policies, SCPs and permission
+ * boundaries can still refuse the real call. Credentials without
+ * iam:SimulatePrincipalPolicy get permitted: null.
+ *
+ * Every router action that changes AWS resources declares dryRun: true in
+ * the action registry and its handler gets ctx.dryRun; widget-only actions
+ * that support it are listed in DRY_RUN_ACTIONS below. Actions that only
+ * change this app's own records (stored keys, roles, schedules, approvals)
+ * answer DRY_RUN_UNSUPPORTED, and so does /widget/s3/upload: its form
+ * fields are only read after this check.
+ */
+
+const { GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { SimulatePrincipalPolicyCommand } = require('@aws-sdk/client-iam');
+const { errorResponse } = require('./helpers');
+const { getSTSClient, getIAMClient } = require('./aws-clients');
+const { isBudgetExceeded } = require('./aws-calls');
+const { createLogger } = require('./logger');
+
+const log = createLogger('dry-run');
+
+// Widget-only actions with a dry run (router actions declare dryRun in the
+// action registry)
+const DRY_RUN_ACTIONS = new Set([
+    // EC2
+    'ec2:terminate', 'ec2:createSnapshot', 'ec2:createImage', 'ec2:modifyInstanceType',
+    'ec2:allocateElasticIp', 'ec2:associateElasticIp', 'ec2:disassociateElasticIp',
+    'ec2:addInboundRule', 'ec2:addOutboundRule', 'ec2:removeInboundRule', 'ec2:removeOutboundRule',
+
+    // S3
+    's3:createFolder', 's3:deleteFolder',
+
+    // Lambda
+    'lambda:updateConfiguration', 'lambda:updateCode'
+]);
+
+/**
+ * Whether the request asks for a dry run (dryRun: true in body or query)
+ */
+function isDryRun(req) {
+    const dryRun = (req.body && req.body.dryRun) || req.query.dryRun;
+    return dryRun === true || dryRun === 'true';
+}
+
+function supportsDryRun(service, action) {
+    // Required here rather than at the top: the action files require the
+    // services, which require this module
+    const entry = require('../actions').getAction(service, action);
+    if (entry && entry.dryRun) return true;
+    return DRY_RUN_ACTIONS.has(`${service}:${action}`);
+}
+
+/**
+ * Sends an EC2 command built with DryRun: true. AWS answers
+ * DryRunOperation when the call would be allowed and UnauthorizedOperation
+ * when it would not; other errors (unknown instance, bad parameter) are
+ * thrown as usual.
+ *
+ * @param {Object} client - EC2 client
+ * @param {Object} command - Command with DryRun: true
+ * @param {string} iamAction - IAM action the command needs, e.g. 'ec2:StopInstances'
+ * @returns {Object} { permitted, permissionCheck, denied }
+ */
+async function checkDryRun(client, command, iamAction) {
+    try {
+        await client.send(command);
+    } catch (error) {
+        if (error.name === 'DryRunOperation') {
+            return { permitted: true, permissionCheck: 'dry-run', denied: [] };
+        }
+        if (error.name === 'UnauthorizedOperation') {
+            return { permitted: false, permissionCheck: 'dry-run', denied: [iamAction] };
+        }
+        throw error;
+    }
+    // Only reached if DryRun was not set - nothing to learn from it
+    return { permitted: null, permissionCheck: 'unchecked', denied: [], reason: 'AWS ran the call without DryRun' };
+}
+
+/*
+ * IAM principal to simulate for a caller ARN - sessions of an assumed role
+ * are checked against the role
+ */
+function toPrincipalArn(callerArn) {
+    const match = /^arn:(aws[\w-]*):sts::(\d{12}):assumed-role\/([^/]+)\//.exec(callerArn);
+    return match ? `arn:${match[1]}:iam::${match[2]}:role/${match[3]}` : callerArn;
+}
+
+/**
+ * Ask the IAM policy simulator whether the caller's policies allow each
+ * action on its resource. Never throws for a failed check (missing
+ * iam:SimulatePrincipalPolicy, role with a path...) - answers permitted: null.
+ *
+ * @param {Array} checks - [{ action: 's3:DeleteBucket', resource: 'arn:aws:s3:::bucket' }].
+ *                         resource can be a function of the caller's account
+ *                         ID, for ARNs the caller doesn't know yet
+ * @param {string} region - Region for STS
+ * @param {Object} credentials - AWS SDK credentials
+ * @returns {Object} { permitted, permissionCheck, denied, reason }
+ */
+async function simulatePermissions(checks, region, credentials) {
+    try {
+        const identity = await getSTSClient(region, credentials).send(new GetCallerIdentityCommand({}));
+        const principalArn = toPrincipalArn(identity.Arn);
+        const client = getIAMClient(credentials);
+
+        const results = await Promise.all(checks.map(check => client.send(new SimulatePrincipalPolicyCommand({
+            PolicySourceArn: principalArn,
+            ActionNames: [check.action],
+            ResourceArns: [typeof check.resource === 'function' ? check.resource(identity.Account) : check.resource]
+        }))));
+
+        const denied = checks
+            .filter((check, index) => (results[index].EvaluationResults || []).some(result => result.EvalDecision !== 'allowed'))
+            .map(check => check.action);
+        return { permitted: denied.length === 0, permissionCheck: 'policy-simulation', denied };
+    } catch (error) {
+        if (isBudgetExceeded(error)) throw error;
+        log.warn('Policy simulation failed', { error });
+        return { permitted: null, permissionCheck: 'unchecked', denied: [], reason: `IAM could not simulate it: ${error.message}` };
+    }
+}
+
+/**
+ * The preview an action answers a dry run with
+ *
+ * @param {Object} check - From checkDryRun() or simulatePermissions()
+ * @param {Object} preview - { target, changes, warnings, summary, ...details }
+ *                           summary says what would happen, details are
+ *                           extra fields for the result
+ */
+function dryRunResult(check, { target = null, changes = [], warnings = [], summary, ...details }) {
+    let verdict = 'AWS would allow it';
+    if (check.permitted === false) verdict = `AWS would refuse it - missing ${check.denied.join(', ')}`;
+    if (check.permitted === null) verdict = `Permission was not checked (${check.reason})`;
+
+    return {
+        success: true,
+        dryRun: true,
+        permitted: check.permitted,
+        permissionCheck: check.permissionCheck,
+        denied: check.denied,
+        target,
+        changes,
+        warnings,
+        ...details,
+        message: `Dry run - nothing was changed. ${summary}. ${verdict}.`
+    };
+}
+
+/**
+ * Express middleware factory - dry-run requests of actions that support
+ * one go straight to run (the route's handler), past the checks for
+ * changes that follow it on the route. Requests without dryRun continue
+ * as usual. service and action can be strings or functions of the request.
+ */
+function dryRun(service, action, run) {
+    return (req, res, next) => {
+        if (!isDryRun(req)) return next();
+
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        if (!supportsDryRun(serviceName, actionName)) {
+            return res.status(400).json(errorResponse(`${serviceName}:${actionName} has no dry run. Send it without dryRun to run it.`, 'DRY_RUN_UNSUPPORTED'));
+        }
+        return run(req, res, next);
+    };
+}
+
+module.exports = {
+    DRY_RUN_ACTIONS,
+    isDryRun,
+    supportsDryRun,
+    checkDryRun,
+    simulatePermissions,
+    dryRunResult,
+    dryRun
+};
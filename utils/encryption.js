@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Secret Encryption
+ * AES-256-GCM envelope encryption for stored AWS secrets
+ *
+ * Every value gets its own random data key. The value is encrypted with the
+ * data key, and the data key is encrypted ("wrapped") with the master key
+ * from the environment. Stored format:
+ *
+ *   enc:<master key version>:<wrapped data key>:<encrypted value>
+ *
+ * Both parts are base64 of iv (12 bytes) + auth tag (16 bytes) + ciphertext.
+ *
+ * Environment:
+ * - CREDENTIALS_MASTER_KEY: current master key, base64 of 32 random bytes
+ *   (generate with: openssl rand -base64 32)
+ * - CREDENTIALS_MASTER_KEY_VERSION: tag for the current key (default: "1")
+ * - CREDENTIALS_PREVIOUS_KEYS: retired keys still needed for decryption
+ *   during rotation, as "version:base64key" pairs separated by commas
+ *
+ * Values without the "enc:" prefix are legacy plaintext and are returned
+ * unchanged, so existing records keep working until they are re-encrypted.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Parse a base64 master key, rejecting anything that isn't 32 bytes
+ */
+function parseKey(base64Key, version) {
+    const key = Buffer.from(base64Key || '', 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`Master key version ${version} must be ${KEY_LENGTH} bytes (base64 encoded)`);
+    }
+    return key;
+}
+
+/**
+ * Current master key and version from the environment
+ */
+function getCurrentKey() {
+    if (!process.env.CREDENTIALS_MASTER_KEY) {
+        const error = new Error('CREDENTIALS_MASTER_KEY is not configured - cannot store secrets');
+        error.code = 'ENCRYPTION_NOT_CONFIGURED';
+        throw error;
+    }
+
+    const version = process.env.CREDENTIALS_MASTER_KEY_VERSION || '1';
+    return { version, key: parseKey(process.env.CREDENTIALS_MASTER_KEY, version) };
+}
+
+/**
+ * Find the master key for a version (current or previous)
+ */
+function getKeyByVersion(version) {
+    const current = getCurrentKey();
+    if (current.version === version) return current.key;
+
+    const previous = (process.env.CREDENTIALS_PREVIOUS_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    for (const entry of previous) {
+        const separator = entry.indexOf(':');
+        if (entry.substring(0, separator) === version) {
+            return parseKey(entry.substring(separator + 1), version);
+        }
+    }
+
+    throw new Error(`No master key available for key version ${version}`);
+}
+
+/**
+ * Encrypt a buffer with AES-GCM, returning base64(iv + tag + ciphertext)
+ */
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Reverse of seal() - throws if the data was tampered with
+ */
+function open(key, sealed) {
+    const data = Buffer.from(sealed, 'base64');
+    const iv = data.subarray(0, IV_LENGTH);
+    const tag = data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const ciphertext = data.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Whether a stored value is in the encrypted format
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Key version a stored value was encrypted with (null for plaintext)
+ */
+function getKeyVersion(value) {
+    return isEncrypted(value) ? value.split(':')[1] : null;
+}
+
+/**
+ * Whether a value should be re-encrypted with the current master key
+ * (legacy plaintext, or encrypted with a retired key)
+ */
+function needsReencryption(value) {
+    if (!value) return false;
+    return getKeyVersion(value) !== getCurrentKey().version;
+}
+
+/**
+ * Encrypt a secret for storage. Empty values are stored as-is.
+ */
+function encryptSecret(plaintext) {
+    if (!plaintext) return plaintext || '';
+
+    const { version, key } = getCurrentKey();
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+    const wrappedKey = seal(key, dataKey);
+    const encryptedValue = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+
+    return `${PREFIX}:${version}:${wrappedKey}:${encryptedValue}`;
+}
+
+/**
+ * Decrypt a stored secret. Legacy plaintext values are returned unchanged.
+ */
+function decryptSecret(value) {
+    if (!isEncrypted(value)) return value || '';
+
+    const [, version, wrappedKey, encryptedValue] = value.split(':');
+    const dataKey = open(getKeyByVersion(version), wrappedKey);
+
+    return open(dataKey, encryptedValue).toString('utf8');
+}
+
+/**
+ * Whether encryption is set up (a master key is configured)
+ */
+function isEncryptionConfigured() {
+    return !!process.env.CREDENTIALS_MASTER_KEY;
+}
+
+/**
+ * Masked form of a secret for display - never reveals any characters
+ */
+function maskSecret(value) {
+    return value ? '••••••••••••••••' : '';
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    isEncrypted,
+    getKeyVersion,
+    needsReencryption,
+    isEncryptionConfigured,
+    maskSecret
+};
@@ -236,6 +236,21 @@ function formatTimestamp(timestamp) {
     });
 }
 
+/**
+ * JSON with object keys sorted, so equal values give equal strings
+ * (cache keys, cursor fingerprints)
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(name => value[name] !== undefined)
+            .map(name => `${JSON.stringify(name)}:${stableStringify(value[name])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
 module.exports = {
     formatBytes,
     formatCurrency,
@@ -248,5 +263,6 @@ module.exports = {
     successResponse,
     errorResponse,
     truncate,
-    formatTimestamp
+    formatTimestamp,
+    stableStringify
 };
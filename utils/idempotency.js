@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Idempotency Keys
+ * Repeated mutating requests get the first result instead of a second AWS call
+ *
+ * Cliq button double-clicks and Deluge retries can send the same
+ * createSnapshot, createImage, allocateElasticIp, createBucket or sns:publish
+ * twice. Callers that send an idempotencyKey (body or query) with a mutating
+ * action get the stored result of the first request with that key for
+ * IDEMPOTENCY_WINDOW_SECONDS (default: 1 hour), marked idempotency.replayed
+ * and with an Idempotent-Replayed: true header. A repeat that arrives while
+ * the first is still running waits for it.
+ *
+ * Keys belong to the caller, profile and service:action. Reusing a key with
+ * different parameters is rejected with IDEMPOTENCY_KEY_REUSED (422).
+ *
+ * Only final answers are stored: consent and confirmation prompts, throttling,
+ * AWS-side (5xx) failures and { success: false } results (SETUP_REQUIRED...)
+ * can be retried with the same key. So can requests answered some other way
+ * than res.json (Express's error handler) or whose connection closed first:
+ * repeats waiting for them run on their own. Like the response cache, entries
+ * live in the function instance's memory.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_PROFILE } = require('./profiles');
+const { errorResponse, stableStringify } = require('./helpers');
+const { getRequestParams, isMutatingAction } = require('./audit');
+const { validationErrorResponse } = require('./validation');
+const { createLogger } = require('./logger');
+
+const log = createLogger('idempotency');
+
+const WINDOW_MS = (parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS, 10) || 3600) * 1000;
+
+// Oldest entries go first
+const MAX_ENTRIES = 1000;
+
+const KEY_PATTERN = /^[\w.:-]{1,255}$/;
+
+// Request fields that don't change what the action does
+const IGNORED_FIELDS = ['idempotencyKey', 'confirmationToken', 'confirm', 'consent', 'fresh', 'userId', 'userName', 'userEmail'];
+
+// key -> { fingerprint, status, body, storedAt, expiresAt }
+const entries = new Map();
+
+// key -> { fingerprint, done } for requests still running
+const pending = new Map();
+
+/*
+ * Hash of what the request asks for, uploaded file included
+ */
+function fingerprint(req, params) {
+    const fields = { ...params };
+    for (const name of IGNORED_FIELDS) delete fields[name];
+
+    const hash = crypto.createHash('sha256').update(stableStringify(fields));
+    if (req.file && req.file.buffer) hash.update(req.file.buffer);
+    return hash.digest('base64url');
+}
+
+function store(key, entry) {
+    if (entries.size >= MAX_ENTRIES) {
+        const now = Date.now();
+        for (const [existingKey, existing] of entries) {
+            if (existing.expiresAt <= now) entries.delete(existingKey);
+        }
+        while (entries.size >= MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+    entries.set(key, entry);
+}
+
+function getStored(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+    return entry || null;
+}
+
+/*
+ * The action ran to an answer that a retry would only repeat
+ */
+function isFinal(status, body) {
+    if (status >= 500 || status === 428 || status === 429) return false;
+    return !(body && body.data && body.data.success === false);
+}
+
+function keyReused(res, idempotencyKey) {
+    return res.status(422).json(errorResponse(
+        `idempotencyKey "${idempotencyKey}" was already used with different parameters. Use a new key for a different request.`,
+        'IDEMPOTENCY_KEY_REUSED'
+    ));
+}
+
+/**
+ * Express middleware factory - answers repeated mutating requests with the
+ * same idempotencyKey from the stored first result. service and action can
+ * be strings or functions of the request. Must run after authenticateCaller
+ * (uses req.caller) and before consent and confirmation, so a retry of a
+ * confirmed action replays its result.
+ */
+function idempotent(service, action) {
+    return async (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        const params = getRequestParams(req);
+        const idempotencyKey = params.idempotencyKey;
+        if (idempotencyKey === undefined || idempotencyKey === '' || !isMutatingAction(serviceName, actionName)) {
+            return next();
+        }
+        if (!KEY_PATTERN.test(String(idempotencyKey))) {
+            return res.status(400).json(validationErrorResponse([
+                { field: 'idempotencyKey', message: 'must be 1-255 letters, numbers or ._:-' }
+            ]));
+        }
+
+        const key = [req.caller.userId, params.profile || DEFAULT_PROFILE, `${serviceName}:${actionName}`, idempotencyKey].join('|');
+        const requestFingerprint = fingerprint(req, params);
+
+        let stored = getStored(key);
+        if (!stored && pending.has(key)) {
+            const inFlight = pending.get(key);
+            if (inFlight.fingerprint !== requestFingerprint) return keyReused(res, idempotencyKey);
+            stored = await inFlight.done;
+        }
+
+        if (stored) {
+            if (stored.fingerprint !== requestFingerprint) return keyReused(res, idempotencyKey);
+
+            log.info('Replayed stored result', { service: serviceName, action: actionName, status: stored.status });
+            res.setHeader('Idempotent-Replayed', 'true');
+            return res.status(stored.status).json({
+                ...stored.body,
+                idempotency: { key: String(idempotencyKey), replayed: true, firstRequestAt: new Date(stored.storedAt).toISOString() }
+            });
+        }
+
+        let settle;
+        const done = new Promise(resolve => {
+            settle = resolve;
+        });
+        pending.set(key, { fingerprint: requestFingerprint, done });
+
+        // Only this request's entry - a retry may have taken the key since
+        const release = () => {
+            if (pending.has(key) && pending.get(key).done === done) pending.delete(key);
+        };
+
+        // Answered without res.json, or the connection closed first: nothing
+        // to replay (settling twice does nothing)
+        const abandon = () => {
+            release();
+            settle(null);
+        };
+        res.once('finish', abandon);
+        res.once('close', abandon);
+
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            res.json = sendJson;
+            release();
+
+            let entry = null;
+            if (isFinal(res.statusCode, body)) {
+                const now = Date.now();
+                entry = { fingerprint: requestFingerprint, status: res.statusCode, body, storedAt: now, expiresAt: now + WINDOW_MS };
+                store(key, entry);
+            }
+            settle(entry);
+            return sendJson(body);
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    KEY_PATTERN,
+    idempotent
+};
@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Logger
+ * Structured JSON logs with request IDs and secret redaction
+ *
+ * Every line is one JSON object:
+ *
+ *   {"time":"...","level":"info","component":"router","msg":"Action started",
+ *    "requestId":"3f0c...","service":"ec2","action":"stop","userId":"123",...}
+ *
+ * requestLogger() gives each request an ID (the caller's X-Request-Id if it
+ * sent a usable one), returns it in the X-Request-Id response header and
+ * adds it to every line logged while the request runs. When the response
+ * has gone out it logs one "Request finished" line with the status, the
+ * latency and the AWS calls made (counted by aws-calls.js).
+ *
+ * Fields are redacted before they are written:
+ *   - secrets (keys, tokens, passwords, signatures...) become [REDACTED]
+ *   - environment variables keep their names, their values become [REDACTED]
+ *   - message bodies, payloads and code are replaced by their length
+ *   - values of this server's own secret environment variables are masked
+ *     wherever they appear, including inside messages and error text
+ *
+ * LOG_LEVEL (debug, info, warn, error) sets the lowest level written
+ * (default: info); silent writes nothing (the test suite uses it).
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+// Field names whose values are never written
+const SECRET_FIELD_PATTERN = /secret|password|passphrase|token|credential|signature|authorization|cookie|access_?key|private_?key|api_?key|external_?id|^sig$/i;
+
+// Maps of environment variables: names are kept, values are not
+const ENV_FIELD_PATTERN = /^(environment|variables|env|envVars)$/i;
+
+// Free-form content (SNS messages, Lambda payloads, code): only the length is kept
+const CONTENT_FIELD_PATTERN = /^(message|payload|body|content|fileContent|zipFile|sourceCode|prompt|subject)$/i;
+
+// Longest string value written
+const MAX_VALUE_LENGTH = 500;
+
+// Deeper structures are cut off
+const MAX_DEPTH = 6;
+
+// Accepted incoming X-Request-Id values
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+// Current request: { requestId, startedAt, fields, aws: { calls, retries, byService } }
+const logContext = new AsyncLocalStorage();
+
+/*
+ * Values of this server's secret environment variables (signing secret,
+ * encryption key, AWS keys...), masked wherever they show up
+ */
+const SECRET_ENV_VALUES = Object.entries(process.env)
+    .filter(([name, value]) => SECRET_FIELD_PATTERN.test(name) && typeof value === 'string' && value.length >= 8)
+    .map(([, value]) => value);
+
+function maskSecretValues(text) {
+    let masked = text;
+    for (const value of SECRET_ENV_VALUES) {
+        if (masked.includes(value)) masked = masked.split(value).join('[REDACTED]');
+    }
+    return masked;
+}
+
+function redactString(value) {
+    const masked = maskSecretValues(value);
+    return masked.length > MAX_VALUE_LENGTH
+        ? `${masked.substring(0, MAX_VALUE_LENGTH)}… (${masked.length} chars)`
+        : masked;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactString(String(error.message || '')),
+        ...(error.code && { code: error.code }),
+        ...(error.$metadata && error.$metadata.requestId && { awsRequestId: error.$metadata.requestId }),
+        ...(error.stack && { stack: redactString(error.stack.split('\n').slice(0, 6).join('\n')) })
+    };
+}
+
+/*
+ * Environment variable map with the names kept and the values masked
+ * (Lambda nests them: Environment: { Variables: { ... } })
+ */
+function redactEnv(variables) {
+    return Object.fromEntries(Object.entries(variables).map(([name, value]) => [
+        name,
+        value && typeof value === 'object' && !Array.isArray(value) ? redactEnv(value) : '[REDACTED]'
+    ]));
+}
+
+/**
+ * Copy of a value that is safe to log (see the rules above)
+ *
+ * @param {*} value - Anything: fields, request parameters, AWS results
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'string') return redactString(value);
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[…]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [name, field] of Object.entries(value)) {
+        if (field === undefined || typeof field === 'function') continue;
+
+        if (SECRET_FIELD_PATTERN.test(name)) {
+            copy[name] = '[REDACTED]';
+        } else if (ENV_FIELD_PATTERN.test(name) && field && typeof field === 'object') {
+            copy[name] = redactEnv(field);
+        } else if (CONTENT_FIELD_PATTERN.test(name) && field && typeof field !== 'boolean' && typeof field !== 'number') {
+            const length = typeof field === 'string' ? field.length : JSON.stringify(field).length;
+            copy[name] = `[${length} chars]`;
+        } else {
+            copy[name] = redact(field, depth + 1);
+        }
+    }
+    return copy;
+}
+
+/*
+ * Write one line. Errors go to stderr, everything else to stdout.
+ */
+function write(level, component, message, fields) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const context = logContext.getStore();
+    const line = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg: redactString(String(message)),
+        ...(context && { requestId: context.requestId, ...context.fields }),
+        ...redact(fields instanceof Error ? { error: fields } : (fields || {}))
+    };
+
+    let text;
+    try {
+        text = JSON.stringify(line);
+    } catch (error) {
+        text = JSON.stringify({ time: line.time, level, component, msg: line.msg, requestId: line.requestId, logError: error.message });
+    }
+
+    if (level === 'error') console.error(text);
+    else if (level === 'warn') console.warn(text);
+    else console.log(text);
+}
+
+/**
+ * Logger for one part of the server
+ *
+ * @param {string} component - Where the lines come from, e.g. 'router', 'cache', 'widget:s3'
+ * @returns {Object} { debug, info, warn, error } - each (message, fields)
+ */
+function createLogger(component) {
+    return {
+        debug: (message, fields) => write('debug', component, message, fields),
+        info: (message, fields) => write('info', component, message, fields),
+        warn: (message, fields) => write('warn', component, message, fields),
+        error: (message, fields) => write('error', component, message, fields)
+    };
+}
+
+const requestLog = createLogger('http');
+
+/**
+ * Add fields to every later line of the current request (service, action, userId...)
+ */
+function addLogFields(fields) {
+    const context = logContext.getStore();
+    if (context) Object.assign(context.fields, redact(fields));
+}
+
+/**
+ * Run fn with log fields of its own on top of the request's. For work that
+ * runs side by side within one request (POST /batch items), whose
+ * addLogFields() calls would otherwise overwrite each other. AWS calls still
+ * count toward the request's summary line.
+ */
+function withLogFields(fields, fn) {
+    const context = logContext.getStore();
+    if (!context) return fn();
+    return logContext.run({ ...context, fields: { ...context.fields, ...redact(fields) } }, fn);
+}
+
+/**
+ * Count one AWS call (or retry) for the current request
+ *
+ * @param {string} service - Service name (ec2, s3, iam, ...)
+ * @param {boolean} retry - The call is a retry of a failed attempt
+ */
+function countAWSCall(service, retry = false) {
+    const context = logContext.getStore();
+    if (!context) return;
+
+    if (retry) {
+        context.aws.retries++;
+        return;
+    }
+    context.aws.calls++;
+    context.aws.byService[service] = (context.aws.byService[service] || 0) + 1;
+}
+
+/**
+ * ID of the current request, or null outside a request
+ */
+function getRequestId() {
+    const context = logContext.getStore();
+    return context ? context.requestId : null;
+}
+
+/**
+ * Express middleware factory - request ID, X-Request-Id header and one
+ * summary line per request.
+ */
+function requestLogger() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const context = {
+            requestId: incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID(),
+            startedAt: process.hrtime.bigint(),
+            fields: {},
+            aws: { calls: 0, retries: 0, byService: {} }
+        };
+        req.requestId = context.requestId;
+        res.setHeader('X-Request-Id', context.requestId);
+
+        res.on('finish', () => {
+            logContext.run(context, () => {
+                const fields = {
+                    method: req.method,
+                    path: req.path,
+                    status: res.statusCode,
+                    latencyMs: Number((process.hrtime.bigint() - context.startedAt) / 1000000n),
+                    awsCalls: context.aws.calls,
+                    awsRetries: context.aws.retries,
+                    awsCallsByService: context.aws.byService,
+                    ...(req.caller && !context.fields.userId && { userId: req.caller.userId })
+                };
+                if (res.statusCode >= 500) requestLog.error('Request finished', fields);
+                else if (res.statusCode >= 400) requestLog.warn('Request finished', fields);
+                else requestLog.info('Request finished', fields);
+            });
+        });
+
+        logContext.run(context, next);
+    };
+}
+
+module.exports = {
+    createLogger,
+    requestLogger,
+    addLogFields,
+    withLogFields,
+    countAWSCall,
+    getRequestId,
+    redact
+};
@@ -0,0 +1,529 @@
+'use strict';
+
+/**
+ * OpenAPI Document
+ * Machine-readable contract of the router and widget API, served at /openapi.json
+ *
+ * Built from the declarations the server itself runs on rather than written
+ * by hand: the action registry (actions/) for POST /, WIDGET_ROUTES and
+ * WIDGET_PARAMS (actions/widgets.js) for the widget routes, the role policy
+ * (utils/access.js), consent, confirmation and approval rules
+ * (utils/pricing.js, utils/safeguards.js, utils/approvals.js) and the AWS
+ * error codes (utils/aws-errors.js).
+ * Adding an action or a widget route adds it here.
+ *
+ * Every POST / action is a component schema named service.action. Schemas
+ * keep the named formats of utils/validation.js (instanceId, bucketName,
+ * ...), and carry what the router checks before running an action as
+ * extensions: x-role, x-paid, x-destructive, x-approval, x-mutating,
+ * x-dry-run, x-cache-ttl and x-permission.
+ */
+
+const { version } = require('../package.json');
+const { listActions } = require('../actions');
+const { WIDGET_PARAMS, WIDGET_ROUTES } = require('../actions/widgets');
+const { getRequiredRole } = require('./access');
+const { isPaidAction } = require('./pricing');
+const { isDestructiveAction, getDestructiveWarning } = require('./safeguards');
+const { isApprovalAction } = require('./approvals');
+const { ERROR_TYPES } = require('./aws-errors');
+const { SUPPORTED_REGIONS } = require('./aws-clients');
+const { PROFILE_NAME_PATTERN } = require('./profiles');
+const { isMutatingAction } = require('./audit');
+const { KEY_PATTERN } = require('./idempotency');
+const { BATCH_PARAMS } = require('./batch');
+const { supportsDryRun } = require('./dry-run');
+
+// Codes the router and its middleware answer with, by HTTP status
+const ROUTER_ERRORS = {
+    400: ['VALIDATION_ERROR', 'UNKNOWN_ACTION', 'INVALID_REGION', 'DRY_RUN_UNSUPPORTED'],
+    401: ['UNAUTHENTICATED', 'SIGNING_NOT_CONFIGURED', 'NO_USER_ID', 'SIGNATURE_EXPIRED', 'INVALID_SIGNATURE'],
+    403: ['USER_MISMATCH', 'FORBIDDEN'],
+    422: ['IDEMPOTENCY_KEY_REUSED'],
+    428: ['CONSENT_REQUIRED', 'CONFIRMATION_REQUIRED'],
+    500: ['ERROR'],
+    503: ['APPROVALS_UNAVAILABLE']
+};
+
+// Codes handlers return inside data, with HTTP 200 and data.success: false
+const RESULT_CODES = [
+    'SETUP_REQUIRED', 'PROFILE_NOT_FOUND', 'INVALID_PROFILE', 'INVALID_ROLE_ARN', 'MISSING_CREDENTIALS',
+    'ENCRYPTION_NOT_CONFIGURED', 'MISSING_TARGET', 'INVALID_TARGET', 'INVALID_ROLE', 'INVALID_FILTER',
+    'NOT_FOUND', 'INVALID_TIMEZONE', 'INVALID_HOURS', 'APPROVAL_EXPIRED', 'APPROVAL_NOT_PENDING', 'SELF_APPROVAL',
+    'NOT_AN_APPROVER', 'GROUP_CHANGED', 'ALREADY_UNDONE', 'NOTHING_TO_UNDO'
+];
+
+// Fields the router reads itself, accepted by every action
+const ROUTER_FIELDS = {
+    region: { type: 'string', enum: SUPPORTED_REGIONS, description: 'AWS region (default: the region stored with the credentials)' },
+    profile: { type: 'string', pattern: PROFILE_NAME_PATTERN.source, description: 'Credential profile (default: "default")' },
+    userId: { type: 'string', description: 'Cliq user ID - must be the signed caller' },
+    userName: { type: 'string', description: 'Caller display name, for logging' },
+    userEmail: { type: 'string', description: 'Caller email, for logging' }
+};
+
+const consent = { const: true, description: 'Agree to the cost of a paid action' };
+const confirmationToken = { type: 'string', description: 'Token from the CONFIRMATION_REQUIRED response' };
+const idempotencyKey = { type: 'string', pattern: KEY_PATTERN.source, description: 'Repeats with this key get the first result (utils/idempotency.js)' };
+const dryRun = { type: 'boolean', description: 'Only report what would change and whether AWS would allow it (utils/dry-run.js)' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+
+/*
+ * Schema without the keywords only utils/validation.js understands
+ * (patternMessage)
+ */
+function clean(schema) {
+    if (Array.isArray(schema)) return schema.map(clean);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const result = {};
+    for (const [name, value] of Object.entries(schema)) {
+        if (name === 'patternMessage') continue;
+        result[name] = clean(value);
+    }
+    return result;
+}
+
+/*
+ * AWS and router error codes by HTTP status
+ */
+function errorCodesByStatus() {
+    const byStatus = {};
+    for (const [status, codes] of Object.entries(ROUTER_ERRORS)) {
+        byStatus[status] = [...codes];
+    }
+    for (const [code, type] of Object.entries(ERROR_TYPES)) {
+        (byStatus[type.status] = byStatus[type.status] || []).push(code);
+    }
+    return byStatus;
+}
+
+function errorResponses(options = {}) {
+    const responses = {};
+    for (const [status, codes] of Object.entries(errorCodesByStatus())) {
+        if (status === '422' && !options.idempotent) continue;
+        if (status === '503' && !options.approval) continue;
+        if (status !== '428') {
+            responses[status] = { description: codes.join(', '), content: json(ref('ErrorResponse')) };
+        }
+    }
+
+    // Only routes with paid or destructive actions ask for consent or confirmation
+    const pending = [];
+    if (options.consent) pending.push(['CONSENT_REQUIRED', ref('ConsentRequired')]);
+    if (options.confirmation) pending.push(['CONFIRMATION_REQUIRED', ref('ConfirmationRequired')]);
+    if (pending.length > 0) {
+        responses[428] = {
+            description: pending.map(([code]) => code).join(', '),
+            content: json(pending.length === 1 ? pending[0][1] : { oneOf: pending.map(([, schema]) => schema) })
+        };
+    }
+    if (options.approval) {
+        responses[202] = { description: 'APPROVAL_REQUIRED', content: json(ref('ApprovalRequired')) };
+    }
+    return responses;
+}
+
+function componentSchemas() {
+    const codes = Object.values(errorCodesByStatus()).flat();
+    return {
+        SuccessResponse: {
+            type: 'object',
+            properties: {
+                success: { const: true },
+                data: { description: 'Result of the action. Handler failures have success: false and a code - see HandlerFailure' },
+                timestamp: { type: 'string', format: 'date-time' },
+                costWarning: { type: 'object', description: 'Cost of a paid action' },
+                cache: {
+                    type: 'object',
+                    description: 'Present on cached list and summary actions',
+                    properties: {
+                        hit: { type: 'boolean' },
+                        cachedAt: { type: 'string', format: 'date-time' },
+                        ageSeconds: { type: 'integer' },
+                        ttlSeconds: { type: 'integer' }
+                    }
+                },
+                message: { type: 'string', description: 'Set with data: null when AWS did not answer in time' },
+                idempotency: {
+                    type: 'object',
+                    description: 'Present when the result is the stored answer to an earlier request with the same idempotencyKey',
+                    properties: {
+                        key: { type: 'string' },
+                        replayed: { const: true },
+                        firstRequestAt: { type: 'string', format: 'date-time' }
+                    }
+                }
+            },
+            required: ['success', 'data', 'timestamp']
+        },
+        HandlerFailure: {
+            type: 'object',
+            description: 'data of a 200 response when the action could not run',
+            properties: {
+                success: { const: false },
+                error: { type: 'string' },
+                code: { type: 'string', enum: RESULT_CODES }
+            },
+            required: ['success', 'error']
+        },
+        ErrorResponse: {
+            type: 'object',
+            properties: {
+                success: { const: false },
+                error: { type: 'string', description: 'Message for the user' },
+                code: { type: 'string', enum: codes },
+                timestamp: { type: 'string', format: 'date-time' },
+                hint: { type: 'string', description: 'How to fix it (AWS errors)' },
+                missingAction: { type: 'string', description: 'IAM action to allow (ACCESS_DENIED)' },
+                awsCode: { type: 'string', description: 'Error name from AWS' },
+                requestId: { type: 'string', description: 'AWS request ID' },
+                helpAction: { type: 'string', description: 'Router request body that helps (permissions:checkAll)' },
+                fields: {
+                    type: 'array',
+                    description: 'Offending parameters (VALIDATION_ERROR)',
+                    items: {
+                        type: 'object',
+                        properties: { field: { type: 'string' }, message: { type: 'string' } }
+                    }
+                },
+                requiredRole: { type: 'string', description: 'FORBIDDEN' },
+                currentRole: { type: 'string', description: 'FORBIDDEN' },
+                supportedRegions: { type: 'array', items: { type: 'string' }, description: 'INVALID_REGION' },
+                service: { type: ['string', 'null'], description: 'UNKNOWN_ACTION' },
+                action: { type: ['string', 'null'], description: 'UNKNOWN_ACTION' }
+            },
+            required: ['success', 'error', 'code', 'timestamp']
+        },
+        ConsentRequired: {
+            allOf: [ref('ErrorResponse'), {
+                type: 'object',
+                description: 'Repeat the request with consent: true',
+                properties: {
+                    code: { const: 'CONSENT_REQUIRED' },
+                    requiresConsent: { const: true },
+                    costWarning: { type: 'object' }
+                }
+            }]
+        },
+        ConfirmationRequired: {
+            allOf: [ref('ErrorResponse'), {
+                type: 'object',
+                description: 'Repeat the request with confirmationToken before expiresAt',
+                properties: {
+                    code: { const: 'CONFIRMATION_REQUIRED' },
+                    requiresConfirmation: { const: true },
+                    warning: { type: 'string' },
+                    target: { type: ['string', 'null'] },
+                    confirmationToken: { type: 'string' },
+                    expiresAt: { type: 'string', format: 'date-time' }
+                }
+            }]
+        },
+        ApprovalRequired: {
+            allOf: [ref('ErrorResponse'), {
+                type: 'object',
+                description: 'Stored for another user to approve with approvals:approve - it runs as the requester then',
+                properties: {
+                    code: { const: 'APPROVAL_REQUIRED' },
+                    requiresApproval: { const: true },
+                    approval: { type: 'object', description: 'The pending approval (approvals:get)' },
+                    approvers: { type: 'array', items: { type: 'string' }, description: 'Cliq user IDs who can approve it' },
+                    notified: { type: 'boolean', description: 'Whether APPROVAL_WEBHOOK_URL was told' }
+                }
+            }]
+        },
+        BatchResponse: {
+            allOf: [ref('SuccessResponse'), {
+                type: 'object',
+                properties: {
+                    data: {
+                        type: 'object',
+                        properties: {
+                            results: { type: 'array', items: ref('BatchResult') },
+                            succeeded: { type: 'integer' },
+                            failed: { type: 'integer' }
+                        }
+                    }
+                }
+            }]
+        },
+        BatchResult: {
+            type: 'object',
+            description: 'What POST / answered for the item (SuccessResponse or ErrorResponse), plus its HTTP status',
+            properties: {
+                service: { type: 'string' },
+                action: { type: 'string' },
+                status: { type: 'integer' },
+                success: { type: 'boolean' }
+            },
+            required: ['service', 'action', 'status', 'success'],
+            additionalProperties: true
+        },
+        WidgetResponse: {
+            type: 'object',
+            description: 'Widget result - shape depends on the route',
+            properties: { success: { type: 'boolean' } },
+            additionalProperties: true
+        }
+    };
+}
+
+/*
+ * One line per check the router makes before running service:action
+ */
+function describeChecks(service, action, cacheTtl = 0) {
+    const lines = [`Requires the ${getRequiredRole(service, action)} role.`];
+    if (isPaidAction(service, action)) lines.push('Costs money - send consent: true.');
+    if (isDestructiveAction(service, action)) {
+        lines.push(`${getDestructiveWarning(service, action)} - needs a confirmationToken.`);
+    }
+    if (isApprovalAction(service, action)) lines.push('Runs once another user with the role approves it.');
+    if (supportsDryRun(service, action)) lines.push('Send dryRun: true to preview it.');
+    if (cacheTtl > 0) lines.push(`Cached for ${cacheTtl}s unless fresh: true.`);
+    return lines.join(' ');
+}
+
+/*
+ * Request body schema of one POST / action
+ */
+function actionSchema(entry) {
+    const actionParams = clean(entry.params);
+    const properties = {
+        service: { const: entry.service },
+        action: { const: entry.action },
+        ...ROUTER_FIELDS
+    };
+    if (isPaidAction(entry.service, entry.action)) properties.consent = consent;
+    if (isDestructiveAction(entry.service, entry.action)) properties.confirmationToken = confirmationToken;
+    if (entry.cacheTtl > 0) properties.fresh = { type: 'boolean', description: 'Skip the response cache' };
+    if (entry.mutating) properties.idempotencyKey = idempotencyKey;
+    if (entry.dryRun) properties.dryRun = dryRun;
+    Object.assign(properties, actionParams.properties);
+
+    const schema = {
+        type: 'object',
+        title: entry.key,
+        description: `${entry.description}. ${describeChecks(entry.service, entry.action, entry.cacheTtl)}`,
+        properties,
+        required: ['service', 'action', ...(actionParams.required || [])],
+        'x-role': entry.role,
+        'x-paid': isPaidAction(entry.service, entry.action),
+        'x-destructive': isDestructiveAction(entry.service, entry.action),
+        'x-approval': isApprovalAction(entry.service, entry.action),
+        'x-mutating': entry.mutating,
+        'x-dry-run': entry.dryRun,
+        'x-cache-ttl': entry.cacheTtl
+    };
+    if (entry.permission) schema['x-permission'] = entry.permission;
+    return schema;
+}
+
+function routerPaths(actions) {
+    return {
+        '/': {
+            get: {
+                summary: 'Health check',
+                security: [],
+                responses: { 200: { description: 'Server status', content: json(ref('SuccessResponse')) } }
+            },
+            post: {
+                summary: 'Run a service:action',
+                description: 'Body is one of the action schemas. Checks run in order: signature, role, parameters, consent, confirmation, approval. ' +
+                    'dryRun: true answers a preview right after the parameter check.',
+                requestBody: {
+                    required: true,
+                    content: json({ oneOf: actions.map(entry => ref(`${entry.service}.${entry.action}`)) })
+                },
+                responses: {
+                    200: { description: 'Action result in data', content: json(ref('SuccessResponse')) },
+                    ...errorResponses({
+                        consent: actions.some(entry => isPaidAction(entry.service, entry.action)),
+                        confirmation: actions.some(entry => isDestructiveAction(entry.service, entry.action)),
+                        approval: actions.some(entry => isApprovalAction(entry.service, entry.action)),
+                        idempotent: actions.some(entry => entry.mutating)
+                    })
+                }
+            }
+        },
+        '/batch': {
+            post: {
+                summary: 'Run several service:actions',
+                description: 'Each item goes through the same checks as POST / and gets its own result, in order. ' +
+                    'Item params are the fields of the matching POST / schema without service and action.',
+                requestBody: { required: true, content: json(clean(BATCH_PARAMS)) },
+                responses: {
+                    200: { description: 'One result per item', content: json(ref('BatchResponse')) },
+                    400: { description: 'VALIDATION_ERROR', content: json(ref('ErrorResponse')) },
+                    401: { description: ROUTER_ERRORS[401].join(', '), content: json(ref('ErrorResponse')) },
+                    403: { description: 'USER_MISMATCH', content: json(ref('ErrorResponse')) }
+                }
+            }
+        },
+        '/openapi.json': {
+            get: {
+                summary: 'This document',
+                security: [],
+                responses: { 200: { description: 'OpenAPI document', content: json({ type: 'object' }) } }
+            }
+        }
+    };
+}
+
+/*
+ * Schema of one widget action: its WIDGET_PARAMS entry plus profile, and
+ * the consent and confirmation fields when they apply
+ */
+function widgetActionSchema(route, action, extra = {}) {
+    const actionParams = clean(WIDGET_PARAMS[`${route.service}:${action}`] || { properties: {}, required: [] });
+    const properties = { ...extra, ...actionParams.properties, profile: ROUTER_FIELDS.profile };
+    if (isPaidAction(route.service, action)) properties.consent = consent;
+    if (isDestructiveAction(route.service, action)) properties.confirmationToken = confirmationToken;
+    if (isMutatingAction(route.service, action)) properties.idempotencyKey = idempotencyKey;
+    if (supportsDryRun(route.service, action)) properties.dryRun = dryRun;
+
+    return {
+        type: 'object',
+        title: `${route.service}:${action}`,
+        description: describeChecks(route.service, action),
+        properties,
+        required: [...Object.keys(extra), ...(actionParams.required || [])]
+    };
+}
+
+/*
+ * Query parameters of a schema
+ */
+function queryParameters(schema) {
+    return Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        in: 'query',
+        required: (schema.required || []).includes(name),
+        schema: property
+    }));
+}
+
+function widgetOperation(route) {
+    const actions = route.actions || [];
+    const operation = { summary: route.summary, parameters: [], responses: {} };
+
+    if (actions.length > 0) {
+        operation['x-actions'] = actions.map(action => ({
+            action: `${route.service}:${action}`,
+            role: getRequiredRole(route.service, action),
+            paid: isPaidAction(route.service, action),
+            destructive: isDestructiveAction(route.service, action),
+            approval: isApprovalAction(route.service, action),
+            dryRun: supportsDryRun(route.service, action)
+        }));
+    }
+    if (route.actionIn === 'query') {
+        operation.parameters.push({ name: 'action', in: 'query', required: true, schema: { type: 'string', enum: actions } });
+    }
+
+    let schemas;
+    if (route.params) {
+        schemas = [clean(route.params)];
+    } else {
+        const extra = route.actionIn === 'body' ? action => ({ action: { const: action } }) : () => ({});
+        schemas = actions.map(action => widgetActionSchema(route, action, extra(action)));
+    }
+
+    if (route.input === 'query') {
+        if (schemas.length === 1) {
+            operation.parameters.push(...queryParameters(schemas[0]));
+        } else {
+            // Parameters of every action, none required - the action decides
+            const seen = new Set();
+            for (const schema of schemas) {
+                for (const parameter of queryParameters(schema)) {
+                    if (seen.has(parameter.name)) continue;
+                    seen.add(parameter.name);
+                    operation.parameters.push({ ...parameter, required: false });
+                }
+            }
+        }
+    } else {
+        const content = {};
+        const body = schemas.length === 1 ? schemas[0] : { oneOf: schemas };
+        if (route.input === 'json') content['application/json'] = { schema: body };
+        if (route.upload) {
+            const withFiles = schema => ({
+                ...schema,
+                properties: { ...schema.properties, ...route.upload },
+                required: [...(schema.required || []), ...(route.input === 'multipart' ? Object.keys(route.upload) : [])]
+            });
+            content['multipart/form-data'] = {
+                schema: schemas.length === 1 ? withFiles(schemas[0]) : { oneOf: schemas.map(withFiles) }
+            };
+        }
+        operation.requestBody = { required: true, content };
+    }
+    if (operation.parameters.length === 0) delete operation.parameters;
+
+    operation.responses = {
+        200: { description: 'Widget result', content: json(ref('WidgetResponse')) },
+        ...errorResponses({
+            consent: actions.some(action => isPaidAction(route.service, action)),
+            confirmation: actions.some(action => isDestructiveAction(route.service, action)),
+            approval: actions.some(action => isApprovalAction(route.service, action)),
+            idempotent: !route.params && actions.some(action => isMutatingAction(route.service, action))
+        })
+    };
+    return operation;
+}
+
+function widgetPaths() {
+    const paths = {};
+    for (const route of WIDGET_ROUTES) {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method] = widgetOperation(route);
+    }
+    return paths;
+}
+
+function buildDocument() {
+    const actions = listActions();
+    const schemas = componentSchemas();
+    for (const entry of actions) {
+        schemas[`${entry.service}.${entry.action}`] = actionSchema(entry);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'AWS Cloud Commander API',
+            version,
+            description: 'Router (POST /) and dashboard widget API of the AWS Cloud Commander Cliq extension. ' +
+                'Requests are signed by the extension with the X-Cliq-* headers, or come through the Catalyst OAuth connector.'
+        },
+        servers: [{ url: '.' }],
+        security: [{ cliqUserId: [], cliqTimestamp: [], cliqSignature: [] }],
+        paths: { ...routerPaths(actions), ...widgetPaths() },
+        components: {
+            securitySchemes: {
+                cliqUserId: { type: 'apiKey', in: 'header', name: 'X-Cliq-User-Id' },
+                cliqTimestamp: { type: 'apiKey', in: 'header', name: 'X-Cliq-Timestamp' },
+                cliqSignature: { type: 'apiKey', in: 'header', name: 'X-Cliq-Signature', description: 'Hex HMAC-SHA256 of "<userId>.<timestamp>"' }
+            },
+            schemas
+        }
+    };
+}
+
+let document = null;
+
+/**
+ * The OpenAPI 3.1 document, built on first use (the registry and widget
+ * routes don't change while the server runs)
+ */
+function buildOpenApiDocument() {
+    if (!document) document = buildDocument();
+    return document;
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
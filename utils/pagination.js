@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Cursor Pagination
+ * Opaque nextToken cursors over AWS's own paging tokens
+ *
+ * List actions return up to limit items and a nextToken; sending it back
+ * returns the items after them. The cursor wraps the native token of the
+ * AWS page it stopped in (NextToken, Marker, ContinuationToken...), how many
+ * items of that page were already returned and the AWS page size, so every
+ * request reads the same AWS pages in the same order - however large the
+ * account, each item is reachable and none comes twice.
+ *
+ * Cursors are bound to the action, region and filters they were made for.
+ * Reusing one elsewhere is rejected with INVALID_CURSOR (aws-errors.js), as
+ * is a native token AWS no longer accepts.
+ *
+ * Where AWS reports a total (Lambda and RDS account usage) it is read once
+ * on the first page and carried in the cursor, so every page of a listing
+ * reports the same totalItems.
+ *
+ * A page can come back shorter than limit when AWS returns empty pages or
+ * the request's time budget (aws-calls.js) runs out; nextToken then
+ * continues from where it stopped.
+ */
+
+const crypto = require('crypto');
+const { stableStringify } = require('./helpers');
+const { isBudgetExceeded } = require('./aws-calls');
+
+const CURSOR_VERSION = 1;
+
+// Upper bound on AWS calls for one page (filtered listings can return empty AWS pages)
+const MAX_CALLS_PER_PAGE = 10;
+
+/*
+ * Short hash of what a cursor belongs to: action, region and filters
+ */
+function fingerprint(scope) {
+    return crypto.createHash('sha256').update(stableStringify(scope)).digest('base64url').slice(0, 16);
+}
+
+function invalidCursorError(message) {
+    const error = new Error(message);
+    error.name = 'InvalidNextToken';
+    return error;
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...cursor })).toString('base64url');
+}
+
+/*
+ * Cursor fields from a nextToken, checked against the listing it is used for
+ */
+function decodeCursor(nextToken, scope) {
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(nextToken, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalidCursorError('nextToken is not valid - start again without it');
+    }
+
+    if (!cursor || cursor.v !== CURSOR_VERSION || typeof cursor.o !== 'number' || typeof cursor.n !== 'number') {
+        throw invalidCursorError('nextToken is not valid - start again without it');
+    }
+    if (cursor.s !== fingerprint(scope)) {
+        throw invalidCursorError('nextToken belongs to a different action, region or filter - start again without it');
+    }
+    return cursor;
+}
+
+/**
+ * AWS page size for a requested limit, within what the API accepts
+ *
+ * @param {number} limit - Items the caller asked for
+ * @param {Object} bounds - { min, max } page size of the AWS API
+ */
+function pageSizeFor(limit, { min = 1, max = 1000 } = {}) {
+    return Math.min(max, Math.max(min, limit));
+}
+
+/**
+ * One page of a listing, read from AWS page by page starting at the cursor
+ *
+ * @param {Object} options
+ *   scope: what the listing is - { action, region, ...filters } (binds the cursor)
+ *   nextToken: cursor from the previous page, or empty for the first page
+ *   limit: items to return
+ *   pageSize: AWS page size for a new listing (see pageSizeFor())
+ *   fetchPage: async (nativeToken, pageSize) => { items, nextToken } - one AWS call
+ *   countTotal: optional async () => total number of items, or null
+ * @returns {Object} { items, nextToken, totalItems }
+ */
+async function paginate({ scope, nextToken, limit, pageSize, fetchPage, countTotal }) {
+    const cursor = nextToken
+        ? decodeCursor(nextToken, scope)
+        : { t: null, o: 0, n: pageSize, c: null };
+
+    let totalItems = cursor.c;
+    if (!nextToken && countTotal) {
+        totalItems = await countTotal().catch(() => null);
+    }
+
+    const items = [];
+    let token = cursor.t;
+    let offset = cursor.o;
+    let next = null;
+
+    for (let calls = 0; ; calls++) {
+        if (calls === MAX_CALLS_PER_PAGE) {
+            // Stop here; the caller continues from this AWS page
+            next = { t: token, o: offset };
+            break;
+        }
+
+        let page;
+        try {
+            page = await fetchPage(token, cursor.n);
+        } catch (error) {
+            // Out of time with items in hand: a short page, continued from here
+            if (!isBudgetExceeded(error) || items.length === 0) throw error;
+            next = { t: token, o: offset };
+            break;
+        }
+
+        const remaining = page.items.slice(offset);
+        const wanted = limit - items.length;
+
+        if (remaining.length > wanted) {
+            items.push(...remaining.slice(0, wanted));
+            next = { t: token, o: offset + wanted };
+            break;
+        }
+
+        items.push(...remaining);
+        if (!page.nextToken) break;
+
+        token = page.nextToken;
+        offset = 0;
+        if (items.length === limit) {
+            next = { t: token, o: 0 };
+            break;
+        }
+    }
+
+    return {
+        items,
+        nextToken: next ? encodeCursor({ s: fingerprint(scope), t: next.t, o: next.o, n: cursor.n, c: totalItems }) : null,
+        totalItems
+    };
+}
+
+/**
+ * pagination object for a cursor page
+ */
+function cursorPagination(page, limit) {
+    return {
+        itemsPerPage: limit,
+        nextToken: page.nextToken,
+        hasNext: page.nextToken !== null,
+        totalItems: page.totalItems
+    };
+}
+
+/**
+ * Every item of a listing, following AWS's tokens to the end
+ *
+ * @param {Function} fetchPage - See paginate()
+ * @param {number} pageSize - AWS page size
+ */
+async function fetchAll(fetchPage, pageSize) {
+    const items = [];
+    let token = null;
+    do {
+        const page = await fetchPage(token, pageSize);
+        items.push(...page.items);
+        token = page.nextToken;
+    } while (token);
+    return items;
+}
+
+module.exports = {
+    pageSizeFor,
+    paginate,
+    cursorPagination,
+    fetchAll
+};
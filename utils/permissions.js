@@ -32,6 +32,7 @@ const {
     getSTSClient,
     config 
 } = require("./aws-clients");
+const { ERROR_TYPES, normalizeAWSError } = require("./aws-errors");
 
 /**
  * All permissions we need and their test methods
@@ -43,8 +44,8 @@ const PERMISSION_CHECKS = {
         description: "Basic AWS authentication",
         required: true,
         actions: ["sts:GetCallerIdentity"],
-        test: async (region) => {
-            const client = getSTSClient(region);
+        test: async (region, credentials) => {
+            const client = getSTSClient(region, credentials);
             const response = await client.send(new GetCallerIdentityCommand({}));
             return {
                 success: true,
@@ -63,8 +64,8 @@ const PERMISSION_CHECKS = {
         description: "List and describe EC2 instances",
         required: true,
         actions: ["ec2:DescribeInstances", "ec2:DescribeInstanceStatus"],
-        test: async (region) => {
-            const client = getEC2Client(region);
+        test: async (region, credentials) => {
+            const client = getEC2Client(region, credentials);
             await client.send(new DescribeInstancesCommand({ MaxResults: 5 }));
             return { success: true };
         }
@@ -74,7 +75,7 @@ const PERMISSION_CHECKS = {
         description: "Start, stop, reboot instances",
         required: false,
         actions: ["ec2:StartInstances", "ec2:StopInstances", "ec2:RebootInstances"],
-        test: async (region) => {
+        test: async (region, credentials) => {
             // We can't actually test write without affecting resources
             // So we check if read works and assume write policy is attached
             return { success: null, message: "Cannot test without affecting resources. Verify IAM policy manually." };
@@ -87,12 +88,21 @@ const PERMISSION_CHECKS = {
         description: "List buckets and objects",
         required: true,
         actions: ["s3:ListAllMyBuckets", "s3:ListBucket", "s3:GetObject"],
-        test: async (region) => {
-            const client = getS3Client(region);
+        test: async (region, credentials) => {
+            const client = getS3Client(region, credentials);
             await client.send(new ListBucketsCommand({}));
             return { success: true };
         }
     },
+    s3_write: {
+        name: "S3 Write",
+        description: "Upload and delete objects, create and delete buckets",
+        required: false,
+        actions: ["s3:PutObject", "s3:DeleteObject", "s3:CreateBucket", "s3:DeleteBucket"],
+        test: async (region, credentials) => {
+            return { success: null, message: "Cannot test without changing buckets. Verify IAM policy manually." };
+        }
+    },
 
     // Lambda
     lambda_read: {
@@ -100,8 +110,8 @@ const PERMISSION_CHECKS = {
         description: "List and describe Lambda functions",
         required: true,
         actions: ["lambda:ListFunctions", "lambda:GetFunction"],
-        test: async (region) => {
-            const client = getLambdaClient(region);
+        test: async (region, credentials) => {
+            const client = getLambdaClient(region, credentials);
             await client.send(new ListFunctionsCommand({ MaxItems: 5 }));
             return { success: true };
         }
@@ -111,7 +121,7 @@ const PERMISSION_CHECKS = {
         description: "Invoke Lambda functions",
         required: false,
         actions: ["lambda:InvokeFunction"],
-        test: async (region) => {
+        test: async (region, credentials) => {
             return { success: null, message: "Cannot test without invoking a function. Verify IAM policy manually." };
         }
     },
@@ -122,8 +132,8 @@ const PERMISSION_CHECKS = {
         description: "View alarms and metrics",
         required: true,
         actions: ["cloudwatch:DescribeAlarms", "cloudwatch:GetMetricStatistics", "cloudwatch:ListMetrics"],
-        test: async (region) => {
-            const client = getCloudWatchClient(region);
+        test: async (region, credentials) => {
+            const client = getCloudWatchClient(region, credentials);
             await client.send(new DescribeAlarmsCommand({ MaxRecords: 5 }));
             return { success: true };
         }
@@ -133,7 +143,7 @@ const PERMISSION_CHECKS = {
         description: "Create and delete alarms",
         required: false,
         actions: ["cloudwatch:PutMetricAlarm", "cloudwatch:DeleteAlarms"],
-        test: async (region) => {
+        test: async (region, credentials) => {
             return { success: null, message: "Cannot test without creating/deleting alarms. Verify IAM policy manually." };
         }
     },
@@ -144,8 +154,8 @@ const PERMISSION_CHECKS = {
         description: "View log groups and events",
         required: true,
         actions: ["logs:DescribeLogGroups", "logs:DescribeLogStreams", "logs:GetLogEvents", "logs:FilterLogEvents"],
-        test: async (region) => {
-            const client = getLogsClient(region);
+        test: async (region, credentials) => {
+            const client = getLogsClient(region, credentials);
             await client.send(new DescribeLogGroupsCommand({ limit: 5 }));
             return { success: true };
         }
@@ -158,7 +168,7 @@ const PERMISSION_CHECKS = {
         required: false,
         actions: ["ce:GetCostAndUsage", "ce:GetCostForecast"],
         costWarning: "⚠️ Testing this will cost $0.01",
-        test: async (region) => {
+        test: async (region, credentials) => {
             // Don't actually test - it costs money!
             return { 
                 success: null, 
@@ -174,8 +184,8 @@ const PERMISSION_CHECKS = {
         description: "List and describe databases",
         required: false,
         actions: ["rds:DescribeDBInstances", "rds:DescribeDBClusters"],
-        test: async (region) => {
-            const client = getRDSClient(region);
+        test: async (region, credentials) => {
+            const client = getRDSClient(region, credentials);
             await client.send(new DescribeDBInstancesCommand({ MaxRecords: 20 }));
             return { success: true };
         }
@@ -185,7 +195,7 @@ const PERMISSION_CHECKS = {
         description: "Start, stop, reboot databases",
         required: false,
         actions: ["rds:StartDBInstance", "rds:StopDBInstance", "rds:RebootDBInstance"],
-        test: async (region) => {
+        test: async (region, credentials) => {
             return { success: null, message: "Cannot test without affecting databases. Verify IAM policy manually." };
         }
     },
@@ -196,8 +206,8 @@ const PERMISSION_CHECKS = {
         description: "List topics and subscriptions",
         required: false,
         actions: ["sns:ListTopics", "sns:ListSubscriptions", "sns:GetTopicAttributes"],
-        test: async (region) => {
-            const client = getSNSClient(region);
+        test: async (region, credentials) => {
+            const client = getSNSClient(region, credentials);
             await client.send(new ListTopicsCommand({}));
             return { success: true };
         }
@@ -207,7 +217,7 @@ const PERMISSION_CHECKS = {
         description: "Publish messages, manage topics",
         required: false,
         actions: ["sns:Publish", "sns:CreateTopic", "sns:DeleteTopic", "sns:Subscribe"],
-        test: async (region) => {
+        test: async (region, credentials) => {
             return { success: null, message: "Cannot test without sending messages. Verify IAM policy manually." };
         }
     },
@@ -218,8 +228,8 @@ const PERMISSION_CHECKS = {
         description: "List users, roles, and policies",
         required: false,
         actions: ["iam:ListUsers", "iam:ListRoles", "iam:GetUser", "iam:GetAccountSummary"],
-        test: async (region) => {
-            const client = getIAMClient();
+        test: async (region, credentials) => {
+            const client = getIAMClient(credentials);
             await client.send(new ListUsersCommand({ MaxItems: 5 }));
             return { success: true };
         }
@@ -233,7 +243,7 @@ const PERMISSION_CHECKS = {
         actions: ["bedrock:InvokeModel", "bedrock:InvokeModelWithResponseStream"],
         marketplaceActions: ["aws-marketplace:ViewSubscriptions", "aws-marketplace:Subscribe"],
         costWarning: "⚠️ Testing this will cost ~$0.01",
-        test: async (region) => {
+        test: async (region, credentials) => {
             // Don't actually test - it costs money and might fail for other reasons
             return { 
                 success: null, 
@@ -251,8 +261,9 @@ const PERMISSION_CHECKS = {
 
 /**
  * Run all permission checks
+ * Uses the calling user's credentials
  */
-async function checkAllPermissions(region) {
+async function checkAllPermissions(region, credentials) {
     const results = {
         timestamp: new Date().toISOString(),
         region: region || config.awsRegion,
@@ -270,7 +281,7 @@ async function checkAllPermissions(region) {
 
     // First, check identity
     try {
-        const identityResult = await PERMISSION_CHECKS.sts.test(region);
+        const identityResult = await PERMISSION_CHECKS.sts.test(region, credentials);
         results.identity = identityResult.details;
     } catch (error) {
         results.identity = { error: "Failed to get AWS identity. Check your credentials." };
@@ -278,7 +289,7 @@ async function checkAllPermissions(region) {
         results.recommendations.push({
             severity: "CRITICAL",
             message: "AWS credentials are invalid or not configured",
-            fix: "Check AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables"
+            fix: "Check your stored keys with { \"service\": \"user_credentials\", \"action\": \"test\" }"
         });
         return results;
     }
@@ -300,7 +311,7 @@ async function checkAllPermissions(region) {
         };
 
         try {
-            const testResult = await check.test(region);
+            const testResult = await check.test(region, credentials);
             
             if (testResult.success === true) {
                 permResult.status = 'granted';
@@ -359,7 +370,7 @@ async function checkAllPermissions(region) {
 /**
  * Check a specific permission
  */
-async function checkPermission(permissionKey, region) {
+async function checkPermission(permissionKey, region, credentials) {
     const check = PERMISSION_CHECKS[permissionKey];
     
     if (!check) {
@@ -371,7 +382,7 @@ async function checkPermission(permissionKey, region) {
     }
 
     try {
-        const result = await check.test(region);
+        const result = await check.test(region, credentials);
         return {
             success: result.success,
             permission: permissionKey,
@@ -397,7 +408,7 @@ async function checkPermission(permissionKey, region) {
 /**
  * Validate Bedrock specifically (more detailed check)
  */
-async function validateBedrock(skipInvoke = true) {
+async function validateBedrock(skipInvoke = true, credentials) {
     const results = {
         timestamp: new Date().toISOString(),
         bedrockRegion: config.bedrockRegion,
@@ -431,7 +442,7 @@ async function validateBedrock(skipInvoke = true) {
         };
 
         try {
-            const client = getBedrockClient();
+            const client = getBedrockClient(credentials);
             const response = await client.send(new InvokeModelCommand({
                 modelId: config.bedrockModelId,
                 contentType: "application/json",
@@ -686,11 +697,18 @@ function getRequiredPolicy(options = {}) {
 
 /**
  * Parse AWS error into user-friendly format
+ *
+ * code stays the AWS error name; errorCode, hint and missingAction come
+ * from the shared mapping (aws-errors.js)
  */
 function parseAWSError(error) {
+    const normalized = normalizeAWSError(error);
     const result = {
         code: error.name || error.Code || "UnknownError",
         message: error.message || "An unknown error occurred",
+        errorCode: normalized.code,
+        hint: normalized.hint,
+        missingAction: normalized.missingAction,
         service: null,
         action: null
     };
@@ -700,20 +718,9 @@ function parseAWSError(error) {
         result.requestId = error.$metadata.requestId;
     }
 
-    // Common error translations
-    const errorMessages = {
-        "AccessDeniedException": "You don't have permission to perform this action",
-        "UnauthorizedAccess": "Your credentials don't have access to this resource",
-        "ExpiredTokenException": "Your AWS credentials have expired",
-        "InvalidClientTokenId": "The AWS Access Key ID is invalid",
-        "SignatureDoesNotMatch": "The AWS Secret Access Key is invalid",
-        "ResourceNotFoundException": "The requested resource was not found",
-        "ThrottlingException": "Too many requests - please slow down",
-        "ServiceUnavailableException": "AWS service is temporarily unavailable"
-    };
-
-    if (errorMessages[result.code]) {
-        result.friendlyMessage = errorMessages[result.code];
+    const type = ERROR_TYPES[normalized.code];
+    if (type) {
+        result.friendlyMessage = type.message;
     }
 
     return result;
@@ -721,14 +728,18 @@ function parseAWSError(error) {
 
 /**
  * Get list of all available permission checks
+ *
+ * @param {Array} actions - Action metadata from the registry (actions/index.js
+ *                          listActions()); fills in which actions need each check
  */
-function getAvailableChecks() {
+function getAvailableChecks(actions = []) {
     return Object.entries(PERMISSION_CHECKS).map(([key, check]) => ({
         key: key,
         name: check.name,
         description: check.description,
         required: check.required,
         actions: check.actions,
+        usedBy: actions.filter(action => action.permission === key).map(action => action.key),
         costWarning: check.costWarning || null
     }));
 }
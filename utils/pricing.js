@@ -96,32 +96,13 @@ const PAID_ACTIONS = {
     'sns:publishDirect': { ...PRICING.sns, estimatedCost: 'SMS rate varies by country' }
 };
 
-// Actions that are essentially free (within free tier or negligible)
-const FREE_ACTIONS = [
-    'ec2:list', 'ec2:get', 'ec2:start', 'ec2:stop', 'ec2:reboot', 'ec2:status',
-    'ec2:summary', 'ec2:securityGroups', 'ec2:vpcs', 'ec2:subnets',
-    's3:listBuckets', 's3:getBucket', 's3:listObjects', 's3:getObject',
-    's3:getPresignedUrl', 's3:deleteObject', 's3:search', 's3:summary',
-    'lambda:list', 'lambda:get', 'lambda:summary', 'lambda:eventSources',
-    'cloudwatch:listAlarms', 'cloudwatch:getActiveAlarms', 'cloudwatch:getAlarm',
-    'cloudwatch:getAlarmHistory', 'cloudwatch:listMetrics', 'cloudwatch:summary',
-    'cloudwatch:createAlarm', 'cloudwatch:deleteAlarm', 'cloudwatch:setAlarmState',
-    'logs:listGroups', 'logs:listStreams', 'logs:getEvents', 'logs:filter',
-    'logs:recent', 'logs:errors', 'logs:lambdaLogs', 'logs:ec2Logs', 'logs:summary',
-    'rds:list', 'rds:get', 'rds:start', 'rds:stop', 'rds:reboot',
-    'rds:clusters', 'rds:snapshots', 'rds:summary',
-    'sns:listTopics', 'sns:getTopic', 'sns:listSubscriptions',
-    'sns:topicSubscriptions', 'sns:createTopic', 'sns:deleteTopic',
-    'sns:subscribe', 'sns:unsubscribe', 'sns:summary',
-    'iam:listUsers', 'iam:getUser', 'iam:listRoles', 'iam:getRole',
-    'iam:listPolicies', 'iam:accountSummary', 'iam:securityStatus', 'iam:summary',
-    'health', 'dashboard:overview'
-];
-
 /**
  * Check if an action costs money
  */
 function isPaidAction(service, action) {
+    // Required here rather than at the top: actions/pricing.js requires this module
+    const entry = require('../actions').getAction(service, action);
+    if (entry && entry.paid) return true;
     const key = `${service}:${action}`;
     return PAID_ACTIONS.hasOwnProperty(key);
 }
@@ -161,8 +142,11 @@ function formatCostWarning(service, action) {
 
 /**
  * Get all pricing information
+ *
+ * @param {Array} actions - Action metadata from the registry (actions/index.js
+ *                          listActions()); every action not flagged paid is free
  */
-function getAllPricing() {
+function getAllPricing(actions = []) {
     return {
         paidActions: Object.entries(PAID_ACTIONS).map(([key, info]) => ({
             action: key,
@@ -170,7 +154,7 @@ function getAllPricing() {
             estimatedCost: info.estimatedCost,
             warning: info.warning
         })),
-        freeActions: FREE_ACTIONS,
+        freeActions: actions.filter(action => !action.paid).map(action => action.key),
         summary: {
             costExplorer: '$0.01 per API call',
             bedrock: '$0.01-0.15 per query',
@@ -228,7 +212,6 @@ function estimateMonthlyCost(usage) {
 module.exports = {
     PRICING,
     PAID_ACTIONS,
-    FREE_ACTIONS,
     isPaidAction,
     getPricingInfo,
     getCostWarning,
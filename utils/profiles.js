@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Account Profiles
+ * Named AWS account profiles per user ("prod", "staging", "sandbox", ...)
+ *
+ * Each row in user_credentials is one profile, identified by user_id +
+ * profile_name. Rows without a profile_name are the user's "default" profile,
+ * so records created before profiles existed keep working unchanged.
+ *
+ * A profile is either:
+ * - A key pair: access_key_id + secret_access_key (+ optional session_token)
+ * - A role: role_arn + optional external_id. The role is assumed with the
+ *   profile's own keys if it has any, otherwise the user's default key pair
+ *   profile. With neither it is refused (SETUP_REQUIRED) - never assumed with
+ *   the server's environment credentials.
+ */
+
+const { AssumeRoleCommand } = require('@aws-sdk/client-sts');
+const { getSTSClient, toAwsCredentials, config } = require('./aws-clients');
+
+const DEFAULT_PROFILE = 'default';
+
+// Profile names end up in chat commands - keep them short and simple
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::\d{12}:role\/[\w+=,.@\/-]{1,512}$/;
+
+// Assumed-role sessions last an hour; refresh 5 minutes before they expire
+const ROLE_SESSION_SECONDS = 3600;
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Temporary credentials keyed by user + profile + role, kept until expiry
+const assumedRoleCache = new Map();
+
+/**
+ * Profile name of a user_credentials row (missing = default)
+ */
+function getProfileName(row) {
+    return (row && row.profile_name) || DEFAULT_PROFILE;
+}
+
+/**
+ * Check a profile name sent by a caller
+ */
+function isValidProfileName(name) {
+    return PROFILE_NAME_PATTERN.test(name || '');
+}
+
+/**
+ * Check a role ARN before storing it
+ */
+function isValidRoleArn(arn) {
+    return ROLE_ARN_PATTERN.test(arn || '');
+}
+
+/**
+ * Whether a profile row is a role (assumed via STS) rather than a key pair
+ */
+function isRoleProfile(row) {
+    return !!(row && row.role_arn);
+}
+
+/**
+ * Find one user's profile among user_credentials rows
+ */
+function findProfile(rows, userId, profileName) {
+    const wanted = profileName || DEFAULT_PROFILE;
+    return rows.find(row => row.user_id === userId && getProfileName(row) === wanted) || null;
+}
+
+/**
+ * List a user's profiles without any secrets
+ */
+function listProfiles(rows, userId) {
+    return rows
+        .filter(row => row.user_id === userId)
+        .map(row => ({
+            profile: getProfileName(row),
+            type: isRoleProfile(row) ? 'role' : 'keys',
+            roleArn: row.role_arn || null,
+            region: row.region || config.awsRegion,
+            updated_at: row.updated_at
+        }))
+        .sort((a, b) => a.profile.localeCompare(b.profile));
+}
+
+/**
+ * Drop cached role credentials for a user's profile (after update/delete)
+ */
+function clearAssumedRole(userId, profileName) {
+    const prefix = `${userId}|${profileName || DEFAULT_PROFILE}|`;
+    for (const key of assumedRoleCache.keys()) {
+        if (key.startsWith(prefix)) {
+            assumedRoleCache.delete(key);
+        }
+    }
+}
+
+/**
+ * Assume a role profile's IAM role and return temporary credentials as a
+ * user_credentials-shaped record. Cached until shortly before expiry.
+ *
+ * @param {Object} row - The role profile row
+ * @param {Object} sourceRow - Row whose keys call AssumeRole
+ * @returns {Object} { access_key_id, secret_access_key, session_token, expiration }
+ */
+async function assumeProfileRole(row, sourceRow) {
+    const profileName = getProfileName(row);
+    const cacheKey = `${row.user_id}|${profileName}|${row.role_arn}|${row.external_id || ''}`;
+
+    const cached = assumedRoleCache.get(cacheKey);
+    if (cached && cached.expiration - EXPIRY_MARGIN_MS > Date.now()) {
+        return cached.record;
+    }
+
+    const stsClient = getSTSClient(row.region || config.awsRegion, toAwsCredentials(sourceRow));
+
+    // Session names only allow [\w+=,.@-] and 64 characters
+    const sessionName = `cloud-commander-${row.user_id}-${profileName}`
+        .replace(/[^\w+=,.@-]/g, '-')
+        .substring(0, 64);
+
+    const response = await stsClient.send(new AssumeRoleCommand({
+        RoleArn: row.role_arn,
+        RoleSessionName: sessionName,
+        DurationSeconds: ROLE_SESSION_SECONDS,
+        ...(row.external_id && { ExternalId: row.external_id })
+    }));
+
+    const expiration = new Date(response.Credentials.Expiration).getTime();
+    const record = {
+        access_key_id: response.Credentials.AccessKeyId,
+        secret_access_key: response.Credentials.SecretAccessKey,
+        session_token: response.Credentials.SessionToken,
+        expiration: new Date(expiration).toISOString()
+    };
+
+    assumedRoleCache.set(cacheKey, { record, expiration });
+    return record;
+}
+
+/**
+ * Resolve a user's profile into usable credentials.
+ * Key pair profiles are returned as stored; role profiles are assumed first.
+ * Throws RoleSourceKeysMissing (SETUP_REQUIRED) for a role profile with no
+ * keys to assume it with.
+ *
+ * @param {Array} rows - user_credentials rows
+ * @param {string} userId - Cliq user ID
+ * @param {string} profileName - Profile to use (default: "default")
+ * @returns {Object|null} { access_key_id, secret_access_key, region, session_token, profile } or null
+ */
+async function resolveProfile(rows, userId, profileName) {
+    const row = findProfile(rows, userId, profileName);
+    if (!row) return null;
+
+    let keys = row;
+
+    if (isRoleProfile(row)) {
+        const ownKeys = row.access_key_id && row.secret_access_key;
+        const defaultRow = findProfile(rows, userId, DEFAULT_PROFILE);
+        const sourceRow = ownKeys
+            ? row
+            : (defaultRow && !isRoleProfile(defaultRow) ? defaultRow : null);
+
+        if (!sourceRow) {
+            const error = new Error(`Profile "${getProfileName(row)}" is a role with no keys to assume it with. ` +
+                'Save access keys with it, or a default profile with access keys, first.');
+            error.name = 'RoleSourceKeysMissing';
+            throw error;
+        }
+
+        keys = await assumeProfileRole(row, sourceRow);
+    }
+
+    return {
+        access_key_id: keys.access_key_id,
+        secret_access_key: keys.secret_access_key,
+        region: row.region || config.awsRegion,
+        session_token: keys.session_token || '',
+        profile: getProfileName(row)
+    };
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILE_NAME_PATTERN,
+    getProfileName,
+    isValidProfileName,
+    isValidRoleArn,
+    isRoleProfile,
+    findProfile,
+    listProfiles,
+    clearAssumedRole,
+    resolveProfile
+};
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * Response Cache
+ * Short-lived results of list and summary calls, per user, profile and region
+ *
+ * Actions opt in with cacheTtl (seconds) in the action registry. Numbered
+ * pages (page + limit) are cached as the full list and sliced per request, so
+ * clicking through pages (or the dashboard asking for everything) only hits
+ * AWS once per TTL. Cursor pages (nextToken, see pagination.js) are cached one
+ * page at a time. The dashboard data route reads the same entries as the router.
+ *
+ * Every cached entry belongs to one or more resource types (the action's
+ * resources, default: its service). A successful mutating action drops the
+ * caller's entries for the resource types it touches, in every region.
+ * Requests can skip the cache with fresh: true.
+ *
+ * The cache lives in the function instance's memory, so an instance that
+ * didn't see a change can serve data up to one TTL old - responses say how
+ * old (cache.ageSeconds).
+ */
+
+const { DEFAULT_PROFILE } = require('./profiles');
+const { stableStringify } = require('./helpers');
+const { getRequestParams, isMutatingAction } = require('./audit');
+const { isDryRun } = require('./dry-run');
+const { getAction } = require('../actions');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache');
+
+// Enough for a few dozen users' dashboards; oldest entries go first
+const MAX_ENTRIES = 500;
+
+// Limit paged actions are fetched with when filling the cache
+const FULL_LIST_LIMIT = 10000;
+
+// Default page size of the router's list actions (see paging in actions/schemas.js)
+const DEFAULT_PAGE_LIMIT = 5;
+
+// Dashboard-only fetches that aren't router actions
+const WIDGET_CACHE_TTLS = {
+    'cloudwatch:lambdaInvocations': 300
+};
+
+// key -> { value, storedAt, expiresAt, userId, profile, resources }
+const entries = new Map();
+
+function cacheKey(scope, name, params) {
+    return [scope.userId, scope.profile || DEFAULT_PROFILE, scope.region, name, stableStringify(params || {})].join('|');
+}
+
+/**
+ * TTL (seconds) and resource types for service:action, or null if it isn't cached
+ */
+function getCachePolicy(service, action) {
+    const entry = getAction(service, action);
+    if (entry && entry.action === action && entry.cacheTtl > 0) {
+        return { ttl: entry.cacheTtl, resources: entry.resources };
+    }
+    const ttl = WIDGET_CACHE_TTLS[`${service}:${action}`];
+    return ttl ? { ttl, resources: [service] } : null;
+}
+
+/**
+ * Cache details for a response
+ */
+function describe(entry, hit) {
+    return {
+        hit,
+        cachedAt: new Date(entry.storedAt).toISOString(),
+        ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+        ttlSeconds: Math.round((entry.expiresAt - entry.storedAt) / 1000)
+    };
+}
+
+function store(key, entry) {
+    if (entries.size >= MAX_ENTRIES) {
+        const now = Date.now();
+        for (const [existingKey, existing] of entries) {
+            if (existing.expiresAt <= now) entries.delete(existingKey);
+        }
+        while (entries.size >= MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+}
+
+/**
+ * Result of fetch(), from the cache while it's younger than the TTL
+ *
+ * Failed fetches, { success: false } results and partial results
+ * ({ degraded: true }, see aws-calls.js) aren't cached.
+ *
+ * @param {Object} scope - { userId, profile, region }
+ * @param {string} name - service:action the result belongs to
+ * @param {Object} params - Parameters that change the result
+ * @param {Object} policy - { ttl, resources, fresh } - fresh skips the cache
+ * @param {Function} fetch - Loads the result
+ * @returns {Object} { value, cache: { hit, cachedAt, ageSeconds, ttlSeconds } }
+ */
+async function cached(scope, name, params, policy, fetch) {
+    const key = cacheKey(scope, name, params);
+
+    const existing = entries.get(key);
+    if (!policy.fresh && existing && existing.expiresAt > Date.now()) {
+        return { value: existing.value, cache: describe(existing, true) };
+    }
+
+    const value = await fetch();
+    const storedAt = Date.now();
+    const entry = {
+        value,
+        storedAt,
+        expiresAt: storedAt + policy.ttl * 1000,
+        userId: String(scope.userId),
+        profile: scope.profile || DEFAULT_PROFILE,
+        resources: policy.resources || [name.split(':')[0]]
+    };
+
+    if (!(value && (value.success === false || value.degraded === true))) {
+        store(key, entry);
+    }
+    return { value, cache: describe(entry, false) };
+}
+
+/*
+ * One page of a full-list result ({ <items>: [...], pagination }), in the
+ * same shape the services return
+ */
+function pageOf(result, page, limit) {
+    if (!result || !result.pagination) return result;
+
+    const itemsKey = Object.keys(result).find(name => Array.isArray(result[name]));
+    if (!itemsKey) return result;
+
+    const items = result[itemsKey];
+    const itemsPerPage = parseInt(limit, 10) || DEFAULT_PAGE_LIMIT;
+    const currentPage = parseInt(page, 10) || 1;
+    const totalItems = items.length;
+    const totalPages = Math.ceil(totalItems / itemsPerPage);
+    const startIndex = (currentPage - 1) * itemsPerPage;
+
+    return {
+        ...result,
+        [itemsKey]: items.slice(startIndex, startIndex + itemsPerPage),
+        pagination: {
+            ...result.pagination,
+            currentPage,
+            totalPages,
+            totalItems,
+            itemsPerPage,
+            hasNext: currentPage < totalPages,
+            hasPrev: currentPage > 1
+        }
+    };
+}
+
+/**
+ * Cache parameters of a whole listing (numbered pages are sliced from it),
+ * so it never shares an entry with the cursor page of the same parameters
+ */
+function fullListParams(params) {
+    return { ...params, page: 'all' };
+}
+
+/**
+ * Run a registry action through the cache (entry.cacheTtl must be set)
+ *
+ * Numbered pages of paged actions (page and limit parameters) are fetched
+ * once with every item and sliced to the requested page. Requests without
+ * page get a cursor page, cached under its nextToken and limit.
+ *
+ * @param {Object} entry - Action from the registry (getAction())
+ * @param {Object} ctx - Handler context (see actions/index.js)
+ * @param {boolean} fresh - Skip the cache
+ * @returns {Object} { result, cache }
+ */
+async function runCached(entry, ctx, fresh = false) {
+    const scope = { userId: ctx.userId, profile: ctx.profile, region: ctx.region };
+    const policy = { ttl: entry.cacheTtl, resources: entry.resources, fresh };
+
+    const properties = entry.params.properties || {};
+    if (!properties.page || !properties.limit || ctx.params.page === undefined) {
+        const { value, cache } = await cached(scope, entry.key, ctx.params, policy, () => entry.handler(ctx));
+        return { result: value, cache };
+    }
+
+    const { page, limit, nextToken, ...params } = ctx.params;
+    const { value, cache } = await cached(scope, entry.key, fullListParams(params), policy, () =>
+        entry.handler({ ...ctx, params: { ...params, page: 1, limit: FULL_LIST_LIMIT } })
+    );
+    return { result: pageOf(value, page, limit), cache };
+}
+
+/**
+ * Drop a user's cached entries for some resource types (every region)
+ *
+ * @returns {number} How many entries were dropped
+ */
+function invalidate(userId, profile, resources) {
+    const profileName = profile || DEFAULT_PROFILE;
+    let dropped = 0;
+    for (const [key, entry] of entries) {
+        if (entry.userId === String(userId) && entry.profile === profileName &&
+            entry.resources.some(resource => resources.includes(resource))) {
+            entries.delete(key);
+            dropped++;
+        }
+    }
+    return dropped;
+}
+
+/**
+ * Resource types a mutating service:action changes
+ */
+function getMutatedResources(service, action) {
+    const entry = getAction(service, action);
+    return entry && entry.action === action ? entry.resources : [service];
+}
+
+/**
+ * Express middleware factory - after a mutating action succeeds, drops the
+ * caller's cached entries for the resource types it changed, before the
+ * response goes out. service and action can be strings or functions of the
+ * request. Non-mutating actions and dry runs pass straight through.
+ */
+function invalidateCache(service, action) {
+    return (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        if (!isMutatingAction(serviceName, actionName) || isDryRun(req)) return next();
+
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            res.json = sendJson;
+
+            const attempted = !(body && (body.requiresConsent || body.requiresConfirmation || body.requiresApproval));
+            if (attempted && res.statusCode < 400) {
+                const params = getRequestParams(req);
+                const dropped = invalidate(req.caller.userId, params.profile, getMutatedResources(serviceName, actionName));
+                if (dropped > 0) {
+                    log.info('Cached entries dropped', { service: serviceName, action: actionName, dropped });
+                }
+            }
+            return sendJson(body);
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    getCachePolicy,
+    cached,
+    fullListParams,
+    runCached,
+    pageOf,
+    invalidate,
+    invalidateCache
+};
@@ -0,0 +1,337 @@
+'use strict';
+
+/**
+ * Security Group Rule History
+ * Every rule added or removed, with the group's rules before and after, so
+ * a change can be undone
+ *
+ * addInboundRule, addOutboundRule, removeInboundRule and removeOutboundRule
+ * run through runRuleChange() - on the widget routes and, for removals, once
+ * approved (utils/approvals.js). It records the change and answers with its
+ * changeId. undoRuleChange() applies the inverse: it removes an added rule,
+ * or adds a removed one back with its description, using the caller's
+ * stored credentials for the profile and region the change was made in.
+ * The undo is recorded as a change of its own (source: undo), so it can be
+ * undone too.
+ *
+ * Before undoing, the group's current rules in that direction are compared
+ * with the ones recorded after the change. If the group changed since (in
+ * the console, by another user, by a later change here) the undo is refused
+ * with GROUP_CHANGED and the differences, unless force: true is sent.
+ *
+ * Stored in the Catalyst Data Store table `security_group_changes`:
+ * user_id, group_id, direction (inbound | outbound), operation (add |
+ * remove), rule (JSON), rules_before (JSON), rules_after (JSON),
+ * profile_name, region, source (widget | approval | undo), undo_of,
+ * undone_by, created_at
+ */
+
+const ec2Service = require('../services/ec2');
+const { toAwsCredentials, resolveRegion } = require('./aws-clients');
+const { getUserCredentials } = require('./credentials');
+const { DEFAULT_PROFILE } = require('./profiles');
+const { createLogger } = require('./logger');
+
+const log = createLogger('rule-history');
+
+const TABLE_NAME = 'security_group_changes';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// The rule actions, what they change and the service function doing it
+const RULE_ACTIONS = {
+    addInboundRule: { direction: 'inbound', operation: 'add', run: ec2Service.addInboundRule },
+    addOutboundRule: { direction: 'outbound', operation: 'add', run: ec2Service.addOutboundRule },
+    removeInboundRule: { direction: 'inbound', operation: 'remove', run: ec2Service.removeInboundRule },
+    removeOutboundRule: { direction: 'outbound', operation: 'remove', run: ec2Service.removeOutboundRule }
+};
+
+// Changes being undone in this instance, so a double click undoes once
+const undoing = new Set();
+
+/**
+ * Whether an EC2 action is a security group rule change
+ */
+function isRuleAction(action) {
+    return RULE_ACTIONS.hasOwnProperty(action);
+}
+
+/*
+ * The action that reverses a change
+ */
+function inverseAction(change) {
+    const operation = change.operation === 'add' ? 'remove' : 'add';
+    return Object.keys(RULE_ACTIONS).find(action =>
+        RULE_ACTIONS[action].direction === change.direction && RULE_ACTIONS[action].operation === operation);
+}
+
+/*
+ * What identifies a rule - protocol, ports and source. Descriptions don't;
+ * ports mean nothing for all traffic, and -1 is sent for "no port".
+ */
+function ruleKey(rule) {
+    const protocol = String(rule.protocol);
+    const port = value => (protocol === '-1' || value === undefined || value === null || Number(value) === -1 ? '' : Number(value));
+    return [protocol, port(rule.fromPort), port(rule.toPort), rule.cidr || rule.sourceGroupId || ''].join('|');
+}
+
+/**
+ * Rules in current that are not in expected (added) and the other way round
+ * (removed)
+ */
+function diffRules(expected, current) {
+    const expectedKeys = new Set(expected.map(ruleKey));
+    const currentKeys = new Set(current.map(ruleKey));
+    return {
+        added: current.filter(rule => !expectedKeys.has(ruleKey(rule))),
+        removed: expected.filter(rule => !currentKeys.has(ruleKey(rule)))
+    };
+}
+
+function parseJson(text, fallback) {
+    try {
+        return text ? JSON.parse(text) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Stored row in API form
+ */
+function formatChange(row) {
+    return {
+        id: row.ROWID,
+        groupId: row.group_id,
+        direction: row.direction,
+        operation: row.operation,
+        rule: parseJson(row.rule, {}),
+        before: parseJson(row.rules_before, []),
+        after: parseJson(row.rules_after, []),
+        userId: row.user_id,
+        profile: row.profile_name || DEFAULT_PROFILE,
+        region: row.region || null,
+        source: row.source,
+        undoOf: row.undo_of || null,
+        undoneBy: row.undone_by || null,
+        createdAt: Number(row.created_at) > 0 ? new Date(Number(row.created_at)).toISOString() : null
+    };
+}
+
+/**
+ * Store a rule change
+ *
+ * @param {Object} change - { userId, action, groupId, rule, before, after,
+ *                          profile, region, source, undoOf }
+ */
+async function recordRuleChange(catalystInstance, change) {
+    const { direction, operation } = RULE_ACTIONS[change.action];
+    const row = await catalystInstance.datastore().table(TABLE_NAME).insertRow({
+        user_id: String(change.userId),
+        group_id: change.groupId,
+        direction,
+        operation,
+        rule: JSON.stringify(change.rule),
+        rules_before: JSON.stringify(change.before),
+        rules_after: JSON.stringify(change.after),
+        profile_name: change.profile || DEFAULT_PROFILE,
+        region: change.region || '',
+        source: change.source,
+        undo_of: change.undoOf || '',
+        undone_by: '',
+        created_at: Date.now()
+    });
+    return formatChange(row);
+}
+
+/**
+ * One change, or null
+ */
+async function getRuleChange(catalystInstance, changeId) {
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME} WHERE ROWID = '${changeId}'`
+    );
+    return results.length > 0 ? formatChange(results[0][TABLE_NAME]) : null;
+}
+
+/**
+ * Newest changes first, optionally filtered
+ *
+ * @param {Object} filters - { groupId, userId, limit }
+ */
+async function listRuleChanges(catalystInstance, filters = {}) {
+    const conditions = [];
+    if (filters.groupId) conditions.push(`group_id = '${filters.groupId}'`);
+    if (filters.userId) conditions.push(`user_id = '${filters.userId}'`);
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME}${where} ORDER BY created_at DESC LIMIT ${limit}`
+    );
+    return results.map(result => formatChange(result[TABLE_NAME]));
+}
+
+/*
+ * Runs a rule action and records it. A change that ran but could not be
+ * recorded is still returned, with change null.
+ */
+async function applyAndRecord(ctx, action, source, undoOf = null) {
+    const { groupId, rule } = ctx.params;
+    const result = await RULE_ACTIONS[action].run(groupId, rule, ctx.region, ctx.credentials);
+
+    let change = null;
+    try {
+        change = await recordRuleChange(ctx.catalystInstance, {
+            userId: ctx.userId,
+            action,
+            groupId,
+            rule,
+            before: result.before,
+            after: result.after,
+            profile: ctx.profile,
+            region: ctx.region,
+            source,
+            undoOf
+        });
+    } catch (error) {
+        log.error('Could not record rule change', { groupId, action, error });
+    }
+    return { result, change };
+}
+
+/**
+ * Run addInboundRule, addOutboundRule, removeInboundRule or
+ * removeOutboundRule and record it. Dry runs (utils/dry-run.js) are only
+ * passed through.
+ *
+ * @param {Object} ctx - { params: { groupId, rule }, region, credentials,
+ *                       userId, profile, catalystInstance, dryRun }
+ * @param {string} action - Rule action name
+ * @param {string} source - widget or approval
+ * @returns {Object} The service result plus changeId (null if it could not be recorded)
+ */
+async function runRuleChange(ctx, action, source) {
+    if (ctx.dryRun) {
+        return RULE_ACTIONS[action].run(ctx.params.groupId, ctx.params.rule, ctx.region, ctx.credentials, true);
+    }
+
+    const { result, change } = await applyAndRecord(ctx, action, source);
+    return { ...result, changeId: change ? change.id : null };
+}
+
+/**
+ * Reapply the inverse of a recorded change as userId. The caller has
+ * already checked the change exists and may be undone by them. A dry run
+ * makes the same checks and answers with the inverse action's preview.
+ *
+ * @param {Object} options - { userId, force, dryRun }
+ * @returns {Object} Action result: { success: true, undone, change, ... } or
+ *                   { success: false, error, code }
+ */
+async function undoRuleChange(catalystInstance, change, { userId, force = false, dryRun = false }) {
+    if (change.undoneBy) {
+        return { success: false, error: `Change ${change.id} was already undone by change ${change.undoneBy}`, code: 'ALREADY_UNDONE' };
+    }
+    if (undoing.has(change.id)) {
+        return { success: false, error: `Change ${change.id} is already being undone`, code: 'ALREADY_UNDONE' };
+    }
+    // A dry run changes nothing, so it doesn't hold off a real undo
+    if (!dryRun) undoing.add(change.id);
+
+    try {
+        const userCreds = await getUserCredentials(userId, catalystInstance, change.profile);
+        if (!userCreds) {
+            return {
+                success: false,
+                error: `You have no stored credentials for profile "${change.profile}", where the change was made`,
+                code: change.profile === DEFAULT_PROFILE ? 'SETUP_REQUIRED' : 'PROFILE_NOT_FOUND'
+            };
+        }
+        const credentials = toAwsCredentials(userCreds);
+        const region = resolveRegion(change.region, userCreds.region);
+
+        // Drift: what happened to the group since the change
+        const current = (await ec2Service.getSecurityGroupRules(change.groupId, region, credentials))[change.direction];
+        const differences = diffRules(change.after, current);
+        const drifted = differences.added.length > 0 || differences.removed.length > 0;
+        if (drifted && !force) {
+            return {
+                success: false,
+                error: `The ${change.direction} rules of ${change.groupId} changed since change ${change.id} ` +
+                    `(${differences.added.length} added, ${differences.removed.length} removed). Send force: true to undo it anyway.`,
+                code: 'GROUP_CHANGED',
+                differences
+            };
+        }
+
+        const present = current.some(rule => ruleKey(rule) === ruleKey(change.rule));
+        if (present === (change.operation === 'remove')) {
+            return {
+                success: false,
+                error: `Nothing to undo - the rule is ${present ? 'already back in' : 'already gone from'} ${change.groupId}`,
+                code: 'NOTHING_TO_UNDO',
+                differences
+            };
+        }
+
+        // A removed rule goes back with the description it had
+        const recorded = change.before.find(rule => ruleKey(rule) === ruleKey(change.rule));
+        const rule = change.operation === 'remove' && recorded && recorded.description
+            ? { ...change.rule, description: recorded.description }
+            : change.rule;
+
+        if (dryRun) {
+            const preview = await RULE_ACTIONS[inverseAction(change)].run(change.groupId, rule, region, credentials, true);
+            if (!drifted) return preview;
+            return {
+                ...preview,
+                warnings: [...preview.warnings, `The group changed since change ${change.id} - undoing it anyway (force: true)`],
+                differences
+            };
+        }
+
+        const { result, change: undo } = await applyAndRecord({
+            params: { groupId: change.groupId, rule },
+            region,
+            credentials,
+            userId,
+            profile: change.profile,
+            catalystInstance
+        }, inverseAction(change), 'undo', change.id);
+
+        let undone = change;
+        if (undo) {
+            const row = await catalystInstance.datastore().table(TABLE_NAME).updateRow({ ROWID: change.id, undone_by: undo.id });
+            undone = formatChange(row);
+        }
+        log.info('Rule change undone', { changeId: change.id, undoChangeId: undo && undo.id, forced: drifted });
+
+        return {
+            success: true,
+            message: `Change ${change.id} undone: ${result.message}`,
+            undone,
+            change: undo,
+            changeId: undo ? undo.id : null,
+            before: result.before,
+            after: result.after,
+            ...(drifted && { differences })
+        };
+    } finally {
+        if (!dryRun) undoing.delete(change.id);
+    }
+}
+
+module.exports = {
+    TABLE_NAME,
+    RULE_ACTIONS,
+    isRuleAction,
+    diffRules,
+    recordRuleChange,
+    getRuleChange,
+    listRuleChanges,
+    runRuleChange,
+    undoRuleChange
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Consent and Confirmation
+ * Server-side checks before paid and destructive actions
+ *
+ * Consent - paid actions (flagged paid in the action registry, or listed in
+ * PAID_ACTIONS in utils/pricing.js) only run when the request carries
+ * consent: true. Otherwise the caller gets a
+ * requiresConsent response with the cost warning to show the user.
+ *
+ * Confirmation - destructive actions (flagged destructive in the action
+ * registry, or widget-only ones in DESTRUCTIVE_ACTIONS below) need a
+ * confirmation token. The first call returns requiresConfirmation with a
+ * token bound to the caller, the service:action, the exact target, the
+ * profile and the region. The client shows the warning and repeats the call
+ * with confirmationToken. Tokens expire after two minutes and work once.
+ *
+ * Tokens are HMAC-signed with CONFIRMATION_SECRET (falls back to
+ * CLIQ_SIGNING_SECRET), so any function instance can check them.
+ */
+
+const crypto = require('crypto');
+const { errorResponse } = require('./helpers');
+const { isPaidAction, getCostWarning } = require('./pricing');
+const { getTarget, getRequestParams } = require('./audit');
+const { getAction } = require('../actions');
+
+const CONFIRMATION_TTL_SECONDS = 2 * 60;
+
+// Widget-only actions that can't be undone (router actions declare
+// destructive and warning in the action registry)
+const DESTRUCTIVE_ACTIONS = {
+    'ec2:terminate': 'Terminating an instance deletes it and its instance-store data permanently',
+    's3:deleteFolder': 'Deleting a folder removes every object inside it permanently'
+};
+
+// Signatures of tokens already used -> expiry (seconds), to stop replays
+const usedTokens = new Map();
+
+// Per-process fallback so confirmation still works when no secret is set
+// (tokens then only verify on the instance that issued them)
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+function getSecret() {
+    return process.env.CONFIRMATION_SECRET || process.env.CLIQ_SIGNING_SECRET || fallbackSecret;
+}
+
+/**
+ * Warning for a destructive action, or null if the action can be undone
+ */
+function getDestructiveWarning(service, action) {
+    const entry = getAction(service, action);
+    if (entry && entry.destructive) return entry.warning || 'This action cannot be undone';
+    return DESTRUCTIVE_ACTIONS[`${service}:${action}`] || null;
+}
+
+function isDestructiveAction(service, action) {
+    return getDestructiveWarning(service, action) !== null;
+}
+
+/**
+ * What a token is bound to
+ */
+function getBinding(req, service, action) {
+    const params = getRequestParams(req);
+    return {
+        userId: req.caller.userId,
+        action: `${service}:${action}`,
+        target: getTarget(service, params) || '',
+        profile: params.profile || '',
+        region: params.region || ''
+    };
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a token for a binding
+ */
+function createConfirmationToken(binding) {
+    const expiresAt = Math.floor(Date.now() / 1000) + CONFIRMATION_TTL_SECONDS;
+    // The nonce keeps two tokens for the same call in the same second apart
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const payload = Buffer.from(JSON.stringify({ ...binding, exp: expiresAt, nonce })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+/**
+ * Check a token against the binding of the current request.
+ * Returns null if valid, otherwise the reason it was rejected.
+ */
+function verifyConfirmationToken(token, binding) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) return 'Confirmation token is malformed';
+
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return 'Confirmation token is invalid';
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return 'Confirmation token is malformed';
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims.exp || claims.exp < now) return 'Confirmation token has expired';
+    if (usedTokens.has(signature)) return 'Confirmation token has already been used';
+
+    const mismatch = Object.keys(binding).find(field => claims[field] !== binding[field]);
+    if (mismatch) return `Confirmation token was issued for a different ${mismatch}`;
+
+    // Forget expired tokens, then mark this one used
+    for (const [usedSignature, exp] of usedTokens) {
+        if (exp < now) usedTokens.delete(usedSignature);
+    }
+    usedTokens.set(signature, claims.exp);
+    return null;
+}
+
+/**
+ * Express middleware factory - paid actions need consent: true
+ * (body or query). service and action can be strings or functions of the request.
+ */
+function requireConsent(service, action) {
+    return (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        if (!isPaidAction(serviceName, actionName)) return next();
+
+        const consent = (req.body && req.body.consent) || req.query.consent;
+        if (consent === true || consent === 'true') return next();
+
+        return res.status(428).json({
+            ...errorResponse(`${serviceName}:${actionName} costs money. Send consent: true to go ahead.`, 'CONSENT_REQUIRED'),
+            requiresConsent: true,
+            costWarning: getCostWarning(serviceName, actionName)
+        });
+    };
+}
+
+/**
+ * Express middleware factory - destructive actions need a valid
+ * confirmationToken (body or query). Without one, a token is issued.
+ * Must run after authenticateCaller (uses req.caller).
+ */
+function requireConfirmation(service, action) {
+    return (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        if (!isDestructiveAction(serviceName, actionName)) return next();
+
+        const binding = getBinding(req, serviceName, actionName);
+        const token = (req.body && req.body.confirmationToken) || req.query.confirmationToken;
+
+        const rejection = token ? verifyConfirmationToken(token, binding) : null;
+        if (token && !rejection) return next();
+
+        const { token: confirmationToken, expiresAt } = createConfirmationToken(binding);
+        return res.status(428).json({
+            ...errorResponse(rejection || `Confirm ${serviceName}:${actionName} on ${binding.target || 'this resource'} by repeating the request with confirmationToken.`, 'CONFIRMATION_REQUIRED'),
+            requiresConfirmation: true,
+            warning: getDestructiveWarning(serviceName, actionName),
+            target: binding.target || null,
+            confirmationToken,
+            expiresAt
+        });
+    };
+}
+
+module.exports = {
+    DESTRUCTIVE_ACTIONS,
+    isDestructiveAction,
+    getDestructiveWarning,
+    requireConsent,
+    requireConfirmation
+};
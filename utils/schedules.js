@@ -0,0 +1,661 @@
+'use strict';
+
+/**
+ * Start/Stop Schedules
+ * Office hours for EC2 instances and RDS databases
+ *
+ * A schedule says when its targets should be running, e.g. weekdays
+ * 09:00-19:00 in Asia/Kolkata, and which targets those are: instance IDs,
+ * DB instance IDs and/or a tag selector ({ Environment: "dev" } picks every
+ * instance and database with all of those tags). Outside the window, on days
+ * not listed and on the schedule's holidays the targets should be stopped.
+ * A window whose stop is earlier than its start runs overnight and belongs
+ * to the day it starts on.
+ *
+ * runDueSchedules() is the Catalyst cron entry point (POST /jobs/schedules
+ * in index.js, every 10-15 minutes). For each enabled schedule it works out
+ * the desired state in the schedule's timezone and, when that changed since
+ * the last run, starts or stops the targets in the wrong state with the
+ * existing ec2/rds service functions and the owner's stored credentials for
+ * the schedule's profile. An instance started by hand at night stays up until
+ * the next change. Databases are the exception: AWS starts a DB instance that
+ * has been stopped for 7 days, so one found running outside its hours is
+ * stopped again on every run.
+ *
+ * The owner's role is checked again on every run: a start or stop their
+ * current role no longer allows (utils/access.js) is skipped, reported with
+ * outcome skipped and code FORBIDDEN and counted as failed.
+ *
+ * A transition that failed for any target is tried again on the next run.
+ * Every start and stop is written to the audit log (source: schedule), and
+ * every run to the `schedule_runs` table as a report.
+ *
+ * schedules columns: user_id, name, profile_name, region, timezone, days
+ * (mon,tue,...), start_time, stop_time (HH:MM), holidays (JSON), targets
+ * (JSON { instanceIds, dbInstanceIds, tags }), enabled ('true' | 'false'),
+ * last_state (running | stopped), last_run_at, created_at, updated_at
+ *
+ * schedule_runs columns: schedule_id, user_id, trigger (cron | manual),
+ * desired_state, reason, started, stopped, failed, actions (JSON), created_at
+ */
+
+const ec2Service = require('../services/ec2');
+const rdsService = require('../services/rds');
+const { toAwsCredentials, resolveRegion } = require('./aws-clients');
+const { normalizeAWSError } = require('./aws-errors');
+const { getUserCredentials } = require('./credentials');
+const { getEffectiveRole, getRequiredRole, hasRole } = require('./access');
+const { DEFAULT_PROFILE } = require('./profiles');
+const { recordEntry } = require('./audit');
+const { createLogger, withLogFields } = require('./logger');
+
+const log = createLogger('schedules');
+
+const TABLE_NAME = 'schedules';
+const RUNS_TABLE = 'schedule_runs';
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+    weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    weekends: ['sat', 'sun'],
+    daily: DAYS
+};
+
+// Common abbreviations - anything else must be an IANA name (Asia/Kolkata)
+const TIMEZONE_ALIASES = {
+    IST: 'Asia/Kolkata',
+    SGT: 'Asia/Singapore',
+    GST: 'Asia/Dubai',
+    BST: 'Europe/London',
+    EST: 'America/New_York',
+    EDT: 'America/New_York',
+    PST: 'America/Los_Angeles',
+    PDT: 'America/Los_Angeles'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Schedules evaluated at once by a cron run
+const RUN_CONCURRENCY = 4;
+
+// Largest list fetched when resolving targets
+const MAX_TARGETS = 1000;
+
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 100;
+
+// EC2 states and RDS statuses a start or stop applies to
+const STARTABLE = { ec2: 'stopped', rds: 'stopped' };
+const STOPPABLE = { ec2: 'running', rds: 'available' };
+
+/**
+ * IANA timezone for a name or abbreviation, or null if unknown
+ */
+function resolveTimezone(name) {
+    if (!name) return null;
+    const timezone = TIMEZONE_ALIASES[String(name).toUpperCase()] || String(name);
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return timezone;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Day names for a days parameter: 'weekdays', 'weekends', 'daily' or a list
+ * of day names, in week order
+ */
+function normalizeDays(days) {
+    const list = typeof days === 'string' ? DAY_SETS[days] || [days] : days;
+    return DAYS.filter(day => list.includes(day));
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/*
+ * Date, weekday and minutes past midnight of an instant in a timezone
+ */
+function localTime(now, timezone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short'
+    });
+    for (const { type, value } of format.formatToParts(now)) {
+        parts[type] = value;
+    }
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+/*
+ * The calendar day before a local date
+ */
+function previousDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const previous = new Date(Date.UTC(year, month - 1, day - 1));
+    return { date: previous.toISOString().slice(0, 10), day: DAYS[previous.getUTCDay()] };
+}
+
+/**
+ * Whether a schedule's targets should be running at an instant
+ *
+ * @param {Object} schedule - { timezone, days, start, stop, holidays }
+ * @param {Date} now
+ * @returns {Object} { desiredState: 'running' | 'stopped', reason, localTime }
+ *   reason: office_hours, outside_hours, day_off or holiday
+ */
+function evaluateSchedule(schedule, now = new Date()) {
+    const local = localTime(now, schedule.timezone);
+    const start = toMinutes(schedule.start);
+    const stop = toMinutes(schedule.stop);
+    const result = (desiredState, reason) => ({
+        desiredState,
+        reason,
+        localTime: `${local.date} ${local.time} ${schedule.timezone}`
+    });
+
+    // The day whose window covers now (yesterday's, after midnight in an overnight window)
+    let windowDay = null;
+    if (start < stop) {
+        if (local.minutes >= start && local.minutes < stop) windowDay = local;
+    } else if (local.minutes >= start) {
+        windowDay = local;
+    } else if (local.minutes < stop) {
+        windowDay = previousDay(local.date);
+    }
+
+    if (!windowDay) return result('stopped', 'outside_hours');
+    if (!schedule.days.includes(windowDay.day)) return result('stopped', 'day_off');
+    if (schedule.holidays.includes(windowDay.date)) return result('stopped', 'holiday');
+    return result('running', 'office_hours');
+}
+
+/*
+ * ============================================================================
+ * STORAGE
+ * ============================================================================
+ */
+
+function parseJson(text, fallback) {
+    try {
+        return text ? JSON.parse(text) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Stored row in API form
+ */
+function formatSchedule(row) {
+    const targets = parseJson(row.targets, {});
+    return {
+        id: row.ROWID,
+        userId: row.user_id,
+        name: row.name,
+        profile: row.profile_name || DEFAULT_PROFILE,
+        region: row.region || null,
+        timezone: row.timezone,
+        days: row.days ? row.days.split(',') : [],
+        start: row.start_time,
+        stop: row.stop_time,
+        holidays: parseJson(row.holidays, []),
+        targets: {
+            instanceIds: targets.instanceIds || [],
+            dbInstanceIds: targets.dbInstanceIds || [],
+            tags: targets.tags || {}
+        },
+        enabled: row.enabled !== 'false',
+        lastState: row.last_state || null,
+        lastRunAt: row.last_run_at ? new Date(Number(row.last_run_at)).toISOString() : null,
+        createdAt: new Date(Number(row.created_at)).toISOString()
+    };
+}
+
+/*
+ * Schedule fields as stored (only the ones given)
+ */
+function toRow(schedule) {
+    const row = {};
+    if (schedule.name !== undefined) row.name = schedule.name;
+    if (schedule.profile !== undefined) row.profile_name = schedule.profile || DEFAULT_PROFILE;
+    if (schedule.region !== undefined) row.region = schedule.region || '';
+    if (schedule.timezone !== undefined) row.timezone = schedule.timezone;
+    if (schedule.days !== undefined) row.days = schedule.days.join(',');
+    if (schedule.start !== undefined) row.start_time = schedule.start;
+    if (schedule.stop !== undefined) row.stop_time = schedule.stop;
+    if (schedule.holidays !== undefined) row.holidays = JSON.stringify(schedule.holidays);
+    if (schedule.targets !== undefined) row.targets = JSON.stringify(schedule.targets);
+    if (schedule.enabled !== undefined) row.enabled = String(schedule.enabled !== false);
+    return row;
+}
+
+/**
+ * Save a new schedule
+ *
+ * @param {Object} schedule - { name, profile, region, timezone, days, start,
+ *                            stop, holidays, targets, enabled }, already checked
+ */
+async function createSchedule(catalystInstance, userId, schedule) {
+    const now = Date.now();
+    const row = await catalystInstance.datastore().table(TABLE_NAME).insertRow({
+        user_id: String(userId),
+        ...toRow({ holidays: [], enabled: true, ...schedule }),
+        last_state: '',
+        last_run_at: 0,
+        created_at: now,
+        updated_at: now
+    });
+    return formatSchedule(row);
+}
+
+/**
+ * Change some fields of a schedule. A changed window or target list is
+ * applied on the next run, even if the desired state stays the same.
+ */
+async function updateSchedule(catalystInstance, schedule, changes) {
+    const row = await catalystInstance.datastore().table(TABLE_NAME).updateRow({
+        ROWID: schedule.id,
+        ...toRow(changes),
+        last_state: '',
+        updated_at: Date.now()
+    });
+    return formatSchedule(row);
+}
+
+async function deleteSchedule(catalystInstance, schedule) {
+    await catalystInstance.datastore().table(TABLE_NAME).deleteRow(schedule.id);
+}
+
+/**
+ * One schedule, or null if it doesn't exist or belongs to someone else
+ */
+async function getSchedule(catalystInstance, userId, scheduleId) {
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME} WHERE ROWID = '${scheduleId}'`
+    );
+    const row = results.length > 0 ? results[0][TABLE_NAME] : null;
+    return row && row.user_id === String(userId) ? formatSchedule(row) : null;
+}
+
+/**
+ * A user's schedules, oldest first
+ */
+async function listSchedules(catalystInstance, userId) {
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME} WHERE user_id = '${userId}' ORDER BY created_at ASC`
+    );
+    return results.map(result => formatSchedule(result[TABLE_NAME]));
+}
+
+function formatRun(row) {
+    return {
+        id: row.ROWID,
+        scheduleId: row.schedule_id,
+        trigger: row.trigger,
+        desiredState: row.desired_state,
+        reason: row.reason,
+        started: Number(row.started),
+        stopped: Number(row.stopped),
+        failed: Number(row.failed),
+        actions: parseJson(row.actions, []),
+        ranAt: new Date(Number(row.created_at)).toISOString()
+    };
+}
+
+/**
+ * A user's run reports, newest first
+ *
+ * @param {Object} filters - { scheduleId, limit }
+ */
+async function listRuns(catalystInstance, userId, filters = {}) {
+    const conditions = [`user_id = '${userId}'`];
+    if (filters.scheduleId) conditions.push(`schedule_id = '${filters.scheduleId}'`);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_RUNS_LIMIT, 1), MAX_RUNS_LIMIT);
+
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${RUNS_TABLE} WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC LIMIT ${limit}`
+    );
+    return results.map(result => formatRun(result[RUNS_TABLE]));
+}
+
+/*
+ * ============================================================================
+ * RUNS
+ * ============================================================================
+ */
+
+function hasTags(tagList, selector) {
+    return Object.entries(selector).every(([key, value]) =>
+        (tagList || []).some(tag => tag.Key === key && tag.Value === String(value)));
+}
+
+/*
+ * EC2 instances and RDS databases a schedule applies to, with their current
+ * state. IDs that don't exist come back as missing.
+ */
+async function resolveTargets(targets, region, credentials) {
+    const found = [];
+    const missing = [];
+    const hasSelector = Object.keys(targets.tags).length > 0;
+
+    const instances = new Map();
+    if (targets.instanceIds.length > 0) {
+        for (const instanceId of targets.instanceIds) {
+            try {
+                const { instances: [instance] } = await ec2Service.listInstances(region, { instanceIds: [instanceId] }, 1, 1, credentials);
+                instances.set(instanceId, instance);
+            } catch (error) {
+                const { code } = normalizeAWSError(error);
+                if (code !== 'NOT_FOUND') throw error;
+                missing.push({ type: 'ec2', id: instanceId });
+            }
+        }
+    }
+    if (hasSelector) {
+        const { instances: tagged } = await ec2Service.listInstances(region, { tags: targets.tags }, 1, MAX_TARGETS, credentials);
+        for (const instance of tagged) instances.set(instance.id, instance);
+    }
+    for (const instance of instances.values()) {
+        if (['terminated', 'shutting-down'].includes(instance.state)) continue;
+        found.push({ type: 'ec2', id: instance.id, name: instance.name || null, state: instance.state });
+    }
+
+    if (targets.dbInstanceIds.length > 0 || hasSelector) {
+        const { instances: databases } = await rdsService.listDBInstances(region, 1, MAX_TARGETS, credentials);
+        for (const dbInstanceId of targets.dbInstanceIds) {
+            if (!databases.some(db => db.id === dbInstanceId)) missing.push({ type: 'rds', id: dbInstanceId });
+        }
+        for (const db of databases) {
+            if (!targets.dbInstanceIds.includes(db.id) && !(hasSelector && hasTags(db.tags, targets.tags))) continue;
+            found.push({ type: 'rds', id: db.id, name: null, state: db.status, engine: db.engine });
+        }
+    }
+
+    return { found, missing };
+}
+
+/*
+ * What to do with one target: { action: 'start' | 'stop' | 'none', note }
+ */
+function planTarget(target, desiredState, transition) {
+    if (target.type === 'rds' && String(target.engine || '').startsWith('aurora')) {
+        return { action: 'none', note: 'Aurora instances start and stop with their cluster' };
+    }
+
+    if (desiredState === 'running') {
+        if (target.state === STARTABLE[target.type]) {
+            return transition
+                ? { action: 'start', note: null }
+                : { action: 'none', note: 'Stopped since the last change - left as is' };
+        }
+        return { action: 'none', note: target.state === STOPPABLE[target.type] ? 'Already running' : `State is ${target.state}` };
+    }
+
+    if (target.state === STOPPABLE[target.type]) {
+        if (transition) return { action: 'stop', note: null };
+        // AWS starts DB instances that have been stopped for 7 days
+        return target.type === 'rds'
+            ? { action: 'stop', note: 'Running outside its hours (AWS restarts stopped databases after 7 days)' }
+            : { action: 'none', note: 'Started since the last change - left as is' };
+    }
+    return { action: 'none', note: target.state === STARTABLE[target.type] ? 'Already stopped' : `State is ${target.state}` };
+}
+
+async function applyAction(target, action, region, credentials) {
+    if (target.type === 'ec2') {
+        return action === 'start'
+            ? ec2Service.startInstance(target.id, region, credentials)
+            : ec2Service.stopInstance(target.id, region, false, credentials);
+    }
+    return action === 'start'
+        ? rdsService.startDBInstance(target.id, region, credentials)
+        : rdsService.stopDBInstance(target.id, region, null, credentials);
+}
+
+async function recordRun(catalystInstance, report) {
+    await catalystInstance.datastore().table(RUNS_TABLE).insertRow({
+        schedule_id: String(report.scheduleId),
+        user_id: String(report.userId),
+        trigger: report.trigger,
+        desired_state: report.desiredState,
+        reason: report.reason,
+        started: report.started,
+        stopped: report.stopped,
+        failed: report.failed,
+        actions: JSON.stringify(report.actions),
+        created_at: Date.parse(report.ranAt)
+    });
+}
+
+/**
+ * Evaluate one schedule and start or stop its targets
+ *
+ * @param {Object} catalystInstance - Initialized Catalyst SDK
+ * @param {Object} schedule - From getSchedule() / listSchedules()
+ * @param {Object} options - {
+ *     now: Date to evaluate at (default: now),
+ *     trigger: 'cron' | 'manual',
+ *     preview: true to only report what would be done,
+ *     credentialLookups, roleLookups: Maps shared across schedules of one run
+ *   }
+ * @returns {Object} Report: { scheduleId, name, ranAt, trigger, localTime,
+ *   desiredState, reason, transition, started, stopped, failed, actions }
+ */
+async function runSchedule(catalystInstance, schedule, options = {}) {
+    const now = options.now || new Date();
+    const trigger = options.trigger || 'cron';
+    const evaluation = evaluateSchedule(schedule, now);
+    const transition = schedule.lastState !== evaluation.desiredState;
+
+    const report = {
+        scheduleId: schedule.id,
+        userId: schedule.userId,
+        name: schedule.name,
+        ranAt: now.toISOString(),
+        trigger,
+        ...evaluation,
+        transition,
+        preview: options.preview === true,
+        started: 0,
+        stopped: 0,
+        failed: 0,
+        actions: []
+    };
+    const fail = (entry, error, code) => {
+        report.failed++;
+        report.actions.push({ ...entry, outcome: 'failed', error, code });
+    };
+
+    const lookups = options.credentialLookups || new Map();
+    const lookupKey = `${schedule.userId}|${schedule.profile}`;
+    if (!lookups.has(lookupKey)) {
+        lookups.set(lookupKey, getUserCredentials(schedule.userId, catalystInstance, schedule.profile));
+    }
+    const userCreds = await lookups.get(lookupKey).catch(error => {
+        log.error('Could not load credentials', { scheduleId: schedule.id, error });
+        return null;
+    });
+
+    // The owner's role now, not when the schedule was made
+    const roleLookups = options.roleLookups || new Map();
+    if (!roleLookups.has(schedule.userId)) {
+        roleLookups.set(schedule.userId, getEffectiveRole(catalystInstance, schedule.userId));
+    }
+    const { role } = await roleLookups.get(schedule.userId);
+
+    if (!userCreds) {
+        fail({ type: null, id: null, action: 'none' }, `No stored credentials for profile "${schedule.profile}"`,
+            schedule.profile === DEFAULT_PROFILE ? 'SETUP_REQUIRED' : 'PROFILE_NOT_FOUND');
+    } else {
+        const credentials = toAwsCredentials(userCreds);
+        const region = resolveRegion(schedule.region, userCreds.region);
+        report.region = region;
+
+        let targets = { found: [], missing: [] };
+        try {
+            targets = await resolveTargets(schedule.targets, region, credentials);
+        } catch (error) {
+            const normalized = normalizeAWSError(error);
+            fail({ type: null, id: null, action: 'none' }, normalized.message, normalized.code);
+        }
+
+        for (const target of targets.missing) {
+            fail({ ...target, action: 'none' }, `${target.id} not found in ${region}`, 'NOT_FOUND');
+        }
+
+        for (const target of targets.found) {
+            const { action, note } = planTarget(target, evaluation.desiredState, transition);
+            const entry = { type: target.type, id: target.id, name: target.name, previousState: target.state, action, note };
+
+            const requiredRole = action === 'none' ? null : getRequiredRole(target.type, action);
+            if (requiredRole && !hasRole(role, requiredRole)) {
+                const error = `${target.type}:${action} requires the ${requiredRole} role. The owner's role is ${role}.`;
+                report.failed++;
+                report.actions.push({ ...entry, outcome: 'skipped', error, code: 'FORBIDDEN' });
+                if (!report.preview) {
+                    await auditScheduled(catalystInstance, schedule, target, action, region, { code: 'FORBIDDEN', message: error });
+                }
+                continue;
+            }
+
+            if (action === 'none' || report.preview) {
+                report.actions.push({ ...entry, outcome: action === 'none' ? 'unchanged' : 'planned' });
+                continue;
+            }
+
+            try {
+                await applyAction(target, action, region, credentials);
+                report[action === 'start' ? 'started' : 'stopped']++;
+                report.actions.push({ ...entry, outcome: action === 'start' ? 'started' : 'stopped' });
+                await auditScheduled(catalystInstance, schedule, target, action, region, {});
+            } catch (error) {
+                const normalized = normalizeAWSError(error);
+                fail(entry, normalized.message, normalized.code);
+                await auditScheduled(catalystInstance, schedule, target, action, region, normalized);
+            }
+        }
+
+        if (!report.preview && (report.started > 0 || report.stopped > 0)) {
+            // Required here rather than at the top, like batch.js below: the action
+            // registry loads actions/schedules.js and so this module
+            require('./response-cache').invalidate(schedule.userId, schedule.profile, ['ec2', 'rds']);
+        }
+    }
+
+    if (report.preview) return report;
+
+    // A failed transition is tried again on the next run
+    const lastState = report.failed > 0 && transition ? schedule.lastState || '' : evaluation.desiredState;
+    await catalystInstance.datastore().table(TABLE_NAME).updateRow({
+        ROWID: schedule.id,
+        last_state: lastState,
+        last_run_at: now.getTime()
+    });
+    await recordRun(catalystInstance, report);
+
+    log.info('Schedule ran', {
+        scheduleId: schedule.id,
+        trigger,
+        desiredState: evaluation.desiredState,
+        reason: evaluation.reason,
+        started: report.started,
+        stopped: report.stopped,
+        failed: report.failed
+    });
+    return report;
+}
+
+async function auditScheduled(catalystInstance, schedule, target, action, region, failure) {
+    try {
+        await recordEntry(catalystInstance, {
+            userId: schedule.userId,
+            service: target.type,
+            action,
+            target: target.id,
+            params: { scheduleId: schedule.id, schedule: schedule.name, profile: schedule.profile },
+            outcome: failure.code ? 'failure' : 'success',
+            errorCode: failure.code,
+            errorMessage: failure.message,
+            source: 'schedule',
+            region
+        });
+    } catch (error) {
+        log.error('Could not record audit entry', { scheduleId: schedule.id, error });
+    }
+}
+
+/**
+ * Cron entry point - runs every enabled schedule
+ *
+ * @param {Object} catalystInstance - Initialized Catalyst SDK
+ * @param {Date} now - Instant to evaluate at (default: now)
+ * @returns {Object} { ranAt, schedules, started, stopped, failed, reports }
+ */
+async function runDueSchedules(catalystInstance, now = new Date()) {
+    const results = await catalystInstance.zcql().executeZCQLQuery(
+        `SELECT * FROM ${TABLE_NAME} WHERE enabled = 'true'`
+    );
+    const schedules = results.map(result => formatSchedule(result[TABLE_NAME]));
+
+    // Required here rather than at the top: batch.js needs the action registry
+    const { mapLimit } = require('./batch');
+
+    const credentialLookups = new Map();
+    const roleLookups = new Map();
+    const reports = await mapLimit(schedules, RUN_CONCURRENCY, schedule =>
+        withLogFields({ scheduleId: schedule.id }, async () => {
+            try {
+                return await runSchedule(catalystInstance, schedule, { now, trigger: 'cron', credentialLookups, roleLookups });
+            } catch (error) {
+                log.error('Schedule failed', { error });
+                return { scheduleId: schedule.id, name: schedule.name, ranAt: now.toISOString(), started: 0, stopped: 0, failed: 1, error: error.message };
+            }
+        })
+    );
+
+    const total = field => reports.reduce((sum, report) => sum + report[field], 0);
+    const summary = {
+        ranAt: now.toISOString(),
+        schedules: reports.length,
+        started: total('started'),
+        stopped: total('stopped'),
+        failed: total('failed')
+    };
+    log.info('Scheduled run finished', summary);
+    return { ...summary, reports };
+}
+
+module.exports = {
+    DAYS,
+    DAY_SETS,
+    TIME_PATTERN,
+    TIMEZONE_ALIASES,
+    resolveTimezone,
+    normalizeDays,
+    evaluateSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    getSchedule,
+    listSchedules,
+    listRuns,
+    runSchedule,
+    runDueSchedules
+};
@@ -0,0 +1,315 @@
+'use strict';
+
+/**
+ * Resource Search
+ * One query across EC2, S3, Lambda, RDS, CloudWatch Logs, SNS, CloudWatch
+ * alarms and IAM roles
+ *
+ * Every resource type is listed in parallel with the caller's credentials
+ * and matched on its name, ID, ARN and tags. Tags are matched where AWS
+ * lists them with the resource - EC2 instances and RDS instances and
+ * clusters; the other listings carry none. "key=value" only matches tags.
+ *
+ * Each match scores by where the query was found:
+ *
+ *   100  exact name, ID or ARN        70  name or ID, at a word start
+ *    90  tag key=value                 50  inside the name or ID
+ *    80  start of the name or ID       40  tag value
+ *                                      30  inside the ARN or a tag
+ *
+ * Results come best first (then by name), each with its type and a link:
+ * the router request for the service's get action, ready to send as it is.
+ *
+ * A type whose listing fails (missing permission, throttling) is reported in
+ * failed and the others are still returned; the search only fails when
+ * every type did. Each type scans at most MAX_SCANNED resources (truncated
+ * says which stopped short).
+ */
+
+const ec2Service = require('../services/ec2');
+const s3Service = require('../services/s3');
+const lambdaService = require('../services/lambda');
+const rdsService = require('../services/rds');
+const logsService = require('../services/logs');
+const snsService = require('../services/sns');
+const cloudwatchService = require('../services/cloudwatch');
+const iamService = require('../services/iam');
+const { normalizeAWSError } = require('./aws-errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('search');
+
+// Most resources of one type read per search
+const MAX_SCANNED = 1000;
+
+const DEFAULT_LIMIT = 20;
+
+/*
+ * A page-1 listing of everything, as { items, total }
+ */
+function scanned(items, pagination) {
+    return { items, total: pagination ? pagination.totalItems : items.length };
+}
+
+/*
+ * [{ Key, Value }] as returned by EC2 and RDS
+ */
+function tagList(tags) {
+    return (tags || []).map(tag => ({ key: tag.Key, value: tag.Value }));
+}
+
+// What each type lists and how its items become search resources:
+// { id, name, arn, tags, status, link }
+const RESOURCE_TYPES = {
+    'ec2-instance': {
+        permission: 'ec2_read',
+        scan: async ({ region, credentials }) => {
+            const { instances, pagination } = await ec2Service.listInstances(region, {}, 1, MAX_SCANNED, credentials);
+            return scanned(instances, pagination);
+        },
+        toResource: (instance, region) => ({
+            id: instance.id,
+            name: instance.name,
+            arn: null,
+            tags: tagList(instance.tags),
+            status: instance.state,
+            link: { service: 'ec2', action: 'get', instanceId: instance.id, region }
+        })
+    },
+    's3-bucket': {
+        permission: 's3_read',
+        scan: async ({ region, credentials }) => {
+            const { buckets, pagination } = await s3Service.listBuckets(region, 1, MAX_SCANNED, credentials);
+            return scanned(buckets, pagination);
+        },
+        toResource: bucket => ({
+            id: bucket.name,
+            name: bucket.name,
+            arn: `arn:aws:s3:::${bucket.name}`,
+            tags: [],
+            status: null,
+            link: { service: 's3', action: 'getBucket', bucket: bucket.name, region: bucket.region }
+        })
+    },
+    'lambda-function': {
+        permission: 'lambda_read',
+        scan: async ({ region, credentials }) => {
+            const { functions, pagination } = await lambdaService.listFunctions(region, 1, MAX_SCANNED, credentials);
+            return scanned(functions, pagination);
+        },
+        toResource: (fn, region) => ({
+            id: fn.name,
+            name: fn.name,
+            arn: fn.arn,
+            tags: [],
+            status: fn.state || null,
+            link: { service: 'lambda', action: 'get', functionName: fn.name, region }
+        })
+    },
+    'rds-instance': {
+        permission: 'rds_read',
+        scan: async ({ region, credentials }) => {
+            const { instances, pagination } = await rdsService.listDBInstances(region, 1, MAX_SCANNED, credentials);
+            return scanned(instances, pagination);
+        },
+        toResource: (db, region) => ({
+            id: db.id,
+            name: db.id,
+            arn: db.arn || null,
+            tags: tagList(db.tags),
+            status: db.status,
+            link: { service: 'rds', action: 'get', dbInstanceId: db.id, region }
+        })
+    },
+    'rds-cluster': {
+        permission: 'rds_read',
+        scan: async ({ region, credentials }) => {
+            const { clusters, pagination } = await rdsService.listDBClusters(region, 1, MAX_SCANNED, credentials);
+            return scanned(clusters, pagination);
+        },
+        toResource: (cluster, region) => ({
+            id: cluster.id,
+            name: cluster.id,
+            arn: cluster.arn || null,
+            tags: tagList(cluster.tags),
+            status: cluster.status,
+            link: { service: 'rds', action: 'getCluster', dbClusterId: cluster.id, region }
+        })
+    },
+    // Log groups have no get action - the link lists their streams
+    'log-group': {
+        permission: 'logs_read',
+        scan: async ({ region, credentials }) => {
+            const { logGroups, pagination } = await logsService.listLogGroups(region, null, 1, MAX_SCANNED, credentials);
+            return scanned(logGroups, pagination);
+        },
+        toResource: (group, region) => ({
+            id: group.name,
+            name: group.name,
+            arn: group.arn || null,
+            tags: [],
+            status: null,
+            link: { service: 'logs', action: 'listStreams', logGroupName: group.name, region }
+        })
+    },
+    'sns-topic': {
+        permission: 'sns_read',
+        scan: async ({ region, credentials }) => scanned(await snsService.listTopics(region, credentials)),
+        toResource: (topic, region) => ({
+            id: topic.arn,
+            name: topic.name,
+            arn: topic.arn,
+            tags: [],
+            status: null,
+            link: { service: 'sns', action: 'getTopic', topicArn: topic.arn, region }
+        })
+    },
+    alarm: {
+        permission: 'cloudwatch_read',
+        scan: async ({ region, credentials }) => {
+            const { alarms, pagination } = await cloudwatchService.listAlarms(region, null, 1, MAX_SCANNED, credentials);
+            return scanned(alarms, pagination);
+        },
+        toResource: (alarm, region) => ({
+            id: alarm.name,
+            name: alarm.name,
+            arn: alarm.arn || null,
+            tags: [],
+            status: alarm.state,
+            link: { service: 'cloudwatch', action: 'getAlarm', alarmName: alarm.name, region }
+        })
+    },
+    // IAM is global - roles are the same in every region
+    'iam-role': {
+        permission: 'iam_read',
+        scan: async ({ credentials }) => scanned(await iamService.listRoles(credentials)),
+        toResource: role => ({
+            id: role.id,
+            name: role.name,
+            arn: role.arn,
+            tags: [],
+            status: null,
+            link: { service: 'iam', action: 'getRole', roleName: role.name }
+        })
+    }
+};
+
+const TYPES = Object.keys(RESOURCE_TYPES);
+
+/*
+ * How well text matches the (lowercase) query: exact, at its start, at a
+ * word start, anywhere, or not at all (0)
+ */
+function textScore(text, query) {
+    if (!text) return 0;
+    const value = String(text).toLowerCase();
+    if (value === query) return 100;
+    if (value.startsWith(query)) return 80;
+
+    const index = value.indexOf(query);
+    if (index === -1) return 0;
+    return /[^a-z0-9]/.test(value[index - 1]) ? 70 : 50;
+}
+
+/**
+ * Best score of a resource for a query, and where it matched
+ *
+ * @returns {Object} { score, matchedOn } - score 0 if nothing matched
+ */
+function scoreResource(resource, query) {
+    const needle = query.trim().toLowerCase();
+    let best = { score: 0, matchedOn: null };
+    const consider = (score, matchedOn) => {
+        if (score > best.score) best = { score, matchedOn };
+    };
+
+    // key=value only matches tags
+    const separator = needle.indexOf('=');
+    if (separator > 0) {
+        const key = needle.slice(0, separator).trim();
+        const value = needle.slice(separator + 1).trim();
+        for (const tag of resource.tags) {
+            if (String(tag.key).toLowerCase() !== key) continue;
+            const tagValue = String(tag.value).toLowerCase();
+            if (tagValue === value) consider(90, `tag:${tag.key}`);
+            else if (value && tagValue.includes(value)) consider(30, `tag:${tag.key}`);
+        }
+        return best;
+    }
+
+    consider(textScore(resource.name, needle), 'name');
+    consider(textScore(resource.id, needle), 'id');
+
+    if (resource.arn) {
+        const arn = resource.arn.toLowerCase();
+        if (arn === needle) consider(100, 'arn');
+        else if (arn.includes(needle)) consider(30, 'arn');
+    }
+
+    for (const tag of resource.tags) {
+        const value = String(tag.value).toLowerCase();
+        if (value === needle) consider(40, `tag:${tag.key}`);
+        else if (value.includes(needle) || String(tag.key).toLowerCase().includes(needle)) consider(30, `tag:${tag.key}`);
+    }
+    return best;
+}
+
+/**
+ * Search every resource type (or only types) for query
+ *
+ * @param {string} query - Name, ID, ARN, tag value or key=value
+ * @param {Object} options - { types, limit, region, credentials }
+ * @returns {Object} { query, count, totalMatches, results, searched, failed, truncated }
+ */
+async function searchResources(query, { types = TYPES, limit = DEFAULT_LIMIT, region, credentials }) {
+    types = [...new Set(types)];
+    const settled = await Promise.allSettled(types.map(type => RESOURCE_TYPES[type].scan({ region, credentials })));
+
+    const matches = [];
+    const failed = [];
+    const truncated = [];
+
+    settled.forEach((outcome, index) => {
+        const type = types[index];
+        if (outcome.status === 'rejected') {
+            const normalized = normalizeAWSError(outcome.reason, { permission: RESOURCE_TYPES[type].permission });
+            log.warn('Search of a resource type failed', { type, error: outcome.reason });
+            failed.push({ type, code: normalized.code, error: normalized.message, hint: normalized.hint });
+            return;
+        }
+
+        const { items, total } = outcome.value;
+        if (total > items.length) truncated.push(type);
+
+        for (const item of items) {
+            const resource = RESOURCE_TYPES[type].toResource(item, region);
+            const { score, matchedOn } = scoreResource(resource, query);
+            if (score > 0) matches.push({ type, ...resource, score, matchedOn });
+        }
+    });
+
+    // Every listing failed: nothing to show, answer with the first error
+    if (failed.length === types.length) {
+        throw settled[0].reason;
+    }
+
+    matches.sort((a, b) => b.score - a.score || String(a.name).localeCompare(String(b.name)));
+    const results = matches.slice(0, limit);
+
+    return {
+        query,
+        count: results.length,
+        totalMatches: matches.length,
+        results,
+        searched: types.filter(type => !failed.some(failure => failure.type === type)),
+        failed,
+        truncated
+    };
+}
+
+module.exports = {
+    TYPES,
+    MAX_SCANNED,
+    scoreResource,
+    searchResources
+};
@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Parameter Validation
+ * Checks request parameters against an action's JSON Schema before any AWS call
+ *
+ * Supports the part of JSON Schema the action declarations use: type, enum,
+ * anyOf, pattern, format, minLength/maxLength, minimum/maximum,
+ * minItems/maxItems, items, properties, required and additionalProperties.
+ *
+ * Formats cover the AWS identifiers we accept (see FORMATS below). Numbers
+ * and booleans may arrive as strings (query strings, multipart fields, Cliq
+ * Deluge maps), so "10" passes as an integer and is converted in the value
+ * returned by validate().
+ *
+ * Failures are answered with VALIDATION_ERROR (400) and a list of
+ * { field, message } for every offending field.
+ */
+
+const net = require('net');
+const { errorResponse } = require('./helpers');
+const { getAction } = require('../actions');
+const { getWidgetParams } = require('../actions/widgets');
+const { createLogger } = require('./logger');
+
+const log = createLogger('validation');
+
+/*
+ * Named formats. Each returns true for a valid string.
+ */
+const FORMATS = {
+    // i-0123abcd (old) or i-0123456789abcdef0
+    instanceId: value => /^i-([0-9a-f]{8}|[0-9a-f]{17})$/.test(value),
+    volumeId: value => /^vol-([0-9a-f]{8}|[0-9a-f]{17})$/.test(value),
+    securityGroupId: value => /^sg-([0-9a-f]{8}|[0-9a-f]{17})$/.test(value),
+    vpcId: value => /^vpc-([0-9a-f]{8}|[0-9a-f]{17})$/.test(value),
+    allocationId: value => /^eipalloc-([0-9a-f]{8}|[0-9a-f]{17})$/.test(value),
+    associationId: value => /^eipassoc-([0-9a-f]{8}|[0-9a-f]{17})$/.test(value),
+    // t3.micro, m6g.2xlarge, u-6tb1.metal
+    instanceType: value => /^[a-z][a-z0-9-]*\.[a-z0-9]+$/.test(value),
+
+    // S3 general purpose bucket naming rules
+    bucketName: value =>
+        /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(value) &&
+        !value.includes('..') &&
+        net.isIP(value) === 0 &&
+        !value.startsWith('xn--') &&
+        !value.startsWith('sthree-') &&
+        !value.endsWith('-s3alias') &&
+        !value.endsWith('--ol-s3'),
+
+    // IPv4 or IPv6 network in CIDR notation
+    cidr: value => {
+        const [address, prefix, extra] = value.split('/');
+        if (extra !== undefined || !/^\d{1,3}$/.test(prefix || '')) return false;
+        const version = net.isIP(address);
+        if (version === 4) return Number(prefix) <= 32;
+        if (version === 6) return Number(prefix) <= 128;
+        return false;
+    },
+
+    // arn:partition:service:region:account-id:resource
+    arn: value => /^arn:aws(-[a-z]+)*:[a-z0-9-]+:[a-z0-9-]*:(\d{12})?:.+$/.test(value),
+    roleArn: value => /^arn:aws(-[a-z]+)*:iam::\d{12}:role\/[\w+=,.@\/-]{1,512}$/.test(value),
+    topicArn: value => /^arn:aws(-[a-z]+)*:sns:[a-z0-9-]+:\d{12}:[\w-]{1,256}(\.fifo)?$/.test(value),
+    subscriptionArn: value => /^arn:aws(-[a-z]+)*:sns:[a-z0-9-]+:\d{12}:[\w-]{1,256}(\.fifo)?:[0-9a-f-]{36}$/.test(value),
+
+    // Name, name:alias/version, or full function ARN
+    functionName: value =>
+        /^(arn:aws(-[a-z]+)*:lambda:[a-z0-9-]+:\d{12}:function:)?[A-Za-z0-9_-]{1,64}(:[\w$-]{1,128})?$/.test(value),
+    dbInstanceId: value => /^[A-Za-z](?!.*--)[A-Za-z0-9-]{0,62}$/.test(value) && !value.endsWith('-'),
+    logGroupName: value => /^[\w\-/.#]{1,512}$/.test(value),
+
+    // YYYY-MM-DD
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+    // ISO 8601 date and time, e.g. 2025-01-06T09:30:00+05:30
+    dateTime: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+    url: value => /^https?:\/\/[^\s]+$/.test(value)
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/*
+ * Converts strings to numbers/booleans where the schema wants them.
+ * Returns undefined if the value can't be converted.
+ */
+function coerce(value, type) {
+    if (typeof value !== 'string' || value.trim() === '') return undefined;
+    if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+    if (type === 'number' && !isNaN(Number(value))) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return undefined;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/*
+ * Validates one value. Pushes { field, message } onto errors and returns
+ * the (possibly converted) value.
+ */
+function check(schema, value, field, errors) {
+    if (!schema) return value;
+
+    if (schema.anyOf) {
+        for (const option of schema.anyOf) {
+            const optionErrors = [];
+            const converted = check(option, value, field, optionErrors);
+            if (optionErrors.length === 0) return converted;
+        }
+        errors.push({ field, message: `is not valid (${schema.description || 'see the action schema'})` });
+        return value;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            const converted = types.map(type => coerce(value, type)).find(result => result !== undefined);
+            if (converted === undefined) {
+                errors.push({ field, message: `must be of type ${types.join(' or ')}` });
+                return value;
+            }
+            value = converted;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+        return value;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field, message: schema.patternMessage || `must match ${schema.pattern}` });
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push({ field, message: `is not a valid ${schema.format}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field, message: `must be ${schema.minimum} or more` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field, message: `must be ${schema.maximum} or less` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value = value.map((item, index) => check(schema.items, item, `${field}[${index}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+        value = checkObject(schema, value, field, errors);
+    }
+
+    return value;
+}
+
+function checkObject(schema, value, prefix, errors) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+    const path = name => (prefix ? `${prefix}.${name}` : name);
+
+    for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null || value[name] === '') {
+            errors.push({ field: path(name), message: 'is required' });
+        }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+        if (item === undefined || item === null || item === '') continue;
+        if (properties.hasOwnProperty(name)) {
+            result[name] = check(properties[name], item, path(name), errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ field: path(name), message: 'is not allowed' });
+        } else if (typeof schema.additionalProperties === 'object') {
+            result[name] = check(schema.additionalProperties, item, path(name), errors);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Validate parameters against a schema
+ *
+ * @param {Object} schema - JSON Schema for the parameters object
+ * @param {Object} params - Request parameters
+ * @returns {Object} { errors: [{ field, message }], value } - value has
+ *                   numeric and boolean strings converted
+ */
+function validate(schema, params) {
+    const errors = [];
+    const value = check(schema, params || {}, '', errors);
+    return { errors, value };
+}
+
+/**
+ * VALIDATION_ERROR response body for a list of field errors
+ */
+function validationErrorResponse(errors) {
+    return {
+        ...errorResponse(`Invalid parameters: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`, 'VALIDATION_ERROR'),
+        fields: errors
+    };
+}
+
+/*
+ * Schema for service:action - router actions come from the action registry,
+ * widget routes (which name some parameters differently) from actions/widgets.js
+ */
+function getSchema(service, action, source) {
+    if (source === 'router') {
+        const entry = getAction(service, action);
+        return entry ? entry.params : null;
+    }
+    return getWidgetParams(service, action);
+}
+
+/**
+ * Express middleware factory - validates the request's parameters against
+ * the schema for service:action before any consent, confirmation or AWS
+ * call. service and action can be strings or functions of the request.
+ * Actions without a schema (and unknown actions) pass through.
+ *
+ * @param {string} source - 'router' validates req.body against the action
+ *                          registry and replaces it with the converted
+ *                          values; 'widget' checks query and body together
+ */
+function validateParams(service, action, source = 'widget') {
+    return (req, res, next) => {
+        const serviceName = typeof service === 'function' ? service(req) : service;
+        const actionName = typeof action === 'function' ? action(req) : action;
+
+        const schema = getSchema(serviceName, actionName, source);
+        if (!schema) return next();
+
+        const params = source === 'router' ? req.body : { ...req.query, ...(req.body || {}) };
+        const { errors, value } = validate(schema, params);
+        if (errors.length > 0) {
+            log.warn('Parameters rejected', { service: serviceName, action: actionName, errors: errors.map(error => `${error.field} ${error.message}`) });
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        if (source === 'router') req.body = value;
+        next();
+    };
+}
+
+module.exports = {
+    FORMATS,
+    validate,
+    validationErrorResponse,
+    getSchema,
+    validateParams
+};
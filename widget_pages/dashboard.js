@@ -1,4 +1,44 @@
-        const REGION = '{{REGION}}';
+        // Region picked by the caller (widget URL), if any. Without one the data
+        // endpoint falls back to the user's stored region and we adopt it below.
+        const REQUESTED_REGION = new URLSearchParams(window.location.search).get('region');
+        let REGION = REQUESTED_REGION || '{{REGION}}';
+
+        // Account profile (e.g. "prod", "staging") - forwarded on every widget call
+        const PROFILE = new URLSearchParams(window.location.search).get('profile') || undefined;
+        const PROFILE_PARAM = PROFILE ? `&profile=${encodeURIComponent(PROFILE)}` : '';
+
+        // Signed caller identity from the widget URL (?sig=&ts=), sent as headers
+        // on every API call so the server can verify who is calling
+        function widgetFetch(url, options = {}) {
+            const urlParams = new URLSearchParams(window.location.search);
+            const headers = { ...(options.headers || {}) };
+            const userId = getUserId();
+            if (userId) headers['X-Cliq-User-Id'] = userId;
+            if (urlParams.get('sig')) headers['X-Cliq-Signature'] = urlParams.get('sig');
+            if (urlParams.get('ts')) headers['X-Cliq-Timestamp'] = urlParams.get('ts');
+            return fetch(url, { ...options, headers });
+        }
+
+        // For destructive actions the user already confirmed in a modal: the server
+        // answers the first call with a confirmation token bound to the target,
+        // so repeat the call once with that token
+        async function confirmedFetch(url, options = {}) {
+            const response = await widgetFetch(url, options);
+            if (response.status !== 428) return response;
+
+            const data = await response.clone().json();
+            if (!data.requiresConfirmation || !data.confirmationToken) return response;
+
+            const body = { ...JSON.parse(options.body || '{}'), confirmationToken: data.confirmationToken };
+            return widgetFetch(url, { ...options, body: JSON.stringify(body) });
+        }
+
+        // Terminate, instance type changes, rule removal and bucket/folder deletes
+        // answer requiresApproval instead: they run once another admin approves
+        function showApprovalPending(data) {
+            closeModal();
+            showToast('⏳ ' + data.error, 'info', 8000);
+        }
         const API_BASE = window.location.origin;
 
         // Get userId from URL params (passed by frontend when opening widget)
@@ -23,8 +63,8 @@
                     }
                     return;
                 }
-                const url = `${API_BASE}/server/aws_handler/widget/dashboard/data?region=${encodeURIComponent(REGION)}${userId ? '&userId=' + encodeURIComponent(userId) : ''}`;
-                const response = await fetch(url);
+                const url = `${API_BASE}/server/aws_handler/widget/dashboard/data?${REQUESTED_REGION ? 'region=' + encodeURIComponent(REQUESTED_REGION) + '&' : ''}${userId ? 'userId=' + encodeURIComponent(userId) : ''}${PROFILE_PARAM}`;
+                const response = await widgetFetch(url);
                 const data = await response.json();
 
                 if (!data.success) {
@@ -34,7 +74,7 @@
                         return;
                     }
                     // Invalid/expired credentials - show nice error UI
-                    if (data.errorCode === 'INVALID_CREDENTIALS' || data.errorCode === 'EXPIRED_CREDENTIALS') {
+                    if (data.errorCode === 'INVALID_CREDENTIALS' || data.errorCode === 'EXPIRED_TOKEN') {
                         showInvalidCredentialsError(data);
                         return;
                     }
@@ -47,15 +87,21 @@
                     throw new Error(data.error || 'Failed to fetch data');
                 }
 
+                // Every widget call after this uses the region the data came from
+                REGION = data.region || REGION;
                 renderDashboard(data);
 
                 // Hide loader, show content
                 document.getElementById('loadingScreen').style.display = 'none';
                 document.getElementById('mainContent').style.display = 'block';
 
-                // Friendly toast to confirm dashboard is ready
+                // Friendly toast to confirm dashboard is ready (or that parts are missing)
                 try {
-                    showToast('✅ AWS Cloud Commander dashboard loaded', 'success', 3500);
+                    if (data.degraded) {
+                        showToast('⚠️ AWS was slow to answer - some cards may be incomplete. Refresh to try again.', 'warning', 5000);
+                    } else {
+                        showToast('✅ AWS Cloud Commander dashboard loaded', 'success', 3500);
+                    }
                 } catch (e) {
                     console.error('Toast failed:', e);
                 }
@@ -94,7 +140,7 @@
                     if (objectsSpan) objectsSpan.innerHTML = '...';
                     if (sizeSpan) sizeSpan.innerHTML = 'Calculating...';
 
-                    const response = await fetch(`${API_BASE}/server/aws_handler/widget/s3/info?bucket=${encodeURIComponent(bucket)}&userId=${userId}&region=${reg}`);
+                    const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/s3/info?bucket=${encodeURIComponent(bucket)}&userId=${userId}${PROFILE_PARAM}&region=${reg}`);
                     const data = await response.json();
                     if (data && data.success && data.data) {
                         if (objectsSpan) objectsSpan.textContent = (data.data.totalObjects || 0).toLocaleString();
@@ -193,7 +239,7 @@
         function showInvalidCredentialsError(data) {
             document.getElementById('loadingScreen').style.display = 'none';
             
-            const isExpired = data.errorCode === 'EXPIRED_CREDENTIALS';
+            const isExpired = data.errorCode === 'EXPIRED_TOKEN';
             const iconColor = isExpired ? '#FFB300' : '#FF5252';
             
             const html = `
@@ -785,12 +831,13 @@
 
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=${action}`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=${action}`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
                         instanceId: instanceId,
                         userId: userId,
+                        profile: PROFILE,
                         region: REGION
                     })
                 });
@@ -949,10 +996,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=terminate`, {
+                const response = await confirmedFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=terminate`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ instanceId, userId, region: REGION })
+                    body: JSON.stringify({ instanceId, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -961,6 +1008,8 @@
                     closeModal();
                     showToast('✓ Instance terminating: ' + (instanceName || instanceId), 'success');
                     setTimeout(() => loadDashboard(), 2000);
+                } else if (data.requiresApproval) {
+                    showApprovalPending(data);
                 } else {
                     showToast('❌ ' + (data.error || 'Failed to terminate instance'), 'error');
                     if (btn) {
@@ -989,7 +1038,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=consoleOutput&instanceId=${instanceId}&userId=${userId}&region=${REGION}`);
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=consoleOutput&instanceId=${instanceId}&userId=${userId}${PROFILE_PARAM}&region=${REGION}`);
                 const data = await response.json();
 
                 if (data.success) {
@@ -1056,7 +1105,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=listVolumes&instanceId=${instanceId}&userId=${userId}&region=${REGION}`);
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=listVolumes&instanceId=${instanceId}&userId=${userId}${PROFILE_PARAM}&region=${REGION}`);
                 const data = await response.json();
 
                 if (data.success && data.data.volumes && data.data.volumes.length > 0) {
@@ -1132,10 +1181,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=createSnapshot`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=createSnapshot`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ volumeId, description, userId, region: REGION })
+                    body: JSON.stringify({ volumeId, description, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -1225,10 +1274,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=createImage`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=createImage`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ instanceId, name: amiName, description, noReboot, userId, region: REGION })
+                    body: JSON.stringify({ instanceId, name: amiName, description, noReboot, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -1264,7 +1313,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=listElasticIps&userId=${userId}&region=${REGION}`);
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=listElasticIps&userId=${userId}${PROFILE_PARAM}&region=${REGION}`);
                 const data = await response.json();
 
                 if (data.success) {
@@ -1343,10 +1392,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=associateElasticIp`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=associateElasticIp`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ instanceId, allocationId, userId, region: REGION })
+                    body: JSON.stringify({ instanceId, allocationId, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -1397,10 +1446,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=disassociateElasticIp`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=disassociateElasticIp`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ associationId, userId, region: REGION })
+                    body: JSON.stringify({ associationId, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -1445,10 +1494,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=allocateElasticIp`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=allocateElasticIp`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ userId, region: REGION })
+                    body: JSON.stringify({ userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -1477,10 +1526,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=disassociateElasticIp`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=disassociateElasticIp`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ associationId, userId, region: REGION })
+                    body: JSON.stringify({ associationId, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -1553,7 +1602,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=listInstanceTypes&userId=${userId}&region=${REGION}`);
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=listInstanceTypes&userId=${userId}${PROFILE_PARAM}&region=${REGION}`);
                 const data = await response.json();
 
                 if (data.success) {
@@ -1651,10 +1700,10 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=modifyInstanceType`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=modifyInstanceType`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ instanceId, newInstanceType, userId, region: REGION })
+                    body: JSON.stringify({ instanceId, newInstanceType, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -1663,6 +1712,8 @@
                     closeModal();
                     showToast(`✅ Instance type changed to ${newInstanceType}`, 'success');
                     setTimeout(() => location.reload(), 1500);
+                } else if (data.requiresApproval) {
+                    showApprovalPending(data);
                 } else {
                     showToast('❌ ' + (data.error || 'Failed to modify instance type'), 'error');
                     if (btn) {
@@ -1695,7 +1746,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=getSecurityGroups&instanceId=${instanceId}&userId=${userId}&region=${REGION}`);
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=getSecurityGroups&instanceId=${instanceId}&userId=${userId}${PROFILE_PARAM}&region=${REGION}`);
                 const data = await response.json();
 
                 if (data.success) {
@@ -1966,10 +2017,10 @@
             try {
                 const userId = getUserId();
                 const action = ruleType === 'inbound' ? 'addInboundRule' : 'addOutboundRule';
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=${action}`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=${action}`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ groupId, rule, userId, region: REGION })
+                    body: JSON.stringify({ groupId, rule, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -2009,10 +2060,10 @@
                     cidr: rule.ipRanges[0] || '0.0.0.0/0'
                 };
                 
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/ec2?action=${action}`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/ec2?action=${action}`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ groupId, rule: rulePayload, userId, region: REGION })
+                    body: JSON.stringify({ groupId, rule: rulePayload, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -2021,6 +2072,8 @@
                     showToast('✅ Rule removed successfully!', 'success');
                     // Reload security groups
                     showManageSecurityGroupsModal(window.currentInstanceId);
+                } else if (data.requiresApproval) {
+                    showToast('⏳ ' + data.error, 'info', 8000);
                 } else {
                     showToast('❌ ' + (data.error || 'Failed to remove rule'), 'error');
                 }
@@ -2070,8 +2123,8 @@
                 const userId = getUserId();
                 const timeRange = '1h'; // Default to 1 hour
 
-                const response = await fetch(
-                    `${API_BASE}/server/aws_handler/widget/ec2/metrics?instanceId=${instanceId}&timeRange=${timeRange}&userId=${userId}&region=${REGION}`
+                const response = await widgetFetch(
+                    `${API_BASE}/server/aws_handler/widget/ec2/metrics?instanceId=${instanceId}&timeRange=${timeRange}&userId=${userId}${PROFILE_PARAM}&region=${REGION}`
                 );
 
                 const data = await response.json();
@@ -2209,8 +2262,8 @@
 
             try {
                 const userId = getUserId();
-                const response = await fetch(
-                    API_BASE + '/server/aws_handler/widget/ec2/metrics?instanceId=' + instanceId + '&timeRange=' + timeRange + '&userId=' + userId + '&region=' + REGION
+                const response = await widgetFetch(
+                    API_BASE + '/server/aws_handler/widget/ec2/metrics?instanceId=' + instanceId + '&timeRange=' + timeRange + '&userId=' + userId + PROFILE_PARAM + '&region=' + REGION
                 );
 
                 const data = await response.json();
@@ -2326,14 +2379,16 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ 
                         action: 'invoke', 
                         functionName, 
                         payload,
+                        consent: true,  // The invoke modal warns that this runs billable code
                         userId, 
+                        profile: PROFILE,
                         region: REGION 
                     })
                 });
@@ -2400,13 +2455,14 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ 
                         action: 'getConfiguration', 
                         functionName, 
                         userId, 
+                        profile: PROFILE,
                         region: REGION 
                     })
                 });
@@ -2485,13 +2541,14 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ 
                         action: 'getLogs', 
                         functionName, 
                         userId, 
+                        profile: PROFILE,
                         region: REGION,
                         limit: 100
                     })
@@ -2553,13 +2610,14 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ 
                         action: 'getConfiguration', 
                         functionName, 
                         userId, 
+                        profile: PROFILE,
                         region: REGION 
                     })
                 });
@@ -2617,7 +2675,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ 
@@ -2629,6 +2687,7 @@
                             }
                         },
                         userId, 
+                        profile: PROFILE,
                         region: REGION 
                     })
                 });
@@ -2708,9 +2767,10 @@
                 formData.append('action', 'updateCode');
                 formData.append('functionName', functionName);
                 formData.append('userId', userId);
+                if (PROFILE) formData.append('profile', PROFILE);
                 formData.append('region', REGION);
                 
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/lambda`, {
                     method: 'POST',
                     body: formData
                 });
@@ -2776,9 +2836,9 @@
 
         async function loadS3BrowserContent(bucketName, prefix) {
             const userId = getUserId();
-            const url = `${API_BASE}/server/aws_handler/widget/s3/browse?bucket=${encodeURIComponent(bucketName)}&prefix=${encodeURIComponent(prefix)}&userId=${userId}&region=${REGION}&maxKeys=5`;
+            const url = `${API_BASE}/server/aws_handler/widget/s3/browse?bucket=${encodeURIComponent(bucketName)}&prefix=${encodeURIComponent(prefix)}&userId=${userId}${PROFILE_PARAM}&region=${REGION}&maxKeys=5`;
 
-            const response = await fetch(url);
+            const response = await widgetFetch(url);
             const data = await response.json();
 
             if (!data.success) {
@@ -3134,10 +3194,11 @@
             formData.append('bucket', bucketName);
             formData.append('prefix', prefix);
             formData.append('userId', userId);
+            if (PROFILE) formData.append('profile', PROFILE);
             formData.append('region', REGION);
 
             try {
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/s3/upload`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/s3/upload`, {
                     method: 'POST',
                     body: formData
                 });
@@ -3238,8 +3299,8 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(
-                    `${API_BASE}/server/aws_handler/widget/s3/download?bucket=${encodeURIComponent(bucketName)}&key=${encodeURIComponent(key)}&userId=${userId}&region=${REGION}&expiresIn=${expiresIn}`
+                const response = await widgetFetch(
+                    `${API_BASE}/server/aws_handler/widget/s3/download?bucket=${encodeURIComponent(bucketName)}&key=${encodeURIComponent(key)}&userId=${userId}${PROFILE_PARAM}&region=${REGION}&expiresIn=${expiresIn}`
                 );
 
                 const data = await response.json();
@@ -3280,8 +3341,8 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(
-                    `${API_BASE}/server/aws_handler/widget/s3/download?bucket=${encodeURIComponent(bucketName)}&key=${encodeURIComponent(key)}&userId=${userId}&region=${REGION}&expiresIn=${expiresIn}`
+                const response = await widgetFetch(
+                    `${API_BASE}/server/aws_handler/widget/s3/download?bucket=${encodeURIComponent(bucketName)}&key=${encodeURIComponent(key)}&userId=${userId}${PROFILE_PARAM}&region=${REGION}&expiresIn=${expiresIn}`
                 );
 
                 const data = await response.json();
@@ -3380,8 +3441,8 @@
 
             try {
                 const userId = getUserId();
-                const response = await fetch(
-                    `${API_BASE}/server/aws_handler/widget/s3/detailed-stats?bucket=${encodeURIComponent(bucketName)}&userId=${userId}&region=${bucketRegion}`
+                const response = await widgetFetch(
+                    `${API_BASE}/server/aws_handler/widget/s3/detailed-stats?bucket=${encodeURIComponent(bucketName)}&userId=${userId}${PROFILE_PARAM}&region=${bucketRegion}`
                 );
 
                 const data = await response.json();
@@ -3513,8 +3574,8 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(
-                    `${API_BASE}/server/aws_handler/widget/s3/info?bucket=${encodeURIComponent(bucketName)}&userId=${userId}&region=${bucketRegion}`
+                const response = await widgetFetch(
+                    `${API_BASE}/server/aws_handler/widget/s3/info?bucket=${encodeURIComponent(bucketName)}&userId=${userId}${PROFILE_PARAM}&region=${bucketRegion}`
                 );
 
                 const data = await response.json();
@@ -3635,7 +3696,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(
+                const response = await confirmedFetch(
                     `${API_BASE}/server/aws_handler/widget/s3/delete-bucket`,
                     {
                         method: 'POST',
@@ -3643,6 +3704,7 @@
                         body: JSON.stringify({ 
                             bucket: bucketName,
                             userId: userId,
+                            profile: PROFILE,
                             region: bucketRegion
                         })
                     }
@@ -3655,6 +3717,8 @@
                     showToast('✓ Bucket deleted successfully', 'success');
                     // Refresh dashboard to update bucket list
                     loadDashboard();
+                } else if (data.requiresApproval) {
+                    showApprovalPending(data);
                 } else {
                     const errorMsg = data.error || data.message || 'Delete failed';
                     const errorCode = data.errorCode || data.code;
@@ -3667,7 +3731,7 @@
                             </div>
                             <h4 style="font-size: 18px; font-weight: 600; color: var(--text-primary); margin-bottom: 12px;">Failed to Delete Bucket</h4>
                             <p style="font-size: 14px; color: var(--text-secondary); margin-bottom: 8px;">${errorMsg}</p>
-                            ${errorCode === 'BUCKET_NOT_EMPTY' ? '<p style="font-size: 13px; color: var(--aws-orange); margin-bottom: 20px;">⚠️ The bucket must be empty before deletion. Please delete all objects first.</p>' : ''}
+                            ${errorCode === 'CONFLICT' ? '<p style="font-size: 13px; color: var(--aws-orange); margin-bottom: 20px;">⚠️ The bucket must be empty before deletion. Please delete all objects first.</p>' : ''}
                             ${errorCode === 'ACCESS_DENIED' ? '<p style="font-size: 13px; color: var(--aws-orange); margin-bottom: 20px;">⛔ You don\'t have permission to delete this bucket.</p>' : ''}
                             <button class="btn-custom btn-secondary" onclick="closeModal()" style="margin-top: 20px;">Close</button>
                         </div>
@@ -3719,8 +3783,8 @@
         async function searchS3Files(searchTerm, bucketName, prefix) {
             try {
                 const userId = getUserId();
-                const response = await fetch(
-                    `${API_BASE}/server/aws_handler/widget/s3/search?bucket=${encodeURIComponent(bucketName)}&searchTerm=${encodeURIComponent(searchTerm)}&userId=${userId}&region=${REGION}&maxResults=100`
+                const response = await widgetFetch(
+                    `${API_BASE}/server/aws_handler/widget/s3/search?bucket=${encodeURIComponent(bucketName)}&searchTerm=${encodeURIComponent(searchTerm)}&userId=${userId}${PROFILE_PARAM}&region=${REGION}&maxResults=100`
                 );
 
                 const data = await response.json();
@@ -3851,9 +3915,9 @@
                     
                     try {
                         const userId = getUserId();
-                        const url = `${API_BASE}/server/aws_handler/widget/s3/browse?bucket=${encodeURIComponent(state.bucketName)}&prefix=${encodeURIComponent(state.prefix)}&userId=${userId}&region=${REGION}&maxKeys=5&continuationToken=${encodeURIComponent(state.nextToken)}`;
+                        const url = `${API_BASE}/server/aws_handler/widget/s3/browse?bucket=${encodeURIComponent(state.bucketName)}&prefix=${encodeURIComponent(state.prefix)}&userId=${userId}${PROFILE_PARAM}&region=${REGION}&maxKeys=5&continuationToken=${encodeURIComponent(state.nextToken)}`;
                         
-                        const response = await fetch(url);
+                        const response = await widgetFetch(url);
                         const data = await response.json();
 
                         if (data.success) {
@@ -3916,8 +3980,8 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(
-                    `${API_BASE}/server/aws_handler/widget/s3/object-info?bucket=${encodeURIComponent(bucketName)}&key=${encodeURIComponent(key)}&userId=${userId}&region=${REGION}`
+                const response = await widgetFetch(
+                    `${API_BASE}/server/aws_handler/widget/s3/object-info?bucket=${encodeURIComponent(bucketName)}&key=${encodeURIComponent(key)}&userId=${userId}${PROFILE_PARAM}&region=${REGION}`
                 );
 
                 const data = await response.json();
@@ -4101,7 +4165,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(
+                const response = await widgetFetch(
                     `${API_BASE}/server/aws_handler/widget/s3/create-folder`,
                     {
                         method: 'POST',
@@ -4111,6 +4175,7 @@
                             folderName: folderName,
                             prefix: prefix || '',
                             userId: userId,
+                            profile: PROFILE,
                             region: REGION
                         })
                     }
@@ -4229,7 +4294,7 @@
             
             try {
                 const userId = getUserId();
-                const response = await fetch(
+                const response = await confirmedFetch(
                     `${API_BASE}/server/aws_handler/widget/s3/delete-folder`,
                     {
                         method: 'POST',
@@ -4238,6 +4303,7 @@
                             bucket: bucketName,
                             folderKey: folderKey,
                             userId: userId,
+                            profile: PROFILE,
                             region: REGION
                         })
                     }
@@ -4270,6 +4336,8 @@
                         loadS3BrowserContent(bucketName, parentPrefix);
                         showToast(`✓ Folder deleted (${data.data.objectsDeleted} objects removed)`, 'success');
                     }, 1000);
+                } else if (data.requiresApproval) {
+                    showApprovalPending(data);
                 } else {
                     const errorMsg = data.error || data.message || 'Failed to delete folder';
                     const errorCode = data.errorCode || data.code;
@@ -4360,10 +4428,10 @@
             try {
                 const userId = getUserId();
                 
-                const response = await fetch(API_BASE + '/server/aws_handler/widget/s3/delete', {
+                const response = await confirmedFetch(API_BASE + '/server/aws_handler/widget/s3/delete', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ bucket: bucketName, key, userId, region: REGION })
+                    body: JSON.stringify({ bucket: bucketName, key, userId, profile: PROFILE, region: REGION })
                 });
 
                 const data = await response.json();
@@ -4573,10 +4641,10 @@
 
             try {
                 const userId = getUserId();
-                const response = await fetch(`${API_BASE}/server/aws_handler/widget/s3/create`, {
+                const response = await widgetFetch(`${API_BASE}/server/aws_handler/widget/s3/create`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ bucketName, region, userId })
+                    body: JSON.stringify({ bucketName, region, userId, profile: PROFILE })
                 });
 
                 const data = await response.json();